@@ -9,9 +9,11 @@ import Layout from './components/layout/Layout';
 import Dashboard from './features/project-management/Dashboard';
 import ClientProfile from './features/client-profile/ClientProfile';
 import DataModel from './features/data-model/DataModel';
+import CustomEvents from './features/custom-events/CustomEvents';
 import TagLibrary from './features/tag-library/TagLibrary';
 import JourneySimulator from './features/journey-simulator/JourneySimulator';
 import Exporter from './features/exporter/Exporter';
+import ImplementationReport from './features/exporter/ImplementationReport';
 import MigrationPrompt from './components/MigrationPrompt';
 import CorruptDataBanner from './components/ui/CorruptDataBanner';
 import { needsMigration } from './utils/migrateToSupabase';
@@ -53,6 +55,14 @@ function AppContent() {
           <Route path="/login" element={<LoginPage />} />
 
           {/* Protected Routes */}
+          <Route
+            path="/project/:projectId/export/report"
+            element={
+              <ProtectedRoute>
+                <ImplementationReport />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/"
             element={
@@ -66,6 +76,7 @@ function AppContent() {
             <Route path="project/:projectId">
               <Route path="client-profile" element={<ClientProfile />} />
               <Route path="data-model" element={<DataModel />} />
+              <Route path="events" element={<CustomEvents />} />
               <Route path="tags" element={<TagLibrary />} />
               <Route path="simulator" element={<JourneySimulator />} />
               <Route path="export" element={<Exporter />} />
@@ -3,6 +3,7 @@ import { NavLink, useParams } from 'react-router-dom';
 import {
   User,
   Database,
+  Activity,
   Tag,
   Play,
   FileText,
@@ -22,6 +23,12 @@ const navigation = [
     icon: Database,
     description: 'Objects, fields & mappings',
   },
+  {
+    name: 'Custom Events',
+    path: 'events',
+    icon: Activity,
+    description: 'Behavioral events & properties',
+  },
   {
     name: 'Tag System',
     path: 'tags',
@@ -1,7 +1,21 @@
 import { createContext, useContext, useReducer, useEffect, useCallback, ReactNode, Dispatch } from 'react';
 // @ts-ignore - ProjectRepository is still .js, will be migrated later
 import projectRepository from '../services/ProjectRepository';
-import { ProjectState, ProjectAction, Tag, CustomObject, CustomField, Project } from '../types/project';
+import tagDependencyService from '../services/TagDependencyService';
+import tagRemapService from '../services/TagRemapService';
+import customEventService from '../services/CustomEventService';
+import {
+  ProjectState,
+  ProjectAction,
+  Tag,
+  CustomObject,
+  CustomField,
+  Association,
+  Project,
+  Scenario,
+  CustomEventDefinition,
+  FieldMappingSet,
+} from '../types/project';
 import {
   checkTagCreationLimit,
   checkTagUpdateLimit,
@@ -46,10 +60,26 @@ export interface ProjectContextValue {
   addField: (objectId: string, fieldData: CustomField) => Promise<RepositoryResponse<CustomField>>;
   updateField: (objectId: string, fieldId: string, updates: Partial<CustomField>) => Promise<RepositoryResponse<CustomField>>;
   deleteField: (objectId: string, fieldId: string) => Promise<RepositoryResponse<boolean>>;
+  addAssociation: (associationData: Association) => Promise<RepositoryResponse<Association>>;
+  updateAssociation: (associationId: string, updates: Partial<Association>) => Promise<RepositoryResponse<Association>>;
+  deleteAssociation: (associationId: string) => Promise<RepositoryResponse<boolean>>;
+  addFieldMapping: (mappingData: FieldMappingSet) => Promise<RepositoryResponse<FieldMappingSet>>;
+  updateFieldMapping: (mappingId: string, updates: Partial<FieldMappingSet>) => Promise<RepositoryResponse<FieldMappingSet>>;
+  deleteFieldMapping: (mappingId: string) => Promise<RepositoryResponse<boolean>>;
   addTag: (tagData: Tag) => Promise<RepositoryResponse<Tag>>;
   updateTag: (tagData: Tag) => Promise<RepositoryResponse<Tag>>;
-  deleteTag: (tagId: string) => Promise<RepositoryResponse<{ id: string }>>;
+  deleteTag: (
+    tagId: string,
+    options?: { cascade?: boolean }
+  ) => Promise<RepositoryResponse<{ id: string; removedIds: string[] }>>;
   addTagFromLibrary: (tagData: Tag) => Promise<RepositoryResponse<Tag>>;
+  updateLibraryTag: (tagData: Tag) => Promise<RepositoryResponse<Tag>>;
+  addScenario: (scenarioData: Scenario) => Promise<RepositoryResponse<Scenario>>;
+  updateScenario: (scenarioData: Scenario) => Promise<RepositoryResponse<Scenario>>;
+  deleteScenario: (scenarioId: string) => Promise<RepositoryResponse<{ id: string }>>;
+  addCustomEvent: (eventData: CustomEventDefinition) => Promise<RepositoryResponse<CustomEventDefinition>>;
+  updateCustomEvent: (eventData: CustomEventDefinition) => Promise<RepositoryResponse<CustomEventDefinition>>;
+  deleteCustomEvent: (eventId: string) => Promise<RepositoryResponse<{ id: string }>>;
 }
 
 const ProjectContext = createContext<ProjectContextValue | undefined>(undefined);
@@ -72,6 +102,8 @@ const initialState: ProjectState = {
     custom: [],
   },
   journeys: [],
+  scenarios: [],
+  customEvents: [],
   savedAt: null,
   loading: false,
   error: null,
@@ -123,6 +155,8 @@ function projectReducer(state: ProjectState, action: ProjectAction): ProjectStat
         dataModel: action.payload.dataModel || initialState.dataModel,
         tags: action.payload.tags || initialState.tags,
         journeys: action.payload.journeys || [],
+        scenarios: action.payload.scenarios || [],
+        customEvents: action.payload.customEvents || [],
         loading: false,
         error: null,
       };
@@ -181,6 +215,10 @@ function projectReducer(state: ProjectState, action: ProjectAction): ProjectStat
           objects: (state.dataModel.objects || []).filter(
             (obj) => obj.id !== action.payload
           ),
+          // Storage drops an object's associations with it
+          associations: (state.dataModel.associations || []).filter(
+            (assoc) => assoc.fromObjectId !== action.payload && assoc.toObjectId !== action.payload
+          ),
         },
       };
 
@@ -237,6 +275,68 @@ function projectReducer(state: ProjectState, action: ProjectAction): ProjectStat
       };
     }
 
+    case 'ADD_ASSOCIATION':
+      return {
+        ...state,
+        dataModel: {
+          ...state.dataModel,
+          associations: [...(state.dataModel.associations || []), action.payload],
+        },
+      };
+
+    case 'UPDATE_ASSOCIATION':
+      return {
+        ...state,
+        dataModel: {
+          ...state.dataModel,
+          associations: (state.dataModel.associations || []).map((assoc) =>
+            assoc.id === action.payload.id ? action.payload : assoc
+          ),
+        },
+      };
+
+    case 'DELETE_ASSOCIATION':
+      return {
+        ...state,
+        dataModel: {
+          ...state.dataModel,
+          associations: (state.dataModel.associations || []).filter(
+            (assoc) => assoc.id !== action.payload
+          ),
+        },
+      };
+
+    case 'ADD_FIELD_MAPPING':
+      return {
+        ...state,
+        dataModel: {
+          ...state.dataModel,
+          mappings: [...(state.dataModel.mappings || []), action.payload],
+        },
+      };
+
+    case 'UPDATE_FIELD_MAPPING':
+      return {
+        ...state,
+        dataModel: {
+          ...state.dataModel,
+          mappings: (state.dataModel.mappings || []).map((mapping) =>
+            mapping.id === action.payload.id ? action.payload : mapping
+          ),
+        },
+      };
+
+    case 'DELETE_FIELD_MAPPING':
+      return {
+        ...state,
+        dataModel: {
+          ...state.dataModel,
+          mappings: (state.dataModel.mappings || []).filter(
+            (mapping) => mapping.id !== action.payload
+          ),
+        },
+      };
+
     // Tags updates
     case 'UPDATE_TAGS':
       return {
@@ -289,6 +389,48 @@ function projectReducer(state: ProjectState, action: ProjectAction): ProjectStat
         journeys: action.payload,
       };
 
+    // Simulator scenarios updates
+    case 'ADD_SCENARIO':
+      return {
+        ...state,
+        scenarios: [...state.scenarios, action.payload],
+      };
+
+    case 'UPDATE_SCENARIO':
+      return {
+        ...state,
+        scenarios: state.scenarios.map((scenario) =>
+          scenario.id === action.payload.id ? action.payload : scenario
+        ),
+      };
+
+    case 'DELETE_SCENARIO':
+      return {
+        ...state,
+        scenarios: state.scenarios.filter((scenario) => scenario.id !== action.payload),
+      };
+
+    // Custom event registry updates
+    case 'ADD_CUSTOM_EVENT':
+      return {
+        ...state,
+        customEvents: [...state.customEvents, action.payload],
+      };
+
+    case 'UPDATE_CUSTOM_EVENT':
+      return {
+        ...state,
+        customEvents: state.customEvents.map((event) =>
+          event.id === action.payload.id ? action.payload : event
+        ),
+      };
+
+    case 'DELETE_CUSTOM_EVENT':
+      return {
+        ...state,
+        customEvents: state.customEvents.filter((event) => event.id !== action.payload),
+      };
+
     // Save timestamp
     case 'UPDATE_SAVED_AT':
       return {
@@ -367,6 +509,14 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
     };
   }, []);
 
+  // Rules bound to data model objects and fields follow their renames
+  useEffect(() => {
+    const syncedTags = tagRemapService.syncBoundTags(state.tags, state.dataModel);
+    if (syncedTags) {
+      dispatch({ type: 'UPDATE_TAGS', payload: syncedTags });
+    }
+  }, [state.tags, state.dataModel]);
+
   /**
    * Save current project to storage
    */
@@ -378,6 +528,8 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
       dataModel: state.dataModel,
       tags: state.tags,
       journeys: state.journeys,
+      scenarios: state.scenarios,
+      customEvents: state.customEvents,
     };
 
     const { data, error, validationErrors } = await projectRepository.updateProject(
@@ -398,7 +550,15 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
     dispatch({ type: 'UPDATE_PROJECT_IN_LIST', payload: data! });
 
     return { data: data!, error: null };
-  }, [state.currentProject, state.clientProfile, state.dataModel, state.tags, state.journeys]);
+  }, [
+    state.currentProject,
+    state.clientProfile,
+    state.dataModel,
+    state.tags,
+    state.journeys,
+    state.scenarios,
+    state.customEvents,
+  ]);
 
   // Auto-save current project every 30 seconds
   // SAFETY: Auto-save disabled when corrupt data detected (Issue #29)
@@ -571,6 +731,9 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
 
       // Store original for rollback
       const original = state.dataModel.objects?.find((o) => o.id === objectId);
+      const originalAssociations = (state.dataModel.associations || []).filter(
+        (assoc) => assoc.fromObjectId === objectId || assoc.toObjectId === objectId
+      );
 
       // Optimistic update
       dispatch({ type: 'DELETE_OBJECT', payload: objectId });
@@ -585,6 +748,9 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
         if (original) {
           dispatch({ type: 'ADD_OBJECT', payload: original });
         }
+        originalAssociations.forEach((assoc) =>
+          dispatch({ type: 'ADD_ASSOCIATION', payload: assoc })
+        );
         const errorMessage = typeof error === 'string' ? error : error.message;
         dispatch({
           type: 'SET_ERROR',
@@ -595,7 +761,7 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
 
       return { data: true, error: null };
     },
-    [state.currentProject, state.dataModel.objects]
+    [state.currentProject, state.dataModel.objects, state.dataModel.associations]
   );
 
   /**
@@ -749,6 +915,234 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
     [state.currentProject, state.dataModel.objects]
   );
 
+  /**
+   * Add an association between two objects
+   */
+  const addAssociation = useCallback(
+    async (associationData: Association): Promise<RepositoryResponse<Association>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'ADD_ASSOCIATION', payload: associationData });
+
+      const { data, error, validationErrors } = await projectRepository.addAssociation(
+        state.currentProject,
+        associationData
+      );
+
+      if (error) {
+        // Rollback optimistic update
+        dispatch({ type: 'DELETE_ASSOCIATION', payload: associationData.id });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      // Update with server data
+      dispatch({ type: 'UPDATE_ASSOCIATION', payload: data! });
+      return { data: data!, error: null };
+    },
+    [state.currentProject]
+  );
+
+  /**
+   * Update an association
+   */
+  const updateAssociation = useCallback(
+    async (associationId: string, updates: Partial<Association>): Promise<RepositoryResponse<Association>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.dataModel.associations?.find((a) => a.id === associationId);
+      if (original) {
+        dispatch({ type: 'UPDATE_ASSOCIATION', payload: { ...original, ...updates, id: associationId } });
+      }
+
+      const { data, error, validationErrors } = await projectRepository.updateAssociation(
+        state.currentProject,
+        associationId,
+        updates
+      );
+
+      if (error) {
+        // Rollback optimistic update
+        if (original) {
+          dispatch({ type: 'UPDATE_ASSOCIATION', payload: original });
+        }
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      // Update with server data
+      dispatch({ type: 'UPDATE_ASSOCIATION', payload: data! });
+      return { data: data!, error: null };
+    },
+    [state.currentProject, state.dataModel.associations]
+  );
+
+  /**
+   * Delete an association
+   */
+  const deleteAssociation = useCallback(
+    async (associationId: string): Promise<RepositoryResponse<boolean>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.dataModel.associations?.find((a) => a.id === associationId);
+
+      // Optimistic update
+      dispatch({ type: 'DELETE_ASSOCIATION', payload: associationId });
+
+      const { error } = await projectRepository.deleteAssociation(
+        state.currentProject,
+        associationId
+      );
+
+      if (error) {
+        // Rollback optimistic update
+        if (original) {
+          dispatch({ type: 'ADD_ASSOCIATION', payload: original });
+        }
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      return { data: true, error: null };
+    },
+    [state.currentProject, state.dataModel.associations]
+  );
+
+  /**
+   * Add a core export file mapping
+   */
+  const addFieldMapping = useCallback(
+    async (mappingData: FieldMappingSet): Promise<RepositoryResponse<FieldMappingSet>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'ADD_FIELD_MAPPING', payload: mappingData });
+
+      const { data, error, validationErrors } = await projectRepository.addFieldMapping(
+        state.currentProject,
+        mappingData
+      );
+
+      if (error) {
+        // Rollback optimistic update
+        dispatch({ type: 'DELETE_FIELD_MAPPING', payload: mappingData.id });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage, validationErrors };
+      }
+
+      // Update with server data
+      dispatch({ type: 'UPDATE_FIELD_MAPPING', payload: data! });
+      return { data: data!, error: null };
+    },
+    [state.currentProject]
+  );
+
+  /**
+   * Update a field mapping
+   */
+  const updateFieldMapping = useCallback(
+    async (mappingId: string, updates: Partial<FieldMappingSet>): Promise<RepositoryResponse<FieldMappingSet>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.dataModel.mappings?.find((m) => m.id === mappingId);
+      if (original) {
+        dispatch({ type: 'UPDATE_FIELD_MAPPING', payload: { ...original, ...updates, id: mappingId } });
+      }
+
+      const { data, error, validationErrors } = await projectRepository.updateFieldMapping(
+        state.currentProject,
+        mappingId,
+        updates
+      );
+
+      if (error) {
+        // Rollback optimistic update
+        if (original) {
+          dispatch({ type: 'UPDATE_FIELD_MAPPING', payload: original });
+        }
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage, validationErrors };
+      }
+
+      // Update with server data
+      dispatch({ type: 'UPDATE_FIELD_MAPPING', payload: data! });
+      return { data: data!, error: null };
+    },
+    [state.currentProject, state.dataModel.mappings]
+  );
+
+  /**
+   * Delete a field mapping
+   */
+  const deleteFieldMapping = useCallback(
+    async (mappingId: string): Promise<RepositoryResponse<boolean>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.dataModel.mappings?.find((m) => m.id === mappingId);
+
+      // Optimistic update
+      dispatch({ type: 'DELETE_FIELD_MAPPING', payload: mappingId });
+
+      const { error } = await projectRepository.deleteFieldMapping(
+        state.currentProject,
+        mappingId
+      );
+
+      if (error) {
+        // Rollback optimistic update
+        if (original) {
+          dispatch({ type: 'ADD_FIELD_MAPPING', payload: original });
+        }
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      return { data: true, error: null };
+    },
+    [state.currentProject, state.dataModel.mappings]
+  );
+
   /**
    * Update client profile (basic information)
    */
@@ -872,6 +1266,15 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
         };
       }
 
+      // Check dependencies exist and do not form a cycle
+      const dependencyErrors = tagDependencyService.validateTag(tagData, [
+        ...(state.tags.library || []),
+        ...(state.tags.custom || []),
+      ]);
+      if (dependencyErrors.length > 0) {
+        return { data: null, error: dependencyErrors.join('. ') };
+      }
+
       // Optimistic update
       dispatch({ type: 'ADD_TAG', payload: tagData });
 
@@ -943,6 +1346,15 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
         }
       }
 
+      // Check dependencies exist and do not form a cycle
+      const dependencyErrors = tagDependencyService.validateTag(tagData, [
+        ...(state.tags.library || []),
+        ...(state.tags.custom || []),
+      ]);
+      if (dependencyErrors.length > 0) {
+        return { data: null, error: dependencyErrors.join('. ') };
+      }
+
       // Optimistic update
       dispatch({ type: 'UPDATE_TAG', payload: tagData });
 
@@ -976,9 +1388,14 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
 
   /**
    * Delete a tag
+   * Tags that other tags require are only deleted with `cascade`, which also
+   * deletes every tag that requires them, directly or indirectly.
    */
   const deleteTag = useCallback(
-    async (tagId: string): Promise<RepositoryResponse<{ id: string }>> => {
+    async (
+      tagId: string,
+      options: { cascade?: boolean } = {}
+    ): Promise<RepositoryResponse<{ id: string; removedIds: string[] }>> => {
       if (!state.currentProject) {
         return { data: null, error: 'No project selected' };
       }
@@ -998,14 +1415,31 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
         return { data: null, error: 'Tag not found' };
       }
 
-      // Optimistic update
-      dispatch({ type: 'DELETE_TAG', payload: tagId });
+      const dependents = tagDependencyService.getDependents(tagId, [
+        ...(state.tags.library || []),
+        ...(state.tags.custom || []),
+      ]);
+
+      if (dependents.length > 0 && !options.cascade) {
+        return {
+          data: null,
+          error: `"${original.name}" is required by ${dependents
+            .map((tag) => tag.name)
+            .join(', ')}. Delete those tags too or remove the dependency first.`,
+        };
+      }
 
+      const removedIds = [tagId, ...dependents.map((tag) => tag.id)];
+      const originalTags = state.tags;
       const updatedTags = {
         ...state.tags,
-        custom: (state.tags.custom || []).filter((tag) => tag.id !== tagId),
+        library: (state.tags.library || []).filter((tag) => !removedIds.includes(tag.id)),
+        custom: (state.tags.custom || []).filter((tag) => !removedIds.includes(tag.id)),
       };
 
+      // Optimistic update
+      dispatch({ type: 'UPDATE_TAGS', payload: updatedTags });
+
       const { error } = await projectRepository.updateProject(
         state.currentProject,
         { tags: updatedTags }
@@ -1013,7 +1447,7 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
 
       if (error) {
         // Rollback
-        dispatch({ type: 'ADD_TAG', payload: original });
+        dispatch({ type: 'UPDATE_TAGS', payload: originalTags });
         const errorMessage = typeof error === 'string' ? error : error.message;
         dispatch({
           type: 'SET_ERROR',
@@ -1022,7 +1456,7 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
         return { data: null, error: errorMessage };
       }
 
-      return { data: { id: tagId }, error: null };
+      return { data: { id: tagId, removedIds }, error: null };
     },
     [state.currentProject, state.tags]
   );
@@ -1093,6 +1527,348 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
     [state.currentProject, state.tags]
   );
 
+  /**
+   * Replace the project's copy of a library tag, e.g. after merging a
+   * library update into it
+   */
+  const updateLibraryTag = useCallback(
+    async (tagData: Tag): Promise<RepositoryResponse<Tag>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Check rate limit (30 updates per minute - same as custom tags)
+      try {
+        checkTagUpdateLimit();
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        return { data: null, error: errorMessage };
+      }
+
+      const original = (state.tags.library || []).find((tag) => tag.id === tagData.id);
+
+      if (!original) {
+        return { data: null, error: 'Tag not found' };
+      }
+
+      // Check tag name uniqueness if name changed (case-insensitive)
+      if (tagData.name.toLowerCase() !== original.name.toLowerCase()) {
+        const normalizedName = tagData.name.toLowerCase();
+        const duplicate = [...(state.tags.library || []), ...(state.tags.custom || [])].find(
+          (tag) => tag.id !== tagData.id && tag.name.toLowerCase() === normalizedName
+        );
+
+        if (duplicate) {
+          return {
+            data: null,
+            error: `Tag name "${tagData.name}" already exists. Please choose a different name.`,
+          };
+        }
+      }
+
+      const originalTags = state.tags;
+      const updatedTags = {
+        ...state.tags,
+        library: (state.tags.library || []).map((tag) => (tag.id === tagData.id ? tagData : tag)),
+      };
+
+      // Optimistic update
+      dispatch({ type: 'UPDATE_TAGS', payload: updatedTags });
+
+      const { error } = await projectRepository.updateProject(
+        state.currentProject,
+        { tags: updatedTags }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'UPDATE_TAGS', payload: originalTags });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      return { data: tagData, error: null };
+    },
+    [state.currentProject, state.tags]
+  );
+
+  /**
+   * Save a new simulator scenario on the project
+   */
+  const addScenario = useCallback(
+    async (scenarioData: Scenario): Promise<RepositoryResponse<Scenario>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'ADD_SCENARIO', payload: scenarioData });
+
+      const { error, validationErrors } = await projectRepository.updateProject(
+        state.currentProject,
+        { scenarios: [...state.scenarios, scenarioData] }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'DELETE_SCENARIO', payload: scenarioData.id });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage, validationErrors };
+      }
+
+      return { data: scenarioData, error: null };
+    },
+    [state.currentProject, state.scenarios]
+  );
+
+  /**
+   * Update an existing simulator scenario
+   */
+  const updateScenario = useCallback(
+    async (scenarioData: Scenario): Promise<RepositoryResponse<Scenario>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.scenarios.find((scenario) => scenario.id === scenarioData.id);
+
+      if (!original) {
+        return { data: null, error: 'Scenario not found' };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'UPDATE_SCENARIO', payload: scenarioData });
+
+      const { error, validationErrors } = await projectRepository.updateProject(
+        state.currentProject,
+        {
+          scenarios: state.scenarios.map((scenario) =>
+            scenario.id === scenarioData.id ? scenarioData : scenario
+          ),
+        }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'UPDATE_SCENARIO', payload: original });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage, validationErrors };
+      }
+
+      return { data: scenarioData, error: null };
+    },
+    [state.currentProject, state.scenarios]
+  );
+
+  /**
+   * Delete a simulator scenario
+   */
+  const deleteScenario = useCallback(
+    async (scenarioId: string): Promise<RepositoryResponse<{ id: string }>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.scenarios.find((scenario) => scenario.id === scenarioId);
+
+      if (!original) {
+        return { data: null, error: 'Scenario not found' };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'DELETE_SCENARIO', payload: scenarioId });
+
+      const { error } = await projectRepository.updateProject(
+        state.currentProject,
+        { scenarios: state.scenarios.filter((scenario) => scenario.id !== scenarioId) }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'ADD_SCENARIO', payload: original });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      return { data: { id: scenarioId }, error: null };
+    },
+    [state.currentProject, state.scenarios]
+  );
+
+  /**
+   * Add an event to the custom event registry
+   */
+  const addCustomEvent = useCallback(
+    async (eventData: CustomEventDefinition): Promise<RepositoryResponse<CustomEventDefinition>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      if (customEventService.findEvent(state.customEvents, eventData.name)) {
+        return { data: null, error: `An event named "${eventData.name}" is already registered` };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'ADD_CUSTOM_EVENT', payload: eventData });
+
+      const { error, validationErrors } = await projectRepository.updateProject(
+        state.currentProject,
+        { customEvents: [...state.customEvents, eventData] }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'DELETE_CUSTOM_EVENT', payload: eventData.id });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage, validationErrors };
+      }
+
+      return { data: eventData, error: null };
+    },
+    [state.currentProject, state.customEvents]
+  );
+
+  /**
+   * Update a registry event. Renaming it updates the activity rules that
+   * refer to the old internal name.
+   */
+  const updateCustomEvent = useCallback(
+    async (eventData: CustomEventDefinition): Promise<RepositoryResponse<CustomEventDefinition>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store originals for rollback
+      const original = state.customEvents.find((event) => event.id === eventData.id);
+
+      if (!original) {
+        return { data: null, error: 'Custom event not found' };
+      }
+
+      const duplicate = customEventService.findEvent(state.customEvents, eventData.name);
+      if (duplicate && duplicate.id !== eventData.id) {
+        return { data: null, error: `An event named "${eventData.name}" is already registered` };
+      }
+
+      const originalTags = state.tags;
+      const renamedTags = customEventService.renameEventInTags(
+        state.tags,
+        original.name,
+        eventData.name
+      );
+
+      // Optimistic update
+      dispatch({ type: 'UPDATE_CUSTOM_EVENT', payload: eventData });
+      if (renamedTags) {
+        dispatch({ type: 'UPDATE_TAGS', payload: renamedTags });
+      }
+
+      const { error, validationErrors } = await projectRepository.updateProject(
+        state.currentProject,
+        {
+          customEvents: state.customEvents.map((event) =>
+            event.id === eventData.id ? eventData : event
+          ),
+          ...(renamedTags ? { tags: renamedTags } : {}),
+        }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'UPDATE_CUSTOM_EVENT', payload: original });
+        if (renamedTags) {
+          dispatch({ type: 'UPDATE_TAGS', payload: originalTags });
+        }
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage, validationErrors },
+        });
+        return { data: null, error: errorMessage, validationErrors };
+      }
+
+      return { data: eventData, error: null };
+    },
+    [state.currentProject, state.customEvents, state.tags]
+  );
+
+  /**
+   * Remove an event from the registry. Events used by activity rules stay
+   * until those rules are changed.
+   */
+  const deleteCustomEvent = useCallback(
+    async (eventId: string): Promise<RepositoryResponse<{ id: string }>> => {
+      if (!state.currentProject) {
+        return { data: null, error: 'No project selected' };
+      }
+
+      // Store original for rollback
+      const original = state.customEvents.find((event) => event.id === eventId);
+
+      if (!original) {
+        return { data: null, error: 'Custom event not found' };
+      }
+
+      const usage = customEventService.getUsage(original.name, [
+        ...(state.tags.library || []),
+        ...(state.tags.custom || []),
+      ]);
+
+      if (usage.length > 0) {
+        return {
+          data: null,
+          error: `"${original.label}" is used by ${usage
+            .map((tagUsage) => tagUsage.tagName)
+            .join(', ')}. Remove it from those rules first.`,
+        };
+      }
+
+      // Optimistic update
+      dispatch({ type: 'DELETE_CUSTOM_EVENT', payload: eventId });
+
+      const { error } = await projectRepository.updateProject(
+        state.currentProject,
+        { customEvents: state.customEvents.filter((event) => event.id !== eventId) }
+      );
+
+      if (error) {
+        // Rollback
+        dispatch({ type: 'ADD_CUSTOM_EVENT', payload: original });
+        const errorMessage = typeof error === 'string' ? error : error.message;
+        dispatch({
+          type: 'SET_ERROR',
+          payload: { error: errorMessage },
+        });
+        return { data: null, error: errorMessage };
+      }
+
+      return { data: { id: eventId }, error: null };
+    },
+    [state.currentProject, state.customEvents, state.tags]
+  );
+
   const value: ProjectContextValue = {
     state,
     dispatch,
@@ -1110,11 +1886,26 @@ export function ProjectProvider({ children }: { children: ReactNode }) {
     addField,
     updateField,
     deleteField,
+    addAssociation,
+    updateAssociation,
+    deleteAssociation,
+    addFieldMapping,
+    updateFieldMapping,
+    deleteFieldMapping,
     // Tag operations
     addTag,
     updateTag,
     deleteTag,
     addTagFromLibrary,
+    updateLibraryTag,
+    // Scenario operations
+    addScenario,
+    updateScenario,
+    deleteScenario,
+    // Custom event operations
+    addCustomEvent,
+    updateCustomEvent,
+    deleteCustomEvent,
   };
 
   return <ProjectContext.Provider value={value}>{children}</ProjectContext.Provider>;
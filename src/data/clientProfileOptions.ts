@@ -0,0 +1,318 @@
+/**
+ * Client Profile Options
+ *
+ * Choices offered by the Client Profile forms, plus a description of every
+ * profile field grouped the way the forms present them. The field layout lets
+ * exporters render a profile with the same labels the strategist filled in.
+ */
+
+export interface ProfileOption {
+  value: string;
+  label: string;
+}
+
+export interface ProfileFieldDefinition {
+  name: string;
+  label: string;
+  type: 'text' | 'number' | 'select' | 'multiselect' | 'boolean';
+  options?: ProfileOption[];
+}
+
+export interface ProfileSection {
+  title: string;
+  source: 'basicInfo' | 'integrationSpecs';
+  fields: ProfileFieldDefinition[];
+}
+
+// ========== Basic Information ==========
+
+export const FI_TYPES: ProfileOption[] = [
+  { value: 'credit_union', label: 'Credit Union' },
+  { value: 'community_bank', label: 'Community Bank' },
+  { value: 'regional_bank', label: 'Regional Bank' },
+  { value: 'national_bank', label: 'National Bank' },
+];
+
+export const INSTITUTION_SIZES: ProfileOption[] = [
+  { value: 'small', label: 'Small (<10K members)' },
+  { value: 'medium', label: 'Medium (10-50K members)' },
+  { value: 'large', label: 'Large (50-250K members)' },
+  { value: 'enterprise', label: 'Enterprise (>250K members)' },
+];
+
+export const AGE_RANGES: ProfileOption[] = [
+  { value: '18-25', label: '18-25' },
+  { value: '26-35', label: '26-35' },
+  { value: '36-50', label: '36-50' },
+  { value: '51-65', label: '51-65' },
+  { value: '65+', label: '65+' },
+  { value: 'mixed', label: 'Mixed' },
+];
+
+export const MEMBER_PROFILES: ProfileOption[] = [
+  { value: 'consumer', label: 'Consumer' },
+  { value: 'small_business', label: 'Small Business' },
+  { value: 'mixed', label: 'Mixed' },
+];
+
+export const PRODUCT_OFFERINGS: ProfileOption[] = [
+  { value: 'checking', label: 'Checking Accounts' },
+  { value: 'savings', label: 'Savings Accounts' },
+  { value: 'cds', label: 'Certificates of Deposit' },
+  { value: 'auto_loans', label: 'Auto Loans' },
+  { value: 'personal_loans', label: 'Personal Loans' },
+  { value: 'mortgages', label: 'Mortgages' },
+  { value: 'heloc', label: 'Home Equity Loans/Lines' },
+  { value: 'credit_cards', label: 'Credit Cards' },
+  { value: 'business_loans', label: 'Business Loans' },
+  { value: 'investment_services', label: 'Investment Services' },
+];
+
+export const CORE_BANKING_SYSTEMS: ProfileOption[] = [
+  { value: 'symitar', label: 'Symitar' },
+  { value: 'dna', label: 'DNA' },
+  { value: 'corelation', label: 'Corelation' },
+  { value: 'fis', label: 'FIS' },
+  { value: 'jack_henry', label: 'Jack Henry' },
+  { value: 'other', label: 'Other' },
+];
+
+export const HUBSPOT_TIERS: ProfileOption[] = [
+  { value: '', label: 'None' },
+  { value: 'professional', label: 'Professional' },
+  { value: 'enterprise', label: 'Enterprise' },
+];
+
+// ========== Integration Specifications ==========
+
+export const EXPORT_METHODS: ProfileOption[] = [
+  { value: 'scheduled_file', label: 'Scheduled File Export' },
+  { value: 'api', label: 'API' },
+  { value: 'manual', label: 'Manual' },
+  { value: 'unknown', label: 'Unknown' },
+];
+
+export const EXPORT_FORMATS: ProfileOption[] = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xml', label: 'XML' },
+  { value: 'json', label: 'JSON' },
+  { value: 'fixed_width', label: 'Fixed-Width' },
+  { value: 'other', label: 'Other' },
+];
+
+export const EXPORT_FREQUENCIES: ProfileOption[] = [
+  { value: 'realtime', label: 'Real-time' },
+  { value: 'hourly', label: 'Hourly' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'on_demand', label: 'On-Demand' },
+];
+
+export const STORAGE_LOCATIONS: ProfileOption[] = [
+  { value: 'sftp', label: 'SFTP' },
+  { value: 'aws_s3', label: 'AWS S3' },
+  { value: 'azure_blob', label: 'Azure Blob Storage' },
+  { value: 'google_cloud', label: 'Google Cloud Storage' },
+  { value: 'other', label: 'Other' },
+];
+
+export const DATA_HANDLING_OPTIONS: ProfileOption[] = [
+  { value: 'not_exported', label: 'Not Exported' },
+  { value: 'hashed', label: 'Hashed at Source' },
+  { value: 'encrypted', label: 'Encrypted at Source' },
+  { value: 'plain_text', label: 'Plain Text (requires encryption)' },
+];
+
+export const ACCOUNT_HANDLING: ProfileOption[] = [
+  { value: 'masked', label: 'Masked' },
+  { value: 'encrypted', label: 'Encrypted' },
+  { value: 'plain_text', label: 'Plain Text' },
+];
+
+export const INTEGRATION_PLATFORMS: ProfileOption[] = [
+  { value: 'prismatic', label: 'Prismatic' },
+  { value: 'zapier', label: 'Zapier' },
+  { value: 'make', label: 'Make' },
+  { value: 'workato', label: 'Workato' },
+  { value: 'custom', label: 'Custom' },
+  { value: 'none', label: 'None' },
+];
+
+// ========== Profile Layout ==========
+
+export const CLIENT_PROFILE_SECTIONS: ProfileSection[] = [
+  {
+    title: 'FI Details',
+    source: 'basicInfo',
+    fields: [
+      { name: 'institutionName', label: 'Financial Institution Name', type: 'text' },
+      { name: 'fiType', label: 'FI Type', type: 'select', options: FI_TYPES },
+      { name: 'institutionSize', label: 'Institution Size', type: 'select', options: INSTITUTION_SIZES },
+      { name: 'primaryLocation', label: 'Primary Location', type: 'text' },
+      { name: 'websiteUrl', label: 'Website URL', type: 'text' },
+    ],
+  },
+  {
+    title: 'Member Demographics',
+    source: 'basicInfo',
+    fields: [
+      { name: 'totalMemberCount', label: 'Total Member Count', type: 'number' },
+      { name: 'newMembersPerMonth', label: 'New Members per Month', type: 'number' },
+      { name: 'averageMemberTenure', label: 'Average Member Tenure (months)', type: 'number' },
+      { name: 'primaryAgeRange', label: 'Primary Member Age Range', type: 'select', options: AGE_RANGES },
+      {
+        name: 'primaryMemberProfile',
+        label: 'Primary Member Profile',
+        type: 'select',
+        options: MEMBER_PROFILES,
+      },
+    ],
+  },
+  {
+    title: 'Product Offerings',
+    source: 'basicInfo',
+    fields: [
+      {
+        name: 'productOfferings',
+        label: 'Products Offered',
+        type: 'multiselect',
+        options: PRODUCT_OFFERINGS,
+      },
+    ],
+  },
+  {
+    title: 'Current Technology Stack',
+    source: 'basicInfo',
+    fields: [
+      {
+        name: 'coreBankingSystem',
+        label: 'Core Banking System',
+        type: 'select',
+        options: CORE_BANKING_SYSTEMS,
+      },
+      { name: 'currentCRM', label: 'Current CRM/Marketing Platform', type: 'text' },
+      { name: 'currentWebsitePlatform', label: 'Current Website Platform', type: 'text' },
+      { name: 'analyticsTools', label: 'Analytics Tools', type: 'text' },
+    ],
+  },
+  {
+    title: 'HubSpot Environment',
+    source: 'basicInfo',
+    fields: [
+      { name: 'hubspotAccountId', label: 'HubSpot Account ID', type: 'text' },
+      { name: 'marketingHubTier', label: 'Marketing Hub Tier', type: 'select', options: HUBSPOT_TIERS },
+      { name: 'salesHubTier', label: 'Sales Hub Tier', type: 'select', options: HUBSPOT_TIERS },
+      { name: 'serviceHubTier', label: 'Service Hub Tier', type: 'select', options: HUBSPOT_TIERS },
+      {
+        name: 'operationsHubTier',
+        label: 'Operations Hub Tier',
+        type: 'select',
+        options: HUBSPOT_TIERS,
+      },
+    ],
+  },
+  {
+    title: 'Export Capabilities',
+    source: 'integrationSpecs',
+    fields: [
+      { name: 'exportMethod', label: 'Export Method', type: 'select', options: EXPORT_METHODS },
+      { name: 'exportFormat', label: 'Export Format', type: 'select', options: EXPORT_FORMATS },
+      {
+        name: 'exportFrequency',
+        label: 'Export Frequency',
+        type: 'select',
+        options: EXPORT_FREQUENCIES,
+      },
+      { name: 'exportTime', label: 'Export Time (if scheduled)', type: 'text' },
+      {
+        name: 'fileStorageLocation',
+        label: 'File Storage Location',
+        type: 'select',
+        options: STORAGE_LOCATIONS,
+      },
+    ],
+  },
+  {
+    title: 'Data Security',
+    source: 'integrationSpecs',
+    fields: [
+      { name: 'ssnHandling', label: 'SSN Handling', type: 'select', options: DATA_HANDLING_OPTIONS },
+      {
+        name: 'accountNumberHandling',
+        label: 'Account Number Handling',
+        type: 'select',
+        options: ACCOUNT_HANDLING,
+      },
+      { name: 'pciCompliance', label: 'PCI Compliance Required', type: 'boolean' },
+      { name: 'glbaCompliance', label: 'GLBA Compliance Required', type: 'boolean' },
+      { name: 'dataRetentionDays', label: 'Data Retention Policy (days)', type: 'number' },
+    ],
+  },
+  {
+    title: 'Integration Partner',
+    source: 'integrationSpecs',
+    fields: [
+      {
+        name: 'integrationPlatform',
+        label: 'Integration Platform',
+        type: 'select',
+        options: INTEGRATION_PLATFORMS,
+      },
+      { name: 'apiRateLimitsKnown', label: 'API Rate Limits Known', type: 'boolean' },
+      {
+        name: 'realtimeWebhooksAvailable',
+        label: 'Real-time Webhooks Available',
+        type: 'boolean',
+      },
+    ],
+  },
+];
+
+/**
+ * Display text for a profile value, using option labels where the field has
+ * options. Empty values return an empty string.
+ */
+export function formatProfileValue(field: ProfileFieldDefinition, value: unknown): string {
+  if (value === undefined || value === null || value === '') return '';
+
+  const optionLabel = (v: unknown) =>
+    field.options?.find((opt) => opt.value === v)?.label || String(v);
+
+  switch (field.type) {
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'multiselect':
+      return Array.isArray(value) ? value.map(optionLabel).join(', ') : optionLabel(value);
+    case 'select':
+      return optionLabel(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Compliance gaps in the integration specifications, shown on the
+ * Integration Specifications form and in the implementation report
+ */
+export function getSecurityWarnings(specs: Record<string, unknown> | undefined): string[] {
+  const warnings: string[] = [];
+  const retentionDays = Number(specs?.dataRetentionDays);
+
+  if (specs?.ssnHandling === 'plain_text') {
+    warnings.push('SSN data should be hashed or encrypted before export for security compliance');
+  }
+
+  if (specs?.accountNumberHandling === 'plain_text') {
+    warnings.push('Account numbers should be masked or encrypted for PCI/GLBA compliance');
+  }
+
+  if (specs?.pciCompliance && specs?.accountNumberHandling === 'plain_text') {
+    warnings.push('PCI compliance requires account number protection');
+  }
+
+  if (!(retentionDays >= 1)) {
+    warnings.push('Data retention policy should be specified for compliance');
+  }
+
+  return warnings;
+}
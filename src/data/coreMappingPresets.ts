@@ -0,0 +1,350 @@
+import type { FieldTransform, PiiType } from '../types/fieldMapping';
+
+/**
+ * Field mapping presets per core banking system
+ *
+ * Each preset lists the export files a core typically produces, their
+ * columns, and which Member or Account template field each column loads
+ * into. Loan files load into the Account template, which carries the loan
+ * balance, rate and payment fields. Columns without a target field are
+ * expected in the file but have no template field; they are listed so the
+ * mapping shows the whole file.
+ *
+ * Product type codes are configured per institution on most cores, so type
+ * columns only get a value map where the core uses fixed codes.
+ */
+
+export interface CorePresetColumn {
+  sourceColumn: string;
+  /** Template field name the column loads into */
+  targetField?: string;
+  transform?: FieldTransform;
+  piiType?: PiiType;
+}
+
+export interface CorePresetFile {
+  exportFileName: string;
+  format: string;
+  /** Object template whose object the rows load into */
+  templateId: string;
+  description: string;
+  columns: CorePresetColumn[];
+}
+
+export interface CoreMappingPreset {
+  /** CORE_BANKING_SYSTEMS value */
+  coreSystem: string;
+  label: string;
+  files: CorePresetFile[];
+}
+
+const HASH: FieldTransform = { type: 'hash', algorithm: 'sha256' };
+const date = (sourceFormat: string): FieldTransform =>
+  ({ type: 'date_format', sourceFormat }) as FieldTransform;
+
+export const CORE_MAPPING_PRESETS: CoreMappingPreset[] = [
+  {
+    coreSystem: 'symitar',
+    label: 'Symitar',
+    files: [
+      {
+        exportFileName: 'symitar_members.csv',
+        format: 'csv',
+        templateId: 'template_member',
+        description: 'PowerOn extract with one row per membership and its primary name record',
+        columns: [
+          { sourceColumn: 'ACCOUNT_NUMBER', targetField: 'member_id_hash', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'SSN', targetField: 'ssn_hash', transform: HASH, piiType: 'ssn' },
+          { sourceColumn: 'FIRST_NAME', targetField: 'first_name' },
+          { sourceColumn: 'LAST_NAME', targetField: 'last_name' },
+          { sourceColumn: 'EMAIL', targetField: 'email' },
+          { sourceColumn: 'BIRTH_DATE', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'BRANCH' },
+        ],
+      },
+      {
+        exportFileName: 'symitar_shares.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'PowerOn extract with one row per open or recently closed share',
+        columns: [
+          { sourceColumn: 'ACCOUNT_NUMBER', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'SHARE_ID', targetField: 'account_suffix' },
+          { sourceColumn: 'SHARE_TYPE' },
+          { sourceColumn: 'BALANCE', targetField: 'current_balance' },
+          { sourceColumn: 'AVAILABLE_BALANCE', targetField: 'available_balance' },
+          { sourceColumn: 'OPEN_DATE', targetField: 'open_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'CLOSE_DATE', targetField: 'close_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'MATURITY_DATE', targetField: 'maturity_date', transform: date('MM/DD/YYYY') },
+        ],
+      },
+      {
+        exportFileName: 'symitar_loans.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'PowerOn extract with one row per open or recently closed loan',
+        columns: [
+          { sourceColumn: 'ACCOUNT_NUMBER', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'LOAN_ID', targetField: 'account_suffix' },
+          { sourceColumn: 'LOAN_TYPE' },
+          { sourceColumn: 'BALANCE', targetField: 'principal_balance' },
+          { sourceColumn: 'ORIGINAL_BALANCE', targetField: 'original_balance' },
+          { sourceColumn: 'INTEREST_RATE', targetField: 'interest_rate' },
+          { sourceColumn: 'PAYMENT', targetField: 'payment_amount' },
+          { sourceColumn: 'CREDIT_LIMIT', targetField: 'credit_limit' },
+          { sourceColumn: 'DUE_DATE', targetField: 'next_payment_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'MATURITY_DATE', targetField: 'maturity_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'OPEN_DATE', targetField: 'open_date', transform: date('MM/DD/YYYY') },
+        ],
+      },
+    ],
+  },
+  {
+    coreSystem: 'dna',
+    label: 'DNA',
+    files: [
+      {
+        exportFileName: 'dna_persons.csv',
+        format: 'csv',
+        templateId: 'template_member',
+        description: 'Person extract with one row per person',
+        columns: [
+          { sourceColumn: 'PERSNBR', targetField: 'member_id_hash', transform: HASH },
+          { sourceColumn: 'TAXID', targetField: 'ssn_hash', transform: HASH, piiType: 'ssn' },
+          { sourceColumn: 'FIRSTNAME', targetField: 'first_name' },
+          { sourceColumn: 'LASTNAME', targetField: 'last_name' },
+          { sourceColumn: 'EMAILADDR', targetField: 'email' },
+          { sourceColumn: 'DATEBIRTH', transform: date('YYYY-MM-DD') },
+        ],
+      },
+      {
+        exportFileName: 'dna_deposit_accounts.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'Account extract filtered to deposit major types',
+        columns: [
+          { sourceColumn: 'ACCTNBR', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          {
+            sourceColumn: 'MJACCTTYPCD',
+            targetField: 'account_type',
+            transform: {
+              type: 'value_map',
+              values: [
+                { source: 'CK', target: 'checking' },
+                { source: 'SAV', target: 'savings' },
+                { source: 'TD', target: 'cd' },
+              ],
+            },
+          },
+          { sourceColumn: 'CURRACCTSTATCD' },
+          { sourceColumn: 'NOTEBAL', targetField: 'current_balance' },
+          { sourceColumn: 'CONTRACTDATE', targetField: 'open_date', transform: date('YYYY-MM-DD') },
+          { sourceColumn: 'CLOSEDATE', targetField: 'close_date', transform: date('YYYY-MM-DD') },
+          { sourceColumn: 'DATEMAT', targetField: 'maturity_date', transform: date('YYYY-MM-DD') },
+        ],
+      },
+      {
+        exportFileName: 'dna_loan_accounts.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'Account extract filtered to loan major types',
+        columns: [
+          { sourceColumn: 'ACCTNBR', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          {
+            sourceColumn: 'MJACCTTYPCD',
+            targetField: 'account_type',
+            transform: {
+              type: 'value_map',
+              values: [
+                { source: 'CNS', target: 'personal_loan' },
+                { source: 'MTG', target: 'mortgage' },
+              ],
+            },
+          },
+          { sourceColumn: 'CURRACCTSTATCD' },
+          { sourceColumn: 'NOTEBAL', targetField: 'principal_balance' },
+          { sourceColumn: 'NOTEINTRATE', targetField: 'interest_rate' },
+          { sourceColumn: 'PMTAMT', targetField: 'payment_amount' },
+          { sourceColumn: 'CREDITLIMITAMT', targetField: 'credit_limit' },
+          { sourceColumn: 'CONTRACTDATE', targetField: 'open_date', transform: date('YYYY-MM-DD') },
+          { sourceColumn: 'DATEMAT', targetField: 'maturity_date', transform: date('YYYY-MM-DD') },
+        ],
+      },
+    ],
+  },
+  {
+    coreSystem: 'corelation',
+    label: 'Corelation',
+    files: [
+      {
+        exportFileName: 'keystone_persons.csv',
+        format: 'csv',
+        templateId: 'template_member',
+        description: 'KeyStone query export with one row per person',
+        columns: [
+          { sourceColumn: 'PERSON_SERIAL', targetField: 'member_id_hash', transform: HASH },
+          { sourceColumn: 'TIN', targetField: 'ssn_hash', transform: HASH, piiType: 'ssn' },
+          { sourceColumn: 'FIRST_NAME', targetField: 'first_name' },
+          { sourceColumn: 'LAST_NAME', targetField: 'last_name' },
+          { sourceColumn: 'EMAIL_ADDRESS', targetField: 'email' },
+          { sourceColumn: 'BIRTH_DATE', transform: date('YYYY-MM-DD') },
+        ],
+      },
+      {
+        exportFileName: 'keystone_shares.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'KeyStone query export with one row per share',
+        columns: [
+          { sourceColumn: 'ACCOUNT_NUMBER', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'SHARE_ID', targetField: 'account_suffix' },
+          { sourceColumn: 'SHARE_TYPE_SERIAL' },
+          { sourceColumn: 'BALANCE', targetField: 'current_balance' },
+          { sourceColumn: 'AVAILABLE_BALANCE', targetField: 'available_balance' },
+          { sourceColumn: 'OPEN_DATE', targetField: 'open_date', transform: date('YYYY-MM-DD') },
+          { sourceColumn: 'CLOSE_DATE', targetField: 'close_date', transform: date('YYYY-MM-DD') },
+          { sourceColumn: 'MATURITY_DATE', targetField: 'maturity_date', transform: date('YYYY-MM-DD') },
+        ],
+      },
+      {
+        exportFileName: 'keystone_loans.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'KeyStone query export with one row per loan',
+        columns: [
+          { sourceColumn: 'ACCOUNT_NUMBER', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'LOAN_ID', targetField: 'account_suffix' },
+          { sourceColumn: 'LOAN_TYPE_SERIAL' },
+          { sourceColumn: 'BALANCE', targetField: 'principal_balance' },
+          { sourceColumn: 'ORIGINAL_BALANCE', targetField: 'original_balance' },
+          { sourceColumn: 'INTEREST_RATE', targetField: 'interest_rate' },
+          { sourceColumn: 'PAYMENT', targetField: 'payment_amount' },
+          { sourceColumn: 'CREDIT_LIMIT', targetField: 'credit_limit' },
+          { sourceColumn: 'NEXT_DUE_DATE', targetField: 'next_payment_date', transform: date('YYYY-MM-DD') },
+          { sourceColumn: 'MATURITY_DATE', targetField: 'maturity_date', transform: date('YYYY-MM-DD') },
+        ],
+      },
+    ],
+  },
+  {
+    coreSystem: 'fis',
+    label: 'FIS',
+    files: [
+      {
+        exportFileName: 'fis_cif.dat',
+        format: 'fixed_width',
+        templateId: 'template_member',
+        description: 'Customer information file with one row per customer',
+        columns: [
+          { sourceColumn: 'CIF_NBR', targetField: 'member_id_hash', transform: HASH },
+          { sourceColumn: 'TAX_ID_NBR', targetField: 'ssn_hash', transform: HASH, piiType: 'ssn' },
+          { sourceColumn: 'CUST_FIRST_NM', targetField: 'first_name' },
+          { sourceColumn: 'CUST_LAST_NM', targetField: 'last_name' },
+          { sourceColumn: 'EMAIL_ADDR', targetField: 'email' },
+          { sourceColumn: 'BIRTH_DT', transform: date('YYYYMMDD') },
+        ],
+      },
+      {
+        exportFileName: 'fis_deposits.dat',
+        format: 'fixed_width',
+        templateId: 'template_account',
+        description: 'Deposit master extract with one row per account',
+        columns: [
+          { sourceColumn: 'ACCT_NBR', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'ACCT_TYPE_CD' },
+          { sourceColumn: 'CUR_BAL', targetField: 'current_balance' },
+          { sourceColumn: 'AVAIL_BAL', targetField: 'available_balance' },
+          { sourceColumn: 'OPEN_DT', targetField: 'open_date', transform: date('YYYYMMDD') },
+          { sourceColumn: 'CLOSE_DT', targetField: 'close_date', transform: date('YYYYMMDD') },
+          { sourceColumn: 'MAT_DT', targetField: 'maturity_date', transform: date('YYYYMMDD') },
+        ],
+      },
+      {
+        exportFileName: 'fis_loans.dat',
+        format: 'fixed_width',
+        templateId: 'template_account',
+        description: 'Loan master extract with one row per note',
+        columns: [
+          { sourceColumn: 'ACCT_NBR', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'LOAN_TYPE_CD' },
+          { sourceColumn: 'PRIN_BAL', targetField: 'principal_balance' },
+          { sourceColumn: 'ORIG_BAL', targetField: 'original_balance' },
+          { sourceColumn: 'INT_RATE', targetField: 'interest_rate' },
+          { sourceColumn: 'PMT_AMT', targetField: 'payment_amount' },
+          { sourceColumn: 'NEXT_DUE_DT', targetField: 'next_payment_date', transform: date('YYYYMMDD') },
+          { sourceColumn: 'MAT_DT', targetField: 'maturity_date', transform: date('YYYYMMDD') },
+          { sourceColumn: 'DAYS_PAST_DUE', targetField: 'days_delinquent' },
+        ],
+      },
+    ],
+  },
+  {
+    coreSystem: 'jack_henry',
+    label: 'Jack Henry',
+    files: [
+      {
+        exportFileName: 'jh_customers.csv',
+        format: 'csv',
+        templateId: 'template_member',
+        description: 'CIF extract with one row per customer',
+        columns: [
+          { sourceColumn: 'CIF_NUMBER', targetField: 'member_id_hash', transform: HASH },
+          { sourceColumn: 'TAX_ID', targetField: 'ssn_hash', transform: HASH, piiType: 'ssn' },
+          { sourceColumn: 'FIRST_NAME', targetField: 'first_name' },
+          { sourceColumn: 'LAST_NAME', targetField: 'last_name' },
+          { sourceColumn: 'EMAIL_ADDRESS', targetField: 'email' },
+          { sourceColumn: 'DATE_OF_BIRTH', transform: date('MM/DD/YYYY') },
+        ],
+      },
+      {
+        exportFileName: 'jh_deposits.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'Deposit extract with one row per DDA, savings or time account',
+        columns: [
+          { sourceColumn: 'ACCOUNT_NUMBER', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          {
+            sourceColumn: 'ACCOUNT_TYPE',
+            targetField: 'account_type',
+            transform: {
+              type: 'value_map',
+              values: [
+                { source: 'D', target: 'checking' },
+                { source: 'S', target: 'savings' },
+                { source: 'T', target: 'cd' },
+              ],
+            },
+          },
+          { sourceColumn: 'CURRENT_BALANCE', targetField: 'current_balance' },
+          { sourceColumn: 'AVAILABLE_BALANCE', targetField: 'available_balance' },
+          { sourceColumn: 'DATE_OPENED', targetField: 'open_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'DATE_CLOSED', targetField: 'close_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'MATURITY_DATE', targetField: 'maturity_date', transform: date('MM/DD/YYYY') },
+        ],
+      },
+      {
+        exportFileName: 'jh_loans.csv',
+        format: 'csv',
+        templateId: 'template_account',
+        description: 'Loan extract with one row per note',
+        columns: [
+          { sourceColumn: 'LOAN_NUMBER', targetField: 'account_number', transform: HASH, piiType: 'account_number' },
+          { sourceColumn: 'LOAN_TYPE' },
+          { sourceColumn: 'PRINCIPAL_BALANCE', targetField: 'principal_balance' },
+          { sourceColumn: 'ORIGINAL_AMOUNT', targetField: 'original_balance' },
+          { sourceColumn: 'INTEREST_RATE', targetField: 'interest_rate' },
+          { sourceColumn: 'PAYMENT_AMOUNT', targetField: 'payment_amount' },
+          { sourceColumn: 'NEXT_DUE_DATE', targetField: 'next_payment_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'MATURITY_DATE', targetField: 'maturity_date', transform: date('MM/DD/YYYY') },
+          { sourceColumn: 'DAYS_PAST_DUE', targetField: 'days_delinquent' },
+        ],
+      },
+    ],
+  },
+];
+
+/**
+ * Preset for a core banking system, if one ships
+ */
+export const getCorePreset = (coreSystem: string | undefined): CoreMappingPreset | undefined =>
+  CORE_MAPPING_PRESETS.find((preset) => preset.coreSystem === coreSystem);
@@ -0,0 +1,168 @@
+/**
+ * HubSpot Standard Objects
+ *
+ * Where a data model object can be created in HubSpot, and the default
+ * properties each standard object already ships with. Exports use the default
+ * property names to warn before creating a property HubSpot already has.
+ *
+ * Property names from the CRM v3 properties API:
+ * - https://knowledge.hubspot.com/properties/hubspots-default-contact-properties
+ * - https://knowledge.hubspot.com/properties/hubspot-crm-default-company-properties
+ * - https://knowledge.hubspot.com/properties/hubspots-default-deal-properties
+ */
+
+export type HubSpotStandardObjectType = 'contacts' | 'companies' | 'deals';
+
+export type HubSpotObjectTarget = 'custom' | HubSpotStandardObjectType;
+
+export interface HubSpotStandardObject {
+  type: HubSpotStandardObjectType;
+  label: string;
+  singularLabel: string;
+  associationType: string; // Value for a custom schema's associatedObjects
+  objectTypeId: string; // CRM object type ID, used by list filters
+  defaultGroup: string;
+  defaultProperties: string[];
+}
+
+export const HUBSPOT_STANDARD_OBJECTS: Record<HubSpotStandardObjectType, HubSpotStandardObject> = {
+  contacts: {
+    type: 'contacts',
+    label: 'Contacts',
+    singularLabel: 'Contact',
+    associationType: 'CONTACT',
+    objectTypeId: '0-1',
+    defaultGroup: 'contactinformation',
+    defaultProperties: [
+      'address',
+      'annualrevenue',
+      'associatedcompanyid',
+      'city',
+      'closedate',
+      'company',
+      'country',
+      'createdate',
+      'date_of_birth',
+      'degree',
+      'email',
+      'fax',
+      'first_deal_created_date',
+      'firstname',
+      'gender',
+      'graduation_date',
+      'hubspot_owner_id',
+      'industry',
+      'job_function',
+      'jobtitle',
+      'lastmodifieddate',
+      'lastname',
+      'lifecyclestage',
+      'marital_status',
+      'message',
+      'military_status',
+      'mobilephone',
+      'notes_last_updated',
+      'num_associated_deals',
+      'numemployees',
+      'phone',
+      'recent_deal_amount',
+      'relationship_status',
+      'salutation',
+      'school',
+      'seniority',
+      'state',
+      'total_revenue',
+      'twitterhandle',
+      'website',
+      'work_email',
+      'zip',
+    ],
+  },
+  companies: {
+    type: 'companies',
+    label: 'Companies',
+    singularLabel: 'Company',
+    associationType: 'COMPANY',
+    objectTypeId: '0-2',
+    defaultGroup: 'companyinformation',
+    defaultProperties: [
+      'about_us',
+      'address',
+      'address2',
+      'annualrevenue',
+      'city',
+      'closedate',
+      'country',
+      'createdate',
+      'description',
+      'domain',
+      'facebook_company_page',
+      'founded_year',
+      'hubspot_owner_id',
+      'industry',
+      'is_public',
+      'lifecyclestage',
+      'linkedin_company_page',
+      'name',
+      'notes_last_updated',
+      'num_associated_contacts',
+      'num_associated_deals',
+      'numberofemployees',
+      'phone',
+      'state',
+      'timezone',
+      'total_money_raised',
+      'total_revenue',
+      'twitterhandle',
+      'type',
+      'web_technologies',
+      'website',
+      'zip',
+    ],
+  },
+  deals: {
+    type: 'deals',
+    label: 'Deals',
+    singularLabel: 'Deal',
+    associationType: 'DEAL',
+    objectTypeId: '0-3',
+    defaultGroup: 'dealinformation',
+    defaultProperties: [
+      'amount',
+      'amount_in_home_currency',
+      'closed_lost_reason',
+      'closed_won_reason',
+      'closedate',
+      'createdate',
+      'days_to_close',
+      'deal_currency_code',
+      'dealname',
+      'dealstage',
+      'dealtype',
+      'description',
+      'hubspot_owner_id',
+      'notes_last_updated',
+      'num_associated_contacts',
+      'num_contacted_notes',
+      'num_notes',
+      'pipeline',
+    ],
+  },
+};
+
+// Options for choosing where an object lands in HubSpot
+export const HUBSPOT_OBJECT_TARGETS: Array<{ value: HubSpotObjectTarget; label: string }> = [
+  { value: 'custom', label: 'Custom object' },
+  { value: 'contacts', label: 'Contacts (standard)' },
+  { value: 'companies', label: 'Companies (standard)' },
+  { value: 'deals', label: 'Deals (standard)' },
+];
+
+/**
+ * Standard object an object lands on, or undefined for custom objects
+ */
+export function getStandardObject(target: string | undefined): HubSpotStandardObject | undefined {
+  return target && target !== 'custom'
+    ? HUBSPOT_STANDARD_OBJECTS[target as HubSpotStandardObjectType]
+    : undefined;
+}
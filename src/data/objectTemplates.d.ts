@@ -0,0 +1,31 @@
+/**
+ * Type declarations for the object templates
+ */
+
+export interface ObjectTemplateField {
+  name: string;
+  label: string;
+  description?: string;
+  dataType: string;
+  fieldType: string;
+  required?: boolean;
+  unique?: boolean;
+  indexed?: boolean;
+  options?: Array<{ label: string; value: string; isDefault?: boolean }>;
+}
+
+export interface ObjectTemplate {
+  id: string;
+  name: string;
+  label: string;
+  description: string;
+  icon: string;
+  category: string;
+  tags: string[];
+  fields: ObjectTemplateField[];
+}
+
+export const OBJECT_TEMPLATES: ObjectTemplate[];
+export function getTemplateById(templateId: string): ObjectTemplate | null;
+export function getTemplatesByCategory(category: string): ObjectTemplate[];
+export function searchTemplates(query: string): ObjectTemplate[];
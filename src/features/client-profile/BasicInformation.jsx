@@ -3,63 +3,17 @@ import { useProject } from '../../context/ProjectContext-v2';
 import Card from '../../components/ui/Card';
 import FormField from '../../components/ui/FormField';
 import { AlertCircle, CheckCircle2 } from 'lucide-react';
-
-const FI_TYPES = [
-  { value: 'credit_union', label: 'Credit Union' },
-  { value: 'community_bank', label: 'Community Bank' },
-  { value: 'regional_bank', label: 'Regional Bank' },
-  { value: 'national_bank', label: 'National Bank' },
-];
-
-const INSTITUTION_SIZES = [
-  { value: 'small', label: 'Small (<10K members)' },
-  { value: 'medium', label: 'Medium (10-50K members)' },
-  { value: 'large', label: 'Large (50-250K members)' },
-  { value: 'enterprise', label: 'Enterprise (>250K members)' },
-];
-
-const AGE_RANGES = [
-  { value: '18-25', label: '18-25' },
-  { value: '26-35', label: '26-35' },
-  { value: '36-50', label: '36-50' },
-  { value: '51-65', label: '51-65' },
-  { value: '65+', label: '65+' },
-  { value: 'mixed', label: 'Mixed' },
-];
-
-const MEMBER_PROFILES = [
-  { value: 'consumer', label: 'Consumer' },
-  { value: 'small_business', label: 'Small Business' },
-  { value: 'mixed', label: 'Mixed' },
-];
-
-const PRODUCT_OFFERINGS = [
-  { value: 'checking', label: 'Checking Accounts' },
-  { value: 'savings', label: 'Savings Accounts' },
-  { value: 'cds', label: 'Certificates of Deposit' },
-  { value: 'auto_loans', label: 'Auto Loans' },
-  { value: 'personal_loans', label: 'Personal Loans' },
-  { value: 'mortgages', label: 'Mortgages' },
-  { value: 'heloc', label: 'Home Equity Loans/Lines' },
-  { value: 'credit_cards', label: 'Credit Cards' },
-  { value: 'business_loans', label: 'Business Loans' },
-  { value: 'investment_services', label: 'Investment Services' },
-];
-
-const CORE_BANKING_SYSTEMS = [
-  { value: 'symitar', label: 'Symitar' },
-  { value: 'dna', label: 'DNA' },
-  { value: 'corelation', label: 'Corelation' },
-  { value: 'fis', label: 'FIS' },
-  { value: 'jack_henry', label: 'Jack Henry' },
-  { value: 'other', label: 'Other' },
-];
-
-const HUBSPOT_TIERS = [
-  { value: '', label: 'None' },
-  { value: 'professional', label: 'Professional' },
-  { value: 'enterprise', label: 'Enterprise' },
-];
+import CorePresetModal from '../data-model/components/CorePresetModal';
+import corePresetService from '../../services/CorePresetService';
+import {
+  FI_TYPES,
+  INSTITUTION_SIZES,
+  AGE_RANGES,
+  MEMBER_PROFILES,
+  PRODUCT_OFFERINGS,
+  CORE_BANKING_SYSTEMS,
+  HUBSPOT_TIERS,
+} from '../../data/clientProfileOptions';
 
 function BasicInformation() {
   const { state, updateClientProfile } = useProject();
@@ -90,6 +44,7 @@ function BasicInformation() {
   const [saved, setSaved] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  const [showCorePresetModal, setShowCorePresetModal] = useState(false);
 
   // Load existing data
   useEffect(() => {
@@ -152,6 +107,7 @@ function BasicInformation() {
     setSaveError(null);
     setSaved(false);
 
+    const previousCore = state.clientProfile?.basicInfo?.coreBankingSystem;
     const { error } = await updateClientProfile({
       basicInfo: formData,
     });
@@ -165,6 +121,16 @@ function BasicInformation() {
 
     setSaved(true);
     setTimeout(() => setSaved(false), 3000);
+
+    // Offer the core's mapping preset for review when the core is first set or changed
+    const preset = corePresetService.getPreset(formData.coreBankingSystem);
+    if (
+      preset &&
+      formData.coreBankingSystem !== previousCore &&
+      !corePresetService.isApplied(preset, state.dataModel || {})
+    ) {
+      setShowCorePresetModal(true);
+    }
   };
 
   return (
@@ -407,6 +373,12 @@ function BasicInformation() {
           {isSaving ? 'Saving...' : 'Save Basic Information'}
         </button>
       </div>
+
+      <CorePresetModal
+        isOpen={showCorePresetModal}
+        onClose={() => setShowCorePresetModal(false)}
+        coreSystem={formData.coreBankingSystem}
+      />
     </div>
   );
 }
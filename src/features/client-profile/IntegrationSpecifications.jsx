@@ -3,59 +3,16 @@ import { useProject } from '../../context/ProjectContext-v2';
 import Card from '../../components/ui/Card';
 import FormField from '../../components/ui/FormField';
 import { AlertTriangle, CheckCircle2, Shield } from 'lucide-react';
-
-const EXPORT_METHODS = [
-  { value: 'scheduled_file', label: 'Scheduled File Export' },
-  { value: 'api', label: 'API' },
-  { value: 'manual', label: 'Manual' },
-  { value: 'unknown', label: 'Unknown' },
-];
-
-const EXPORT_FORMATS = [
-  { value: 'csv', label: 'CSV' },
-  { value: 'xml', label: 'XML' },
-  { value: 'json', label: 'JSON' },
-  { value: 'fixed_width', label: 'Fixed-Width' },
-  { value: 'other', label: 'Other' },
-];
-
-const EXPORT_FREQUENCIES = [
-  { value: 'realtime', label: 'Real-time' },
-  { value: 'hourly', label: 'Hourly' },
-  { value: 'daily', label: 'Daily' },
-  { value: 'weekly', label: 'Weekly' },
-  { value: 'on_demand', label: 'On-Demand' },
-];
-
-const STORAGE_LOCATIONS = [
-  { value: 'sftp', label: 'SFTP' },
-  { value: 'aws_s3', label: 'AWS S3' },
-  { value: 'azure_blob', label: 'Azure Blob Storage' },
-  { value: 'google_cloud', label: 'Google Cloud Storage' },
-  { value: 'other', label: 'Other' },
-];
-
-const DATA_HANDLING_OPTIONS = [
-  { value: 'not_exported', label: 'Not Exported' },
-  { value: 'hashed', label: 'Hashed at Source' },
-  { value: 'encrypted', label: 'Encrypted at Source' },
-  { value: 'plain_text', label: 'Plain Text (requires encryption)' },
-];
-
-const ACCOUNT_HANDLING = [
-  { value: 'masked', label: 'Masked' },
-  { value: 'encrypted', label: 'Encrypted' },
-  { value: 'plain_text', label: 'Plain Text' },
-];
-
-const INTEGRATION_PLATFORMS = [
-  { value: 'prismatic', label: 'Prismatic' },
-  { value: 'zapier', label: 'Zapier' },
-  { value: 'make', label: 'Make' },
-  { value: 'workato', label: 'Workato' },
-  { value: 'custom', label: 'Custom' },
-  { value: 'none', label: 'None' },
-];
+import {
+  EXPORT_METHODS,
+  EXPORT_FORMATS,
+  EXPORT_FREQUENCIES,
+  STORAGE_LOCATIONS,
+  DATA_HANDLING_OPTIONS,
+  ACCOUNT_HANDLING,
+  INTEGRATION_PLATFORMS,
+  getSecurityWarnings,
+} from '../../data/clientProfileOptions';
 
 function IntegrationSpecifications() {
   const { state, updateIntegrationSpecs } = useProject();
@@ -89,25 +46,7 @@ function IntegrationSpecifications() {
 
   // Check for security warnings
   useEffect(() => {
-    const newWarnings = [];
-
-    if (formData.ssnHandling === 'plain_text') {
-      newWarnings.push('SSN data should be hashed or encrypted before export for security compliance');
-    }
-
-    if (formData.accountNumberHandling === 'plain_text') {
-      newWarnings.push('Account numbers should be masked or encrypted for PCI/GLBA compliance');
-    }
-
-    if (formData.pciCompliance && formData.accountNumberHandling === 'plain_text') {
-      newWarnings.push('PCI compliance requires account number protection');
-    }
-
-    if (!formData.dataRetentionDays || formData.dataRetentionDays < 1) {
-      newWarnings.push('Data retention policy should be specified for compliance');
-    }
-
-    setWarnings(newWarnings);
+    setWarnings(getSecurityWarnings(formData));
   }, [formData]);
 
   const handleChange = (e) => {
@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Plus, Activity, Edit2, Trash2 } from 'lucide-react';
+import { useProject } from '../../context/ProjectContext-v2';
+import Card from '../../components/ui/Card';
+import CustomEventModal from './components/CustomEventModal';
+import customEventService from '../../services/CustomEventService';
+
+const PROPERTY_TYPE_LABELS = {
+  string: 'text',
+  number: 'number',
+  enumeration: 'enum',
+  datetime: 'date/time',
+};
+
+function CustomEvents() {
+  const { state, addCustomEvent, updateCustomEvent, deleteCustomEvent } = useProject();
+  const [showModal, setShowModal] = useState(false);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const events = state.customEvents || [];
+  const allTags = useMemo(
+    () => [...(state.tags?.library || []), ...(state.tags?.custom || [])],
+    [state.tags]
+  );
+
+  const handleAddEvent = () => {
+    setSelectedEvent(null);
+    setShowModal(true);
+  };
+
+  const handleEditEvent = (event) => {
+    setSelectedEvent(event);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setSelectedEvent(null);
+  };
+
+  const handleSave = async (eventData) => {
+    const result = selectedEvent ? await updateCustomEvent(eventData) : await addCustomEvent(eventData);
+    if (!result.error) {
+      toast.success(selectedEvent ? 'Custom event updated' : 'Custom event added');
+    }
+    return result;
+  };
+
+  const handleDelete = async (event) => {
+    if (!window.confirm(`Are you sure you want to delete the event "${event.label}"?`)) {
+      return;
+    }
+
+    const { error } = await deleteCustomEvent(event.id);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    toast.success('Custom event deleted');
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900">Custom Events</h2>
+          <p className="text-slate-600 mt-1">
+            Register the custom behavioral events and properties activity rules can use
+          </p>
+        </div>
+        <button
+          onClick={handleAddEvent}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+        >
+          <Plus className="w-5 h-5" />
+          Add Custom Event
+        </button>
+      </div>
+
+      {/* Event List or Empty State */}
+      {events.length > 0 ? (
+        <div>
+          <p className="mb-4 text-sm text-slate-600">
+            {events.length} custom event{events.length !== 1 ? 's' : ''}
+          </p>
+          <div className="space-y-4">
+            {events.map((event) => {
+              const usage = customEventService.getUsage(event.name, allTags);
+
+              return (
+                <Card key={event.id} className="group">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="flex-1 min-w-0">
+                      <h3 className="text-lg font-semibold text-slate-900">{event.label}</h3>
+                      <code className="text-xs text-slate-500">{event.name}</code>
+                      <p className="text-sm text-slate-600 mt-2">
+                        {event.description || 'No description provided'}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <button
+                        onClick={() => handleEditEvent(event)}
+                        className="p-2 text-slate-400 hover:text-primary-600 hover:bg-primary-50 rounded transition-colors"
+                        title="Edit event"
+                      >
+                        <Edit2 className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(event)}
+                        className="p-2 text-slate-400 hover:text-error-600 hover:bg-error-50 rounded transition-colors"
+                        title="Delete event"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Properties */}
+                  {event.properties.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-4">
+                      {event.properties.map((property) => (
+                        <span
+                          key={property.id}
+                          className="px-2 py-0.5 text-xs bg-slate-100 text-slate-700 rounded"
+                          title={property.description || property.label}
+                        >
+                          <span className="font-mono">{property.name}</span>
+                          <span className="text-slate-400"> · {PROPERTY_TYPE_LABELS[property.type]}</span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="pt-3 mt-4 border-t border-slate-200 text-sm text-slate-600">
+                    {usage.length > 0
+                      ? `Used by ${usage.length} tag${usage.length !== 1 ? 's' : ''}: ${usage
+                          .map((entry) => entry.tagName)
+                          .join(', ')}`
+                      : 'Not used by any tag yet'}
+                  </div>
+                </Card>
+              );
+            })}
+          </div>
+        </div>
+      ) : (
+        <Card>
+          <div className="text-center py-12">
+            <Activity className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-slate-900 mb-2">No Custom Events Yet</h3>
+            <p className="text-slate-600 mb-6">
+              Register the behavioral events this implementation will send to HubSpot
+            </p>
+            <button
+              onClick={handleAddEvent}
+              className="inline-flex items-center gap-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+            >
+              <Plus className="w-5 h-5" />
+              Add Your First Event
+            </button>
+          </div>
+        </Card>
+      )}
+
+      {/* Event Modal */}
+      <CustomEventModal
+        isOpen={showModal}
+        onClose={handleCloseModal}
+        onSave={handleSave}
+        event={selectedEvent}
+        existingEvents={events}
+      />
+    </div>
+  );
+}
+
+export default CustomEvents;
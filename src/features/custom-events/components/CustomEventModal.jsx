@@ -0,0 +1,400 @@
+import React, { useState, useEffect } from 'react';
+import { X, AlertCircle, Plus, Trash2 } from 'lucide-react';
+import { generateId } from '../../../utils/idGenerator';
+import FormField from '../../../components/ui/FormField';
+import validationService from '../../../services/ValidationService';
+import customEventService from '../../../services/CustomEventService';
+import { CUSTOM_EVENT_PROPERTY_TYPES } from '../../../schemas/customEventSchema';
+
+const PROPERTY_TYPE_LABELS = {
+  string: 'Text',
+  number: 'Number',
+  enumeration: 'Enumeration',
+  datetime: 'Date/Time',
+};
+
+const NO_EVENTS = [];
+
+const emptyProperty = () => ({
+  id: generateId(),
+  name: '',
+  label: '',
+  type: 'string',
+  description: '',
+  optionsText: '',
+  nameManuallyEdited: false,
+});
+
+// Options are edited as a comma-separated list of labels; existing values are kept
+const parseOptions = (text, previous = []) =>
+  text
+    .split(',')
+    .map((label) => label.trim())
+    .filter(Boolean)
+    .map((label) => ({
+      label,
+      value:
+        previous.find((option) => option.label === label)?.value ||
+        customEventService.toEventName(label),
+    }));
+
+/**
+ * Add or edit a custom behavioral event in the project's registry: its label,
+ * the internal name HubSpot assigns (pe<portalId>_<event_name>) and the typed
+ * properties activity rules can filter on.
+ */
+function CustomEventModal({ isOpen, onClose, onSave, event = null, existingEvents = NO_EVENTS }) {
+  const isEditing = !!event;
+
+  const [formData, setFormData] = useState({
+    label: '',
+    portalId: '',
+    eventName: '',
+    description: '',
+    properties: [],
+  });
+  const [errors, setErrors] = useState({});
+  const [saveError, setSaveError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [nameManuallyEdited, setNameManuallyEdited] = useState(false);
+
+  // Initialize form data
+  useEffect(() => {
+    if (event) {
+      const { portalId, eventName } = customEventService.parseInternalName(event.name);
+      setFormData({
+        label: event.label,
+        portalId,
+        eventName,
+        description: event.description || '',
+        properties: (event.properties || []).map((property) => ({
+          ...property,
+          optionsText: (property.options || []).map((option) => option.label).join(', '),
+          nameManuallyEdited: true,
+        })),
+      });
+      setNameManuallyEdited(true);
+    } else {
+      setFormData({
+        label: '',
+        portalId: customEventService.getPortalId(existingEvents),
+        eventName: '',
+        description: '',
+        properties: [],
+      });
+      setNameManuallyEdited(false);
+    }
+    setErrors({});
+    setSaveError(null);
+  }, [event, isOpen, existingEvents]);
+
+  const internalName = customEventService.buildInternalName(formData.portalId, formData.eventName);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+      // Auto-generate event name from label if not manually edited
+      ...(name === 'label' && !nameManuallyEdited
+        ? { eventName: customEventService.toEventName(value) }
+        : {}),
+    }));
+    setErrors((prev) => ({ ...prev, [name]: null, name: null }));
+  };
+
+  const handleEventNameChange = (e) => {
+    setFormData((prev) => ({ ...prev, eventName: e.target.value }));
+    setNameManuallyEdited(true);
+    setErrors((prev) => ({ ...prev, name: null }));
+  };
+
+  // Event properties management
+  const handleAddProperty = () => {
+    setFormData((prev) => ({ ...prev, properties: [...prev.properties, emptyProperty()] }));
+  };
+
+  const handlePropertyChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      properties: prev.properties.map((property, i) => {
+        if (i !== index) return property;
+        const updated = { ...property, [field]: value };
+        if (field === 'label' && !property.nameManuallyEdited) {
+          updated.name = customEventService.toEventName(value);
+        }
+        if (field === 'name') {
+          updated.nameManuallyEdited = true;
+        }
+        return updated;
+      }),
+    }));
+    setErrors((prev) => ({ ...prev, properties: null }));
+  };
+
+  const handleRemoveProperty = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      properties: prev.properties.filter((_, i) => i !== index),
+    }));
+  };
+
+  const buildEvent = () => ({
+    id: event?.id || generateId(),
+    label: formData.label.trim(),
+    name: internalName,
+    description: formData.description.trim(),
+    properties: formData.properties.map((property) => ({
+      id: property.id,
+      name: property.name.trim(),
+      label: property.label.trim(),
+      type: property.type,
+      description: (property.description || '').trim(),
+      ...(property.type === 'enumeration'
+        ? { options: parseOptions(property.optionsText, property.options) }
+        : {}),
+    })),
+    createdAt: event?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+
+  const validate = (eventData) => {
+    const newErrors = {};
+    const result = validationService.validateCustomEvent(eventData);
+
+    if (!result.valid) {
+      result.errors.forEach(({ field, message }) => {
+        // Property errors are shown once, above the property list
+        const key = field.startsWith('properties') ? 'properties' : field;
+        if (!newErrors[key]) {
+          newErrors[key] = key === 'properties' && field !== 'properties'
+            ? `Property ${Number(field.split('.')[1]) + 1}: ${message}`
+            : message;
+        }
+      });
+    }
+
+    if (!formData.portalId.trim()) {
+      newErrors.name = 'HubSpot portal ID is required';
+    } else if (
+      existingEvents.some((existing) => existing.id !== event?.id && existing.name === eventData.name)
+    ) {
+      newErrors.name = 'Another event already uses this internal name';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const eventData = buildEvent();
+    if (!validate(eventData)) {
+      return;
+    }
+
+    setIsSaving(true);
+    setSaveError(null);
+    const { error } = await onSave(eventData);
+    setIsSaving(false);
+
+    if (error) {
+      setSaveError(typeof error === 'string' ? error : 'Failed to save event');
+      return;
+    }
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-slate-900">
+            {isEditing ? 'Edit Custom Event' : 'Add Custom Event'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <FormField
+            label="Event Label"
+            name="label"
+            value={formData.label}
+            onChange={handleChange}
+            error={errors.label}
+            required
+            placeholder="e.g., Account Login"
+            helpText="Name shown in rule builders and documentation"
+          />
+
+          <div className="grid grid-cols-3 gap-4">
+            <FormField
+              label="HubSpot Portal ID"
+              name="portalId"
+              value={formData.portalId}
+              onChange={handleChange}
+              required
+              placeholder="e.g., 1234567"
+            />
+            <div className="col-span-2">
+              <FormField
+                label="Event Name"
+                name="eventName"
+                value={formData.eventName}
+                onChange={handleEventNameChange}
+                required
+                placeholder="e.g., account_login"
+                helpText="Lowercase letters, numbers and underscores"
+              />
+            </div>
+          </div>
+          <div className="-mt-3">
+            <p className="text-sm text-slate-600">
+              Internal name: <code className="font-mono text-slate-900">{internalName}</code>
+            </p>
+            {errors.name && <p className="text-xs text-error-600 mt-1">{errors.name}</p>}
+            {isEditing && event.name !== internalName && (
+              <p className="text-xs text-blue-600 mt-1">
+                Activity rules that use {event.name} will be updated to the new name.
+              </p>
+            )}
+          </div>
+
+          <FormField
+            label="Description"
+            name="description"
+            type="textarea"
+            value={formData.description}
+            onChange={handleChange}
+            error={errors.description}
+            placeholder="When is this event sent, and by which system?"
+            helpText="Optional description for documentation"
+          />
+
+          {/* Event Properties */}
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <label className="block text-sm font-medium text-slate-700">Event Properties</label>
+              <button
+                type="button"
+                onClick={handleAddProperty}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add Property
+              </button>
+            </div>
+
+            {errors.properties && (
+              <p className="text-sm text-error-600 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                {errors.properties}
+              </p>
+            )}
+
+            {formData.properties.length === 0 ? (
+              <div className="text-center py-6 bg-slate-50 rounded-lg border-2 border-dashed border-slate-200">
+                <p className="text-sm text-slate-600">
+                  No properties defined. Activity rules can filter on the properties listed here.
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {formData.properties.map((property, index) => (
+                  <div key={property.id} className="p-3 bg-slate-50 rounded-lg space-y-2">
+                    <div className="flex items-start gap-2">
+                      <div className="flex-1 grid grid-cols-3 gap-3">
+                        <input
+                          type="text"
+                          placeholder="Label (e.g., Channel)"
+                          aria-label="Property label"
+                          value={property.label}
+                          onChange={(e) => handlePropertyChange(index, 'label', e.target.value)}
+                          className="px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Name (e.g., channel)"
+                          aria-label="Property name"
+                          value={property.name}
+                          onChange={(e) => handlePropertyChange(index, 'name', e.target.value)}
+                          className="px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm font-mono"
+                        />
+                        <select
+                          aria-label="Property type"
+                          value={property.type}
+                          onChange={(e) => handlePropertyChange(index, 'type', e.target.value)}
+                          className="px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                        >
+                          {CUSTOM_EVENT_PROPERTY_TYPES.map((type) => (
+                            <option key={type} value={type}>
+                              {PROPERTY_TYPE_LABELS[type]}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveProperty(index)}
+                        className="p-2 text-slate-400 hover:text-error-600 transition-colors"
+                        title="Remove property"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                    {property.type === 'enumeration' && (
+                      <input
+                        type="text"
+                        placeholder="Options, comma-separated (e.g., Mobile, Web, Branch)"
+                        aria-label="Property options"
+                        value={property.optionsText}
+                        onChange={(e) => handlePropertyChange(index, 'optionsText', e.target.value)}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {saveError && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+              {saveError}
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-slate-600 hover:text-slate-900 font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : isEditing ? 'Save Changes' : 'Add Event'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default CustomEventModal;
@@ -1,5 +1,15 @@
 import React, { useState } from 'react';
-import { Plus, Database } from 'lucide-react';
+import {
+  Plus,
+  Database,
+  ArrowRight,
+  Edit2,
+  Trash2,
+  LayoutGrid,
+  Network,
+  FileText,
+  PackageCheck,
+} from 'lucide-react';
 import { useProject } from '../../context/ProjectContext-v2';
 import Card from '../../components/ui/Card';
 import ObjectCard from './components/ObjectCard';
@@ -7,20 +17,42 @@ import TemplateLibrary from './components/TemplateLibrary';
 import ObjectModal from './components/ObjectModal';
 import DeleteObjectModal from './components/DeleteObjectModal';
 import ObjectDetailModal from './components/ObjectDetailModal';
+import AssociationModal from './components/AssociationModal';
+import DataModelDiagram from './components/DataModelDiagram';
+import FieldMappingModal from './components/FieldMappingModal';
+import CorePresetModal from './components/CorePresetModal';
+import { ASSOCIATION_TYPE_LABELS } from '../../utils/associations';
+import fieldMappingService from '../../services/FieldMappingService';
+import corePresetService from '../../services/CorePresetService';
+import { EXPORT_FORMATS } from '../../data/clientProfileOptions';
 
 function DataModel() {
-  const { state, duplicateCustomObject } = useProject();
+  const { state, duplicateCustomObject, deleteAssociation, deleteFieldMapping } = useProject();
   const [showTemplateLibrary, setShowTemplateLibrary] = useState(false);
   const [selectedObject, setSelectedObject] = useState(null);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [showObjectModal, setShowObjectModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [showAssociationModal, setShowAssociationModal] = useState(false);
+  const [selectedAssociation, setSelectedAssociation] = useState(null);
+  const [associationDefaults, setAssociationDefaults] = useState(null);
+  const [showFieldMappingModal, setShowFieldMappingModal] = useState(false);
+  const [selectedFieldMapping, setSelectedFieldMapping] = useState(null);
+  const [showCorePresetModal, setShowCorePresetModal] = useState(false);
+  const [viewMode, setViewMode] = useState('grid');
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
   const objects = state.dataModel?.objects || [];
   const associations = state.dataModel?.associations || [];
+  const fieldMappings = state.dataModel?.mappings || [];
+  const coreSystem = state.clientProfile?.basicInfo?.coreBankingSystem;
+  const corePreset = corePresetService.getPreset(coreSystem);
+  const canApplyCorePreset =
+    !!corePreset && !corePresetService.isApplied(corePreset, state.dataModel || {});
+  const projectName =
+    state.projects.find((p) => p.id === state.currentProject)?.name || 'Untitled Project';
 
   const handleAddObject = () => {
     setShowTemplateLibrary(true);
@@ -65,6 +97,77 @@ function DataModel() {
     setShowDetailModal(true);
   };
 
+  const getObjectLabel = (objectId) => {
+    const object = objects.find((obj) => obj.id === objectId);
+    return object ? object.label || object.name : 'Deleted object';
+  };
+
+  const getFormatLabel = (format) =>
+    EXPORT_FORMATS.find((option) => option.value === format)?.label || format;
+
+  const handleAddAssociation = () => {
+    setSelectedAssociation(null);
+    setAssociationDefaults(null);
+    setShowAssociationModal(true);
+  };
+
+  // Dragging from one diagram node to another starts a new association
+  const handleConnectObjects = (fromObjectId, toObjectId) => {
+    setSelectedAssociation(null);
+    setAssociationDefaults({ fromObjectId, toObjectId });
+    setShowAssociationModal(true);
+  };
+
+  const handleEditAssociation = (association) => {
+    setSelectedAssociation(association);
+    setShowAssociationModal(true);
+  };
+
+  const handleDeleteAssociation = async (association) => {
+    if (!window.confirm(`Are you sure you want to delete the association "${association.label}"?`)) {
+      return;
+    }
+
+    setError(null);
+    const { error: deleteError } = await deleteAssociation(association.id);
+    if (deleteError) {
+      setError(`Failed to delete association: ${deleteError}`);
+    }
+  };
+
+  const handleCloseAssociationModal = () => {
+    setShowAssociationModal(false);
+    setSelectedAssociation(null);
+    setAssociationDefaults(null);
+  };
+
+  const handleAddFieldMapping = () => {
+    setSelectedFieldMapping(null);
+    setShowFieldMappingModal(true);
+  };
+
+  const handleEditFieldMapping = (mapping) => {
+    setSelectedFieldMapping(mapping);
+    setShowFieldMappingModal(true);
+  };
+
+  const handleDeleteFieldMapping = async (mapping) => {
+    if (!window.confirm(`Are you sure you want to delete the mapping for "${mapping.exportFileName}"?`)) {
+      return;
+    }
+
+    setError(null);
+    const { error: deleteError } = await deleteFieldMapping(mapping.id);
+    if (deleteError) {
+      setError(`Failed to delete field mapping: ${deleteError}`);
+    }
+  };
+
+  const handleCloseFieldMappingModal = () => {
+    setShowFieldMappingModal(false);
+    setSelectedFieldMapping(null);
+  };
+
   const handleCloseObjectModal = () => {
     setShowObjectModal(false);
     setSelectedObject(null);
@@ -127,23 +230,61 @@ function DataModel() {
             <p className="text-sm text-slate-600">
               {objects.length} custom object{objects.length !== 1 ? 's' : ''}
             </p>
-            <div className="text-sm text-slate-500">
-              {objects.reduce((sum, obj) => sum + (obj.fields?.length || 0), 0)} total fields
+            <div className="flex items-center gap-4">
+              <div className="text-sm text-slate-500">
+                {objects.reduce((sum, obj) => sum + (obj.fields?.length || 0), 0)} total fields
+              </div>
+              <div className="flex items-center border border-slate-300 rounded-lg overflow-hidden">
+                <button
+                  onClick={() => setViewMode('grid')}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 text-sm transition-colors ${
+                    viewMode === 'grid'
+                      ? 'bg-primary-600 text-white'
+                      : 'text-slate-600 hover:bg-slate-50'
+                  }`}
+                  aria-pressed={viewMode === 'grid'}
+                >
+                  <LayoutGrid className="w-4 h-4" />
+                  Grid
+                </button>
+                <button
+                  onClick={() => setViewMode('diagram')}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 text-sm transition-colors ${
+                    viewMode === 'diagram'
+                      ? 'bg-primary-600 text-white'
+                      : 'text-slate-600 hover:bg-slate-50'
+                  }`}
+                  aria-pressed={viewMode === 'diagram'}
+                >
+                  <Network className="w-4 h-4" />
+                  Diagram
+                </button>
+              </div>
             </div>
           </div>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {objects.map((object) => (
-              <ObjectCard
-                key={object.id}
-                object={object}
-                associations={associations}
-                onEdit={handleEditObject}
-                onDuplicate={handleDuplicateObject}
-                onDelete={handleDeleteObject}
-                onViewDetails={handleViewDetails}
-              />
-            ))}
-          </div>
+          {viewMode === 'diagram' ? (
+            <DataModelDiagram
+              dataModel={state.dataModel}
+              projectName={projectName}
+              onSelectObject={handleViewDetails}
+              onSelectAssociation={handleEditAssociation}
+              onCreateAssociation={handleConnectObjects}
+            />
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {objects.map((object) => (
+                <ObjectCard
+                  key={object.id}
+                  object={object}
+                  associations={associations}
+                  onEdit={handleEditObject}
+                  onDuplicate={handleDuplicateObject}
+                  onDelete={handleDeleteObject}
+                  onViewDetails={handleViewDetails}
+                />
+              ))}
+            </div>
+          )}
         </div>
       ) : (
         <Card>
@@ -164,6 +305,160 @@ function DataModel() {
         </Card>
       )}
 
+      {/* Associations */}
+      {objects.length > 0 && (
+        <Card
+          title="Associations"
+          subtitle="How objects relate to each other and to HubSpot standard objects"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-slate-600">
+              {associations.length} association{associations.length !== 1 ? 's' : ''}
+            </p>
+            <button
+              onClick={handleAddAssociation}
+              className="flex items-center gap-2 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+            >
+              <Plus className="w-4 h-4" />
+              Add Association
+            </button>
+          </div>
+          {associations.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              Link objects so tag rules and exports can follow them from one record to another.
+            </p>
+          ) : (
+            <ul className="divide-y divide-slate-100">
+              {associations.map((association) => (
+                <li key={association.id} className="flex items-center gap-3 py-3">
+                  <div className="flex items-center gap-2 flex-1 min-w-0">
+                    <span className="font-medium text-slate-900">
+                      {getObjectLabel(association.fromObjectId)}
+                    </span>
+                    <ArrowRight className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                    <span className="font-medium text-slate-900">
+                      {getObjectLabel(association.toObjectId)}
+                    </span>
+                    <span className="text-sm text-slate-500 truncate">
+                      · {association.label} ·{' '}
+                      {ASSOCIATION_TYPE_LABELS[association.type] || association.type}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleEditAssociation(association)}
+                    className="p-2 text-slate-400 hover:text-primary-600 transition-colors"
+                    title="Edit association"
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteAssociation(association)}
+                    className="p-2 text-slate-400 hover:text-error-600 transition-colors"
+                    title="Delete association"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      )}
+
+      {/* Field Mappings */}
+      {(objects.length > 0 || canApplyCorePreset) && (
+        <Card
+          title="Field Mappings"
+          subtitle="Which core export file columns load into which object fields"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-slate-600">
+              {fieldMappings.length} export file{fieldMappings.length !== 1 ? 's' : ''}
+            </p>
+            <div className="flex items-center gap-2">
+              {canApplyCorePreset && (
+                <button
+                  onClick={() => setShowCorePresetModal(true)}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm border border-primary-600 text-primary-600 rounded-lg hover:bg-primary-50 transition-colors font-medium"
+                >
+                  <PackageCheck className="w-4 h-4" />
+                  Apply {corePreset.label} Preset
+                </button>
+              )}
+              {objects.length > 0 && (
+                <button
+                  onClick={handleAddFieldMapping}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Field Mapping
+                </button>
+              )}
+            </div>
+          </div>
+          {fieldMappings.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              Describe each file the core system exports and map its columns to fields.
+            </p>
+          ) : (
+            <ul className="divide-y divide-slate-100">
+              {fieldMappings.map((mapping) => {
+                const issues = fieldMappingService.findIssues(
+                  mapping,
+                  objects.find((obj) => obj.id === mapping.targetObjectId)
+                );
+                const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+                const warningCount = issues.length - errorCount;
+                const mappedCount = mapping.mappings.filter((column) => column.targetFieldId).length;
+
+                return (
+                  <li key={mapping.id} className="flex items-center gap-3 py-3">
+                    <FileText className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                    <div className="flex items-center gap-2 flex-1 min-w-0">
+                      <span className="font-mono text-sm font-medium text-slate-900 truncate">
+                        {mapping.exportFileName}
+                      </span>
+                      <ArrowRight className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                      <span className="font-medium text-slate-900">
+                        {getObjectLabel(mapping.targetObjectId)}
+                      </span>
+                      <span className="text-sm text-slate-500 truncate">
+                        · {getFormatLabel(mapping.format)} · {mappedCount}/{mapping.mappings.length}{' '}
+                        columns mapped
+                      </span>
+                    </div>
+                    {errorCount > 0 && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-error-50 text-error-700">
+                        {errorCount} error{errorCount !== 1 ? 's' : ''}
+                      </span>
+                    )}
+                    {warningCount > 0 && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-warning-50 text-warning-700">
+                        {warningCount} warning{warningCount !== 1 ? 's' : ''}
+                      </span>
+                    )}
+                    <button
+                      onClick={() => handleEditFieldMapping(mapping)}
+                      className="p-2 text-slate-400 hover:text-primary-600 transition-colors"
+                      title="Edit field mapping"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteFieldMapping(mapping)}
+                      className="p-2 text-slate-400 hover:text-error-600 transition-colors"
+                      title="Delete field mapping"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Card>
+      )}
+
       {/* Template Library Modal */}
       <TemplateLibrary
         isOpen={showTemplateLibrary}
@@ -186,6 +481,28 @@ function DataModel() {
         object={selectedObject}
       />
 
+      {/* Association Modal */}
+      <AssociationModal
+        isOpen={showAssociationModal}
+        onClose={handleCloseAssociationModal}
+        association={selectedAssociation}
+        defaults={associationDefaults}
+      />
+
+      {/* Field Mapping Modal */}
+      <FieldMappingModal
+        isOpen={showFieldMappingModal}
+        onClose={handleCloseFieldMappingModal}
+        mapping={selectedFieldMapping}
+      />
+
+      {/* Core Preset Modal */}
+      <CorePresetModal
+        isOpen={showCorePresetModal}
+        onClose={() => setShowCorePresetModal(false)}
+        coreSystem={coreSystem}
+      />
+
       {/* Object Detail Modal */}
       <ObjectDetailModal
         isOpen={showDetailModal}
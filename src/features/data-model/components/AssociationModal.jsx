@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { X, AlertCircle } from 'lucide-react';
+import { useProject } from '../../../context/ProjectContext-v2';
+import { generateId } from '../../../utils/idGenerator';
+import { generateApiName } from '../../../schemas/objectSchema';
+import { HUBSPOT_STANDARD_OBJECTS } from '../../../data/hubspotStandardObjects';
+import { ASSOCIATION_TYPE_LABELS } from '../../../utils/associations';
+import validationService from '../../../services/ValidationService';
+import FormField from '../../../components/ui/FormField';
+
+// Option values for HubSpot standard objects not yet in the data model
+const STANDARD_PREFIX = 'hubspot:';
+
+const STANDARD_ICONS = {
+  contacts: 'User',
+  companies: 'Building2',
+  deals: 'Briefcase',
+};
+
+function AssociationModal({ isOpen, onClose, association = null, defaults = null }) {
+  const { state, addCustomObject, deleteCustomObject, addAssociation, updateAssociation } =
+    useProject();
+  const isEditing = !!association;
+  const objects = state.dataModel?.objects || [];
+
+  const [formData, setFormData] = useState({
+    fromObjectId: '',
+    toObjectId: '',
+    type: 'one_to_many',
+    label: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  // Initialize form data
+  useEffect(() => {
+    if (association) {
+      setFormData({
+        fromObjectId: association.fromObjectId,
+        toObjectId: association.toObjectId,
+        type: association.type,
+        label: association.label,
+      });
+    } else {
+      setFormData({
+        fromObjectId: defaults?.fromObjectId || '',
+        toObjectId: defaults?.toObjectId || '',
+        type: 'one_to_many',
+        label: '',
+      });
+    }
+    setErrors({});
+    setSubmitError(null);
+  }, [association, defaults, isOpen]);
+
+  // Standard objects can be picked even before an object is mapped to them
+  const standardOptions = Object.values(HUBSPOT_STANDARD_OBJECTS).filter(
+    (standard) => !objects.some((obj) => obj.hubspotObject === standard.type)
+  );
+
+  const getOptionLabel = (value) => {
+    if (value.startsWith(STANDARD_PREFIX)) {
+      return HUBSPOT_STANDARD_OBJECTS[value.slice(STANDARD_PREFIX.length)]?.singularLabel || value;
+    }
+    const object = objects.find((obj) => obj.id === value);
+    return object?.label || object?.name || value;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!formData.fromObjectId) newErrors.fromObjectId = 'Choose the object the association starts from';
+    if (!formData.toObjectId) newErrors.toObjectId = 'Choose the associated object';
+    if (!formData.type) newErrors.type = 'Choose a cardinality';
+    if (!formData.label.trim()) newErrors.label = 'Association label is required';
+
+    // Objects created from a standard option are new, so only existing pairs can clash
+    if (
+      !newErrors.label &&
+      formData.fromObjectId &&
+      formData.toObjectId &&
+      !validationService.isAssociationUnique(
+        { ...formData, id: association?.id },
+        state.dataModel?.associations || []
+      )
+    ) {
+      newErrors.label = 'These objects already have an association with this label';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Resolve a standard object option to a data model object, creating it if needed
+  const resolveObjectId = async (value) => {
+    if (!value.startsWith(STANDARD_PREFIX)) return { id: value };
+
+    const standard = HUBSPOT_STANDARD_OBJECTS[value.slice(STANDARD_PREFIX.length)];
+    const name = standard.singularLabel.toLowerCase();
+    const { data, error } = await addCustomObject({
+      id: generateId(),
+      name,
+      label: standard.singularLabel,
+      description: `HubSpot standard ${standard.singularLabel} object`,
+      apiName: generateApiName(name, state.currentProject || 'client'),
+      icon: STANDARD_ICONS[standard.type] || 'Database',
+      hubspotObject: standard.type,
+      fields: [],
+    });
+    return error ? { error } : { id: data.id, created: true };
+  };
+
+  // Undo standard objects created for an association that was not saved
+  const discardCreated = async (...resolved) => {
+    for (const { id, created } of new Set(resolved)) {
+      if (created) await deleteCustomObject(id);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+
+    const from = await resolveObjectId(formData.fromObjectId);
+    const to =
+      formData.toObjectId === formData.fromObjectId ? from : await resolveObjectId(formData.toObjectId);
+    if (from.error || to.error) {
+      await discardCreated(from, to);
+      setIsSubmitting(false);
+      setSubmitError(from.error || to.error);
+      return;
+    }
+
+    const associationData = {
+      fromObjectId: from.id,
+      toObjectId: to.id,
+      type: formData.type,
+      label: formData.label.trim(),
+    };
+
+    const result = isEditing
+      ? await updateAssociation(association.id, associationData)
+      : await addAssociation({ id: generateId(), ...associationData, createdAt: new Date() });
+
+    if (result.error) {
+      await discardCreated(from, to);
+      setIsSubmitting(false);
+      setSubmitError(result.error.message || result.error);
+      return;
+    }
+
+    setIsSubmitting(false);
+
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const objectOptions = [
+    ...objects.map((obj) => ({ value: obj.id, label: obj.label || obj.name })),
+    ...standardOptions.map((standard) => ({
+      value: `${STANDARD_PREFIX}${standard.type}`,
+      label: `${standard.singularLabel} (HubSpot standard)`,
+    })),
+  ];
+
+  const typeOptions = Object.entries(ASSOCIATION_TYPE_LABELS).map(([value, label]) => ({
+    value,
+    label,
+  }));
+
+  const describeCardinality = () => {
+    const from = getOptionLabel(formData.fromObjectId);
+    const to = getOptionLabel(formData.toObjectId);
+    switch (formData.type) {
+      case 'one_to_one':
+        return `Each ${from} record relates to exactly one ${to} record`;
+      case 'one_to_many':
+        return `Each ${from} record relates to many ${to} records; each ${to} record has one ${from}`;
+      default:
+        return `${from} and ${to} records can each relate to many of the other`;
+    }
+  };
+
+  const cardinalityHelp =
+    formData.fromObjectId && formData.toObjectId && formData.type
+      ? describeCardinality()
+      : 'How many records can sit on each side of the association';
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-slate-900">
+            {isEditing ? 'Edit Association' : 'Add Association'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <FormField
+            label="From Object"
+            name="fromObjectId"
+            type="select"
+            value={formData.fromObjectId}
+            onChange={handleChange}
+            options={objectOptions}
+            error={errors.fromObjectId}
+            required
+          />
+
+          <FormField
+            label="To Object"
+            name="toObjectId"
+            type="select"
+            value={formData.toObjectId}
+            onChange={handleChange}
+            options={objectOptions}
+            error={errors.toObjectId}
+            required
+            helpText="Standard objects not yet in the data model are added when you save"
+          />
+
+          <FormField
+            label="Cardinality"
+            name="type"
+            type="select"
+            value={formData.type}
+            onChange={handleChange}
+            options={typeOptions}
+            error={errors.type}
+            required
+            helpText={cardinalityHelp}
+          />
+
+          <FormField
+            label="Label"
+            name="label"
+            value={formData.label}
+            onChange={handleChange}
+            error={errors.label}
+            required
+            placeholder="e.g., Primary Account Holder"
+            helpText="Shown on associated records in HubSpot"
+          />
+
+          {/* Submit Error */}
+          {submitError && (
+            <div className="bg-error-50 border border-error-200 rounded-lg p-4">
+              <div className="flex items-start gap-2">
+                <AlertCircle className="w-5 h-5 text-error-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-error-900">{submitError}</p>
+              </div>
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-200">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-slate-600 hover:text-slate-900 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:bg-slate-300 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              {isSubmitting ? 'Saving...' : isEditing ? 'Save Changes' : 'Add Association'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default AssociationModal;
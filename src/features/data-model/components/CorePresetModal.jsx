@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { X, AlertCircle, ArrowRight, FileText } from 'lucide-react';
+import { useProject } from '../../../context/ProjectContext-v2';
+import corePresetService from '../../../services/CorePresetService';
+import fieldMappingService from '../../../services/FieldMappingService';
+import { EXPORT_FORMATS } from '../../../data/clientProfileOptions';
+
+/**
+ * Review a core banking system's mapping preset before applying it: the
+ * export files it adds, the objects they load into (created from templates
+ * when missing) and each file's columns. Files that already have a mapping
+ * are left alone.
+ */
+function CorePresetModal({ isOpen, onClose, coreSystem }) {
+  const { state, addCustomObject, addFieldMapping } = useProject();
+  const preset = corePresetService.getPreset(coreSystem);
+  const plan = useMemo(
+    () => (preset && state.dataModel ? corePresetService.planPreset(preset, state.dataModel) : []),
+    [preset, state.dataModel]
+  );
+
+  // Files the user unticked; every new file is applied otherwise
+  const [skipped, setSkipped] = useState([]);
+  const [isApplying, setIsApplying] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  useEffect(() => {
+    setSkipped([]);
+    setSubmitError(null);
+  }, [isOpen, coreSystem]);
+
+  const selected = plan
+    .filter((entry) => !entry.alreadyMapped && !skipped.includes(entry.file.exportFileName))
+    .map((entry) => entry.file.exportFileName);
+
+  const toggleFile = (fileName) => {
+    setSkipped((prev) =>
+      prev.includes(fileName) ? prev.filter((name) => name !== fileName) : [...prev, fileName]
+    );
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    setSubmitError(null);
+
+    // Files sharing a template load into the same new object
+    const createdObjects = new Map();
+    const entries = plan.filter((entry) => selected.includes(entry.file.exportFileName));
+
+    for (const entry of entries) {
+      let object = entry.object || createdObjects.get(entry.template.id);
+
+      if (!object) {
+        const result = await addCustomObject(
+          corePresetService.buildObject(entry.template, state.currentProject || 'client')
+        );
+        if (result.error) {
+          setIsApplying(false);
+          setSubmitError(`Could not create ${entry.template.label}: ${result.error}`);
+          return;
+        }
+        object = result.data;
+        createdObjects.set(entry.template.id, object);
+      }
+
+      const result = await addFieldMapping(
+        corePresetService.buildMapping(entry.file, object, preset.label)
+      );
+      if (result.error) {
+        setIsApplying(false);
+        setSubmitError(`Could not add ${entry.file.exportFileName}: ${result.error}`);
+        return;
+      }
+    }
+
+    setIsApplying(false);
+    toast.success(
+      `Added ${entries.length} field mapping${entries.length !== 1 ? 's' : ''} from the ${preset.label} preset`
+    );
+    onClose();
+  };
+
+  if (!isOpen || !preset) return null;
+
+  const getFormatLabel = (format) =>
+    EXPORT_FORMATS.find((option) => option.value === format)?.label || format;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 z-10 bg-white px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">{preset.label} Mapping Preset</h2>
+            <p className="text-sm text-slate-600">
+              The export files {preset.label} institutions usually send, mapped to the Member and
+              Account templates. Review before applying; everything stays editable afterwards.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {plan.map((entry) => {
+            const { file, template, object, alreadyMapped, mappedColumns } = entry;
+            const isSelected = selected.includes(file.exportFileName);
+            const fields = object?.fields || template.fields;
+
+            return (
+              <div
+                key={file.exportFileName}
+                className={`border rounded-lg ${
+                  isSelected ? 'border-primary-300 bg-primary-50' : 'border-slate-200'
+                }`}
+              >
+                <label className="flex items-start gap-3 p-4 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={alreadyMapped || isApplying}
+                    onChange={() => toggleFile(file.exportFileName)}
+                    className="mt-1 w-4 h-4 text-primary-600 border-slate-300 rounded focus:ring-primary-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <FileText className="w-4 h-4 text-slate-400" />
+                      <span className="font-mono text-sm font-medium text-slate-900">
+                        {file.exportFileName}
+                      </span>
+                      <ArrowRight className="w-4 h-4 text-slate-400" />
+                      <span className="text-sm font-medium text-slate-900">
+                        {object ? object.label || object.name : template.label}
+                      </span>
+                      {!object && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-slate-100 text-slate-600">
+                          New from template
+                        </span>
+                      )}
+                      {alreadyMapped && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-success-50 text-success-700">
+                          Already mapped
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-slate-600 mt-1">
+                      {file.description} · {getFormatLabel(file.format)} · {mappedColumns} of{' '}
+                      {file.columns.length} columns mapped
+                    </p>
+                  </div>
+                </label>
+
+                <details className="px-4 pb-3">
+                  <summary className="text-sm text-primary-600 cursor-pointer">Columns</summary>
+                  <table className="w-full text-sm mt-2">
+                    <tbody className="divide-y divide-slate-100">
+                      {file.columns.map((column) => {
+                        const field = fields.find((f) => f.name === column.targetField);
+                        return (
+                          <tr key={column.sourceColumn}>
+                            <td className="py-1.5 pr-4 font-mono text-slate-900">
+                              {column.sourceColumn}
+                            </td>
+                            <td className="py-1.5 pr-4 text-slate-600">
+                              {field ? (
+                                field.label || field.name
+                              ) : (
+                                <span className="text-slate-400">Not mapped</span>
+                              )}
+                            </td>
+                            <td className="py-1.5 text-slate-500">
+                              {fieldMappingService.describeTransform(column.transform)}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </details>
+              </div>
+            );
+          })}
+
+          {/* Submit Error */}
+          {submitError && (
+            <div className="bg-error-50 border border-error-200 rounded-lg p-4">
+              <div className="flex items-start gap-2">
+                <AlertCircle className="w-5 h-5 text-error-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-error-900">{submitError}</p>
+              </div>
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-200">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isApplying}
+              className="px-4 py-2 text-slate-600 hover:text-slate-900 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Not Now
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={isApplying || selected.length === 0}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:bg-slate-300 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              {isApplying
+                ? 'Applying...'
+                : `Apply ${selected.length} File${selected.length !== 1 ? 's' : ''}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CorePresetModal;
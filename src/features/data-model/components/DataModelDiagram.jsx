@@ -0,0 +1,420 @@
+import React, { useState, useMemo, useRef, useEffect, memo } from 'react';
+import { ZoomIn, ZoomOut, Maximize2, Download, ImageDown } from 'lucide-react';
+import dataModelDiagramService, {
+  NODE_HEADER_HEIGHT,
+  FIELD_ROW_HEIGHT,
+} from '../../../services/DataModelDiagramService';
+import projectExportService from '../../../services/ProjectExportService';
+import { serializeSvg, svgToPng } from '../../../utils/svgExport';
+import { downloadFile } from '../../../utils/download';
+
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 2;
+const ZOOM_STEP = 1.2;
+const VIEWPORT_HEIGHT = 560;
+const HANDLE_RADIUS = 6;
+
+const COLORS = {
+  header: '#0284c7',
+  standardHeader: '#ea580c',
+  border: '#cbd5e1',
+  highlight: '#0284c7',
+  edge: '#94a3b8',
+  text: '#0f172a',
+  muted: '#64748b',
+};
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+// Trim long names to fit a node
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+function DataModelDiagram({
+  dataModel,
+  projectName = 'data-model',
+  onSelectObject,
+  onSelectAssociation,
+  onCreateAssociation,
+}) {
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [connection, setConnection] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const diagram = useMemo(() => dataModelDiagramService.buildDiagram(dataModel), [dataModel]);
+  const targetNode = connection
+    ? dataModelDiagramService.findNodeAt(diagram, connection.point)
+    : null;
+
+  // Wheel zoom needs a non-passive listener so the page does not scroll
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const pointerX = e.clientX - rect.left;
+      const pointerY = e.clientY - rect.top;
+      setView((prev) => {
+        const scale = clampScale(prev.scale * (e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP));
+        const ratio = scale / prev.scale;
+        return {
+          scale,
+          x: pointerX - (pointerX - prev.x) * ratio,
+          y: pointerY - (pointerY - prev.y) * ratio,
+        };
+      });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const toDiagramPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - view.x) / view.scale,
+      y: (e.clientY - rect.top - view.y) / view.scale,
+    };
+  };
+
+  const zoomBy = (factor) => {
+    const width = containerRef.current?.clientWidth || diagram.width;
+    setView((prev) => {
+      const scale = clampScale(prev.scale * factor);
+      const ratio = scale / prev.scale;
+      const centerX = width / 2;
+      const centerY = VIEWPORT_HEIGHT / 2;
+      return {
+        scale,
+        x: centerX - (centerX - prev.x) * ratio,
+        y: centerY - (centerY - prev.y) * ratio,
+      };
+    });
+  };
+
+  const fitToView = () => {
+    const width = containerRef.current?.clientWidth || diagram.width;
+    const scale = clampScale(Math.min(1, width / diagram.width, VIEWPORT_HEIGHT / diagram.height));
+    setView({
+      scale,
+      x: (width - diagram.width * scale) / 2,
+      y: (VIEWPORT_HEIGHT - diagram.height * scale) / 2,
+    });
+  };
+
+  // ========== Pointer Interaction ==========
+
+  const handleBackgroundPointerDown = (e) => {
+    if (e.button !== 0) return;
+    dragRef.current = { mode: 'pan', startX: e.clientX, startY: e.clientY, origin: view };
+    svgRef.current.setPointerCapture?.(e.pointerId);
+  };
+
+  const handleHandlePointerDown = (e, node) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    dragRef.current = { mode: 'connect', fromId: node.object.id };
+    setConnection({ from: node, point: toDiagramPoint(e) });
+    svgRef.current.setPointerCapture?.(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    if (drag.mode === 'pan') {
+      setView({
+        ...drag.origin,
+        x: drag.origin.x + e.clientX - drag.startX,
+        y: drag.origin.y + e.clientY - drag.startY,
+      });
+    } else {
+      const point = toDiagramPoint(e);
+      setConnection((prev) => (prev ? { ...prev, point } : prev));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    svgRef.current.releasePointerCapture?.(e.pointerId);
+
+    if (drag?.mode === 'connect') {
+      const target = dataModelDiagramService.findNodeAt(diagram, toDiagramPoint(e));
+      setConnection(null);
+      if (target) onCreateAssociation?.(drag.fromId, target.object.id);
+    }
+  };
+
+  // ========== Export ==========
+
+  const getMarkup = () =>
+    serializeSvg(svgRef.current, {
+      width: diagram.width,
+      height: diagram.height,
+      background: '#ffffff',
+    });
+
+  const handleExportSvg = () => {
+    setExportError(null);
+    downloadFile(
+      getMarkup(),
+      projectExportService.getExportFilename(`${projectName} data model`, 'svg'),
+      'image/svg+xml;charset=utf-8'
+    );
+  };
+
+  const handleExportPng = async () => {
+    setExportError(null);
+    try {
+      const png = await svgToPng(getMarkup(), diagram.width, diagram.height);
+      downloadFile(png, projectExportService.getExportFilename(`${projectName} data model`, 'png'));
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
+
+  const toolbarButton =
+    'p-2 text-slate-500 hover:text-primary-600 hover:bg-slate-100 rounded transition-colors';
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-slate-500">
+          Drag to pan, scroll to zoom. Drag from the dot on an object to another object to
+          associate them.
+        </p>
+        <div className="flex items-center gap-1">
+          <button onClick={() => zoomBy(1 / ZOOM_STEP)} className={toolbarButton} title="Zoom out">
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <span className="w-12 text-center text-xs text-slate-500">
+            {Math.round(view.scale * 100)}%
+          </span>
+          <button onClick={() => zoomBy(ZOOM_STEP)} className={toolbarButton} title="Zoom in">
+            <ZoomIn className="w-4 h-4" />
+          </button>
+          <button onClick={fitToView} className={toolbarButton} title="Fit to view">
+            <Maximize2 className="w-4 h-4" />
+          </button>
+          <div className="w-px h-6 bg-slate-200 mx-1" />
+          <button
+            onClick={handleExportSvg}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-slate-700 border border-slate-300 rounded-lg hover:bg-slate-50 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            SVG
+          </button>
+          <button
+            onClick={handleExportPng}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-slate-700 border border-slate-300 rounded-lg hover:bg-slate-50 transition-colors"
+          >
+            <ImageDown className="w-4 h-4" />
+            PNG
+          </button>
+        </div>
+      </div>
+
+      {exportError && <p className="text-sm text-error-600">{exportError}</p>}
+
+      {/* Diagram */}
+      <div
+        ref={containerRef}
+        className="bg-slate-50 border border-slate-200 rounded-lg overflow-hidden"
+        style={{ height: VIEWPORT_HEIGHT }}
+      >
+        <svg
+          ref={svgRef}
+          width="100%"
+          height="100%"
+          role="img"
+          aria-label="Data model diagram"
+          fontFamily="ui-sans-serif, system-ui, sans-serif"
+          className={connection ? 'cursor-crosshair' : 'cursor-grab'}
+          style={{ touchAction: 'none' }}
+          onPointerDown={handleBackgroundPointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        >
+          <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`} data-export-reset>
+            {/* Associations */}
+            {diagram.edges.map((edge) => (
+              <g
+                key={edge.association.id}
+                role="button"
+                aria-label={`Edit association ${edge.association.label}`}
+                className="cursor-pointer"
+                onPointerDown={(e) => e.stopPropagation()}
+                onClick={() => onSelectAssociation?.(edge.association)}
+              >
+                <title>{edge.association.label}</title>
+                <path d={edge.path} fill="none" stroke="transparent" strokeWidth={12} />
+                <path d={edge.path} fill="none" stroke={COLORS.edge} strokeWidth={1.5} />
+                <text
+                  x={edge.fromMarkPosition.x}
+                  y={edge.fromMarkPosition.y}
+                  fontSize={11}
+                  fontWeight={600}
+                  fill={COLORS.muted}
+                >
+                  {edge.fromCardinality}
+                </text>
+                <text
+                  x={edge.toMarkPosition.x}
+                  y={edge.toMarkPosition.y}
+                  fontSize={11}
+                  fontWeight={600}
+                  fill={COLORS.muted}
+                >
+                  {edge.toCardinality}
+                </text>
+                <text
+                  x={edge.labelPosition.x}
+                  y={edge.labelPosition.y - 6}
+                  fontSize={11}
+                  textAnchor="middle"
+                  fill={COLORS.text}
+                  stroke="#f8fafc"
+                  strokeWidth={3}
+                  paintOrder="stroke"
+                >
+                  {truncate(edge.association.label, 28)}
+                </text>
+              </g>
+            ))}
+
+            {/* Objects */}
+            {diagram.nodes.map((node) => {
+              const { object, isStandard, keyFields, hiddenFieldCount, x, y, width, height } = node;
+              const isTarget = targetNode?.object.id === object.id;
+              return (
+                <g key={object.id}>
+                  <g
+                    role="button"
+                    tabIndex={0}
+                    aria-label={`View ${object.label || object.name}`}
+                    className="cursor-pointer focus:outline-none"
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onClick={() => onSelectObject?.(object)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        onSelectObject?.(object);
+                      }
+                    }}
+                  >
+                    <rect
+                      x={x}
+                      y={y}
+                      width={width}
+                      height={height}
+                      rx={8}
+                      fill="#ffffff"
+                      stroke={isTarget ? COLORS.highlight : COLORS.border}
+                      strokeWidth={isTarget ? 2.5 : 1}
+                    />
+                    <path
+                      d={`M ${x} ${y + NODE_HEADER_HEIGHT} V ${y + 8} Q ${x} ${y} ${x + 8} ${y} H ${x + width - 8} Q ${x + width} ${y} ${x + width} ${y + 8} V ${y + NODE_HEADER_HEIGHT} Z`}
+                      fill={isStandard ? COLORS.standardHeader : COLORS.header}
+                    />
+                    <text
+                      x={x + 12}
+                      y={y + NODE_HEADER_HEIGHT / 2 + 5}
+                      fontSize={13}
+                      fontWeight={600}
+                      fill="#ffffff"
+                    >
+                      {truncate(object.label || object.name, 26)}
+                    </text>
+
+                    {keyFields.length === 0 && (
+                      <text
+                        x={x + 12}
+                        y={y + NODE_HEADER_HEIGHT + 8 + FIELD_ROW_HEIGHT * 0.7}
+                        fontSize={11}
+                        fontStyle="italic"
+                        fill={COLORS.muted}
+                      >
+                        No fields yet
+                      </text>
+                    )}
+                    {keyFields.map((field, index) => {
+                      const rowY = y + NODE_HEADER_HEIGHT + 8 + FIELD_ROW_HEIGHT * (index + 0.7);
+                      return (
+                        <g key={field.id || field.name}>
+                          <text
+                            x={x + 12}
+                            y={rowY}
+                            fontSize={11}
+                            fontWeight={field.unique ? 600 : 400}
+                            fill={COLORS.text}
+                          >
+                            {truncate(field.label || field.name, 22)}
+                            {field.required ? ' *' : ''}
+                          </text>
+                          <text
+                            x={x + width - 12}
+                            y={rowY}
+                            fontSize={10}
+                            textAnchor="end"
+                            fill={COLORS.muted}
+                          >
+                            {field.dataType || field.type || ''}
+                          </text>
+                        </g>
+                      );
+                    })}
+                    {hiddenFieldCount > 0 && (
+                      <text x={x + 12} y={y + height - 10} fontSize={10} fill={COLORS.muted}>
+                        +{hiddenFieldCount} more field{hiddenFieldCount !== 1 ? 's' : ''}
+                      </text>
+                    )}
+                  </g>
+
+                  {/* Drag handle for new associations */}
+                  <circle
+                    data-export-ignore
+                    cx={x + width}
+                    cy={y + NODE_HEADER_HEIGHT / 2}
+                    r={HANDLE_RADIUS}
+                    fill="#ffffff"
+                    stroke={COLORS.highlight}
+                    strokeWidth={2}
+                    className="cursor-crosshair"
+                    aria-label={`Create association from ${object.label || object.name}`}
+                    onPointerDown={(e) => handleHandlePointerDown(e, node)}
+                  >
+                    <title>Drag to another object to associate them</title>
+                  </circle>
+                </g>
+              );
+            })}
+
+            {/* Association being drawn */}
+            {connection && (
+              <line
+                data-export-ignore
+                x1={connection.from.x + connection.from.width}
+                y1={connection.from.y + NODE_HEADER_HEIGHT / 2}
+                x2={connection.point.x}
+                y2={connection.point.y}
+                stroke={COLORS.highlight}
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                pointerEvents="none"
+              />
+            )}
+          </g>
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(DataModelDiagram);
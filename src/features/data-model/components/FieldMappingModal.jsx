@@ -0,0 +1,843 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, AlertCircle, AlertTriangle, Plus, Trash2, Upload, ShieldAlert } from 'lucide-react';
+import { useProject } from '../../../context/ProjectContext-v2';
+import { generateId } from '../../../utils/idGenerator';
+import FormField from '../../../components/ui/FormField';
+import validationService from '../../../services/ValidationService';
+import fieldMappingService, { TRANSFORM_LABELS } from '../../../services/FieldMappingService';
+import sampleFileService, {
+  MAX_SAMPLE_BYTES,
+  SAMPLE_TYPE_LABELS,
+  PII_LABELS,
+} from '../../../services/SampleFileService';
+import { DATE_SOURCE_FORMATS, FIELD_TRANSFORM_TYPES } from '../../../schemas/fieldMappingSchema';
+import { EXPORT_FORMATS } from '../../../data/clientProfileOptions';
+
+const NO_MAPPINGS = [];
+
+const inputClass =
+  'px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm';
+
+// Example of each date layout, shown next to the ISO date it becomes
+const formatDateSample = (format) =>
+  format.replace(/YYYY|YY|MM|M|DD|D/g, (token) =>
+    ({ YYYY: '1985', YY: '85', MM: '03', M: '3', DD: '15', D: '15' })[token]
+  );
+
+const emptyColumn = (sourceColumn = '', targetFieldId = '') => ({
+  id: generateId(),
+  sourceColumn,
+  targetFieldId,
+  transformType: '',
+  visibleCharacters: 4,
+  sourceFormat: DATE_SOURCE_FORMATS[0],
+  values: [],
+  inferredType: undefined,
+  piiType: undefined,
+});
+
+// Stored transforms are flattened so switching types keeps what was entered
+const toFormColumn = (column) => ({
+  ...emptyColumn(column.sourceColumn, column.targetFieldId || ''),
+  id: column.id,
+  transformType: column.transform?.type || '',
+  inferredType: column.inferredType,
+  piiType: column.piiType,
+  ...(column.transform?.type === 'mask'
+    ? { visibleCharacters: column.transform.visibleCharacters }
+    : {}),
+  ...(column.transform?.type === 'date_format'
+    ? { sourceFormat: column.transform.sourceFormat }
+    : {}),
+  ...(column.transform?.type === 'value_map'
+    ? { values: column.transform.values.map((entry) => ({ id: generateId(), ...entry })) }
+    : {}),
+});
+
+const toTransform = (column) => {
+  switch (column.transformType) {
+    case 'hash':
+      return { type: 'hash', algorithm: 'sha256' };
+    case 'mask':
+      return { type: 'mask', visibleCharacters: Number(column.visibleCharacters) };
+    case 'date_format':
+      return { type: 'date_format', sourceFormat: column.sourceFormat };
+    case 'value_map':
+      return {
+        type: 'value_map',
+        values: column.values.map(({ source, target }) => ({
+          source: source.trim(),
+          target: target.trim(),
+        })),
+      };
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Add or edit a core export file mapping: the file's name and format, the
+ * object its rows load into, and the target field and transform for each
+ * source column
+ */
+function FieldMappingModal({ isOpen, onClose, mapping = null }) {
+  const { state, addFieldMapping, updateFieldMapping } = useProject();
+  const isEditing = !!mapping;
+  const objects = useMemo(() => state.dataModel?.objects || [], [state.dataModel?.objects]);
+  const existingMappings = state.dataModel?.mappings || NO_MAPPINGS;
+  const defaultFormat = state.clientProfile?.integrationSpecs?.exportFormat || '';
+
+  const [formData, setFormData] = useState({
+    exportFileName: '',
+    format: '',
+    targetObjectId: '',
+    description: '',
+    columns: [],
+  });
+  const [newColumns, setNewColumns] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  // Parsed sample file; kept in memory only until its columns are used
+  const [sample, setSample] = useState(null);
+  const [sampleError, setSampleError] = useState(null);
+  const [layout, setLayout] = useState('');
+
+  // Initialize form data
+  useEffect(() => {
+    if (mapping) {
+      setFormData({
+        exportFileName: mapping.exportFileName,
+        format: mapping.format,
+        targetObjectId: mapping.targetObjectId,
+        description: mapping.description || '',
+        columns: mapping.mappings.map(toFormColumn),
+      });
+    } else {
+      setFormData({
+        exportFileName: '',
+        format: defaultFormat,
+        targetObjectId: objects.length === 1 ? objects[0].id : '',
+        description: '',
+        columns: [],
+      });
+    }
+    setNewColumns('');
+    setErrors({});
+    setSubmitError(null);
+    setSample(null);
+    setSampleError(null);
+    setLayout('');
+  }, [mapping, isOpen, defaultFormat, objects]);
+
+  const targetObject = objects.find((obj) => obj.id === formData.targetObjectId);
+  const targetFields = targetObject?.fields || [];
+
+  const buildMapping = () => ({
+    id: mapping?.id || generateId(),
+    exportFileName: formData.exportFileName.trim(),
+    format: formData.format,
+    targetObjectId: formData.targetObjectId,
+    description: formData.description.trim(),
+    mappings: formData.columns.map((column) => {
+      const transform = toTransform(column);
+      return {
+        id: column.id,
+        sourceColumn: column.sourceColumn.trim(),
+        ...(column.targetFieldId ? { targetFieldId: column.targetFieldId } : {}),
+        ...(transform ? { transform } : {}),
+        ...(column.inferredType ? { inferredType: column.inferredType } : {}),
+        ...(column.piiType ? { piiType: column.piiType } : {}),
+      };
+    }),
+    ...(mapping?.createdAt ? { createdAt: mapping.createdAt } : {}),
+  });
+
+  const issues = formData.targetObjectId
+    ? fieldMappingService.findIssues(buildMapping(), targetObject)
+    : [];
+  const columnIssues = (columnId) => issues.filter((issue) => issue.columnId === columnId);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => {
+      if (name !== 'targetObjectId') return { ...prev, [name]: value };
+
+      // Keep columns that still fit the new object and suggest the rest
+      const object = objects.find((obj) => obj.id === value);
+      const fieldIds = new Set((object?.fields || []).map((field) => field.id));
+      return {
+        ...prev,
+        targetObjectId: value,
+        columns: prev.columns.map((column) => ({
+          ...column,
+          targetFieldId: fieldIds.has(column.targetFieldId)
+            ? column.targetFieldId
+            : fieldMappingService.suggestTargetField(column.sourceColumn, object) || '',
+        })),
+      };
+    });
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: null }));
+    }
+  };
+
+  // Source columns management
+  const handleAddColumns = () => {
+    const existing = new Set(
+      formData.columns.map((column) => column.sourceColumn.trim().toLowerCase())
+    );
+    const names = newColumns
+      .split(/[,\t\n]/)
+      .map((name) => name.trim())
+      .filter((name) => name && !existing.has(name.toLowerCase()));
+
+    if (names.length === 0) return;
+
+    setFormData((prev) => ({
+      ...prev,
+      columns: [
+        ...prev.columns,
+        ...[...new Set(names)].map((name) =>
+          emptyColumn(name, fieldMappingService.suggestTargetField(name, targetObject) || '')
+        ),
+      ],
+    }));
+    setNewColumns('');
+    setErrors((prev) => ({ ...prev, mappings: null }));
+  };
+
+  // Sample file inference; the file is read here and never leaves the browser
+  const handleSampleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setSample(null);
+    setSampleError(null);
+
+    if (file.size > MAX_SAMPLE_BYTES) {
+      setSampleError('File is too large. Samples are limited to 5 MB; a few hundred rows is enough');
+      return;
+    }
+
+    const format = formData.format || sampleFileService.formatFromFileName(file.name);
+    if (!format) {
+      setSampleError('Choose the format of the export file first');
+      return;
+    }
+
+    // Set the format first so a fixed-width sample can show its layout field
+    setFormData((prev) => ({ ...prev, format: prev.format || format }));
+
+    const parsed = sampleFileService.parse(await file.text(), format, layout);
+    if (parsed.error) {
+      setSampleError(parsed.error);
+      return;
+    }
+
+    setSample({
+      fileName: file.name,
+      rowCount: parsed.rows.length,
+      columns: sampleFileService.inferColumns(parsed),
+    });
+    setFormData((prev) => ({ ...prev, exportFileName: prev.exportFileName || file.name }));
+  };
+
+  // Columns already listed keep their settings and pick up inferred metadata
+  const handleUseSample = () => {
+    const proposed = sampleFileService
+      .proposeMappings(sample.columns, targetObject)
+      .map(toFormColumn);
+
+    setFormData((prev) => {
+      const byName = new Map(proposed.map((column) => [column.sourceColumn.toLowerCase(), column]));
+      const columns = prev.columns.map((column) => {
+        const match = byName.get(column.sourceColumn.trim().toLowerCase());
+        if (!match) return column;
+        byName.delete(match.sourceColumn.toLowerCase());
+        return {
+          ...column,
+          targetFieldId: column.targetFieldId || match.targetFieldId,
+          ...(column.transformType
+            ? {}
+            : {
+                transformType: match.transformType,
+                visibleCharacters: match.visibleCharacters,
+                sourceFormat: match.sourceFormat,
+              }),
+          inferredType: match.inferredType,
+          piiType: match.piiType,
+        };
+      });
+      return { ...prev, columns: [...columns, ...byName.values()] };
+    });
+    setSample(null);
+    setErrors((prev) => ({ ...prev, mappings: null }));
+  };
+
+  const handleColumnChange = (index, key, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      columns: prev.columns.map((column, i) => (i === index ? { ...column, [key]: value } : column)),
+    }));
+    setErrors((prev) => ({ ...prev, mappings: null }));
+  };
+
+  const handleRemoveColumn = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      columns: prev.columns.filter((_, i) => i !== index),
+    }));
+  };
+
+  const handleAddValue = (index) => {
+    const column = formData.columns[index];
+    handleColumnChange(index, 'values', [
+      ...column.values,
+      { id: generateId(), source: '', target: '' },
+    ]);
+  };
+
+  const handleValueChange = (index, valueIndex, key, value) => {
+    const column = formData.columns[index];
+    handleColumnChange(
+      index,
+      'values',
+      column.values.map((entry, i) => (i === valueIndex ? { ...entry, [key]: value } : entry))
+    );
+  };
+
+  const handleRemoveValue = (index, valueIndex) => {
+    const column = formData.columns[index];
+    handleColumnChange(
+      index,
+      'values',
+      column.values.filter((_, i) => i !== valueIndex)
+    );
+  };
+
+  const validate = (mappingData) => {
+    const newErrors = {};
+    const result = validationService.validateFieldMapping(mappingData);
+
+    if (!result.valid) {
+      result.errors.forEach(({ field, message }) => {
+        // Column errors are shown once, above the column list
+        const key = field.startsWith('mappings') ? 'mappings' : field;
+        if (!newErrors[key]) {
+          const columnIndex = Number(field.split('.')[1]);
+          newErrors[key] =
+            key === 'mappings' && !Number.isNaN(columnIndex)
+              ? `${mappingData.mappings[columnIndex]?.sourceColumn || `Column ${columnIndex + 1}`}: ${message}`
+              : message;
+        }
+      });
+    }
+
+    if (
+      mappingData.exportFileName &&
+      !validationService.isExportFileNameUnique(
+        mappingData.exportFileName,
+        mappingData.id,
+        existingMappings
+      )
+    ) {
+      newErrors.exportFileName = 'Another field mapping already uses this file name';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const mappingData = buildMapping();
+    if (!validate(mappingData)) return;
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+
+    const result = isEditing
+      ? await updateFieldMapping(mapping.id, mappingData)
+      : await addFieldMapping(mappingData);
+
+    setIsSubmitting(false);
+
+    if (result.error) {
+      setSubmitError(result.error.message || result.error);
+      return;
+    }
+
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const objectOptions = objects.map((obj) => ({ value: obj.id, label: obj.label || obj.name }));
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 z-10 bg-white px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-slate-900">
+            {isEditing ? 'Edit Field Mapping' : 'Add Field Mapping'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              label="Export File Name"
+              name="exportFileName"
+              value={formData.exportFileName}
+              onChange={handleChange}
+              error={errors.exportFileName}
+              required
+              placeholder="e.g., members_daily.csv"
+              helpText="File name as the core system writes it"
+            />
+            <FormField
+              label="Format"
+              name="format"
+              type="select"
+              value={formData.format}
+              onChange={handleChange}
+              options={EXPORT_FORMATS}
+              error={errors.format}
+              required
+              helpText={defaultFormat ? 'Defaults to the format in Integration Specifications' : ''}
+            />
+          </div>
+
+          <FormField
+            label="Target Object"
+            name="targetObjectId"
+            type="select"
+            value={formData.targetObjectId}
+            onChange={handleChange}
+            options={objectOptions}
+            error={errors.targetObjectId}
+            required
+            helpText="Each row in the file becomes or updates one record of this object"
+          />
+
+          <FormField
+            label="Description"
+            name="description"
+            type="textarea"
+            value={formData.description}
+            onChange={handleChange}
+            error={errors.description}
+            placeholder="When is this file produced, and what does each row represent?"
+          />
+
+          {/* Sample File */}
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <label className="block text-sm font-medium text-slate-700">Sample File</label>
+                <p className="text-xs text-slate-500">
+                  Read in your browser and never saved. Only column names, inferred types and PII
+                  flags are kept.
+                </p>
+              </div>
+              <label className="inline-flex items-center gap-1 px-3 py-2 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors cursor-pointer">
+                <Upload className="w-4 h-4" />
+                Read Sample File
+                <input
+                  type="file"
+                  accept=".csv,.json,.ndjson,.xml,.txt,.dat"
+                  onChange={handleSampleFile}
+                  className="hidden"
+                />
+              </label>
+            </div>
+
+            {formData.format === 'fixed_width' && (
+              <FormField
+                label="Fixed-Width Layout"
+                name="layout"
+                type="textarea"
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+                placeholder={'MBR_NBR 1 10\nFIRST_NAME 11 20\nBIRTH_DT 8'}
+                helpText="One column per line: name, start position and length, or name and length to continue from the previous column"
+              />
+            )}
+
+            {sampleError && (
+              <p className="text-sm text-error-600 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                {sampleError}
+              </p>
+            )}
+
+            {sample && (
+              <div className="border border-slate-200 rounded-lg overflow-hidden">
+                <div className="px-4 py-2 bg-slate-50 text-sm text-slate-600 border-b border-slate-200">
+                  <span className="font-mono">{sample.fileName}</span> · {sample.columns.length}{' '}
+                  column{sample.columns.length !== 1 ? 's' : ''} from {sample.rowCount} row
+                  {sample.rowCount !== 1 ? 's' : ''}
+                </div>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-slate-500 uppercase tracking-wider">
+                      <th className="px-4 py-2 font-medium">Column</th>
+                      <th className="px-4 py-2 font-medium">Type</th>
+                      <th className="px-4 py-2 font-medium">Sample Values</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {sample.columns.map((column) => (
+                      <tr key={column.name}>
+                        <td className="px-4 py-2">
+                          <span className="font-mono text-slate-900">{column.name}</span>
+                          {column.piiType && (
+                            <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-error-50 text-error-700">
+                              <ShieldAlert className="w-3 h-3" />
+                              {PII_LABELS[column.piiType]}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-slate-600">
+                          {SAMPLE_TYPE_LABELS[column.dataType]}
+                          {column.dateFormat && (
+                            <span className="text-slate-400"> ({column.dateFormat})</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-slate-500 font-mono truncate max-w-xs">
+                          {column.samples.join(', ') || '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex items-center justify-end gap-3 px-4 py-2 bg-slate-50 border-t border-slate-200">
+                  <button
+                    type="button"
+                    onClick={() => setSample(null)}
+                    className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-900 font-medium"
+                  >
+                    Discard
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleUseSample}
+                    className="px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+                  >
+                    Use These Columns
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Source Columns */}
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-slate-700">Source Columns</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                aria-label="New source columns"
+                placeholder="Column names, comma-separated or pasted from a header row"
+                value={newColumns}
+                onChange={(e) => setNewColumns(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    handleAddColumns();
+                  }
+                }}
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="button"
+                onClick={handleAddColumns}
+                className="inline-flex items-center gap-1 px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add Columns
+              </button>
+            </div>
+
+            {errors.mappings && (
+              <p className="text-sm text-error-600 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                {errors.mappings}
+              </p>
+            )}
+
+            {formData.columns.length === 0 ? (
+              <div className="text-center py-6 bg-slate-50 rounded-lg border-2 border-dashed border-slate-200">
+                <p className="text-sm text-slate-600">
+                  No columns yet. Add the columns of the export file to map them to fields.
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {formData.columns.map((column, index) => {
+                  const targetField = targetFields.find((f) => f.id === column.targetFieldId);
+                  const enumOptions =
+                    (targetField?.dataType || targetField?.type) === 'enumeration'
+                      ? targetField.options || []
+                      : [];
+
+                  return (
+                    <div key={column.id} className="p-3 bg-slate-50 rounded-lg space-y-2">
+                      <div className="flex items-start gap-2">
+                        <div className="flex-1 grid grid-cols-3 gap-3">
+                          <input
+                            type="text"
+                            aria-label="Source column"
+                            placeholder="Source column"
+                            value={column.sourceColumn}
+                            onChange={(e) => handleColumnChange(index, 'sourceColumn', e.target.value)}
+                            className={`${inputClass} font-mono`}
+                          />
+                          <select
+                            aria-label={`Target field for ${column.sourceColumn}`}
+                            value={column.targetFieldId}
+                            onChange={(e) => handleColumnChange(index, 'targetFieldId', e.target.value)}
+                            className={inputClass}
+                          >
+                            <option value="">Not mapped</option>
+                            {targetFields.map((field) => (
+                              <option key={field.id} value={field.id}>
+                                {field.label || field.name}
+                              </option>
+                            ))}
+                          </select>
+                          <select
+                            aria-label={`Transform for ${column.sourceColumn}`}
+                            value={column.transformType}
+                            onChange={(e) => handleColumnChange(index, 'transformType', e.target.value)}
+                            className={inputClass}
+                          >
+                            <option value="">No transform</option>
+                            {FIELD_TRANSFORM_TYPES.map((type) => (
+                              <option key={type} value={type}>
+                                {TRANSFORM_LABELS[type]}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveColumn(index)}
+                          className="p-2 text-slate-400 hover:text-error-600 transition-colors"
+                          title="Remove column"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+
+                      {(column.inferredType || column.piiType) && (
+                        <div className="flex items-center gap-2 text-xs text-slate-500">
+                          {column.inferredType && (
+                            <span>Sample looked like {SAMPLE_TYPE_LABELS[column.inferredType]}</span>
+                          )}
+                          {column.piiType && (
+                            <span className="inline-flex items-center gap-1 px-2 py-0.5 font-medium rounded-full bg-error-50 text-error-700">
+                              <ShieldAlert className="w-3 h-3" />
+                              {PII_LABELS[column.piiType]}
+                            </span>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Transform settings */}
+                      {column.transformType === 'hash' && (
+                        <p className="text-xs text-slate-500">
+                          Values are hashed with SHA-256 before they are loaded, so only matching
+                          is possible in HubSpot.
+                        </p>
+                      )}
+                      {column.transformType === 'mask' && (
+                        <div className="flex items-center gap-2 text-sm text-slate-600">
+                          <span>Keep the last</span>
+                          <input
+                            type="number"
+                            min="0"
+                            max="8"
+                            aria-label={`Visible characters for ${column.sourceColumn}`}
+                            value={column.visibleCharacters}
+                            onChange={(e) =>
+                              handleColumnChange(index, 'visibleCharacters', e.target.value)
+                            }
+                            className={`w-20 ${inputClass}`}
+                          />
+                          <span>
+                            characters, e.g. 123456789 →{' '}
+                            <code className="font-mono">
+                              {fieldMappingService.previewTransform('123456789', toTransform(column))}
+                            </code>
+                          </span>
+                        </div>
+                      )}
+                      {column.transformType === 'date_format' && (
+                        <div className="flex items-center gap-2 text-sm text-slate-600">
+                          <span>Source dates look like</span>
+                          <select
+                            aria-label={`Date format for ${column.sourceColumn}`}
+                            value={column.sourceFormat}
+                            onChange={(e) => handleColumnChange(index, 'sourceFormat', e.target.value)}
+                            className={inputClass}
+                          >
+                            {DATE_SOURCE_FORMATS.map((format) => (
+                              <option key={format} value={format}>
+                                {format}
+                              </option>
+                            ))}
+                          </select>
+                          <span>
+                            e.g. {formatDateSample(column.sourceFormat)} →{' '}
+                            <code className="font-mono">
+                              {fieldMappingService.previewTransform(
+                                formatDateSample(column.sourceFormat),
+                                toTransform(column)
+                              )}
+                            </code>
+                          </span>
+                        </div>
+                      )}
+                      {column.transformType === 'value_map' && (
+                        <div className="space-y-2">
+                          {column.values.map((entry, valueIndex) => (
+                            <div key={entry.id} className="flex items-center gap-2">
+                              <input
+                                type="text"
+                                aria-label="Source value"
+                                placeholder="Source value (e.g., A)"
+                                value={entry.source}
+                                onChange={(e) =>
+                                  handleValueChange(index, valueIndex, 'source', e.target.value)
+                                }
+                                className={`flex-1 ${inputClass} font-mono`}
+                              />
+                              <span className="text-slate-400">→</span>
+                              {enumOptions.length > 0 ? (
+                                <select
+                                  aria-label="Target value"
+                                  value={entry.target}
+                                  onChange={(e) =>
+                                    handleValueChange(index, valueIndex, 'target', e.target.value)
+                                  }
+                                  className={`flex-1 ${inputClass}`}
+                                >
+                                  <option value="">Select option</option>
+                                  {enumOptions.map((option) => (
+                                    <option key={option.value} value={option.value}>
+                                      {option.label}
+                                    </option>
+                                  ))}
+                                </select>
+                              ) : (
+                                <input
+                                  type="text"
+                                  aria-label="Target value"
+                                  placeholder="Target value (e.g., active)"
+                                  value={entry.target}
+                                  onChange={(e) =>
+                                    handleValueChange(index, valueIndex, 'target', e.target.value)
+                                  }
+                                  className={`flex-1 ${inputClass}`}
+                                />
+                              )}
+                              <button
+                                type="button"
+                                onClick={() => handleRemoveValue(index, valueIndex)}
+                                className="p-2 text-slate-400 hover:text-error-600 transition-colors"
+                                title="Remove value"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          ))}
+                          <button
+                            type="button"
+                            onClick={() => handleAddValue(index)}
+                            className="inline-flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+                          >
+                            <Plus className="w-4 h-4" />
+                            Add Value
+                          </button>
+                        </div>
+                      )}
+
+                      {columnIssues(column.id).map((issue, index) => (
+                        <p
+                          key={`${column.id}-${index}`}
+                          className={`text-xs flex items-center gap-1 ${
+                            issue.severity === 'error' ? 'text-error-600' : 'text-warning-700'
+                          }`}
+                        >
+                          <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0" />
+                          {issue.message}
+                        </p>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* File-level issues, such as required fields nothing loads */}
+            {issues
+              .filter((issue) => !issue.columnId)
+              .map((issue, index) => (
+                <p
+                  key={`file-${index}`}
+                  className={`text-sm flex items-center gap-1 ${
+                    issue.severity === 'error' ? 'text-error-600' : 'text-warning-700'
+                  }`}
+                >
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  {issue.message}
+                </p>
+              ))}
+          </div>
+
+          {/* Submit Error */}
+          {submitError && (
+            <div className="bg-error-50 border border-error-200 rounded-lg p-4">
+              <div className="flex items-start gap-2">
+                <AlertCircle className="w-5 h-5 text-error-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-error-900">{submitError}</p>
+              </div>
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-200">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-slate-600 hover:text-slate-900 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:bg-slate-300 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              {isSubmitting ? 'Saving...' : isEditing ? 'Save Changes' : 'Add Field Mapping'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default FieldMappingModal;
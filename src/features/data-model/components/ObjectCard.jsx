@@ -3,11 +3,13 @@ import * as Icons from 'lucide-react';
 import { Copy, Edit2, Trash2, ChevronRight } from 'lucide-react';
 import Card from '../../../components/ui/Card';
 import { getFieldCount, getAssociationCount } from '../../../utils/dependencyChecker';
+import { getStandardObject } from '../../../data/hubspotStandardObjects';
 
 function ObjectCard({ object, associations = [], onEdit, onDuplicate, onDelete, onViewDetails }) {
   const Icon = Icons[object.icon] || Icons.Database;
   const fieldCount = getFieldCount(object);
   const associationCount = getAssociationCount(object.id, associations);
+  const standardObject = getStandardObject(object.hubspotObject);
 
   return (
     <Card className="hover:shadow-md transition-shadow group">
@@ -25,6 +27,11 @@ function ObjectCard({ object, associations = [], onEdit, onDuplicate, onDelete,
               <p className="text-sm text-slate-500 font-mono text-xs truncate">
                 {object.apiName}
               </p>
+              {standardObject && (
+                <span className="inline-block mt-1 px-2 py-0.5 text-xs font-medium bg-blue-50 text-blue-700 rounded">
+                  HubSpot {standardObject.label}
+                </span>
+              )}
             </div>
           </div>
 
@@ -4,6 +4,7 @@ import * as Icons from 'lucide-react';
 import { useProject } from '../../../context/ProjectContext-v2';
 import { generateId } from '../../../utils/idGenerator';
 import { generateApiName, validateObjectName, validateApiName } from '../../../schemas/objectSchema';
+import { HUBSPOT_OBJECT_TARGETS } from '../../../data/hubspotStandardObjects';
 import FormField from '../../../components/ui/FormField';
 import IconPicker from './IconPicker';
 
@@ -18,6 +19,7 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
     description: '',
     apiName: '',
     icon: 'Database',
+    hubspotObject: 'custom',
   });
 
   const [errors, setErrors] = useState({});
@@ -36,6 +38,7 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
         description: object.description || '',
         apiName: object.apiName,
         icon: object.icon || 'Database',
+        hubspotObject: object.hubspotObject || 'custom',
       });
       setApiNameManuallyEdited(true);
     } else if (template) {
@@ -46,6 +49,7 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
         description: template.description || '',
         apiName: generateApiName(template.name, currentProjectId),
         icon: template.icon || 'Database',
+        hubspotObject: template.hubspotObject || 'custom',
       });
     } else {
       // Creating from scratch
@@ -55,6 +59,7 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
         description: '',
         apiName: '',
         icon: 'Database',
+        hubspotObject: 'custom',
       });
       setApiNameManuallyEdited(false);
     }
@@ -146,6 +151,7 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
         description: formData.description,
         apiName: formData.apiName,
         icon: formData.icon,
+        hubspotObject: formData.hubspotObject || 'custom',
       };
 
       result = await updateCustomObject(object.id, updates);
@@ -157,6 +163,7 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
         description: formData.description,
         apiName: formData.apiName,
         icon: formData.icon,
+        hubspotObject: formData.hubspotObject || 'custom',
         fields: template?.fields?.map(f => ({
           ...f,
           id: generateId(),
@@ -261,6 +268,17 @@ function ObjectModal({ isOpen, onClose, object = null, template = null }) {
             )}
           </div>
 
+          {/* HubSpot Destination */}
+          <FormField
+            label="HubSpot Destination"
+            name="hubspotObject"
+            type="select"
+            value={formData.hubspotObject}
+            onChange={handleChange}
+            options={HUBSPOT_OBJECT_TARGETS}
+            helpText="Create as a custom object, or add the fields as properties on a standard object"
+          />
+
           {/* Description */}
           <FormField
             label="Description"
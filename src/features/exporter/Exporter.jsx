@@ -1,8 +1,79 @@
-import React from 'react';
+import React, { useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FileText, FileJson, FileCode, FileSpreadsheet, Download, Copy, Printer } from 'lucide-react';
+import { useProject } from '../../context/ProjectContext-v2';
 import Card from '../../components/ui/Card';
-import { FileText } from 'lucide-react';
+import projectExportService from '../../services/ProjectExportService';
+import markdownSpecService from '../../services/MarkdownSpecService';
+import dataDictionaryService, { XLSX_MIME_TYPE } from '../../services/DataDictionaryService';
+import { downloadFile } from '../../utils/download';
+import HubSpotSchemaExport from './components/HubSpotSchemaExport';
+import HubSpotPropertyImport from './components/HubSpotPropertyImport';
+import HubSpotListExport from './components/HubSpotListExport';
 
 function Exporter() {
+  const { projectId } = useParams();
+  const { state } = useProject();
+
+  const project = state.projects.find((p) => p.id === projectId);
+  const projectName =
+    project?.name || state.clientProfile?.basicInfo?.institutionName || 'Untitled Project';
+  const allTags = useMemo(
+    () => [...(state.tags?.library || []), ...(state.tags?.custom || [])],
+    [state.tags]
+  );
+  const tagCount = allTags.length;
+
+  // The loaded project's live state, which may be newer than the projects list
+  const projectData = {
+    ...project,
+    id: projectId,
+    name: projectName,
+    clientProfile: state.clientProfile,
+    dataModel: state.dataModel,
+    tags: state.tags,
+    journeys: state.journeys,
+    scenarios: state.scenarios,
+    customEvents: state.customEvents,
+  };
+
+  const handleExportJson = () => {
+    const contents = projectExportService.serializeProject(projectData);
+
+    downloadFile(
+      contents,
+      projectExportService.getExportFilename(projectName),
+      'application/json;charset=utf-8'
+    );
+    toast.success('Project exported');
+  };
+
+  const handleExportMarkdown = () => {
+    downloadFile(
+      markdownSpecService.generateSpecification(projectData),
+      projectExportService.getExportFilename(`${projectName} specification`, 'md'),
+      'text/markdown;charset=utf-8'
+    );
+  };
+
+  const handleExportExcel = () => {
+    downloadFile(
+      dataDictionaryService.generateWorkbook(projectData),
+      projectExportService.getExportFilename(`${projectName} data dictionary`, 'xlsx'),
+      XLSX_MIME_TYPE
+    );
+  };
+
+  const handleCopyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(markdownSpecService.generateSpecification(projectData));
+      toast.success('Specification copied to clipboard');
+    } catch {
+      toast.error('Could not copy to clipboard. Download the file instead.');
+    }
+  };
+
   return (
     <div className="space-y-6">
       <div>
@@ -12,15 +83,120 @@ function Exporter() {
         </p>
       </div>
 
-      <Card>
-        <div className="text-center py-12">
-          <FileText className="w-16 h-16 text-slate-300 mx-auto mb-4" />
-          <h3 className="text-lg font-semibold text-slate-900 mb-2">Coming Soon</h3>
-          <p className="text-slate-600">
-            Export as PDF, JSON, Excel, or Markdown with complete specifications
-          </p>
-        </div>
-      </Card>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card>
+          <div className="flex items-start gap-4">
+            <div className="p-3 bg-primary-50 rounded-lg">
+              <FileJson className="w-6 h-6 text-primary-600" />
+            </div>
+            <div className="flex-1">
+              <h3 className="text-lg font-semibold text-slate-900">Project JSON</h3>
+              <p className="text-sm text-slate-600 mt-1">
+                The complete project as a versioned file. Import it from the dashboard to copy
+                the project to another environment or machine.
+              </p>
+              <p className="text-xs text-slate-500 mt-3">
+                {state.dataModel?.objects?.length || 0} objects · {tagCount} tags ·{' '}
+                {state.journeys?.length || 0} journeys · {state.scenarios?.length || 0} scenarios
+              </p>
+              <button
+                onClick={handleExportJson}
+                className="mt-4 flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+              >
+                <Download className="w-5 h-5" />
+                Download JSON
+              </button>
+            </div>
+          </div>
+        </Card>
+
+        <Card>
+          <div className="flex items-start gap-4">
+            <div className="p-3 bg-primary-50 rounded-lg">
+              <FileCode className="w-6 h-6 text-primary-600" />
+            </div>
+            <div className="flex-1">
+              <h3 className="text-lg font-semibold text-slate-900">Markdown Specification</h3>
+              <p className="text-sm text-slate-600 mt-1">
+                A handoff document with the client profile, every object and field, associations,
+                and each tag's qualification rules in plain language. Paste it into Confluence or
+                commit it alongside the implementation.
+              </p>
+              <div className="mt-4 flex items-center gap-3">
+                <button
+                  onClick={handleExportMarkdown}
+                  className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+                >
+                  <Download className="w-5 h-5" />
+                  Download Markdown
+                </button>
+                <button
+                  onClick={handleCopyMarkdown}
+                  className="flex items-center gap-2 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors font-medium"
+                >
+                  <Copy className="w-5 h-5" />
+                  Copy
+                </button>
+              </div>
+            </div>
+          </div>
+        </Card>
+
+        <Card>
+          <div className="flex items-start gap-4">
+            <div className="p-3 bg-primary-50 rounded-lg">
+              <FileSpreadsheet className="w-6 h-6 text-primary-600" />
+            </div>
+            <div className="flex-1">
+              <h3 className="text-lg font-semibold text-slate-900">Excel Data Dictionary</h3>
+              <p className="text-sm text-slate-600 mt-1">
+                A workbook for the core banking team with one sheet per object, plus
+                associations, field mappings, and tags with their rules.
+              </p>
+              <button
+                onClick={handleExportExcel}
+                className="mt-4 flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+              >
+                <Download className="w-5 h-5" />
+                Download Excel
+              </button>
+            </div>
+          </div>
+        </Card>
+
+        <Card>
+          <div className="flex items-start gap-4">
+            <div className="p-3 bg-primary-50 rounded-lg">
+              <FileText className="w-6 h-6 text-primary-600" />
+            </div>
+            <div className="flex-1">
+              <h3 className="text-lg font-semibold text-slate-900">Printable Report</h3>
+              <p className="text-sm text-slate-600 mt-1">
+                A client-ready packet with a cover page, table of contents, security review,
+                data model, tag catalog and journeys. Use your browser&apos;s Save as PDF.
+              </p>
+              <Link
+                to={`/project/${projectId}/export/report`}
+                className="mt-4 inline-flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+              >
+                <Printer className="w-5 h-5" />
+                Open Report
+              </Link>
+            </div>
+          </div>
+        </Card>
+      </div>
+
+      <HubSpotSchemaExport dataModel={state.dataModel || {}} projectName={projectName} />
+
+      <HubSpotPropertyImport dataModel={state.dataModel || {}} projectName={projectName} />
+
+      <HubSpotListExport
+        tags={allTags}
+        dataModel={state.dataModel || {}}
+        customEvents={state.customEvents || []}
+        projectName={projectName}
+      />
     </div>
   );
 }
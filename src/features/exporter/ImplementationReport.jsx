@@ -0,0 +1,407 @@
+import React, { useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Printer, ShieldAlert } from 'lucide-react';
+import { useProject } from '../../context/ProjectContext-v2';
+import {
+  CLIENT_PROFILE_SECTIONS,
+  formatProfileValue,
+  getSecurityWarnings,
+} from '../../data/clientProfileOptions';
+import { getStandardObject } from '../../data/hubspotStandardObjects';
+import { collectAssociations, ASSOCIATION_TYPE_LABELS } from '../../utils/associations';
+import {
+  describeCondition,
+  describeRuleLogic,
+  TAG_BEHAVIOR_LABELS,
+  TAG_CATEGORY_TITLES,
+} from '../../utils/ruleFormatting';
+import simulationService from '../../services/SimulationService';
+import { isRuleGroup } from '../../utils/ruleTree';
+
+const SECTIONS = [
+  { id: 'client-profile', title: 'Client Profile' },
+  { id: 'security-review', title: 'Security Review' },
+  { id: 'data-model', title: 'Data Model' },
+  { id: 'tag-catalog', title: 'Tag Catalog' },
+  { id: 'journeys', title: 'Journeys' },
+];
+
+function ReportSection({ index, id, title, children }) {
+  return (
+    <section id={id} className="break-before-page pt-10 print:pt-0">
+      <h2 className="text-2xl font-bold text-slate-900 border-b-2 border-primary-600 pb-2 mb-6">
+        {index + 1}. {title}
+      </h2>
+      <div className="space-y-6">{children}</div>
+    </section>
+  );
+}
+
+function RuleList({ conditions, objects }) {
+  return (
+    <ol className="list-decimal list-inside text-sm text-slate-700 mt-1 space-y-0.5">
+      {conditions.map((condition, index) => (
+        <li key={index}>
+          {isRuleGroup(condition) ? (
+            <>
+              {describeRuleLogic(condition)}:
+              <div className="pl-5">
+                <RuleList conditions={condition.conditions} objects={objects} />
+              </div>
+            </>
+          ) : (
+            describeCondition(condition, objects)
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function ReportTable({ headers, rows }) {
+  return (
+    <table className="w-full text-sm border-collapse">
+      <thead>
+        <tr className="bg-slate-100 text-left">
+          {headers.map((header) => (
+            <th key={header} className="border border-slate-300 px-3 py-2 font-semibold text-slate-700">
+              {header}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, rowIndex) => (
+          <tr key={rowIndex} className="break-inside-avoid">
+            {row.map((cell, cellIndex) => (
+              <td key={cellIndex} className="border border-slate-300 px-3 py-2 align-top text-slate-800">
+                {cell}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * ImplementationReport
+ *
+ * Print-optimized implementation packet: cover page, table of contents,
+ * client profile, security review, data model, tag catalog and journeys,
+ * each starting on a new page. Rendered outside the app layout so the
+ * browser's "Save as PDF" output has no navigation chrome.
+ */
+function ImplementationReport() {
+  const { projectId } = useParams();
+  const { state, loadProject } = useProject();
+
+  // Opened directly (bookmark, new tab): load the project first
+  useEffect(() => {
+    if (projectId && state.currentProject !== projectId) {
+      loadProject(projectId);
+    }
+  }, [projectId, state.currentProject, loadProject]);
+
+  const project = state.projects.find((p) => p.id === projectId);
+  const basicInfo = state.clientProfile?.basicInfo || {};
+  const projectName = project?.name || basicInfo.institutionName || 'Untitled Project';
+  const objects = useMemo(() => state.dataModel?.objects || [], [state.dataModel]);
+  const tags = useMemo(
+    () => [...(state.tags?.library || []), ...(state.tags?.custom || [])],
+    [state.tags]
+  );
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+  const journeys = state.journeys || [];
+  const scenarios = state.scenarios || [];
+  const associations = collectAssociations(state.dataModel);
+  const securityWarnings = getSecurityWarnings(state.clientProfile?.integrationSpecs);
+
+  const scenarioTags = useMemo(
+    () =>
+      new Map(
+        (state.scenarios || []).map((scenario) => [
+          scenario.id,
+          simulationService
+            .evaluateScenario(scenario, tags, state.dataModel || {})
+            .filter((evaluation) => evaluation.qualified)
+            .map((evaluation) => evaluation.tagName),
+        ])
+      ),
+    [state.scenarios, tags, state.dataModel]
+  );
+
+  if (state.currentProject !== projectId) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-slate-600">
+        {state.error ? `Could not load project: ${state.error}` : 'Loading report...'}
+      </div>
+    );
+  }
+
+  const objectName = (id) => {
+    const object = objects.find((obj) => obj.id === id);
+    return object ? object.label || object.name : id;
+  };
+
+  return (
+    <div className="bg-slate-100 min-h-screen print:bg-white">
+      {/* Toolbar */}
+      <div className="print:hidden sticky top-0 z-10 bg-white border-b border-slate-200">
+        <div className="max-w-4xl mx-auto px-6 py-3 flex items-center justify-between">
+          <Link
+            to={`/project/${projectId}/export`}
+            className="flex items-center gap-2 text-slate-600 hover:text-slate-900"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Exporter
+          </Link>
+          <button
+            onClick={() => window.print()}
+            className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+          >
+            <Printer className="w-5 h-5" />
+            Print / Save as PDF
+          </button>
+        </div>
+      </div>
+
+      <article className="max-w-4xl mx-auto bg-white px-12 py-10 my-6 shadow-sm print:shadow-none print:my-0 print:px-0 print:py-0 print:max-w-none">
+        {/* Cover Page */}
+        <header className="min-h-[80vh] print:min-h-[90vh] flex flex-col justify-center">
+          <p className="text-sm font-semibold uppercase tracking-widest text-primary-600">
+            Implementation Packet
+          </p>
+          <h1 className="text-5xl font-bold text-slate-900 mt-4">{projectName}</h1>
+          {basicInfo.institutionName && basicInfo.institutionName !== projectName && (
+            <p className="text-2xl text-slate-600 mt-2">{basicInfo.institutionName}</p>
+          )}
+          <p className="text-lg text-slate-600 mt-8">
+            HubSpot member journey orchestration: client profile, data model, tag catalog and
+            journeys
+          </p>
+          <p className="text-sm text-slate-500 mt-12">
+            Prepared {new Date().toLocaleDateString(undefined, { dateStyle: 'long' })}
+          </p>
+        </header>
+
+        {/* Table of Contents */}
+        <nav className="break-before-page pt-10 print:pt-0">
+          <h2 className="text-2xl font-bold text-slate-900 mb-6">Contents</h2>
+          <ol className="space-y-3 text-lg">
+            {SECTIONS.map((section, index) => (
+              <li key={section.id} className="flex items-baseline gap-3">
+                <span className="text-slate-500 w-6">{index + 1}.</span>
+                <a href={`#${section.id}`} className="text-slate-900 hover:text-primary-600">
+                  {section.title}
+                </a>
+              </li>
+            ))}
+          </ol>
+        </nav>
+
+        <ReportSection index={0} {...SECTIONS[0]}>
+          {CLIENT_PROFILE_SECTIONS.map((section) => {
+            const values = state.clientProfile?.[section.source] || {};
+            const rows = section.fields
+              .map((field) => [field.label, formatProfileValue(field, values[field.name])])
+              .filter(([, value]) => value !== '');
+
+            return (
+              <div key={section.title} className="break-inside-avoid">
+                <h3 className="text-lg font-semibold text-slate-900 mb-2">{section.title}</h3>
+                {rows.length > 0 ? (
+                  <ReportTable headers={['Field', 'Value']} rows={rows} />
+                ) : (
+                  <p className="text-sm italic text-slate-500">Not provided</p>
+                )}
+              </div>
+            );
+          })}
+        </ReportSection>
+
+        <ReportSection index={1} {...SECTIONS[1]}>
+          {securityWarnings.length > 0 ? (
+            <div className="border-l-4 border-warning-500 bg-warning-50 p-4">
+              <p className="flex items-center gap-2 font-semibold text-warning-900 mb-2">
+                <ShieldAlert className="w-5 h-5" />
+                {securityWarnings.length} item{securityWarnings.length === 1 ? '' : 's'} to resolve
+                before go-live
+              </p>
+              <ul className="list-disc list-inside space-y-1 text-sm text-warning-800">
+                {securityWarnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <p className="text-sm text-slate-700">
+              No security warnings: sensitive data handling and retention are specified.
+            </p>
+          )}
+        </ReportSection>
+
+        <ReportSection index={2} {...SECTIONS[2]}>
+          {objects.length === 0 && (
+            <p className="text-sm italic text-slate-500">No custom objects defined.</p>
+          )}
+          {objects.map((object) => {
+            const standard = getStandardObject(object.hubspotObject);
+
+            return (
+              <div key={object.id}>
+                <h3 className="text-lg font-semibold text-slate-900">{object.label || object.name}</h3>
+                {object.description && (
+                  <p className="text-sm text-slate-600 mt-1">{object.description}</p>
+                )}
+                <p className="text-xs font-mono text-slate-500 mt-1 mb-3">
+                  {object.apiName || object.name} ·{' '}
+                  {standard ? `HubSpot ${standard.label}` : 'HubSpot custom object'}
+                </p>
+                {object.fields?.length > 0 ? (
+                  <ReportTable
+                    headers={['Field', 'Label', 'Type', 'Required', 'Options']}
+                    rows={object.fields.map((field) => [
+                      <span key="name" className="font-mono text-xs">
+                        {field.name}
+                      </span>,
+                      field.label,
+                      field.dataType || field.type,
+                      field.required ? 'Yes' : 'No',
+                      (field.options || []).map((opt) => opt.label).join(', '),
+                    ])}
+                  />
+                ) : (
+                  <p className="text-sm italic text-slate-500">No fields defined.</p>
+                )}
+              </div>
+            );
+          })}
+
+          <div className="break-inside-avoid">
+            <h3 className="text-lg font-semibold text-slate-900 mb-2">Associations</h3>
+            {associations.length > 0 ? (
+              <ReportTable
+                headers={['From', 'To', 'Type', 'Label']}
+                rows={associations.map((association) => [
+                  objectName(association.fromObjectId),
+                  objectName(association.toObjectId),
+                  ASSOCIATION_TYPE_LABELS[association.type] || association.type,
+                  association.label,
+                ])}
+              />
+            ) : (
+              <p className="text-sm italic text-slate-500">No associations defined.</p>
+            )}
+          </div>
+        </ReportSection>
+
+        <ReportSection index={3} {...SECTIONS[3]}>
+          {tags.length === 0 && <p className="text-sm italic text-slate-500">No tags selected.</p>}
+          {Object.entries(TAG_CATEGORY_TITLES).map(([category, title]) => {
+            const categoryTags = tags.filter((tag) => tag.category === category);
+            if (categoryTags.length === 0) return null;
+
+            return (
+              <div key={category}>
+                <h3 className="text-lg font-semibold text-slate-900 mb-3">{title}</h3>
+                <div className="space-y-4">
+                  {categoryTags.map((tag) => {
+                    const conditions = tag.qualificationRules?.conditions || [];
+                    const dependencies = (tag.dependencies || []).map((id) => tagNames.get(id) || id);
+
+                    return (
+                      <div key={tag.id} className="break-inside-avoid border border-slate-200 rounded p-4">
+                        <div className="flex items-baseline justify-between gap-4">
+                          <h4 className="font-semibold text-slate-900">{tag.name}</h4>
+                          <span className="text-xs text-slate-500">
+                            {TAG_BEHAVIOR_LABELS[tag.behavior] || tag.behavior}
+                            {tag.isPermanent ? ' · permanent' : ''} ·{' '}
+                            {tag.isCustom ? 'Custom' : 'Library'}
+                          </span>
+                        </div>
+                        {tag.description && (
+                          <p className="text-sm text-slate-600 mt-1">{tag.description}</p>
+                        )}
+                        {dependencies.length > 0 && (
+                          <p className="text-xs text-slate-500 mt-1">
+                            Depends on: {dependencies.join(', ')}
+                          </p>
+                        )}
+                        {conditions.length > 0 ? (
+                          <>
+                            <p className="text-sm font-medium text-slate-700 mt-3">
+                              {describeRuleLogic(tag.qualificationRules)}:
+                            </p>
+                            <RuleList conditions={conditions} objects={objects} />
+                          </>
+                        ) : (
+                          <p className="text-sm italic text-slate-500 mt-3">
+                            No qualification rules defined.
+                          </p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </ReportSection>
+
+        <ReportSection index={4} {...SECTIONS[4]}>
+          {journeys.length === 0 && scenarios.length === 0 && (
+            <p className="text-sm italic text-slate-500">
+              No journeys or simulator scenarios defined.
+            </p>
+          )}
+          {journeys.map((journey) => (
+            <div key={journey.id} className="break-inside-avoid">
+              <h3 className="text-lg font-semibold text-slate-900">{journey.name}</h3>
+              {journey.description && (
+                <p className="text-sm text-slate-600 mt-1">{journey.description}</p>
+              )}
+              <ol className="list-decimal list-inside text-sm text-slate-700 mt-2 space-y-0.5">
+                {[...(journey.stages || [])]
+                  .sort((a, b) => a.order - b.order)
+                  .map((stage) => (
+                    <li key={stage.id}>
+                      <span className="font-medium">{stage.name}</span>
+                      {stage.description ? ` — ${stage.description}` : ''}
+                    </li>
+                  ))}
+              </ol>
+              {journey.tags?.length > 0 && (
+                <p className="text-xs text-slate-500 mt-2">
+                  Tags: {journey.tags.map((id) => tagNames.get(id) || id).join(', ')}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {scenarios.length > 0 && (
+            <div className="break-inside-avoid">
+              <h3 className="text-lg font-semibold text-slate-900 mb-2">Simulated Members</h3>
+              <ReportTable
+                headers={['Scenario', 'Events', 'Tags Earned']}
+                rows={scenarios.map((scenario) => [
+                  <div key="name">
+                    <div className="font-medium">{scenario.name}</div>
+                    {scenario.description && (
+                      <div className="text-xs text-slate-500">{scenario.description}</div>
+                    )}
+                  </div>,
+                  (scenario.events || []).length,
+                  (scenarioTags.get(scenario.id) || []).join(', ') || 'None',
+                ])}
+              />
+            </div>
+          )}
+        </ReportSection>
+      </article>
+    </div>
+  );
+}
+
+export default ImplementationReport;
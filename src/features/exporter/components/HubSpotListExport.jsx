@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { AlertTriangle, ChevronDown, ChevronRight, Copy, Download, Workflow } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import hubSpotListService from '../../../services/HubSpotListService';
+import projectExportService from '../../../services/ProjectExportService';
+import { downloadFile } from '../../../utils/download';
+
+const ISSUE_LABELS = {
+  workflow_property: 'Needs workflow property',
+  omitted: 'Not in list',
+  membership: 'Needs membership workflow',
+};
+
+/**
+ * HubSpotListExport
+ *
+ * Shows the active list definition for every tag, with the conditions each
+ * list cannot express and the workflow needed to cover them.
+ */
+function HubSpotListExport({ tags, dataModel, customEvents, projectName }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const tagLists = useMemo(
+    () => hubSpotListService.buildLists(tags, dataModel, customEvents),
+    [tags, dataModel, customEvents]
+  );
+  const issueCount = tagLists.reduce((count, tagList) => count + tagList.issues.length, 0);
+
+  const copyJson = async (value, label) => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(value, null, 2));
+      toast.success(`${label} copied to clipboard`);
+    } catch {
+      toast.error('Could not copy to clipboard. Download the file instead.');
+    }
+  };
+
+  const handleDownloadJson = () => {
+    downloadFile(
+      JSON.stringify(tagLists, null, 2),
+      projectExportService.getExportFilename(`${projectName} hubspot lists`),
+      'application/json;charset=utf-8'
+    );
+  };
+
+  return (
+    <Card
+      title="HubSpot Active Lists"
+      subtitle="List definitions for POST /crm/v3/lists, one per tag, so each tag can be materialized as a contact list"
+    >
+      {tagLists.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          Add tags in the Tag Library to generate HubSpot lists.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleDownloadJson}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+            >
+              <Download className="w-5 h-5" />
+              Download All (JSON)
+            </button>
+            <p className="text-xs text-slate-500">
+              Replace {'{{placeholders}}'} with the object, association and event type IDs from
+              your portal before creating the lists
+            </p>
+          </div>
+
+          {issueCount > 0 && (
+            <p className="flex items-center gap-2 text-sm text-amber-900">
+              <AlertTriangle className="w-4 h-4" />
+              {issueCount} {issueCount === 1 ? 'rule or behavior needs' : 'rules or behaviors need'}{' '}
+              a workflow alongside its list. Expand a tag for details.
+            </p>
+          )}
+
+          <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+            {tagLists.map((tagList) => {
+              const isExpanded = expandedId === tagList.tagId;
+
+              return (
+                <li key={tagList.tagId} className="px-4 py-3">
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => setExpandedId(isExpanded ? null : tagList.tagId)}
+                      className="flex items-center gap-2 flex-1 text-left"
+                    >
+                      {isExpanded ? (
+                        <ChevronDown className="w-4 h-4 text-slate-400" />
+                      ) : (
+                        <ChevronRight className="w-4 h-4 text-slate-400" />
+                      )}
+                      <span className="font-medium text-slate-900">{tagList.tagName}</span>
+                      {!tagList.list && (
+                        <span className="text-xs text-red-600">· No list possible</span>
+                      )}
+                      {tagList.issues.length > 0 && (
+                        <span className="text-xs text-amber-700">
+                          · {tagList.issues.length}{' '}
+                          {tagList.issues.length === 1 ? 'workflow note' : 'workflow notes'}
+                        </span>
+                      )}
+                    </button>
+                    {tagList.list && (
+                      <button
+                        onClick={() => copyJson(tagList.list, `${tagList.tagName} list`)}
+                        className="flex items-center gap-1 px-3 py-1.5 text-sm bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200"
+                      >
+                        <Copy className="w-4 h-4" />
+                        Copy JSON
+                      </button>
+                    )}
+                  </div>
+
+                  {isExpanded && (
+                    <div className="mt-3 space-y-3">
+                      {tagList.issues.length > 0 && (
+                        <ul className="space-y-2">
+                          {tagList.issues.map((issue, index) => (
+                            <li
+                              key={index}
+                              className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-900"
+                            >
+                              <p className="font-medium">
+                                {ISSUE_LABELS[issue.kind]}: {issue.condition}
+                              </p>
+                              <p className="mt-1">{issue.reason}.</p>
+                              <p className="mt-1 flex items-start gap-2">
+                                <Workflow className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                {issue.workflow}
+                              </p>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+
+                      {tagList.placeholders.length > 0 && (
+                        <p className="text-xs text-slate-500">
+                          Placeholders:{' '}
+                          <span className="font-mono">{tagList.placeholders.join(', ')}</span>
+                        </p>
+                      )}
+
+                      {tagList.list && (
+                        <pre className="p-3 bg-slate-900 text-slate-100 text-xs rounded-lg overflow-auto max-h-96">
+                          {JSON.stringify(tagList.list, null, 2)}
+                        </pre>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default HubSpotListExport;
@@ -0,0 +1,114 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle, Download } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import hubSpotPropertyImportService from '../../../services/HubSpotPropertyImportService';
+import projectExportService from '../../../services/ProjectExportService';
+import { downloadFile } from '../../../utils/download';
+
+/**
+ * HubSpotPropertyImport
+ *
+ * Lists the properties to add to standard HubSpot objects and downloads them
+ * in the property-import CSV format.
+ */
+function HubSpotPropertyImport({ dataModel, projectName }) {
+  const propertyImport = useMemo(
+    () => hubSpotPropertyImportService.buildPropertyImport(dataModel),
+    [dataModel]
+  );
+  const { rows, warnings } = propertyImport;
+
+  const handleDownloadCsv = () => {
+    downloadFile(
+      hubSpotPropertyImportService.toCsv(propertyImport),
+      projectExportService.getExportFilename(`${projectName} hubspot properties`, 'csv'),
+      'text/csv;charset=utf-8'
+    );
+  };
+
+  return (
+    <Card
+      title="HubSpot Standard Object Properties"
+      subtitle="Property-import CSV for objects mapped to contacts, companies or deals"
+    >
+      {rows.length === 0 && warnings.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          No objects are mapped to a standard HubSpot object. Set an object&apos;s HubSpot
+          destination in the Data Model Designer to export its fields as properties.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleDownloadCsv}
+              disabled={rows.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:bg-slate-300 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              <Download className="w-5 h-5" />
+              Download Property CSV
+            </button>
+            <p className="text-xs text-slate-500">
+              Import in HubSpot under Settings → Properties → Import properties
+            </p>
+          </div>
+
+          {warnings.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+              <p className="flex items-center gap-2 text-sm font-medium text-amber-900 mb-2">
+                <AlertTriangle className="w-4 h-4" />
+                Review before importing
+              </p>
+              <ul className="space-y-1 text-sm text-amber-900">
+                {warnings.map((warning, index) => (
+                  <li key={index}>
+                    <span className="font-mono">
+                      {warning.objectName}
+                      {warning.field ? `.${warning.field}` : ''}
+                    </span>
+                    : {warning.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <div className="overflow-x-auto border border-slate-200 rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-left text-slate-600">
+                  <tr>
+                    <th className="px-4 py-2 font-medium">Object</th>
+                    <th className="px-4 py-2 font-medium">Group</th>
+                    <th className="px-4 py-2 font-medium">Property</th>
+                    <th className="px-4 py-2 font-medium">Field Type</th>
+                    <th className="px-4 py-2 font-medium">Options</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {rows.map((row) => (
+                    <tr key={`${row.objectType}.${row.name}`}>
+                      <td className="px-4 py-2 text-slate-700">{row.objectType}</td>
+                      <td className="px-4 py-2 text-slate-700">{row.groupLabel}</td>
+                      <td className="px-4 py-2">
+                        <div className="text-slate-900">{row.label}</div>
+                        <div className="text-xs font-mono text-slate-500">{row.name}</div>
+                      </td>
+                      <td className="px-4 py-2 font-mono text-xs text-slate-600">
+                        {row.type} / {row.fieldType}
+                      </td>
+                      <td className="px-4 py-2 text-xs text-slate-600">
+                        {row.options.map((option) => option.label).join(', ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default HubSpotPropertyImport;
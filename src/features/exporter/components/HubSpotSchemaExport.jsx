@@ -0,0 +1,163 @@
+import React, { useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { AlertTriangle, ChevronDown, ChevronRight, Copy, Download, Terminal } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import hubSpotSchemaService from '../../../services/HubSpotSchemaService';
+import projectExportService from '../../../services/ProjectExportService';
+import { downloadFile } from '../../../utils/download';
+
+/**
+ * HubSpotSchemaExport
+ *
+ * Shows the HubSpot custom object schema payload for every data model object,
+ * with copy buttons for pasting into API tools and downloads for scripting.
+ */
+function HubSpotSchemaExport({ dataModel, projectName }) {
+  const [expandedName, setExpandedName] = useState(null);
+
+  const schemaExport = useMemo(() => hubSpotSchemaService.buildSchemas(dataModel), [dataModel]);
+  const { schemas, associations, warnings } = schemaExport;
+
+  const copyJson = async (value, label) => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(value, null, 2));
+      toast.success(`${label} copied to clipboard`);
+    } catch {
+      toast.error('Could not copy to clipboard. Download the file instead.');
+    }
+  };
+
+  const handleDownloadJson = () => {
+    downloadFile(
+      JSON.stringify(schemaExport, null, 2),
+      projectExportService.getExportFilename(`${projectName} hubspot schemas`),
+      'application/json;charset=utf-8'
+    );
+  };
+
+  const handleDownloadScript = () => {
+    downloadFile(
+      hubSpotSchemaService.buildCreateScript(schemaExport, projectName),
+      'create-hubspot-schemas.sh',
+      'text/x-shellscript;charset=utf-8'
+    );
+  };
+
+  return (
+    <Card
+      title="HubSpot Custom Objects"
+      subtitle="CRM v3 schema payloads for POST /crm/v3/schemas, one per custom data model object"
+    >
+      {schemas.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          Add objects in the Data Model Designer to generate HubSpot schemas.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleDownloadJson}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+            >
+              <Download className="w-5 h-5" />
+              Download All (JSON)
+            </button>
+            <button
+              onClick={handleDownloadScript}
+              className="flex items-center gap-2 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors font-medium"
+            >
+              <Terminal className="w-5 h-5" />
+              Download Create Script
+            </button>
+            <p className="text-xs text-slate-500">
+              The script needs curl, jq and a private app token in HUBSPOT_TOKEN
+            </p>
+          </div>
+
+          {warnings.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+              <p className="flex items-center gap-2 text-sm font-medium text-amber-900 mb-2">
+                <AlertTriangle className="w-4 h-4" />
+                Review before creating in HubSpot
+              </p>
+              <ul className="space-y-1 text-sm text-amber-900">
+                {warnings.map((warning, index) => (
+                  <li key={index}>
+                    <span className="font-mono">
+                      {warning.objectName}
+                      {warning.field ? `.${warning.field}` : ''}
+                    </span>
+                    : {warning.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+            {schemas.map((schema) => {
+              const isExpanded = expandedName === schema.name;
+
+              return (
+                <li key={schema.name} className="px-4 py-3">
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => setExpandedName(isExpanded ? null : schema.name)}
+                      className="flex items-center gap-2 flex-1 text-left"
+                    >
+                      {isExpanded ? (
+                        <ChevronDown className="w-4 h-4 text-slate-400" />
+                      ) : (
+                        <ChevronRight className="w-4 h-4 text-slate-400" />
+                      )}
+                      <span className="font-medium text-slate-900">{schema.labels.singular}</span>
+                      <span className="text-xs font-mono text-slate-500">{schema.name}</span>
+                      <span className="text-xs text-slate-500">
+                        · {schema.properties.length} properties
+                      </span>
+                    </button>
+                    <button
+                      onClick={() => copyJson(schema, `${schema.labels.singular} schema`)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200"
+                    >
+                      <Copy className="w-4 h-4" />
+                      Copy JSON
+                    </button>
+                  </div>
+                  {isExpanded && (
+                    <pre className="mt-3 p-3 bg-slate-900 text-slate-100 text-xs rounded-lg overflow-auto max-h-96">
+                      {JSON.stringify(schema, null, 2)}
+                    </pre>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {associations.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-slate-700 mb-2">
+                Associations between custom objects
+              </p>
+              <p className="text-xs text-slate-500 mb-2">
+                Create these after the schemas exist, using the object type IDs HubSpot returns
+                (POST /crm/v3/schemas/&#123;objectTypeId&#125;/associations). The create script does
+                this automatically.
+              </p>
+              <ul className="space-y-1 text-sm text-slate-700">
+                {associations.map((association) => (
+                  <li key={association.name} className="font-mono text-xs">
+                    {association.fromObject} → {association.toObject}{' '}
+                    <span className="text-slate-500">({association.name})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default HubSpotSchemaExport;
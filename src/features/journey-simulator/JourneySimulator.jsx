@@ -1,26 +1,321 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { Play, Database, Save, Camera, CalendarRange, UserRound, Users } from 'lucide-react';
+import { useProject } from '../../context/ProjectContext-v2';
 import Card from '../../components/ui/Card';
-import { Play } from 'lucide-react';
+import ScenarioList from './components/ScenarioList';
+import ScenarioEditor from './components/ScenarioEditor';
+import TagResults from './components/TagResults';
+import JourneyTimeline from './components/JourneyTimeline';
+import BatchSimulation from './components/BatchSimulation';
+import simulationService from '../../services/SimulationService';
+import customEventService from '../../services/CustomEventService';
+import { flattenConditions, isActivityCondition } from '../../utils/ruleTree';
+import {
+  EVENT_CATEGORIES,
+  getEventsByCategory,
+  findEventById,
+  getEventDisplayName,
+} from '../../data/hubspotEventTypes';
 
+const TABS = [
+  { id: 'scenarios', label: 'Scenario Builder', icon: UserRound },
+  { id: 'batch', label: 'Batch Simulation', icon: Users },
+];
+
+const VIEW_MODES = [
+  { id: 'snapshot', label: 'Snapshot', icon: Camera },
+  { id: 'timeline', label: 'Timeline', icon: CalendarRange },
+];
+
+/**
+ * Journey Simulator
+ *
+ * Build synthetic members against the project's data model and see which
+ * tags apply. Edits are evaluated live; scenarios are saved on the project.
+ *
+ * Snapshot mode evaluates the member on a single date. Timeline mode steps
+ * the scenario day by day so tag behaviors (set_once, dynamic, evolving),
+ * activity timeframes and score hysteresis play out over time.
+ *
+ * Batch Simulation runs every tag over a CSV of members to find tags nobody
+ * qualifies for and members left without tags.
+ */
 function JourneySimulator() {
+  const { state, addScenario, updateScenario, deleteScenario } = useProject();
+  const [draft, setDraft] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [viewMode, setViewMode] = useState('snapshot');
+  const [activeTab, setActiveTab] = useState('scenarios');
+
+  const objects = state.dataModel?.objects || [];
+  const scenarios = state.scenarios || [];
+  const customEvents = useMemo(() => state.customEvents || [], [state.customEvents]);
+
+  const tags = useMemo(
+    () => [...(state.tags?.library || []), ...(state.tags?.custom || [])],
+    [state.tags]
+  );
+
+  // Standard HubSpot events, the project's registered custom events, and any
+  // other events referenced by tag rules
+  const eventOptions = useMemo(() => {
+    const byCategory = getEventsByCategory();
+    const groups = Object.entries(byCategory)
+      .filter(([, events]) => events.length > 0)
+      .map(([category, events]) => ({
+        label: EVENT_CATEGORIES[category] || category,
+        options: events.map((event) => ({ value: event.id, label: event.name })),
+      }));
+
+    const ruleEvents = new Set();
+    tags.forEach((tag) => {
+      flattenConditions(tag.qualificationRules?.conditions).forEach((condition) => {
+        if (
+          isActivityCondition(condition) &&
+          !findEventById(condition.eventType) &&
+          !customEventService.findEvent(customEvents, condition.eventType)
+        ) {
+          ruleEvents.add(condition.eventType);
+        }
+      });
+    });
+
+    if (customEvents.length > 0) {
+      groups.unshift({
+        label: 'Custom Events (this project)',
+        options: customEvents.map((event) => ({ value: event.name, label: event.label })),
+      });
+    }
+
+    if (ruleEvents.size > 0) {
+      groups.unshift({
+        label: 'Used by Project Tags',
+        options: [...ruleEvents]
+          .sort()
+          .map((eventType) => ({ value: eventType, label: getEventDisplayName(eventType) })),
+      });
+    }
+
+    return groups;
+  }, [tags, customEvents]);
+
+  const memberObject = draft
+    ? simulationService.resolveMemberObject(objects, draft.memberObjectId)
+    : undefined;
+
+  const evaluations = useMemo(
+    () => (draft ? simulationService.evaluateScenario(draft, tags, state.dataModel || {}) : []),
+    [draft, tags, state.dataModel]
+  );
+
+  const simulation = useMemo(
+    () =>
+      draft && viewMode === 'timeline'
+        ? simulationService.simulateTimeline(draft, tags, state.dataModel || {})
+        : null,
+    [draft, tags, state.dataModel, viewMode]
+  );
+
+  const confirmDiscard = () =>
+    !isDirty || window.confirm('Discard unsaved changes to this scenario?');
+
+  const handleCreate = () => {
+    if (!confirmDiscard()) return;
+    setDraft(
+      simulationService.createScenario(state.dataModel || {}, `Scenario ${scenarios.length + 1}`)
+    );
+    setIsDirty(true);
+  };
+
+  const handleSelect = (scenario) => {
+    if (scenario.id === draft?.id || !confirmDiscard()) return;
+    setDraft(scenario);
+    setIsDirty(false);
+  };
+
+  const handleChange = (updated) => {
+    setDraft(updated);
+    setIsDirty(true);
+  };
+
+  const handleSave = async () => {
+    if (!draft) return;
+
+    setIsSaving(true);
+    const payload = { ...draft, updatedAt: new Date().toISOString() };
+    const exists = scenarios.some((scenario) => scenario.id === payload.id);
+    const { error, validationErrors } = exists
+      ? await updateScenario(payload)
+      : await addScenario(payload);
+    setIsSaving(false);
+
+    if (error) {
+      const detail = validationErrors?.[0]?.errors?.[0]?.message;
+      toast.error(`Failed to save scenario: ${detail || error}`);
+      return;
+    }
+
+    setDraft(payload);
+    setIsDirty(false);
+    toast.success('Scenario saved');
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!window.confirm(`Are you sure you want to delete the scenario "${scenario.name}"?`)) {
+      return;
+    }
+
+    const { error } = await deleteScenario(scenario.id);
+    if (error) {
+      toast.error(`Failed to delete scenario: ${error}`);
+      return;
+    }
+
+    if (draft?.id === scenario.id) {
+      setDraft(null);
+      setIsDirty(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
-      <div>
-        <h2 className="text-3xl font-bold text-slate-900">Journey Simulator</h2>
-        <p className="text-slate-600 mt-1">
-          Create member scenarios and visualize their journey paths
-        </p>
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-slate-900">Journey Simulator</h2>
+          <p className="text-slate-600 mt-1">
+            Create member scenarios and see which tags they qualify for
+          </p>
+        </div>
+        {draft && activeTab === 'scenarios' && (
+          <div className="flex items-center gap-3">
+            <div className="flex bg-slate-100 rounded-lg p-1">
+              {VIEW_MODES.map((mode) => {
+                const Icon = mode.icon;
+                return (
+                  <button
+                    key={mode.id}
+                    onClick={() => setViewMode(mode.id)}
+                    className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                      viewMode === mode.id
+                        ? 'bg-white text-slate-900 shadow-sm'
+                        : 'text-slate-600 hover:text-slate-900'
+                    }`}
+                  >
+                    <Icon className="w-4 h-4" />
+                    {mode.label}
+                  </button>
+                );
+              })}
+            </div>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !isDirty}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Save className="w-5 h-5" />
+              {isSaving ? 'Saving...' : isDirty ? 'Save Scenario' : 'Saved'}
+            </button>
+          </div>
+        )}
       </div>
 
-      <Card>
-        <div className="text-center py-12">
-          <Play className="w-16 h-16 text-slate-300 mx-auto mb-4" />
-          <h3 className="text-lg font-semibold text-slate-900 mb-2">Coming Soon</h3>
-          <p className="text-slate-600">
-            Test member scenarios, see tag qualification, and visualize journey timelines
-          </p>
+      {/* Tabs */}
+      <div className="border-b border-slate-200">
+        <nav className="flex gap-6">
+          {TABS.map((tab) => {
+            const Icon = tab.icon;
+            return (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`flex items-center gap-2 pb-3 border-b-2 text-sm font-medium transition-colors ${
+                  activeTab === tab.id
+                    ? 'border-primary-600 text-primary-700'
+                    : 'border-transparent text-slate-600 hover:text-slate-900'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {tab.label}
+              </button>
+            );
+          })}
+        </nav>
+      </div>
+
+      {objects.length === 0 ? (
+        <Card>
+          <div className="text-center py-12">
+            <Database className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-slate-900 mb-2">No Data Model Yet</h3>
+            <p className="text-slate-600">
+              Add a member object in the Data Model Designer to start building scenarios
+            </p>
+          </div>
+        </Card>
+      ) : activeTab === 'batch' ? (
+        <BatchSimulation dataModel={state.dataModel || {}} tags={tags} />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+          <div className="lg:col-span-3">
+            <ScenarioList
+              scenarios={scenarios}
+              selectedId={draft?.id}
+              onSelect={handleSelect}
+              onCreate={handleCreate}
+              onDelete={handleDelete}
+            />
+          </div>
+
+          {draft ? (
+            <>
+              <div className={simulation ? 'lg:col-span-4' : 'lg:col-span-5'}>
+                <ScenarioEditor
+                  scenario={draft}
+                  objects={objects}
+                  memberObject={memberObject}
+                  eventOptions={eventOptions}
+                  onChange={handleChange}
+                />
+              </div>
+              {simulation ? (
+                <div className="lg:col-span-5">
+                  <JourneyTimeline
+                    simulation={simulation}
+                    timelineStart={draft.timelineStart}
+                    onTimelineStartChange={(timelineStart) =>
+                      handleChange({ ...draft, timelineStart })
+                    }
+                  />
+                </div>
+              ) : (
+                <div className="lg:col-span-4">
+                  <div className="lg:sticky lg:top-6">
+                    <TagResults evaluations={evaluations} tags={tags} />
+                  </div>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="lg:col-span-9">
+              <Card>
+                <div className="text-center py-12">
+                  <Play className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+                  <h3 className="text-lg font-semibold text-slate-900 mb-2">
+                    Select or Create a Scenario
+                  </h3>
+                  <p className="text-slate-600">
+                    Fill in member properties, attach accounts and loans, and add events to
+                    see tag qualification update as you type
+                  </p>
+                </div>
+              </Card>
+            </div>
+          )}
         </div>
-      </Card>
+      )}
     </div>
   );
 }
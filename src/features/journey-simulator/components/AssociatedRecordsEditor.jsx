@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Link2 } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import FieldValueInput from './FieldValueInput';
+import { generateId } from '../../../utils/idGenerator';
+
+/**
+ * AssociatedRecordsEditor
+ *
+ * Attach accounts, loans, households, etc. to the scenario member. Property
+ * conditions on non-member objects and association rules are evaluated
+ * against these records.
+ */
+function AssociatedRecordsEditor({ records, objects, onChange }) {
+  const [objectId, setObjectId] = useState('');
+
+  const objectsById = new Map(objects.map((obj) => [obj.id, obj]));
+  const selectedObjectId = objectsById.has(objectId) ? objectId : objects[0]?.id || '';
+
+  const handleAttach = () => {
+    if (!selectedObjectId) return;
+    onChange([...records, { id: generateId(), objectId: selectedObjectId, properties: {} }]);
+  };
+
+  const handleRemove = (recordId) => {
+    onChange(records.filter((record) => record.id !== recordId));
+  };
+
+  const handleValueChange = (recordId, key, value) => {
+    onChange(
+      records.map((record) => {
+        if (record.id !== recordId) return record;
+        const properties = { ...record.properties };
+        if (value === undefined) {
+          delete properties[key];
+        } else {
+          properties[key] = value;
+        }
+        return { ...record, properties };
+      })
+    );
+  };
+
+  return (
+    <Card title="Associated Records" subtitle="Accounts, loans and other records linked to this member">
+      {objects.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          Add more objects to the data model to attach associated records.
+        </p>
+      ) : (
+        <div className="flex gap-2 mb-4">
+          <select
+            value={selectedObjectId}
+            onChange={(e) => setObjectId(e.target.value)}
+            aria-label="Object to attach"
+            className="flex-1 px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {objects.map((obj) => (
+              <option key={obj.id} value={obj.id}>
+                {obj.label || obj.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleAttach}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+          >
+            <Plus className="w-4 h-4" />
+            Attach Record
+          </button>
+        </div>
+      )}
+
+      {records.length > 0 && (
+        <div className="space-y-4">
+          {records.map((record, index) => {
+            const object = objectsById.get(record.objectId);
+
+            return (
+              <div key={record.id} className="border border-slate-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center gap-2">
+                    <Link2 className="w-4 h-4 text-slate-400" />
+                    <span className="font-medium text-slate-900">
+                      {object ? object.label || object.name : 'Missing object'} #{index + 1}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleRemove(record.id)}
+                    className="p-1 text-slate-400 hover:text-red-600"
+                    aria-label="Remove record"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+
+                {object ? (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {(object.fields || []).map((field) => (
+                      <div key={field.id}>
+                        <label
+                          htmlFor={`record-${record.id}-${field.id}`}
+                          className="block text-xs font-medium text-slate-600 mb-1"
+                        >
+                          {field.label || field.name}
+                        </label>
+                        <FieldValueInput
+                          id={`record-${record.id}-${field.id}`}
+                          field={field}
+                          value={record.properties?.[field.name]}
+                          onChange={(value) => handleValueChange(record.id, field.name, value)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-amber-700">
+                    This record's object was removed from the data model and is ignored.
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default AssociatedRecordsEditor;
@@ -0,0 +1,287 @@
+import React, { useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { Upload, Wand2, Play, FileSpreadsheet, Download } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import batchSimulationService, { MAX_BATCH_ROWS } from '../../../services/BatchSimulationService';
+import simulationService from '../../../services/SimulationService';
+import CoverageReport from './CoverageReport';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../../utils/dateInput';
+import { downloadFile } from '../../../utils/download';
+
+// Reject uploads larger than this before reading them into memory
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const DEFAULT_SAMPLE_SIZE = 200;
+
+const inputClasses =
+  'px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * Column targets are objects; <select> needs string values
+ */
+const encodeTarget = (target) => {
+  switch (target.kind) {
+    case 'member':
+      return `member:${target.field}`;
+    case 'record':
+      return `record:${target.objectId}:${target.field}`;
+    case 'event':
+      return `event:${target.eventType}`;
+    default:
+      return 'ignore';
+  }
+};
+
+const decodeTarget = (value) => {
+  const [kind, ...rest] = value.split(':');
+  if (kind === 'member') return { kind, field: rest.join(':') };
+  if (kind === 'record') return { kind, objectId: rest[0], field: rest.slice(1).join(':') };
+  if (kind === 'event') return { kind, eventType: rest.join(':') };
+  return { kind: 'ignore' };
+};
+
+/**
+ * BatchSimulation
+ *
+ * Upload (or generate) a CSV of members, map its columns to the data model
+ * and run every project tag over all rows to get a coverage report.
+ */
+function BatchSimulation({ dataModel, tags }) {
+  const [source, setSource] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mappings, setMappings] = useState([]);
+  const [asOf, setAsOf] = useState(() => new Date().toISOString());
+  const [sampleSize, setSampleSize] = useState(DEFAULT_SAMPLE_SIZE);
+  const [report, setReport] = useState(null);
+
+  const objects = useMemo(() => dataModel.objects || [], [dataModel.objects]);
+  const memberObject = simulationService.resolveMemberObject(objects);
+
+  // Targets offered for every column; unknown member properties and event
+  // types are added per column so custom mappings stay selectable
+  const targetGroups = useMemo(
+    () => [
+      {
+        label: memberObject?.label || 'Member',
+        options: (memberObject?.fields || []).map((field) => ({
+          value: encodeTarget({ kind: 'member', field: field.name }),
+          label: field.label || field.name,
+        })),
+      },
+      ...objects
+        .filter((obj) => obj.id !== memberObject?.id)
+        .map((obj) => ({
+          label: `${obj.label || obj.name} record`,
+          options: (obj.fields || []).map((field) => ({
+            value: encodeTarget({ kind: 'record', objectId: obj.id, field: field.name }),
+            label: `${obj.label || obj.name}: ${field.label || field.name}`,
+          })),
+        })),
+    ],
+    [objects, memberObject]
+  );
+
+  const loadCsv = (text, name, generated = false) => {
+    const parsed = batchSimulationService.parseMembersCsv(text);
+    if (parsed.error) {
+      toast.error(parsed.error);
+      return;
+    }
+
+    setSource({ name, text, generated });
+    setHeaders(parsed.headers);
+    setRows(parsed.rows);
+    setMappings(batchSimulationService.suggestColumnMappings(parsed.headers, dataModel));
+    setReport(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_FILE_BYTES) {
+      toast.error('File is too large. Batch simulation files are limited to 5 MB');
+      return;
+    }
+
+    loadCsv(await file.text(), file.name);
+  };
+
+  const handleGenerate = () => {
+    const count = Math.min(Math.max(Number(sampleSize) || 0, 1), MAX_BATCH_ROWS);
+    loadCsv(
+      batchSimulationService.generateMembersCsv(dataModel, tags, count),
+      `generated-${count}-members.csv`,
+      true
+    );
+  };
+
+  const handleMappingChange = (column, value) => {
+    setMappings(
+      mappings.map((mapping) =>
+        mapping.column === column ? { ...mapping, target: decodeTarget(value) } : mapping
+      )
+    );
+    setReport(null);
+  };
+
+  const handleRun = () => {
+    const scenarios = batchSimulationService.buildScenarios(headers, rows, mappings, dataModel, asOf);
+    setReport(batchSimulationService.runBatch(scenarios, tags, dataModel));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Source */}
+      <Card
+        title="Members"
+        subtitle={`Upload a CSV with one member per row (up to ${MAX_BATCH_ROWS}), or generate sample data from the data model`}
+      >
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium cursor-pointer">
+            <Upload className="w-5 h-5" />
+            Upload CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+          </label>
+
+          <div className="flex items-end gap-2">
+            <div>
+              <label htmlFor="batch-sample-size" className="block text-sm font-medium text-slate-700 mb-1">
+                Sample size
+              </label>
+              <input
+                id="batch-sample-size"
+                type="number"
+                min="1"
+                max={MAX_BATCH_ROWS}
+                value={sampleSize}
+                onChange={(e) => setSampleSize(e.target.value)}
+                className={`${inputClasses} w-28`}
+              />
+            </div>
+            <button
+              onClick={handleGenerate}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors font-medium"
+            >
+              <Wand2 className="w-5 h-5" />
+              Generate
+            </button>
+          </div>
+
+          {source && (
+            <div className="flex items-center gap-3 text-sm text-slate-600 pb-2">
+              <FileSpreadsheet className="w-4 h-4" />
+              {source.name} · {rows.length} rows
+              {source.generated && (
+                <button
+                  onClick={() => downloadFile(source.text, source.name, 'text/csv;charset=utf-8')}
+                  className="flex items-center gap-1 text-primary-600 hover:text-primary-700"
+                >
+                  <Download className="w-4 h-4" />
+                  Download to edit
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        <p className="text-xs text-slate-500 mt-4">
+          Name columns after member fields (<span className="font-mono">age</span>), associated
+          object fields (<span className="font-mono">loan.balance</span>) or event counts (
+          <span className="font-mono">event:mobile_app_login</span>). Event counts are placed in the
+          hours before the evaluation date.
+        </p>
+      </Card>
+
+      {/* Column Mapping */}
+      {headers.length > 0 && (
+        <Card title="Column Mapping" subtitle="Check where each column lands before running">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-600 border-b border-slate-200">
+                  <th className="py-2 pr-4 font-medium">Column</th>
+                  <th className="py-2 pr-4 font-medium">First value</th>
+                  <th className="py-2 font-medium">Maps to</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {mappings.map((mapping, index) => {
+                  const value = encodeTarget(mapping.target);
+                  const isKnown =
+                    value === 'ignore' ||
+                    targetGroups.some((group) => group.options.some((opt) => opt.value === value));
+
+                  return (
+                    <tr key={mapping.column}>
+                      <td className="py-2 pr-4 font-mono text-slate-900">{mapping.column}</td>
+                      <td className="py-2 pr-4 text-slate-500 truncate max-w-[12rem]">
+                        {rows[0]?.[index] || '—'}
+                      </td>
+                      <td className="py-2">
+                        <select
+                          value={value}
+                          onChange={(e) => handleMappingChange(mapping.column, e.target.value)}
+                          aria-label={`Mapping for ${mapping.column}`}
+                          className={`${inputClasses} w-full`}
+                        >
+                          <option value="ignore">Ignore column</option>
+                          {!isKnown && (
+                            <option value={value}>
+                              {mapping.target.kind === 'event'
+                                ? `Event count: ${mapping.target.eventType}`
+                                : `Member property: ${mapping.target.field}`}
+                            </option>
+                          )}
+                          {targetGroups
+                            .filter((group) => group.options.length > 0)
+                            .map((group) => (
+                              <optgroup key={group.label} label={group.label}>
+                                {group.options.map((opt) => (
+                                  <option key={opt.value} value={opt.value}>
+                                    {opt.label}
+                                  </option>
+                                ))}
+                              </optgroup>
+                            ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-4 mt-6 pt-4 border-t border-slate-200">
+            <div>
+              <label htmlFor="batch-as-of" className="block text-sm font-medium text-slate-700 mb-1">
+                Evaluate as of
+              </label>
+              <input
+                id="batch-as-of"
+                type="datetime-local"
+                value={toDateTimeLocal(asOf)}
+                onChange={(e) => setAsOf(fromDateTimeLocal(e.target.value) || asOf)}
+                className={inputClasses}
+              />
+            </div>
+            <button
+              onClick={handleRun}
+              disabled={rows.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Play className="w-5 h-5" />
+              Run {tags.length} Tags on {rows.length} Members
+            </button>
+          </div>
+        </Card>
+      )}
+
+      {report && <CoverageReport report={report} tags={tags} />}
+    </div>
+  );
+}
+
+export default BatchSimulation;
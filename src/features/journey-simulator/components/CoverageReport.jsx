@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronRight, Download, UserX, Users } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import { toCsv } from '../../../utils/csv';
+import { downloadFile } from '../../../utils/download';
+
+// Members listed before the "show all" toggle
+const MEMBER_PREVIEW_COUNT = 20;
+
+/**
+ * CoverageReport
+ *
+ * Summarizes a batch simulation: members per tag with per-condition pass
+ * counts, tags nobody qualifies for and members who received no tags.
+ */
+function CoverageReport({ report, tags }) {
+  const [expandedTagId, setExpandedTagId] = useState(null);
+  const [showAllMembers, setShowAllMembers] = useState(false);
+
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+  const sortedTags = [...report.tags].sort((a, b) => b.memberCount - a.memberCount);
+  const visibleMembers = showAllMembers
+    ? report.membersWithoutTags
+    : report.membersWithoutTags.slice(0, MEMBER_PREVIEW_COUNT);
+
+  const handleDownload = () => {
+    const rows = report.members.map((member) => [
+      member.rowNumber,
+      member.label,
+      member.tagIds.length,
+      member.tagIds.map((id) => tagNames.get(id) || id).join('; '),
+    ]);
+    downloadFile(
+      toCsv(['row', 'member', 'tag_count', 'tags'], rows),
+      'batch-simulation-results.csv',
+      'text/csv;charset=utf-8'
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card>
+          <div className="flex items-center gap-3">
+            <Users className="w-8 h-8 text-primary-600" />
+            <div>
+              <p className="text-2xl font-bold text-slate-900">{report.memberCount}</p>
+              <p className="text-sm text-slate-600">Members simulated</p>
+            </div>
+          </div>
+        </Card>
+        <Card>
+          <div className="flex items-center gap-3">
+            <AlertTriangle
+              className={`w-8 h-8 ${report.uncoveredTags.length > 0 ? 'text-amber-500' : 'text-slate-300'}`}
+            />
+            <div>
+              <p className="text-2xl font-bold text-slate-900">{report.uncoveredTags.length}</p>
+              <p className="text-sm text-slate-600">Tags nobody qualifies for</p>
+            </div>
+          </div>
+        </Card>
+        <Card>
+          <div className="flex items-center gap-3">
+            <UserX
+              className={`w-8 h-8 ${report.membersWithoutTags.length > 0 ? 'text-amber-500' : 'text-slate-300'}`}
+            />
+            <div>
+              <p className="text-2xl font-bold text-slate-900">
+                {report.membersWithoutTags.length}
+              </p>
+              <p className="text-sm text-slate-600">Members with zero tags</p>
+            </div>
+          </div>
+        </Card>
+      </div>
+
+      {/* Uncovered Tags */}
+      {report.uncoveredTags.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-amber-900 mb-2">
+            No member qualified for these tags. Check their rules for typos in field names or
+            thresholds the data never reaches:
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {report.uncoveredTags.map((tagCoverage) => (
+              <button
+                key={tagCoverage.tagId}
+                onClick={() => setExpandedTagId(tagCoverage.tagId)}
+                className="px-2 py-1 bg-white border border-amber-300 rounded text-xs text-amber-900 hover:bg-amber-100"
+              >
+                {tagCoverage.tagName}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Tag Coverage */}
+      <Card title="Tag Coverage" subtitle="Expand a tag to see how many members passed each condition">
+        <div className="flex justify-end mb-4">
+          <button
+            onClick={handleDownload}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200"
+          >
+            <Download className="w-4 h-4" />
+            Download Results CSV
+          </button>
+        </div>
+
+        {sortedTags.length === 0 ? (
+          <p className="text-sm text-slate-500">This project has no tags to evaluate.</p>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {sortedTags.map((tagCoverage) => {
+              const isExpanded = expandedTagId === tagCoverage.tagId;
+
+              return (
+                <li key={tagCoverage.tagId} className="py-2">
+                  <button
+                    onClick={() => setExpandedTagId(isExpanded ? null : tagCoverage.tagId)}
+                    className="w-full grid grid-cols-12 gap-3 items-center text-left"
+                  >
+                    <span className="col-span-4 flex items-center gap-1 text-sm font-medium text-slate-900 truncate">
+                      {isExpanded ? (
+                        <ChevronDown className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                      ) : (
+                        <ChevronRight className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                      )}
+                      {tagCoverage.tagName}
+                    </span>
+                    <span className="col-span-2 text-xs text-slate-500 capitalize">
+                      {tagCoverage.category}
+                    </span>
+                    <span className="col-span-4 h-2 bg-slate-100 rounded">
+                      <span
+                        className={`block h-2 rounded ${tagCoverage.memberCount > 0 ? 'bg-primary-500' : ''}`}
+                        style={{ width: `${tagCoverage.percentage}%` }}
+                      />
+                    </span>
+                    <span
+                      className={`col-span-2 text-sm text-right ${
+                        tagCoverage.memberCount === 0 ? 'text-amber-700 font-medium' : 'text-slate-700'
+                      }`}
+                    >
+                      {tagCoverage.memberCount} ({tagCoverage.percentage}%)
+                    </span>
+                  </button>
+
+                  {isExpanded && (
+                    <ul className="mt-2 ml-5 space-y-1">
+                      {tagCoverage.conditions.length === 0 ? (
+                        <li className="text-xs text-slate-500">This tag has no conditions.</li>
+                      ) : (
+                        tagCoverage.conditions.map((condition) => (
+                          <li
+                            key={condition.index}
+                            className="flex items-center justify-between gap-3 text-xs"
+                          >
+                            <span className="font-mono text-slate-700">{condition.description}</span>
+                            <span
+                              className={
+                                condition.passedCount === 0 ? 'text-amber-700 font-medium' : 'text-slate-500'
+                              }
+                            >
+                              {condition.passedCount} passed
+                            </span>
+                          </li>
+                        ))
+                      )}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Card>
+
+      {/* Members Without Tags */}
+      {report.membersWithoutTags.length > 0 && (
+        <Card title="Members With Zero Tags">
+          <ul className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {visibleMembers.map((member) => (
+              <li key={member.rowNumber} className="text-sm text-slate-700">
+                <span className="text-xs text-slate-400 mr-2">#{member.rowNumber}</span>
+                {member.label}
+              </li>
+            ))}
+          </ul>
+          {report.membersWithoutTags.length > MEMBER_PREVIEW_COUNT && (
+            <button
+              onClick={() => setShowAllMembers(!showAllMembers)}
+              className="mt-4 text-sm text-primary-600 hover:text-primary-700"
+            >
+              {showAllMembers ? 'Show fewer' : `Show all ${report.membersWithoutTags.length}`}
+            </button>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
+
+export default CoverageReport;
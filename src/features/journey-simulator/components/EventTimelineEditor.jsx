@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Activity } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import { generateId } from '../../../utils/idGenerator';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../../utils/dateInput';
+import { getEventDisplayName } from '../../../data/hubspotEventTypes';
+
+const CUSTOM_EVENT = '__custom__';
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_REPEAT = 100;
+
+const inputClasses =
+  'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * EventTimelineEditor
+ *
+ * Adds timeline events (HubSpot standard events, events used by tag rules or
+ * free-form custom events) to the scenario. An event can be added several
+ * times at once, spaced one hour apart, to satisfy count-based rules.
+ */
+function EventTimelineEditor({ events, eventOptions, defaultDate, onChange }) {
+  const [eventType, setEventType] = useState('');
+  const [customEventType, setCustomEventType] = useState('');
+  const [occurredAt, setOccurredAt] = useState('');
+  const [repeat, setRepeat] = useState(1);
+
+  const resolvedType = eventType === CUSTOM_EVENT ? customEventType.trim() : eventType;
+  const sortedEvents = [...events].sort(
+    (a, b) => new Date(b.occurredAt).getTime() - new Date(a.occurredAt).getTime()
+  );
+
+  const handleAdd = () => {
+    if (!resolvedType) return;
+
+    const anchor = fromDateTimeLocal(occurredAt) || defaultDate || new Date().toISOString();
+    const count = Math.min(Math.max(Number(repeat) || 1, 1), MAX_REPEAT);
+    const added = Array.from({ length: count }, (_, i) => ({
+      id: generateId(),
+      eventType: resolvedType,
+      occurredAt: new Date(new Date(anchor).getTime() - i * HOUR_MS).toISOString(),
+      properties: {},
+    }));
+
+    onChange([...events, ...added]);
+    setRepeat(1);
+  };
+
+  const handleRemove = (eventId) => {
+    onChange(events.filter((event) => event.id !== eventId));
+  };
+
+  return (
+    <Card title="Timeline Events" subtitle="Behavioral events evaluated by activity rules">
+      <div className="grid grid-cols-1 md:grid-cols-12 gap-2 mb-4">
+        <div className="md:col-span-5 space-y-2">
+          <select
+            value={eventType}
+            onChange={(e) => setEventType(e.target.value)}
+            aria-label="Event type"
+            className={inputClasses}
+          >
+            <option value="">Select event</option>
+            {eventOptions.map((group) => (
+              <optgroup key={group.label} label={group.label}>
+                {group.options.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+            <option value={CUSTOM_EVENT}>Other custom event…</option>
+          </select>
+          {eventType === CUSTOM_EVENT && (
+            <input
+              type="text"
+              value={customEventType}
+              onChange={(e) => setCustomEventType(e.target.value)}
+              placeholder="e.g. pe1234567_loan_application_started"
+              aria-label="Custom event name"
+              className={`${inputClasses} font-mono`}
+            />
+          )}
+        </div>
+        <div className="md:col-span-4">
+          <input
+            type="datetime-local"
+            value={occurredAt || toDateTimeLocal(defaultDate)}
+            onChange={(e) => setOccurredAt(e.target.value)}
+            aria-label="Occurred at"
+            className={inputClasses}
+          />
+        </div>
+        <div className="md:col-span-1">
+          <input
+            type="number"
+            min={1}
+            max={MAX_REPEAT}
+            value={repeat}
+            onChange={(e) => setRepeat(e.target.value)}
+            aria-label="Number of occurrences"
+            title="Number of occurrences"
+            className={inputClasses}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <button
+            onClick={handleAdd}
+            disabled={!resolvedType}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+        </div>
+      </div>
+
+      {sortedEvents.length > 0 ? (
+        <>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-slate-600">
+              {sortedEvents.length} event{sortedEvents.length !== 1 ? 's' : ''}
+            </p>
+            <button
+              onClick={() => onChange([])}
+              className="text-sm text-slate-500 hover:text-red-600"
+            >
+              Clear all
+            </button>
+          </div>
+          <ul className="divide-y divide-slate-100 max-h-80 overflow-y-auto border border-slate-200 rounded-lg">
+            {sortedEvents.map((event) => (
+              <li key={event.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                <Activity className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                <span className="font-medium text-slate-900">
+                  {getEventDisplayName(event.eventType)}
+                </span>
+                <span className="text-slate-500">
+                  {new Date(event.occurredAt).toLocaleString()}
+                </span>
+                <button
+                  onClick={() => handleRemove(event.id)}
+                  className="ml-auto p-1 text-slate-400 hover:text-red-600"
+                  aria-label="Remove event"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="text-sm text-slate-500">No events yet.</p>
+      )}
+    </Card>
+  );
+}
+
+export default EventTimelineEditor;
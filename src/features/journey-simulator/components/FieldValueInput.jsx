@@ -0,0 +1,95 @@
+import React from 'react';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../../utils/dateInput';
+
+const inputClasses =
+  'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * Render a value input appropriate for a data model field's dataType.
+ * Values are stored in the type the Qualification Engine compares against:
+ * numbers as numbers, booleans as booleans, dates as ISO strings.
+ */
+function FieldValueInput({ field, value, onChange, id = `scenario-field-${field.id}` }) {
+  const dataType = field.dataType || field.type || 'text';
+
+  switch (dataType) {
+    case 'number':
+    case 'currency':
+      return (
+        <input
+          id={id}
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+          className={inputClasses}
+        />
+      );
+
+    case 'boolean':
+      return (
+        <select
+          id={id}
+          value={value === undefined || value === null ? '' : String(value)}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : e.target.value === 'true')}
+          className={inputClasses}
+        >
+          <option value="">Not set</option>
+          <option value="true">True</option>
+          <option value="false">False</option>
+        </select>
+      );
+
+    case 'enumeration':
+      return (
+        <select
+          id={id}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : e.target.value)}
+          className={inputClasses}
+        >
+          <option value="">Not set</option>
+          {(field.options || []).map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+      );
+
+    case 'date':
+      return (
+        <input
+          id={id}
+          type="date"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value || undefined)}
+          className={inputClasses}
+        />
+      );
+
+    case 'datetime':
+      return (
+        <input
+          id={id}
+          type="datetime-local"
+          value={toDateTimeLocal(value)}
+          onChange={(e) => onChange(fromDateTimeLocal(e.target.value))}
+          className={inputClasses}
+        />
+      );
+
+    default:
+      return (
+        <input
+          id={id}
+          type="text"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? undefined : e.target.value)}
+          className={inputClasses}
+        />
+      );
+  }
+}
+
+export default FieldValueInput;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { Plus, Minus, Lock, CalendarRange } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../../utils/dateInput';
+import { TAG_BEHAVIOR_LABELS } from '../../../utils/ruleFormatting';
+
+const TRANSITION_STYLES = {
+  added: { icon: Plus, className: 'text-green-700 bg-green-50', label: 'Added' },
+  removed: { icon: Minus, className: 'text-red-700 bg-red-50', label: 'Removed' },
+  retained: { icon: Lock, className: 'text-amber-700 bg-amber-50', label: 'Retained' },
+};
+
+const STATUS_STYLES = {
+  held: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800',
+  never: 'bg-slate-100 text-slate-600',
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+/**
+ * Contiguous runs of steps where the tag was held
+ */
+const heldRuns = (held) => {
+  const runs = [];
+  let start = null;
+  held.forEach((isHeld, index) => {
+    if (isHeld && start === null) start = index;
+    if (!isHeld && start !== null) {
+      runs.push([start, index]);
+      start = null;
+    }
+  });
+  if (start !== null) runs.push([start, held.length]);
+  return runs;
+};
+
+/**
+ * Explain what the tag's behavior means for the timeline
+ */
+const behaviorNote = (timeline) => {
+  if (timeline.sticky) {
+    return timeline.isPermanent && timeline.behavior !== 'set_once'
+      ? 'Permanent: never removed once added'
+      : 'Set once: never removed once added';
+  }
+  return timeline.behavior === 'evolving'
+    ? 'Evolving: re-evaluated as the member changes'
+    : 'Dynamic: re-evaluated every day';
+};
+
+/**
+ * JourneyTimeline
+ *
+ * Renders a day-by-day timeline simulation: one track per tag showing when
+ * the member held it, plus a log explaining each addition, removal and
+ * retention.
+ */
+function JourneyTimeline({ simulation, timelineStart, onTimelineStartChange }) {
+  const [showAllTags, setShowAllTags] = useState(false);
+
+  const steps = simulation.dates.length;
+  const visibleTags = showAllTags
+    ? simulation.tags
+    : simulation.tags.filter((timeline) => timeline.finalStatus !== 'never');
+  const hiddenCount = simulation.tags.length - visibleTags.length;
+  const midpoint = simulation.dates[Math.floor((steps - 1) / 2)];
+
+  return (
+    <div className="space-y-6">
+      <Card
+        title="Journey Timeline"
+        subtitle={`${steps} day${steps !== 1 ? 's' : ''} from ${formatDate(simulation.start)} to ${formatDate(simulation.end)}`}
+      >
+        <div className="flex flex-wrap items-end gap-4 mb-6">
+          <div>
+            <label
+              htmlFor="timeline-start"
+              className="block text-sm font-medium text-slate-700 mb-1"
+            >
+              Simulate from
+            </label>
+            <input
+              id="timeline-start"
+              type="datetime-local"
+              value={toDateTimeLocal(timelineStart || simulation.start)}
+              onChange={(e) => onTimelineStartChange(fromDateTimeLocal(e.target.value))}
+              className="px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          <p className="text-sm text-slate-500 pb-2">
+            The timeline ends at the scenario's evaluation date
+          </p>
+          {hiddenCount > 0 || showAllTags ? (
+            <button
+              onClick={() => setShowAllTags(!showAllTags)}
+              className="ml-auto text-sm text-primary-600 hover:text-primary-700 pb-2"
+            >
+              {showAllTags ? 'Hide tags never applied' : `Show ${hiddenCount} tags never applied`}
+            </button>
+          ) : null}
+        </div>
+
+        {visibleTags.length === 0 ? (
+          <div className="text-center py-8">
+            <CalendarRange className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+            <p className="text-sm text-slate-600">
+              No tags apply at any point in this timeline.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {visibleTags.map((timeline) => (
+              <div key={timeline.tagId} className="grid grid-cols-12 gap-3 items-center">
+                <div className="col-span-4">
+                  <div className="flex items-center gap-2">
+                    <span
+                      className="w-3 h-3 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: timeline.color || '#94a3b8' }}
+                    />
+                    <span className="text-sm font-medium text-slate-900 truncate">
+                      {timeline.tagName}
+                    </span>
+                    <span
+                      className={`ml-auto px-2 py-0.5 rounded text-xs ${STATUS_STYLES[timeline.finalStatus]}`}
+                    >
+                      {timeline.finalStatus === 'held'
+                        ? 'Held'
+                        : timeline.finalStatus === 'removed'
+                          ? 'Removed'
+                          : 'Never'}
+                    </span>
+                  </div>
+                  <p className="text-xs text-slate-500 ml-5">
+                    {TAG_BEHAVIOR_LABELS[timeline.behavior] || timeline.behavior} ·{' '}
+                    {behaviorNote(timeline)}
+                  </p>
+                </div>
+                <div className="col-span-8 relative h-6 bg-slate-100 rounded">
+                  {heldRuns(timeline.held).map(([start, end]) => (
+                    <div
+                      key={start}
+                      className="absolute top-0 h-6 rounded"
+                      style={{
+                        left: `${(start / steps) * 100}%`,
+                        width: `${((end - start) / steps) * 100}%`,
+                        backgroundColor: timeline.color || '#64748b',
+                        opacity: 0.75,
+                      }}
+                      title={`${formatDate(simulation.dates[start])} – ${formatDate(
+                        simulation.dates[end - 1]
+                      )}`}
+                    />
+                  ))}
+                  {timeline.transitions
+                    .filter((t) => t.type === 'retained')
+                    .map((t) => (
+                      <div
+                        key={`retained-${t.stepIndex}`}
+                        className="absolute top-0 h-6 w-0.5 bg-amber-500"
+                        style={{ left: `${(t.stepIndex / steps) * 100}%` }}
+                        title={`Conditions stopped matching on ${formatDate(t.date)}`}
+                      />
+                    ))}
+                </div>
+              </div>
+            ))}
+
+            {/* Date axis */}
+            <div className="grid grid-cols-12 gap-3">
+              <div className="col-span-8 col-start-5 flex justify-between text-xs text-slate-500">
+                <span>{formatDate(simulation.start)}</span>
+                {steps > 2 && <span>{formatDate(midpoint)}</span>}
+                <span>{formatDate(simulation.end)}</span>
+              </div>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      <Card title="What Happened" subtitle="Every time a tag was added, removed or retained">
+        {simulation.transitions.length > 0 ? (
+          <ul className="divide-y divide-slate-100">
+            {simulation.transitions.map((transition) => {
+              const style = TRANSITION_STYLES[transition.type];
+              const Icon = style.icon;
+
+              return (
+                <li
+                  key={`${transition.tagId}-${transition.stepIndex}-${transition.type}`}
+                  className="flex items-start gap-3 py-2"
+                >
+                  <span className="text-xs text-slate-500 w-24 flex-shrink-0 pt-0.5">
+                    {formatDate(transition.date)}
+                  </span>
+                  <span
+                    className={`flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium flex-shrink-0 ${style.className}`}
+                  >
+                    <Icon className="w-3 h-3" />
+                    {style.label}
+                  </span>
+                  <div className="text-sm">
+                    <span className="font-medium text-slate-900">{transition.tagName}</span>
+                    <p className="text-xs text-slate-500 font-mono">
+                      {transition.type === 'retained'
+                        ? `Kept even though conditions no longer match: ${transition.reason}`
+                        : transition.reason}
+                    </p>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-slate-500">No tag changes during this timeline.</p>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default JourneyTimeline;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, TrendingUp } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import FieldValueInput from './FieldValueInput';
+import { generateId } from '../../../utils/idGenerator';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../../utils/dateInput';
+
+const MEMBER_TARGET = 'member';
+
+const inputClasses =
+  'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * PropertyChangesEditor
+ *
+ * Schedules property values that change during a timeline simulation, such
+ * as a credit score drifting across hysteresis thresholds or a certificate
+ * approaching maturity.
+ */
+function PropertyChangesEditor({ changes, memberObject, records, objects, defaultDate, onChange }) {
+  const [target, setTarget] = useState(MEMBER_TARGET);
+  const [fieldId, setFieldId] = useState('');
+  const [value, setValue] = useState(undefined);
+  const [effectiveAt, setEffectiveAt] = useState('');
+
+  const objectsById = new Map(objects.map((obj) => [obj.id, obj]));
+  const recordsById = new Map(records.map((record) => [record.id, record]));
+
+  const targetObject =
+    target === MEMBER_TARGET ? memberObject : objectsById.get(recordsById.get(target)?.objectId);
+  const fields = targetObject?.fields || [];
+  const field = fields.find((f) => f.id === fieldId) || fields[0];
+
+  const targetLabel = (recordId) => {
+    if (!recordId) return memberObject?.label || 'Member';
+    const record = recordsById.get(recordId);
+    const object = record && objectsById.get(record.objectId);
+    if (!object) return 'Removed record';
+    return `${object.label || object.name} #${records.indexOf(record) + 1}`;
+  };
+
+  const sortedChanges = [...changes].sort(
+    (a, b) => new Date(a.effectiveAt).getTime() - new Date(b.effectiveAt).getTime()
+  );
+
+  const handleTargetChange = (nextTarget) => {
+    setTarget(nextTarget);
+    setFieldId('');
+    setValue(undefined);
+  };
+
+  const handleAdd = () => {
+    const date = fromDateTimeLocal(effectiveAt) || defaultDate;
+    if (!field || !date) return;
+
+    onChange([
+      ...changes,
+      {
+        id: generateId(),
+        ...(target !== MEMBER_TARGET && { recordId: target }),
+        field: field.name,
+        value,
+        effectiveAt: date,
+      },
+    ]);
+    setValue(undefined);
+  };
+
+  return (
+    <Card
+      title="Property Changes"
+      subtitle="Values that change during the timeline simulation, e.g. a credit score update"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
+        <select
+          value={target}
+          onChange={(e) => handleTargetChange(e.target.value)}
+          aria-label="Change target"
+          className={inputClasses}
+        >
+          <option value={MEMBER_TARGET}>{memberObject?.label || 'Member'}</option>
+          {records.map((record) => (
+            <option key={record.id} value={record.id}>
+              {targetLabel(record.id)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={field?.id || ''}
+          onChange={(e) => {
+            setFieldId(e.target.value);
+            setValue(undefined);
+          }}
+          aria-label="Field"
+          disabled={fields.length === 0}
+          className={inputClasses}
+        >
+          {fields.length === 0 && <option value="">No fields</option>}
+          {fields.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.label || f.name}
+            </option>
+          ))}
+        </select>
+        {field && (
+          <FieldValueInput
+            id="property-change-value"
+            field={field}
+            value={value}
+            onChange={setValue}
+          />
+        )}
+        <input
+          type="datetime-local"
+          value={effectiveAt || toDateTimeLocal(defaultDate)}
+          onChange={(e) => setEffectiveAt(e.target.value)}
+          aria-label="Effective at"
+          className={inputClasses}
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!field}
+          className="md:col-span-2 flex items-center justify-center gap-2 px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="w-4 h-4" />
+          Schedule Change
+        </button>
+      </div>
+
+      {sortedChanges.length > 0 ? (
+        <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+          {sortedChanges.map((change) => (
+            <li key={change.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+              <TrendingUp className="w-4 h-4 text-slate-400 flex-shrink-0" />
+              <span className="text-slate-500">
+                {new Date(change.effectiveAt).toLocaleDateString()}
+              </span>
+              <span className="text-slate-700">
+                {targetLabel(change.recordId)}.
+                <span className="font-mono">{change.field}</span> →{' '}
+                <span className="font-medium text-slate-900">
+                  {change.value === undefined ? 'unknown' : String(change.value)}
+                </span>
+              </span>
+              <button
+                onClick={() => onChange(changes.filter((c) => c.id !== change.id))}
+                className="ml-auto p-1 text-slate-400 hover:text-red-600"
+                aria-label="Remove change"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500">No scheduled changes.</p>
+      )}
+    </Card>
+  );
+}
+
+export default PropertyChangesEditor;
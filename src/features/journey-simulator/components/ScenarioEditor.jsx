@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+import FieldValueInput from './FieldValueInput';
+import AssociatedRecordsEditor from './AssociatedRecordsEditor';
+import EventTimelineEditor from './EventTimelineEditor';
+import PropertyChangesEditor from './PropertyChangesEditor';
+import { toDateTimeLocal, fromDateTimeLocal } from '../../../utils/dateInput';
+
+const inputClasses =
+  'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * Set or clear a key on a property bag without mutating it
+ */
+const withProperty = (properties, key, value) => {
+  const next = { ...properties };
+  if (value === undefined) {
+    delete next[key];
+  } else {
+    next[key] = value;
+  }
+  return next;
+};
+
+/**
+ * ScenarioEditor
+ *
+ * Builds a synthetic member: field values for the member object, associated
+ * records, timeline events and scheduled property changes. Every edit is
+ * reported through onChange so the parent can re-evaluate tags immediately.
+ */
+function ScenarioEditor({ scenario, objects, memberObject, eventOptions, onChange }) {
+  const [extraKey, setExtraKey] = useState('');
+  const [extraValue, setExtraValue] = useState('');
+
+  const memberFields = memberObject?.fields || [];
+  const fieldNames = new Set(memberFields.map((f) => f.name));
+  const extraProperties = Object.entries(scenario.member || {}).filter(
+    ([key]) => !fieldNames.has(key)
+  );
+
+  const update = (changes) => onChange({ ...scenario, ...changes });
+
+  const setMemberValue = (key, value) =>
+    update({ member: withProperty(scenario.member || {}, key, value) });
+
+  const handleAddExtraProperty = () => {
+    const key = extraKey.trim();
+    if (!key) return;
+    setMemberValue(key, extraValue === '' ? undefined : extraValue);
+    setExtraKey('');
+    setExtraValue('');
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Scenario Details */}
+      <Card title="Scenario">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="scenario-name" className="block text-sm font-medium text-slate-700 mb-1">
+              Name
+            </label>
+            <input
+              id="scenario-name"
+              type="text"
+              value={scenario.name}
+              onChange={(e) => update({ name: e.target.value })}
+              className={inputClasses}
+            />
+          </div>
+          <div>
+            <label htmlFor="scenario-as-of" className="block text-sm font-medium text-slate-700 mb-1">
+              Evaluate as of
+            </label>
+            <input
+              id="scenario-as-of"
+              type="datetime-local"
+              value={toDateTimeLocal(scenario.asOf)}
+              onChange={(e) => update({ asOf: fromDateTimeLocal(e.target.value) })}
+              className={inputClasses}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label
+              htmlFor="scenario-description"
+              className="block text-sm font-medium text-slate-700 mb-1"
+            >
+              Description
+            </label>
+            <input
+              id="scenario-description"
+              type="text"
+              value={scenario.description || ''}
+              onChange={(e) => update({ description: e.target.value })}
+              placeholder="e.g. Young member who opened through an auto dealer"
+              className={inputClasses}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label
+              htmlFor="scenario-member-object"
+              className="block text-sm font-medium text-slate-700 mb-1"
+            >
+              Member object
+            </label>
+            <select
+              id="scenario-member-object"
+              value={memberObject?.id || ''}
+              onChange={(e) => update({ memberObjectId: e.target.value })}
+              className={inputClasses}
+            >
+              {objects.map((obj) => (
+                <option key={obj.id} value={obj.id}>
+                  {obj.label || obj.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </Card>
+
+      {/* Member Properties */}
+      <Card
+        title={`${memberObject?.label || 'Member'} Properties`}
+        subtitle="Leave a field empty to treat it as unknown"
+      >
+        {memberFields.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {memberFields.map((field) => (
+              <div key={field.id}>
+                <label
+                  htmlFor={`scenario-field-${field.id}`}
+                  className="block text-sm font-medium text-slate-700 mb-1"
+                >
+                  {field.label || field.name}
+                  <span className="ml-2 text-xs font-mono text-slate-400">{field.name}</span>
+                </label>
+                <FieldValueInput
+                  field={field}
+                  value={scenario.member?.[field.name]}
+                  onChange={(value) => setMemberValue(field.name, value)}
+                />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-slate-500">This object has no fields yet.</p>
+        )}
+
+        {/* Properties referenced by tags but not defined on the object */}
+        <div className="mt-6 pt-4 border-t border-slate-200">
+          <p className="text-sm font-medium text-slate-700 mb-2">Other properties</p>
+          {extraProperties.length > 0 && (
+            <ul className="space-y-1 mb-3">
+              {extraProperties.map(([key, value]) => (
+                <li key={key} className="flex items-center gap-2 text-sm">
+                  <span className="font-mono text-slate-700">{key}</span>
+                  <span className="text-slate-400">=</span>
+                  <span className="text-slate-900">{String(value)}</span>
+                  <button
+                    onClick={() => setMemberValue(key, undefined)}
+                    className="ml-auto p-1 text-slate-400 hover:text-red-600"
+                    aria-label={`Remove ${key}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={extraKey}
+              onChange={(e) => setExtraKey(e.target.value)}
+              placeholder="property_name"
+              aria-label="Property name"
+              className={`${inputClasses} font-mono`}
+            />
+            <input
+              type="text"
+              value={extraValue}
+              onChange={(e) => setExtraValue(e.target.value)}
+              placeholder="value"
+              aria-label="Property value"
+              className={inputClasses}
+            />
+            <button
+              onClick={handleAddExtraProperty}
+              disabled={!extraKey.trim()}
+              className="flex items-center gap-1 px-3 py-2 text-sm bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" />
+              Set
+            </button>
+          </div>
+        </div>
+      </Card>
+
+      <AssociatedRecordsEditor
+        records={scenario.records || []}
+        objects={objects.filter((obj) => obj.id !== memberObject?.id)}
+        onChange={(records) => update({ records })}
+      />
+
+      <EventTimelineEditor
+        events={scenario.events || []}
+        eventOptions={eventOptions}
+        defaultDate={scenario.asOf}
+        onChange={(events) => update({ events })}
+      />
+
+      <PropertyChangesEditor
+        changes={scenario.propertyChanges || []}
+        memberObject={memberObject}
+        records={scenario.records || []}
+        objects={objects}
+        defaultDate={scenario.asOf}
+        onChange={(propertyChanges) => update({ propertyChanges })}
+      />
+    </div>
+  );
+}
+
+export default ScenarioEditor;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Plus, Trash2, User } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+
+/**
+ * ScenarioList
+ *
+ * Saved scenarios for the current project.
+ */
+function ScenarioList({ scenarios, selectedId, onSelect, onCreate, onDelete }) {
+  return (
+    <Card title="Scenarios">
+      <button
+        onClick={onCreate}
+        className="w-full flex items-center justify-center gap-2 px-4 py-2 mb-4 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium"
+      >
+        <Plus className="w-4 h-4" />
+        New Scenario
+      </button>
+
+      {scenarios.length > 0 ? (
+        <ul className="space-y-1">
+          {scenarios.map((scenario) => (
+            <li key={scenario.id}>
+              <div
+                className={`flex items-center gap-2 px-3 py-2 rounded-lg cursor-pointer ${
+                  scenario.id === selectedId
+                    ? 'bg-primary-50 text-primary-700'
+                    : 'text-slate-700 hover:bg-slate-50'
+                }`}
+                onClick={() => onSelect(scenario)}
+              >
+                <User className="w-4 h-4 flex-shrink-0" />
+                <span className="flex-1 text-sm font-medium truncate">{scenario.name}</span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(scenario);
+                  }}
+                  className="p-1 text-slate-400 hover:text-red-600"
+                  aria-label={`Delete ${scenario.name}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500 text-center">No saved scenarios yet.</p>
+      )}
+    </Card>
+  );
+}
+
+export default ScenarioList;
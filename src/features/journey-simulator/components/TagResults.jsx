@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { CheckCircle2, XCircle, ChevronDown, ChevronRight, Tag as TagIcon } from 'lucide-react';
+import Card from '../../../components/ui/Card';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+/**
+ * Per-condition trace; condition groups list their own conditions indented
+ */
+function ConditionTraceList({ trace }) {
+  return (
+    <ul className="space-y-1">
+      {trace.map((condition) => (
+        <li key={condition.index} className="flex items-start gap-2 text-sm">
+          {condition.passed ? (
+            <CheckCircle2 className="w-4 h-4 text-green-600 mt-0.5 flex-shrink-0" />
+          ) : (
+            <XCircle className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
+          )}
+          {condition.kind === 'group' ? (
+            <div className="flex-1 space-y-1">
+              <p className="text-slate-500 text-xs">
+                Condition group
+                {condition.reason && ` · ${condition.reason}`}
+              </p>
+              <div className="pl-2 border-l-2 border-slate-200">
+                <ConditionTraceList trace={condition.children || []} />
+              </div>
+            </div>
+          ) : (
+            <div>
+              <p className="text-slate-700 font-mono text-xs">{condition.description}</p>
+              <p className="text-slate-500 text-xs">
+                Actual: {formatValue(condition.actual)}
+                {condition.reason && ` · ${condition.reason}`}
+              </p>
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Single tag outcome with an expandable per-condition trace
+ */
+function TagResultRow({ evaluation, tag }) {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <li className="border border-slate-200 rounded-lg">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-3 px-3 py-2 text-left hover:bg-slate-50"
+      >
+        {expanded ? (
+          <ChevronDown className="w-4 h-4 text-slate-400" />
+        ) : (
+          <ChevronRight className="w-4 h-4 text-slate-400" />
+        )}
+        <span
+          className="w-3 h-3 rounded-full flex-shrink-0"
+          style={{ backgroundColor: tag?.color || '#94a3b8' }}
+        />
+        <span className="font-medium text-slate-900 flex-1">{evaluation.tagName}</span>
+        <span className="text-xs text-slate-500">
+          {evaluation.trace.filter((t) => t.passed).length}/{evaluation.trace.length}{' '}
+          {evaluation.logic}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="px-3 pb-3">
+          <ConditionTraceList trace={evaluation.trace} />
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * TagResults
+ *
+ * Shows which project tags the scenario member qualifies for.
+ */
+function TagResults({ evaluations, tags }) {
+  const [showUnqualified, setShowUnqualified] = useState(false);
+
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const qualified = evaluations.filter((e) => e.qualified);
+  const unqualified = evaluations.filter((e) => !e.qualified);
+
+  if (evaluations.length === 0) {
+    return (
+      <Card title="Tag Results">
+        <div className="text-center py-6">
+          <TagIcon className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+          <p className="text-sm text-slate-600">
+            Add tags to this project in the Tag Library to see which ones apply.
+          </p>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card
+      title="Tag Results"
+      subtitle={`${qualified.length} of ${evaluations.length} tags apply to this member`}
+    >
+      {qualified.length > 0 ? (
+        <ul className="space-y-2">
+          {qualified.map((evaluation) => (
+            <TagResultRow
+              key={evaluation.tagId}
+              evaluation={evaluation}
+              tag={tagsById.get(evaluation.tagId)}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500">No tags apply yet.</p>
+      )}
+
+      {unqualified.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-slate-200">
+          <button
+            onClick={() => setShowUnqualified(!showUnqualified)}
+            className="flex items-center gap-1 text-sm font-medium text-slate-600 hover:text-slate-900"
+          >
+            {showUnqualified ? (
+              <ChevronDown className="w-4 h-4" />
+            ) : (
+              <ChevronRight className="w-4 h-4" />
+            )}
+            Not applied ({unqualified.length})
+          </button>
+          {showUnqualified && (
+            <ul className="space-y-2 mt-2">
+              {unqualified.map((evaluation) => (
+                <TagResultRow
+                  key={evaluation.tagId}
+                  evaluation={evaluation}
+                  tag={tagsById.get(evaluation.tagId)}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default TagResults;
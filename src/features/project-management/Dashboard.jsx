@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Plus, FolderOpen, Trash2, Calendar } from 'lucide-react';
+import { Plus, FolderOpen, Trash2, Calendar, Upload } from 'lucide-react';
 import { useProject } from '../../context/ProjectContext-v2';
 import Card from '../../components/ui/Card';
 import { generateId } from '../../utils/idGenerator';
+import projectExportService from '../../services/ProjectExportService';
 
 function Dashboard() {
   const { state, createProject, loadProject, deleteProject } = useProject();
@@ -12,7 +13,9 @@ function Dashboard() {
   const [projectName, setProjectName] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [isDeletingId, setIsDeletingId] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
   const [error, setError] = useState(null);
+  const importInputRef = useRef(null);
 
   const handleCreateProject = async () => {
     if (!projectName.trim()) return;
@@ -60,6 +63,50 @@ function Dashboard() {
     }
   };
 
+  const handleImportProject = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    setError(null);
+
+    try {
+      const { data: imported, error: parseError, validationErrors } =
+        projectExportService.parseProjectExport(await file.text());
+
+      if (parseError) {
+        const detail = validationErrors[0];
+        setError(
+          detail ? `${parseError}: ${detail.field} – ${detail.message}` : parseError
+        );
+        return;
+      }
+
+      // Keep imported copies distinguishable from the project they came from
+      const nameTaken = state.projects.some((p) => p.name === imported.name);
+      const name = nameTaken ? `${imported.name} (imported)` : imported.name;
+
+      const { data, error: createError } = await createProject(
+        projectExportService.toNewProject(imported, name)
+      );
+
+      if (createError) {
+        setError(`Failed to import project: ${createError}`);
+        return;
+      }
+
+      if (data) {
+        navigate(`/project/${data.id}/client-profile`);
+      }
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'The file could not be read';
+      setError(`Failed to import project: ${errorMessage}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const handleOpenProject = async (projectId) => {
     const project = state.projects.find(p => p.id === projectId);
     if (project) {
@@ -103,14 +150,31 @@ function Dashboard() {
           </p>
         </div>
 
-        <button
-          onClick={() => setShowNewProject(true)}
-          disabled={isCreating}
-          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:bg-slate-300 disabled:cursor-not-allowed transition-colors"
-        >
-          <Plus className="w-5 h-5" />
-          <span>New Project</span>
-        </button>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => importInputRef.current?.click()}
+            disabled={isImporting}
+            className="flex items-center gap-2 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Upload className="w-5 h-5" />
+            <span>{isImporting ? 'Importing...' : 'Import Project'}</span>
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportProject}
+            className="hidden"
+          />
+          <button
+            onClick={() => setShowNewProject(true)}
+            disabled={isCreating}
+            className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:bg-slate-300 disabled:cursor-not-allowed transition-colors"
+          >
+            <Plus className="w-5 h-5" />
+            <span>New Project</span>
+          </button>
+        </div>
       </div>
 
       {error && (
@@ -1,8 +1,19 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
 import { useProject } from '../../context/ProjectContext-v2';
 import { Plus, Search, Filter } from 'lucide-react';
 import TagCard from './components/TagCard';
 import TagModal from './components/TagModal';
+import DeleteTagModal from './components/DeleteTagModal';
+import AdoptTagWizard from './components/AdoptTagWizard';
+import TagDependencyGraph from './components/TagDependencyGraph';
+import RuleLintPanel from './components/RuleLintPanel';
+import TagConflictPanel from './components/TagConflictPanel';
+import LibraryUpdatePanel from './components/LibraryUpdatePanel';
+import ruleLintService from '../../services/RuleLintService';
+import tagLibraryUpdateService from '../../services/TagLibraryUpdateService';
+import type { CreateFieldFix, RuleLintIssue } from '../../types/ruleLint';
+import type { TagLibraryUpdate } from '../../types/tagUpdate';
 import { Tag } from '../../types/tag';
 import tagLibraryData from '../../data/tagLibrary.json';
 
@@ -23,6 +34,8 @@ interface SearchableTag extends Tag {
  * - Add tags to implementation
  * - Create custom tags
  * - View tag qualification rules
+ * - Check implementation tags for overlapping or redundant rules
+ * - Merge newer library definitions into adopted tags
  */
 
 type CategoryType = 'all' | 'origin' | 'behavior' | 'opportunity';
@@ -34,13 +47,21 @@ type CategoryStats = {
   opportunity: number;
 };
 
+const BUNDLED_LIBRARY = {
+  tags: tagLibraryData.tags as Tag[],
+  metadata: tagLibraryData.metadata,
+};
+
 export default function TagLibrary() {
-  const { state, addTagFromLibrary } = useProject();
+  const { state, addField, updateLibraryTag } = useProject();
   const [searchTerm, setSearchTerm] = useState<string>('');
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState<string>('');
   const [selectedCategory, setSelectedCategory] = useState<CategoryType>('all');
   const [showFilters, setShowFilters] = useState<boolean>(false);
   const [showTagModal, setShowTagModal] = useState<boolean>(false);
+  const [view, setView] = useState<'library' | 'dependencies' | 'conflicts' | 'updates'>('library');
+  const [tagToDelete, setTagToDelete] = useState<Tag | null>(null);
+  const [tagToAdopt, setTagToAdopt] = useState<Tag | null>(null);
 
   // Debounce search input (300ms delay to reduce string operations)
   useEffect(() => {
@@ -70,6 +91,39 @@ export default function TagLibrary() {
     ...implementationTags.map((t) => t.id),
     ...customTags.map((t) => t.id),
   ];
+  const graphTags = useMemo(
+    () => [...implementationTags, ...customTags],
+    [implementationTags, customTags]
+  );
+
+  const dataModelObjects = useMemo(() => state.dataModel?.objects || [], [state.dataModel]);
+
+  // Check library and custom tag rules against the project's data model and event registry
+  const lintResults = useMemo(
+    () =>
+      ruleLintService.lintTags(
+        [...availableTags, ...(state.tags?.custom || [])],
+        state.dataModel,
+        state.customEvents
+      ),
+    [availableTags, state.tags?.custom, state.dataModel, state.customEvents]
+  );
+  const lintIssuesByTag = useMemo(
+    () => new Map<string, RuleLintIssue[]>(lintResults.map((result) => [result.tagId, result.issues])),
+    [lintResults]
+  );
+
+  const handleCreateField = useCallback(
+    async (fix: CreateFieldFix): Promise<void> => {
+      const { error } = await addField(fix.objectId, ruleLintService.buildFieldFromFix(fix));
+      if (error) {
+        toast.error(typeof error === 'string' ? error : error.message);
+      } else {
+        toast.success(`Added ${fix.field.label} to ${fix.objectLabel}`);
+      }
+    },
+    [addField]
+  );
 
   // Filter tags based on search and category
   // Uses pre-computed searchText and debounced search term for optimal performance
@@ -107,13 +161,30 @@ export default function TagLibrary() {
     return stats;
   }, [availableTags]);
 
-  const handleAddTag = async (tag: Tag): Promise<void> => {
-    const { error } = await addTagFromLibrary(tag);
-    if (error) {
-      console.error('Failed to add tag:', error);
-      // TODO: Show error notification
-    }
-  };
+  // Adopted library tags whose bundled definition has changed since
+  const libraryUpdates = useMemo(
+    () => tagLibraryUpdateService.findUpdates(implementationTags, BUNDLED_LIBRARY),
+    [implementationTags]
+  );
+
+  const handleApplyLibraryUpdate = useCallback(
+    async (update: TagLibraryUpdate, acceptedKeys: string[]): Promise<void> => {
+      const projectTag = (state.tags?.library || []).find((tag) => tag.id === update.tagId);
+      if (!projectTag) return;
+
+      const merged = tagLibraryUpdateService.applyUpdate(projectTag, update, acceptedKeys, BUNDLED_LIBRARY);
+      const { error } = await updateLibraryTag(merged);
+      if (error) {
+        toast.error(typeof error === 'string' ? error : error.message);
+      } else {
+        toast.success(`Updated ${merged.name} to library v${update.toVersion}`);
+      }
+    },
+    [state.tags?.library, updateLibraryTag]
+  );
+
+  // Adding goes through the wizard, which binds the rules to the data model
+  const handleAddTag = useCallback((tag: Tag): void => setTagToAdopt(tag), []);
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -280,139 +351,178 @@ export default function TagLibrary() {
         </div>
       </div>
 
-      {/* Search and Filters */}
-      <div className="mb-6">
-        <div className="flex items-center gap-4">
-          {/* Search */}
-          <div className="flex-1 relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <Search className="h-5 w-5 text-gray-400" />
-            </div>
-            <input
-              type="text"
-              placeholder="Search tags by name, description, or category..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-            />
-          </div>
+      {/* View Toggle */}
+      <div className="mb-6 border-b border-gray-200">
+        <nav className="-mb-px flex gap-6">
+          {([
+            ['library', 'Library'],
+            ['dependencies', 'Dependencies'],
+            ['conflicts', 'Conflicts'],
+            ['updates', `Library Updates${libraryUpdates.length > 0 ? ` (${libraryUpdates.length})` : ''}`],
+          ] as const).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setView(value)}
+              className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                view === value
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
 
-          {/* Filter Toggle */}
-          <button
-            type="button"
-            onClick={() => setShowFilters(!showFilters)}
-            className={`inline-flex items-center px-4 py-2 border rounded-md shadow-sm text-sm font-medium ${
-              showFilters
-                ? 'border-blue-500 text-blue-700 bg-blue-50'
-                : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
-            } focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
-          >
-            <Filter className="h-5 w-5 mr-2" />
-            Filters
-          </button>
-        </div>
+      {view === 'dependencies' ? (
+        <TagDependencyGraph tags={graphTags} onDeleteTag={setTagToDelete} />
+      ) : view === 'conflicts' ? (
+        <TagConflictPanel tags={graphTags} objects={dataModelObjects} />
+      ) : view === 'updates' ? (
+        <LibraryUpdatePanel updates={libraryUpdates} onApply={handleApplyLibraryUpdate} />
+      ) : (
+        <>
+          {/* Data Model Check */}
+          <RuleLintPanel results={lintResults} onCreateField={handleCreateField} />
 
-        {/* Filter Panel */}
-        {showFilters && (
-          <div className="mt-4 bg-white border border-gray-200 rounded-lg p-4">
-            <div className="flex items-center gap-2">
-              <span className="text-sm font-medium text-gray-700">Category:</span>
-              <div className="flex gap-2">
-                <button
-                  type="button"
-                  onClick={() => setSelectedCategory('all')}
-                  className={`px-3 py-1 rounded-md text-sm font-medium ${
-                    selectedCategory === 'all'
-                      ? 'bg-blue-100 text-blue-800'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  All ({categoryStats.all})
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setSelectedCategory('origin')}
-                  className={`px-3 py-1 rounded-md text-sm font-medium ${
-                    selectedCategory === 'origin'
-                      ? 'bg-blue-100 text-blue-800'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  Origin ({categoryStats.origin})
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setSelectedCategory('behavior')}
-                  className={`px-3 py-1 rounded-md text-sm font-medium ${
-                    selectedCategory === 'behavior'
-                      ? 'bg-green-100 text-green-800'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  Behavior ({categoryStats.behavior})
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setSelectedCategory('opportunity')}
-                  className={`px-3 py-1 rounded-md text-sm font-medium ${
-                    selectedCategory === 'opportunity'
-                      ? 'bg-purple-100 text-purple-800'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  Opportunity ({categoryStats.opportunity})
-                </button>
+          {/* Search and Filters */}
+          <div className="mb-6">
+            <div className="flex items-center gap-4">
+              {/* Search */}
+              <div className="flex-1 relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Search className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search tags by name, description, or category..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                />
               </div>
+
+              {/* Filter Toggle */}
+              <button
+                type="button"
+                onClick={() => setShowFilters(!showFilters)}
+                className={`inline-flex items-center px-4 py-2 border rounded-md shadow-sm text-sm font-medium ${
+                  showFilters
+                    ? 'border-blue-500 text-blue-700 bg-blue-50'
+                    : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+                } focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
+              >
+                <Filter className="h-5 w-5 mr-2" />
+                Filters
+              </button>
             </div>
+
+            {/* Filter Panel */}
+            {showFilters && (
+              <div className="mt-4 bg-white border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-gray-700">Category:</span>
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setSelectedCategory('all')}
+                      className={`px-3 py-1 rounded-md text-sm font-medium ${
+                        selectedCategory === 'all'
+                          ? 'bg-blue-100 text-blue-800'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      All ({categoryStats.all})
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedCategory('origin')}
+                      className={`px-3 py-1 rounded-md text-sm font-medium ${
+                        selectedCategory === 'origin'
+                          ? 'bg-blue-100 text-blue-800'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      Origin ({categoryStats.origin})
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedCategory('behavior')}
+                      className={`px-3 py-1 rounded-md text-sm font-medium ${
+                        selectedCategory === 'behavior'
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      Behavior ({categoryStats.behavior})
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedCategory('opportunity')}
+                      className={`px-3 py-1 rounded-md text-sm font-medium ${
+                        selectedCategory === 'opportunity'
+                          ? 'bg-purple-100 text-purple-800'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      Opportunity ({categoryStats.opportunity})
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
-        )}
-      </div>
 
-      {/* Results Count */}
-      <div className="mb-4">
-        <p className="text-sm text-gray-600">
-          Showing {filteredTags.length} of {availableTags.length} tags
-          {implementationTags.length > 0 && (
-            <span className="ml-2">
-              ({implementationTags.length} added to implementation)
-            </span>
-          )}
-        </p>
-      </div>
+          {/* Results Count */}
+          <div className="mb-4">
+            <p className="text-sm text-gray-600">
+              Showing {filteredTags.length} of {availableTags.length} tags
+              {implementationTags.length > 0 && (
+                <span className="ml-2">
+                  ({implementationTags.length} added to implementation)
+                </span>
+              )}
+            </p>
+          </div>
 
-      {/* Tag Grid */}
-      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
-        {filteredTags.map((tag) => (
-          <TagCard
-            key={tag.id}
-            tag={tag}
-            isAdded={allImplementationTagIds.includes(tag.id)}
-            onAdd={handleAddTag}
-          />
-        ))}
-      </div>
+          {/* Tag Grid */}
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+            {filteredTags.map((tag) => (
+              <TagCard
+                key={tag.id}
+                tag={tag}
+                isAdded={allImplementationTagIds.includes(tag.id)}
+                onAdd={handleAddTag}
+                lintIssues={lintIssuesByTag.get(tag.id)}
+              />
+            ))}
+          </div>
 
-      {/* Empty State */}
-      {filteredTags.length === 0 && (
-        <div className="text-center py-12">
-          <svg
-            className="mx-auto h-12 w-12 text-gray-400"
-            fill="none"
-            viewBox="0 0 24 24"
-            stroke="currentColor"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
-            />
-          </svg>
-          <h3 className="mt-2 text-sm font-medium text-gray-900">No tags found</h3>
-          <p className="mt-1 text-sm text-gray-500">
-            Try adjusting your search or filters
-          </p>
-        </div>
+          {/* Empty State */}
+          {filteredTags.length === 0 && (
+            <div className="text-center py-12">
+              <svg
+                className="mx-auto h-12 w-12 text-gray-400"
+                fill="none"
+                viewBox="0 0 24 24"
+                stroke="currentColor"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+                />
+              </svg>
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No tags found</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Try adjusting your search or filters
+              </p>
+            </div>
+          )}
+        </>
       )}
 
       {/* Tag Modal */}
@@ -421,6 +531,20 @@ export default function TagLibrary() {
         onClose={() => setShowTagModal(false)}
         mode="create"
       />
+
+      {/* Delete Tag Modal */}
+      <DeleteTagModal
+        isOpen={tagToDelete !== null}
+        onClose={() => setTagToDelete(null)}
+        tag={tagToDelete}
+      />
+
+      {/* Adopt Tag Wizard */}
+      <AdoptTagWizard
+        isOpen={tagToAdopt !== null}
+        onClose={() => setTagToAdopt(null)}
+        tag={tagToAdopt}
+      />
     </div>
   );
 }
@@ -8,13 +8,18 @@
  * 4. Optionally set timeframe (last X days)
  * 5. Optionally add event property filters
  *
+ * Events registered in the project's custom event registry are listed
+ * alongside HubSpot's standard events, and their typed properties are what
+ * the filters step offers.
+ *
  * Follows the same pattern as PropertyRuleForm with progressive disclosure
  * and TypeScript safety throughout.
  */
 
 import { useState, memo } from 'react';
 import toast from 'react-hot-toast';
-import type { ActivityRuleCondition } from '../../../types/tag';
+import type { ActivityRuleCondition, PropertyRuleCondition } from '../../../types/tag';
+import type { CustomEventDefinition } from '../../../types/customEvent';
 import {
   HUBSPOT_STANDARD_EVENTS,
   EVENT_CATEGORIES,
@@ -23,12 +28,17 @@ import {
   validateCustomEventFormat,
 } from '../../../data/hubspotEventTypes';
 import { getUserFriendlyError, logError } from '../../../utils/errorMessages';
+import { COUNT_OPERATORS } from '../../../utils/ruleOperators';
+import customEventService from '../../../services/CustomEventService';
+import PropertyFilterEditor from './PropertyFilterEditor';
 
 export interface ActivityRuleFormProps {
   /** Current activity rule condition being edited */
   condition?: ActivityRuleCondition;
   /** Callback when condition is updated */
   onChange: (condition: ActivityRuleCondition) => void;
+  /** Project's custom event registry */
+  customEvents?: CustomEventDefinition[];
   /** Optional callback when form is cancelled */
   onCancel?: () => void;
 }
@@ -58,21 +68,6 @@ const OCCURRENCE_OPTIONS: Array<{
   },
 ];
 
-/**
- * Count operators for when occurrence = 'count'
- */
-const COUNT_OPERATORS: Array<{
-  value: NonNullable<ActivityRuleCondition['operator']>;
-  label: string;
-}> = [
-  { value: 'equals', label: 'Exactly' },
-  { value: 'not_equals', label: 'Not equal to' },
-  { value: 'greater_than', label: 'More than' },
-  { value: 'greater_than_or_equal', label: 'At least' },
-  { value: 'less_than', label: 'Fewer than' },
-  { value: 'less_than_or_equal', label: 'At most' },
-];
-
 /**
  * Timeframe presets in days
  */
@@ -84,9 +79,12 @@ const TIMEFRAME_PRESETS: Array<{ value: number | null; label: string }> = [
   { value: null, label: 'All time' },
 ];
 
+const NO_CUSTOM_EVENTS: CustomEventDefinition[] = [];
+
 function ActivityRuleForm({
   condition,
   onChange,
+  customEvents = NO_CUSTOM_EVENTS,
   onCancel,
 }: ActivityRuleFormProps) {
   // State for form fields
@@ -104,9 +102,13 @@ function ActivityRuleForm({
     condition?.timeframe
   );
   const [showCustomTimeframe, setShowCustomTimeframe] = useState(false);
+  const [filters, setFilters] = useState<PropertyRuleCondition[]>(
+    condition?.filters || []
+  );
 
   // Get grouped events for categorized display
   const eventsByCategory = getEventsByCategory();
+  const registeredEvent = customEventService.findEvent(customEvents, selectedEventType);
 
   // Build condition from current form state
   const buildCondition = (): ActivityRuleCondition | null => {
@@ -119,6 +121,7 @@ function ActivityRuleForm({
         ? { operator, value: countValue }
         : {}),
       ...(timeframe && timeframe > 0 ? { timeframe } : {}),
+      ...(registeredEvent && filters.length > 0 ? { filters } : {}),
     };
     return newCondition;
   };
@@ -136,6 +139,7 @@ function ActivityRuleForm({
         setCountValue(1);
         setTimeframe(undefined);
         setShowCustomTimeframe(false);
+        setFilters([]);
       } catch (error) {
         // Preserve form state on error
         logError('ActivityRuleForm', 'add condition', error);
@@ -157,6 +161,7 @@ function ActivityRuleForm({
   // Handle event type selection
   const handleEventTypeChange = (eventType: string): void => {
     setSelectedEventType(eventType);
+    setFilters([]);
   };
 
   // Handle occurrence selection
@@ -216,11 +221,22 @@ function ActivityRuleForm({
               </optgroup>
             );
           })}
+          {customEvents.length > 0 && (
+            <optgroup label="Custom Events (this project)">
+              {customEvents.map((event) => (
+                <option key={event.id} value={event.name} title={event.description}>
+                  {event.label}
+                </option>
+              ))}
+            </optgroup>
+          )}
         </select>
         {selectedEventType && (
           <p className="text-xs text-gray-500">
-            {HUBSPOT_STANDARD_EVENTS.find((e) => e.id === selectedEventType)
-              ?.description || 'Custom event'}
+            {registeredEvent
+              ? registeredEvent.description || registeredEvent.name
+              : HUBSPOT_STANDARD_EVENTS.find((e) => e.id === selectedEventType)
+                  ?.description || 'Custom event'}
           </p>
         )}
       </div>
@@ -382,11 +398,31 @@ function ActivityRuleForm({
     );
   };
 
+  // Render event property filters for registry events
+  const renderEventFilters = (): React.ReactElement | null => {
+    const shouldShow = occurrence === 'count' ? operator : true;
+    if (!registeredEvent || !shouldShow) return null;
+
+    const stepNumber = occurrence === 'count' && operator ? '6' : '4';
+
+    return (
+      <PropertyFilterEditor
+        key={registeredEvent.id}
+        objectName={registeredEvent.name}
+        title={`${stepNumber}. Filter by Event Properties (Optional)`}
+        fields={registeredEvent.properties}
+        filters={filters}
+        onChange={setFilters}
+        emptyMessage={`${registeredEvent.label} has no properties registered`}
+      />
+    );
+  };
+
   // Render condition preview
   const renderPreview = (): React.ReactElement | null => {
     if (!selectedEventType) return null;
 
-    let previewText = `Event: ${getEventDisplayName(selectedEventType)}`;
+    let previewText = `Event: ${registeredEvent?.label || getEventDisplayName(selectedEventType)}`;
 
     if (occurrence === 'has_occurred') {
       previewText += ' has occurred';
@@ -402,6 +438,10 @@ function ActivityRuleForm({
       previewText += ` in the last ${timeframe} days`;
     }
 
+    if (registeredEvent && filters.length > 0) {
+      previewText += ` where ${filters.map((filter) => filter.field).join(', ')} match`;
+    }
+
     return (
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
         <h4 className="text-sm font-medium text-blue-900 mb-2">
@@ -426,6 +466,9 @@ function ActivityRuleForm({
       {/* Step 3/5: Timeframe */}
       {renderTimeframeSelector()}
 
+      {/* Step 4/6: Event Property Filters (registry events) */}
+      {renderEventFilters()}
+
       {/* Action Buttons */}
       <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
         {onCancel && (
@@ -461,6 +504,7 @@ export default memo(ActivityRuleForm, (prevProps, nextProps) => {
   return (
     prevProps.condition === nextProps.condition &&
     prevProps.onChange === nextProps.onChange &&
+    prevProps.customEvents === nextProps.customEvents &&
     prevProps.onCancel === nextProps.onCancel
   );
 });
@@ -0,0 +1,304 @@
+import { useState, useMemo, useEffect } from 'react';
+import { X, AlertTriangle, Link2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useProject } from '../../../context/ProjectContext-v2';
+import tagRemapService from '../../../services/TagRemapService';
+import tagLibraryUpdateService from '../../../services/TagLibraryUpdateService';
+import tagLibraryData from '../../../data/tagLibrary.json';
+import { Tag } from '../../../types/tag';
+import type { BindingCandidate, RuleBinding, RuleBindings, RuleReference } from '../../../types/tagRemap';
+
+/**
+ * AdoptTagWizard Component
+ *
+ * Walks through every object and field a library tag's rules refer to and
+ * binds each one to the project's data model before the tag is added. The
+ * closest match is preselected; the strategist confirms it, picks another
+ * field, or leaves the reference as written. Bound conditions store the
+ * object and field IDs, so renaming them later updates the rule. The copy
+ * records the library version it came from so library updates can be merged.
+ */
+
+interface AdoptTagWizardProps {
+  isOpen: boolean;
+  onClose: () => void;
+  tag: Tag | null;
+}
+
+// Number of closest matches listed ahead of the full field list
+const SUGGESTION_COUNT = 3;
+
+const bindingValue = (binding: RuleBinding | null | undefined): string =>
+  binding ? `${binding.objectId}:${binding.fieldId || ''}` : '';
+
+const candidateLabel = (candidate: BindingCandidate): string =>
+  candidate.fieldLabel
+    ? `${candidate.objectLabel} › ${candidate.fieldLabel}${candidate.dataType ? ` (${candidate.dataType})` : ''}`
+    : candidate.objectLabel;
+
+const referenceLabel = (reference: RuleReference): string => {
+  if (reference.kind === 'object') return `Object "${reference.objectName}"`;
+  if (reference.kind === 'score') return `Score field "${reference.fieldName}"`;
+  return `${reference.objectName}.${reference.fieldName}`;
+};
+
+export default function AdoptTagWizard({ isOpen, onClose, tag }: AdoptTagWizardProps) {
+  const { state, addTagFromLibrary } = useProject();
+  const [step, setStep] = useState<number>(0);
+  const [bindings, setBindings] = useState<RuleBindings>({});
+  const [isAdding, setIsAdding] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const references = useMemo<RuleReference[]>(
+    () => (tag ? tagRemapService.collectReferences(tag.qualificationRules) : []),
+    [tag]
+  );
+
+  // Start each tag from the proposed bindings
+  useEffect(() => {
+    if (!isOpen || !tag) return;
+    setStep(0);
+    setError(null);
+    setBindings(tagRemapService.proposeBindings(tag.qualificationRules, state.dataModel));
+  }, [tag, isOpen, state.dataModel]);
+
+  const isReview = step >= references.length;
+  const reference = isReview ? null : references[step];
+
+  const candidates = useMemo<BindingCandidate[]>(
+    () => (reference ? tagRemapService.getCandidates(reference, state.dataModel, bindings) : []),
+    [reference, state.dataModel, bindings]
+  );
+
+  const candidatesByObject = useMemo(() => {
+    const groups = new Map<string, BindingCandidate[]>();
+    candidates.forEach((candidate) => {
+      groups.set(candidate.objectLabel, [...(groups.get(candidate.objectLabel) || []), candidate]);
+    });
+    return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }, [candidates]);
+
+  const suggestions = candidates.filter((candidate) => candidate.score > 0).slice(0, SUGGESTION_COUNT);
+  const boundCount = references.filter((ref) => bindings[ref.key]).length;
+
+  const describeBinding = (binding: RuleBinding | null | undefined): string => {
+    if (!binding) return 'Left as written';
+    const object = (state.dataModel.objects || []).find((o) => o.id === binding.objectId);
+    const field = binding.fieldId ? object?.fields.find((f) => f.id === binding.fieldId) : undefined;
+    if (!object) return 'Left as written';
+    return field ? `${object.label || object.name} › ${field.label || field.name}` : object.label || object.name;
+  };
+
+  const handleBindingChange = (value: string): void => {
+    if (!reference || !tag) return;
+    const [objectId, fieldId] = value.split(':');
+    const next: RuleBindings = {
+      ...bindings,
+      [reference.key]: objectId ? { objectId, ...(fieldId ? { fieldId } : {}) } : null,
+    };
+
+    // Nested filters follow their association to the newly chosen object
+    references
+      .filter((ref) => ref.parentKey === reference.key)
+      .forEach((ref) => {
+        const [best] = tagRemapService.getCandidates(ref, state.dataModel, next);
+        next[ref.key] = best && next[reference.key] ? { objectId: best.objectId, fieldId: best.fieldId } : null;
+      });
+
+    setBindings(next);
+  };
+
+  const handleAdopt = async (): Promise<void> => {
+    if (!tag) return;
+
+    setIsAdding(true);
+    setError(null);
+
+    try {
+      // Stamp the unbound library definition as the base for later library updates
+      const remapped = tagLibraryUpdateService.stampSource(
+        tagRemapService.applyBindings(tag, state.dataModel, bindings),
+        tag,
+        tagLibraryData.metadata.version
+      );
+      const result = await addTagFromLibrary(remapped);
+
+      if (result.error) {
+        setError(typeof result.error === 'string' ? result.error : 'Failed to add tag');
+      } else {
+        toast.success(`Added ${tag.name} to the implementation`);
+        onClose();
+      }
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'An unexpected error occurred';
+      setError(errorMessage);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  if (!isOpen || !tag) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-screen items-center justify-center px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Backdrop */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg leading-6 font-medium text-gray-900">Adopt {tag.name}</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  {isReview
+                    ? references.length > 0
+                      ? `Review: ${boundCount} of ${references.length} references bound to the data model`
+                      : "This tag's rules do not refer to data model objects or fields"
+                    : `Reference ${step + 1} of ${references.length}`}
+                </p>
+              </div>
+              <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {reference && (
+              <div className="mt-4 space-y-4">
+                <div className="rounded-md bg-gray-50 border border-gray-200 p-3">
+                  <p className="text-xs font-medium text-gray-500 uppercase">Condition</p>
+                  <p className="mt-1 text-sm text-gray-900">{reference.description}</p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Refers to <span className="font-mono">{referenceLabel(reference)}</span>
+                  </p>
+                </div>
+
+                <div>
+                  <label htmlFor="adopt-binding" className="block text-sm font-medium text-gray-700">
+                    {reference.kind === 'object' ? 'Data model object' : 'Data model field'}
+                  </label>
+                  <select
+                    id="adopt-binding"
+                    value={bindingValue(bindings[reference.key])}
+                    onChange={(e) => handleBindingChange(e.target.value)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                  >
+                    <option value="">Leave as written</option>
+                    {suggestions.length > 0 && (
+                      <optgroup label="Closest matches">
+                        {suggestions.map((candidate) => (
+                          <option key={`match-${bindingValue(candidate)}`} value={bindingValue(candidate)}>
+                            {candidateLabel(candidate)} · {Math.round(candidate.score * 100)}% match
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                    {candidatesByObject.map(([objectLabel, objectCandidates]) => (
+                      <optgroup key={objectLabel} label={objectLabel}>
+                        {objectCandidates.map((candidate) => (
+                          <option key={bindingValue(candidate)} value={bindingValue(candidate)}>
+                            {candidateLabel(candidate)}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                  {reference.parentKey && !bindings[reference.parentKey] && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      Bind the related object first to narrow these fields to it
+                    </p>
+                  )}
+                </div>
+
+                {!bindings[reference.key] && (
+                  <div className="rounded-md bg-yellow-50 p-3 border border-yellow-200">
+                    <div className="flex">
+                      <AlertTriangle className="h-5 w-5 text-yellow-400 flex-shrink-0" />
+                      <p className="ml-3 text-sm text-yellow-700">
+                        {candidates.length === 0
+                          ? 'The data model has nothing to bind this to yet. The condition keeps its original name and will be flagged until a match exists.'
+                          : 'Unbound references keep their original name and are not updated when the data model changes.'}
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {isReview && references.length > 0 && (
+              <ul className="mt-4 divide-y divide-gray-100 border border-gray-200 rounded-md">
+                {references.map((ref, index) => (
+                  <li key={ref.key} className="flex items-center justify-between gap-4 px-3 py-2">
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-900 truncate">{ref.description}</p>
+                      <p
+                        className={`text-xs ${bindings[ref.key] ? 'text-green-700' : 'text-yellow-700'}`}
+                      >
+                        {bindings[ref.key] && <Link2 className="inline h-3 w-3 mr-1" />}
+                        {describeBinding(bindings[ref.key])}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setStep(index)}
+                      className="flex-shrink-0 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Change
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Error Display */}
+            {error && (
+              <div className="mt-4 rounded-md bg-red-50 p-4 border border-red-200">
+                <div className="flex">
+                  <AlertTriangle className="h-5 w-5 text-red-400" />
+                  <div className="ml-3">
+                    <h3 className="text-sm font-medium text-red-800">Error adding tag</h3>
+                    <p className="mt-2 text-sm text-red-700">{error}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 flex justify-between">
+            <button
+              type="button"
+              onClick={() => (step > 0 ? setStep(step - 1) : onClose())}
+              disabled={isAdding}
+              className="inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {step > 0 ? 'Back' : 'Cancel'}
+            </button>
+            {isReview ? (
+              <button
+                type="button"
+                onClick={handleAdopt}
+                disabled={isAdding}
+                className="inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isAdding ? 'Adding...' : 'Add to Implementation'}
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setStep(step + 1)}
+                className="inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                {step === references.length - 1 ? 'Review' : 'Next'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,383 @@
+/**
+ * AssociationRuleForm Component
+ *
+ * Provides a step-by-step form for creating association-based qualification rules:
+ * 1. Select an association defined in the data model
+ * 2. Choose which end of the association is the related object
+ * 3. Choose the condition (has any, has none, count)
+ * 4. If count: select operator and enter value
+ * 5. Optionally filter related records by their field values
+ *
+ * Only associations that exist in the data model are offered, so rules
+ * always reference relationships the implementation will actually have.
+ */
+
+import { useState, useMemo, memo } from 'react';
+import toast from 'react-hot-toast';
+import type { AssociationRuleCondition, PropertyRuleCondition } from '../../../types/tag';
+import type { CustomObject, DataModel } from '../../../types/project';
+import { collectAssociations, getAssociationTypeName } from '../../../utils/associations';
+import { describeCondition } from '../../../utils/ruleFormatting';
+import { getUserFriendlyError, logError } from '../../../utils/errorMessages';
+import { COUNT_OPERATORS } from '../../../utils/ruleOperators';
+import PropertyFilterEditor from './PropertyFilterEditor';
+
+export interface AssociationRuleFormProps {
+  /** Data model providing the associations and related object fields */
+  dataModel: DataModel;
+  /** Callback when condition is added */
+  onChange: (condition: AssociationRuleCondition) => void;
+  /** Optional callback when form is cancelled */
+  onCancel?: () => void;
+}
+
+/**
+ * Condition type options for association rules
+ */
+const CONDITION_TYPE_OPTIONS: Array<{
+  value: AssociationRuleCondition['conditionType'];
+  label: string;
+  description: string;
+}> = [
+  {
+    value: 'has_any',
+    label: 'Has any',
+    description: 'At least one associated record matches',
+  },
+  {
+    value: 'has_none',
+    label: 'Has none',
+    description: 'No associated record matches',
+  },
+  {
+    value: 'count',
+    label: 'Has a number of',
+    description: 'Count matching associated records with an operator',
+  },
+];
+
+function AssociationRuleForm({ dataModel, onChange, onCancel }: AssociationRuleFormProps) {
+  const objects = useMemo(() => (dataModel.objects || []) as CustomObject[], [dataModel.objects]);
+  const associations = useMemo(
+    () =>
+      collectAssociations(dataModel).filter(
+        (association) =>
+          objects.some((obj) => obj.id === association.fromObjectId) &&
+          objects.some((obj) => obj.id === association.toObjectId)
+      ),
+    [dataModel, objects]
+  );
+
+  // State for form fields
+  const [associationId, setAssociationId] = useState('');
+  const [relatedObjectId, setRelatedObjectId] = useState('');
+  const [conditionType, setConditionType] =
+    useState<AssociationRuleCondition['conditionType']>('has_any');
+  const [operator, setOperator] = useState<AssociationRuleCondition['operator'] | ''>('');
+  const [countValue, setCountValue] = useState<number>(1);
+  const [filters, setFilters] = useState<PropertyRuleCondition[]>([]);
+
+  const selectedAssociation = associations.find((a) => a.id === associationId);
+  const fromObject = objects.find((obj) => obj.id === selectedAssociation?.fromObjectId);
+  const toObject = objects.find((obj) => obj.id === selectedAssociation?.toObjectId);
+  const relatedObject = objects.find((obj) => obj.id === relatedObjectId);
+
+  const objectName = (id: string | undefined): string => {
+    const object = objects.find((obj) => obj.id === id);
+    return object ? object.label || object.name : 'Unknown object';
+  };
+
+  // Build condition from current form state
+  const buildCondition = (): AssociationRuleCondition | null => {
+    if (!fromObject || !toObject || !relatedObject) return null;
+    if (conditionType === 'count' && !operator) return null;
+
+    return {
+      associationType: getAssociationTypeName(fromObject, toObject),
+      relatedObject: relatedObject.name,
+      conditionType,
+      ...(conditionType === 'count' && operator ? { operator, value: countValue } : {}),
+      ...(filters.length > 0 ? { nestedFilters: filters } : {}),
+    };
+  };
+
+  // Handle Add Condition button click
+  const handleAddClick = (): void => {
+    const condition = buildCondition();
+    if (condition) {
+      try {
+        onChange(condition);
+        // Reset form only on successful add
+        setAssociationId('');
+        setRelatedObjectId('');
+        setConditionType('has_any');
+        setOperator('');
+        setCountValue(1);
+        setFilters([]);
+      } catch (error) {
+        // Preserve form state on error
+        logError('AssociationRuleForm', 'add condition', error);
+
+        const userMessage = getUserFriendlyError(error);
+        toast.error(`Failed to add condition: ${userMessage}`, {
+          duration: 5000,
+        });
+      }
+    }
+  };
+
+  // Handle association selection; the "to" side is the usual related object
+  const handleAssociationChange = (id: string): void => {
+    const association = associations.find((a) => a.id === id);
+    setAssociationId(id);
+    setRelatedObjectId(association?.toObjectId || '');
+    setFilters([]);
+  };
+
+  const handleRelatedObjectChange = (id: string): void => {
+    setRelatedObjectId(id);
+    setFilters([]);
+  };
+
+  const handleConditionTypeChange = (
+    newConditionType: AssociationRuleCondition['conditionType']
+  ): void => {
+    setConditionType(newConditionType);
+    if (newConditionType !== 'count') {
+      setOperator('');
+      setCountValue(1);
+    }
+  };
+
+  // Render association dropdown
+  const renderAssociationDropdown = (): React.ReactElement => {
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          1. Select Association
+        </label>
+        <select
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          value={associationId}
+          onChange={(e) => handleAssociationChange(e.target.value)}
+        >
+          <option value="">Choose an association...</option>
+          {associations.map((association) => (
+            <option key={association.id} value={association.id}>
+              {objectName(association.fromObjectId)} → {objectName(association.toObjectId)}
+              {association.label ? ` (${association.label})` : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  // Render related object selector
+  const renderRelatedObjectSelector = (): React.ReactElement | null => {
+    if (!fromObject || !toObject) return null;
+
+    const ends = fromObject.id === toObject.id ? [toObject] : [toObject, fromObject];
+
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          2. Select Related Object
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          {ends.map((object) => (
+            <button
+              key={object.id}
+              type="button"
+              onClick={() => handleRelatedObjectChange(object.id)}
+              className={`px-3 py-2 text-sm border rounded-md ${
+                relatedObjectId === object.id
+                  ? 'bg-blue-50 border-blue-500 text-blue-700'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {object.label || object.name}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          The records counted by this condition
+        </p>
+      </div>
+    );
+  };
+
+  // Render condition type selector
+  const renderConditionTypeSelector = (): React.ReactElement | null => {
+    if (!relatedObject) return null;
+
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          3. Select Condition
+        </label>
+        <div className="space-y-2">
+          {CONDITION_TYPE_OPTIONS.map((option) => (
+            <label
+              key={option.value}
+              className="flex items-start space-x-3 p-3 border border-gray-200 rounded-md hover:bg-gray-50 cursor-pointer"
+            >
+              <input
+                type="radio"
+                name="associationConditionType"
+                value={option.value}
+                checked={conditionType === option.value}
+                onChange={(e) =>
+                  handleConditionTypeChange(
+                    e.target.value as AssociationRuleCondition['conditionType']
+                  )
+                }
+                className="mt-1"
+              />
+              <div>
+                <div className="text-sm font-medium text-gray-900">{option.label}</div>
+                <div className="text-xs text-gray-500">{option.description}</div>
+              </div>
+            </label>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Render operator and value inputs for count-based rules
+  const renderCountOperatorAndValue = (): React.ReactElement | null => {
+    if (!relatedObject || conditionType !== 'count') return null;
+
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          4. Set Count
+        </label>
+        <div className="flex items-center space-x-2">
+          <select
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            value={operator}
+            onChange={(e) => setOperator(e.target.value as AssociationRuleCondition['operator'])}
+          >
+            <option value="">Choose an operator...</option>
+            {COUNT_OPERATORS.map((op) => (
+              <option key={op.value} value={op.value}>
+                {op.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            value={countValue}
+            onChange={(e) => setCountValue(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          />
+          <span className="text-sm text-gray-600">
+            {relatedObject.label || relatedObject.name} records
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  // Render nested property filters on the related object
+  const renderNestedFilters = (): React.ReactElement | null => {
+    if (!relatedObject || (conditionType === 'count' && !operator)) return null;
+
+    const stepNumber = conditionType === 'count' ? '5' : '4';
+    const relatedName = relatedObject.label || relatedObject.name;
+
+    return (
+      <PropertyFilterEditor
+        key={relatedObject.id}
+        objectName={relatedObject.name}
+        title={`${stepNumber}. Filter ${relatedName} Records (Optional)`}
+        fields={relatedObject.fields || []}
+        filters={filters}
+        onChange={setFilters}
+        emptyMessage={`${relatedName} has no fields to filter on`}
+      />
+    );
+  };
+
+  // Render condition preview
+  const renderPreview = (): React.ReactElement | null => {
+    const condition = buildCondition();
+    if (!condition) return null;
+
+    return (
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <h4 className="text-sm font-medium text-blue-900 mb-2">
+          Condition Preview:
+        </h4>
+        <p className="text-sm text-blue-800 font-mono">{describeCondition(condition, objects)}</p>
+      </div>
+    );
+  };
+
+  if (associations.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-12">
+        <p className="text-lg font-medium mb-2">No associations defined</p>
+        <p className="text-sm">
+          Add associations between objects in the Data Model Designer to build association rules
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Step 1: Association */}
+      {renderAssociationDropdown()}
+
+      {/* Step 2: Related Object */}
+      {renderRelatedObjectSelector()}
+
+      {/* Step 3: Condition Type */}
+      {renderConditionTypeSelector()}
+
+      {/* Step 4: Count (for count-based rules) */}
+      {renderCountOperatorAndValue()}
+
+      {/* Step 4/5: Nested Filters */}
+      {renderNestedFilters()}
+
+      {/* Action Buttons */}
+      <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleAddClick}
+          disabled={!buildCondition()}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add Condition
+        </button>
+      </div>
+
+      {/* Preview */}
+      {renderPreview()}
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(AssociationRuleForm, (prevProps, nextProps) => {
+  return (
+    prevProps.dataModel === nextProps.dataModel &&
+    prevProps.onChange === nextProps.onChange &&
+    prevProps.onCancel === nextProps.onCancel
+  );
+});
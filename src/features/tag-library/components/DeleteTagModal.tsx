@@ -1,13 +1,16 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import { X, AlertTriangle } from 'lucide-react';
 import { useProject } from '../../../context/ProjectContext-v2';
-import { Tag } from '../../../types/tag';
+import tagDependencyService from '../../../services/TagDependencyService';
+import { Tag, TagDependencies } from '../../../types/tag';
 
 /**
  * DeleteTagModal Component
  *
  * Modal for deleting tags with dependency checking.
- * Warns users if deleting a tag will affect other tags or journeys.
+ * A tag that other tags require cannot be deleted on its own: the user either
+ * cancels (and removes the dependency first) or cascades the delete to every
+ * tag that requires it.
  */
 
 interface DeleteTagModalProps {
@@ -16,37 +19,37 @@ interface DeleteTagModalProps {
   tag: Tag | null;
 }
 
-interface TagDependencies {
-  tags: Tag[];
-  journeys: never[];
-  hasBlockers: boolean;
-}
-
 export default function DeleteTagModal({ isOpen, onClose, tag }: DeleteTagModalProps) {
   const { state, deleteTag } = useProject();
   const [isDeleting, setIsDeleting] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
+  const [cascade, setCascade] = useState<boolean>(false);
 
-  // Check for dependencies
-  const dependencies = useMemo<TagDependencies>(() => {
-    if (!tag) return { tags: [], journeys: [], hasBlockers: false };
-
-    const allTags = [...(state.tags?.library || []), ...(state.tags?.custom || [])];
+  // Cascading is opted into per tag
+  useEffect(() => {
+    setCascade(false);
+    setError(null);
+  }, [tag, isOpen]);
 
-    // Find tags that depend on this tag
-    const dependentTags = allTags.filter((t) =>
-      t.dependencies && t.dependencies.includes(tag.id)
-    );
+  const allTags = useMemo(
+    () => [...(state.tags?.library || []), ...(state.tags?.custom || [])],
+    [state.tags]
+  );
 
-    // TODO: Check journeys that use this tag
-    const dependentJourneys: never[] = [];
+  // Check for dependencies
+  const dependencies = useMemo<TagDependencies>(() => {
+    if (!tag) return { requires: [], requiredBy: [], hasBlockers: false, dependentCount: 0 };
+    return tagDependencyService.getDependencies(tag.id, allTags);
+  }, [tag, allTags]);
+
+  // Everything a cascading delete would remove besides this tag
+  const cascadeTags = useMemo<Tag[]>(
+    () => (tag && dependencies.hasBlockers ? tagDependencyService.getDependents(tag.id, allTags) : []),
+    [tag, allTags, dependencies.hasBlockers]
+  );
 
-    return {
-      tags: dependentTags,
-      journeys: dependentJourneys,
-      hasBlockers: dependentTags.length > 0 || dependentJourneys.length > 0,
-    };
-  }, [tag, state.tags]);
+  const directDependentIds = new Set(dependencies.requiredBy.map((t) => t.id));
+  const isBlocked = dependencies.hasBlockers && !cascade;
 
   const handleDelete = async (): Promise<void> => {
     if (!tag) return;
@@ -55,7 +58,7 @@ export default function DeleteTagModal({ isOpen, onClose, tag }: DeleteTagModalP
     setError(null);
 
     try {
-      const result = await deleteTag(tag.id);
+      const result = await deleteTag(tag.id, { cascade });
 
       if (result.error) {
         setError(typeof result.error === 'string' ? result.error : 'Failed to delete tag');
@@ -115,45 +118,46 @@ export default function DeleteTagModal({ isOpen, onClose, tag }: DeleteTagModalP
                         <AlertTriangle className="h-5 w-5 text-yellow-400" />
                         <div className="ml-3">
                           <h3 className="text-sm font-medium text-yellow-800">
-                            Warning: This tag is in use
+                            This tag is required by other tags
                           </h3>
                           <div className="mt-2 text-sm text-yellow-700">
-                            {dependencies.tags.length > 0 && (
-                              <div className="mb-2">
-                                <p className="font-medium">
-                                  {dependencies.tags.length} tag
-                                  {dependencies.tags.length === 1 ? '' : 's'} depend on this
-                                  tag:
-                                </p>
-                                <ul className="list-disc list-inside ml-2 mt-1">
-                                  {dependencies.tags.slice(0, 5).map((t) => (
-                                    <li key={t.id}>{t.name}</li>
-                                  ))}
-                                  {dependencies.tags.length > 5 && (
-                                    <li className="text-yellow-600">
-                                      +{dependencies.tags.length - 5} more...
-                                    </li>
+                            <p className="font-medium">
+                              {cascadeTags.length} tag
+                              {cascadeTags.length === 1 ? ' depends' : 's depend'} on this tag:
+                            </p>
+                            <ul className="list-disc list-inside ml-2 mt-1">
+                              {cascadeTags.slice(0, 5).map((t) => (
+                                <li key={t.id}>
+                                  {t.name}
+                                  {!directDependentIds.has(t.id) && (
+                                    <span className="text-yellow-600"> (indirectly)</span>
                                   )}
-                                </ul>
-                              </div>
+                                </li>
+                              ))}
+                              {cascadeTags.length > 5 && (
+                                <li className="text-yellow-600">
+                                  +{cascadeTags.length - 5} more...
+                                </li>
+                              )}
+                            </ul>
+                            <label className="mt-3 flex items-start gap-2">
+                              <input
+                                type="checkbox"
+                                checked={cascade}
+                                onChange={(e) => setCascade(e.target.checked)}
+                                className="mt-0.5 h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
+                              />
+                              <span>
+                                Also delete {cascadeTags.length === 1 ? 'this tag' : `these ${cascadeTags.length} tags`}
+                              </span>
+                            </label>
+                            {!cascade && (
+                              <p className="mt-2 font-medium">
+                                Remove the dependency from{' '}
+                                {cascadeTags.length === 1 ? 'that tag' : 'those tags'} to delete
+                                only this one.
+                              </p>
                             )}
-                            {dependencies.journeys.length > 0 && (
-                              <div>
-                                <p className="font-medium">
-                                  {dependencies.journeys.length} journey
-                                  {dependencies.journeys.length === 1 ? '' : 's'} use this
-                                  tag:
-                                </p>
-                                <ul className="list-disc list-inside ml-2 mt-1">
-                                  {dependencies.journeys.map((j: any) => (
-                                    <li key={j.id}>{j.name}</li>
-                                  ))}
-                                </ul>
-                              </div>
-                            )}
-                            <p className="mt-2 font-medium">
-                              Deleting this tag may break dependent functionality.
-                            </p>
                           </div>
                         </div>
                       </div>
@@ -206,10 +210,14 @@ export default function DeleteTagModal({ isOpen, onClose, tag }: DeleteTagModalP
             <button
               type="button"
               onClick={handleDelete}
-              disabled={isDeleting}
+              disabled={isDeleting || isBlocked}
               className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-red-600 text-base font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 sm:ml-3 sm:w-auto sm:text-sm disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {isDeleting ? 'Deleting...' : 'Delete Tag'}
+              {isDeleting
+                ? 'Deleting...'
+                : cascade && cascadeTags.length > 0
+                  ? `Delete ${cascadeTags.length + 1} Tags`
+                  : 'Delete Tag'}
             </button>
             <button
               type="button"
@@ -0,0 +1,178 @@
+/**
+ * LibraryUpdatePanel Component
+ *
+ * Lists project tags whose library definition has changed since they were
+ * adopted. Each change shows the original library value, the project's copy
+ * and the current library value side by side; the strategist takes or keeps
+ * each one and applies the merge per tag. Changes the project also made are
+ * marked as conflicts and kept unless the library value is chosen.
+ */
+
+import { useState, memo } from 'react';
+import { ArrowRight, CheckCircle, GitMerge } from 'lucide-react';
+import type { TagChange, TagLibraryUpdate } from '../../../types/tagUpdate';
+import tagLibraryUpdateService from '../../../services/TagLibraryUpdateService';
+
+export interface LibraryUpdatePanelProps {
+  /** Tags with pending library changes */
+  updates: TagLibraryUpdate[];
+  /** Callback to merge the accepted changes into the project's copy */
+  onApply: (update: TagLibraryUpdate, acceptedKeys: string[]) => Promise<void>;
+}
+
+function LibraryUpdatePanel({ updates, onApply }: LibraryUpdatePanelProps) {
+  // Accepted change keys per tag, once the strategist has touched them
+  const [decisions, setDecisions] = useState<Record<string, string[]>>({});
+  const [pendingTagId, setPendingTagId] = useState<string | null>(null);
+
+  if (updates.length === 0) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-8 text-center">
+        <CheckCircle className="h-8 w-8 text-green-500 mx-auto mb-2" />
+        <p className="text-sm text-gray-700">
+          Every library tag in this implementation matches the current tag library.
+        </p>
+      </div>
+    );
+  }
+
+  const acceptedFor = (update: TagLibraryUpdate): string[] =>
+    decisions[update.tagId] ?? tagLibraryUpdateService.getDefaultAccepted(update);
+
+  const setAccepted = (update: TagLibraryUpdate, keys: string[]): void => {
+    setDecisions((prev) => ({ ...prev, [update.tagId]: keys }));
+  };
+
+  const toggleChange = (update: TagLibraryUpdate, change: TagChange, accept: boolean): void => {
+    const accepted = acceptedFor(update).filter((key) => key !== change.key);
+    setAccepted(update, accept ? [...accepted, change.key] : accepted);
+  };
+
+  const handleApply = async (update: TagLibraryUpdate): Promise<void> => {
+    setPendingTagId(update.tagId);
+    try {
+      await onApply(update, acceptedFor(update));
+      setDecisions((prev) => {
+        const next = { ...prev };
+        delete next[update.tagId];
+        return next;
+      });
+    } finally {
+      setPendingTagId(null);
+    }
+  };
+
+  const renderValue = (value: unknown) => (
+    <span className="break-words">{tagLibraryUpdateService.formatValue(value)}</span>
+  );
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {updates.length} {updates.length === 1 ? 'tag has' : 'tags have'} a newer definition in
+        the tag library. Take the library's value or keep this project's for each change, then
+        apply; kept values are not offered again.
+      </p>
+
+      {updates.map((update) => {
+        const accepted = acceptedFor(update);
+        const conflictCount = update.changes.filter((change) => change.conflict).length;
+
+        return (
+          <div key={update.tagId} className="bg-white border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between gap-4 px-4 py-3 border-b border-gray-100">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{update.tagName}</p>
+                <p className="flex items-center text-xs text-gray-500">
+                  {update.fromVersion ? `Library v${update.fromVersion}` : 'Adopted before version tracking'}
+                  <ArrowRight className="h-3 w-3 mx-1" />v{update.toVersion}
+                  {conflictCount > 0 && (
+                    <span className="ml-2 text-amber-700">
+                      {conflictCount} {conflictCount === 1 ? 'conflict' : 'conflicts'}
+                    </span>
+                  )}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => setAccepted(update, [])}
+                  className="px-2 py-1 text-xs font-medium rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                >
+                  Keep all mine
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setAccepted(update, update.changes.map((change) => change.key))}
+                  className="px-2 py-1 text-xs font-medium rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                >
+                  Take all library
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleApply(update)}
+                  disabled={pendingTagId !== null}
+                  className="inline-flex items-center px-3 py-1 text-xs font-medium rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <GitMerge className="h-3 w-3 mr-1" />
+                  Apply
+                </button>
+              </div>
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="px-4 py-2 font-medium">Change</th>
+                  <th className="px-4 py-2 font-medium">Original library</th>
+                  <th className="px-4 py-2 font-medium">This project</th>
+                  <th className="px-4 py-2 font-medium">Current library</th>
+                  <th className="px-4 py-2 font-medium">Use</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {update.changes.map((change) => {
+                  const isAccepted = accepted.includes(change.key);
+                  return (
+                    <tr key={change.key} className={change.conflict ? 'bg-amber-50' : undefined}>
+                      <td className="px-4 py-2 align-top font-medium text-gray-900">
+                        {change.label}
+                        {change.conflict && (
+                          <span className="block text-xs font-normal text-amber-700">
+                            {update.fromVersion ? 'Changed in both' : 'May have been edited'}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 align-top text-gray-500">
+                        {update.fromVersion ? renderValue(change.base) : 'Unknown'}
+                      </td>
+                      <td className={`px-4 py-2 align-top ${isAccepted ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                        {renderValue(change.local)}
+                      </td>
+                      <td className={`px-4 py-2 align-top ${isAccepted ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                        {renderValue(change.upstream)}
+                      </td>
+                      <td className="px-4 py-2 align-top whitespace-nowrap">
+                        <select
+                          value={isAccepted ? 'library' : 'project'}
+                          onChange={(e) => toggleChange(update, change, e.target.value === 'library')}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          <option value="project">Keep mine</option>
+                          <option value="library">Take library</option>
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(LibraryUpdatePanel);
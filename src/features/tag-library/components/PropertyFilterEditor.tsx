@@ -0,0 +1,294 @@
+/**
+ * PropertyFilterEditor Component
+ *
+ * Lists the property filters attached to a rule and drafts new ones: pick a
+ * field, an operator suited to its type, then a value. Association rules use
+ * it to filter related records and activity rules to filter event properties.
+ *
+ * The draft lives here; give the editor a key tied to the filtered object so
+ * switching objects starts a fresh draft.
+ */
+
+import { useState } from 'react';
+import type { PropertyRuleCondition } from '../../../types/tag';
+import {
+  OPERATORS_BY_TYPE,
+  OPERATOR_LABELS,
+  getOperatorGroup,
+  operatorNeedsValue,
+} from '../../../utils/ruleOperators';
+
+// Data model fields and custom event properties both fit this shape
+export interface FilterableField {
+  id: string;
+  name: string;
+  label?: string;
+  type?: string;
+  dataType?: string;
+  options?: Array<{ label: string; value: string }>;
+}
+
+export interface PropertyFilterEditorProps {
+  /** Object (or event) name stored on each filter */
+  objectName: string;
+  /** Step label shown above the filters */
+  title: string;
+  /** Fields that can be filtered on */
+  fields: FilterableField[];
+  /** Filters added so far */
+  filters: PropertyRuleCondition[];
+  /** Callback with the updated filter list */
+  onChange: (filters: PropertyRuleCondition[]) => void;
+  /** Shown instead of the draft row when there are no fields */
+  emptyMessage: string;
+}
+
+/**
+ * Convert a filter input string to the value stored on the condition
+ */
+function parseFilterValue(
+  raw: string,
+  rawMax: string,
+  operator: PropertyRuleCondition['operator'],
+  field: FilterableField
+): unknown {
+  const group = getOperatorGroup(field.dataType || field.type);
+  const convert = (text: string): unknown => {
+    if (group === 'number') return Number(text);
+    if (group === 'boolean') return text === 'true';
+    return text;
+  };
+
+  if (operator === 'between') return [convert(raw), convert(rawMax)];
+  if (operator === 'in' || operator === 'not_in') {
+    return raw
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return convert(raw);
+}
+
+function PropertyFilterEditor({
+  objectName,
+  title,
+  fields,
+  filters,
+  onChange,
+  emptyMessage,
+}: PropertyFilterEditorProps) {
+  // State for the filter being drafted
+  const [filterFieldName, setFilterFieldName] = useState('');
+  const [filterOperator, setFilterOperator] = useState<PropertyRuleCondition['operator'] | ''>('');
+  const [filterValue, setFilterValue] = useState('');
+  const [filterValueMax, setFilterValueMax] = useState('');
+
+  const filterField = fields.find((f) => f.name === filterFieldName);
+  const filterOperators = filterField
+    ? OPERATORS_BY_TYPE[getOperatorGroup(filterField.dataType || filterField.type)]
+    : [];
+
+  const resetFilterDraft = (): void => {
+    setFilterFieldName('');
+    setFilterOperator('');
+    setFilterValue('');
+    setFilterValueMax('');
+  };
+
+  const isFilterDraftValid = (): boolean => {
+    if (!filterField || !filterOperator) return false;
+    if (!operatorNeedsValue(filterOperator)) return true;
+    if (filterValue.trim() === '') return false;
+    if (filterOperator === 'between' && filterValueMax.trim() === '') return false;
+    if (getOperatorGroup(filterField.dataType || filterField.type) === 'number') {
+      return (
+        !isNaN(Number(filterValue)) &&
+        (filterOperator !== 'between' || !isNaN(Number(filterValueMax)))
+      );
+    }
+    return true;
+  };
+
+  const handleAddFilter = (): void => {
+    if (!filterField || !filterOperator || !isFilterDraftValid()) return;
+
+    onChange([
+      ...filters,
+      {
+        object: objectName,
+        field: filterField.name,
+        operator: filterOperator,
+        ...(operatorNeedsValue(filterOperator)
+          ? { value: parseFilterValue(filterValue, filterValueMax, filterOperator, filterField) }
+          : {}),
+      },
+    ]);
+    resetFilterDraft();
+  };
+
+  const handleRemoveFilter = (index: number): void => {
+    onChange(filters.filter((_, i) => i !== index));
+  };
+
+  // Render the value input(s) for the filter being drafted
+  const renderFilterValueInput = (): React.ReactElement | null => {
+    if (!filterField || !filterOperator || !operatorNeedsValue(filterOperator)) return null;
+
+    const inputClass =
+      'px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+    const group = getOperatorGroup(filterField.dataType || filterField.type);
+
+    if (filterOperator === 'between') {
+      const type = group === 'date' ? 'date' : 'number';
+      return (
+        <div className="flex items-center space-x-2">
+          <input
+            type={type}
+            className={`flex-1 ${inputClass}`}
+            placeholder="Min"
+            value={filterValue}
+            onChange={(e) => setFilterValue(e.target.value)}
+          />
+          <span className="text-sm text-gray-600">and</span>
+          <input
+            type={type}
+            className={`flex-1 ${inputClass}`}
+            placeholder="Max"
+            value={filterValueMax}
+            onChange={(e) => setFilterValueMax(e.target.value)}
+          />
+        </div>
+      );
+    }
+
+    if (group === 'boolean') {
+      return (
+        <select
+          className={`w-full ${inputClass}`}
+          value={filterValue}
+          onChange={(e) => setFilterValue(e.target.value)}
+        >
+          <option value="">Choose a value...</option>
+          <option value="true">True</option>
+          <option value="false">False</option>
+        </select>
+      );
+    }
+
+    const isListOperator = filterOperator === 'in' || filterOperator === 'not_in';
+
+    if (group === 'enum' && filterField.options?.length && !isListOperator) {
+      return (
+        <select
+          className={`w-full ${inputClass}`}
+          value={filterValue}
+          onChange={(e) => setFilterValue(e.target.value)}
+        >
+          <option value="">Choose a value...</option>
+          {filterField.options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={group === 'number' ? 'number' : group === 'date' ? 'date' : 'text'}
+        className={`w-full ${inputClass}`}
+        placeholder={isListOperator ? 'Comma-separated values' : 'Enter value'}
+        value={filterValue}
+        onChange={(e) => setFilterValue(e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-700">{title}</label>
+
+      {filters.length > 0 && (
+        <ul className="space-y-2">
+          {filters.map((filter, index) => (
+            <li
+              key={`${filter.field}-${index}`}
+              className="flex items-center justify-between px-3 py-2 bg-gray-50 border border-gray-200 rounded-md"
+            >
+              <span className="text-sm font-mono text-gray-800">
+                {filter.field} {OPERATOR_LABELS[filter.operator]}
+                {filter.value !== undefined
+                  ? ` ${Array.isArray(filter.value) ? filter.value.join(', ') : String(filter.value)}`
+                  : ''}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleRemoveFilter(index)}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {fields.length === 0 ? (
+        <p className="text-xs text-gray-500">{emptyMessage}</p>
+      ) : (
+        <div className="space-y-2 p-3 border border-dashed border-gray-300 rounded-md">
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              value={filterFieldName}
+              onChange={(e) => {
+                setFilterFieldName(e.target.value);
+                setFilterOperator('');
+                setFilterValue('');
+                setFilterValueMax('');
+              }}
+            >
+              <option value="">Choose a field...</option>
+              {fields.map((field) => (
+                <option key={field.id} value={field.name}>
+                  {field.label || field.name}
+                </option>
+              ))}
+            </select>
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              value={filterOperator}
+              disabled={!filterField}
+              onChange={(e) => {
+                setFilterOperator(e.target.value as PropertyRuleCondition['operator']);
+                setFilterValue('');
+                setFilterValueMax('');
+              }}
+            >
+              <option value="">Choose an operator...</option>
+              {filterOperators.map((op) => (
+                <option key={op} value={op}>
+                  {OPERATOR_LABELS[op]}
+                </option>
+              ))}
+            </select>
+          </div>
+          {renderFilterValueInput()}
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleAddFilter}
+              disabled={!isFilterDraftValid()}
+              className="text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              + Add Filter
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PropertyFilterEditor;
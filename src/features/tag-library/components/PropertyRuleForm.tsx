@@ -16,6 +16,7 @@ import toast from 'react-hot-toast';
 import type { PropertyRuleCondition } from '../../../types/tag';
 import type { CustomObject } from '../../../types/project';
 import { getUserFriendlyError, logError } from '../../../utils/errorMessages';
+import { OPERATORS_BY_TYPE, OPERATOR_LABELS } from '../../../utils/ruleOperators';
 
 export interface PropertyRuleFormProps {
   /** Current property rule condition being edited */
@@ -28,67 +29,6 @@ export interface PropertyRuleFormProps {
   onCancel?: () => void;
 }
 
-/**
- * Maps field data types to applicable operators
- */
-const OPERATORS_BY_TYPE: Record<string, PropertyRuleCondition['operator'][]> = {
-  text: [
-    'equals',
-    'not_equals',
-    'contains',
-    'not_contains',
-    'starts_with',
-    'ends_with',
-    'is_known',
-    'is_unknown',
-  ],
-  number: [
-    'equals',
-    'not_equals',
-    'greater_than',
-    'greater_than_or_equal',
-    'less_than',
-    'less_than_or_equal',
-    'between',
-    'is_known',
-    'is_unknown',
-  ],
-  boolean: ['equals', 'not_equals', 'is_known', 'is_unknown'],
-  date: [
-    'equals',
-    'not_equals',
-    'greater_than',
-    'greater_than_or_equal',
-    'less_than',
-    'less_than_or_equal',
-    'between',
-    'is_known',
-    'is_unknown',
-  ],
-  enum: ['equals', 'not_equals', 'in', 'not_in', 'is_known', 'is_unknown'],
-};
-
-/**
- * Operator labels for display
- */
-const OPERATOR_LABELS: Record<PropertyRuleCondition['operator'], string> = {
-  equals: 'equals',
-  not_equals: 'does not equal',
-  greater_than: 'is greater than',
-  greater_than_or_equal: 'is greater than or equal to',
-  less_than: 'is less than',
-  less_than_or_equal: 'is less than or equal to',
-  contains: 'contains',
-  not_contains: 'does not contain',
-  starts_with: 'starts with',
-  ends_with: 'ends with',
-  in: 'is in list',
-  not_in: 'is not in list',
-  between: 'is between',
-  is_known: 'is known (has value)',
-  is_unknown: 'is unknown (no value)',
-};
-
 function PropertyRuleForm({
   condition,
   onChange,
@@ -108,7 +48,7 @@ function PropertyRuleForm({
 
   // Get available operators for selected field type
   const availableOperators = currentField
-    ? OPERATORS_BY_TYPE[currentField.type] || OPERATORS_BY_TYPE.text
+    ? OPERATORS_BY_TYPE[currentField.type as keyof typeof OPERATORS_BY_TYPE] || OPERATORS_BY_TYPE.text
     : [];
 
   // Build condition from current form state
@@ -7,6 +7,9 @@
  * - Association Rules: Conditions based on related objects
  * - Score Rules: Conditions based on score thresholds with hysteresis
  *
+ * Kinds can be mixed, and conditions can be nested in AND/OR groups, e.g.
+ * "(auto loan AND indirect dealer) OR (member referral AND age < 30)".
+ *
  * Follows compounding engineering principles with TypeScript safety and reusable patterns.
  */
 
@@ -15,14 +18,23 @@ import DOMPurify from 'dompurify';
 import type {
   QualificationRules,
   RuleCondition,
+  RuleGroup,
+  RuleNode,
   PropertyRuleCondition,
   ActivityRuleCondition,
+  AssociationRuleCondition,
+  ScoreRuleCondition,
 } from '../../../types/tag';
-import type { DataModel } from '../../../types/project';
+import type { CustomEventDefinition, DataModel } from '../../../types/project';
 import PropertyRuleForm from './PropertyRuleForm';
 import ActivityRuleForm from './ActivityRuleForm';
+import AssociationRuleForm from './AssociationRuleForm';
+import ScoreRuleForm from './ScoreRuleForm';
 import { generateId } from '../../../utils/idGenerator';
 import { getEventDisplayName } from '../../../data/hubspotEventTypes';
+import { describeCondition } from '../../../utils/ruleFormatting';
+import { flattenConditions, inferRuleType, isRuleGroup } from '../../../utils/ruleTree';
+import type { RuleKind } from '../../../utils/ruleTree';
 
 /**
  * Type guard for PropertyRuleCondition
@@ -52,6 +64,34 @@ function isActivityRuleCondition(condition: RuleCondition): condition is Activit
   );
 }
 
+/**
+ * Type guard for AssociationRuleCondition
+ * Validates all required fields exist and have correct types
+ */
+function isAssociationRuleCondition(
+  condition: RuleCondition
+): condition is AssociationRuleCondition {
+  return (
+    'relatedObject' in condition &&
+    typeof condition.relatedObject === 'string' &&
+    'conditionType' in condition &&
+    typeof condition.conditionType === 'string'
+  );
+}
+
+/**
+ * Type guard for ScoreRuleCondition
+ * Validates all required fields exist and have correct types
+ */
+function isScoreRuleCondition(condition: RuleCondition): condition is ScoreRuleCondition {
+  return (
+    'scoreField' in condition &&
+    typeof condition.scoreField === 'string' &&
+    'operator' in condition &&
+    typeof condition.operator === 'string'
+  );
+}
+
 export interface RuleBuilderProps {
   /** Current qualification rules being edited */
   rules: QualificationRules;
@@ -59,39 +99,99 @@ export interface RuleBuilderProps {
   onChange: (rules: QualificationRules) => void;
   /** Data model containing available objects and fields */
   dataModel: DataModel;
+  /** Project's custom event registry, offered to activity rules */
+  customEvents?: CustomEventDefinition[];
   /** Optional validation errors to display */
   errors?: string[];
 }
 
-type RuleType = 'property' | 'activity' | 'association' | 'score';
+type RuleType = RuleKind;
+
+// Path of child indexes from the top-level conditions to a group or condition
+type NodePath = number[];
+
+// Groups can nest inside groups, but deeper trees become hard to review
+const MAX_GROUP_DEPTH = 3;
 
 /**
- * Main RuleBuilder component with tabbed interface
- * Memoized to prevent unnecessary re-renders
+ * Conditions of the group at a path ([] is the top level)
  */
-function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
-  const [activeTab, setActiveTab] = useState<RuleType>(rules.ruleType);
+function getGroupNodes(nodes: RuleNode[], path: NodePath): RuleNode[] {
+  return path.reduce<RuleNode[]>((current, index) => {
+    const node = current[index];
+    return node && isRuleGroup(node) ? node.conditions : [];
+  }, nodes);
+}
 
-  // Handle tab change with confirmation if conditions exist
-  const handleTabChange = useCallback((newTab: RuleType): void => {
-    // If switching away from current tab and there are conditions
-    if (newTab !== activeTab && rules.conditions.length > 0) {
-      const confirmed = window.confirm(
-        `Switching rule types will clear your ${rules.conditions.length} existing condition(s). Continue?`
-      );
+/**
+ * Replace the conditions of the group at a path, returning a new tree
+ */
+function updateGroupNodes(
+  nodes: RuleNode[],
+  path: NodePath,
+  update: (groupNodes: RuleNode[]) => RuleNode[]
+): RuleNode[] {
+  if (path.length === 0) return update(nodes);
+
+  const [index, ...rest] = path;
+  return nodes.map((node, i) =>
+    i === index && isRuleGroup(node)
+      ? { ...node, conditions: updateGroupNodes(node.conditions, rest, update) }
+      : node
+  );
+}
 
-      if (!confirmed) {
-        return; // User cancelled, don't switch tabs
-      }
-    }
+/**
+ * Update a group's own properties (e.g. logic) at a non-empty path
+ */
+function updateGroup(
+  nodes: RuleNode[],
+  path: NodePath,
+  update: (group: RuleGroup) => RuleGroup
+): RuleNode[] {
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  return updateGroupNodes(nodes, parentPath, (siblings) =>
+    siblings.map((node, i) => (i === index && isRuleGroup(node) ? update(node) : node))
+  );
+}
 
-    setActiveTab(newTab);
+const isSamePath = (a: NodePath, b: NodePath): boolean =>
+  a.length === b.length && a.every((index, i) => index === b[i]);
+
+const isWithinPath = (path: NodePath, ancestor: NodePath): boolean =>
+  path.length >= ancestor.length && ancestor.every((index, i) => index === path[i]);
+
+/**
+ * Main RuleBuilder component with tabbed interface
+ * Memoized to prevent unnecessary re-renders
+ */
+function RuleBuilder({ rules, onChange, dataModel, customEvents, errors }: RuleBuilderProps) {
+  const [activeTab, setActiveTab] = useState<RuleType>(
+    rules.ruleType === 'mixed' ? 'property' : rules.ruleType
+  );
+  // Group that newly added conditions go into
+  const [targetPath, setTargetPath] = useState<NodePath>([]);
+
+  // Save a new condition tree, keeping ruleType in step with its contents
+  const commitConditions = useCallback((conditions: RuleNode[]): void => {
     onChange({
       ...rules,
-      ruleType: newTab,
-      conditions: [],
+      ruleType: inferRuleType(conditions, activeTab),
+      conditions,
     });
-  }, [activeTab, rules, onChange]);
+  }, [rules, onChange, activeTab]);
+
+  // Tabs only choose which form is shown; kinds can be mixed in one rule set
+  const handleTabChange = useCallback((newTab: RuleType): void => {
+    setActiveTab(newTab);
+    if (rules.conditions.length === 0) {
+      onChange({
+        ...rules,
+        ruleType: newTab,
+      });
+    }
+  }, [rules, onChange]);
 
   // Handle logic change (AND/OR)
   const handleLogicChange = useCallback((logic: 'AND' | 'OR'): void => {
@@ -101,21 +201,15 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
     });
   }, [rules, onChange]);
 
-  // Handle adding a new condition with unique ID
+  // Handle adding a new condition to the target group
   // Accepts any RuleCondition type (Property, Activity, Association, Score)
   const handleAddCondition = useCallback((condition: RuleCondition): void => {
     // Check for duplicate conditions to prevent rapid double-clicks
     // Compare essential fields (excluding id) to detect duplicates
-    const isDuplicate = rules.conditions.some(existing => {
-      // Create comparison objects without id fields
-      const existingWithoutId = { ...existing };
-      delete existingWithoutId.id;
-      const newWithoutId = { ...condition };
-      delete newWithoutId.id;
-
-      // Deep comparison using JSON.stringify
-      return JSON.stringify(existingWithoutId) === JSON.stringify(newWithoutId);
-    });
+    const withoutId = (node: RuleNode): string => JSON.stringify({ ...node, id: undefined });
+    const isDuplicate = getGroupNodes(rules.conditions, targetPath).some(
+      (existing) => withoutId(existing) === withoutId(condition)
+    );
 
     if (isDuplicate) {
       console.warn('[RuleBuilder] Duplicate condition ignored (rapid click detected)');
@@ -124,33 +218,51 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
 
     const conditionWithId = {
       ...condition,
-      id: condition.id || generateId(), // Ensure every condition has a unique ID
+      id: ('id' in condition && condition.id) || generateId(), // Ensure every condition has a unique ID
     };
-    const newConditions = [...rules.conditions, conditionWithId];
-    onChange({
-      ...rules,
-      conditions: newConditions,
-    });
-  }, [rules, onChange]);
-
-  // Handle deleting a condition by ID
-  const handleDeleteCondition = useCallback((conditionId: string): void => {
-    const newConditions = rules.conditions.filter((c) => {
-      // Support both ID-based and index-based filtering for backward compatibility
-      if ('id' in c && c.id) {
-        return c.id !== conditionId;
-      }
-      return true;
-    });
-    onChange({
-      ...rules,
-      conditions: newConditions,
-    });
-  }, [rules, onChange]);
+    commitConditions(
+      updateGroupNodes(rules.conditions, targetPath, (nodes) => [...nodes, conditionWithId])
+    );
+  }, [rules.conditions, targetPath, commitConditions]);
+
+  // Add an empty group inside the group at a path and make it the target
+  const handleAddGroup = useCallback((parentPath: NodePath, parentLogic: 'AND' | 'OR'): void => {
+    const group: RuleGroup = {
+      id: generateId(),
+      type: 'group',
+      // A nested group is usually the opposite of its parent: OR of ANDs, AND of ORs
+      logic: parentLogic === 'AND' ? 'OR' : 'AND',
+      conditions: [],
+    };
+    const siblings = getGroupNodes(rules.conditions, parentPath);
+    commitConditions(updateGroupNodes(rules.conditions, parentPath, (nodes) => [...nodes, group]));
+    setTargetPath([...parentPath, siblings.length]);
+  }, [rules.conditions, commitConditions]);
+
+  // Change the AND/OR logic of a nested group
+  const handleGroupLogicChange = useCallback((path: NodePath, logic: 'AND' | 'OR'): void => {
+    commitConditions(updateGroup(rules.conditions, path, (group) => ({ ...group, logic })));
+  }, [rules.conditions, commitConditions]);
+
+  // Delete a condition or group by its path
+  const handleDeleteNode = useCallback((path: NodePath): void => {
+    const parentPath = path.slice(0, -1);
+    const index = path[path.length - 1];
+    commitConditions(
+      updateGroupNodes(rules.conditions, parentPath, (nodes) => nodes.filter((_, i) => i !== index))
+    );
+
+    // Indexes after the deleted node shift, so fall back to the parent group
+    if (isWithinPath(targetPath, parentPath) && !isSamePath(targetPath, parentPath)) {
+      setTargetPath(parentPath);
+    }
+  }, [rules.conditions, targetPath, commitConditions]);
 
   // Memoize condition summaries to avoid expensive DOMPurify operations on every render
   const conditionSummaries = useMemo(() => {
-    return rules.conditions.map((condition, index) => {
+    const summaries = new Map<RuleCondition, string>();
+
+    flattenConditions(rules.conditions).forEach((condition, index) => {
       // Use proper type guard instead of unsafe assertion
       if (isPropertyRuleCondition(condition)) {
         // Sanitize all string values to prevent XSS
@@ -166,7 +278,8 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
             : DOMPurify.sanitize(String(condition.value), { ALLOWED_TAGS: [] });
           summary += ` ${valueStr}`;
         }
-        return summary;
+        summaries.set(condition, summary);
+        return;
       }
 
       if (isActivityRuleCondition(condition)) {
@@ -191,13 +304,27 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
           summary += ` in last ${condition.timeframe} days`;
         }
 
-        return summary;
+        summaries.set(condition, summary);
+        return;
+      }
+
+      if (isAssociationRuleCondition(condition) || isScoreRuleCondition(condition)) {
+        // Describe with object and field labels from the data model, then sanitize
+        summaries.set(
+          condition,
+          DOMPurify.sanitize(describeCondition(condition, dataModel.objects || []), {
+            ALLOWED_TAGS: [],
+          })
+        );
+        return;
       }
 
       // Placeholder for other condition types
-      return `Condition ${index + 1}`;
+      summaries.set(condition, `Condition ${index + 1}`);
     });
-  }, [rules.conditions]); // Only recompute when conditions array changes
+
+    return summaries;
+  }, [rules.conditions, dataModel.objects]); // Only recompute when conditions or objects change
 
   // Memoized tab button component
   const TabButton = memo(({ type, label }: { type: RuleType; label: string }) => (
@@ -218,6 +345,106 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
 
   TabButton.displayName = 'TabButton';
 
+  // Render a list of conditions and nested groups
+  const renderNodes = (nodes: RuleNode[], parentPath: NodePath): React.ReactElement[] =>
+    nodes.map((node, index) => {
+      const path = [...parentPath, index];
+      const key = ('id' in node && node.id) || path.join('.');
+
+      if (isRuleGroup(node)) {
+        return renderGroup(node, path, key);
+      }
+
+      return (
+        <div
+          key={key}
+          className="bg-white border border-gray-300 rounded-lg p-4 flex items-center justify-between"
+        >
+          <div className="flex-1">
+            <p className="text-sm font-mono text-gray-800">
+              {conditionSummaries.get(node)}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              type="button"
+              onClick={() => handleDeleteNode(path)}
+              className="text-red-600 hover:text-red-800 text-sm font-medium"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      );
+    });
+
+  // Render a nested group with its own logic and actions
+  const renderGroup = (group: RuleGroup, path: NodePath, key: string): React.ReactElement => {
+    const isTarget = isSamePath(targetPath, path);
+
+    return (
+      <div
+        key={key}
+        className={`border-l-4 rounded-lg p-3 space-y-3 ${
+          isTarget ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50'
+        }`}
+      >
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs font-medium text-gray-700">Group:</span>
+          {(['AND', 'OR'] as const).map((logic) => (
+            <button
+              key={logic}
+              type="button"
+              onClick={() => handleGroupLogicChange(path, logic)}
+              className={`px-2 py-0.5 text-xs font-medium rounded transition-colors ${
+                group.logic === logic
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {logic}
+            </button>
+          ))}
+          <div className="flex-1" />
+          <button
+            type="button"
+            onClick={() => setTargetPath(path)}
+            disabled={isTarget}
+            className="text-xs font-medium text-blue-600 hover:text-blue-800 disabled:text-blue-800 disabled:cursor-default"
+          >
+            {isTarget ? 'Adding conditions here' : 'Add conditions here'}
+          </button>
+          {path.length < MAX_GROUP_DEPTH && (
+            <button
+              type="button"
+              onClick={() => handleAddGroup(path, group.logic)}
+              className="text-xs font-medium text-blue-600 hover:text-blue-800"
+            >
+              + Nested Group
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => handleDeleteNode(path)}
+            className="text-xs font-medium text-red-600 hover:text-red-800"
+          >
+            Delete Group
+          </button>
+        </div>
+
+        {group.conditions.length === 0 ? (
+          <p className="text-xs text-amber-700">
+            Empty group. Add a condition to it or delete it before saving.
+          </p>
+        ) : (
+          <div className="space-y-2">{renderNodes(group.conditions, path)}</div>
+        )}
+      </div>
+    );
+  };
+
+  const targetIsTopLevel = targetPath.length === 0;
+
   return (
     <div className="space-y-4">
       {/* Header with Rule Type Tabs */}
@@ -271,43 +498,39 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
         </div>
       </div>
 
-      {/* Existing Conditions List */}
-      {rules.conditions.length > 0 && (
-        <div className="space-y-3">
-          <h3 className="text-sm font-medium text-gray-700">Current Conditions:</h3>
-          {rules.conditions.map((condition, index) => {
-            // Get condition ID, generate one if missing (backward compatibility)
-            const conditionId = ('id' in condition && condition.id) ? condition.id : `temp-${index}`;
-
-            return (
-              <div
-                key={conditionId}
-                className="bg-white border border-gray-300 rounded-lg p-4 flex items-center justify-between"
+      {/* Existing Conditions Tree */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-medium text-gray-700">
+            {rules.conditions.length > 0 ? 'Current Conditions:' : 'No conditions yet'}
+          </h3>
+          <div className="flex items-center space-x-3">
+            {!targetIsTopLevel && (
+              <button
+                type="button"
+                onClick={() => setTargetPath([])}
+                className="text-sm font-medium text-blue-600 hover:text-blue-800"
               >
-                <div className="flex-1">
-                  <p className="text-sm font-mono text-gray-800">
-                    {conditionSummaries[index]}
-                  </p>
-                </div>
-                <div className="flex items-center space-x-2">
-                  <button
-                    type="button"
-                    onClick={() => handleDeleteCondition(conditionId)}
-                    className="text-red-600 hover:text-red-800 text-sm font-medium"
-                  >
-                    Delete
-                  </button>
-                </div>
-              </div>
-            );
-          })}
+                Add to top level
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleAddGroup([], rules.logic)}
+              className="text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              + Add Group
+            </button>
+          </div>
         </div>
-      )}
+        {renderNodes(rules.conditions, [])}
+      </div>
 
       {/* Rule Form Content */}
       <div className="bg-white border border-gray-200 rounded-lg p-6">
         <h3 className="text-sm font-medium text-gray-700 mb-4">
-          {rules.conditions.length === 0 ? 'Add' : 'Add Another'} Condition
+          {getGroupNodes(rules.conditions, targetPath).length === 0 ? 'Add' : 'Add Another'} Condition
+          {!targetIsTopLevel && <span className="text-blue-600"> to Selected Group</span>}
         </h3>
 
         {activeTab === 'property' && (
@@ -319,24 +542,23 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
 
         {activeTab === 'activity' && (
           <ActivityRuleForm
+            customEvents={customEvents}
             onChange={handleAddCondition}
           />
         )}
 
         {activeTab === 'association' && (
-          <div className="text-center text-gray-500 py-12">
-            <p className="text-lg font-medium mb-2">Association Rule Builder</p>
-            <p className="text-sm">Create rules based on relationships between objects</p>
-            <p className="text-xs text-gray-400 mt-4">Coming in Phase 6</p>
-          </div>
+          <AssociationRuleForm
+            dataModel={dataModel}
+            onChange={handleAddCondition}
+          />
         )}
 
         {activeTab === 'score' && (
-          <div className="text-center text-gray-500 py-12">
-            <p className="text-lg font-medium mb-2">Score Rule Builder</p>
-            <p className="text-sm">Set score thresholds with optional hysteresis for tag assignment</p>
-            <p className="text-xs text-gray-400 mt-4">Coming in Phase 6</p>
-          </div>
+          <ScoreRuleForm
+            dataModel={dataModel}
+            onChange={handleAddCondition}
+          />
         )}
       </div>
 
@@ -361,9 +583,9 @@ function RuleBuilder({ rules, onChange, dataModel, errors }: RuleBuilderProps) {
         <div className="text-sm">
           <span className="font-medium text-gray-700">Conditions: </span>
           <span className="text-gray-600">
-            {rules.conditions.length === 0
+            {conditionSummaries.size === 0
               ? 'No conditions defined yet'
-              : `${rules.conditions.length} condition${rules.conditions.length > 1 ? 's' : ''} defined`
+              : `${conditionSummaries.size} condition${conditionSummaries.size > 1 ? 's' : ''} defined`
             }
           </span>
         </div>
@@ -377,6 +599,7 @@ export default memo(RuleBuilder, (prevProps, nextProps) => {
   return (
     prevProps.rules === nextProps.rules &&
     prevProps.dataModel === nextProps.dataModel &&
+    prevProps.customEvents === nextProps.customEvents &&
     JSON.stringify(prevProps.errors) === JSON.stringify(nextProps.errors)
   );
 });
@@ -0,0 +1,107 @@
+/**
+ * RuleLintPanel Component
+ *
+ * Lists tags whose qualification rules do not fit the project's data model
+ * (unknown objects, fields, operators, options or events). Missing fields
+ * that an object template defines can be created in one click.
+ */
+
+import { useState, memo } from 'react';
+import { AlertTriangle, ChevronDown, ChevronRight, Plus } from 'lucide-react';
+import type { CreateFieldFix, TagLintResult } from '../../../types/ruleLint';
+
+export interface RuleLintPanelProps {
+  /** Tags with lint issues */
+  results: TagLintResult[];
+  /** Callback to add a template field to a project object */
+  onCreateField: (fix: CreateFieldFix) => Promise<void>;
+}
+
+const fixKey = (fix: CreateFieldFix): string => `${fix.objectId}:${fix.field.name}`;
+
+function RuleLintPanel({ results, onCreateField }: RuleLintPanelProps) {
+  const [isExpanded, setIsExpanded] = useState<boolean>(false);
+  const [pendingFixes, setPendingFixes] = useState<Set<string>>(new Set());
+
+  if (results.length === 0) return null;
+
+  const issueCount = results.reduce((sum, result) => sum + result.issues.length, 0);
+  const errorCount = results.reduce(
+    (sum, result) => sum + result.issues.filter((issue) => issue.severity === 'error').length,
+    0
+  );
+
+  const handleCreateField = async (fix: CreateFieldFix): Promise<void> => {
+    const key = fixKey(fix);
+    setPendingFixes((prev) => new Set(prev).add(key));
+    try {
+      await onCreateField(fix);
+    } finally {
+      setPendingFixes((prev) => {
+        const next = new Set(prev);
+        next.delete(key);
+        return next;
+      });
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white border border-amber-200 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between px-4 py-3 text-left"
+      >
+        <span className="flex items-center text-sm font-medium text-amber-800">
+          <AlertTriangle className="h-5 w-5 mr-2 text-amber-500" />
+          {results.length} {results.length === 1 ? 'tag has' : 'tags have'} rules that do not
+          match this project's data model ({errorCount} {errorCount === 1 ? 'error' : 'errors'},{' '}
+          {issueCount - errorCount} {issueCount - errorCount === 1 ? 'warning' : 'warnings'})
+        </span>
+        {isExpanded ? (
+          <ChevronDown className="h-5 w-5 text-gray-400" />
+        ) : (
+          <ChevronRight className="h-5 w-5 text-gray-400" />
+        )}
+      </button>
+
+      {isExpanded && (
+        <ul className="border-t border-amber-100 divide-y divide-gray-100 max-h-96 overflow-y-auto">
+          {results.map((result) => (
+            <li key={result.tagId} className="px-4 py-3">
+              <p className="text-sm font-medium text-gray-900">{result.tagName}</p>
+              <ul className="mt-1 space-y-1">
+                {result.issues.map((issue, index) => (
+                  <li key={`${issue.code}-${index}`} className="flex items-center justify-between gap-4">
+                    <span
+                      className={`text-sm ${
+                        issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'
+                      }`}
+                    >
+                      {issue.message}
+                    </span>
+                    {issue.fix && (
+                      <button
+                        type="button"
+                        onClick={() => handleCreateField(issue.fix!)}
+                        disabled={pendingFixes.has(fixKey(issue.fix))}
+                        title={`Copies the field from the ${issue.fix.templateLabel} template`}
+                        className="flex-shrink-0 inline-flex items-center px-2 py-1 text-xs font-medium rounded border border-blue-300 text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50"
+                      >
+                        <Plus className="h-3 w-3 mr-1" />
+                        Create {issue.fix.field.label} on {issue.fix.objectLabel}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(RuleLintPanel);
@@ -0,0 +1,544 @@
+/**
+ * ScoreRuleForm Component
+ *
+ * Provides a step-by-step form for creating score-based qualification rules:
+ * 1. Select a numeric or calculated score field from the data model
+ * 2. Choose a fixed threshold or hysteresis (separate add/remove thresholds)
+ * 3. Enter the threshold, range or add/remove pair
+ *
+ * A sample score series is replayed through the QualificationEngine and
+ * charted, so the effect of the thresholds is visible before saving.
+ */
+
+import { useState, useMemo, memo } from 'react';
+import toast from 'react-hot-toast';
+import type { ScoreRuleCondition } from '../../../types/tag';
+import type { CustomField, CustomObject, DataModel } from '../../../types/project';
+import qualificationEngine from '../../../services/QualificationEngine';
+import { describeCondition } from '../../../utils/ruleFormatting';
+import { getUserFriendlyError, logError } from '../../../utils/errorMessages';
+import { SCORE_OPERATORS, getOperatorGroup } from '../../../utils/ruleOperators';
+
+export interface ScoreRuleFormProps {
+  /** Data model providing the score fields */
+  dataModel: DataModel;
+  /** Callback when condition is added */
+  onChange: (condition: ScoreRuleCondition) => void;
+  /** Optional callback when form is cancelled */
+  onCancel?: () => void;
+}
+
+// Data model fields carry dataType and fieldType beyond the base CustomField type
+type ModelField = CustomField & { dataType?: string; fieldType?: string };
+
+type ScoreMode = 'threshold' | 'hysteresis';
+type ScoreDirection = 'up' | 'down';
+
+const MODE_OPTIONS: Array<{ value: ScoreMode; label: string; description: string }> = [
+  {
+    value: 'threshold',
+    label: 'Fixed threshold',
+    description: 'Tag is added and removed at the same score',
+  },
+  {
+    value: 'hysteresis',
+    label: 'Hysteresis',
+    description: 'Separate add and remove thresholds stop the tag flapping around one value',
+  },
+];
+
+const DIRECTION_OPTIONS: Array<{ value: ScoreDirection; label: string }> = [
+  { value: 'up', label: 'Higher scores qualify (engagement, credit)' },
+  { value: 'down', label: 'Lower scores qualify (risk, churn)' },
+];
+
+// Sample score movement relative to the thresholds: 0 is the lower
+// threshold, 1 the upper. Crosses both in each direction more than once.
+const SAMPLE_SHAPE = [
+  -0.6, -0.2, 0.5, 1.1, 1.5, 1.2, 0.6, 0.3, -0.3, -0.7, -0.2, 0.4, 0.8, 1.3, 1.6, 1.0, 0.5,
+];
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 12;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Parse a numeric input, treating blank as missing
+ */
+function toNumber(text: string): number | null {
+  if (text.trim() === '') return null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Threshold lines drawn on the chart for a condition
+ */
+function conditionLevels(
+  condition: ScoreRuleCondition
+): Array<{ value: number; label: string; className: string }> {
+  if (condition.hysteresis) {
+    return [
+      { value: condition.hysteresis.addThreshold, label: 'Add', className: 'stroke-green-600' },
+      { value: condition.hysteresis.removeThreshold, label: 'Remove', className: 'stroke-red-500' },
+    ];
+  }
+  if (Array.isArray(condition.value)) {
+    return condition.value.map((value, i) => ({
+      value,
+      label: i === 0 ? 'Min' : 'Max',
+      className: 'stroke-blue-500',
+    }));
+  }
+  const threshold = condition.threshold ?? condition.value;
+  return threshold === undefined
+    ? []
+    : [{ value: threshold, label: 'Threshold', className: 'stroke-blue-500' }];
+}
+
+/**
+ * Line chart of a sample score series, shading the readings where the
+ * member holds the tag
+ */
+function ScoreSeriesChart({ condition }: { condition: ScoreRuleCondition }) {
+  const levels = conditionLevels(condition);
+  const levelValues = levels.map((level) => level.value);
+  const low = Math.min(...levelValues);
+  const high = Math.max(...levelValues);
+  const span = high - low || Math.max(Math.abs(high) * 0.2, 10);
+  const series = SAMPLE_SHAPE.map((f) => Math.round((low + f * span) * 100) / 100);
+  const membership = qualificationEngine.evaluateScoreSeries(condition, series);
+
+  const values = [...series, ...levelValues];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const step = (CHART_WIDTH - CHART_PADDING * 2) / (series.length - 1);
+  const x = (i: number): number => CHART_PADDING + i * step;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const y = (value: number): number =>
+    CHART_HEIGHT - CHART_PADDING - ((value - min) / (max - min || 1)) * plotHeight;
+
+  return (
+    <div className="space-y-2">
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-40 bg-white border border-gray-200 rounded-md"
+        role="img"
+        aria-label="Sample score series with tag membership"
+      >
+        {membership.map((held, i) =>
+          held ? (
+            <rect
+              key={`held-${i}`}
+              x={x(i) - step / 2}
+              y={0}
+              width={step}
+              height={CHART_HEIGHT}
+              className="fill-green-50"
+            />
+          ) : null
+        )}
+        {levels.map((level) => (
+          <g key={level.label}>
+            <line
+              x1={CHART_PADDING}
+              x2={CHART_WIDTH - CHART_PADDING}
+              y1={y(level.value)}
+              y2={y(level.value)}
+              strokeDasharray="4 4"
+              className={level.className}
+            />
+            <text
+              x={CHART_WIDTH - CHART_PADDING}
+              y={y(level.value) - 3}
+              textAnchor="end"
+              className="fill-gray-500 text-[10px]"
+            >
+              {level.label} {level.value}
+            </text>
+          </g>
+        ))}
+        <polyline
+          points={series.map((value, i) => `${x(i)},${y(value)}`).join(' ')}
+          fill="none"
+          strokeWidth={2}
+          className="stroke-blue-600"
+        />
+        {series.map((value, i) => (
+          <circle
+            key={`point-${i}`}
+            cx={x(i)}
+            cy={y(value)}
+            r={3.5}
+            className={membership[i] ? 'fill-green-600' : 'fill-gray-400'}
+          >
+            <title>
+              Score {value}: {membership[i] ? 'has tag' : 'no tag'}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex items-center space-x-4 text-xs text-gray-600">
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-2.5 h-2.5 rounded-full bg-green-600" />
+          <span>Has tag</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-2.5 h-2.5 rounded-full bg-gray-400" />
+          <span>No tag</span>
+        </span>
+        <span>Sample readings, oldest first</span>
+      </div>
+    </div>
+  );
+}
+
+function ScoreRuleForm({ dataModel, onChange, onCancel }: ScoreRuleFormProps) {
+  // Numeric and calculated fields, grouped by object
+  const scoreFieldGroups = useMemo(
+    () =>
+      ((dataModel.objects || []) as CustomObject[])
+        .map((object) => ({
+          object,
+          fields: ((object.fields || []) as ModelField[]).filter(
+            (field) =>
+              field.fieldType === 'calculated' ||
+              getOperatorGroup(field.dataType || field.type) === 'number'
+          ),
+        }))
+        .filter((group) => group.fields.length > 0),
+    [dataModel.objects]
+  );
+
+  // State for form fields
+  const [scoreField, setScoreField] = useState('');
+  const [mode, setMode] = useState<ScoreMode>('threshold');
+  const [operator, setOperator] = useState<ScoreRuleCondition['operator']>('greater_than_or_equal');
+  const [value, setValue] = useState('');
+  const [valueMax, setValueMax] = useState('');
+  const [direction, setDirection] = useState<ScoreDirection>('up');
+  const [addThreshold, setAddThreshold] = useState('');
+  const [removeThreshold, setRemoveThreshold] = useState('');
+
+  // Validation message for the current thresholds, null when valid or incomplete
+  const validationError = useMemo((): string | null => {
+    if (mode === 'hysteresis') {
+      const add = toNumber(addThreshold);
+      const remove = toNumber(removeThreshold);
+      if (add === null || remove === null) return null;
+      if (direction === 'up' && add <= remove) {
+        return 'Add threshold must be above the remove threshold when higher scores qualify';
+      }
+      if (direction === 'down' && add >= remove) {
+        return 'Add threshold must be below the remove threshold when lower scores qualify';
+      }
+      return null;
+    }
+
+    if (operator === 'between') {
+      const min = toNumber(value);
+      const max = toNumber(valueMax);
+      if (min !== null && max !== null && min >= max) {
+        return 'Range minimum must be below the maximum';
+      }
+    }
+    return null;
+  }, [mode, direction, addThreshold, removeThreshold, operator, value, valueMax]);
+
+  // Build condition from current form state
+  const buildCondition = (): ScoreRuleCondition | null => {
+    if (!scoreField || validationError) return null;
+
+    if (mode === 'hysteresis') {
+      const add = toNumber(addThreshold);
+      const remove = toNumber(removeThreshold);
+      if (add === null || remove === null) return null;
+
+      return {
+        scoreField,
+        operator: direction === 'up' ? 'greater_than_or_equal' : 'less_than_or_equal',
+        threshold: add,
+        hysteresis: { addThreshold: add, removeThreshold: remove },
+      };
+    }
+
+    const threshold = toNumber(value);
+    if (threshold === null) return null;
+
+    if (operator === 'between') {
+      const max = toNumber(valueMax);
+      if (max === null) return null;
+      return { scoreField, operator, value: [threshold, max] };
+    }
+
+    return { scoreField, operator, threshold };
+  };
+
+  const condition = buildCondition();
+
+  // Handle Add Condition button click
+  const handleAddClick = (): void => {
+    if (condition) {
+      try {
+        onChange(condition);
+        // Reset form only on successful add
+        setScoreField('');
+        setMode('threshold');
+        setOperator('greater_than_or_equal');
+        setValue('');
+        setValueMax('');
+        setDirection('up');
+        setAddThreshold('');
+        setRemoveThreshold('');
+      } catch (error) {
+        // Preserve form state on error
+        logError('ScoreRuleForm', 'add condition', error);
+
+        const userMessage = getUserFriendlyError(error);
+        toast.error(`Failed to add condition: ${userMessage}`, {
+          duration: 5000,
+        });
+      }
+    }
+  };
+
+  // Render score field dropdown
+  const renderScoreFieldDropdown = (): React.ReactElement => {
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          1. Select Score Field
+        </label>
+        <select className={inputClass} value={scoreField} onChange={(e) => setScoreField(e.target.value)}>
+          <option value="">Choose a score field...</option>
+          {scoreFieldGroups.map(({ object, fields }) => (
+            <optgroup key={object.id} label={object.label || object.name}>
+              {fields.map((field) => (
+                <option key={field.id} value={field.name}>
+                  {field.label || field.name}
+                  {field.fieldType === 'calculated' ? ' (calculated)' : ''}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  // Render threshold mode selector
+  const renderModeSelector = (): React.ReactElement | null => {
+    if (!scoreField) return null;
+
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          2. Select Threshold Type
+        </label>
+        <div className="space-y-2">
+          {MODE_OPTIONS.map((option) => (
+            <label
+              key={option.value}
+              className="flex items-start space-x-3 p-3 border border-gray-200 rounded-md hover:bg-gray-50 cursor-pointer"
+            >
+              <input
+                type="radio"
+                name="scoreMode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={() => setMode(option.value)}
+                className="mt-1"
+              />
+              <div>
+                <div className="text-sm font-medium text-gray-900">{option.label}</div>
+                <div className="text-xs text-gray-500">{option.description}</div>
+              </div>
+            </label>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Render fixed threshold inputs
+  const renderThresholdInputs = (): React.ReactElement | null => {
+    if (!scoreField || mode !== 'threshold') return null;
+
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          3. Set Threshold
+        </label>
+        <div className="flex items-center space-x-2">
+          <select
+            className={inputClass}
+            value={operator}
+            onChange={(e) => setOperator(e.target.value as ScoreRuleCondition['operator'])}
+          >
+            {SCORE_OPERATORS.map((op) => (
+              <option key={op.value} value={op.value}>
+                {op.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            className={inputClass}
+            placeholder={operator === 'between' ? 'Min' : 'Score'}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+          />
+          {operator === 'between' && (
+            <>
+              <span className="text-sm text-gray-600">and</span>
+              <input
+                type="number"
+                className={inputClass}
+                placeholder="Max"
+                value={valueMax}
+                onChange={(e) => setValueMax(e.target.value)}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Render hysteresis direction and add/remove thresholds
+  const renderHysteresisInputs = (): React.ReactElement | null => {
+    if (!scoreField || mode !== 'hysteresis') return null;
+
+    return (
+      <div className="space-y-3">
+        <label className="block text-sm font-medium text-gray-700">
+          3. Set Add and Remove Thresholds
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          {DIRECTION_OPTIONS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setDirection(option.value)}
+              className={`px-3 py-2 text-sm border rounded-md ${
+                direction === option.value
+                  ? 'bg-blue-50 border-blue-500 text-blue-700'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <span className="block text-xs text-gray-600 mb-1">
+              Add tag when score reaches
+            </span>
+            <input
+              type="number"
+              className={inputClass}
+              value={addThreshold}
+              onChange={(e) => setAddThreshold(e.target.value)}
+            />
+          </div>
+          <div>
+            <span className="block text-xs text-gray-600 mb-1">
+              Remove tag when score crosses
+            </span>
+            <input
+              type="number"
+              className={inputClass}
+              value={removeThreshold}
+              onChange={(e) => setRemoveThreshold(e.target.value)}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Render condition preview with the sample series chart
+  const renderPreview = (): React.ReactElement | null => {
+    if (!condition) return null;
+
+    return (
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-3">
+        <div>
+          <h4 className="text-sm font-medium text-blue-900 mb-2">
+            Condition Preview:
+          </h4>
+          <p className="text-sm text-blue-800 font-mono">
+            {describeCondition(condition, (dataModel.objects || []) as CustomObject[])}
+          </p>
+        </div>
+        <ScoreSeriesChart condition={condition} />
+      </div>
+    );
+  };
+
+  if (scoreFieldGroups.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-12">
+        <p className="text-lg font-medium mb-2">No score fields available</p>
+        <p className="text-sm">
+          Add a number, currency or calculated field in the Data Model Designer to build score rules
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Step 1: Score Field */}
+      {renderScoreFieldDropdown()}
+
+      {/* Step 2: Threshold Type */}
+      {renderModeSelector()}
+
+      {/* Step 3: Thresholds */}
+      {renderThresholdInputs()}
+      {renderHysteresisInputs()}
+
+      {validationError && (
+        <p className="text-sm text-red-600">{validationError}</p>
+      )}
+
+      {/* Action Buttons */}
+      <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleAddClick}
+          disabled={!condition}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add Condition
+        </button>
+      </div>
+
+      {/* Preview */}
+      {renderPreview()}
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(ScoreRuleForm, (prevProps, nextProps) => {
+  return (
+    prevProps.dataModel === nextProps.dataModel &&
+    prevProps.onChange === nextProps.onChange &&
+    prevProps.onCancel === nextProps.onCancel
+  );
+});
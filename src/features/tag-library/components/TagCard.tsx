@@ -1,35 +1,32 @@
 import { useState, memo } from 'react';
-import { Check, Plus, Eye } from 'lucide-react';
-import { Tag, PropertyRuleCondition, ActivityRuleCondition, ScoreRuleCondition, RuleCondition } from '../../../types/tag';
+import { Check, Plus, Eye, AlertTriangle } from 'lucide-react';
+import type { Tag } from '../../../types/tag';
+import type { RuleLintIssue } from '../../../types/ruleLint';
+import { describeCondition } from '../../../utils/ruleFormatting';
+import { flattenConditions, isRuleGroup } from '../../../utils/ruleTree';
 
 /**
  * TagCard Component
  *
  * Displays a single tag with preview functionality.
  * Shows tag metadata, qualification rules summary, and add/added state.
+ * A badge flags rules that do not fit the project's data model.
  */
 
 interface TagCardProps {
   tag: Tag;
   isAdded: boolean;
   onAdd: (tag: Tag) => void;
+  lintIssues?: RuleLintIssue[];
 }
 
-// Type guard functions for rule conditions
-function isPropertyCondition(condition: RuleCondition): condition is PropertyRuleCondition {
-  return 'object' in condition && 'field' in condition;
-}
-
-function isActivityCondition(condition: RuleCondition): condition is ActivityRuleCondition {
-  return 'eventType' in condition;
-}
-
-function isScoreCondition(condition: RuleCondition): condition is ScoreRuleCondition {
-  return 'scoreField' in condition;
-}
+const NO_ISSUES: RuleLintIssue[] = [];
 
-const TagCard = memo(({ tag, isAdded, onAdd }: TagCardProps) => {
+const TagCard = memo(({ tag, isAdded, onAdd, lintIssues = NO_ISSUES }: TagCardProps) => {
   const [showPreview, setShowPreview] = useState<boolean>(false);
+  const conditionCount = flattenConditions(tag.qualificationRules?.conditions).length;
+  const groupCount = (tag.qualificationRules?.conditions || []).filter(isRuleGroup).length;
+  const lintErrorCount = lintIssues.filter((issue) => issue.severity === 'error').length;
 
   const categoryColors = {
     origin: {
@@ -73,6 +70,17 @@ const TagCard = memo(({ tag, isAdded, onAdd }: TagCardProps) => {
             {tag.category.charAt(0).toUpperCase() + tag.category.slice(1)}
           </span>
           <div className="flex items-center gap-2">
+            {lintIssues.length > 0 && (
+              <span
+                className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                  lintErrorCount > 0 ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'
+                }`}
+                title={lintIssues.map((issue) => issue.message).join('\n')}
+              >
+                <AlertTriangle className="h-3 w-3 mr-1" />
+                {lintIssues.length} {lintIssues.length === 1 ? 'issue' : 'issues'}
+              </span>
+            )}
             {isAdded && (
               <span className="inline-flex items-center text-xs text-green-600 font-medium">
                 <Check className="h-4 w-4 mr-1" />
@@ -109,10 +117,9 @@ const TagCard = memo(({ tag, isAdded, onAdd }: TagCardProps) => {
               <span className="capitalize">{tag.qualificationRules.ruleType}</span>
               <span className="mx-2">•</span>
               <span>
-                {tag.qualificationRules.conditions.length}{' '}
-                {tag.qualificationRules.conditions.length === 1
-                  ? 'condition'
-                  : 'conditions'}
+                {conditionCount} {conditionCount === 1 ? 'condition' : 'conditions'}
+                {groupCount > 0 &&
+                  ` in ${groupCount} ${groupCount === 1 ? 'group' : 'groups'}`}
               </span>
             </div>
           )}
@@ -134,24 +141,10 @@ const TagCard = memo(({ tag, isAdded, onAdd }: TagCardProps) => {
               <ul className="list-disc list-inside pl-2 space-y-1">
                 {tag.qualificationRules.conditions.slice(0, 3).map((condition, idx) => (
                   <li key={idx} className="text-gray-500">
-                    {isPropertyCondition(condition) && (
-                      <span>
-                        {condition.object}.{condition.field} {condition.operator}{' '}
-                        {typeof condition.value === 'object'
-                          ? JSON.stringify(condition.value)
-                          : condition.value}
-                      </span>
-                    )}
-                    {isActivityCondition(condition) && (
-                      <span>
-                        {condition.eventType} {condition.occurrence}
-                      </span>
-                    )}
-                    {isScoreCondition(condition) && (
-                      <span>
-                        {condition.scoreField} {condition.operator} {condition.threshold}
-                      </span>
+                    {isRuleGroup(condition) && (
+                      <span className="font-medium">{condition.logic} group: </span>
                     )}
+                    <span>{describeCondition(condition)}</span>
                   </li>
                 ))}
               </ul>
@@ -160,6 +153,18 @@ const TagCard = memo(({ tag, isAdded, onAdd }: TagCardProps) => {
                   +{tag.qualificationRules.conditions.length - 3} more conditions
                 </p>
               )}
+              {lintIssues.length > 0 && (
+                <ul className="pt-2 space-y-1">
+                  {lintIssues.map((issue, index) => (
+                    <li
+                      key={`${issue.code}-${index}`}
+                      className={issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'}
+                    >
+                      {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </div>
         )}
@@ -205,7 +210,8 @@ const TagCard = memo(({ tag, isAdded, onAdd }: TagCardProps) => {
   // onAdd is stable from useCallback, no need to check
   return (
     prevProps.tag.id === nextProps.tag.id &&
-    prevProps.isAdded === nextProps.isAdded
+    prevProps.isAdded === nextProps.isAdded &&
+    prevProps.lintIssues === nextProps.lintIssues
   );
 });
 
@@ -0,0 +1,104 @@
+/**
+ * TagConflictPanel Component
+ *
+ * Lists pairs of implementation tags whose rules clash: mutually exclusive
+ * or origin tags a member could hold together, and tags made redundant by
+ * an equivalent or broader tag. Each finding explains which conditions
+ * overlap so the rules can be tightened.
+ */
+
+import { useMemo, memo } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, Info } from 'lucide-react';
+import type { CustomObject } from '../../../types/project';
+import type { Tag } from '../../../types/tag';
+import type { TagConflict, TagConflictKind } from '../../../types/tagConflict';
+import tagConflictService from '../../../services/TagConflictService';
+
+export interface TagConflictPanelProps {
+  /** Tags in the implementation (library and custom) */
+  tags: Tag[];
+  /** Data model objects, used to label conditions */
+  objects: CustomObject[];
+}
+
+const KIND_LABELS: Record<TagConflictKind, string> = {
+  exclusive_overlap: 'Exclusive tags overlap',
+  origin_overlap: 'Origin tags overlap',
+  equivalent: 'Equivalent rules',
+  subsumed: 'Subsumed tag',
+};
+
+const SEVERITY_STYLES: Record<TagConflict['severity'], { border: string; text: string; Icon: typeof Info }> = {
+  error: { border: 'border-red-200', text: 'text-red-700', Icon: AlertCircle },
+  warning: { border: 'border-amber-200', text: 'text-amber-700', Icon: AlertTriangle },
+  info: { border: 'border-blue-200', text: 'text-blue-700', Icon: Info },
+};
+
+function TagConflictPanel({ tags, objects }: TagConflictPanelProps) {
+  const conflicts = useMemo(() => tagConflictService.analyzeTags(tags, objects), [tags, objects]);
+
+  if (tags.length < 2) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-8 text-center text-sm text-gray-600">
+        Add at least two tags to the implementation to check them for conflicts.
+      </div>
+    );
+  }
+
+  if (conflicts.length === 0) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-8 text-center">
+        <CheckCircle className="h-8 w-8 text-green-500 mx-auto mb-2" />
+        <p className="text-sm text-gray-700">
+          No conflicts or redundant rules found across {tags.length} tags.
+        </p>
+      </div>
+    );
+  }
+
+  const countBySeverity = (severity: TagConflict['severity']): number =>
+    conflicts.filter((conflict) => conflict.severity === severity).length;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {conflicts.length} {conflicts.length === 1 ? 'finding' : 'findings'} across {tags.length}{' '}
+        tags ({countBySeverity('error')} exclusive, {countBySeverity('warning')} overlapping or
+        equivalent, {countBySeverity('info')} subsumed). Overlaps mean a member could match both
+        rule sets, not that one does.
+      </p>
+
+      <ul className="space-y-3">
+        {conflicts.map((conflict) => {
+          const { border, text, Icon } = SEVERITY_STYLES[conflict.severity];
+          return (
+            <li
+              key={`${conflict.kind}:${conflict.tagIds.join(':')}`}
+              className={`bg-white border ${border} rounded-lg px-4 py-3`}
+            >
+              <div className="flex items-start gap-2">
+                <Icon className={`h-5 w-5 flex-shrink-0 ${text}`} />
+                <div className="min-w-0">
+                  <p className={`text-xs font-semibold uppercase tracking-wide ${text}`}>
+                    {KIND_LABELS[conflict.kind]}
+                  </p>
+                  <p className="text-sm font-medium text-gray-900">{conflict.message}</p>
+                  <ul className="mt-1 space-y-1">
+                    {conflict.explanation.map((line) => (
+                      <li key={line} className="text-sm text-gray-600">
+                        {line}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(TagConflictPanel);
@@ -0,0 +1,315 @@
+/**
+ * TagDependencyGraph Component
+ *
+ * Shows the implementation's tags as a graph of what requires what:
+ * - Columns follow the evaluation order; each tag sits to the right of
+ *   every tag it requires
+ * - Selecting a tag highlights everything it requires and everything that
+ *   requires it, directly or indirectly
+ * - Tags caught in a cycle and dependencies on missing tags are listed
+ *   above the graph so they can be fixed
+ */
+
+import { useState, useMemo, memo } from 'react';
+import { AlertTriangle, Trash2 } from 'lucide-react';
+import type { Tag } from '../../../types/tag';
+import tagDependencyService from '../../../services/TagDependencyService';
+
+export interface TagDependencyGraphProps {
+  /** Tags in the implementation (library and custom) */
+  tags: Tag[];
+  /** Optional callback to delete a custom tag */
+  onDeleteTag?: (tag: Tag) => void;
+}
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 36;
+const COLUMN_GAP = 70;
+const ROW_GAP = 16;
+const PADDING = 16;
+
+interface NodePosition {
+  tag: Tag;
+  x: number;
+  y: number;
+}
+
+// Trim long tag names to fit a node
+const truncate = (text: string, max = 22): string =>
+  text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+function TagDependencyGraph({ tags, onDeleteTag }: TagDependencyGraphProps) {
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+
+  const order = useMemo(() => tagDependencyService.getEvaluationOrder(tags), [tags]);
+  const missing = useMemo(() => tagDependencyService.findMissingDependencies(tags), [tags]);
+  const tagNames = useMemo(() => new Map(tags.map((tag) => [tag.id, tag.name])), [tags]);
+
+  // Lay out one column per evaluation level, plus one for unresolved tags
+  const { positions, width, height } = useMemo(() => {
+    const columns = order.unresolved.length > 0 ? [...order.levels, order.unresolved] : order.levels;
+    const byId = new Map<string, NodePosition>();
+
+    columns.forEach((column, columnIndex) => {
+      column.forEach((tag, rowIndex) => {
+        byId.set(tag.id, {
+          tag,
+          x: PADDING + columnIndex * (NODE_WIDTH + COLUMN_GAP),
+          y: PADDING + rowIndex * (NODE_HEIGHT + ROW_GAP),
+        });
+      });
+    });
+
+    const tallest = Math.max(0, ...columns.map((column) => column.length));
+    return {
+      positions: byId,
+      width: PADDING * 2 + columns.length * NODE_WIDTH + Math.max(0, columns.length - 1) * COLUMN_GAP,
+      height: PADDING * 2 + tallest * NODE_HEIGHT + Math.max(0, tallest - 1) * ROW_GAP,
+    };
+  }, [order]);
+
+  // One edge per (dependency → dependent) pair between known tags
+  const edges = useMemo(
+    () =>
+      tags.flatMap((tag) =>
+        [...new Set(tag.dependencies || [])]
+          .filter((id) => positions.has(id) && id !== tag.id)
+          .map((id) => ({ from: id, to: tag.id }))
+      ),
+    [tags, positions]
+  );
+
+  const selected = useMemo(() => {
+    if (!selectedId || !positions.has(selectedId)) return null;
+    return {
+      tag: positions.get(selectedId)!.tag,
+      dependencies: tagDependencyService.getDependencies(selectedId, tags),
+      requirementIds: new Set(
+        tagDependencyService.getRequirements(selectedId, tags).map((tag) => tag.id)
+      ),
+      dependentIds: new Set(
+        tagDependencyService.getDependents(selectedId, tags).map((tag) => tag.id)
+      ),
+    };
+  }, [selectedId, positions, tags]);
+
+  const isRelated = (id: string): boolean =>
+    !selected ||
+    id === selected.tag.id ||
+    selected.requirementIds.has(id) ||
+    selected.dependentIds.has(id);
+
+  const nodeColors = (id: string): { fill: string; stroke: string } => {
+    if (selected?.tag.id === id) return { fill: '#DBEAFE', stroke: '#2563EB' };
+    if (selected?.requirementIds.has(id)) return { fill: '#EFF6FF', stroke: '#60A5FA' };
+    if (selected?.dependentIds.has(id)) return { fill: '#FFFBEB', stroke: '#F59E0B' };
+    if (order.unresolved.some((tag) => tag.id === id)) return { fill: '#FEF2F2', stroke: '#F87171' };
+    return { fill: '#FFFFFF', stroke: '#D1D5DB' };
+  };
+
+  if (tags.length === 0) {
+    return (
+      <div className="text-center py-12 bg-white border border-gray-200 rounded-lg">
+        <h3 className="text-sm font-medium text-gray-900">No tags in this implementation</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Add library tags or create custom tags to see how they depend on each other
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Problems */}
+      {(order.cycles.length > 0 || missing.length > 0) && (
+        <div className="rounded-md bg-red-50 p-4 border border-red-200">
+          <div className="flex">
+            <AlertTriangle className="h-5 w-5 text-red-400 flex-shrink-0" />
+            <div className="ml-3 text-sm text-red-700 space-y-1">
+              {order.cycles.map((cycle) => (
+                <p key={cycle.join('>')}>
+                  Circular dependency: {cycle.map((id) => tagNames.get(id) || id).join(' → ')}
+                </p>
+              ))}
+              {missing.map(({ tagId, dependencyId }) => (
+                <p key={`${tagId}-${dependencyId}`}>
+                  {tagNames.get(tagId) || tagId} requires a tag that is not in this
+                  implementation ({dependencyId})
+                </p>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {edges.length === 0 && (
+        <p className="text-sm text-gray-500">
+          None of these tags depend on another yet. Choose dependencies when editing a custom tag.
+        </p>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        {/* Graph */}
+        <div className="flex-1 overflow-auto bg-gray-50 border border-gray-200 rounded-lg">
+          <svg
+            width={width}
+            height={height}
+            role="img"
+            aria-label="Tag dependency graph"
+            onClick={() => setSelectedId(null)}
+          >
+            <defs>
+              <marker
+                id="tag-dependency-arrow"
+                viewBox="0 0 10 10"
+                refX="9"
+                refY="5"
+                markerWidth="6"
+                markerHeight="6"
+                orient="auto-start-reverse"
+              >
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="#9CA3AF" />
+              </marker>
+            </defs>
+
+            {edges.map(({ from, to }) => {
+              const source = positions.get(from)!;
+              const target = positions.get(to)!;
+              const x1 = source.x + NODE_WIDTH;
+              const y1 = source.y + NODE_HEIGHT / 2;
+              const x2 = target.x;
+              const y2 = target.y + NODE_HEIGHT / 2;
+              const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+              const highlighted = selected && isRelated(from) && isRelated(to);
+
+              return (
+                <path
+                  key={`${from}-${to}`}
+                  d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                  fill="none"
+                  stroke={highlighted ? '#4B5563' : '#D1D5DB'}
+                  strokeWidth={highlighted ? 2 : 1.5}
+                  opacity={!selected || highlighted ? 1 : 0.3}
+                  markerEnd="url(#tag-dependency-arrow)"
+                />
+              );
+            })}
+
+            {[...positions.values()].map(({ tag, x, y }) => {
+              const { fill, stroke } = nodeColors(tag.id);
+              return (
+                <g
+                  key={tag.id}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={tag.name}
+                  aria-pressed={selected?.tag.id === tag.id}
+                  className="cursor-pointer focus:outline-none"
+                  opacity={isRelated(tag.id) ? 1 : 0.35}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSelectedId(tag.id === selectedId ? null : tag.id);
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      setSelectedId(tag.id === selectedId ? null : tag.id);
+                    }
+                  }}
+                >
+                  <title>{tag.name}</title>
+                  <rect
+                    x={x}
+                    y={y}
+                    width={NODE_WIDTH}
+                    height={NODE_HEIGHT}
+                    rx={6}
+                    fill={fill}
+                    stroke={stroke}
+                    strokeWidth={1.5}
+                  />
+                  <circle cx={x + 14} cy={y + NODE_HEIGHT / 2} r={5} fill={tag.color} />
+                  <text x={x + 26} y={y + NODE_HEIGHT / 2 + 4} fontSize={12} fill="#111827">
+                    {truncate(tag.name)}
+                  </text>
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+
+        {/* Details */}
+        <div className="lg:w-72 space-y-4">
+          {selected ? (
+            <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+              <div className="flex items-start justify-between gap-2">
+                <h3 className="text-sm font-semibold text-gray-900">{selected.tag.name}</h3>
+                {onDeleteTag && selected.tag.isCustom && (
+                  <button
+                    type="button"
+                    onClick={() => onDeleteTag(selected.tag)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Delete tag"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase">Requires</p>
+                {selected.dependencies.requires.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing</p>
+                ) : (
+                  <ul className="text-sm text-blue-700">
+                    {selected.dependencies.requires.map((tag) => (
+                      <li key={tag.id}>{tag.name}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <div>
+                <p className="text-xs font-medium text-gray-500 uppercase">Required by</p>
+                {selected.dependencies.requiredBy.length === 0 ? (
+                  <p className="text-sm text-gray-500">No tags</p>
+                ) : (
+                  <ul className="text-sm text-amber-700">
+                    {selected.dependencies.requiredBy.map((tag) => (
+                      <li key={tag.id}>{tag.name}</li>
+                    ))}
+                  </ul>
+                )}
+                {selected.dependencies.dependentCount > selected.dependencies.requiredBy.length && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    {selected.dependencies.dependentCount} tags depend on it in total
+                  </p>
+                )}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Select a tag to highlight what it requires and what requires it.
+            </p>
+          )}
+
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-xs font-medium text-gray-500 uppercase mb-2">Evaluation order</p>
+            <ol className="list-decimal list-inside text-sm text-gray-700 space-y-0.5">
+              {order.order.map((tag) => (
+                <li key={tag.id}>{tag.name}</li>
+              ))}
+            </ol>
+            {order.unresolved.length > 0 && (
+              <p className="mt-2 text-xs text-red-600">
+                {order.unresolved.length} tag{order.unresolved.length === 1 ? '' : 's'} cannot be
+                ordered until the circular dependency is removed
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Export memoized component to prevent unnecessary re-renders
+export default memo(TagDependencyGraph);
@@ -1,9 +1,11 @@
-import { useState, useEffect, ChangeEvent, FormEvent } from 'react';
+import { useState, useEffect, useMemo, ChangeEvent, FormEvent } from 'react';
 import { X, AlertCircle } from 'lucide-react';
 import { useProject } from '../../../context/ProjectContext-v2';
 import { generateId } from '../../../utils/idGenerator';
 import { Tag, TagCategory, TagBehavior, QualificationRules } from '../../../types/tag';
 import RuleBuilder from './RuleBuilder';
+import { hasEmptyGroup } from '../../../utils/ruleTree';
+import tagDependencyService from '../../../services/TagDependencyService';
 
 /**
  * TagModal Component
@@ -33,6 +35,7 @@ interface FormErrors {
   name?: string;
   description?: string;
   icon?: string;
+  rules?: string;
   submit?: string;
 }
 
@@ -52,6 +55,8 @@ export default function TagModal({ isOpen, onClose, tag = null, mode = 'create'
     logic: 'AND',
     conditions: [],
   });
+  const [dependencies, setDependencies] = useState<string[]>([]);
+  const [exclusiveWith, setExclusiveWith] = useState<string[]>([]);
   const [errors, setErrors] = useState<FormErrors>({});
   const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
 
@@ -68,9 +73,48 @@ export default function TagModal({ isOpen, onClose, tag = null, mode = 'create'
         isPermanent: tag.isPermanent,
       });
       setQualificationRules(tag.qualificationRules);
+      setDependencies(tag.dependencies || []);
+      setExclusiveWith(tag.exclusiveWith || []);
     }
   }, [tag, mode]);
 
+  // Tags this one can require; those that already require it would form a cycle
+  const dependencyOptions = useMemo(() => {
+    const allTags = [...(state.tags?.library || []), ...(state.tags?.custom || [])];
+    const tagId = mode === 'edit' && tag ? tag.id : null;
+
+    return allTags
+      .filter((option) => option.id !== tagId)
+      .map((option) => ({
+        tag: option,
+        createsCycle: tagId ? tagDependencyService.wouldCreateCycle(tagId, option.id, allTags) : false,
+      }));
+  }, [state.tags, tag, mode]);
+
+  const missingDependencies = dependencies.filter(
+    (id) => !dependencyOptions.some((option) => option.tag.id === id)
+  );
+
+  const toggleDependency = (dependencyId: string): void => {
+    setDependencies((prev) =>
+      prev.includes(dependencyId)
+        ? prev.filter((id) => id !== dependencyId)
+        : [...prev, dependencyId]
+    );
+  };
+
+  // Exclusivity is symmetric; a pair declared on the other tag shows as locked
+  const exclusiveOptions = dependencyOptions.map(({ tag: option }) => ({
+    tag: option,
+    declaredByOther: mode === 'edit' && !!tag && (option.exclusiveWith || []).includes(tag.id),
+  }));
+
+  const toggleExclusive = (tagId: string): void => {
+    setExclusiveWith((prev) =>
+      prev.includes(tagId) ? prev.filter((id) => id !== tagId) : [...prev, tagId]
+    );
+  };
+
   const categoryColors = {
     origin: '#1D4ED8',
     behavior: '#15803D',
@@ -119,6 +163,10 @@ export default function TagModal({ isOpen, onClose, tag = null, mode = 'create'
       newErrors.icon = 'Icon is required';
     }
 
+    if (hasEmptyGroup(qualificationRules.conditions)) {
+      newErrors.rules = 'Condition groups need at least one condition';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -138,7 +186,8 @@ export default function TagModal({ isOpen, onClose, tag = null, mode = 'create'
         ...formData,
         isCustom: true,
         qualificationRules,
-        dependencies: mode === 'edit' && tag ? tag.dependencies : [],
+        dependencies,
+        exclusiveWith: exclusiveWith.filter((id) => exclusiveOptions.some((option) => option.tag.id === id)),
         createdAt: mode === 'edit' && tag ? tag.createdAt : new Date(),
         updatedAt: new Date(),
       };
@@ -400,6 +449,90 @@ export default function TagModal({ isOpen, onClose, tag = null, mode = 'create'
                 </label>
               </div>
 
+              {/* Dependencies */}
+              {(dependencyOptions.length > 0 || missingDependencies.length > 0) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Depends On
+                  </label>
+                  <div className="max-h-40 overflow-y-auto rounded-md border border-gray-300 divide-y divide-gray-100">
+                    {missingDependencies.map((id) => (
+                      <label key={id} className="flex items-center px-3 py-2 text-sm text-red-700">
+                        <input
+                          type="checkbox"
+                          checked
+                          onChange={() => toggleDependency(id)}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2">Missing tag ({id})</span>
+                      </label>
+                    ))}
+                    {dependencyOptions.map(({ tag: option, createsCycle }) => (
+                      <label
+                        key={option.id}
+                        className={`flex items-center px-3 py-2 text-sm ${
+                          createsCycle ? 'text-gray-400' : 'text-gray-700'
+                        }`}
+                        title={createsCycle ? `${option.name} already depends on this tag` : undefined}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={dependencies.includes(option.id)}
+                          disabled={createsCycle && !dependencies.includes(option.id)}
+                          onChange={() => toggleDependency(option.id)}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2">{option.name}</span>
+                        {createsCycle && (
+                          <span className="ml-auto text-xs">already depends on this tag</span>
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Tags this one builds on; they are evaluated before it
+                  </p>
+                </div>
+              )}
+
+              {/* Mutually Exclusive Tags */}
+              {exclusiveOptions.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Mutually Exclusive With
+                  </label>
+                  <div className="max-h-40 overflow-y-auto rounded-md border border-gray-300 divide-y divide-gray-100">
+                    {exclusiveOptions.map(({ tag: option, declaredByOther }) => {
+                      const isDependency = dependencies.includes(option.id);
+                      return (
+                        <label
+                          key={option.id}
+                          className={`flex items-center px-3 py-2 text-sm ${
+                            declaredByOther || isDependency ? 'text-gray-400' : 'text-gray-700'
+                          }`}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={declaredByOther || exclusiveWith.includes(option.id)}
+                            disabled={declaredByOther || (isDependency && !exclusiveWith.includes(option.id))}
+                            onChange={() => toggleExclusive(option.id)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          <span className="ml-2">{option.name}</span>
+                          {declaredByOther && <span className="ml-auto text-xs">set on {option.name}</span>}
+                          {!declaredByOther && isDependency && (
+                            <span className="ml-auto text-xs">this tag depends on it</span>
+                          )}
+                        </label>
+                      );
+                    })}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    A member should never hold this tag and any checked tag together
+                  </p>
+                </div>
+              )}
+
               {/* Qualification Rules Section */}
               <div className="border-t border-gray-200 pt-6">
                 <h3 className="text-base font-medium text-gray-900 mb-4">
@@ -412,6 +545,8 @@ export default function TagModal({ isOpen, onClose, tag = null, mode = 'create'
                   rules={qualificationRules}
                   onChange={setQualificationRules}
                   dataModel={state.dataModel}
+                  customEvents={state.customEvents}
+                  errors={errors.rules ? [errors.rules] : undefined}
                 />
               </div>
             </form>
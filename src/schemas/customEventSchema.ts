@@ -0,0 +1,64 @@
+import { z } from 'zod';
+import { validateCustomEventFormat } from '../data/hubspotEventTypes';
+
+/**
+ * Validation schemas for the per-project custom behavioral event registry
+ *
+ * Each entry describes a HubSpot custom behavioral event the implementation
+ * will send: its display label, the internal name HubSpot assigns
+ * (pe<portalId>_<event_name>) and the typed properties it carries. Activity
+ * rules pick events and filter on their properties from this registry.
+ */
+
+// Property types HubSpot supports on custom event definitions
+export const CUSTOM_EVENT_PROPERTY_TYPES = ['string', 'number', 'enumeration', 'datetime'] as const;
+
+export const customEventPropertySchema = z
+  .object({
+    id: z.string().min(1, 'Property ID is required'),
+    name: z
+      .string()
+      .min(1, 'Property name is required')
+      .max(100, 'Property name must be less than 100 characters')
+      .regex(
+        /^[a-z][a-z0-9_]*$/,
+        'Property name must start with a letter and contain only lowercase letters, numbers and underscores'
+      ),
+    label: z.string().min(1, 'Property label is required').max(100, 'Property label must be less than 100 characters'),
+    type: z.enum(CUSTOM_EVENT_PROPERTY_TYPES),
+    description: z.string().max(500, 'Description must be less than 500 characters').default(''),
+    options: z
+      .array(
+        z.object({
+          label: z.string().min(1, 'Option label is required'),
+          value: z.string().min(1, 'Option value is required'),
+        })
+      )
+      .optional(),
+  })
+  .refine((property) => property.type !== 'enumeration' || (property.options?.length ?? 0) > 0, {
+    message: 'Enumeration properties need at least one option',
+    path: ['options'],
+  });
+
+export const customEventSchema = z
+  .object({
+    id: z.string().min(1, 'Event ID is required'),
+    label: z
+      .string()
+      .min(2, 'Event label must be at least 2 characters')
+      .max(100, 'Event label must be less than 100 characters'),
+    name: z
+      .string()
+      .refine(validateCustomEventFormat, {
+        message: 'Internal name must look like pe<portalId>_<event_name>, e.g. pe1234567_account_login',
+      }),
+    description: z.string().max(500, 'Description must be less than 500 characters').default(''),
+    properties: z.array(customEventPropertySchema).default([]),
+    createdAt: z.string().optional(),
+    updatedAt: z.string().optional(),
+  })
+  .refine(
+    (event) => new Set(event.properties.map((p) => p.name)).size === event.properties.length,
+    { message: 'Property names must be unique within an event', path: ['properties'] }
+  );
@@ -0,0 +1,107 @@
+import { z } from 'zod';
+import { EXPORT_FORMATS } from '../data/clientProfileOptions';
+
+/**
+ * Validation schemas for field mappings
+ *
+ * A field mapping describes one file the core banking system exports: its
+ * name and format, the object its rows load into, and where each source
+ * column lands on that object. Columns can be listed before they are mapped,
+ * and can carry a transform applied on the way in.
+ */
+
+export const FIELD_TRANSFORM_TYPES = ['hash', 'mask', 'date_format', 'value_map'] as const;
+
+// Source date layouts the integration knows how to read
+export const DATE_SOURCE_FORMATS = [
+  'MM/DD/YYYY',
+  'DD/MM/YYYY',
+  'M/D/YY',
+  'YYYY-MM-DD',
+  'YYYYMMDD',
+  'MM-DD-YYYY',
+  'DD-MM-YYYY',
+] as const;
+
+// Types a sample file column can be read as; each is also a field data type
+export const SAMPLE_DATA_TYPES = [
+  'text',
+  'number',
+  'currency',
+  'date',
+  'boolean',
+  'email',
+  'phone',
+] as const;
+
+export const PII_TYPES = ['ssn', 'account_number', 'card_number'] as const;
+
+export const fieldTransformSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('hash'),
+    algorithm: z.literal('sha256').default('sha256'),
+  }),
+  z.object({
+    type: z.literal('mask'),
+    visibleCharacters: z
+      .number()
+      .int()
+      .min(0, 'Visible characters cannot be negative')
+      .max(8, 'Show at most 8 characters of a masked value')
+      .default(4),
+  }),
+  z.object({
+    type: z.literal('date_format'),
+    sourceFormat: z.enum(DATE_SOURCE_FORMATS),
+  }),
+  z.object({
+    type: z.literal('value_map'),
+    values: z
+      .array(
+        z.object({
+          source: z.string().min(1, 'Source value is required'),
+          target: z.string().min(1, 'Target value is required'),
+        })
+      )
+      .min(1, 'Map at least one value'),
+  }),
+]);
+
+export const fieldMappingColumnSchema = z.object({
+  id: z.string().min(1, 'Column ID is required'),
+  sourceColumn: z
+    .string()
+    .trim()
+    .min(1, 'Source column name is required')
+    .max(200, 'Source column name must be less than 200 characters'),
+  // Left empty while a column is listed but not yet mapped
+  targetFieldId: z.string().optional(),
+  transform: fieldTransformSchema.optional(),
+  // Read from a sample file; the sample values themselves are never stored
+  inferredType: z.enum(SAMPLE_DATA_TYPES).optional(),
+  piiType: z.enum(PII_TYPES).optional(),
+});
+
+export const fieldMappingSchema = z
+  .object({
+    id: z.string().min(1, 'Field mapping ID is required'),
+    exportFileName: z
+      .string()
+      .trim()
+      .min(1, 'Export file name is required')
+      .max(200, 'Export file name must be less than 200 characters'),
+    format: z.string().refine((format) => EXPORT_FORMATS.some((option) => option.value === format), {
+      message: 'Choose an export format',
+    }),
+    targetObjectId: z.string().min(1, 'Choose the object this file loads into'),
+    description: z.string().max(500, 'Description must be less than 500 characters').default(''),
+    mappings: z.array(fieldMappingColumnSchema).default([]),
+    createdAt: z.string().optional(),
+    updatedAt: z.string().optional(),
+  })
+  .refine(
+    (mapping) =>
+      new Set(mapping.mappings.map((column) => column.sourceColumn.trim().toLowerCase())).size ===
+      mapping.mappings.length,
+    { message: 'Source column names must be unique within a file', path: ['mappings'] }
+  );
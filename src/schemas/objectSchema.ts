@@ -102,6 +102,8 @@ export const customObjectSchema = z.object({
     .regex(apiNameRegex, 'API name must be lowercase and contain only letters, numbers, and underscores')
     .min(5, 'API name must be at least 5 characters'),
   icon: z.string().default('Database'),
+  // Where the object is created in HubSpot; absent means a custom object
+  hubspotObject: z.enum(['custom', 'contacts', 'companies', 'deals']).optional(),
   fields: z.array(fieldSchema).default([]),
   associations: z.array(associationSchema).default([]),
   createdAt: z.date().default(() => new Date()),
@@ -110,6 +112,34 @@ export const customObjectSchema = z.object({
   templateId: z.string().optional(),
 });
 
+// Storage-compatible schemas
+// Data that has been through JSON (storage, file imports) carries dates as
+// ISO 8601 strings; these variants accept either and revive strings to Date
+// so the result passes the schemas above.
+const storedDateSchema = z.union([
+  z.date(),
+  z
+    .string()
+    .datetime({ offset: true })
+    .transform((value) => new Date(value)),
+]);
+
+export const storageFieldSchema = fieldSchema.extend({
+  createdAt: storedDateSchema.default(() => new Date()),
+  updatedAt: storedDateSchema.default(() => new Date()),
+});
+
+export const storageAssociationSchema = associationSchema.extend({
+  createdAt: storedDateSchema.default(() => new Date()),
+});
+
+export const storageCustomObjectSchema = customObjectSchema.extend({
+  fields: z.array(storageFieldSchema).default([]),
+  associations: z.array(storageAssociationSchema).default([]),
+  createdAt: storedDateSchema.default(() => new Date()),
+  updatedAt: storedDateSchema.default(() => new Date()),
+});
+
 // Form-specific schemas (for creating/editing)
 export const createObjectFormSchema = z.object({
   name: z
@@ -0,0 +1,66 @@
+import { z } from 'zod';
+import { storageCustomObjectSchema, storageAssociationSchema } from './objectSchema';
+import { storageTagSchema } from './tagSchema';
+import { scenarioSchema } from './scenarioSchema';
+import { customEventSchema } from './customEventSchema';
+
+/**
+ * Validation schema for project export files
+ *
+ * An export is a self-describing JSON document wrapping one project's data.
+ * `format` identifies the file type and `version` is bumped whenever the
+ * shape of `project` changes, so imports can reject files from newer builds
+ * and upgrade files from older ones.
+ */
+
+export const PROJECT_EXPORT_FORMAT = 'banking-strategist-project';
+export const PROJECT_EXPORT_VERSION = 1;
+
+// Envelope only, checked before the full schema so version errors are clear
+export const projectExportHeaderSchema = z.object({
+  format: z.literal(PROJECT_EXPORT_FORMAT, {
+    errorMap: () => ({ message: 'This file is not a project export' }),
+  }),
+  version: z.number().int().positive(),
+});
+
+export const exportedProjectSchema = z.object({
+  // ID of the source project, kept for reference only; imports get a new ID
+  id: z.string().optional(),
+  name: z.string().min(1, 'Project name is required'),
+  status: z.enum(['draft', 'active', 'archived']).optional(),
+  clientProfile: z
+    .object({
+      basicInfo: z.record(z.unknown()).default({}),
+      integrationSpecs: z.record(z.unknown()).default({}),
+    })
+    .passthrough()
+    .default({}),
+  dataModel: z
+    .object({
+      objects: z.array(storageCustomObjectSchema).default([]),
+      fields: z.array(z.any()).default([]),
+      mappings: z.array(z.any()).default([]),
+      associations: z.array(storageAssociationSchema).default([]),
+    })
+    .default({}),
+  tags: z
+    .object({
+      library: z.array(storageTagSchema).default([]),
+      custom: z.array(storageTagSchema).default([]),
+    })
+    .default({}),
+  journeys: z.array(z.any()).default([]),
+  scenarios: z.array(scenarioSchema).default([]),
+  customEvents: z.array(customEventSchema).default([]),
+  createdAt: z.string().optional(),
+});
+
+export const projectExportSchema = projectExportHeaderSchema.extend({
+  version: z.literal(PROJECT_EXPORT_VERSION),
+  exportedAt: z.string().datetime({ offset: true }),
+  project: exportedProjectSchema,
+});
+
+export type ProjectExport = z.input<typeof projectExportSchema>;
+export type ExportedProject = z.output<typeof exportedProjectSchema>;
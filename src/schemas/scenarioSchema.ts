@@ -0,0 +1,63 @@
+import { z } from 'zod';
+
+/**
+ * Validation schemas for Journey Simulator scenarios using Zod
+ *
+ * A scenario is a synthetic member built against the project's data model:
+ * field values for the member object, associated records (accounts, loans, ...)
+ * and a timeline of events. Scenarios are stored as ISO strings so they
+ * round-trip through JSONB storage unchanged.
+ */
+
+// Field values keyed by field name
+export const scenarioPropertiesSchema = z.record(z.unknown());
+
+// Associated record (e.g. an account or loan attached to the member)
+export const scenarioRecordSchema = z.object({
+  id: z.string().min(1, 'Record ID is required'),
+  objectId: z.string().min(1, 'Object is required'),
+  associationType: z.string().optional(),
+  properties: scenarioPropertiesSchema.default({}),
+});
+
+// Timeline event (HubSpot standard or custom behavioral event)
+export const scenarioEventSchema = z.object({
+  id: z.string().min(1, 'Event ID is required'),
+  eventType: z.string().min(1, 'Event type is required'),
+  occurredAt: z.string().datetime({ message: 'Event date must be an ISO 8601 timestamp' }),
+  properties: scenarioPropertiesSchema.default({}),
+});
+
+// Property value that takes effect at a point in time (e.g. a credit score
+// update). Targets the member unless recordId points at an associated record.
+export const scenarioPropertyChangeSchema = z.object({
+  id: z.string().min(1, 'Change ID is required'),
+  recordId: z.string().optional(),
+  field: z.string().min(1, 'Field is required'),
+  value: z.unknown(),
+  effectiveAt: z.string().datetime({ message: 'Effective date must be an ISO 8601 timestamp' }),
+});
+
+// Scenario Schema
+export const scenarioSchema = z.object({
+  id: z.string().min(1, 'Scenario ID is required'),
+  name: z
+    .string()
+    .min(2, 'Scenario name must be at least 2 characters')
+    .max(100, 'Scenario name must be less than 100 characters'),
+  description: z.string().max(500, 'Description must be less than 500 characters').default(''),
+  memberObjectId: z.string().optional(),
+  member: scenarioPropertiesSchema.default({}),
+  records: z.array(scenarioRecordSchema).default([]),
+  events: z.array(scenarioEventSchema).default([]),
+  propertyChanges: z.array(scenarioPropertyChangeSchema).default([]),
+  // Date rules are evaluated against, so activity timeframes stay reproducible
+  asOf: z.string().datetime({ message: 'Evaluation date must be an ISO 8601 timestamp' }).optional(),
+  // First day of the timeline simulation (the timeline ends at asOf)
+  timelineStart: z
+    .string()
+    .datetime({ message: 'Timeline start must be an ISO 8601 timestamp' })
+    .optional(),
+  createdAt: z.string().optional(),
+  updatedAt: z.string().optional(),
+});
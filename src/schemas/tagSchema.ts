@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { TAG_NAME_PATTERN } from '../utils/validationPatterns';
+import { flattenConditions, hasEmptyGroup, getGroupDepth } from '../utils/ruleTree';
 import type { Tag, CustomObject, CustomField, QualificationRules } from '../types/tag';
 
 /**
@@ -16,6 +17,8 @@ export const propertyRuleConditionSchema = z.object({
   id: z.string().optional(), // Unique ID for React key prop
   object: z.string().min(1, 'Object name is required'),
   field: z.string().min(1, 'Field name is required'),
+  objectId: z.string().optional(), // Bound data model object, kept in step with renames
+  fieldId: z.string().optional(), // Bound data model field
   operator: z.enum([
     'equals',
     'not_equals',
@@ -57,6 +60,7 @@ export const activityRuleConditionSchema = z.object({
 export const associationRuleConditionSchema = z.object({
   associationType: z.string().min(1, 'Association type is required'),
   relatedObject: z.string().min(1, 'Related object is required'),
+  relatedObjectId: z.string().optional(), // Bound data model object
   conditionType: z.enum(['has_any', 'has_none', 'count']),
   operator: z.enum([
     'equals',
@@ -73,6 +77,8 @@ export const associationRuleConditionSchema = z.object({
 // Score Rule Condition with Hysteresis
 export const scoreRuleConditionSchema = z.object({
   scoreField: z.string().min(1, 'Score field is required'),
+  objectId: z.string().optional(), // Bound data model object holding the score
+  fieldId: z.string().optional(), // Bound data model field
   operator: z.enum([
     'equals',
     'not_equals',
@@ -98,11 +104,37 @@ export const ruleConditionSchema = z.union([
   scoreRuleConditionSchema,
 ]);
 
+// Condition Group: a nested set of conditions combined with its own logic,
+// e.g. "(auto loan AND indirect dealer) OR (referral AND age < 30)"
+export type RuleConditionShape = z.infer<typeof ruleConditionSchema>;
+
+export interface RuleGroupShape {
+  id?: string;
+  type: 'group';
+  logic: 'AND' | 'OR';
+  conditions: Array<RuleConditionShape | RuleGroupShape>;
+}
+
+export const ruleGroupSchema: z.ZodType<RuleGroupShape> = z.lazy(() =>
+  z.object({
+    id: z.string().optional(),
+    type: z.literal('group'),
+    logic: z.enum(['AND', 'OR']),
+    conditions: z.array(ruleNodeSchema).min(1, 'Condition groups need at least one condition'),
+  })
+);
+
+// A condition or a nested group
+export const ruleNodeSchema: z.ZodType<RuleConditionShape | RuleGroupShape> = z.lazy(() =>
+  z.union([ruleConditionSchema, ruleGroupSchema])
+);
+
 // Qualification Rules Schema
+// ruleType names the single kind of condition used, or 'mixed' when kinds are combined
 export const qualificationRulesSchema = z.object({
-  ruleType: z.enum(['property', 'activity', 'association', 'score']),
+  ruleType: z.enum(['property', 'activity', 'association', 'score', 'mixed']),
   logic: z.enum(['AND', 'OR']).default('AND'),
-  conditions: z.array(ruleConditionSchema).min(1, 'At least one condition is required'),
+  conditions: z.array(ruleNodeSchema).min(1, 'At least one condition is required'),
 });
 
 // Tag Category
@@ -111,6 +143,27 @@ export const tagCategorySchema = z.enum(['origin', 'behavior', 'opportunity']);
 // Tag Behavior
 export const tagBehaviorSchema = z.enum(['set_once', 'dynamic', 'evolving']);
 
+// The parts of a library tag a project copy can diverge from
+export const tagDefinitionSchema = z.object({
+  name: z.string(),
+  category: tagCategorySchema,
+  description: z.string(),
+  icon: z.string(),
+  color: z.string(),
+  behavior: tagBehaviorSchema,
+  isPermanent: z.boolean(),
+  qualificationRules: qualificationRulesSchema,
+  dependencies: z.array(z.string()).optional(),
+  exclusiveWith: z.array(z.string()).optional(),
+});
+
+// Library release and definition a project tag was adopted (or last updated) from
+export const tagLibrarySourceSchema = z.object({
+  version: z.string(),
+  tagId: z.string(),
+  definition: tagDefinitionSchema,
+});
+
 // Main Tag Schema
 export const tagSchema = z.object({
   id: z.string().min(1, 'Tag ID is required'),
@@ -132,11 +185,33 @@ export const tagSchema = z.object({
   isPermanent: z.boolean(),
   qualificationRules: qualificationRulesSchema,
   dependencies: z.array(z.string()).optional().default([]), // IDs of other tags this tag depends on
+  exclusiveWith: z.array(z.string()).optional(), // IDs of tags a member should never hold alongside this one
+  librarySource: tagLibrarySourceSchema.optional(), // Set on project copies of library tags
   isCustom: z.boolean().default(false), // true for user-created tags, false for pre-built
   createdAt: z.date().default(() => new Date()),
   updatedAt: z.date().default(() => new Date()),
 });
 
+// Storage-compatible tag schema (dates as ISO strings)
+// Based on tagSchema but adapted for JSONB storage
+export const storageTagSchema = z.object({
+  id: z.string().min(1, 'Tag ID is required'),
+  name: z.string().min(2).max(100),
+  category: tagCategorySchema,
+  description: z.string().min(10).max(500),
+  icon: z.string().min(1),
+  color: z.string().regex(/^#[0-9A-Fa-f]{6}$/),
+  behavior: tagBehaviorSchema,
+  isPermanent: z.boolean(),
+  qualificationRules: qualificationRulesSchema,
+  dependencies: z.array(z.string()).optional().default([]),
+  exclusiveWith: z.array(z.string()).optional(),
+  librarySource: tagLibrarySourceSchema.optional(),
+  isCustom: z.boolean().default(false),
+  createdAt: z.union([z.date(), z.string().datetime()]).optional(), // Accept Date or ISO 8601 string
+  updatedAt: z.union([z.date(), z.string().datetime()]).optional(), // Accept Date or ISO 8601 string
+});
+
 // Tag Library Metadata Schema
 export const tagLibraryMetadataSchema = z.object({
   version: z.string(),
@@ -245,9 +320,13 @@ export const validateQualificationRules = (
     return errors;
   }
 
+  if (hasEmptyGroup(rules.conditions)) {
+    errors.push('Condition groups need at least one condition');
+  }
+
   // Validate property rules reference existing objects/fields
-  if (rules.ruleType === 'property') {
-    rules.conditions.forEach((condition, index) => {
+  if (rules.ruleType === 'property' || rules.ruleType === 'mixed') {
+    flattenConditions(rules.conditions).forEach((condition, index) => {
       // Type guard to ensure this is a property rule condition
       if ('object' in condition && 'field' in condition) {
         const objectExists = availableObjects.some(
@@ -282,49 +361,6 @@ export const validateQualificationRules = (
   return errors;
 };
 
-/**
- * Validate tag dependencies (circular dependency check)
- */
-export const validateTagDependencies = (
-  _tagId: string,
-  dependencies: string[] = [],
-  allTags: Tag[] = []
-): string[] => {
-  const errors: string[] = [];
-
-  if (!dependencies || dependencies.length === 0) {
-    return errors;
-  }
-
-  // Check for circular dependencies (recursive check)
-  const checkCircular = (currentTagId: string, visited: Set<string> = new Set()): boolean => {
-    if (visited.has(currentTagId)) {
-      return true; // Circular dependency found
-    }
-
-    visited.add(currentTagId);
-
-    const currentTag = allTags.find((tag) => tag.id === currentTagId);
-    if (!currentTag || !currentTag.dependencies) {
-      return false;
-    }
-
-    return currentTag.dependencies.some((depId) => checkCircular(depId, new Set(visited)));
-  };
-
-  dependencies.forEach((depId) => {
-    const dependencyTag = allTags.find((tag) => tag.id === depId);
-
-    if (!dependencyTag) {
-      errors.push(`Dependency tag "${depId}" does not exist`);
-    } else if (checkCircular(depId)) {
-      errors.push(`Circular dependency detected with tag "${dependencyTag.name}"`);
-    }
-  });
-
-  return errors;
-};
-
 /**
  * Calculate rule complexity score
  */
@@ -344,11 +380,18 @@ export const analyzeRuleComplexity = (rules: QualificationRules): ComplexityAnal
   let score = 0;
   const warnings: string[] = [];
 
-  // Base score per condition
-  score += rules.conditions.length;
+  const conditions = flattenConditions(rules.conditions);
+  const groupDepth = getGroupDepth(rules.conditions);
+
+  // Base score per condition, plus each level of group nesting
+  score += conditions.length + groupDepth * 2;
+
+  if (groupDepth > 2) {
+    warnings.push('Condition groups nested more than two levels deep are hard to review');
+  }
 
   // Additional complexity for nested filters
-  rules.conditions.forEach((condition) => {
+  conditions.forEach((condition) => {
     if ('nestedFilters' in condition && condition.nestedFilters && condition.nestedFilters.length > 0) {
       score += condition.nestedFilters.length * 2; // Nested filters are more complex
       if (condition.nestedFilters.length > 5) {
@@ -0,0 +1,413 @@
+import simulationService, { SimulationService } from './SimulationService';
+import { normalizeObjectName, isPropertyCondition, flattenConditions } from '../utils/ruleTree';
+import { parseCsv, toCsv } from '../utils/csv';
+import type { Tag, PropertyRuleCondition } from '../types/tag';
+import type { CustomField, CustomObject, DataModel } from '../types/project';
+import type {
+  Scenario,
+  ScenarioEvent,
+  ScenarioRecord,
+  ColumnMapping,
+  ColumnTarget,
+  CoverageReport,
+  TagCoverage,
+  BatchMemberResult,
+} from '../types/scenario';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Guards against pasting a production extract into the browser
+export const MAX_BATCH_ROWS = 5000;
+
+// Upper bound for an event-count cell, so one typo cannot allocate millions of events
+const MAX_EVENTS_PER_CELL = 1000;
+
+// Column prefix for event occurrence counts, e.g. "event:mobile_app_login"
+const EVENT_COLUMN_PREFIX = 'event:';
+
+// Columns used to label rows in the report, in order of preference
+const LABEL_COLUMNS = ['member_id', 'id', 'email', 'name'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Batch Simulation Service
+ *
+ * Runs every project tag over a CSV of synthetic members and summarizes tag
+ * coverage. Columns are mapped to data model fields:
+ * - "field_name" → a field on the member object (or a raw member property)
+ * - "object_name.field_name" → a field on one associated record of that object
+ * - "event:event_type" → number of occurrences, placed just before the run date
+ *
+ * Rows are converted to regular simulator scenarios so batch runs and the
+ * scenario builder share the same evaluation path.
+ */
+class BatchSimulationService {
+  simulation: SimulationService;
+
+  constructor(simulation: SimulationService = simulationService) {
+    this.simulation = simulation;
+  }
+
+  /**
+   * Parse uploaded CSV text, enforcing the row limit
+   */
+  parseMembersCsv(text: string): { headers: string[]; rows: string[][]; error: string | null } {
+    const { headers, rows } = parseCsv(text);
+
+    if (headers.length === 0) {
+      return { headers, rows: [], error: 'The file has no header row' };
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+      return {
+        headers,
+        rows: [],
+        error: `The file has ${rows.length} rows; batch simulations are limited to ${MAX_BATCH_ROWS}`,
+      };
+    }
+
+    return { headers, rows, error: null };
+  }
+
+  /**
+   * Propose a target for each column from its header
+   */
+  suggestColumnMappings(headers: string[], dataModel: DataModel): ColumnMapping[] {
+    const objects = dataModel.objects || [];
+    const memberObject = this.simulation.resolveMemberObject(objects);
+
+    return headers.map((column) => ({
+      column,
+      target: this._suggestTarget(column, objects, memberObject),
+    }));
+  }
+
+  /**
+   * Convert CSV rows into simulator scenarios using the column mappings
+   */
+  buildScenarios(
+    headers: string[],
+    rows: string[][],
+    mappings: ColumnMapping[],
+    dataModel: DataModel,
+    asOf: string
+  ): Scenario[] {
+    const objects = dataModel.objects || [];
+    const memberObject = this.simulation.resolveMemberObject(objects);
+    const objectsById = new Map(objects.map((obj) => [obj.id, obj]));
+    const targets = new Map(mappings.map((m) => [m.column, m.target]));
+    const labelIndex = this._labelColumnIndex(headers);
+
+    return rows.map((row, rowIndex) => {
+      const member: Record<string, unknown> = {};
+      const records = new Map<string, ScenarioRecord>();
+      const events: ScenarioEvent[] = [];
+
+      headers.forEach((column, columnIndex) => {
+        const raw = (row[columnIndex] ?? '').trim();
+        const target = targets.get(column);
+        if (!target || target.kind === 'ignore' || raw === '') return;
+
+        if (target.kind === 'member') {
+          member[target.field] = this._coerce(raw, this._findField(memberObject, target.field));
+        } else if (target.kind === 'record') {
+          const object = objectsById.get(target.objectId);
+          if (!object) return;
+          const record = records.get(target.objectId) || {
+            id: `row-${rowIndex + 1}-${target.objectId}`,
+            objectId: target.objectId,
+            properties: {},
+          };
+          record.properties[target.field] = this._coerce(raw, this._findField(object, target.field));
+          records.set(target.objectId, record);
+        } else if (target.kind === 'event') {
+          const count = Math.min(Math.max(Math.floor(Number(raw)) || 0, 0), MAX_EVENTS_PER_CELL);
+          for (let i = 0; i < count; i++) {
+            events.push({
+              id: `row-${rowIndex + 1}-${target.eventType}-${i}`,
+              eventType: target.eventType,
+              occurredAt: new Date(new Date(asOf).getTime() - (i + 1) * HOUR_MS).toISOString(),
+              properties: {},
+            });
+          }
+        }
+      });
+
+      const label = labelIndex >= 0 ? (row[labelIndex] ?? '').trim() : '';
+
+      return {
+        id: `row-${rowIndex + 1}`,
+        name: label || `Row ${rowIndex + 1}`,
+        description: '',
+        memberObjectId: memberObject?.id,
+        member,
+        records: [...records.values()],
+        events,
+        propertyChanges: [],
+        asOf,
+      };
+    });
+  }
+
+  /**
+   * Evaluate every tag for every scenario and summarize coverage
+   */
+  runBatch(scenarios: Scenario[], tags: Tag[], dataModel: DataModel): CoverageReport {
+    const coverage: TagCoverage[] = tags.map((tag) => ({
+      tagId: tag.id,
+      tagName: tag.name,
+      category: tag.category,
+      memberCount: 0,
+      percentage: 0,
+      conditions: [],
+    }));
+    const members: BatchMemberResult[] = [];
+
+    scenarios.forEach((scenario, index) => {
+      const evaluations = this.simulation.evaluateScenario(scenario, tags, dataModel);
+      const tagIds: string[] = [];
+
+      evaluations.forEach((evaluation, tagIndex) => {
+        const tagCoverage = coverage[tagIndex]!;
+        if (evaluation.qualified) {
+          tagCoverage.memberCount += 1;
+          tagIds.push(evaluation.tagId);
+        }
+        evaluation.trace.forEach((condition) => {
+          const conditionCoverage = (tagCoverage.conditions[condition.index] ??= {
+            index: condition.index,
+            description: condition.description,
+            passedCount: 0,
+          });
+          if (condition.passed) conditionCoverage.passedCount += 1;
+        });
+      });
+
+      members.push({ rowNumber: index + 1, label: scenario.name, tagIds });
+    });
+
+    coverage.forEach((tagCoverage) => {
+      tagCoverage.percentage = scenarios.length
+        ? Math.round((tagCoverage.memberCount / scenarios.length) * 1000) / 10
+        : 0;
+    });
+
+    return {
+      memberCount: scenarios.length,
+      asOf: scenarios[0]?.asOf || new Date().toISOString(),
+      tags: coverage,
+      uncoveredTags: coverage.filter((tagCoverage) => tagCoverage.memberCount === 0),
+      membersWithoutTags: members.filter((member) => member.tagIds.length === 0),
+      members,
+    };
+  }
+
+  /**
+   * Generate a CSV of synthetic members for the data model. Fields that tag
+   * rules test are filled with values drawn from the rules about half the
+   * time, so the sample exercises both matching and non-matching members.
+   */
+  generateMembersCsv(
+    dataModel: DataModel,
+    tags: Tag[],
+    count: number,
+    random: () => number = Math.random
+  ): string {
+    const objects = dataModel.objects || [];
+    const memberObject = this.simulation.resolveMemberObject(objects);
+    const memberFields = memberObject?.fields || [];
+
+    // Rule conditions on the member object, grouped by field
+    const ruleValues = new Map<string, PropertyRuleCondition[]>();
+    tags.forEach((tag) => {
+      flattenConditions(tag.qualificationRules?.conditions).forEach((condition) => {
+        if (!isPropertyCondition(condition)) return;
+        if (!this.simulation.engine.isMemberObject(condition.object, { member: {}, memberObject: memberObject?.name })) {
+          return;
+        }
+        const conditions = ruleValues.get(condition.field) || [];
+        conditions.push(condition);
+        ruleValues.set(condition.field, conditions);
+      });
+    });
+
+    const fieldNames = new Set(memberFields.map((f) => f.name));
+    const extraColumns = [...ruleValues.keys()].filter((field) => !fieldNames.has(field)).sort();
+    const headers = ['member_id', ...memberFields.map((f) => f.name), ...extraColumns];
+
+    const pick = <T,>(items: T[]): T | undefined => items[Math.floor(random() * items.length)];
+
+    const rows = Array.from({ length: count }, (_, i) => {
+      const sampleRuleValue = (field: string): unknown => {
+        const condition = pick(ruleValues.get(field) || []);
+        if (!condition || random() < 0.5) return undefined;
+        return this._sampleConditionValue(condition, pick);
+      };
+
+      return [
+        `M${String(i + 1).padStart(5, '0')}`,
+        ...memberFields.map((field) => {
+          const ruleValue = sampleRuleValue(field.name);
+          return ruleValue !== undefined ? ruleValue : this._randomFieldValue(field, i, random, pick);
+        }),
+        ...extraColumns.map((field) => sampleRuleValue(field) ?? ''),
+      ];
+    });
+
+    return toCsv(headers, rows);
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * @private
+   */
+  _suggestTarget(
+    column: string,
+    objects: CustomObject[],
+    memberObject: CustomObject | undefined
+  ): ColumnTarget {
+    const trimmed = column.trim();
+
+    if (trimmed.toLowerCase().startsWith(EVENT_COLUMN_PREFIX)) {
+      return { kind: 'event', eventType: trimmed.slice(EVENT_COLUMN_PREFIX.length).trim() };
+    }
+
+    const dot = trimmed.indexOf('.');
+    if (dot > 0) {
+      const objectKey = normalizeObjectName(trimmed.slice(0, dot));
+      const object = objects.find(
+        (obj) =>
+          normalizeObjectName(obj.name) === objectKey ||
+          normalizeObjectName(obj.label || '') === objectKey
+      );
+      const field = object && this._findField(object, trimmed.slice(dot + 1));
+      if (object && field) {
+        return object.id === memberObject?.id
+          ? { kind: 'member', field: field.name }
+          : { kind: 'record', objectId: object.id, field: field.name };
+      }
+    }
+
+    const memberField = this._findField(memberObject, trimmed);
+    return { kind: 'member', field: memberField ? memberField.name : trimmed };
+  }
+
+  /**
+   * Find a field by name or label, ignoring case and punctuation
+   * @private
+   */
+  _findField(object: CustomObject | undefined, key: string): CustomField | undefined {
+    const normalized = this._normalizeKey(key);
+    return (object?.fields || []).find(
+      (field) =>
+        this._normalizeKey(field.name) === normalized ||
+        this._normalizeKey(field.label || '') === normalized
+    );
+  }
+
+  /**
+   * @private
+   */
+  _normalizeKey(key: string): string {
+    return key.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+
+  /**
+   * @private
+   */
+  _labelColumnIndex(headers: string[]): number {
+    const normalized = headers.map((h) => h.trim().toLowerCase());
+    for (const candidate of LABEL_COLUMNS) {
+      const index = normalized.indexOf(candidate);
+      if (index >= 0) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Coerce a CSV string to the field's data type
+   * @private
+   */
+  _coerce(raw: string, field: CustomField | undefined): unknown {
+    const dataType = (field as { dataType?: string } | undefined)?.dataType || field?.type;
+
+    if (dataType === 'number' || dataType === 'currency') {
+      const number = Number(raw.replace(/[$,\s]/g, ''));
+      return Number.isNaN(number) ? raw : number;
+    }
+    if (dataType === 'boolean') {
+      const lower = raw.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return true;
+      if (FALSE_VALUES.includes(lower)) return false;
+    }
+    return raw;
+  }
+
+  /**
+   * Pick a value that satisfies (or sits near) a property condition
+   * @private
+   */
+  _sampleConditionValue(
+    condition: PropertyRuleCondition,
+    pick: <T>(items: T[]) => T | undefined
+  ): unknown {
+    const { operator, value } = condition;
+
+    if (operator === 'is_unknown') return undefined;
+    if (operator === 'is_known') return 'yes';
+    if (Array.isArray(value)) return pick(value as unknown[]);
+    if (typeof value === 'number') {
+      if (operator === 'greater_than') return value + 1;
+      if (operator === 'less_than') return value - 1;
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _randomFieldValue(
+    field: CustomField,
+    index: number,
+    random: () => number,
+    pick: <T>(items: T[]) => T | undefined
+  ): unknown {
+    const typed = field as CustomField & {
+      dataType?: string;
+      options?: Array<{ value: string }>;
+    };
+
+    switch (typed.dataType || typed.type) {
+      case 'number':
+        return Math.floor(random() * 100);
+      case 'currency':
+        return Math.round(random() * 5000000) / 100;
+      case 'boolean':
+        return random() < 0.5;
+      case 'enumeration':
+        return pick(typed.options || [])?.value ?? '';
+      case 'date':
+      case 'datetime': {
+        const daysAgo = Math.floor(random() * 730);
+        const date = new Date(Date.now() - daysAgo * 24 * HOUR_MS).toISOString();
+        return typed.dataType === 'date' ? date.slice(0, 10) : date;
+      }
+      case 'email':
+        return `member${index + 1}@example.com`;
+      case 'phone':
+        return `555-${String(1000 + index).slice(-4)}`;
+      case 'url':
+        return `https://example.com/members/${index + 1}`;
+      default:
+        return `${field.name}_${index + 1}`;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const batchSimulationService = new BatchSimulationService();
+
+export { batchSimulationService, BatchSimulationService };
+export default batchSimulationService;
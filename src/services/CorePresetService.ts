@@ -0,0 +1,144 @@
+import { getCorePreset } from '../data/coreMappingPresets';
+import { OBJECT_TEMPLATES } from '../data/objectTemplates';
+import { generateApiName } from '../schemas/objectSchema';
+import { generateId } from '../utils/idGenerator';
+import type { CoreMappingPreset, CorePresetFile } from '../data/coreMappingPresets';
+import type { ObjectTemplate, ObjectTemplateField } from '../data/objectTemplates';
+import type { CustomObject, DataModel } from '../types/project';
+import type { FieldMappingSet } from '../types/fieldMapping';
+
+export interface PresetFilePlan {
+  file: CorePresetFile;
+  template: ObjectTemplate;
+  /** Existing object the file loads into; absent when it is created from the template */
+  object?: CustomObject;
+  /** A mapping already uses this file name, so the file is skipped */
+  alreadyMapped: boolean;
+  /** Columns that will load into a field */
+  mappedColumns: number;
+}
+
+// New object created from a template
+export interface TemplateObjectData {
+  id: string;
+  name: string;
+  label: string;
+  description: string;
+  apiName: string;
+  icon: string;
+  hubspotObject: 'custom';
+  fields: Array<ObjectTemplateField & { id: string }>;
+}
+
+/**
+ * Core Preset Service
+ *
+ * Applies a core banking system's mapping preset to a project: works out
+ * which preset files are new, which objects they load into (existing objects
+ * created from the same template, or new ones from the template) and builds
+ * the field mappings with field names resolved to field IDs.
+ */
+class CorePresetService {
+  templates: ObjectTemplate[];
+
+  constructor(templates: ObjectTemplate[] = OBJECT_TEMPLATES) {
+    this.templates = templates;
+  }
+
+  /**
+   * Preset for the core recorded in a client profile's basic information
+   */
+  getPreset(coreSystem: string | undefined): CoreMappingPreset | undefined {
+    return getCorePreset(coreSystem);
+  }
+
+  /**
+   * What applying a preset to a data model would do, file by file
+   */
+  planPreset(preset: CoreMappingPreset, dataModel: DataModel): PresetFilePlan[] {
+    const existingNames = new Set(
+      (dataModel.mappings || []).map((mapping) => mapping.exportFileName.trim().toLowerCase())
+    );
+
+    return preset.files.flatMap((file) => {
+      const template = this.templates.find((t) => t.id === file.templateId);
+      if (!template) return [];
+
+      const object = this.findTemplateObject(template, dataModel);
+      const fieldNames = new Set((object?.fields || template.fields).map((field) => field.name));
+
+      return [
+        {
+          file,
+          template,
+          ...(object ? { object } : {}),
+          alreadyMapped: existingNames.has(file.exportFileName.toLowerCase()),
+          mappedColumns: file.columns.filter(
+            (column) => column.targetField && fieldNames.has(column.targetField)
+          ).length,
+        },
+      ];
+    });
+  }
+
+  /**
+   * Whether every file in the preset already has a mapping
+   */
+  isApplied(preset: CoreMappingPreset, dataModel: DataModel): boolean {
+    return this.planPreset(preset, dataModel).every((plan) => plan.alreadyMapped);
+  }
+
+  /**
+   * Object created from a template, recognised by the template's object name
+   */
+  findTemplateObject(template: ObjectTemplate, dataModel: DataModel): CustomObject | undefined {
+    return (dataModel.objects || []).find((object) => object.name === template.name);
+  }
+
+  /**
+   * New object for a template, with fresh IDs for the object and its fields
+   */
+  buildObject(template: ObjectTemplate, projectId = 'client'): TemplateObjectData {
+    return {
+      id: generateId(),
+      name: template.name,
+      label: template.label,
+      description: template.description,
+      apiName: generateApiName(template.name, projectId),
+      icon: template.icon,
+      hubspotObject: 'custom',
+      fields: template.fields.map((field) => ({ ...field, id: generateId() })),
+    };
+  }
+
+  /**
+   * Field mapping for a preset file loading into an object. Columns whose
+   * template field the object doesn't have are left unmapped.
+   */
+  buildMapping(file: CorePresetFile, object: CustomObject, presetLabel: string): FieldMappingSet {
+    const fieldIds = new Map((object.fields || []).map((field) => [field.name, field.id]));
+
+    return {
+      id: generateId(),
+      exportFileName: file.exportFileName,
+      format: file.format,
+      targetObjectId: object.id,
+      description: `${file.description} (${presetLabel} preset)`,
+      mappings: file.columns.map((column) => {
+        const targetFieldId = column.targetField ? fieldIds.get(column.targetField) : undefined;
+        return {
+          id: generateId(),
+          sourceColumn: column.sourceColumn,
+          ...(targetFieldId ? { targetFieldId } : {}),
+          ...(column.transform ? { transform: column.transform } : {}),
+          ...(column.piiType ? { piiType: column.piiType } : {}),
+        };
+      }),
+    };
+  }
+}
+
+const corePresetService = new CorePresetService();
+
+export { corePresetService, CorePresetService };
+export default corePresetService;
@@ -0,0 +1,118 @@
+import { isActivityCondition, isRuleGroup, flattenConditions } from '../utils/ruleTree';
+import type { RuleNode, Tag, TagCollection } from '../types/tag';
+import type { CustomEventDefinition, CustomEventUsage } from '../types/customEvent';
+
+const INTERNAL_NAME_PATTERN = /^pe(\d+)_(.*)$/;
+
+/**
+ * Custom Event Service
+ *
+ * Helpers for the project's registry of HubSpot custom behavioral events.
+ * HubSpot names each event pe<portalId>_<event_name>; the registry stores
+ * that internal name, which activity rules use as their eventType. This
+ * service builds and parses internal names, finds which tags use an event,
+ * and carries a rename through to those tags' rules.
+ */
+class CustomEventService {
+  /**
+   * Lowercase snake_case event name from a label ("Account Login" → "account_login")
+   */
+  toEventName(label: string): string {
+    return label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Internal name HubSpot gives an event in a portal
+   */
+  buildInternalName(portalId: string, eventName: string): string {
+    return `pe${portalId.trim()}_${eventName.trim()}`;
+  }
+
+  /**
+   * Split an internal name into portal ID and event name
+   */
+  parseInternalName(name: string): { portalId: string; eventName: string } {
+    const match = INTERNAL_NAME_PATTERN.exec(name);
+    return match
+      ? { portalId: match[1] as string, eventName: match[2] as string }
+      : { portalId: '', eventName: name };
+  }
+
+  /**
+   * Portal ID already used by the registry, so new events default to it
+   */
+  getPortalId(events: CustomEventDefinition[]): string {
+    for (const event of events) {
+      const { portalId } = this.parseInternalName(event.name);
+      if (portalId) return portalId;
+    }
+    return '';
+  }
+
+  /**
+   * Registry entry for an activity rule's eventType
+   */
+  findEvent(events: CustomEventDefinition[], eventType: string): CustomEventDefinition | undefined {
+    return events.find((event) => event.name === eventType);
+  }
+
+  /**
+   * Tags whose activity rules refer to an event
+   */
+  getUsage(eventName: string, tags: Tag[]): CustomEventUsage[] {
+    return tags
+      .map((tag) => ({
+        tagId: tag.id,
+        tagName: tag.name,
+        conditionCount: flattenConditions(tag.qualificationRules?.conditions).filter(
+          (condition) => isActivityCondition(condition) && condition.eventType === eventName
+        ).length,
+      }))
+      .filter((usage) => usage.conditionCount > 0);
+  }
+
+  /**
+   * Point activity rules at an event's new internal name. Returns null when
+   * no tag uses the old name.
+   */
+  renameEventInTags(tags: TagCollection, oldName: string, newName: string): TagCollection | null {
+    if (oldName === newName) return null;
+    let changed = false;
+
+    const renameNodes = (nodes: RuleNode[]): RuleNode[] =>
+      nodes.map((node) => {
+        if (isRuleGroup(node)) {
+          return { ...node, conditions: renameNodes(node.conditions) };
+        }
+        if (isActivityCondition(node) && node.eventType === oldName) {
+          changed = true;
+          return { ...node, eventType: newName };
+        }
+        return node;
+      });
+
+    const renameTag = (tag: Tag): Tag => {
+      if (this.getUsage(oldName, [tag]).length === 0) return tag;
+      return {
+        ...tag,
+        qualificationRules: {
+          ...tag.qualificationRules,
+          conditions: renameNodes(tag.qualificationRules.conditions),
+        },
+      };
+    };
+
+    const library = (tags.library || []).map(renameTag);
+    const custom = (tags.custom || []).map(renameTag);
+    return changed ? { ...tags, library, custom } : null;
+  }
+}
+
+// Create and export a singleton instance
+const customEventService = new CustomEventService();
+
+export { customEventService, CustomEventService };
+export default customEventService;
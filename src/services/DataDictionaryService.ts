@@ -0,0 +1,295 @@
+import { buildWorkbook } from '../utils/xlsx';
+import type { XlsxCell, XlsxSheet } from '../utils/xlsx';
+import { collectAssociations, ASSOCIATION_TYPE_LABELS } from '../utils/associations';
+import { describeCondition, describeRuleLogic, TAG_BEHAVIOR_LABELS } from '../utils/ruleFormatting';
+import { getStandardObject } from '../data/hubspotStandardObjects';
+import fieldMappingService from './FieldMappingService';
+import type { Project, CustomObject, CustomEventDefinition } from '../types/project';
+import type { Tag } from '../types/tag';
+import type { FieldTransform } from '../types/fieldMapping';
+
+interface DictionaryField {
+  name: string;
+  label?: string;
+  description?: string;
+  dataType?: string;
+  type?: string;
+  fieldType?: string;
+  required?: boolean;
+  unique?: boolean;
+  indexed?: boolean;
+  options?: Array<{ label: string; value: string; isDefault?: boolean }>;
+}
+
+// Core export file mapped onto an object, as read by dependencyChecker
+interface FieldMappingSet {
+  exportFileName?: string;
+  targetObjectId?: string;
+  mappings?: Array<{
+    sourceColumn?: string;
+    targetFieldId?: string;
+    transform?: string | { type?: string };
+  }>;
+}
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Data Dictionary Service
+ *
+ * Builds an Excel workbook describing the data model for core banking
+ * teams: an objects overview, one sheet per object, associations, field
+ * mappings, registered custom events, and tags with their rules. Generated
+ * entirely in the browser.
+ */
+class DataDictionaryService {
+  /**
+   * Generate the .xlsx file contents
+   */
+  generateWorkbook(project: Partial<Project>): Uint8Array {
+    return buildWorkbook(this.buildSheets(project));
+  }
+
+  /**
+   * Sheet definitions, in workbook order
+   */
+  buildSheets(project: Partial<Project>): XlsxSheet[] {
+    const objects = (project.dataModel?.objects || []) as CustomObject[];
+    const tags = [...(project.tags?.library || []), ...(project.tags?.custom || [])];
+    const customEvents = project.customEvents || [];
+
+    return [
+      this._objectsSheet(objects),
+      ...objects.map((object) => this._objectSheet(object)),
+      this._associationsSheet(project, objects),
+      this._mappingsSheet((project.dataModel?.mappings || []) as FieldMappingSet[], objects),
+      // Only projects that register custom events get the sheet
+      ...(customEvents.length > 0 ? [this._customEventsSheet(customEvents)] : []),
+      this._tagsSheet(tags, objects),
+    ];
+  }
+
+  // ========== Sheets ==========
+
+  /**
+   * @private
+   */
+  _objectsSheet(objects: CustomObject[]): XlsxSheet {
+    return {
+      name: 'Objects',
+      rows: [
+        ['Object', 'Internal Name', 'API Name', 'HubSpot Destination', 'Fields', 'Description'],
+        ...objects.map((object) => [
+          object.label || object.name,
+          object.name,
+          object.apiName,
+          getStandardObject(object.hubspotObject)?.label || 'Custom object',
+          (object.fields || []).length,
+          object.description,
+        ]),
+      ],
+    };
+  }
+
+  /**
+   * @private
+   */
+  _objectSheet(object: CustomObject): XlsxSheet {
+    const fields = (object.fields || []) as DictionaryField[];
+
+    return {
+      name: object.label || object.name,
+      rows: [
+        [
+          'Field Name',
+          'Label',
+          'Data Type',
+          'Field Type',
+          'Required',
+          'Unique',
+          'Indexed',
+          'Options',
+          'Description',
+        ],
+        ...fields.map((field) => [
+          field.name,
+          field.label,
+          field.dataType || field.type,
+          field.fieldType || 'standard',
+          this._yesNo(field.required),
+          this._yesNo(field.unique),
+          this._yesNo(field.indexed),
+          this._formatOptions(field.options),
+          field.description,
+        ]),
+      ],
+    };
+  }
+
+  /**
+   * @private
+   */
+  _associationsSheet(project: Partial<Project>, objects: CustomObject[]): XlsxSheet {
+    const names = new Map(objects.map((obj) => [obj.id, obj.label || obj.name]));
+
+    return {
+      name: 'Associations',
+      rows: [
+        ['From', 'To', 'Type', 'Label'],
+        ...collectAssociations(project.dataModel).map((association) => [
+          names.get(association.fromObjectId) || association.fromObjectId,
+          names.get(association.toObjectId) || association.toObjectId,
+          ASSOCIATION_TYPE_LABELS[association.type] || association.type,
+          association.label,
+        ]),
+      ],
+    };
+  }
+
+  /**
+   * One row per mapped column
+   * @private
+   */
+  _mappingsSheet(mappingSets: FieldMappingSet[], objects: CustomObject[]): XlsxSheet {
+    const rows: XlsxCell[][] = [];
+
+    mappingSets.forEach((set) => {
+      const object = objects.find((obj) => obj.id === set.targetObjectId);
+      const objectName = object ? object.label || object.name : set.targetObjectId;
+      const columns: NonNullable<FieldMappingSet['mappings']> = set.mappings?.length
+        ? set.mappings
+        : [{}];
+
+      columns.forEach((column) => {
+        const field = object?.fields?.find((f) => f.id === column.targetFieldId);
+        rows.push([
+          set.exportFileName,
+          objectName,
+          column.sourceColumn,
+          field?.name || column.targetFieldId,
+          this._formatTransform(column.transform),
+        ]);
+      });
+    });
+
+    return {
+      name: 'Field Mappings',
+      rows: [['Export File', 'Target Object', 'Source Column', 'Target Field', 'Transform'], ...rows],
+    };
+  }
+
+  /**
+   * Readable transform, falling back to the stored type for transforms the
+   * mapping editor does not know
+   * @private
+   */
+  _formatTransform(transform: NonNullable<FieldMappingSet['mappings']>[number]['transform']): XlsxCell {
+    if (!transform || typeof transform === 'string') return transform;
+    return (
+      fieldMappingService.describeTransform(transform as FieldTransform) || transform.type
+    );
+  }
+
+  /**
+   * One row per event property; events without properties get one row
+   * @private
+   */
+  _customEventsSheet(events: CustomEventDefinition[]): XlsxSheet {
+    const rows: XlsxCell[][] = [];
+
+    events.forEach((event) => {
+      const eventColumns = [event.label, event.name, event.description];
+
+      if (event.properties.length === 0) {
+        rows.push([...eventColumns, null, null, null, null]);
+        return;
+      }
+      event.properties.forEach((property) => {
+        rows.push([
+          ...eventColumns,
+          property.name,
+          property.label,
+          property.type,
+          this._formatOptions(property.options),
+        ]);
+      });
+    });
+
+    return {
+      name: 'Custom Events',
+      rows: [
+        ['Event', 'Internal Name', 'Description', 'Property', 'Property Label', 'Type', 'Options'],
+        ...rows,
+      ],
+    };
+  }
+
+  /**
+   * One row per qualification condition; tags without rules get one row
+   * @private
+   */
+  _tagsSheet(tags: Tag[], objects: CustomObject[]): XlsxSheet {
+    const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+    const rows: XlsxCell[][] = [];
+
+    tags.forEach((tag) => {
+      const conditions = tag.qualificationRules?.conditions || [];
+      const tagColumns = [
+        tag.name,
+        this._capitalize(tag.category),
+        TAG_BEHAVIOR_LABELS[tag.behavior] + (tag.isPermanent ? ' (permanent)' : ''),
+        tag.isCustom ? 'Custom' : 'Library',
+        (tag.dependencies || []).map((id) => tagNames.get(id) || id).join(', '),
+        conditions.length > 0 ? describeRuleLogic(tag.qualificationRules) : '',
+      ];
+
+      if (conditions.length === 0) {
+        rows.push([...tagColumns, null, 'No qualification rules defined']);
+        return;
+      }
+      conditions.forEach((condition, index) => {
+        rows.push([...tagColumns, index + 1, describeCondition(condition, objects)]);
+      });
+    });
+
+    return {
+      name: 'Tags & Rules',
+      rows: [
+        ['Tag', 'Category', 'Behavior', 'Source', 'Depends On', 'Rule Logic', '#', 'Condition'],
+        ...rows,
+      ],
+    };
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * @private
+   */
+  _formatOptions(options: DictionaryField['options']): string {
+    if (!options?.length) return '';
+    return options
+      .map((opt) => `${opt.label} (${opt.value})${opt.isDefault ? ' — default' : ''}`)
+      .join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _yesNo(value: boolean | undefined): string {
+    return value ? 'Yes' : 'No';
+  }
+
+  /**
+   * @private
+   */
+  _capitalize(text: string): string {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+// Create and export a singleton instance
+const dataDictionaryService = new DataDictionaryService();
+
+export { dataDictionaryService, DataDictionaryService };
+export default dataDictionaryService;
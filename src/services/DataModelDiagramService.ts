@@ -0,0 +1,378 @@
+import { collectAssociations } from '../utils/associations';
+import { getStandardObject } from '../data/hubspotStandardObjects';
+import type { DataModelAssociation } from '../utils/associations';
+import type { CustomObject, DataModel } from '../types/project';
+
+interface DiagramField {
+  id?: string;
+  name: string;
+  label?: string;
+  dataType?: string;
+  type?: string;
+  required?: boolean;
+  unique?: boolean;
+  indexed?: boolean;
+}
+
+export interface DiagramNode {
+  object: CustomObject;
+  /** Maps onto a HubSpot standard object rather than a custom one */
+  isStandard: boolean;
+  /** Fields shown on the node, most identifying first */
+  keyFields: DiagramField[];
+  /** Fields left off the node */
+  hiddenFieldCount: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface DiagramPoint {
+  x: number;
+  y: number;
+}
+
+export interface DiagramEdge {
+  association: DataModelAssociation;
+  /** SVG path data */
+  path: string;
+  /** Where the association label sits */
+  labelPosition: DiagramPoint;
+  /** Cardinality marks drawn beside each end, e.g. "1" and "N" */
+  fromCardinality: string;
+  toCardinality: string;
+  fromMarkPosition: DiagramPoint;
+  toMarkPosition: DiagramPoint;
+}
+
+export interface DataModelDiagram {
+  nodes: DiagramNode[];
+  edges: DiagramEdge[];
+  width: number;
+  height: number;
+}
+
+export const NODE_WIDTH = 220;
+export const NODE_HEADER_HEIGHT = 36;
+export const FIELD_ROW_HEIGHT = 20;
+const NODE_FOOTER_HEIGHT = 22;
+const NODE_PADDING = 8;
+const COLUMN_GAP = 140;
+const ROW_GAP = 40;
+const PADDING = 40;
+// Vertical spacing between edges joining the same two objects
+const PARALLEL_EDGE_OFFSET = 14;
+const SELF_LOOP_SIZE = 36;
+const MAX_KEY_FIELDS = 5;
+
+const CARDINALITY_MARKS: Record<string, [string, string]> = {
+  one_to_one: ['1', '1'],
+  one_to_many: ['1', 'N'],
+  many_to_many: ['M', 'N'],
+};
+
+/**
+ * Data Model Diagram Service
+ *
+ * Lays out the data model as an entity-relationship diagram: objects are
+ * nodes listing their key fields and associations are edges marked with
+ * their cardinality. Objects are placed in columns so that each association
+ * runs left to right where it can (the "one" side before the "many" side);
+ * associations that close a loop are drawn back across the columns.
+ *
+ * Coordinates are in diagram units; the component applies pan and zoom.
+ */
+class DataModelDiagramService {
+  /**
+   * Lay out every object and association in the data model
+   */
+  buildDiagram(dataModel: DataModel | undefined): DataModelDiagram {
+    const objects = (dataModel?.objects || []) as CustomObject[];
+    const objectIds = new Set(objects.map((obj) => obj.id));
+    const associations = collectAssociations(dataModel).filter(
+      (association) =>
+        objectIds.has(association.fromObjectId) && objectIds.has(association.toObjectId)
+    );
+
+    const levels = this._assignLevels(objects, associations);
+    const columns = this._orderColumns(objects, levels, associations);
+    const nodes = this._positionNodes(columns);
+    const byId = new Map(nodes.map((node) => [node.object.id, node]));
+
+    const edges = associations.map((association) => {
+      const parallel = associations.filter((other) => this._samePair(other, association));
+      const offsetIndex = parallel.indexOf(association) - (parallel.length - 1) / 2;
+      return this._routeEdge(
+        association,
+        byId.get(association.fromObjectId)!,
+        byId.get(association.toObjectId)!,
+        offsetIndex
+      );
+    });
+
+    const right = Math.max(0, ...nodes.map((node) => node.x + node.width));
+    const bottom = Math.max(0, ...nodes.map((node) => node.y + node.height));
+    const hasSelfLoop = associations.some((a) => a.fromObjectId === a.toObjectId);
+
+    return {
+      nodes,
+      edges,
+      width: right + PADDING + (hasSelfLoop ? SELF_LOOP_SIZE : 0),
+      height: bottom + PADDING,
+    };
+  }
+
+  /**
+   * Fields worth showing on a node: unique fields first, then required,
+   * then indexed, then the rest in their defined order
+   */
+  getKeyFields(object: CustomObject, max: number = MAX_KEY_FIELDS): DiagramField[] {
+    const fields = (object.fields || []) as DiagramField[];
+    const rank = (field: DiagramField): number => {
+      if (field.unique) return 0;
+      if (field.required) return 1;
+      if (field.indexed) return 2;
+      return 3;
+    };
+
+    return fields
+      .map((field, index) => ({ field, index }))
+      .sort((a, b) => rank(a.field) - rank(b.field) || a.index - b.index)
+      .slice(0, max)
+      .map(({ field }) => field);
+  }
+
+  /**
+   * Cardinality marks for each end of an association
+   */
+  getCardinalityMarks(type: string): [string, string] {
+    return CARDINALITY_MARKS[type] || ['', ''];
+  }
+
+  /**
+   * The node under a point in diagram coordinates, if any
+   */
+  findNodeAt(diagram: DataModelDiagram, point: DiagramPoint): DiagramNode | null {
+    return (
+      diagram.nodes.find(
+        (node) =>
+          point.x >= node.x &&
+          point.x <= node.x + node.width &&
+          point.y >= node.y &&
+          point.y <= node.y + node.height
+      ) || null
+    );
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Column index for each object: one past the deepest object that points
+   * to it. When only cycles remain, the object with the fewest unplaced
+   * incoming associations is placed next so the loop is broken there.
+   * @private
+   */
+  _assignLevels(
+    objects: CustomObject[],
+    associations: DataModelAssociation[]
+  ): Map<string, number> {
+    const links = associations.filter((a) => a.fromObjectId !== a.toObjectId);
+    const levels = new Map<string, number>();
+
+    while (levels.size < objects.length) {
+      const pending = objects.filter((obj) => !levels.has(obj.id));
+      const unplacedParents = (id: string): number =>
+        links.filter((a) => a.toObjectId === id && !levels.has(a.fromObjectId)).length;
+
+      const ready = pending.filter((obj) => unplacedParents(obj.id) === 0);
+      const next =
+        ready.length > 0
+          ? ready
+          : [
+              pending.reduce((best, obj) =>
+                unplacedParents(obj.id) < unplacedParents(best.id) ? obj : best
+              ),
+            ];
+
+      // Levels are assigned after the batch is chosen so siblings share a column
+      const assigned = next.map((obj) => {
+        const parentLevels = links
+          .filter((a) => a.toObjectId === obj.id && levels.has(a.fromObjectId))
+          .map((a) => levels.get(a.fromObjectId)!);
+        return [obj.id, parentLevels.length > 0 ? Math.max(...parentLevels) + 1 : 0] as const;
+      });
+      assigned.forEach(([id, level]) => levels.set(id, level));
+    }
+
+    return levels;
+  }
+
+  /**
+   * Group objects into columns, ordering each column by the average row of
+   * the objects it is associated with in earlier columns to reduce crossings
+   * @private
+   */
+  _orderColumns(
+    objects: CustomObject[],
+    levels: Map<string, number>,
+    associations: DataModelAssociation[]
+  ): CustomObject[][] {
+    const columnCount = Math.max(0, ...levels.values()) + (objects.length > 0 ? 1 : 0);
+    const columns: CustomObject[][] = Array.from({ length: columnCount }, () => []);
+    objects.forEach((obj) => columns[levels.get(obj.id)!]!.push(obj));
+
+    const rows = new Map<string, number>();
+    columns.forEach((column, columnIndex) => {
+      const barycenter = (obj: CustomObject): number => {
+        const neighbourRows = associations
+          .flatMap((a) => {
+            if (a.toObjectId === obj.id) return [a.fromObjectId];
+            if (a.fromObjectId === obj.id) return [a.toObjectId];
+            return [];
+          })
+          .filter((id) => (levels.get(id) ?? columnIndex) < columnIndex && rows.has(id))
+          .map((id) => rows.get(id)!);
+        return neighbourRows.length > 0
+          ? neighbourRows.reduce((sum, row) => sum + row, 0) / neighbourRows.length
+          : Number.MAX_SAFE_INTEGER;
+      };
+
+      const ordered = column
+        .map((obj, index) => ({ obj, index, weight: barycenter(obj) }))
+        .sort((a, b) => a.weight - b.weight || a.index - b.index)
+        .map(({ obj }) => obj);
+      ordered.forEach((obj, row) => rows.set(obj.id, row));
+      columns[columnIndex] = ordered;
+    });
+
+    return columns;
+  }
+
+  /**
+   * Stack each column's nodes, centred against the tallest column
+   * @private
+   */
+  _positionNodes(columns: CustomObject[][]): DiagramNode[] {
+    const sized = columns.map((column) =>
+      column.map((object) => {
+        const keyFields = this.getKeyFields(object);
+        const hiddenFieldCount = (object.fields || []).length - keyFields.length;
+        const height =
+          NODE_HEADER_HEIGHT +
+          NODE_PADDING * 2 +
+          Math.max(1, keyFields.length) * FIELD_ROW_HEIGHT +
+          (hiddenFieldCount > 0 ? NODE_FOOTER_HEIGHT : 0);
+        return {
+          object,
+          isStandard: !!getStandardObject(object.hubspotObject),
+          keyFields,
+          hiddenFieldCount,
+          height,
+        };
+      })
+    );
+
+    const columnHeight = (column: Array<{ height: number }>): number =>
+      column.reduce((sum, node) => sum + node.height, 0) + Math.max(0, column.length - 1) * ROW_GAP;
+    const tallest = Math.max(0, ...sized.map(columnHeight));
+
+    return sized.flatMap((column, columnIndex) => {
+      let y = PADDING + (tallest - columnHeight(column)) / 2;
+      return column.map((node) => {
+        const positioned = {
+          ...node,
+          x: PADDING + columnIndex * (NODE_WIDTH + COLUMN_GAP),
+          y,
+          width: NODE_WIDTH,
+        };
+        y += node.height + ROW_GAP;
+        return positioned;
+      });
+    });
+  }
+
+  /**
+   * Path between two nodes. Edges leave the facing sides of nodes in
+   * different columns, loop out to the right between nodes in the same
+   * column, and loop back onto the same node for self associations.
+   * @private
+   */
+  _routeEdge(
+    association: DataModelAssociation,
+    from: DiagramNode,
+    to: DiagramNode,
+    offsetIndex: number
+  ): DiagramEdge {
+    const [fromCardinality, toCardinality] = this.getCardinalityMarks(association.type);
+    const offset = offsetIndex * PARALLEL_EDGE_OFFSET;
+    const centerY = (node: DiagramNode): number => node.y + node.height / 2 + offset;
+
+    if (from === to) {
+      const x = from.x + from.width;
+      const y1 = from.y + NODE_HEADER_HEIGHT / 2;
+      const y2 = y1 + SELF_LOOP_SIZE;
+      const loop = SELF_LOOP_SIZE + Math.abs(offset);
+      return {
+        association,
+        path: `M ${x} ${y1} C ${x + loop} ${y1}, ${x + loop} ${y2}, ${x} ${y2}`,
+        labelPosition: { x: x + loop, y: (y1 + y2) / 2 },
+        fromCardinality,
+        toCardinality,
+        fromMarkPosition: { x: x + 8, y: y1 - 6 },
+        toMarkPosition: { x: x + 8, y: y2 + 14 },
+      };
+    }
+
+    if (from.x === to.x) {
+      const x = from.x + from.width;
+      const y1 = centerY(from);
+      const y2 = centerY(to);
+      const bulge = 60 + Math.abs(offset);
+      return {
+        association,
+        path: `M ${x} ${y1} C ${x + bulge} ${y1}, ${x + bulge} ${y2}, ${x} ${y2}`,
+        labelPosition: { x: x + bulge * 0.75, y: (y1 + y2) / 2 },
+        fromCardinality,
+        toCardinality,
+        fromMarkPosition: { x: x + 8, y: y1 - 6 },
+        toMarkPosition: { x: x + 8, y: y2 - 6 },
+      };
+    }
+
+    const leftToRight = from.x < to.x;
+    const x1 = leftToRight ? from.x + from.width : from.x;
+    const x2 = leftToRight ? to.x : to.x + to.width;
+    const y1 = centerY(from);
+    const y2 = centerY(to);
+    const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+    const direction = leftToRight ? 1 : -1;
+    const markOffset = leftToRight ? 8 : -16;
+
+    return {
+      association,
+      path: `M ${x1} ${y1} C ${x1 + bend * direction} ${y1}, ${x2 - bend * direction} ${y2}, ${x2} ${y2}`,
+      labelPosition: { x: (x1 + x2) / 2, y: (y1 + y2) / 2 },
+      fromCardinality,
+      toCardinality,
+      fromMarkPosition: { x: x1 + markOffset, y: y1 - 6 },
+      toMarkPosition: { x: x2 - markOffset - 8, y: y2 - 6 },
+    };
+  }
+
+  /**
+   * Whether two associations join the same pair of objects
+   * @private
+   */
+  _samePair(a: DataModelAssociation, b: DataModelAssociation): boolean {
+    return (
+      (a.fromObjectId === b.fromObjectId && a.toObjectId === b.toObjectId) ||
+      (a.fromObjectId === b.toObjectId && a.toObjectId === b.fromObjectId)
+    );
+  }
+}
+
+const dataModelDiagramService = new DataModelDiagramService();
+
+export { dataModelDiagramService, DataModelDiagramService };
+export default dataModelDiagramService;
@@ -0,0 +1,252 @@
+import type { CustomObject } from '../types/project';
+import type {
+  FieldMappingSet,
+  FieldMappingIssue,
+  FieldTransform,
+  FieldTransformType,
+} from '../types/fieldMapping';
+
+interface MappingField {
+  id: string;
+  name: string;
+  label?: string;
+  dataType?: string;
+  type?: string;
+  required?: boolean;
+  options?: Array<{ label: string; value: string }>;
+}
+
+export const TRANSFORM_LABELS: Record<FieldTransformType, string> = {
+  hash: 'Hash (SHA-256)',
+  mask: 'Mask',
+  date_format: 'Date format',
+  value_map: 'Value map',
+};
+
+const DATE_TYPES = ['date', 'datetime'];
+// Hashing or masking turns a value into text these types cannot hold
+const NON_TEXT_TYPES = ['number', 'currency', 'date', 'datetime', 'boolean'];
+
+/**
+ * Field Mapping Service
+ *
+ * Helpers for mapping core banking export files onto data model objects:
+ * suggesting a target field for a source column, describing and previewing
+ * column transforms, and checking a mapping for problems before the
+ * integration is built.
+ */
+class FieldMappingService {
+  /**
+   * Field on the target object whose name or label matches a column header,
+   * ignoring case, spaces and punctuation ("Member Number" → member_number)
+   */
+  suggestTargetField(sourceColumn: string, object: CustomObject | undefined): string | undefined {
+    const key = this._normalizeKey(sourceColumn);
+    if (!key) return undefined;
+
+    return this._fields(object).find(
+      (field) =>
+        this._normalizeKey(field.name) === key || this._normalizeKey(field.label || '') === key
+    )?.id;
+  }
+
+  /**
+   * Short description of a transform for tables and documentation
+   */
+  describeTransform(transform: FieldTransform | undefined): string {
+    if (!transform) return '';
+
+    switch (transform.type) {
+      case 'hash':
+        return 'SHA-256 hash';
+      case 'mask':
+        return transform.visibleCharacters > 0
+          ? `Mask all but last ${transform.visibleCharacters}`
+          : 'Mask entire value';
+      case 'date_format':
+        return `Date from ${transform.sourceFormat}`;
+      case 'value_map':
+        return `Value map (${transform.values.length} value${transform.values.length === 1 ? '' : 's'})`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * What a sample source value becomes after the transform. Returns null
+   * when the value cannot be converted, and for hashes, which the
+   * integration computes.
+   */
+  previewTransform(value: string, transform: FieldTransform | undefined): string | null {
+    const trimmed = value.trim();
+    if (!transform) return trimmed;
+
+    switch (transform.type) {
+      case 'mask': {
+        const visible = transform.visibleCharacters > 0 ? trimmed.slice(-transform.visibleCharacters) : '';
+        return '*'.repeat(Math.max(0, trimmed.length - visible.length)) + visible;
+      }
+      case 'date_format':
+        return this.parseDate(trimmed, transform.sourceFormat);
+      case 'value_map':
+        return transform.values.find((entry) => entry.source === trimmed)?.target ?? null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Read a date in a source layout such as MM/DD/YYYY as an ISO date
+   * (YYYY-MM-DD). Two-digit years below 50 are read as 20xx.
+   */
+  parseDate(value: string, sourceFormat: string): string | null {
+    const tokens = sourceFormat.match(/YYYY|YY|MM|M|DD|D/g) || [];
+    const separated = /[^A-Z]/.test(sourceFormat);
+    const parts = separated
+      ? value.split(/[^0-9]+/).filter(Boolean)
+      : tokens.reduce<{ parts: string[]; rest: string }>(
+          (acc, token) => ({
+            parts: [...acc.parts, acc.rest.slice(0, token.length)],
+            rest: acc.rest.slice(token.length),
+          }),
+          { parts: [], rest: value }
+        ).parts;
+
+    if (parts.length !== tokens.length || parts.some((part) => !/^\d+$/.test(part))) return null;
+
+    let year = NaN;
+    let month = NaN;
+    let day = NaN;
+    tokens.forEach((token, index) => {
+      const number = Number(parts[index]);
+      if (token === 'YYYY') year = number;
+      else if (token === 'YY') year = number < 50 ? 2000 + number : 1900 + number;
+      else if (token.startsWith('M')) month = number;
+      else day = number;
+    });
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (
+      Number.isNaN(date.getTime()) ||
+      date.getUTCFullYear() !== year ||
+      date.getUTCMonth() !== month - 1 ||
+      date.getUTCDate() !== day
+    ) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Problems with a mapping against its target object: errors block a
+   * working load, warnings are worth a look
+   */
+  findIssues(mapping: FieldMappingSet, object: CustomObject | undefined): FieldMappingIssue[] {
+    if (!object) {
+      return [{ severity: 'error', message: 'The object this file loads into no longer exists' }];
+    }
+
+    const issues: FieldMappingIssue[] = [];
+    const fields = new Map(this._fields(object).map((field) => [field.id, field]));
+    const mappedBy = new Map<string, string>();
+
+    mapping.mappings.forEach((column) => {
+      const { id: columnId, sourceColumn, targetFieldId, transform, piiType } = column;
+
+      if (!targetFieldId) {
+        issues.push({ severity: 'warning', columnId, message: `${sourceColumn} is not mapped to a field` });
+        return;
+      }
+
+      const field = fields.get(targetFieldId);
+      if (!field) {
+        issues.push({
+          severity: 'error',
+          columnId,
+          message: `${sourceColumn} maps to a field that no longer exists`,
+        });
+        return;
+      }
+
+      const fieldLabel = field.label || field.name;
+      const previous = mappedBy.get(targetFieldId);
+      if (previous) {
+        issues.push({
+          severity: 'error',
+          columnId,
+          message: `${previous} and ${sourceColumn} both load into ${fieldLabel}`,
+        });
+      } else {
+        mappedBy.set(targetFieldId, sourceColumn);
+      }
+
+      const fieldType = field.dataType || field.type || 'text';
+      if (transform?.type === 'date_format' && !DATE_TYPES.includes(fieldType)) {
+        issues.push({
+          severity: 'warning',
+          columnId,
+          message: `${sourceColumn} is read as a date, but ${fieldLabel} is not a date field`,
+        });
+      }
+      if ((transform?.type === 'hash' || transform?.type === 'mask') && NON_TEXT_TYPES.includes(fieldType)) {
+        issues.push({
+          severity: 'warning',
+          columnId,
+          message: `${TRANSFORM_LABELS[transform.type]} produces text, but ${fieldLabel} is a ${fieldType} field`,
+        });
+      }
+      if (transform?.type === 'value_map' && fieldType === 'enumeration' && field.options) {
+        const allowed = new Set(field.options.map((option) => option.value));
+        const unknown = [...new Set(transform.values.map((entry) => entry.target))].filter(
+          (target) => !allowed.has(target)
+        );
+        if (unknown.length > 0) {
+          issues.push({
+            severity: 'warning',
+            columnId,
+            message: `${fieldLabel} has no option ${unknown.map((value) => `"${value}"`).join(', ')}`,
+          });
+        }
+      }
+      if (piiType && transform?.type !== 'hash' && transform?.type !== 'mask') {
+        issues.push({
+          severity: 'warning',
+          columnId,
+          message: `${sourceColumn} looks like sensitive data; hash or mask it before it reaches HubSpot`,
+        });
+      }
+    });
+
+    this._fields(object)
+      .filter((field) => field.required && !mappedBy.has(field.id))
+      .forEach((field) => {
+        issues.push({
+          severity: 'warning',
+          message: `Required field ${field.label || field.name} is not loaded from this file`,
+        });
+      });
+
+    return issues;
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * @private
+   */
+  _fields(object: CustomObject | undefined): MappingField[] {
+    return (object?.fields || []) as MappingField[];
+  }
+
+  /**
+   * @private
+   */
+  _normalizeKey(key: string): string {
+    return key.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+}
+
+const fieldMappingService = new FieldMappingService();
+
+export { fieldMappingService, FieldMappingService };
+export default fieldMappingService;
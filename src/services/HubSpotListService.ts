@@ -0,0 +1,751 @@
+import hubSpotSchemaService, { HubSpotSchemaService } from './HubSpotSchemaService';
+import type { ModelField } from './HubSpotSchemaService';
+import customEventService from './CustomEventService';
+import {
+  normalizeObjectName,
+  isActivityCondition,
+  isAssociationCondition,
+  isPropertyCondition,
+  isRuleGroup,
+  isScoreCondition,
+} from '../utils/ruleTree';
+import { getStandardObject } from '../data/hubspotStandardObjects';
+import { findEventById } from '../data/hubspotEventTypes';
+import { describeCondition } from '../utils/ruleFormatting';
+import { getOperatorGroup } from '../utils/ruleOperators';
+import type { OperatorGroup } from '../utils/ruleOperators';
+import type { CustomObject, DataModel } from '../types/project';
+import type { CustomEventDefinition } from '../types/customEvent';
+import type {
+  ActivityRuleCondition,
+  AssociationRuleCondition,
+  PropertyRuleCondition,
+  RuleCondition,
+  RuleNode,
+  ScoreRuleCondition,
+  Tag,
+} from '../types/tag';
+import type {
+  HubSpotListFilter,
+  HubSpotListFilterBranch,
+  HubSpotListIssue,
+  HubSpotListOperation,
+  HubSpotListTimePoint,
+  HubSpotTagList,
+} from '../types/hubspot';
+
+// Lists are built on contacts; these data model objects are the contact itself
+const MEMBER_OBJECT_ALIASES = ['member', 'contact'];
+const CONTACT_OBJECT_TYPE_ID = '0-1';
+
+// Rules expanding past this many AND branches are not exported
+const MAX_FILTER_BRANCHES = 50;
+
+const NUMBER_OPERATORS: Partial<Record<PropertyRuleCondition['operator'], string>> = {
+  equals: 'IS_EQUAL_TO',
+  not_equals: 'IS_NOT_EQUAL_TO',
+  greater_than: 'IS_GREATER_THAN',
+  greater_than_or_equal: 'IS_GREATER_THAN_OR_EQUAL_TO',
+  less_than: 'IS_LESS_THAN',
+  less_than_or_equal: 'IS_LESS_THAN_OR_EQUAL_TO',
+};
+
+const STRING_OPERATORS: Partial<Record<PropertyRuleCondition['operator'], string>> = {
+  equals: 'IS_EQUAL_TO',
+  not_equals: 'IS_NOT_EQUAL_TO',
+  contains: 'CONTAINS',
+  not_contains: 'DOES_NOT_CONTAIN',
+  starts_with: 'STARTS_WITH',
+  ends_with: 'ENDS_WITH',
+};
+
+// Negative comparisons match members without a value, as the engine does
+const NEGATIVE_OPERATORS: PropertyRuleCondition['operator'][] = ['not_equals', 'not_in', 'not_contains'];
+
+// Registry event property types → operator groups
+const EVENT_PROPERTY_GROUPS: Record<string, OperatorGroup> = {
+  string: 'text',
+  number: 'number',
+  enumeration: 'enum',
+  datetime: 'date',
+};
+
+// One AND branch of the list: filters on the contact plus nested branches
+interface Conjunct {
+  filters: HubSpotListFilter[];
+  branches: HubSpotListFilterBranch[];
+}
+
+interface ListContext {
+  tag: Tag;
+  objects: CustomObject[];
+  customEvents: CustomEventDefinition[];
+  issues: HubSpotListIssue[];
+  placeholders: Set<string>;
+}
+
+type CountRange = [number, number | undefined];
+
+/**
+ * HubSpot List Service
+ *
+ * Translates tag qualification rules into HubSpot active list definitions
+ * (POST /crm/v3/lists) so a tag can be materialized as a contact list:
+ * - member properties and scores become property filters
+ * - properties of other objects become association branches
+ * - activity rules become event branches refined by occurrence count and
+ *   time window
+ * - association rules become association-count filters or branches
+ *
+ * Rules are expanded into an OR of AND branches, the shape HubSpot expects
+ * at the root. Object, association and event type IDs that only exist once
+ * the implementation is built are left as {{placeholders}}. Anything a list
+ * cannot express (hysteresis, filtered association counts, tags that must
+ * be kept once assigned) is reported with the workflow that would maintain
+ * it; where that workflow can write a property, the list filters on it.
+ */
+class HubSpotListService {
+  schemaService: HubSpotSchemaService;
+
+  constructor(schemaService: HubSpotSchemaService = hubSpotSchemaService) {
+    this.schemaService = schemaService;
+  }
+
+  /**
+   * List definitions for every tag
+   */
+  buildLists(
+    tags: Tag[],
+    dataModel: DataModel,
+    customEvents: CustomEventDefinition[] = []
+  ): HubSpotTagList[] {
+    return tags.map((tag) => this.buildList(tag, dataModel, customEvents));
+  }
+
+  /**
+   * List definition for one tag, with whatever the list cannot express
+   */
+  buildList(
+    tag: Tag,
+    dataModel: DataModel,
+    customEvents: CustomEventDefinition[] = []
+  ): HubSpotTagList {
+    const context: ListContext = {
+      tag,
+      objects: dataModel.objects || [],
+      customEvents,
+      issues: [],
+      placeholders: new Set(),
+    };
+
+    if (tag.behavior === 'set_once' || tag.isPermanent) {
+      const property = this._workflowPropertyName(tag, 'assigned');
+      context.issues.push({
+        kind: 'membership',
+        condition: 'Tag behavior',
+        reason: `${tag.name} is kept once assigned, but active lists drop members who stop matching`,
+        workflow: `Enroll this list's members in a workflow that sets ${property} to true and never clears it; members with ${property} = true hold the tag.`,
+      });
+    }
+
+    const rules = tag.qualificationRules;
+    const conjuncts = this._translateNodes(rules?.conditions || [], rules?.logic === 'OR' ? 'OR' : 'AND', context);
+
+    if (conjuncts === null) {
+      context.issues.push({
+        kind: 'omitted',
+        condition: 'All conditions',
+        reason: `The rules expand to more than ${MAX_FILTER_BRANCHES} filter branches`,
+        workflow: 'Split the tag into smaller tags (one list each) and combine them with list membership filters.',
+      });
+    }
+
+    const branches = (conjuncts || []).filter(
+      (conjunct) => conjunct.filters.length > 0 || conjunct.branches.length > 0
+    );
+
+    return {
+      tagId: tag.id,
+      tagName: tag.name,
+      list:
+        branches.length === 0
+          ? null
+          : {
+              name: tag.name,
+              objectTypeId: CONTACT_OBJECT_TYPE_ID,
+              processingType: 'DYNAMIC',
+              filterBranch: {
+                filterBranchType: 'OR',
+                filterBranchOperator: 'OR',
+                filters: [],
+                filterBranches: branches.map((conjunct) => ({
+                  filterBranchType: 'AND',
+                  filterBranchOperator: 'AND',
+                  filters: conjunct.filters,
+                  filterBranches: conjunct.branches,
+                })),
+              },
+            },
+      issues: context.issues,
+      placeholders: [...context.placeholders],
+    };
+  }
+
+  // ========== Rule Expansion ==========
+
+  /**
+   * AND branches equivalent to the nodes, or null past MAX_FILTER_BRANCHES.
+   * An omitted condition contributes no branches, which drops it from an OR
+   * and (below) leaves the rest of an AND unconstrained by it. An AND whose
+   * conditions were all omitted contributes no branches either, rather than
+   * one empty branch that would let an enclosing OR match everyone.
+   * @private
+   */
+  _translateNodes(nodes: RuleNode[], logic: 'AND' | 'OR', context: ListContext): Conjunct[] | null {
+    const translated: Conjunct[][] = [];
+    for (const node of nodes) {
+      const conjuncts = isRuleGroup(node)
+        ? this._translateNodes(node.conditions, node.logic === 'OR' ? 'OR' : 'AND', context)
+        : this._translateCondition(node, context);
+      if (conjuncts === null) return null;
+      translated.push(conjuncts);
+    }
+
+    if (logic === 'OR') {
+      const conjuncts = translated.flat();
+      return conjuncts.length > MAX_FILTER_BRANCHES ? null : conjuncts;
+    }
+
+    if (translated.every((conjuncts) => conjuncts.length === 0)) return [];
+
+    let product: Conjunct[] = [{ filters: [], branches: [] }];
+    for (const conjuncts of translated) {
+      if (conjuncts.length === 0) continue;
+      if (product.length * conjuncts.length > MAX_FILTER_BRANCHES) return null;
+      product = product.flatMap((left) =>
+        conjuncts.map((right) => ({
+          filters: [...left.filters, ...right.filters],
+          branches: [...left.branches, ...right.branches],
+        }))
+      );
+    }
+    return product;
+  }
+
+  /**
+   * @private
+   */
+  _translateCondition(condition: RuleCondition, context: ListContext): Conjunct[] {
+    if (isScoreCondition(condition)) return this._translateScore(condition, context);
+    if (isActivityCondition(condition)) return this._translateActivity(condition, context);
+    if (isAssociationCondition(condition)) return this._translateAssociation(condition, context);
+    if (isPropertyCondition(condition)) return this._translateProperty(condition, context);
+
+    return this._omit(context, condition, 'The condition type is not recognized', 'Rebuild the condition in the rule builder.');
+  }
+
+  // ========== Condition Translators ==========
+
+  /**
+   * @private
+   */
+  _translateProperty(condition: PropertyRuleCondition, context: ListContext): Conjunct[] {
+    const object = this._findObject(context.objects, condition.object);
+    const filter = this._propertyFilter(condition, object);
+
+    if (!filter) {
+      return this._omit(
+        context,
+        condition,
+        'HubSpot list filters cannot compare this property with this operator',
+        `Store the value in a ${condition.operator.includes('than') ? 'number or date' : 'enumeration'} property (a calculated property or workflow can copy it) and filter on that.`
+      );
+    }
+
+    if (this._isMemberObject(object, condition.object)) {
+      return [{ filters: [filter], branches: [] }];
+    }
+    return [{ filters: [], branches: [this._associationBranch(object, condition.object, [filter], context)] }];
+  }
+
+  /**
+   * @private
+   */
+  _translateScore(condition: ScoreRuleCondition, context: ListContext): Conjunct[] {
+    const property = this.schemaService.toHubSpotName(condition.scoreField);
+
+    if (condition.hysteresis) {
+      const { addThreshold, removeThreshold } = condition.hysteresis;
+      const workflowProperty = this._workflowPropertyName(context.tag, `${property}_qualified`);
+      const [adds, removes] =
+        addThreshold >= removeThreshold
+          ? [`reaches ${addThreshold}`, `falls below ${removeThreshold}`]
+          : [`drops to ${addThreshold}`, `rises above ${removeThreshold}`];
+
+      context.issues.push({
+        kind: 'workflow_property',
+        condition: describeCondition(condition, context.objects),
+        reason:
+          'Lists evaluate every member from scratch, so they cannot keep a member who is between the add and remove thresholds',
+        workflow: `Create a contact workflow that sets ${workflowProperty} to true when ${property} ${adds} and to false when it ${removes}. The list filters on ${workflowProperty} = true.`,
+      });
+      return [{ filters: [this._boolFilter(workflowProperty)], branches: [] }];
+    }
+
+    const value = condition.operator === 'between' ? condition.value : (condition.threshold ?? condition.value);
+    const operation = this._operation(condition.operator, value, 'number');
+    if (!operation) {
+      return this._omit(context, condition, 'The score comparison has no numeric value', 'Set a threshold on the condition.');
+    }
+    return [{ filters: [{ filterType: 'PROPERTY', property, operation }], branches: [] }];
+  }
+
+  /**
+   * One event branch per occurrence range the condition allows
+   * @private
+   */
+  _translateActivity(condition: ActivityRuleCondition, context: ListContext): Conjunct[] {
+    const registered = customEventService.findEvent(context.customEvents, condition.eventType);
+    const eventTypeId =
+      findEventById(condition.eventType)?.eventTypeId ??
+      this._placeholder(context, 'eventTypeId', condition.eventType);
+
+    const filters = (condition.filters || []).flatMap((filter) => {
+      const property = registered?.properties.find((p) => p.name === filter.field);
+      const group = property ? (EVENT_PROPERTY_GROUPS[property.type] ?? 'text') : this._inferGroup(filter.value);
+      const operation = this._operation(filter.operator, filter.value, group);
+      if (!operation) {
+        this._omit(
+          context,
+          filter,
+          `The event property filter cannot be expressed, so the list counts every ${condition.eventType} event`,
+          'Send the property with a type HubSpot can filter on this way.'
+        );
+        return [];
+      }
+      return [{ filterType: 'PROPERTY' as const, property: filter.field, operation }];
+    });
+
+    const eventBranch = (
+      operator: 'HAS_COMPLETED' | 'HAS_NOT_COMPLETED',
+      range?: CountRange
+    ): HubSpotListFilterBranch => ({
+      filterBranchType: 'UNIFIED_EVENTS',
+      filterBranchOperator: 'AND',
+      eventTypeId,
+      operator,
+      filters,
+      filterBranches: [],
+      ...(range && (range[0] > 1 || range[1] !== undefined)
+        ? {
+            coalescingRefineBy: {
+              type: 'NUM_OCCURRENCES' as const,
+              minOccurrences: range[0],
+              ...(range[1] !== undefined ? { maxOccurrences: range[1] } : {}),
+            },
+          }
+        : {}),
+      ...(condition.timeframe
+        ? {
+            pruningRefineBy: {
+              type: 'RELATIVE_RANGED' as const,
+              rangeType: 'BETWEEN' as const,
+              timeUnit: 'DAY' as const,
+              lowerBoundOffset: condition.timeframe,
+              upperBoundOffset: 0,
+            },
+          }
+        : {}),
+    });
+
+    const ranges: CountRange[] =
+      condition.occurrence === 'has_occurred'
+        ? [[1, undefined]]
+        : condition.occurrence === 'has_not_occurred'
+          ? [[0, 0]]
+          : this._countRanges(condition.operator || 'greater_than_or_equal', condition.value ?? 0);
+
+    return ranges.flatMap(([min, max]): Conjunct[] => {
+      if (min === 0 && max === undefined) return [{ filters: [], branches: [] }];
+      if (max === 0) return [{ filters: [], branches: [eventBranch('HAS_NOT_COMPLETED')] }];
+      if (min === 0) {
+        return [
+          { filters: [], branches: [eventBranch('HAS_NOT_COMPLETED')] },
+          { filters: [], branches: [eventBranch('HAS_COMPLETED', [1, max])] },
+        ];
+      }
+      return [{ filters: [], branches: [eventBranch('HAS_COMPLETED', [min, max])] }];
+    });
+  }
+
+  /**
+   * @private
+   */
+  _translateAssociation(condition: AssociationRuleCondition, context: ListContext): Conjunct[] {
+    const related = this._findObject(context.objects, condition.relatedObject);
+    const nestedFilters = condition.nestedFilters || [];
+    const [operator, value] =
+      condition.conditionType === 'has_any'
+        ? (['greater_than_or_equal', 1] as const)
+        : condition.conditionType === 'has_none'
+          ? (['equals', 0] as const)
+          : ([condition.operator || 'greater_than_or_equal', condition.value ?? 0] as const);
+
+    if (nestedFilters.length === 0) {
+      const operation = this._operation(operator, value, 'number');
+      if (!operation) {
+        return this._omit(context, condition, 'The association count has no numeric value', 'Set a count on the condition.');
+      }
+      const { associationTypeId, associationCategory } = this._associationType(related, condition.relatedObject, context);
+      return [
+        {
+          filters: [
+            {
+              filterType: 'NUM_ASSOCIATIONS',
+              associationTypeId,
+              associationCategory,
+              operation: value === 0 ? { ...operation, includeObjectsWithNoValueSet: true } : operation,
+            },
+          ],
+          branches: [],
+        },
+      ];
+    }
+
+    // "Has any matching record" is an association branch; filtered counts are not
+    if (condition.conditionType === 'has_any') {
+      const filters = nestedFilters.flatMap((filter) => {
+        const translated = this._propertyFilter(filter, related);
+        if (!translated) {
+          this._omit(
+            context,
+            filter,
+            `The filter on associated ${condition.relatedObject} records cannot be expressed, so the list matches any associated record`,
+            'Filter on a property type HubSpot lists support.'
+          );
+          return [];
+        }
+        return [translated];
+      });
+      return [{ filters: [], branches: [this._associationBranch(related, condition.relatedObject, filters, context)] }];
+    }
+
+    const relatedName = this.schemaService.toHubSpotName(related?.name || condition.relatedObject);
+    const workflowProperty = this._workflowPropertyName(context.tag, `${relatedName}_count`);
+    const criteria = nestedFilters.map((filter) => describeCondition(filter, context.objects)).join(' and ');
+    context.issues.push({
+      kind: 'workflow_property',
+      condition: describeCondition(condition, context.objects),
+      reason: 'List filters can count associated records, but not only those matching filters',
+      workflow: `Keep ${workflowProperty} (number) on each contact equal to the number of associated ${related?.label || condition.relatedObject} records where ${criteria}, with a workflow on those records that recalculates it when they change. The list filters on ${workflowProperty}.`,
+    });
+
+    const operation = this._operation(operator, value, 'number');
+    return [
+      {
+        filters: operation
+          ? [
+              {
+                filterType: 'PROPERTY',
+                property: workflowProperty,
+                operation: value === 0 ? { ...operation, includeObjectsWithNoValueSet: true } : operation,
+              },
+            ]
+          : [],
+        branches: [],
+      },
+    ];
+  }
+
+  // ========== Filters ==========
+
+  /**
+   * Property filter for a condition on the given object, or null when no
+   * list operation matches
+   * @private
+   */
+  _propertyFilter(condition: PropertyRuleCondition, object: CustomObject | undefined): HubSpotListFilter | null {
+    const fields = (object?.fields || []) as Array<ModelField & { id?: string; apiName?: string }>;
+    const field =
+      (condition.fieldId && fields.find((f) => f.id === condition.fieldId)) ||
+      fields.find((f) => f.name === condition.field);
+    const group = field ? getOperatorGroup(field.dataType || field.type) : this._inferGroup(condition.value);
+
+    const operation = this._operation(condition.operator, condition.value, group);
+    if (!operation) return null;
+
+    return {
+      filterType: 'PROPERTY',
+      property: this.schemaService.toHubSpotName(field?.apiName || field?.name || condition.field),
+      operation,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _operation(
+    operator: PropertyRuleCondition['operator'],
+    value: unknown,
+    group: OperatorGroup
+  ): HubSpotListOperation | null {
+    const includeObjectsWithNoValueSet = NEGATIVE_OPERATORS.includes(operator);
+
+    if (operator === 'is_known' || operator === 'is_unknown') {
+      return {
+        operationType: 'ALL_PROPERTY',
+        operator: operator === 'is_known' ? 'IS_KNOWN' : 'IS_UNKNOWN',
+        includeObjectsWithNoValueSet: operator === 'is_unknown',
+      };
+    }
+
+    if (group === 'date') return this._dateOperation(operator, value);
+
+    if (group === 'number') {
+      if (operator === 'between') {
+        const [lowerBound, upperBound] = Array.isArray(value) ? value.map(Number) : [];
+        if (!Number.isFinite(lowerBound) || !Number.isFinite(upperBound)) return null;
+        return { operationType: 'NUMBER', operator: 'IS_BETWEEN', lowerBound, upperBound, includeObjectsWithNoValueSet };
+      }
+      const number = Number(value);
+      const hubSpotOperator = NUMBER_OPERATORS[operator];
+      if (!hubSpotOperator || value === '' || !Number.isFinite(number)) return null;
+      return { operationType: 'NUMBER', operator: hubSpotOperator, value: number, includeObjectsWithNoValueSet };
+    }
+
+    if (group === 'boolean') {
+      if (operator !== 'equals' && operator !== 'not_equals') return null;
+      return {
+        operationType: 'BOOL',
+        operator: operator === 'equals' ? 'IS_EQUAL_TO' : 'IS_NOT_EQUAL_TO',
+        value: value === true || String(value).toLowerCase() === 'true',
+        includeObjectsWithNoValueSet,
+      };
+    }
+
+    if (group === 'enum' || operator === 'in' || operator === 'not_in') {
+      if (!['equals', 'not_equals', 'in', 'not_in'].includes(operator)) return null;
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      const isPositive = operator === 'equals' || operator === 'in';
+      return group === 'enum'
+        ? { operationType: 'ENUMERATION', operator: isPositive ? 'IS_ANY_OF' : 'IS_NONE_OF', values, includeObjectsWithNoValueSet }
+        : { operationType: 'MULTISTRING', operator: isPositive ? 'IS_EQUAL_TO' : 'IS_NOT_EQUAL_TO', values, includeObjectsWithNoValueSet };
+    }
+
+    const hubSpotOperator = STRING_OPERATORS[operator];
+    if (!hubSpotOperator) return null;
+    return { operationType: 'STRING', operator: hubSpotOperator, value: String(value ?? ''), includeObjectsWithNoValueSet };
+  }
+
+  /**
+   * Date comparisons against calendar days; inclusive bounds move a day out
+   * because HubSpot's before/after are exclusive
+   * @private
+   */
+  _dateOperation(operator: PropertyRuleCondition['operator'], value: unknown): HubSpotListOperation | null {
+    const includeObjectsWithNoValueSet = NEGATIVE_OPERATORS.includes(operator);
+
+    if (operator === 'between') {
+      const [lower, upper] = Array.isArray(value) ? value.map((v) => this._timePoint(v)) : [];
+      if (!lower || !upper) return null;
+      return {
+        operationType: 'TIME_RANGED',
+        operator: 'IS_BETWEEN',
+        lowerBoundTimePoint: lower,
+        upperBoundTimePoint: upper,
+        includeObjectsWithNoValueSet,
+      };
+    }
+
+    const dayShift: Partial<Record<PropertyRuleCondition['operator'], [string, number]>> = {
+      greater_than: ['IS_AFTER', 0],
+      greater_than_or_equal: ['IS_AFTER', -1],
+      less_than: ['IS_BEFORE', 0],
+      less_than_or_equal: ['IS_BEFORE', 1],
+    };
+    const shifted = dayShift[operator];
+    if (shifted) {
+      const timePoint = this._timePoint(value, shifted[1]);
+      return timePoint
+        ? { operationType: 'TIME_POINT', operator: shifted[0], timePoint, includeObjectsWithNoValueSet }
+        : null;
+    }
+
+    if (operator === 'equals' || operator === 'not_equals') {
+      const timePoint = this._timePoint(value);
+      if (!timePoint) return null;
+      return {
+        operationType: 'TIME_RANGED',
+        operator: operator === 'equals' ? 'IS_BETWEEN' : 'IS_NOT_BETWEEN',
+        lowerBoundTimePoint: timePoint,
+        upperBoundTimePoint: timePoint,
+        includeObjectsWithNoValueSet,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _boolFilter(property: string): HubSpotListFilter {
+    return {
+      filterType: 'PROPERTY',
+      property,
+      operation: { operationType: 'BOOL', operator: 'IS_EQUAL_TO', value: true, includeObjectsWithNoValueSet: false },
+    };
+  }
+
+  /**
+   * Branch matching contacts with an associated record that passes the filters
+   * @private
+   */
+  _associationBranch(
+    object: CustomObject | undefined,
+    objectName: string,
+    filters: HubSpotListFilter[],
+    context: ListContext
+  ): HubSpotListFilterBranch {
+    const standard = getStandardObject(object?.hubspotObject);
+    const name = this.schemaService.toHubSpotName(object?.name || objectName);
+
+    return {
+      filterBranchType: 'ASSOCIATION',
+      filterBranchOperator: 'AND',
+      objectTypeId: standard?.objectTypeId ?? this._placeholder(context, 'objectTypeId', name),
+      operator: 'IN_LIST',
+      ...this._associationType(object, objectName, context),
+      filters,
+      filterBranches: [],
+    };
+  }
+
+  /**
+   * @private
+   */
+  _associationType(
+    object: CustomObject | undefined,
+    objectName: string,
+    context: ListContext
+  ): Pick<HubSpotListFilter, 'associationTypeId' | 'associationCategory'> {
+    const name = this.schemaService.toHubSpotName(object?.name || objectName);
+    return {
+      associationTypeId: this._placeholder(context, 'associationTypeId', `contact_to_${name}`),
+      associationCategory: getStandardObject(object?.hubspotObject) ? 'HUBSPOT_DEFINED' : 'USER_DEFINED',
+    };
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Record a condition the list leaves out; returns no branches
+   * @private
+   */
+  _omit(context: ListContext, condition: RuleCondition, reason: string, workflow: string): Conjunct[] {
+    context.issues.push({
+      kind: 'omitted',
+      condition: describeCondition(condition, context.objects),
+      reason,
+      workflow,
+    });
+    return [];
+  }
+
+  /**
+   * Integer occurrence ranges matching a count comparison
+   * @private
+   */
+  _countRanges(operator: NonNullable<ActivityRuleCondition['operator']>, value: number): CountRange[] {
+    const ranges: CountRange[] = (() => {
+      switch (operator) {
+        case 'equals':
+          return [[value, value]];
+        case 'not_equals':
+          return [
+            [0, value - 1],
+            [value + 1, undefined],
+          ];
+        case 'greater_than':
+          return [[Math.floor(value) + 1, undefined]];
+        case 'less_than':
+          return [[0, Math.ceil(value) - 1]];
+        case 'less_than_or_equal':
+          return [[0, Math.floor(value)]];
+        default:
+          return [[Math.ceil(value), undefined]];
+      }
+    })();
+
+    return ranges
+      .map(([min, max]): CountRange => [Math.max(0, min), max])
+      .filter(([min, max]) => max === undefined || max >= min);
+  }
+
+  /**
+   * @private
+   */
+  _timePoint(value: unknown, dayOffset = 0): HubSpotListTimePoint | null {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ''));
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset));
+    return {
+      timeType: 'DATE',
+      timezoneSource: 'CUSTOM',
+      zoneId: 'UTC',
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _inferGroup(value: unknown): OperatorGroup {
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    if (Array.isArray(value)) return value.every((item) => typeof item === 'number') ? 'number' : 'text';
+    return 'text';
+  }
+
+  /**
+   * @private
+   */
+  _findObject(objects: CustomObject[], name: string): CustomObject | undefined {
+    const key = normalizeObjectName(name);
+    return objects.find(
+      (obj) => normalizeObjectName(obj.name) === key || normalizeObjectName(obj.label || '') === key
+    );
+  }
+
+  /**
+   * @private
+   */
+  _isMemberObject(object: CustomObject | undefined, name: string): boolean {
+    if (object?.hubspotObject === 'contacts') return true;
+    return MEMBER_OBJECT_ALIASES.includes(normalizeObjectName(object?.name || name));
+  }
+
+  /**
+   * Contact property a workflow maintains on the tag's behalf
+   * @private
+   */
+  _workflowPropertyName(tag: Tag, suffix: string): string {
+    return this.schemaService.toHubSpotName(`tag_${tag.name}_${suffix}`);
+  }
+
+  /**
+   * @private
+   */
+  _placeholder(context: ListContext, kind: string, name: string): string {
+    const placeholder = `{{${kind}:${name}}}`;
+    context.placeholders.add(placeholder);
+    return placeholder;
+  }
+}
+
+// Create and export a singleton instance
+const hubSpotListService = new HubSpotListService();
+
+export { hubSpotListService, HubSpotListService };
+export default hubSpotListService;
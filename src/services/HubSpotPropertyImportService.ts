@@ -0,0 +1,149 @@
+import hubSpotSchemaService, { HubSpotSchemaService } from './HubSpotSchemaService';
+import type { ModelField } from './HubSpotSchemaService';
+import { getStandardObject } from '../data/hubspotStandardObjects';
+import type { HubSpotStandardObject } from '../data/hubspotStandardObjects';
+import { toCsv } from '../utils/csv';
+import type { DataModel } from '../types/project';
+import type {
+  HubSpotPropertyImport,
+  HubSpotPropertyImportRow,
+  HubSpotSchemaWarning,
+} from '../types/hubspot';
+
+const CSV_HEADERS = [
+  'Object type',
+  'Group name',
+  'Group label',
+  'Label',
+  'Internal name',
+  'Type',
+  'Field type',
+  'Description',
+  'Option labels',
+  'Option values',
+  'Source',
+];
+
+// Separator HubSpot's property import expects between option labels and values
+const OPTION_SEPARATOR = ';';
+
+/**
+ * HubSpot Property Import Service
+ *
+ * Builds HubSpot's property-import CSV for data model objects mapped to a
+ * standard object (contacts, companies, deals). Each object becomes a
+ * property group and each field a property; fields that would collide with
+ * a default HubSpot property are reported instead of exported.
+ */
+class HubSpotPropertyImportService {
+  schemaService: HubSpotSchemaService;
+
+  constructor(schemaService: HubSpotSchemaService = hubSpotSchemaService) {
+    this.schemaService = schemaService;
+  }
+
+  /**
+   * Collect property rows and warnings for every standard-object mapping
+   */
+  buildPropertyImport(dataModel: DataModel): HubSpotPropertyImport {
+    const rows: HubSpotPropertyImportRow[] = [];
+    const warnings: HubSpotSchemaWarning[] = [];
+    // objectType.propertyName → the field that claimed it first
+    const claimed = new Map<string, string>();
+
+    (dataModel.objects || []).forEach((object) => {
+      const standard = getStandardObject(object.hubspotObject);
+      if (!standard) return;
+
+      const groupName = this.schemaService.toHubSpotName(object.apiName || object.name);
+      const groupLabel = (object.label || object.name).replace(/\s+object$/i, '').trim() || object.name;
+
+      ((object.fields || []) as Array<ModelField & { apiName?: string }>).forEach((field) => {
+        const warn = (message: string) =>
+          warnings.push({ objectName: object.name, field: field.name, message });
+        const property = this.schemaService.translateField(
+          { ...field, name: field.apiName || field.name },
+          warn
+        );
+
+        const defaultProperty = this._findDefaultProperty(property.name, standard);
+        if (defaultProperty === property.name) {
+          warn(
+            `"${property.name}" is a default HubSpot ${standard.label.toLowerCase()} property and was not exported; map the field to the existing property`
+          );
+          return;
+        }
+        if (defaultProperty) {
+          warn(
+            `"${property.name}" looks like the default ${standard.label.toLowerCase()} property "${defaultProperty}"; consider mapping to it instead`
+          );
+        }
+
+        const key = `${standard.type}.${property.name}`;
+        const claimedBy = claimed.get(key);
+        if (claimedBy) {
+          warn(`"${property.name}" is already exported to ${standard.label} from ${claimedBy} and was skipped`);
+          return;
+        }
+        claimed.set(key, `${object.name}.${field.name}`);
+
+        rows.push({
+          objectType: standard.type,
+          groupName,
+          groupLabel,
+          name: property.name,
+          label: property.label,
+          type: property.type,
+          fieldType: property.fieldType,
+          description: property.description || '',
+          options: property.options || [],
+          sourceObject: object.name,
+          sourceField: field.name,
+        });
+      });
+    });
+
+    return { rows, warnings };
+  }
+
+  /**
+   * Render rows as CSV, one property per line
+   */
+  toCsv(importData: HubSpotPropertyImport): string {
+    return toCsv(
+      CSV_HEADERS,
+      importData.rows.map((row) => [
+        row.objectType,
+        row.groupName,
+        row.groupLabel,
+        row.label,
+        row.name,
+        row.type,
+        row.fieldType,
+        row.description,
+        row.options.map((option) => option.label).join(OPTION_SEPARATOR),
+        row.options.map((option) => option.value).join(OPTION_SEPARATOR),
+        `${row.sourceObject}.${row.sourceField}`,
+      ])
+    );
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Default property with the same name, or the same name once underscores
+   * are ignored (first_name vs firstname)
+   * @private
+   */
+  _findDefaultProperty(name: string, standard: HubSpotStandardObject): string | undefined {
+    if (standard.defaultProperties.includes(name)) return name;
+    const compact = name.replace(/_/g, '');
+    return standard.defaultProperties.find((property) => property.replace(/_/g, '') === compact);
+  }
+}
+
+// Create and export a singleton instance
+const hubSpotPropertyImportService = new HubSpotPropertyImportService();
+
+export { hubSpotPropertyImportService, HubSpotPropertyImportService };
+export default hubSpotPropertyImportService;
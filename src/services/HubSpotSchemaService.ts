@@ -0,0 +1,343 @@
+import { collectAssociations, getAssociationTypeName } from '../utils/associations';
+import { getStandardObject } from '../data/hubspotStandardObjects';
+import type { CustomObject, DataModel } from '../types/project';
+import type {
+  HubSpotFieldType,
+  HubSpotPropertyType,
+  HubSpotPropertyDefinition,
+  HubSpotObjectSchema,
+  HubSpotAssociationDefinition,
+  HubSpotSchemaWarning,
+  HubSpotSchemaExport,
+} from '../types/hubspot';
+
+// Data model field as stored (the app-level CustomField type is looser)
+export interface ModelField {
+  name: string;
+  label?: string;
+  description?: string;
+  dataType?: string;
+  type?: string;
+  fieldType?: string;
+  required?: boolean;
+  unique?: boolean;
+  indexed?: boolean;
+  options?: Array<{ label: string; value: string; isDefault?: boolean }>;
+}
+
+// Our dataType → HubSpot property type and field type
+const DATA_TYPE_MAP: Record<string, { type: HubSpotPropertyType; fieldType: HubSpotFieldType }> = {
+  text: { type: 'string', fieldType: 'text' },
+  multiline_text: { type: 'string', fieldType: 'textarea' },
+  number: { type: 'number', fieldType: 'number' },
+  currency: { type: 'number', fieldType: 'number' },
+  date: { type: 'date', fieldType: 'date' },
+  datetime: { type: 'datetime', fieldType: 'date' },
+  boolean: { type: 'bool', fieldType: 'booleancheckbox' },
+  enumeration: { type: 'enumeration', fieldType: 'select' },
+  email: { type: 'string', fieldType: 'text' },
+  phone: { type: 'string', fieldType: 'phonenumber' },
+  url: { type: 'string', fieldType: 'text' },
+};
+
+// HubSpot rejects bool properties without explicit options
+const BOOLEAN_OPTIONS = [
+  { label: 'Yes', value: 'true', displayOrder: 0, hidden: false },
+  { label: 'No', value: 'false', displayOrder: 1, hidden: false },
+];
+
+// HubSpot allows at most this many unique-value properties per object
+const MAX_UNIQUE_PROPERTIES = 10;
+
+const HUBSPOT_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * HubSpot Schema Service
+ *
+ * Translates data model objects into HubSpot CRM v3 custom object schema
+ * payloads (POST /crm/v3/schemas). Custom-to-custom associations cannot be
+ * declared until both objects exist, so they are returned separately along
+ * with warnings for anything HubSpot would reject or change.
+ */
+class HubSpotSchemaService {
+  /**
+   * Build schema payloads for every data model object created as a custom
+   * object. Objects mapped to a standard object are skipped; associations to
+   * them are declared through the custom schema's associatedObjects.
+   */
+  buildSchemas(
+    dataModel: DataModel,
+    standardAssociations: string[] = ['CONTACT']
+  ): HubSpotSchemaExport {
+    const objects = dataModel.objects || [];
+    const objectsById = new Map(objects.map((obj) => [obj.id, obj]));
+    const modelAssociations = collectAssociations(dataModel);
+
+    const standardLinks = new Map<string, string[]>();
+    modelAssociations.forEach((association) => {
+      const from = objectsById.get(association.fromObjectId);
+      const to = objectsById.get(association.toObjectId);
+      if (!from || !to) return;
+      const fromStandard = getStandardObject(from.hubspotObject);
+      const toStandard = getStandardObject(to.hubspotObject);
+      // Associations between standard objects already exist in HubSpot
+      if (!fromStandard === !toStandard) return;
+      const customObject = fromStandard ? to : from;
+      const standard = (fromStandard || toStandard)!;
+      standardLinks.set(customObject.id, [
+        ...(standardLinks.get(customObject.id) || []),
+        standard.associationType,
+      ]);
+    });
+
+    const warnings: HubSpotSchemaWarning[] = [];
+    const schemas = objects
+      .filter((object) => !getStandardObject(object.hubspotObject))
+      .map((object) =>
+        this.buildSchema(
+          object,
+          [...new Set([...standardAssociations, ...(standardLinks.get(object.id) || [])])],
+          warnings
+        )
+      );
+
+    const associations: HubSpotAssociationDefinition[] = [];
+    modelAssociations.forEach((association) => {
+      const from = objectsById.get(association.fromObjectId);
+      const to = objectsById.get(association.toObjectId);
+      if (!from || !to) {
+        warnings.push({
+          objectName: from?.name || to?.name || association.fromObjectId,
+          message: `Association "${association.label}" references an object that no longer exists and was skipped`,
+        });
+        return;
+      }
+      if (getStandardObject(from.hubspotObject) || getStandardObject(to.hubspotObject)) return;
+      associations.push({
+        name: this.toHubSpotName(getAssociationTypeName(from, to)),
+        fromObject: from.name,
+        toObject: to.name,
+        label: association.label,
+      });
+    });
+
+    return { schemas, associations, warnings };
+  }
+
+  /**
+   * Build the schema payload for a single object
+   */
+  buildSchema(
+    object: CustomObject,
+    standardAssociations: string[] = ['CONTACT'],
+    warnings: HubSpotSchemaWarning[] = []
+  ): HubSpotObjectSchema {
+    const objectName = this.toHubSpotName(object.name);
+    const fields = (object.fields || []) as ModelField[];
+    const warn = (message: string, field?: string) => warnings.push({ objectName, field, message });
+
+    if (objectName !== object.name) {
+      warn(`Object name "${object.name}" will be created as "${objectName}"`);
+    }
+
+    const properties = fields.map((field) =>
+      this.translateField(field, (message) => warn(message, field.name))
+    );
+
+    const uniqueCount = properties.filter((p) => p.hasUniqueValue).length;
+    if (uniqueCount > MAX_UNIQUE_PROPERTIES) {
+      warn(
+        `${uniqueCount} properties are marked unique; HubSpot allows ${MAX_UNIQUE_PROPERTIES} per object`
+      );
+    }
+
+    const primaryDisplayProperty = this._pickPrimaryDisplayProperty(properties, fields);
+    if (!primaryDisplayProperty) {
+      warn('No text property to use as the primary display property; add one before creating the object');
+    }
+
+    const singular = (object.label || object.name).replace(/\s+object$/i, '').trim() || object.name;
+
+    return {
+      name: objectName,
+      ...(object.description ? { description: object.description } : {}),
+      labels: { singular, plural: this._pluralize(singular) },
+      primaryDisplayProperty: primaryDisplayProperty || '',
+      secondaryDisplayProperties: properties
+        .filter((p) => p.type === 'string' && p.name !== primaryDisplayProperty)
+        .filter((p) => fields.find((f) => this.toHubSpotName(f.name) === p.name)?.indexed)
+        .slice(0, 2)
+        .map((p) => p.name),
+      requiredProperties: fields
+        .filter((field) => field.required)
+        .map((field) => this.toHubSpotName(field.name)),
+      searchableProperties: properties
+        .filter((p) => p.type === 'string' || p.type === 'number')
+        .filter((p) => fields.find((f) => this.toHubSpotName(f.name) === p.name)?.indexed)
+        .map((p) => p.name),
+      properties,
+      associatedObjects: standardAssociations,
+    };
+  }
+
+  /**
+   * Translate one data model field to a HubSpot property definition
+   */
+  translateField(
+    field: ModelField,
+    warn: (message: string) => void = () => {}
+  ): HubSpotPropertyDefinition {
+    const dataType = field.dataType || field.type || 'text';
+    const mapping = DATA_TYPE_MAP[dataType];
+    if (!mapping) {
+      warn(`Unsupported data type "${dataType}"; exported as a text property`);
+    }
+    const { type, fieldType } = mapping || DATA_TYPE_MAP.text!;
+
+    const name = this.toHubSpotName(field.name);
+    if (name !== field.name) {
+      warn(`Property name "${field.name}" will be created as "${name}"`);
+    }
+    if (name.startsWith('hs_')) {
+      warn('Property names starting with "hs_" are reserved by HubSpot');
+    }
+    if (field.fieldType === 'calculated' || field.fieldType === 'lookup') {
+      warn(`${field.fieldType} fields are exported as plain properties; configure the logic in HubSpot`);
+    }
+
+    const property: HubSpotPropertyDefinition = {
+      name,
+      label: field.label || field.name,
+      type,
+      fieldType,
+      ...(field.description ? { description: field.description } : {}),
+    };
+
+    if (type === 'bool') {
+      property.options = BOOLEAN_OPTIONS;
+    } else if (type === 'enumeration') {
+      property.options = (field.options || []).map((option, index) => ({
+        label: option.label,
+        value: option.value,
+        displayOrder: index,
+        hidden: false,
+      }));
+      if (property.options.length === 0) {
+        warn('Enumeration properties need at least one option');
+      }
+    }
+
+    if (dataType === 'currency') {
+      property.showCurrencySymbol = true;
+    }
+
+    if (field.unique) {
+      if (type === 'string' || type === 'number') {
+        property.hasUniqueValue = true;
+      } else {
+        warn('HubSpot only supports unique values on text and number properties');
+      }
+    }
+
+    return property;
+  }
+
+  /**
+   * Normalize a name to HubSpot's lowercase letters, digits and underscores
+   */
+  toHubSpotName(name: string): string {
+    const normalized = name
+      .toLowerCase()
+      .replace(/[^a-z0-9_]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return HUBSPOT_NAME_PATTERN.test(normalized) ? normalized : `p_${normalized}`;
+  }
+
+  /**
+   * Shell script that creates every schema, then the custom associations,
+   * using the object type IDs HubSpot returns. Requires curl and jq.
+   */
+  buildCreateScript(exportData: HubSpotSchemaExport, projectName: string): string {
+    const variable = (objectName: string) => `${objectName}_type_id`;
+    const lines = [
+      '#!/usr/bin/env bash',
+      `# Creates HubSpot custom objects for ${projectName.replace(/\r?\n/g, ' ')}`,
+      '# Usage: HUBSPOT_TOKEN=<private app token with crm.schemas.custom.write> ./create-hubspot-schemas.sh',
+      'set -euo pipefail',
+      ': "${HUBSPOT_TOKEN:?Set HUBSPOT_TOKEN to a private app access token}"',
+      'API="https://api.hubapi.com/crm/v3/schemas"',
+      '',
+      'create_schema() {',
+      '  curl -sS --fail-with-body -X POST "$API" \\',
+      '    -H "Authorization: Bearer $HUBSPOT_TOKEN" \\',
+      '    -H "Content-Type: application/json" \\',
+      '    --data-binary @- | jq -r \'.objectTypeId\'',
+      '}',
+    ];
+
+    exportData.schemas.forEach((schema) => {
+      lines.push(
+        '',
+        `${variable(schema.name)}=$(create_schema <<'JSON'`,
+        JSON.stringify(schema, null, 2),
+        'JSON',
+        ')',
+        `echo "Created ${schema.name}: $${variable(schema.name)}"`
+      );
+    });
+
+    if (exportData.associations.length > 0) {
+      lines.push('', '# Associations between custom objects');
+    }
+    exportData.associations.forEach((association) => {
+      const from = `$${variable(association.fromObject)}`;
+      const to = `$${variable(association.toObject)}`;
+      lines.push(
+        `curl -sS --fail-with-body -X POST "$API/${from}/associations" \\`,
+        '  -H "Authorization: Bearer $HUBSPOT_TOKEN" \\',
+        '  -H "Content-Type: application/json" \\',
+        `  --data "{\\"fromObjectTypeId\\":\\"${from}\\",\\"toObjectTypeId\\":\\"${to}\\",\\"name\\":\\"${association.name}\\"}" > /dev/null`,
+        `echo "Associated ${association.fromObject} → ${association.toObject}"`
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Prefer a required unique text property, then any required text property,
+   * then the first text property
+   * @private
+   */
+  _pickPrimaryDisplayProperty(
+    properties: HubSpotPropertyDefinition[],
+    fields: ModelField[]
+  ): string | undefined {
+    const textProperties = properties.filter((p) => p.type === 'string');
+    const isRequired = (p: HubSpotPropertyDefinition) =>
+      fields.some((f) => this.toHubSpotName(f.name) === p.name && f.required);
+
+    return (
+      textProperties.find((p) => p.hasUniqueValue && isRequired(p)) ||
+      textProperties.find(isRequired) ||
+      textProperties[0]
+    )?.name;
+  }
+
+  /**
+   * @private
+   */
+  _pluralize(word: string): string {
+    if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+    if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+    return `${word}s`;
+  }
+}
+
+// Create and export a singleton instance
+const hubSpotSchemaService = new HubSpotSchemaService();
+
+export { hubSpotSchemaService, HubSpotSchemaService };
+export default hubSpotSchemaService;
@@ -0,0 +1,282 @@
+import { CLIENT_PROFILE_SECTIONS, formatProfileValue } from '../data/clientProfileOptions';
+import {
+  describeCondition,
+  describeRuleLogic,
+  TAG_BEHAVIOR_LABELS,
+  TAG_CATEGORY_TITLES,
+} from '../utils/ruleFormatting';
+import { collectAssociations, ASSOCIATION_TYPE_LABELS } from '../utils/associations';
+import type { DataModelAssociation } from '../utils/associations';
+import type { Project, CustomObject, CustomEventDefinition } from '../types/project';
+import { isRuleGroup } from '../utils/ruleTree';
+import type { Tag, TagCategory, RuleNode } from '../types/tag';
+
+interface SpecField {
+  name: string;
+  label?: string;
+  dataType?: string;
+  type?: string;
+  fieldType?: string;
+  required?: boolean;
+  unique?: boolean;
+  indexed?: boolean;
+  options?: Array<{ label: string; value: string; isDefault?: boolean }>;
+}
+
+/**
+ * Markdown Specification Service
+ *
+ * Renders a project as a Markdown handoff document for the implementation
+ * team: client profile, custom objects with field tables, associations, the
+ * custom event registry, and every tag with its qualification rules written
+ * out in plain language.
+ */
+class MarkdownSpecService {
+  /**
+   * Generate the full specification document
+   */
+  generateSpecification(
+    project: Partial<Project> & { name: string },
+    generatedAt: Date = new Date()
+  ): string {
+    const objects = (project.dataModel?.objects || []) as CustomObject[];
+    const tags = [...(project.tags?.library || []), ...(project.tags?.custom || [])];
+
+    const sections = [
+      `# ${project.name} — Implementation Specification`,
+      `_Generated ${generatedAt.toISOString().slice(0, 10)}_`,
+      [
+        '## Contents',
+        '',
+        '1. [Client Profile](#client-profile)',
+        '2. [Data Model](#data-model)',
+        '3. [Custom Events](#custom-events)',
+        '4. [Tags](#tags)',
+      ].join('\n'),
+      this._renderClientProfile(project),
+      this._renderDataModel(objects, collectAssociations(project.dataModel)),
+      this._renderCustomEvents(project.customEvents || []),
+      this._renderTags(tags, objects),
+    ];
+
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  // ========== Sections ==========
+
+  /**
+   * @private
+   */
+  _renderClientProfile(project: Partial<Project>): string {
+    const lines = ['## Client Profile'];
+
+    CLIENT_PROFILE_SECTIONS.forEach((section) => {
+      const values = (project.clientProfile?.[section.source] || {}) as Record<string, unknown>;
+      const rows = section.fields
+        .map((field) => [field.label, formatProfileValue(field, values[field.name])])
+        .filter(([, value]) => value !== '');
+
+      lines.push('', `### ${section.title}`, '');
+      lines.push(rows.length > 0 ? this._table(['Field', 'Value'], rows) : '_Not provided_');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _renderDataModel(objects: CustomObject[], associations: DataModelAssociation[]): string {
+    const lines = ['## Data Model'];
+
+    if (objects.length === 0) {
+      lines.push('', '_No custom objects defined._');
+    }
+
+    objects.forEach((object) => {
+      const typed = object as CustomObject & { apiName?: string };
+      const fields = (object.fields || []) as SpecField[];
+
+      lines.push('', `### ${object.label || object.name}`, '');
+      if (object.description) lines.push(object.description, '');
+      lines.push(
+        `- **Internal name:** \`${object.name}\``,
+        ...(typed.apiName ? [`- **API name:** \`${typed.apiName}\``] : []),
+        `- **Fields:** ${fields.length}`,
+        ''
+      );
+
+      lines.push(
+        fields.length > 0
+          ? this._table(
+              ['Name', 'Label', 'Data Type', 'Field Type', 'Required', 'Unique', 'Indexed', 'Options'],
+              fields.map((field) => [
+                `\`${field.name}\``,
+                field.label || '',
+                field.dataType || field.type || '',
+                field.fieldType || 'standard',
+                this._yesNo(field.required),
+                this._yesNo(field.unique),
+                this._yesNo(field.indexed),
+                this._formatOptions(field.options),
+              ])
+            )
+          : '_No fields defined._'
+      );
+    });
+
+    lines.push('', '### Associations', '');
+    if (associations.length === 0) {
+      lines.push('_No associations defined._');
+    } else {
+      const names = new Map(objects.map((obj) => [obj.id, obj.label || obj.name]));
+      lines.push(
+        this._table(
+          ['From', 'To', 'Type', 'Label'],
+          associations.map((association) => [
+            names.get(association.fromObjectId) || association.fromObjectId,
+            names.get(association.toObjectId) || association.toObjectId,
+            ASSOCIATION_TYPE_LABELS[association.type] || association.type,
+            association.label,
+          ])
+        )
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _renderCustomEvents(events: CustomEventDefinition[]): string {
+    const lines = ['## Custom Events'];
+
+    if (events.length === 0) {
+      lines.push('', '_No custom events registered._');
+    }
+
+    events.forEach((event) => {
+      lines.push('', `### ${event.label}`, '');
+      if (event.description) lines.push(event.description, '');
+      lines.push(`- **Internal name:** \`${event.name}\``, '');
+
+      lines.push(
+        event.properties.length > 0
+          ? this._table(
+              ['Name', 'Label', 'Type', 'Description', 'Options'],
+              event.properties.map((property) => [
+                `\`${property.name}\``,
+                property.label,
+                property.type,
+                property.description,
+                this._formatOptions(property.options),
+              ])
+            )
+          : '_No properties defined._'
+      );
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _renderTags(tags: Tag[], objects: CustomObject[]): string {
+    const lines = ['## Tags'];
+
+    if (tags.length === 0) {
+      lines.push('', '_No tags selected._');
+      return lines.join('\n');
+    }
+
+    const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+
+    (Object.keys(TAG_CATEGORY_TITLES) as TagCategory[]).forEach((category) => {
+      const categoryTags = tags.filter((tag) => tag.category === category);
+      if (categoryTags.length === 0) return;
+
+      lines.push('', `### ${TAG_CATEGORY_TITLES[category]}`);
+
+      categoryTags.forEach((tag) => {
+        const dependencies = (tag.dependencies || []).map((id) => tagNames.get(id) || id);
+        const rules = tag.qualificationRules;
+
+        lines.push('', `#### ${tag.name}`, '', tag.description, '');
+        lines.push(
+          `- **Behavior:** ${TAG_BEHAVIOR_LABELS[tag.behavior] || tag.behavior}${
+            tag.isPermanent ? ' (permanent)' : ''
+          }`,
+          `- **Source:** ${tag.isCustom ? 'Custom' : 'Library'}`,
+          ...(dependencies.length > 0 ? [`- **Depends on:** ${dependencies.join(', ')}`] : []),
+          ''
+        );
+
+        if (!rules?.conditions?.length) {
+          lines.push('_No qualification rules defined._');
+          return;
+        }
+
+        lines.push(`**Qualification rules** — ${describeRuleLogic(rules).toLowerCase()}:`, '');
+        lines.push(...this._ruleLines(rules.conditions, objects));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Numbered rule list; condition groups become a nested list under their logic
+   * @private
+   */
+  _ruleLines(nodes: RuleNode[], objects: CustomObject[], depth: number = 0): string[] {
+    const indent = '   '.repeat(depth);
+    return nodes.flatMap((node, index) =>
+      isRuleGroup(node)
+        ? [
+            `${indent}${index + 1}. ${describeRuleLogic(node)}:`,
+            ...this._ruleLines(node.conditions, objects, depth + 1),
+          ]
+        : [`${indent}${index + 1}. ${describeCondition(node, objects)}`]
+    );
+  }
+
+  /**
+   * @private
+   */
+  _formatOptions(options: SpecField['options']): string {
+    if (!options?.length) return '';
+    return options
+      .map((opt) => `${opt.label} (\`${opt.value}\`)${opt.isDefault ? ' — default' : ''}`)
+      .join('<br>');
+  }
+
+  /**
+   * @private
+   */
+  _yesNo(value: boolean | undefined): string {
+    return value ? 'Yes' : 'No';
+  }
+
+  /**
+   * Render a Markdown table, escaping pipes and newlines in cells
+   * @private
+   */
+  _table(headers: string[], rows: string[][]): string {
+    const escape = (cell: string) => cell.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    return [
+      `| ${headers.map(escape).join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map((row) => `| ${row.map(escape).join(' | ')} |`),
+    ].join('\n');
+  }
+}
+
+// Create and export a singleton instance
+const markdownSpecService = new MarkdownSpecService();
+
+export { markdownSpecService, MarkdownSpecService };
+export default markdownSpecService;
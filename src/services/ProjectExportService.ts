@@ -0,0 +1,148 @@
+import validationService, { ValidationService } from './ValidationService';
+import { generateId } from '../utils/idGenerator';
+import {
+  PROJECT_EXPORT_FORMAT,
+  PROJECT_EXPORT_VERSION,
+  projectExportHeaderSchema,
+} from '../schemas/projectExportSchema';
+import type { ProjectExport, ExportedProject } from '../schemas/projectExportSchema';
+import type { Project } from '../types/project';
+import type { ValidationError } from '../types/validation';
+
+export interface ProjectImportResult {
+  data: ExportedProject | null;
+  error: string | null;
+  validationErrors: ValidationError[];
+}
+
+/**
+ * Project Export Service
+ *
+ * Serializes a whole project (client profile, data model, tags, journeys,
+ * simulator scenarios and custom event registry) to a versioned JSON
+ * document, and parses such documents back into data for
+ * projectRepository.createProject. Used to move projects between Supabase
+ * instances and between machines.
+ */
+class ProjectExportService {
+  validator: ValidationService;
+
+  constructor(validator: ValidationService = validationService) {
+    this.validator = validator;
+  }
+
+  /**
+   * Wrap project data in a versioned export document
+   */
+  buildExport(project: Partial<Project> & { name: string; status?: string }): ProjectExport {
+    const document = {
+      format: PROJECT_EXPORT_FORMAT,
+      version: PROJECT_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      project: {
+        id: project.id,
+        name: project.name,
+        status: project.status,
+        clientProfile: {
+          basicInfo: project.clientProfile?.basicInfo || {},
+          integrationSpecs: project.clientProfile?.integrationSpecs || {},
+        },
+        dataModel: {
+          objects: project.dataModel?.objects || [],
+          fields: project.dataModel?.fields || [],
+          mappings: project.dataModel?.mappings || [],
+          associations: project.dataModel?.associations || [],
+        },
+        tags: {
+          library: project.tags?.library || [],
+          custom: project.tags?.custom || [],
+        },
+        journeys: project.journeys || [],
+        scenarios: project.scenarios || [],
+        customEvents: project.customEvents || [],
+        createdAt: project.createdAt,
+      },
+    };
+
+    // App types are looser than the export schema; the schema is enforced on import
+    return document as unknown as ProjectExport;
+  }
+
+  /**
+   * Serialize project data to export file contents
+   */
+  serializeProject(project: Partial<Project> & { name: string; status?: string }): string {
+    return JSON.stringify(this.buildExport(project), null, 2);
+  }
+
+  /**
+   * Build a download file name like "first-community-cu-2026-10-19.json"
+   */
+  getExportFilename(projectName: string, extension: string = 'json'): string {
+    const slug =
+      projectName
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'project';
+    return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  /**
+   * Parse and validate export file contents
+   */
+  parseProjectExport(text: string): ProjectImportResult {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      return { data: null, error: 'The file is not valid JSON', validationErrors: [] };
+    }
+
+    const header = projectExportHeaderSchema.safeParse(parsed);
+    if (!header.success) {
+      return { data: null, error: 'This file is not a project export', validationErrors: [] };
+    }
+
+    // Older versions would be upgraded here once the format changes
+    if (header.data.version > PROJECT_EXPORT_VERSION) {
+      return {
+        data: null,
+        error: `This file uses export format version ${header.data.version}, which is newer than this app supports (${PROJECT_EXPORT_VERSION}). Update the app and try again.`,
+        validationErrors: [],
+      };
+    }
+
+    const validation = this.validator.validateProjectExport(parsed);
+    if (!validation.valid) {
+      return {
+        data: null,
+        error: 'Project file validation failed',
+        validationErrors: validation.errors,
+      };
+    }
+
+    return { data: validation.data.project, error: null, validationErrors: [] };
+  }
+
+  /**
+   * Turn imported project data into a new project with its own ID
+   */
+  toNewProject(exported: ExportedProject, name: string = exported.name): Partial<Project> {
+    const now = new Date().toISOString();
+    const { id: _sourceId, ...project } = exported;
+
+    return {
+      ...project,
+      id: generateId(),
+      name,
+      createdAt: now,
+      savedAt: now,
+    } as unknown as Partial<Project>;
+  }
+}
+
+// Create and export a singleton instance
+const projectExportService = new ProjectExportService();
+
+export { projectExportService, ProjectExportService };
+export default projectExportService;
@@ -5,7 +5,7 @@
  * until it can be fully migrated to TypeScript.
  */
 
-import { Project, CustomObject, CustomField } from '../types/project';
+import { Project, CustomObject, CustomField, Association, FieldMappingSet } from '../types/project';
 
 export interface RepositoryResponse<T> {
   data: T | null;
@@ -73,6 +73,36 @@ export interface ProjectRepository {
    * Delete a field from a custom object
    */
   deleteField(projectId: string, objectId: string, fieldId: string): Promise<RepositoryResponse<boolean>>;
+
+  /**
+   * Add an association between two objects
+   */
+  addAssociation(projectId: string, associationData: Association): Promise<RepositoryResponse<Association>>;
+
+  /**
+   * Update an association
+   */
+  updateAssociation(projectId: string, associationId: string, updates: Partial<Association>): Promise<RepositoryResponse<Association>>;
+
+  /**
+   * Delete an association
+   */
+  deleteAssociation(projectId: string, associationId: string): Promise<RepositoryResponse<Association>>;
+
+  /**
+   * Add a core export file mapping
+   */
+  addFieldMapping(projectId: string, mappingData: FieldMappingSet): Promise<RepositoryResponse<FieldMappingSet>>;
+
+  /**
+   * Update a field mapping
+   */
+  updateFieldMapping(projectId: string, mappingId: string, updates: Partial<FieldMappingSet>): Promise<RepositoryResponse<FieldMappingSet>>;
+
+  /**
+   * Delete a field mapping
+   */
+  deleteFieldMapping(projectId: string, mappingId: string): Promise<RepositoryResponse<FieldMappingSet>>;
 }
 
 declare const projectRepository: ProjectRepository;
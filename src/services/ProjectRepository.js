@@ -2,6 +2,7 @@ import LocalStorageAdapter from './adapters/LocalStorageAdapter';
 import SupabaseAdapter from './adapters/SupabaseAdapter';
 import validationService from './ValidationService';
 import errorTracker from './errorTracking';
+import { migrateTagRules } from '../utils/ruleTree';
 
 /**
  * Project Repository
@@ -48,7 +49,10 @@ class ProjectRepository {
    * @returns {Promise<{data: Array, error: Error|null}>}
    */
   async getAllProjects() {
-    return await this.adapter.getAllProjects();
+    const result = await this.adapter.getAllProjects();
+    if (result.error || !Array.isArray(result.data)) return result;
+
+    return { ...result, data: result.data.map((project) => this._migrateProject(project)) };
   }
 
   /**
@@ -57,7 +61,10 @@ class ProjectRepository {
    * @returns {Promise<{data: Object|null, error: Error|null}>}
    */
   async getProject(projectId) {
-    return await this.adapter.getProject(projectId);
+    const result = await this.adapter.getProject(projectId);
+    if (result.error || !result.data) return result;
+
+    return { ...result, data: this._migrateProject(result.data) };
   }
 
   /**
@@ -90,6 +97,30 @@ class ProjectRepository {
       }
     }
 
+    // Validate simulator scenarios if present
+    if (projectData.scenarios) {
+      const scenarioValidation = this.validator.validateScenarios(projectData.scenarios);
+      if (!scenarioValidation.valid) {
+        return {
+          data: null,
+          error: new Error('Scenario validation failed'),
+          validationErrors: scenarioValidation.errors,
+        };
+      }
+    }
+
+    // Validate custom event registry if present
+    if (projectData.customEvents) {
+      const eventValidation = this.validator.validateCustomEvents(projectData.customEvents);
+      if (!eventValidation.valid) {
+        return {
+          data: null,
+          error: new Error('Custom event validation failed'),
+          validationErrors: eventValidation.errors,
+        };
+      }
+    }
+
     return await this.adapter.createProject(projectData);
   }
 
@@ -124,6 +155,30 @@ class ProjectRepository {
       }
     }
 
+    // Validate simulator scenarios if present in updates
+    if (updates.scenarios) {
+      const scenarioValidation = this.validator.validateScenarios(updates.scenarios);
+      if (!scenarioValidation.valid) {
+        return {
+          data: null,
+          error: new Error('Scenario validation failed'),
+          validationErrors: scenarioValidation.errors,
+        };
+      }
+    }
+
+    // Validate custom event registry if present in updates
+    if (updates.customEvents) {
+      const eventValidation = this.validator.validateCustomEvents(updates.customEvents);
+      if (!eventValidation.valid) {
+        return {
+          data: null,
+          error: new Error('Custom event validation failed'),
+          validationErrors: eventValidation.errors,
+        };
+      }
+    }
+
     return await this.adapter.updateProject(projectId, updates);
   }
 
@@ -324,6 +379,296 @@ class ProjectRepository {
   async duplicateCustomObject(projectId, objectId) {
     return await this.adapter.duplicateCustomObject(projectId, objectId);
   }
+
+  /**
+   * Add an association between two objects in a project's data model
+   * @param {string} projectId - Project UUID
+   * @param {Object} associationData - Association data
+   * @returns {Promise<{data: Object|null, error: Error|null, validationErrors: Array}>}
+   */
+  async addAssociation(projectId, associationData) {
+    const validation = this.validator.validateAssociation(associationData);
+    if (!validation.valid) {
+      return {
+        data: null,
+        error: new Error('Association validation failed'),
+        validationErrors: validation.errors,
+      };
+    }
+
+    const { data: project, error: fetchError } = await this.adapter.getProject(
+      projectId
+    );
+    if (fetchError) {
+      return { data: null, error: fetchError };
+    }
+
+    const validationErrors = this._checkAssociation(validation.data, project.dataModel);
+    if (validationErrors.length > 0) {
+      return {
+        data: null,
+        error: new Error(validationErrors[0].message),
+        validationErrors,
+      };
+    }
+
+    // Normalize date fields before saving
+    const normalized = this.validator.normalizeDateFields(validation.data);
+
+    return await this.adapter.addAssociation(projectId, normalized);
+  }
+
+  /**
+   * Update an association
+   * @param {string} projectId - Project UUID
+   * @param {string} associationId - Association UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<{data: Object|null, error: Error|null, validationErrors: Array}>}
+   */
+  async updateAssociation(projectId, associationId, updates) {
+    const { data: project, error: fetchError } = await this.adapter.getProject(
+      projectId
+    );
+    if (fetchError) {
+      return { data: null, error: fetchError };
+    }
+
+    const existingAssociation = (project.dataModel?.associations || []).find(
+      (a) => a.id === associationId
+    );
+    if (!existingAssociation) {
+      return {
+        data: null,
+        error: new Error(`Association not found: ${associationId}`),
+      };
+    }
+
+    const updatedAssociation = { ...existingAssociation, ...updates, id: associationId };
+
+    // Stored associations carry createdAt as an ISO string
+    const validation = this.validator.validateAssociation({
+      ...updatedAssociation,
+      createdAt: updatedAssociation.createdAt ? new Date(updatedAssociation.createdAt) : undefined,
+    });
+    if (!validation.valid) {
+      return {
+        data: null,
+        error: new Error('Association validation failed'),
+        validationErrors: validation.errors,
+      };
+    }
+
+    const validationErrors = this._checkAssociation(validation.data, project.dataModel);
+    if (validationErrors.length > 0) {
+      return {
+        data: null,
+        error: new Error(validationErrors[0].message),
+        validationErrors,
+      };
+    }
+
+    const normalized = this.validator.normalizeDateFields(validation.data);
+
+    return await this.adapter.updateAssociation(projectId, associationId, normalized);
+  }
+
+  /**
+   * Delete an association
+   * @param {string} projectId - Project UUID
+   * @param {string} associationId - Association UUID
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  async deleteAssociation(projectId, associationId) {
+    return await this.adapter.deleteAssociation(projectId, associationId);
+  }
+
+  /**
+   * Add a core export file mapping to a project's data model
+   * @param {string} projectId - Project UUID
+   * @param {Object} mappingData - Field mapping data
+   * @returns {Promise<{data: Object|null, error: Error|null, validationErrors: Array}>}
+   */
+  async addFieldMapping(projectId, mappingData) {
+    const validation = this.validator.validateFieldMapping(mappingData);
+    if (!validation.valid) {
+      return {
+        data: null,
+        error: new Error('Field mapping validation failed'),
+        validationErrors: validation.errors,
+      };
+    }
+
+    const { data: project, error: fetchError } = await this.adapter.getProject(
+      projectId
+    );
+    if (fetchError) {
+      return { data: null, error: fetchError };
+    }
+
+    const validationErrors = this._checkFieldMapping(validation.data, project.dataModel);
+    if (validationErrors.length > 0) {
+      return {
+        data: null,
+        error: new Error(validationErrors[0].message),
+        validationErrors,
+      };
+    }
+
+    return await this.adapter.addFieldMapping(projectId, validation.data);
+  }
+
+  /**
+   * Update a field mapping
+   * @param {string} projectId - Project UUID
+   * @param {string} mappingId - Field mapping ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<{data: Object|null, error: Error|null, validationErrors: Array}>}
+   */
+  async updateFieldMapping(projectId, mappingId, updates) {
+    const { data: project, error: fetchError } = await this.adapter.getProject(
+      projectId
+    );
+    if (fetchError) {
+      return { data: null, error: fetchError };
+    }
+
+    const existingMapping = (project.dataModel?.mappings || []).find(
+      (m) => m.id === mappingId
+    );
+    if (!existingMapping) {
+      return {
+        data: null,
+        error: new Error(`Field mapping not found: ${mappingId}`),
+      };
+    }
+
+    const validation = this.validator.validateFieldMapping({
+      ...existingMapping,
+      ...updates,
+      id: mappingId,
+    });
+    if (!validation.valid) {
+      return {
+        data: null,
+        error: new Error('Field mapping validation failed'),
+        validationErrors: validation.errors,
+      };
+    }
+
+    const validationErrors = this._checkFieldMapping(validation.data, project.dataModel);
+    if (validationErrors.length > 0) {
+      return {
+        data: null,
+        error: new Error(validationErrors[0].message),
+        validationErrors,
+      };
+    }
+
+    return await this.adapter.updateFieldMapping(projectId, mappingId, validation.data);
+  }
+
+  /**
+   * Delete a field mapping
+   * @param {string} projectId - Project UUID
+   * @param {string} mappingId - Field mapping ID
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  async deleteFieldMapping(projectId, mappingId) {
+    return await this.adapter.deleteFieldMapping(projectId, mappingId);
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Both ends of an association must exist, and the same two objects may
+   * not share a label twice
+   * @private
+   */
+  _checkAssociation(association, dataModel) {
+    const { errors } = this.validator.validateReferentialIntegrity({
+      objects: dataModel?.objects || [],
+      associations: [association],
+    });
+    const validationErrors = errors.map((error) => ({
+      field: error.path.split('.').pop(),
+      message: error.message,
+    }));
+
+    if (!this.validator.isAssociationUnique(association, dataModel?.associations || [])) {
+      validationErrors.push({
+        field: 'label',
+        message: 'These objects already have an association with this label',
+      });
+    }
+
+    return validationErrors;
+  }
+
+  /**
+   * A mapping must load into an existing object, map columns only to that
+   * object's fields, and use a file name no other mapping in the project has
+   * @private
+   */
+  _checkFieldMapping(mapping, dataModel) {
+    const validationErrors = [];
+    const object = (dataModel?.objects || []).find((obj) => obj.id === mapping.targetObjectId);
+
+    if (!object) {
+      validationErrors.push({
+        field: 'targetObjectId',
+        message: `Target object not found: ${mapping.targetObjectId}`,
+      });
+    } else {
+      const fieldIds = new Set((object.fields || []).map((field) => field.id));
+      mapping.mappings.forEach((column, index) => {
+        if (column.targetFieldId && !fieldIds.has(column.targetFieldId)) {
+          validationErrors.push({
+            field: `mappings.${index}.targetFieldId`,
+            message: `${column.sourceColumn} maps to a field that is not on ${object.label || object.name}`,
+          });
+        }
+      });
+    }
+
+    if (
+      !this.validator.isExportFileNameUnique(
+        mapping.exportFileName,
+        mapping.id,
+        dataModel?.mappings || []
+      )
+    ) {
+      validationErrors.push({
+        field: 'exportFileName',
+        message: `Another field mapping already uses the file name "${mapping.exportFileName}"`,
+      });
+    }
+
+    return validationErrors;
+  }
+
+  /**
+   * Bring stored tag rules up to the current shape (condition groups,
+   * ruleType 'mixed'). Applied on read, so projects are upgraded the next
+   * time they are saved.
+   * @private
+   */
+  _migrateProject(project) {
+    if (!project?.tags) return project;
+
+    const migrateTags = (tags) =>
+      Array.isArray(tags) ? tags.map((tag) => migrateTagRules(tag)) : tags;
+
+    return {
+      ...project,
+      tags: Array.isArray(project.tags)
+        ? migrateTags(project.tags)
+        : {
+            ...project.tags,
+            library: migrateTags(project.tags.library),
+            custom: migrateTags(project.tags.custom),
+          },
+    };
+  }
 }
 
 /**
@@ -0,0 +1,666 @@
+import {
+  normalizeObjectName,
+  isPropertyCondition,
+  isActivityCondition,
+  isAssociationCondition,
+  isScoreCondition,
+  isRuleGroup,
+} from '../utils/ruleTree';
+import type {
+  Tag,
+  QualificationRules,
+  RuleCondition,
+  RuleGroup,
+  RuleNode,
+  PropertyRuleCondition,
+  ActivityRuleCondition,
+  AssociationRuleCondition,
+  ScoreRuleCondition,
+} from '../types/tag';
+import type {
+  EvaluationContext,
+  AssociatedRecord,
+  MemberEvent,
+  ConditionTrace,
+  RulesEvaluation,
+  RulesEvaluationOptions,
+  TagEvaluation,
+} from '../types/qualification';
+
+/**
+ * Qualification Engine
+ *
+ * Evaluates a tag's qualificationRules against a member record, the member's
+ * event history and associated records. The engine is headless and pure: it
+ * never reads project state or storage, so the simulator, batch runs and tests
+ * all share the same semantics.
+ *
+ * Conditions are dispatched on their shape rather than on rules.ruleType,
+ * because library tags mix condition kinds (e.g. a score condition combined
+ * with a property condition). Condition groups nest conditions under their
+ * own AND/OR logic and are evaluated recursively.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Object names that always resolve to the member record
+const MEMBER_OBJECT_ALIASES = ['member', 'contact'];
+
+type ComparisonOperator =
+  | 'equals'
+  | 'not_equals'
+  | 'greater_than'
+  | 'greater_than_or_equal'
+  | 'less_than'
+  | 'less_than_or_equal';
+
+class QualificationEngine {
+  /**
+   * Evaluate a single tag for a member
+   */
+  evaluateTag(tag: Tag, context: EvaluationContext): TagEvaluation {
+    const wasQualified = (context.currentTagIds || []).includes(tag.id);
+    const result = this.evaluateRules(tag.qualificationRules, context, { wasQualified });
+
+    return {
+      tagId: tag.id,
+      tagName: tag.name,
+      ...result,
+    };
+  }
+
+  /**
+   * Evaluate every tag for a member
+   */
+  evaluateTags(tags: Tag[], context: EvaluationContext): TagEvaluation[] {
+    return tags.map((tag) => this.evaluateTag(tag, context));
+  }
+
+  /**
+   * Evaluate a set of qualification rules
+   */
+  evaluateRules(
+    rules: QualificationRules,
+    context: EvaluationContext,
+    options: RulesEvaluationOptions = {}
+  ): RulesEvaluation {
+    const logic = rules?.logic === 'OR' ? 'OR' : 'AND';
+    const conditions = rules?.conditions || [];
+
+    const trace = conditions.map((node, index) =>
+      this.evaluateNode(node, index, context, options)
+    );
+
+    return { qualified: this._combine(trace, logic), logic, trace };
+  }
+
+  /**
+   * Evaluate a condition or a nested condition group
+   */
+  evaluateNode(
+    node: RuleNode,
+    index: number,
+    context: EvaluationContext,
+    options: RulesEvaluationOptions = {}
+  ): ConditionTrace {
+    if (isRuleGroup(node)) {
+      return this._evaluateGroup(node, index, context, options);
+    }
+    return this.evaluateCondition(node, index, context, options);
+  }
+
+  /**
+   * Evaluate a single condition of any kind
+   */
+  evaluateCondition(
+    condition: RuleCondition,
+    index: number,
+    context: EvaluationContext,
+    options: RulesEvaluationOptions = {}
+  ): ConditionTrace {
+    if (isScoreCondition(condition)) {
+      return this._evaluateScore(condition, index, context, options);
+    }
+    if (isAssociationCondition(condition)) {
+      return this._evaluateAssociation(condition, index, context);
+    }
+    if (isActivityCondition(condition)) {
+      return this._evaluateActivity(condition, index, context);
+    }
+    if (isPropertyCondition(condition)) {
+      return this._evaluateProperty(condition, index, context);
+    }
+
+    return {
+      index,
+      kind: 'unknown',
+      passed: false,
+      description: `Condition ${index + 1}`,
+      reason: 'Unrecognized condition shape',
+    };
+  }
+
+  /**
+   * Replay a score condition over a series of score readings
+   * Each reading is evaluated with the previous result as wasQualified, so
+   * the returned membership shows where hysteresis holds or drops the tag.
+   */
+  evaluateScoreSeries(condition: ScoreRuleCondition, scores: number[]): boolean[] {
+    let wasQualified = false;
+
+    return scores.map((score) => {
+      wasQualified = this._evaluateScore(
+        condition,
+        0,
+        { member: { [condition.scoreField]: score } },
+        { wasQualified }
+      ).passed;
+      return wasQualified;
+    });
+  }
+
+  /**
+   * Compare a value against a property operator
+   * Exposed so nested filters and other services share one implementation.
+   */
+  matchesOperator(
+    actual: unknown,
+    operator: PropertyRuleCondition['operator'],
+    expected?: unknown
+  ): boolean {
+    switch (operator) {
+      case 'is_known':
+        return !this._isEmpty(actual);
+      case 'is_unknown':
+        return this._isEmpty(actual);
+      case 'equals':
+        return !this._isEmpty(actual) && this._looseEquals(actual, expected);
+      case 'not_equals':
+        return !this._looseEquals(actual, expected);
+      case 'greater_than':
+      case 'greater_than_or_equal':
+      case 'less_than':
+      case 'less_than_or_equal': {
+        const order = this._compare(actual, expected);
+        if (order === null) return false;
+        if (operator === 'greater_than') return order > 0;
+        if (operator === 'greater_than_or_equal') return order >= 0;
+        if (operator === 'less_than') return order < 0;
+        return order <= 0;
+      }
+      case 'between': {
+        if (!Array.isArray(expected) || expected.length !== 2) return false;
+        const lower = this._compare(actual, expected[0]);
+        const upper = this._compare(actual, expected[1]);
+        return lower !== null && upper !== null && lower >= 0 && upper <= 0;
+      }
+      case 'in':
+        return this._toList(expected).some((v) => this._looseEquals(actual, v));
+      case 'not_in':
+        return !this._toList(expected).some((v) => this._looseEquals(actual, v));
+      case 'contains':
+        return this._text(actual).includes(this._text(expected)) && !this._isEmpty(actual);
+      case 'not_contains':
+        return !this._text(actual).includes(this._text(expected)) || this._isEmpty(actual);
+      case 'starts_with':
+        return !this._isEmpty(actual) && this._text(actual).startsWith(this._text(expected));
+      case 'ends_with':
+        return !this._isEmpty(actual) && this._text(actual).endsWith(this._text(expected));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compare a count against an activity/association count operator
+   */
+  matchesCount(count: number, operator: ComparisonOperator | undefined, value: number = 0): boolean {
+    switch (operator) {
+      case 'equals':
+        return count === value;
+      case 'not_equals':
+        return count !== value;
+      case 'greater_than':
+        return count > value;
+      case 'greater_than_or_equal':
+        return count >= value;
+      case 'less_than':
+        return count < value;
+      case 'less_than_or_equal':
+        return count <= value;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Read a property from a record, falling back to a case-insensitive key match
+   */
+  readProperty(record: Record<string, unknown> | undefined, field: string): unknown {
+    if (!record) return undefined;
+    if (field in record) return record[field];
+
+    const lowerField = field.toLowerCase();
+    const key = Object.keys(record).find((k) => k.toLowerCase() === lowerField);
+    return key === undefined ? undefined : record[key];
+  }
+
+  /**
+   * Whether an object name in a rule refers to the member record
+   */
+  isMemberObject(objectName: string, context: EvaluationContext): boolean {
+    const normalized = normalizeObjectName(objectName);
+    if (MEMBER_OBJECT_ALIASES.includes(normalized)) return true;
+    return !!context.memberObject && normalizeObjectName(context.memberObject) === normalized;
+  }
+
+  // ========== Condition Evaluators ==========
+
+  /**
+   * @private
+   */
+  _evaluateGroup(
+    group: RuleGroup,
+    index: number,
+    context: EvaluationContext,
+    options: RulesEvaluationOptions
+  ): ConditionTrace {
+    const logic = group.logic === 'OR' ? 'OR' : 'AND';
+    const children = (group.conditions || []).map((node, childIndex) =>
+      this.evaluateNode(node, childIndex, context, options)
+    );
+    const passed = this._combine(children, logic);
+    const failedCount = children.filter((child) => !child.passed).length;
+
+    return {
+      index,
+      kind: 'group',
+      passed,
+      description: `(${children.map((child) => child.description).join(` ${logic} `)})`,
+      children,
+      reason: passed
+        ? undefined
+        : children.length === 0
+          ? 'Group has no conditions'
+          : logic === 'AND'
+            ? `${failedCount} of ${children.length} grouped conditions failed`
+            : 'No grouped condition matched',
+    };
+  }
+
+  /**
+   * @private
+   */
+  _evaluateProperty(
+    condition: PropertyRuleCondition,
+    index: number,
+    context: EvaluationContext
+  ): ConditionTrace {
+    const description = `${condition.object}.${condition.field} ${condition.operator}${
+      condition.value !== undefined ? ` ${this._format(condition.value)}` : ''
+    }`;
+
+    // Member-level property
+    if (this.isMemberObject(condition.object, context)) {
+      const actual = this.readProperty(context.member, condition.field);
+      const passed = this.matchesOperator(actual, condition.operator, condition.value);
+      return {
+        index,
+        kind: 'property',
+        passed,
+        description,
+        actual,
+        expected: condition.value,
+        reason: passed ? undefined : this._propertyFailureReason(actual),
+      };
+    }
+
+    // Property on another object: qualifies when any associated record matches
+    const records = this._recordsForObject(condition.object, context);
+    if (records.length === 0) {
+      return {
+        index,
+        kind: 'property',
+        passed: false,
+        description,
+        expected: condition.value,
+        reason: `No associated ${condition.object} records`,
+      };
+    }
+
+    const values = records.map((r) => this.readProperty(r.properties, condition.field));
+    const passed = values.some((v) => this.matchesOperator(v, condition.operator, condition.value));
+
+    return {
+      index,
+      kind: 'property',
+      passed,
+      description,
+      actual: values,
+      expected: condition.value,
+      reason: passed ? undefined : `No ${condition.object} record satisfies the condition`,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _evaluateActivity(
+    condition: ActivityRuleCondition,
+    index: number,
+    context: EvaluationContext
+  ): ConditionTrace {
+    const events = this._eventsInWindow(condition.eventType, condition.timeframe, context).filter(
+      (event) =>
+        (condition.filters || []).every((filter) =>
+          this.matchesOperator(
+            this.readProperty(event.properties, filter.field),
+            filter.operator,
+            filter.value
+          )
+        )
+    );
+    const count = events.length;
+
+    let passed: boolean;
+    let expected: unknown;
+    if (condition.occurrence === 'has_occurred') {
+      passed = count > 0;
+      expected = '≥ 1';
+    } else if (condition.occurrence === 'has_not_occurred') {
+      passed = count === 0;
+      expected = 0;
+    } else {
+      passed = this.matchesCount(count, condition.operator, condition.value);
+      expected = `${condition.operator} ${condition.value ?? 0}`;
+    }
+
+    const window = condition.timeframe ? ` in last ${condition.timeframe} days` : '';
+
+    return {
+      index,
+      kind: 'activity',
+      passed,
+      description: `${condition.eventType} ${condition.occurrence}${
+        condition.occurrence === 'count' ? ` ${condition.operator} ${condition.value ?? 0}` : ''
+      }${window}`,
+      actual: count,
+      expected,
+      reason: passed ? undefined : `Found ${count} matching event${count === 1 ? '' : 's'}${window}`,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _evaluateAssociation(
+    condition: AssociationRuleCondition,
+    index: number,
+    context: EvaluationContext
+  ): ConditionTrace {
+    const records = this._recordsForObject(condition.relatedObject, context).filter(
+      (record) =>
+        (!record.associationType || record.associationType === condition.associationType) &&
+        (condition.nestedFilters || []).every((filter) =>
+          this.matchesOperator(
+            this.readProperty(record.properties, filter.field),
+            filter.operator,
+            filter.value
+          )
+        )
+    );
+    const count = records.length;
+
+    let passed: boolean;
+    let expected: unknown;
+    if (condition.conditionType === 'has_any') {
+      passed = count > 0;
+      expected = '≥ 1';
+    } else if (condition.conditionType === 'has_none') {
+      passed = count === 0;
+      expected = 0;
+    } else {
+      passed = this.matchesCount(count, condition.operator, condition.value);
+      expected = `${condition.operator} ${condition.value ?? 0}`;
+    }
+
+    return {
+      index,
+      kind: 'association',
+      passed,
+      description: `${condition.associationType} → ${condition.relatedObject} ${condition.conditionType}${
+        condition.conditionType === 'count' ? ` ${condition.operator} ${condition.value ?? 0}` : ''
+      }`,
+      actual: count,
+      expected,
+      reason: passed
+        ? undefined
+        : `Found ${count} matching ${condition.relatedObject} record${count === 1 ? '' : 's'}`,
+    };
+  }
+
+  /**
+   * Score conditions support hysteresis: a member enters the tag at
+   * addThreshold and only leaves once the score crosses removeThreshold.
+   * When addThreshold < removeThreshold the score is treated as "lower is
+   * better" (e.g. risk scores) and the comparison flips.
+   * @private
+   */
+  _evaluateScore(
+    condition: ScoreRuleCondition,
+    index: number,
+    context: EvaluationContext,
+    options: RulesEvaluationOptions
+  ): ConditionTrace {
+    const actual = this.readProperty(context.member, condition.scoreField);
+    const score = this._toNumber(actual);
+
+    if (score === null) {
+      return {
+        index,
+        kind: 'score',
+        passed: false,
+        description: `${condition.scoreField} ${condition.operator}`,
+        actual,
+        reason: 'Score has no numeric value',
+      };
+    }
+
+    if (condition.hysteresis) {
+      const { addThreshold, removeThreshold } = condition.hysteresis;
+      const upward = addThreshold >= removeThreshold;
+      const threshold = options.wasQualified ? removeThreshold : addThreshold;
+      const passed = upward ? score >= threshold : score <= threshold;
+
+      return {
+        index,
+        kind: 'score',
+        passed,
+        description: `${condition.scoreField} add at ${addThreshold}, remove at ${removeThreshold}`,
+        actual: score,
+        expected: `${upward ? '≥' : '≤'} ${threshold}`,
+        reason: passed
+          ? undefined
+          : options.wasQualified
+            ? `Score crossed remove threshold ${removeThreshold}`
+            : `Score has not reached add threshold ${addThreshold}`,
+      };
+    }
+
+    const expected =
+      condition.operator === 'between' ? condition.value : (condition.threshold ?? condition.value);
+    const passed = this.matchesOperator(score, condition.operator, expected);
+
+    return {
+      index,
+      kind: 'score',
+      passed,
+      description: `${condition.scoreField} ${condition.operator} ${this._format(expected)}`,
+      actual: score,
+      expected,
+      reason: passed ? undefined : 'Score does not satisfy threshold',
+    };
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Combine traces with AND/OR; an empty list never qualifies anyone
+   * @private
+   */
+  _combine(trace: ConditionTrace[], logic: 'AND' | 'OR'): boolean {
+    if (trace.length === 0) return false;
+    return logic === 'AND' ? trace.every((t) => t.passed) : trace.some((t) => t.passed);
+  }
+
+  /**
+   * @private
+   */
+  _recordsForObject(objectName: string, context: EvaluationContext): AssociatedRecord[] {
+    const normalized = normalizeObjectName(objectName);
+    return (context.associations || []).filter(
+      (record) => normalizeObjectName(record.object) === normalized
+    );
+  }
+
+  /**
+   * @private
+   */
+  _eventsInWindow(
+    eventType: string,
+    timeframe: number | undefined,
+    context: EvaluationContext
+  ): MemberEvent[] {
+    const asOf = context.asOf ? new Date(context.asOf).getTime() : Date.now();
+    const windowStart = timeframe ? asOf - timeframe * DAY_MS : -Infinity;
+
+    return (context.events || []).filter((event) => {
+      if (event.eventType !== eventType) return false;
+      const occurredAt = new Date(event.occurredAt).getTime();
+      if (Number.isNaN(occurredAt)) return false;
+      return occurredAt > windowStart && occurredAt <= asOf;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _isEmpty(value: unknown): boolean {
+    return (
+      value === undefined ||
+      value === null ||
+      (typeof value === 'string' && value.trim() === '') ||
+      (Array.isArray(value) && value.length === 0)
+    );
+  }
+
+  /**
+   * Equality that tolerates the string values forms and CSVs produce
+   * ("true" vs true, "700" vs 700, "auto loan" vs "Auto Loan")
+   * @private
+   */
+  _looseEquals(actual: unknown, expected: unknown): boolean {
+    if (actual === expected) return true;
+    if (this._isEmpty(actual) || this._isEmpty(expected)) return false;
+
+    if (typeof expected === 'boolean' || typeof actual === 'boolean') {
+      return this._toBoolean(actual) === this._toBoolean(expected);
+    }
+
+    const a = this._toNumber(actual);
+    const b = this._toNumber(expected);
+    if (a !== null && b !== null) return a === b;
+
+    return this._text(actual) === this._text(expected);
+  }
+
+  /**
+   * Order two values numerically, or as dates when both parse as dates
+   * @private
+   */
+  _compare(actual: unknown, expected: unknown): number | null {
+    if (this._isEmpty(actual) || this._isEmpty(expected)) return null;
+
+    const a = this._toNumber(actual);
+    const b = this._toNumber(expected);
+    if (a !== null && b !== null) return a - b;
+
+    const dateA = this._toDate(actual);
+    const dateB = this._toDate(expected);
+    if (dateA !== null && dateB !== null) return dateA - dateB;
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toNumber(value: unknown): number | null {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '') {
+      const parsed = Number(value.replace(/[$,]/g, ''));
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toDate(value: unknown): number | null {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+      const time = new Date(value).getTime();
+      return Number.isNaN(time) ? null : time;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toBoolean(value: unknown): boolean | null {
+    if (typeof value === 'boolean') return value;
+    const text = this._text(value);
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toList(value: unknown): unknown[] {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(',').map((v) => v.trim());
+    return value === undefined || value === null ? [] : [value];
+  }
+
+  /**
+   * @private
+   */
+  _text(value: unknown): string {
+    return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _format(value: unknown): string {
+    if (Array.isArray(value)) return `[${value.map((v) => String(v)).join(', ')}]`;
+    return String(value);
+  }
+
+  /**
+   * @private
+   */
+  _propertyFailureReason(actual: unknown): string {
+    return this._isEmpty(actual) ? 'Property has no value' : 'Value does not satisfy the condition';
+  }
+}
+
+// Create and export a singleton instance
+const qualificationEngine = new QualificationEngine();
+
+export { qualificationEngine, QualificationEngine };
+export default qualificationEngine;
@@ -0,0 +1,385 @@
+import {
+  normalizeObjectName,
+  isActivityCondition,
+  isAssociationCondition,
+  isPropertyCondition,
+  isScoreCondition,
+} from '../utils/ruleTree';
+import { OBJECT_TEMPLATES } from '../data/objectTemplates';
+import { findEventById, validateCustomEventFormat } from '../data/hubspotEventTypes';
+import { flattenConditions } from '../utils/ruleTree';
+import {
+  OPERATORS_BY_TYPE,
+  OPERATOR_LABELS,
+  getOperatorGroup,
+  operatorNeedsValue,
+} from '../utils/ruleOperators';
+import { generateId } from '../utils/idGenerator';
+import customEventService from './CustomEventService';
+import type { ObjectTemplate, ObjectTemplateField } from '../data/objectTemplates';
+import type {
+  ActivityRuleCondition,
+  PropertyRuleCondition,
+  QualificationRules,
+  RuleCondition,
+  Tag,
+} from '../types/tag';
+import type { CustomField, CustomObject, DataModel } from '../types/project';
+import type { CustomEventDefinition } from '../types/customEvent';
+import type { CreateFieldFix, RuleLintIssue, TagLintResult } from '../types/ruleLint';
+
+// Data model fields carry dataType, fieldType and options beyond the base CustomField type
+type ModelField = CustomField & {
+  dataType?: string;
+  fieldType?: string;
+  options?: Array<{ label: string; value: string }>;
+};
+
+const NUMERIC_TYPES = ['number', 'currency'];
+
+/**
+ * Rule Lint Service
+ *
+ * Checks qualification rules against a project's data model. Library tags
+ * name objects and fields loosely ("Member", "first_product_type"), so a
+ * tag can be adopted into a project that does not have what it needs.
+ * Flags:
+ * - conditions on objects or fields the data model does not have
+ * - operators that do not apply to the field's dataType
+ * - enumeration values that are not among the field's options
+ * - activity event types that are neither HubSpot standard nor custom events
+ * - custom events missing from the project's event registry, once it has one
+ * - event property filters on properties the registered event does not carry
+ *
+ * When an object template defines a missing field, the issue carries a fix
+ * that adds the template's field to the project object.
+ */
+class RuleLintService {
+  templates: ObjectTemplate[];
+
+  constructor(templates: ObjectTemplate[] = OBJECT_TEMPLATES) {
+    this.templates = templates;
+  }
+
+  /**
+   * Lint every condition in a rule set
+   */
+  lintRules(
+    rules: QualificationRules | undefined,
+    dataModel: DataModel,
+    customEvents: CustomEventDefinition[] = []
+  ): RuleLintIssue[] {
+    const objects = dataModel.objects || [];
+    const issues = flattenConditions(rules?.conditions).flatMap((condition) =>
+      this._lintCondition(condition, objects, customEvents)
+    );
+
+    // The same problem can appear in several conditions of one tag
+    const seen = new Set<string>();
+    return issues.filter((issue) => {
+      const key = `${issue.code}:${issue.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Lint a tag's qualification rules
+   */
+  lintTag(tag: Tag, dataModel: DataModel, customEvents: CustomEventDefinition[] = []): TagLintResult {
+    return {
+      tagId: tag.id,
+      tagName: tag.name,
+      issues: this.lintRules(tag.qualificationRules, dataModel, customEvents),
+    };
+  }
+
+  /**
+   * Lint several tags, keeping only those with issues
+   */
+  lintTags(
+    tags: Tag[],
+    dataModel: DataModel,
+    customEvents: CustomEventDefinition[] = []
+  ): TagLintResult[] {
+    return tags
+      .map((tag) => this.lintTag(tag, dataModel, customEvents))
+      .filter((result) => result.issues.length > 0);
+  }
+
+  /**
+   * Field data for a CreateFieldFix, ready for addField
+   */
+  buildFieldFromFix(fix: CreateFieldFix): CustomField {
+    const now = new Date();
+    return {
+      ...fix.field,
+      id: generateId(),
+      createdAt: now,
+      updatedAt: now,
+    } as unknown as CustomField;
+  }
+
+  // ========== Condition Linters ==========
+
+  /**
+   * @private
+   */
+  _lintCondition(
+    condition: RuleCondition,
+    objects: CustomObject[],
+    customEvents: CustomEventDefinition[]
+  ): RuleLintIssue[] {
+    if (isScoreCondition(condition)) {
+      return this._lintScoreField(condition.scoreField, objects);
+    }
+
+    if (isAssociationCondition(condition)) {
+      const related = this._findObject(objects, condition.relatedObject);
+      if (!related) return [this._unknownObjectIssue(condition.relatedObject)];
+
+      return (condition.nestedFilters || []).flatMap((filter) =>
+        this._lintProperty({ ...filter, object: filter.object || condition.relatedObject }, objects)
+      );
+    }
+
+    if (isActivityCondition(condition)) {
+      return this._lintActivity(condition, customEvents);
+    }
+
+    if (isPropertyCondition(condition)) {
+      return this._lintProperty(condition, objects);
+    }
+
+    return [];
+  }
+
+  /**
+   * Event property filters describe the event payload, not the data model,
+   * so they are only checked when the event is in the project's registry
+   * @private
+   */
+  _lintActivity(
+    condition: ActivityRuleCondition,
+    customEvents: CustomEventDefinition[]
+  ): RuleLintIssue[] {
+    const registered = customEventService.findEvent(customEvents, condition.eventType);
+    if (registered) {
+      const eventObject = this._eventAsObject(registered);
+      return (condition.filters || []).flatMap((filter) =>
+        this._lintProperty({ ...filter, object: registered.name }, [eventObject])
+      );
+    }
+
+    if (findEventById(condition.eventType)) {
+      return [];
+    }
+
+    if (validateCustomEventFormat(condition.eventType)) {
+      return customEvents.length > 0
+        ? [
+            {
+              code: 'unregistered_event',
+              severity: 'warning',
+              message: `Custom event "${condition.eventType}" is not in the project's event registry`,
+            },
+          ]
+        : [];
+    }
+
+    return [
+      {
+        code: 'unknown_event',
+        severity: 'warning',
+        message: `Event "${condition.eventType}" is not a HubSpot standard event or a custom event (pe<portalId>_<name>)`,
+      },
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _lintProperty(condition: PropertyRuleCondition, objects: CustomObject[]): RuleLintIssue[] {
+    const object = this._findObject(objects, condition.object);
+    if (!object) return [this._unknownObjectIssue(condition.object)];
+
+    const field = this._findField(object, condition.field);
+    const objectLabel = object.label || object.name;
+    if (!field) {
+      return [
+        {
+          code: 'unknown_field',
+          severity: 'error',
+          message: `Field "${condition.field}" does not exist on ${objectLabel}`,
+          fix: this._createFieldFix(object, condition.field),
+        },
+      ];
+    }
+
+    const fieldLabel = `${objectLabel}.${field.name}`;
+    const dataType = field.dataType || field.type;
+    const group = getOperatorGroup(dataType);
+    if (!OPERATORS_BY_TYPE[group].includes(condition.operator)) {
+      return [
+        {
+          code: 'incompatible_operator',
+          severity: 'error',
+          message: `"${OPERATOR_LABELS[condition.operator] || condition.operator}" does not apply to ${fieldLabel} (${dataType})`,
+        },
+      ];
+    }
+
+    const options = field.options || [];
+    if (group !== 'enum' || options.length === 0 || !operatorNeedsValue(condition.operator)) {
+      return [];
+    }
+
+    const values = Array.isArray(condition.value) ? condition.value : [condition.value];
+    return values
+      .filter((value) => value !== undefined && !this._matchesOption(value, options))
+      .map((value) => ({
+        code: 'unknown_option' as const,
+        severity: 'warning' as const,
+        message: `"${value}" is not an option of ${fieldLabel}`,
+      }));
+  }
+
+  /**
+   * Score conditions name a field without its object, so any object may hold it
+   * @private
+   */
+  _lintScoreField(scoreField: string, objects: CustomObject[]): RuleLintIssue[] {
+    for (const object of objects) {
+      const field = this._findField(object, scoreField);
+      if (!field) continue;
+
+      const isScore =
+        NUMERIC_TYPES.includes(field.dataType || field.type) || field.fieldType === 'calculated';
+      return isScore
+        ? []
+        : [
+            {
+              code: 'incompatible_operator',
+              severity: 'error',
+              message: `Score field ${object.label || object.name}.${field.name} is ${field.dataType || field.type}, not a number`,
+            },
+          ];
+    }
+
+    const fix = objects
+      .map((object) => this._createFieldFix(object, scoreField))
+      .find((candidate): candidate is CreateFieldFix => Boolean(candidate));
+    return [
+      {
+        code: 'unknown_field',
+        severity: 'error',
+        message: `Score field "${scoreField}" does not exist on any object`,
+        fix,
+      },
+    ];
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * A registered event linted like an object whose fields are its properties
+   * @private
+   */
+  _eventAsObject(event: CustomEventDefinition): CustomObject {
+    return {
+      id: event.id,
+      name: event.name,
+      label: event.label,
+      fields: event.properties,
+    } as unknown as CustomObject;
+  }
+
+  /**
+   * Match an object by name or label, ignoring case, spacing and an "object" suffix
+   * @private
+   */
+  _findObject(objects: CustomObject[], name: string): CustomObject | undefined {
+    const normalized = normalizeObjectName(name);
+    return objects.find(
+      (object) =>
+        normalizeObjectName(object.name) === normalized ||
+        normalizeObjectName(object.label || '') === normalized
+    );
+  }
+
+  /**
+   * @private
+   */
+  _findField(object: CustomObject, name: string): ModelField | undefined {
+    const lower = name.toLowerCase();
+    return (object.fields || []).find((field) => field.name.toLowerCase() === lower) as
+      | ModelField
+      | undefined;
+  }
+
+  /**
+   * The engine compares enumeration values case-insensitively, against
+   * either the option value or its label
+   * @private
+   */
+  _matchesOption(value: unknown, options: Array<{ label: string; value: string }>): boolean {
+    const text = String(value).toLowerCase();
+    return options.some(
+      (option) => option.value.toLowerCase() === text || option.label.toLowerCase() === text
+    );
+  }
+
+  /**
+   * Template for an object, by name or label
+   * @private
+   */
+  _findTemplate(name: string): ObjectTemplate | undefined {
+    const normalized = normalizeObjectName(name);
+    return this.templates.find(
+      (template) =>
+        normalizeObjectName(template.name) === normalized ||
+        normalizeObjectName(template.label) === normalized
+    );
+  }
+
+  /**
+   * @private
+   */
+  _unknownObjectIssue(name: string): RuleLintIssue {
+    const template = this._findTemplate(name);
+    return {
+      code: 'unknown_object',
+      severity: 'error',
+      message: template
+        ? `Object "${name}" is not in the data model; add it from the ${template.label} template`
+        : `Object "${name}" is not in the data model`,
+    };
+  }
+
+  /**
+   * Fix for a missing field when the object's template defines it
+   * @private
+   */
+  _createFieldFix(object: CustomObject, fieldName: string): CreateFieldFix | undefined {
+    const template = this._findTemplate(object.name) || this._findTemplate(object.label || '');
+    const lower = fieldName.toLowerCase();
+    const field: ObjectTemplateField | undefined = template?.fields.find(
+      (candidate) => candidate.name.toLowerCase() === lower
+    );
+    if (!template || !field) return undefined;
+
+    return {
+      objectId: object.id,
+      objectLabel: object.label || object.name,
+      templateLabel: template.label,
+      field,
+    };
+  }
+}
+
+// Create and export a singleton instance
+const ruleLintService = new RuleLintService();
+
+export { ruleLintService, RuleLintService };
+export default ruleLintService;
@@ -0,0 +1,511 @@
+import fieldMappingService, { FieldMappingService } from './FieldMappingService';
+import { parseCsv } from '../utils/csv';
+import { generateId } from '../utils/idGenerator';
+import { DATE_SOURCE_FORMATS } from '../schemas/fieldMappingSchema';
+import type { CustomObject } from '../types/project';
+import type {
+  FieldMappingColumn,
+  FieldTransform,
+  InferredColumn,
+  ParsedSampleFile,
+  PiiType,
+  SampleDataType,
+} from '../types/fieldMapping';
+
+// Reject samples larger than this before reading them into memory
+export const MAX_SAMPLE_BYTES = 5 * 1024 * 1024;
+
+// Types are inferred from the first rows only
+export const MAX_SAMPLE_ROWS = 500;
+
+const PREVIEW_VALUES = 3;
+
+export const SAMPLE_TYPE_LABELS: Record<SampleDataType, string> = {
+  text: 'Text',
+  number: 'Number',
+  currency: 'Currency',
+  date: 'Date',
+  boolean: 'Boolean',
+  email: 'Email',
+  phone: 'Phone',
+};
+
+export const PII_LABELS: Record<PiiType, string> = {
+  ssn: 'SSN',
+  account_number: 'Account number',
+  card_number: 'Card number',
+};
+
+// How each kind of PII is proposed to be protected on the way in
+const PII_TRANSFORMS: Record<PiiType, FieldTransform> = {
+  ssn: { type: 'mask', visibleCharacters: 4 },
+  card_number: { type: 'mask', visibleCharacters: 4 },
+  // Hashed rather than masked so records can still be matched on it
+  account_number: { type: 'hash', algorithm: 'sha256' },
+};
+
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no', 'y', 'n', 't', 'f']);
+const NUMBER_PATTERN = /^-?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?1?[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}$/;
+const SSN_PATTERN = /^\d{3}-\d{2}-\d{4}$/;
+const NUMBER_WORDS = ['num', 'number', 'no', 'nbr'];
+
+// A field of one of these types is a safe guess when the header doesn't match
+const DISTINCT_TYPES: SampleDataType[] = ['email', 'phone'];
+
+/**
+ * Sample File Service
+ *
+ * Reads a sample core export file in the browser to help set up a field
+ * mapping: parses CSV, fixed-width (with a layout), JSON or XML into columns
+ * and rows, infers each column's data type, flags likely PII and proposes
+ * mapped columns for an object. Nothing here stores the sample; callers keep
+ * only the inferred column metadata.
+ */
+class SampleFileService {
+  fieldMapping: FieldMappingService;
+
+  constructor(fieldMapping: FieldMappingService = fieldMappingService) {
+    this.fieldMapping = fieldMapping;
+  }
+
+  /**
+   * Export format suggested by a file's extension
+   */
+  formatFromFileName(fileName: string): string | undefined {
+    const extension = fileName.split('.').pop()?.toLowerCase();
+    switch (extension) {
+      case 'csv':
+        return 'csv';
+      case 'json':
+      case 'ndjson':
+        return 'json';
+      case 'xml':
+        return 'xml';
+      case 'dat':
+      case 'txt':
+        return 'fixed_width';
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Parse sample file text into columns and rows. Fixed-width files need a
+   * layout (see parseLayout); other formats carry their own column names.
+   */
+  parse(text: string, format: string, layout = ''): ParsedSampleFile {
+    let parsed: ParsedSampleFile;
+    switch (format) {
+      case 'csv': {
+        const { headers, rows } = parseCsv(text);
+        parsed =
+          headers.length === 0
+            ? this._error('The file has no header row')
+            : { columns: headers, rows, error: null };
+        break;
+      }
+      case 'json':
+        parsed = this._parseJson(text);
+        break;
+      case 'xml':
+        parsed = this._parseXml(text);
+        break;
+      case 'fixed_width':
+        parsed = this._parseFixedWidth(text, layout);
+        break;
+      default:
+        parsed = this._error('Samples can be read from CSV, fixed-width, JSON or XML files');
+    }
+
+    if (!parsed.error && parsed.rows.length === 0) {
+      return this._error('The file has no data rows');
+    }
+    return { ...parsed, rows: parsed.rows.slice(0, MAX_SAMPLE_ROWS) };
+  }
+
+  /**
+   * Read a fixed-width layout with one column per line: a name and either a
+   * 1-based start position and length ("MBR_ID 1 10") or just a length,
+   * starting where the previous column ended ("MBR_ID 10"). Blank lines and
+   * lines starting with # are skipped.
+   */
+  parseLayout(layout: string): {
+    fields: Array<{ name: string; start: number; length: number }>;
+    error: string | null;
+  } {
+    const fields: Array<{ name: string; start: number; length: number }> = [];
+    const lines = layout.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = (lines[index] ?? '').trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const [name = '', ...numbers] = line.split(/[\s,|]+/);
+      const values = numbers.map(Number);
+      const previous = fields[fields.length - 1];
+      const start = values.length === 2 ? values[0] : previous ? previous.start + previous.length : 1;
+      const length = values[values.length - 1];
+
+      if (
+        (values.length !== 1 && values.length !== 2) ||
+        start === undefined ||
+        length === undefined ||
+        !Number.isInteger(start) ||
+        !Number.isInteger(length) ||
+        start < 1 ||
+        length < 1
+      ) {
+        return {
+          fields: [],
+          error: `Line ${index + 1} of the layout needs a column name and a length, or a name, start position and length`,
+        };
+      }
+      fields.push({ name, start, length });
+    }
+
+    return fields.length === 0
+      ? { fields, error: 'Describe the layout with one column per line' }
+      : { fields, error: null };
+  }
+
+  /**
+   * Data type, PII flag and preview values for every column
+   */
+  inferColumns(parsed: ParsedSampleFile): InferredColumn[] {
+    return parsed.columns.map((name, index) => {
+      const values = parsed.rows
+        .map((row) => (row[index] ?? '').trim())
+        .filter((value) => value !== '');
+      const piiType = this.detectPii(name, values);
+      // Identifiers stay text even when every value is digits
+      const { dataType, dateFormat } = piiType
+        ? { dataType: 'text' as const, dateFormat: undefined }
+        : this.inferType(values, name);
+
+      return {
+        name,
+        dataType,
+        ...(dateFormat ? { dateFormat } : {}),
+        ...(piiType ? { piiType } : {}),
+        samples: [...new Set(values)].slice(0, PREVIEW_VALUES),
+        filledCount: values.length,
+      };
+    });
+  }
+
+  /**
+   * Narrowest type every non-empty value fits. Dates take the first layout
+   * in DATE_SOURCE_FORMATS that reads them all, so 03/04/2024 is read as
+   * month first. Unformatted ten-digit values are only phones when the
+   * column name says so.
+   */
+  inferType(values: string[], columnName = ''): { dataType: SampleDataType; dateFormat?: string } {
+    const filled = values.map((value) => value.trim()).filter((value) => value !== '');
+    if (filled.length === 0) return { dataType: 'text' };
+
+    const all = (test: (value: string) => boolean) => filled.every(test);
+
+    if (all((value) => BOOLEAN_VALUES.has(value.toLowerCase()))) {
+      return { dataType: 'boolean' };
+    }
+
+    const dateFormat = DATE_SOURCE_FORMATS.find((format) =>
+      all((value) => {
+        const date = this.fieldMapping.parseDate(value, format);
+        const year = date ? Number(date.slice(0, 4)) : NaN;
+        return year >= 1900 && year <= 2100;
+      })
+    );
+    if (dateFormat) return { dataType: 'date', dateFormat };
+
+    if (all((value) => EMAIL_PATTERN.test(value))) return { dataType: 'email' };
+
+    const namedPhone = this._tokens(columnName).some((token) =>
+      ['phone', 'tel', 'mobile', 'cell', 'fax'].includes(token)
+    );
+    if (all((value) => PHONE_PATTERN.test(value) && (namedPhone || /\D/.test(value)))) {
+      return { dataType: 'phone' };
+    }
+
+    // Negative amounts may be written in parentheses: (1,250.00)
+    const amounts = filled.map((value) => value.replace(/^\((.*)\)$/, '-$1').replace('$', ''));
+    if (
+      amounts.every((value) => NUMBER_PATTERN.test(value)) &&
+      !amounts.some((value) => /^-?0\d/.test(value))
+    ) {
+      const isCurrency =
+        filled.some((value) => value.includes('$')) || amounts.every((value) => /\.\d{2}$/.test(value));
+      return { dataType: isCurrency ? 'currency' : 'number' };
+    }
+
+    return { dataType: 'text' };
+  }
+
+  /**
+   * Kind of sensitive identifier a column likely holds, from its name
+   * ("MBR_SSN", "AcctNbr") or, for SSNs and card numbers, its values
+   */
+  detectPii(columnName: string, values: string[] = []): PiiType | undefined {
+    const tokens = this._tokens(columnName);
+    const has = (...words: string[]) => tokens.some((token) => words.includes(token));
+    const filled = values.filter((value) => value.trim() !== '');
+    const allValues = (test: (value: string) => boolean) =>
+      filled.length > 0 && filled.every((value) => test(value.trim()));
+
+    if (
+      has('ssn', 'tin', 'taxid', 'ssnlast4') ||
+      (has('social') && has('security')) ||
+      (has('tax') && has('id')) ||
+      allValues((value) => SSN_PATTERN.test(value))
+    ) {
+      return 'ssn';
+    }
+
+    if (
+      has('pan', 'cardnumber', 'cardno', 'cardnbr') ||
+      (has('card') && has(...NUMBER_WORDS)) ||
+      allValues((value) => this._isCardNumber(value))
+    ) {
+      return 'card_number';
+    }
+
+    const lastToken = tokens[tokens.length - 1];
+    if (
+      has('acctno', 'acctnbr', 'acctnum', 'accountnumber') ||
+      (has('acct', 'account') && (has(...NUMBER_WORDS) || lastToken === 'acct' || lastToken === 'account'))
+    ) {
+      return 'account_number';
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Mapped columns for the inferred columns: header matches first, then a
+   * field of the same distinct type (email, phone) when the object has only
+   * one. Dates get a date format transform and PII a hash or mask.
+   */
+  proposeMappings(inferred: InferredColumn[], object: CustomObject | undefined): FieldMappingColumn[] {
+    const fields = (object?.fields || []) as Array<{ id: string; dataType?: string; type?: string }>;
+    const used = new Set<string>();
+    const targets = inferred.map((column) => {
+      const fieldId = this.fieldMapping.suggestTargetField(column.name, object);
+      if (!fieldId || used.has(fieldId)) return undefined;
+      used.add(fieldId);
+      return fieldId;
+    });
+
+    inferred.forEach((column, index) => {
+      if (targets[index] || !DISTINCT_TYPES.includes(column.dataType)) return;
+      const candidates = fields.filter(
+        (field) => (field.dataType || field.type) === column.dataType && !used.has(field.id)
+      );
+      if (candidates.length === 1 && candidates[0]) {
+        targets[index] = candidates[0].id;
+        used.add(candidates[0].id);
+      }
+    });
+
+    return inferred.map((column, index) => {
+      const transform: FieldTransform | undefined = column.piiType
+        ? PII_TRANSFORMS[column.piiType]
+        : column.dataType === 'date' && column.dateFormat
+          ? ({ type: 'date_format', sourceFormat: column.dateFormat } as FieldTransform)
+          : undefined;
+      const targetFieldId = targets[index];
+
+      return {
+        id: generateId(),
+        sourceColumn: column.name,
+        ...(targetFieldId ? { targetFieldId } : {}),
+        ...(transform ? { transform } : {}),
+        inferredType: column.dataType,
+        ...(column.piiType ? { piiType: column.piiType } : {}),
+      };
+    });
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Arrays of records, an object holding one, or one record per line
+   * @private
+   */
+  _parseJson(text: string): ParsedSampleFile {
+    let data: unknown;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      try {
+        data = text
+          .split(/\r?\n/)
+          .filter((line) => line.trim() !== '')
+          .map((line) => JSON.parse(line));
+      } catch {
+        return this._error('The file is not valid JSON');
+      }
+    }
+
+    const records = Array.isArray(data)
+      ? data
+      : this._isRecord(data)
+        ? (Object.values(data).find(Array.isArray) ?? [data])
+        : [];
+
+    return this._toTable(records.filter(this._isRecord).map((record) => this._flatten(record)));
+  }
+
+  /**
+   * Records are the most repeated element under the root, looking through
+   * single wrapper elements such as <Members><Member>…</Member></Members>
+   * @private
+   */
+  _parseXml(text: string): ParsedSampleFile {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (!doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+      return this._error('The file is not valid XML');
+    }
+
+    let container: Element = doc.documentElement;
+    while (container.children.length === 1 && container.children[0]?.children.length) {
+      container = container.children[0] as Element;
+    }
+
+    const counts = new Map<string, number>();
+    Array.from(container.children).forEach((child) => {
+      counts.set(child.tagName, (counts.get(child.tagName) || 0) + 1);
+    });
+    const recordTag = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    const records = Array.from(container.children)
+      .filter((child) => child.tagName === recordTag)
+      .map((element) => this._flattenElement(element));
+
+    return this._toTable(records);
+  }
+
+  /**
+   * @private
+   */
+  _parseFixedWidth(text: string, layout: string): ParsedSampleFile {
+    const { fields, error } = this.parseLayout(layout);
+    if (error) return this._error(error);
+
+    const rows = text
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== '')
+      .map((line) =>
+        fields.map(({ start, length }) => line.slice(start - 1, start - 1 + length).trim())
+      );
+
+    return { columns: fields.map((field) => field.name), rows, error: null };
+  }
+
+  /**
+   * Columns in order of first appearance across the records
+   * @private
+   */
+  _toTable(records: Array<Record<string, string>>): ParsedSampleFile {
+    if (records.length === 0) {
+      return this._error('No records found in the file');
+    }
+
+    const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+    return {
+      columns,
+      rows: records.map((record) => columns.map((column) => record[column] ?? '')),
+      error: null,
+    };
+  }
+
+  /**
+   * Nested objects become dotted column names (address.city)
+   * @private
+   */
+  _flatten(record: Record<string, unknown>, prefix = ''): Record<string, string> {
+    return Object.entries(record).reduce<Record<string, string>>((flat, [key, value]) => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (this._isRecord(value)) {
+        Object.assign(flat, this._flatten(value, name));
+      } else if (Array.isArray(value)) {
+        flat[name] = JSON.stringify(value);
+      } else {
+        flat[name] = value === null || value === undefined ? '' : String(value);
+      }
+      return flat;
+    }, {});
+  }
+
+  /**
+   * Attributes and leaf elements become columns; nested elements are dotted
+   * @private
+   */
+  _flattenElement(element: Element, prefix = ''): Record<string, string> {
+    const flat: Record<string, string> = {};
+    const name = (key: string) => (prefix ? `${prefix}.${key}` : key);
+
+    Array.from(element.attributes).forEach((attribute) => {
+      flat[name(attribute.name)] = attribute.value;
+    });
+    Array.from(element.children).forEach((child) => {
+      if (child.children.length > 0 || child.attributes.length > 0) {
+        Object.assign(flat, this._flattenElement(child, name(child.tagName)));
+      } else {
+        flat[name(child.tagName)] = child.textContent?.trim() || '';
+      }
+    });
+
+    return flat;
+  }
+
+  /**
+   * @private
+   */
+  _isRecord(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * 13-19 digits passing the Luhn check
+   * @private
+   */
+  _isCardNumber(value: string): boolean {
+    const digits = value.replace(/[\s-]/g, '');
+    if (!/^\d{13,19}$/.test(digits)) return false;
+
+    const sum = digits
+      .split('')
+      .reverse()
+      .reduce((total, char, index) => {
+        const digit = Number(char) * (index % 2 === 1 ? 2 : 1);
+        return total + (digit > 9 ? digit - 9 : digit);
+      }, 0);
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Lowercase words of a column name: "MBR_SSN" → [mbr, ssn],
+   * "AcctNbr" → [acct, nbr]
+   * @private
+   */
+  _tokens(columnName: string): string[] {
+    return columnName
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _error(error: string): ParsedSampleFile {
+    return { columns: [], rows: [], error };
+  }
+}
+
+const sampleFileService = new SampleFileService();
+
+export { sampleFileService, SampleFileService };
+export default sampleFileService;
@@ -0,0 +1,317 @@
+import qualificationEngine, { QualificationEngine } from './QualificationEngine';
+import { generateId } from '../utils/idGenerator';
+import type { Tag } from '../types/tag';
+import type { CustomObject, DataModel } from '../types/project';
+import type {
+  Scenario,
+  TagTimeline,
+  TimelineOptions,
+  TimelineSimulation,
+  TimelineTransition,
+} from '../types/scenario';
+import type { EvaluationContext, TagEvaluation } from '../types/qualification';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest timeline simulated in one run, to keep the UI responsive
+const MAX_TIMELINE_STEPS = 731;
+
+// Timeline length when neither the scenario nor its events suggest one
+const DEFAULT_TIMELINE_DAYS = 90;
+
+/**
+ * Simulation Service
+ *
+ * Bridges Journey Simulator scenarios and the Qualification Engine. Scenarios
+ * reference data model objects by ID (so renaming an object does not orphan
+ * them); the engine works with object names, so this service resolves one to
+ * the other before evaluating.
+ *
+ * Timeline simulations advance a scenario one step at a time and carry the
+ * member's tag set forward between steps, which is what gives tag behaviors
+ * their meaning:
+ * - set_once (or isPermanent) tags are never removed once added
+ * - dynamic and evolving tags are re-evaluated at every step, and score
+ *   hysteresis uses whether the tag was held at the previous step
+ */
+class SimulationService {
+  engine: QualificationEngine;
+
+  constructor(engine: QualificationEngine = qualificationEngine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Resolve the object that represents the member. Falls back to an object
+   * named like a member/contact, then to the first object in the model.
+   */
+  resolveMemberObject(
+    objects: CustomObject[] = [],
+    memberObjectId?: string
+  ): CustomObject | undefined {
+    if (memberObjectId) {
+      const selected = objects.find((obj) => obj.id === memberObjectId);
+      if (selected) return selected;
+    }
+
+    return (
+      objects.find((obj) => this.engine.isMemberObject(obj.name, { member: {} })) ||
+      objects.find((obj) => this.engine.isMemberObject(obj.label || '', { member: {} })) ||
+      objects[0]
+    );
+  }
+
+  /**
+   * Create an empty scenario for the given data model
+   */
+  createScenario(dataModel: DataModel, name: string = 'New Scenario'): Scenario {
+    const now = new Date().toISOString();
+    const memberObject = this.resolveMemberObject(dataModel.objects);
+
+    return {
+      id: generateId(),
+      name,
+      description: '',
+      memberObjectId: memberObject?.id,
+      member: {},
+      records: [],
+      events: [],
+      propertyChanges: [],
+      asOf: now,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Convert a scenario into the context the Qualification Engine evaluates.
+   * Property changes effective on or before the evaluation date are applied
+   * in date order. Records whose object no longer exists in the data model
+   * are skipped.
+   */
+  buildContext(
+    scenario: Scenario,
+    dataModel: DataModel,
+    asOf: string | undefined = scenario.asOf
+  ): EvaluationContext {
+    const objects = dataModel.objects || [];
+    const memberObject = this.resolveMemberObject(objects, scenario.memberObjectId);
+    const objectsById = new Map(objects.map((obj) => [obj.id, obj]));
+
+    const member: Record<string, unknown> = { ...(scenario.member || {}) };
+    const recordProperties = new Map(
+      (scenario.records || []).map((record) => [record.id, { ...(record.properties || {}) }])
+    );
+
+    const asOfTime = asOf ? new Date(asOf).getTime() : Date.now();
+    [...(scenario.propertyChanges || [])]
+      .filter((change) => new Date(change.effectiveAt).getTime() <= asOfTime)
+      .sort((a, b) => new Date(a.effectiveAt).getTime() - new Date(b.effectiveAt).getTime())
+      .forEach((change) => {
+        const target = change.recordId ? recordProperties.get(change.recordId) : member;
+        if (target) target[change.field] = change.value;
+      });
+
+    const associations = (scenario.records || []).flatMap((record) => {
+      const object = objectsById.get(record.objectId);
+      if (!object) return [];
+      return [
+        {
+          object: object.name,
+          associationType: record.associationType,
+          properties: recordProperties.get(record.id) || {},
+        },
+      ];
+    });
+
+    return {
+      member,
+      memberObject: memberObject?.name,
+      associations,
+      events: (scenario.events || []).map(({ eventType, occurredAt, properties }) => ({
+        eventType,
+        occurredAt,
+        properties,
+      })),
+      asOf,
+    };
+  }
+
+  /**
+   * Evaluate every tag against a scenario
+   */
+  evaluateScenario(scenario: Scenario, tags: Tag[], dataModel: DataModel): TagEvaluation[] {
+    return this.engine.evaluateTags(tags, this.buildContext(scenario, dataModel));
+  }
+
+  /**
+   * Default timeline window: from the scenario's timelineStart (or its
+   * earliest event/property change, or 90 days back) up to its asOf date.
+   */
+  resolveTimelineWindow(scenario: Scenario, options: TimelineOptions = {}): { start: Date; end: Date } {
+    const end = new Date(options.end || scenario.asOf || Date.now());
+
+    let start: Date;
+    if (options.start || scenario.timelineStart) {
+      start = new Date((options.start || scenario.timelineStart)!);
+    } else {
+      const dated = [
+        ...(scenario.events || []).map((event) => new Date(event.occurredAt).getTime()),
+        ...(scenario.propertyChanges || []).map((change) => new Date(change.effectiveAt).getTime()),
+      ].filter((time) => !Number.isNaN(time) && time <= end.getTime());
+
+      start = dated.length
+        ? new Date(Math.min(...dated))
+        : new Date(end.getTime() - DEFAULT_TIMELINE_DAYS * DAY_MS);
+    }
+
+    if (Number.isNaN(start.getTime()) || start > end) {
+      start = new Date(end);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Advance a scenario step by step (one day by default) and record when
+   * each tag is added, retained or removed.
+   */
+  simulateTimeline(
+    scenario: Scenario,
+    tags: Tag[],
+    dataModel: DataModel,
+    options: TimelineOptions = {}
+  ): TimelineSimulation {
+    const { start, end } = this.resolveTimelineWindow(scenario, options);
+    const stepMs = Math.max(options.stepDays || 1, 1) * DAY_MS;
+
+    const dates: string[] = [];
+    for (
+      let time = start.getTime();
+      time < end.getTime() && dates.length < MAX_TIMELINE_STEPS - 1;
+      time += stepMs
+    ) {
+      dates.push(new Date(time).toISOString());
+    }
+    dates.push(end.toISOString());
+
+    const timelines: TagTimeline[] = tags.map((tag) => ({
+      tagId: tag.id,
+      tagName: tag.name,
+      color: tag.color,
+      behavior: tag.behavior,
+      isPermanent: tag.isPermanent,
+      sticky: tag.isPermanent || tag.behavior === 'set_once',
+      held: [],
+      transitions: [],
+      finalStatus: 'never',
+    }));
+    const transitions: TimelineTransition[] = [];
+    // Whether each tag's conditions matched at the previous step
+    const conditionsMet = tags.map(() => false);
+    let heldIds = new Set<string>();
+
+    dates.forEach((date, stepIndex) => {
+      const context = {
+        ...this.buildContext(scenario, dataModel, date),
+        currentTagIds: [...heldIds],
+      };
+      const nextHeldIds = new Set<string>();
+
+      tags.forEach((tag, tagIndex) => {
+        const timeline = timelines[tagIndex]!;
+        const wasHeld = heldIds.has(tag.id);
+        const evaluation = this.engine.evaluateTag(tag, context);
+        const matchedBefore = conditionsMet[tagIndex];
+        conditionsMet[tagIndex] = evaluation.qualified;
+
+        // Sticky tags stay; note when their conditions stop matching
+        if (wasHeld && timeline.sticky) {
+          nextHeldIds.add(tag.id);
+          timeline.held.push(true);
+          if (matchedBefore && !evaluation.qualified) {
+            const transition = this._transition(evaluation, date, stepIndex, 'retained');
+            timeline.transitions.push(transition);
+            transitions.push(transition);
+          }
+          return;
+        }
+
+        if (evaluation.qualified) {
+          nextHeldIds.add(tag.id);
+          if (!wasHeld) {
+            const transition = this._transition(evaluation, date, stepIndex, 'added');
+            timeline.transitions.push(transition);
+            transitions.push(transition);
+          }
+        } else if (wasHeld) {
+          const transition = this._transition(evaluation, date, stepIndex, 'removed');
+          timeline.transitions.push(transition);
+          transitions.push(transition);
+        }
+
+        timeline.held.push(evaluation.qualified);
+      });
+
+      heldIds = nextHeldIds;
+    });
+
+    timelines.forEach((timeline) => {
+      if (timeline.held[timeline.held.length - 1]) {
+        timeline.finalStatus = 'held';
+      } else if (timeline.transitions.some((t) => t.type === 'removed')) {
+        timeline.finalStatus = 'removed';
+      }
+    });
+
+    return {
+      start: dates[0]!,
+      end: dates[dates.length - 1]!,
+      dates,
+      tags: timelines,
+      transitions,
+    };
+  }
+
+  /**
+   * Explain a transition using the conditions that decided it: the matching
+   * conditions when a tag is added, the failing ones otherwise.
+   * @private
+   */
+  _transition(
+    evaluation: TagEvaluation,
+    date: string,
+    stepIndex: number,
+    type: TimelineTransition['type']
+  ): TimelineTransition {
+    let reason: string;
+    if (type === 'added') {
+      reason = evaluation.trace
+        .filter((condition) => condition.passed)
+        .map((condition) => condition.description)
+        .join(evaluation.logic === 'AND' ? ' and ' : ' or ');
+    } else {
+      const failed = evaluation.trace.filter((condition) => !condition.passed);
+      reason = failed
+        .map((condition) =>
+          condition.reason ? `${condition.description} (${condition.reason})` : condition.description
+        )
+        .join('; ');
+    }
+
+    return {
+      tagId: evaluation.tagId,
+      tagName: evaluation.tagName,
+      date,
+      stepIndex,
+      type,
+      reason,
+    };
+  }
+}
+
+// Create and export a singleton instance
+const simulationService = new SimulationService();
+
+export { simulationService, SimulationService };
+export default simulationService;
@@ -0,0 +1,735 @@
+import validationService from './ValidationService';
+import {
+  normalizeObjectName,
+  isActivityCondition,
+  isAssociationCondition,
+  isPropertyCondition,
+  isRuleGroup,
+  isScoreCondition,
+} from '../utils/ruleTree';
+import { describeCondition } from '../utils/ruleFormatting';
+import type { CustomObject } from '../types/project';
+import type {
+  PropertyRuleCondition,
+  QualificationRules,
+  RuleCondition,
+  RuleNode,
+  ScoreRuleCondition,
+  Tag,
+} from '../types/tag';
+import type { TagConflict } from '../types/tagConflict';
+
+// Rules expanding past this many AND-branches are skipped rather than analyzed
+const MAX_BRANCHES = 64;
+
+const MEMBER_OBJECT_ALIASES = ['member', 'contact'];
+
+interface Bound {
+  value: number;
+  inclusive: boolean;
+}
+
+// Values one rule branch allows for a single field, score or count
+interface Domain {
+  known: boolean | null; // Value must be present (true), absent (false), or either
+  include: Set<string> | null; // Allowed values, or null for any
+  exclude: Set<string>;
+  lower: Bound | null;
+  upper: Bound | null;
+  patterns: Set<string>; // Text matches, only compared for identity
+  conflict: boolean;
+}
+
+// One AND-branch of a rule set in disjunctive normal form
+interface Branch {
+  domains: Map<string, Domain>;
+  conditions: RuleCondition[];
+}
+
+type Comparison = PropertyRuleCondition['operator'];
+
+/**
+ * Tag Conflict Service
+ *
+ * Compares the qualification rules of a project's tags pairwise and reports:
+ * - tags declared mutually exclusive (`exclusiveWith`) that a member could
+ *   hold at the same time
+ * - origin tags that overlap; a member has exactly one origin, so origin
+ *   rules should never match the same member
+ * - redundant tags whose rules are equivalent, or within a category where
+ *   one tag's rules are subsumed by another's
+ *
+ * Rules are expanded into OR-of-AND branches, and each branch into the
+ * values it allows per field, score or event count. Two tags overlap when
+ * some pair of branches allows a common value for every field both
+ * constrain. Fields are treated as independent and text matches (contains,
+ * starts with) are only compared for identity, so overlaps are reported
+ * conservatively: "could both apply" rather than "do".
+ */
+class TagConflictService {
+  /**
+   * Findings for every pair of tags, most severe first
+   */
+  analyzeTags(tags: Tag[], objects: CustomObject[] = []): TagConflict[] {
+    const branchesByTag = new Map(
+      tags.map((tag) => [tag.id, this.expandRules(tag.qualificationRules)])
+    );
+    const conflicts: TagConflict[] = [];
+
+    tags.forEach((tag, index) => {
+      tags.slice(index + 1).forEach((other) => {
+        const conflict = this._comparePair(
+          tag,
+          other,
+          branchesByTag.get(tag.id) ?? null,
+          branchesByTag.get(other.id) ?? null,
+          objects
+        );
+        if (conflict) conflicts.push(conflict);
+      });
+    });
+
+    const order = { error: 0, warning: 1, info: 2 };
+    return conflicts.sort((a, b) => order[a.severity] - order[b.severity]);
+  }
+
+  /**
+   * Satisfiable OR-of-AND branches of a rule set, or null when the rules are
+   * empty or expand past MAX_BRANCHES
+   */
+  expandRules(rules: QualificationRules | undefined): Branch[] | null {
+    if (!rules?.conditions?.length) return null;
+
+    const branches = this._expandNodes(rules.conditions, rules.logic === 'OR' ? 'OR' : 'AND');
+    return branches && branches.filter((branch) => this._isSatisfiable(branch));
+  }
+
+  /**
+   * Whether some member could match both rule sets
+   */
+  canOverlap(a: Branch[], b: Branch[]): boolean {
+    return this._findOverlap(a, b) !== null;
+  }
+
+  /**
+   * Whether every member matching `a` also matches `b`. Sufficient, not
+   * necessary: each branch of `a`, split by its listed values where needed,
+   * must imply a single branch of `b`.
+   */
+  isSubsumed(a: Branch[], b: Branch[]): boolean {
+    return a.every((branchA) => this._coveredBy(branchA, b));
+  }
+
+  // ========== Pair Analysis ==========
+
+  /**
+   * At most one finding per pair, the most severe that applies
+   * @private
+   */
+  _comparePair(
+    a: Tag,
+    b: Tag,
+    branchesA: Branch[] | null,
+    branchesB: Branch[] | null,
+    objects: CustomObject[]
+  ): TagConflict | null {
+    if (!branchesA || !branchesB || branchesA.length === 0 || branchesB.length === 0) {
+      return null;
+    }
+
+    const overlap = this._findOverlap(branchesA, branchesB);
+    const tagIds: [string, string] = [a.id, b.id];
+
+    if (overlap && this._areExclusive(a, b)) {
+      return {
+        kind: 'exclusive_overlap',
+        severity: 'error',
+        tagIds,
+        message: `${a.name} and ${b.name} are mutually exclusive, but a member could qualify for both`,
+        explanation: this._overlapExplanation(overlap, objects),
+      };
+    }
+
+    const aInB = this.isSubsumed(branchesA, branchesB);
+    const bInA = this.isSubsumed(branchesB, branchesA);
+
+    if (overlap && a.category === 'origin' && b.category === 'origin') {
+      const explanation = this._overlapExplanation(overlap, objects);
+      if (aInB || bInA) {
+        const [narrow, broad] = aInB ? [a, b] : [b, a];
+        explanation.push(`Every member matching ${narrow.name} also matches ${broad.name}.`);
+      }
+      return {
+        kind: 'origin_overlap',
+        severity: 'warning',
+        tagIds,
+        message: `Origin tags ${a.name} and ${b.name} overlap; a member should have only one origin`,
+        explanation,
+      };
+    }
+
+    if (aInB && bInA) {
+      return {
+        kind: 'equivalent',
+        severity: 'warning',
+        tagIds,
+        message: `${a.name} and ${b.name} have logically equivalent rules`,
+        explanation: [
+          'Both tags match exactly the same members, so one of them is redundant.',
+          this._simplerExplanation(a, b),
+        ],
+      };
+    }
+
+    // A narrower tag within its category is redundant unless it builds on the broader one
+    if ((aInB || bInA) && a.category === b.category && !this._areDependent(a, b)) {
+      const [narrow, broad] = aInB ? [a, b] : [b, a];
+      return {
+        kind: 'subsumed',
+        severity: 'info',
+        tagIds: [narrow.id, broad.id],
+        message: `${narrow.name} is subsumed by ${broad.name}`,
+        explanation: [
+          `Every member matching ${narrow.name} also matches ${broad.name}.`,
+          `Keep ${narrow.name} only if journeys need the narrower segment.`,
+        ],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _areExclusive(a: Tag, b: Tag): boolean {
+    return (a.exclusiveWith || []).includes(b.id) || (b.exclusiveWith || []).includes(a.id);
+  }
+
+  /**
+   * @private
+   */
+  _areDependent(a: Tag, b: Tag): boolean {
+    return (a.dependencies || []).includes(b.id) || (b.dependencies || []).includes(a.id);
+  }
+
+  /**
+   * First pair of branches a member could match together
+   * @private
+   */
+  _findOverlap(a: Branch[], b: Branch[]): [Branch, Branch] | null {
+    for (const branchA of a) {
+      for (const branchB of b) {
+        if (this._isSatisfiable(this._mergeBranches(branchA, branchB))) {
+          return [branchA, branchB];
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _overlapExplanation([branchA, branchB]: [Branch, Branch], objects: CustomObject[]): string[] {
+    const seen = new Set<string>();
+    const conditions = [...branchA.conditions, ...branchB.conditions]
+      .map((condition) => describeCondition(condition, objects))
+      .filter((description) => !seen.has(description) && seen.add(description));
+
+    return [`Both match a member where ${conditions.join('; ')}.`];
+  }
+
+  /**
+   * Suggest keeping the tag whose rules analyzeTagComplexity scores lower
+   * @private
+   */
+  _simplerExplanation(a: Tag, b: Tag): string {
+    const scoreA = validationService.analyzeTagComplexity(a.qualificationRules).score;
+    const scoreB = validationService.analyzeTagComplexity(b.qualificationRules).score;
+    if (scoreA === scoreB) {
+      return `Their rules are equally complex (score ${scoreA}); keep whichever journeys already use.`;
+    }
+    const [simpler, other] = scoreA < scoreB ? [a, b] : [b, a];
+    return `Keep ${simpler.name}: its rules are simpler (complexity ${Math.min(scoreA, scoreB)} vs ${Math.max(scoreA, scoreB)}) than ${other.name}'s.`;
+  }
+
+  // ========== Rule Expansion ==========
+
+  /**
+   * @private
+   */
+  _expandNodes(nodes: RuleNode[], logic: 'AND' | 'OR'): Branch[] | null {
+    const expanded: Branch[][] = [];
+    for (const node of nodes) {
+      const branches = isRuleGroup(node)
+        ? this._expandNodes(node.conditions, node.logic === 'OR' ? 'OR' : 'AND')
+        : [this._conditionBranch(node)];
+      if (!branches) return null;
+      expanded.push(branches);
+    }
+
+    if (logic === 'OR') {
+      const branches = expanded.flat();
+      return branches.length > MAX_BRANCHES ? null : branches;
+    }
+
+    let product: Branch[] = [{ domains: new Map(), conditions: [] }];
+    for (const branches of expanded) {
+      if (product.length * branches.length > MAX_BRANCHES) return null;
+      product = product.flatMap((left) =>
+        branches.map((right) => this._mergeBranches(left, right))
+      );
+    }
+    return product;
+  }
+
+  /**
+   * @private
+   */
+  _conditionBranch(condition: RuleCondition): Branch {
+    const domains = new Map<string, Domain>();
+    const constraint = this._conditionDomain(condition);
+    if (constraint) domains.set(constraint[0], constraint[1]);
+    return { domains, conditions: [condition] };
+  }
+
+  /**
+   * Dimension key and allowed values for one condition
+   * @private
+   */
+  _conditionDomain(condition: RuleCondition): [string, Domain] | null {
+    if (isScoreCondition(condition)) {
+      const key = `member.${condition.scoreField.toLowerCase()}`;
+      if (condition.hysteresis) {
+        // A qualified member keeps the tag down to the remove threshold
+        return [key, this._hysteresisDomain(condition.hysteresis, condition.hysteresis.removeThreshold)];
+      }
+      const value =
+        condition.operator === 'between' ? condition.value : (condition.threshold ?? condition.value);
+      return [key, this._valueDomain(condition.operator, value)];
+    }
+
+    if (isAssociationCondition(condition)) {
+      const key = [
+        'association',
+        normalizeObjectName(condition.associationType),
+        normalizeObjectName(condition.relatedObject),
+        JSON.stringify(condition.nestedFilters || []),
+      ].join('|');
+      if (condition.conditionType === 'has_any') return [key, this._countDomain('greater_than_or_equal', 1)];
+      if (condition.conditionType === 'has_none') return [key, this._countDomain('equals', 0)];
+      return [key, this._countDomain(condition.operator || 'greater_than_or_equal', condition.value ?? 0)];
+    }
+
+    if (isActivityCondition(condition)) {
+      // Window last so _windowsAgree can compare counts of the same event
+      const key = [
+        'event',
+        condition.eventType,
+        JSON.stringify(condition.filters || []),
+        condition.timeframe ?? 'all',
+      ].join('|');
+      if (condition.occurrence === 'has_occurred') return [key, this._countDomain('greater_than_or_equal', 1)];
+      if (condition.occurrence === 'has_not_occurred') return [key, this._countDomain('equals', 0)];
+      return [key, this._countDomain(condition.operator || 'greater_than_or_equal', condition.value ?? 0)];
+    }
+
+    if (isPropertyCondition(condition)) {
+      const object = normalizeObjectName(condition.object);
+      const owner = MEMBER_OBJECT_ALIASES.includes(object) ? 'member' : object;
+      return [
+        `${owner}.${condition.field.toLowerCase()}`,
+        this._valueDomain(condition.operator, condition.value),
+      ];
+    }
+
+    return null;
+  }
+
+  /**
+   * Scores on the qualifying side of one of a hysteresis band's thresholds
+   * @private
+   */
+  _hysteresisDomain(
+    hysteresis: NonNullable<ScoreRuleCondition['hysteresis']>,
+    threshold: number
+  ): Domain {
+    const operator =
+      hysteresis.addThreshold >= hysteresis.removeThreshold
+        ? 'greater_than_or_equal'
+        : 'less_than_or_equal';
+    return this._valueDomain(operator, threshold);
+  }
+
+  /**
+   * @private
+   */
+  _valueDomain(operator: Comparison, value: unknown): Domain {
+    const domain = this._emptyDomain();
+    const number = this._toNumber(value);
+
+    switch (operator) {
+      case 'is_known':
+        domain.known = true;
+        break;
+      case 'is_unknown':
+        domain.known = false;
+        break;
+      case 'equals':
+        domain.known = true;
+        domain.include = new Set([this._token(value)]);
+        break;
+      case 'not_equals':
+        domain.exclude.add(this._token(value));
+        break;
+      case 'in':
+        domain.known = true;
+        domain.include = new Set(this._toList(value).map((item) => this._token(item)));
+        break;
+      case 'not_in':
+        this._toList(value).forEach((item) => domain.exclude.add(this._token(item)));
+        break;
+      case 'between': {
+        const [min, max] = Array.isArray(value) ? value.map((v) => this._toNumber(v)) : [];
+        domain.known = true;
+        if (min === null || max === null || min === undefined || max === undefined) {
+          domain.patterns.add(`between:${JSON.stringify(value)}`);
+        } else {
+          domain.lower = { value: min, inclusive: true };
+          domain.upper = { value: max, inclusive: true };
+        }
+        break;
+      }
+      case 'greater_than':
+      case 'greater_than_or_equal':
+      case 'less_than':
+      case 'less_than_or_equal': {
+        domain.known = true;
+        // Dates and other ordered text are compared by identity only
+        if (number === null) {
+          domain.patterns.add(`${operator}:${this._token(value)}`);
+          break;
+        }
+        const bound = { value: number, inclusive: operator.endsWith('_or_equal') };
+        if (operator.startsWith('greater')) domain.lower = bound;
+        else domain.upper = bound;
+        break;
+      }
+      default:
+        // contains, starts_with and ends_with need a value; not_contains does not
+        if (operator !== 'not_contains') domain.known = true;
+        domain.patterns.add(`${operator}:${this._token(value)}`);
+    }
+
+    return domain;
+  }
+
+  /**
+   * Counts are whole numbers from zero up, so bounds are rounded inward
+   * @private
+   */
+  _countDomain(operator: Comparison, value: number): Domain {
+    const domain = this._valueDomain(operator, value);
+    domain.known = true;
+
+    if (operator === 'equals') {
+      domain.lower = { value, inclusive: true };
+      domain.upper = { value, inclusive: true };
+    }
+
+    if (domain.lower) {
+      domain.lower = {
+        value: domain.lower.inclusive ? Math.ceil(domain.lower.value) : Math.floor(domain.lower.value) + 1,
+        inclusive: true,
+      };
+    }
+    if (!domain.lower || domain.lower.value < 0) domain.lower = { value: 0, inclusive: true };
+    if (domain.upper) {
+      domain.upper = {
+        value: domain.upper.inclusive ? Math.floor(domain.upper.value) : Math.ceil(domain.upper.value) - 1,
+        inclusive: true,
+      };
+    }
+    return domain;
+  }
+
+  // ========== Domain Logic ==========
+
+  /**
+   * @private
+   */
+  _mergeBranches(a: Branch, b: Branch): Branch {
+    const domains = new Map(a.domains);
+    b.domains.forEach((domain, key) => {
+      const existing = domains.get(key);
+      domains.set(key, existing ? this._intersect(existing, domain) : domain);
+    });
+    return { domains, conditions: [...a.conditions, ...b.conditions] };
+  }
+
+  /**
+   * @private
+   */
+  _intersect(a: Domain, b: Domain): Domain {
+    const include =
+      a.include && b.include
+        ? new Set([...a.include].filter((token) => b.include!.has(token)))
+        : a.include || b.include;
+
+    return {
+      known: a.known ?? b.known,
+      include: include ? new Set(include) : null,
+      exclude: new Set([...a.exclude, ...b.exclude]),
+      lower: this._tighterBound(a.lower, b.lower, 1),
+      upper: this._tighterBound(a.upper, b.upper, -1),
+      patterns: new Set([...a.patterns, ...b.patterns]),
+      conflict: a.conflict || b.conflict || (a.known !== null && b.known !== null && a.known !== b.known),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _isSatisfiable(branch: Branch): boolean {
+    return (
+      [...branch.domains.values()].every((domain) => this._domainAllowsValue(domain)) &&
+      this._windowsAgree(branch)
+    );
+  }
+
+  /**
+   * An event can't occur more often in a shorter window than in a longer
+   * one, so "none in 90 days" rules out "more than 3 in 30 days"
+   * @private
+   */
+  _windowsAgree(branch: Branch): boolean {
+    const windows = [...branch.domains.entries()]
+      .filter(([key]) => key.startsWith('event|'))
+      .map(([key, domain]) => {
+        const split = key.lastIndexOf('|');
+        const timeframe = key.slice(split + 1);
+        return {
+          event: key.slice(0, split),
+          days: timeframe === 'all' ? Infinity : Number(timeframe),
+          domain,
+        };
+      });
+
+    return windows.every((shorter) =>
+      windows.every(
+        (longer) =>
+          shorter.event !== longer.event ||
+          shorter.days >= longer.days ||
+          !shorter.domain.lower ||
+          !longer.domain.upper ||
+          shorter.domain.lower.value <= longer.domain.upper.value
+      )
+    );
+  }
+
+  /**
+   * @private
+   */
+  _domainAllowsValue(domain: Domain): boolean {
+    if (domain.conflict) return false;
+    // Only is_unknown (and negative matches) can leave a value absent
+    if (domain.known === false) return true;
+
+    if (domain.include) {
+      return this._allowedTokens(domain).length > 0;
+    }
+
+    if (domain.lower && domain.upper) {
+      if (domain.lower.value > domain.upper.value) return false;
+      if (domain.lower.value === domain.upper.value) {
+        return (
+          domain.lower.inclusive &&
+          domain.upper.inclusive &&
+          !domain.exclude.has(this._token(domain.lower.value))
+        );
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Included values that survive the exclusions and numeric bounds
+   * @private
+   */
+  _allowedTokens(domain: Domain): string[] {
+    return [...(domain.include || [])].filter(
+      (token) => !domain.exclude.has(token) && this._withinBounds(token, domain)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _withinBounds(token: string, domain: Domain): boolean {
+    if (!domain.lower && !domain.upper) return true;
+    const number = this._toNumber(token);
+    if (number === null) return false;
+    if (domain.lower && (domain.lower.inclusive ? number < domain.lower.value : number <= domain.lower.value)) {
+      return false;
+    }
+    if (domain.upper && (domain.upper.inclusive ? number > domain.upper.value : number >= domain.upper.value)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether branch `a` implies some branch of `b`, trying each listed value
+   * of `a` separately when no single branch covers the whole list
+   * @private
+   */
+  _coveredBy(a: Branch, b: Branch[]): boolean {
+    if (b.some((branchB) => this._implies(a, branchB))) return true;
+
+    const listed = [...a.domains.entries()].find(
+      ([, domain]) => domain.known !== false && this._allowedTokens(domain).length > 1
+    );
+    if (!listed) return false;
+
+    const [key, domain] = listed;
+    return this._allowedTokens(domain).every((token) => {
+      const domains = new Map(a.domains);
+      domains.set(key, { ...domain, include: new Set([token]) });
+      return this._coveredBy({ domains, conditions: a.conditions }, b);
+    });
+  }
+
+  /**
+   * Whether a member matching branch `a` always matches branch `b`
+   * @private
+   */
+  _implies(a: Branch, b: Branch): boolean {
+    return [...b.domains.entries()].every(([key, domainB]) => {
+      const domainA = a.domains.get(key);
+      return !!domainA && this._isSubset(domainA, this._coveringDomain(b, key, domainB));
+    });
+  }
+
+  /**
+   * Values of a branch that every member within them is sure to match. A
+   * hysteresis score only holds down to the remove threshold for members
+   * already tagged, so a member who has never qualified needs the add
+   * threshold.
+   * @private
+   */
+  _coveringDomain(branch: Branch, key: string, domain: Domain): Domain {
+    return branch.conditions.reduce((covered, condition) => {
+      if (!isScoreCondition(condition) || !condition.hysteresis) return covered;
+      if (this._conditionDomain(condition)?.[0] !== key) return covered;
+      return this._intersect(
+        covered,
+        this._hysteresisDomain(condition.hysteresis, condition.hysteresis.addThreshold)
+      );
+    }, domain);
+  }
+
+  /**
+   * @private
+   */
+  _isSubset(a: Domain, b: Domain): boolean {
+    if (b.known !== null && a.known !== b.known) return false;
+    if (a.known === false) return true;
+
+    if (b.include) {
+      if (!a.include) return false;
+      if (!this._allowedTokens(a).every((token) => b.include!.has(token))) return false;
+    }
+
+    const excludedByA = (token: string): boolean =>
+      a.exclude.has(token) ||
+      (a.include !== null && !this._allowedTokens(a).includes(token)) ||
+      ((a.lower !== null || a.upper !== null) && !this._withinBounds(token, a));
+    if (![...b.exclude].every(excludedByA)) return false;
+
+    if (b.lower || b.upper) {
+      const tokensFit = a.include !== null && this._allowedTokens(a).every((token) => this._withinBounds(token, b));
+      const boundsFit =
+        this._boundWithin(a.lower, b.lower, 1) && this._boundWithin(a.upper, b.upper, -1);
+      if (!tokensFit && !boundsFit) return false;
+    }
+
+    return [...b.patterns].every((pattern) => a.patterns.has(pattern));
+  }
+
+  /**
+   * Whether bound `a` is at least as tight as `b`; direction 1 for lower
+   * bounds, -1 for upper
+   * @private
+   */
+  _boundWithin(a: Bound | null, b: Bound | null, direction: 1 | -1): boolean {
+    if (!b) return true;
+    if (!a) return false;
+    const diff = (a.value - b.value) * direction;
+    return diff > 0 || (diff === 0 && (b.inclusive || !a.inclusive));
+  }
+
+  /**
+   * @private
+   */
+  _tighterBound(a: Bound | null, b: Bound | null, direction: 1 | -1): Bound | null {
+    if (!a) return b;
+    if (!b) return a;
+    return this._boundWithin(a, b, direction) ? a : b;
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * @private
+   */
+  _emptyDomain(): Domain {
+    return {
+      known: null,
+      include: null,
+      exclude: new Set(),
+      lower: null,
+      upper: null,
+      patterns: new Set(),
+      conflict: false,
+    };
+  }
+
+  /**
+   * Comparable form of a rule value; numbers and booleans compare as the
+   * engine's loose equality does
+   * @private
+   */
+  _token(value: unknown): string {
+    const number = this._toNumber(value);
+    if (number !== null) return String(number);
+    return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  _toNumber(value: unknown): number | null {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toList(value: unknown): unknown[] {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(',').map((item) => item.trim());
+    return value === undefined || value === null ? [] : [value];
+  }
+}
+
+// Create and export a singleton instance
+const tagConflictService = new TagConflictService();
+
+export { tagConflictService, TagConflictService };
+export default tagConflictService;
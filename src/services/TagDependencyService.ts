@@ -0,0 +1,247 @@
+import type {
+  Tag,
+  TagDependencies,
+  MissingTagDependency,
+  TagEvaluationOrder,
+} from '../types/tag';
+
+/**
+ * Tag Dependency Service
+ *
+ * A tag's `dependencies` lists the IDs of tags it requires, e.g. a
+ * "Mortgage_Refi_Candidate" tag that only makes sense for members who already
+ * hold "Has_Mortgage". Together they form a directed graph, which this
+ * service checks and orders:
+ * - missing dependency IDs (the required tag was deleted or never adopted)
+ * - cycles, which can never be evaluated
+ * - an evaluation order where every tag comes after the tags it requires
+ * - what a delete would break, for blocking or cascading it
+ *
+ * Edges point from a tag to the tags it requires. Dependencies on IDs that
+ * are not in the collection are reported as missing and otherwise ignored.
+ */
+class TagDependencyService {
+  /**
+   * Dependency IDs that are missing from the collection
+   */
+  findMissingDependencies(tags: Tag[]): MissingTagDependency[] {
+    const ids = new Set(tags.map((tag) => tag.id));
+
+    return tags.flatMap((tag) =>
+      this._dependencyIds(tag)
+        .filter((dependencyId) => !ids.has(dependencyId))
+        .map((dependencyId) => ({ tagId: tag.id, dependencyId }))
+    );
+  }
+
+  /**
+   * One cycle for each group of tags that require one another, as tag IDs
+   * with the first ID repeated at the end. A group with several loops is
+   * reported once, by the shortest loop through its first tag.
+   */
+  findCycles(tags: Tag[]): string[][] {
+    const requires = this._requiresMap(tags);
+    const requiredBy = this._requiredByMap(tags);
+    const grouped = new Set<string>();
+    const cycles: string[][] = [];
+
+    tags.forEach((tag) => {
+      if (grouped.has(tag.id)) return;
+      const cycle = this._cycleThrough(tag.id, requires);
+      if (!cycle) return;
+
+      // Tags both reachable from this one and reaching it share its group
+      const upstream = this._reachable(tag.id, requiredBy);
+      this._reachable(tag.id, requires).forEach((id) => {
+        if (upstream.has(id)) grouped.add(id);
+      });
+      cycles.push(cycle);
+    });
+
+    return cycles;
+  }
+
+  /**
+   * Group tags into levels so each tag comes after everything it requires.
+   * Tags on a cycle, or requiring one, are returned as unresolved.
+   */
+  getEvaluationOrder(tags: Tag[]): TagEvaluationOrder {
+    const requires = this._requiresMap(tags);
+    const placed = new Set<string>();
+    const levels: Tag[][] = [];
+    let remaining = tags;
+
+    while (remaining.length > 0) {
+      const level = remaining.filter((tag) =>
+        (requires.get(tag.id) || []).every((dependencyId) => placed.has(dependencyId))
+      );
+      if (level.length === 0) break;
+
+      level.forEach((tag) => placed.add(tag.id));
+      levels.push(level);
+      remaining = remaining.filter((tag) => !placed.has(tag.id));
+    }
+
+    return {
+      order: levels.flat(),
+      levels,
+      unresolved: remaining,
+      cycles: remaining.length > 0 ? this.findCycles(tags) : [],
+    };
+  }
+
+  /**
+   * Problems with a tag's dependencies if it were saved into the collection
+   * (replacing any tag with the same ID)
+   */
+  validateTag(tag: Tag, allTags: Tag[]): string[] {
+    const errors: string[] = [];
+    const candidate = [...allTags.filter((existing) => existing.id !== tag.id), tag];
+    const names = new Map(candidate.map((t) => [t.id, t.name]));
+
+    this._dependencyIds(tag).forEach((dependencyId) => {
+      if (dependencyId === tag.id) {
+        errors.push('A tag cannot depend on itself');
+      } else if (!names.has(dependencyId)) {
+        errors.push(`Dependency tag "${dependencyId}" does not exist`);
+      }
+    });
+
+    // Self-dependencies are reported above
+    const cycle = this._cycleThrough(tag.id, this._requiresMap(candidate));
+    if (cycle && cycle.length > 2) {
+      errors.push(`Circular dependency: ${cycle.map((id) => names.get(id) || id).join(' → ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether adding `dependencyId` to a tag's dependencies would close a cycle
+   */
+  wouldCreateCycle(tagId: string, dependencyId: string, tags: Tag[]): boolean {
+    return dependencyId === tagId || this._reachable(dependencyId, this._requiresMap(tags)).has(tagId);
+  }
+
+  /**
+   * Tags a tag requires, directly or through other tags
+   */
+  getRequirements(tagId: string, tags: Tag[]): Tag[] {
+    const reachable = this._reachable(tagId, this._requiresMap(tags));
+    return tags.filter((tag) => tag.id !== tagId && reachable.has(tag.id));
+  }
+
+  /**
+   * Tags that require a tag, directly or through other tags. These are the
+   * tags a cascading delete removes along with it.
+   */
+  getDependents(tagId: string, tags: Tag[]): Tag[] {
+    const reachable = this._reachable(tagId, this._requiredByMap(tags));
+    return tags.filter((tag) => tag.id !== tagId && reachable.has(tag.id));
+  }
+
+  /**
+   * Direct requirements and dependents of a tag, for delete checks
+   */
+  getDependencies(tagId: string, tags: Tag[]): TagDependencies {
+    const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+    const tag = tagsById.get(tagId);
+    const requiredBy = tags.filter(
+      (other) => other.id !== tagId && this._dependencyIds(other).includes(tagId)
+    );
+    const dependentCount = this.getDependents(tagId, tags).length;
+
+    return {
+      requires: (tag ? this._dependencyIds(tag) : [])
+        .map((id) => tagsById.get(id))
+        .filter((dependency): dependency is Tag => Boolean(dependency)),
+      requiredBy,
+      hasBlockers: requiredBy.length > 0,
+      dependentCount,
+    };
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Unique dependency IDs of a tag
+   * @private
+   */
+  _dependencyIds(tag: Tag): string[] {
+    return [...new Set(tag.dependencies || [])];
+  }
+
+  /**
+   * Tag ID → IDs it requires, limited to tags in the collection
+   * @private
+   */
+  _requiresMap(tags: Tag[]): Map<string, string[]> {
+    const ids = new Set(tags.map((tag) => tag.id));
+    return new Map(
+      tags.map((tag) => [tag.id, this._dependencyIds(tag).filter((id) => ids.has(id))])
+    );
+  }
+
+  /**
+   * Tag ID → IDs of the tags that require it
+   * @private
+   */
+  _requiredByMap(tags: Tag[]): Map<string, string[]> {
+    const requiredBy = new Map<string, string[]>(tags.map((tag) => [tag.id, []]));
+    this._requiresMap(tags).forEach((dependencyIds, id) => {
+      dependencyIds.forEach((dependencyId) => requiredBy.get(dependencyId)?.push(id));
+    });
+    return requiredBy;
+  }
+
+  /**
+   * IDs reachable from a tag by following edges (excluding the start unless
+   * it is on a cycle)
+   * @private
+   */
+  _reachable(startId: string, edges: Map<string, string[]>): Set<string> {
+    const reached = new Set<string>();
+    const queue = [...(edges.get(startId) || [])];
+
+    while (queue.length > 0) {
+      const id = queue.shift() as string;
+      if (reached.has(id)) continue;
+      reached.add(id);
+      queue.push(...(edges.get(id) || []));
+    }
+
+    return reached;
+  }
+
+  /**
+   * Shortest path from a tag back to itself, or null when it is on no cycle
+   * @private
+   */
+  _cycleThrough(startId: string, edges: Map<string, string[]>): string[] | null {
+    const previous = new Map<string, string>();
+    const queue = [startId];
+
+    while (queue.length > 0) {
+      const id = queue.shift() as string;
+      for (const nextId of edges.get(id) || []) {
+        if (nextId === startId) {
+          const path = [id];
+          while (path[0] !== startId) path.unshift(previous.get(path[0] as string) as string);
+          return [...path, startId];
+        }
+        if (!previous.has(nextId)) {
+          previous.set(nextId, id);
+          queue.push(nextId);
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+// Create and export a singleton instance
+const tagDependencyService = new TagDependencyService();
+
+export { tagDependencyService, TagDependencyService };
+export default tagDependencyService;
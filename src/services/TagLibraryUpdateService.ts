@@ -0,0 +1,354 @@
+import {
+  isActivityCondition,
+  isAssociationCondition,
+  isPropertyCondition,
+  isRuleGroup,
+  isScoreCondition,
+} from '../utils/ruleTree';
+import { describeCondition, formatRuleValue } from '../utils/ruleFormatting';
+import type { RuleNode, Tag, TagDefinition, TagLibrarySource } from '../types/tag';
+import type { TagChange, TagChangePath, TagLibraryUpdate } from '../types/tagUpdate';
+
+// Tag properties compared and merged; IDs, timestamps and isCustom are the project's own
+const DEFINITION_KEYS = [
+  'name',
+  'category',
+  'description',
+  'icon',
+  'color',
+  'behavior',
+  'isPermanent',
+  'qualificationRules',
+  'dependencies',
+  'exclusiveWith',
+] as const;
+
+const PATH_LABELS: Record<string, string> = {
+  name: 'Name',
+  category: 'Category',
+  description: 'Description',
+  icon: 'Icon',
+  color: 'Color',
+  behavior: 'Behavior',
+  isPermanent: 'Permanent',
+  qualificationRules: 'Rules',
+  dependencies: 'Depends on',
+  exclusiveWith: 'Mutually exclusive with',
+  ruleType: 'Rule type',
+  logic: 'Logic',
+};
+
+// The bundled library as imported from tagLibrary.json
+interface BundledLibrary {
+  tags: Tag[];
+  metadata: { version: string };
+}
+
+type PlainObject = Record<string, unknown>;
+
+/**
+ * Tag Library Update Service
+ *
+ * Projects keep their own copy of each library tag they adopt, stamped with
+ * the library version and the library's definition at the time. When the
+ * bundled library ships a different definition, the stamp is the common
+ * ancestor of a three-way merge:
+ * - values only the library changed are offered as updates
+ * - values both sides changed differently are conflicts
+ * - values only the project changed (such as fields bound during adoption)
+ *   are kept and not shown
+ *
+ * Objects are compared key by key and condition lists index by index while
+ * their lengths match, so a library fix to one condition's value merges
+ * cleanly with a project's remapped field on the same condition. Copies
+ * adopted before stamping have no ancestor; every difference from the
+ * library is then treated as a conflict.
+ */
+class TagLibraryUpdateService {
+  /**
+   * The mergeable part of a tag, detached from the tag itself
+   */
+  getDefinition(tag: Tag | TagDefinition): TagDefinition {
+    const definition: PlainObject = {};
+    DEFINITION_KEYS.forEach((key) => {
+      if (tag[key] !== undefined) definition[key] = this._clone(tag[key]);
+    });
+    return definition as TagDefinition;
+  }
+
+  /**
+   * Record which library version and tag a project copy came from
+   */
+  stampSource(projectTag: Tag, libraryTag: Tag, version: string): Tag {
+    const librarySource: TagLibrarySource = {
+      version,
+      tagId: libraryTag.id,
+      definition: this.getDefinition(libraryTag),
+    };
+    return { ...projectTag, librarySource };
+  }
+
+  /**
+   * Project copies whose library tag has a newer definition, with the
+   * changes still to decide on
+   */
+  findUpdates(projectTags: Tag[], library: BundledLibrary): TagLibraryUpdate[] {
+    return projectTags.flatMap((tag) => {
+      const update = this.getUpdate(tag, library);
+      return update ? [update] : [];
+    });
+  }
+
+  /**
+   * Pending library changes for one project copy, or null when it is up to date
+   */
+  getUpdate(projectTag: Tag, library: BundledLibrary): TagLibraryUpdate | null {
+    const source = projectTag.librarySource;
+    const libraryTag = library.tags.find((tag) => tag.id === (source?.tagId ?? projectTag.id));
+    if (!libraryTag) return null;
+
+    const upstream = this.getDefinition(libraryTag);
+    if (source && this._isEqual(source.definition, upstream)) return null;
+
+    const changes = this.diffDefinitions(
+      source ? source.definition : null,
+      this.getDefinition(projectTag),
+      upstream
+    );
+    if (changes.length === 0) return null;
+
+    return {
+      tagId: projectTag.id,
+      tagName: projectTag.name,
+      fromVersion: source?.version ?? null,
+      toVersion: library.metadata.version,
+      changes,
+    };
+  }
+
+  /**
+   * Three-way diff of a tag definition; base is null for untracked copies
+   */
+  diffDefinitions(
+    base: TagDefinition | null,
+    local: TagDefinition,
+    upstream: TagDefinition
+  ): TagChange[] {
+    const changes: TagChange[] = [];
+    this._diff(base, local, upstream, [], base !== null, changes);
+    return changes;
+  }
+
+  /**
+   * Apply the accepted changes to a project copy and restamp it with the
+   * library's definition, so rejected changes are not offered again
+   */
+  applyUpdate(
+    projectTag: Tag,
+    update: TagLibraryUpdate,
+    acceptedKeys: string[],
+    library: BundledLibrary
+  ): Tag {
+    const libraryTag = library.tags.find(
+      (tag) => tag.id === (projectTag.librarySource?.tagId ?? projectTag.id)
+    );
+    if (!libraryTag) return projectTag;
+
+    const merged = this._clone(projectTag) as Tag;
+    update.changes
+      .filter((change) => acceptedKeys.includes(change.key))
+      .forEach((change) => this._setAt(merged, change.path, change.upstream));
+
+    return this.stampSource(
+      { ...merged, createdAt: projectTag.createdAt, updatedAt: new Date() },
+      libraryTag,
+      library.metadata.version
+    );
+  }
+
+  /**
+   * Keys of the changes accepted unless the strategist says otherwise:
+   * library-only changes, not conflicts
+   */
+  getDefaultAccepted(update: TagLibraryUpdate): string[] {
+    return update.changes.filter((change) => !change.conflict).map((change) => change.key);
+  }
+
+  /**
+   * Short text for a changed value; conditions are described in prose
+   */
+  formatValue(value: unknown): string {
+    if (this._isCondition(value)) return describeCondition(value as RuleNode);
+    if (Array.isArray(value) && value.length > 0 && value.every((item) => this._isCondition(item))) {
+      return value.map((item) => describeCondition(item as RuleNode)).join('; ');
+    }
+    if (Array.isArray(value) && value.length === 0) return '(none)';
+    return formatRuleValue(value);
+  }
+
+  // ========== Diff ==========
+
+  /**
+   * @private
+   */
+  _diff(
+    base: unknown,
+    local: unknown,
+    upstream: unknown,
+    path: TagChangePath,
+    hasBase: boolean,
+    changes: TagChange[]
+  ): void {
+    if (hasBase && this._isEqual(base, upstream)) return;
+    if (this._isEqual(local, upstream)) return;
+
+    // Descend while every side has the same shape, to merge at the finest level
+    if (
+      this._isPlainObject(local) &&
+      this._isPlainObject(upstream) &&
+      (!hasBase || this._isPlainObject(base))
+    ) {
+      const keys = new Set([
+        ...Object.keys(upstream),
+        ...(hasBase ? Object.keys(base as PlainObject) : []),
+      ]);
+      keys.forEach((key) =>
+        this._diff(
+          hasBase ? (base as PlainObject)[key] : undefined,
+          local[key],
+          upstream[key],
+          [...path, key],
+          hasBase,
+          changes
+        )
+      );
+      return;
+    }
+
+    if (
+      this._isObjectList(local) &&
+      this._isObjectList(upstream) &&
+      local.length === upstream.length &&
+      (!hasBase || (this._isObjectList(base) && base.length === upstream.length))
+    ) {
+      upstream.forEach((item, index) =>
+        this._diff(
+          hasBase ? (base as unknown[])[index] : undefined,
+          local[index],
+          item,
+          [...path, index],
+          hasBase,
+          changes
+        )
+      );
+      return;
+    }
+
+    changes.push({
+      key: path.join('.'),
+      path,
+      label: this._pathLabel(path),
+      base: hasBase ? base : undefined,
+      local,
+      upstream,
+      conflict: !hasBase || !this._isEqual(local, base),
+    });
+  }
+
+  /**
+   * @private
+   */
+  _pathLabel(path: TagChangePath): string {
+    return path
+      .filter((segment) => segment !== 'conditions')
+      .map((segment) =>
+        typeof segment === 'number' ? `Condition ${segment + 1}` : PATH_LABELS[segment] || segment
+      )
+      .join(' › ');
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * Set (or remove, for undefined) the value at a path, creating parents as needed
+   * @private
+   */
+  _setAt(target: PlainObject, path: TagChangePath, value: unknown): void {
+    let node = target as Record<string | number, unknown>;
+    path.slice(0, -1).forEach((segment) => {
+      if (node[segment] === null || typeof node[segment] !== 'object') node[segment] = {};
+      node = node[segment] as Record<string | number, unknown>;
+    });
+
+    const last = path[path.length - 1];
+    if (last === undefined) return;
+    if (value === undefined) {
+      delete node[last];
+    } else {
+      node[last] = this._clone(value);
+    }
+  }
+
+  /**
+   * Structural equality that ignores key order
+   * @private
+   */
+  _isEqual(a: unknown, b: unknown): boolean {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return (
+        Array.isArray(a) &&
+        Array.isArray(b) &&
+        a.length === b.length &&
+        a.every((item, index) => this._isEqual(item, b[index]))
+      );
+    }
+    if (this._isPlainObject(a) && this._isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      return [...keys].every((key) => this._isEqual(a[key], b[key]));
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value: unknown): value is PlainObject {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  }
+
+  /**
+   * @private
+   */
+  _isObjectList(value: unknown): value is PlainObject[] {
+    return Array.isArray(value) && value.every((item) => this._isPlainObject(item));
+  }
+
+  /**
+   * @private
+   */
+  _isCondition(value: unknown): boolean {
+    if (!this._isPlainObject(value)) return false;
+    const node = value as RuleNode;
+    if (isRuleGroup(node)) return true;
+    return (
+      isPropertyCondition(node) ||
+      isActivityCondition(node) ||
+      isAssociationCondition(node) ||
+      isScoreCondition(node)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _clone<T>(value: T): T {
+    return value === undefined ? value : structuredClone(value);
+  }
+}
+
+// Create and export a singleton instance
+const tagLibraryUpdateService = new TagLibraryUpdateService();
+
+export { tagLibraryUpdateService, TagLibraryUpdateService };
+export default tagLibraryUpdateService;
@@ -0,0 +1,429 @@
+import {
+  isAssociationCondition,
+  isPropertyCondition,
+  isRuleGroup,
+  isScoreCondition,
+} from '../utils/ruleTree';
+import { describeCondition } from '../utils/ruleFormatting';
+import { OPERATORS_BY_TYPE, getOperatorGroup } from '../utils/ruleOperators';
+import type {
+  PropertyRuleCondition,
+  QualificationRules,
+  RuleCondition,
+  RuleNode,
+  Tag,
+  TagCollection,
+} from '../types/tag';
+import type { CustomField, CustomObject, DataModel } from '../types/project';
+import type {
+  BindingCandidate,
+  RuleBinding,
+  RuleBindings,
+  RuleReference,
+} from '../types/tagRemap';
+
+// Data model fields carry dataType, fieldType and options beyond the base CustomField type
+type ModelField = CustomField & {
+  dataType?: string;
+  fieldType?: string;
+  options?: Array<{ label: string; value: string }>;
+};
+
+// Lowest similarity proposed without the strategist picking a match
+const MIN_PROPOSAL_SCORE = 0.55;
+
+// Words that say nothing about which object or field is meant
+const NOISE_TOKENS = ['object', 'the', 'of'];
+
+/**
+ * Tag Remap Service
+ *
+ * Library tags refer to objects and fields by loose names ("Member",
+ * "first_product_type"). When a tag is adopted into a project, each
+ * reference is matched against the project's data model:
+ * - candidates are ranked by name and label similarity and by whether the
+ *   field's dataType suits the condition (operator and compared values)
+ * - the strategist confirms or picks a binding per reference
+ * - the adopted rule stores the bound object and field IDs alongside the
+ *   names, and syncBoundTags rewrites the names after data model renames
+ */
+class TagRemapService {
+  /**
+   * Every object and field reference in a rule set, in rule order
+   */
+  collectReferences(rules: QualificationRules | undefined): RuleReference[] {
+    const references: RuleReference[] = [];
+
+    const visit = (nodes: RuleNode[], parentPath: number[]): void => {
+      nodes.forEach((node, index) => {
+        const path = [...parentPath, index];
+        const key = path.join('.');
+
+        if (isRuleGroup(node)) {
+          visit(node.conditions, path);
+        } else if (isScoreCondition(node)) {
+          references.push({
+            key,
+            kind: 'score',
+            path,
+            fieldName: node.scoreField,
+            operator: node.operator,
+            values: [],
+            description: describeCondition(node),
+          });
+        } else if (isAssociationCondition(node)) {
+          references.push({
+            key,
+            kind: 'object',
+            path,
+            objectName: node.relatedObject,
+            values: [],
+            description: describeCondition(node),
+          });
+          (node.nestedFilters || []).forEach((filter, filterIndex) => {
+            references.push(
+              this._fieldReference(filter, `${key}/filter:${filterIndex}`, path, {
+                filterIndex,
+                parentKey: key,
+              })
+            );
+          });
+        } else if (isPropertyCondition(node)) {
+          references.push(this._fieldReference(node, key, path));
+        }
+        // Activity conditions refer to events, not data model fields
+      });
+    };
+
+    visit(rules?.conditions || [], []);
+    return references;
+  }
+
+  /**
+   * Data model bindings for a reference, best match first. Nested filters
+   * are limited to the object chosen for their association.
+   */
+  getCandidates(
+    reference: RuleReference,
+    dataModel: DataModel,
+    bindings: RuleBindings = {}
+  ): BindingCandidate[] {
+    const parentBinding = reference.parentKey ? bindings[reference.parentKey] : null;
+    const objects = (dataModel.objects || []).filter(
+      (object) => !parentBinding || object.id === parentBinding.objectId
+    );
+
+    const candidates: BindingCandidate[] =
+      reference.kind === 'object'
+        ? objects.map((object) => ({
+            objectId: object.id,
+            objectLabel: object.label || object.name,
+            score: this._objectSimilarity(reference.objectName || '', object),
+          }))
+        : objects.flatMap((object) =>
+            (object.fields || []).map((field) => this._fieldCandidate(reference, object, field))
+          );
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Best binding for each reference, or null where nothing is close enough
+   */
+  proposeBindings(rules: QualificationRules | undefined, dataModel: DataModel): RuleBindings {
+    const bindings: RuleBindings = {};
+
+    this.collectReferences(rules).forEach((reference) => {
+      const [best] = this.getCandidates(reference, dataModel, bindings);
+      bindings[reference.key] =
+        best && best.score >= MIN_PROPOSAL_SCORE
+          ? { objectId: best.objectId, ...(best.fieldId ? { fieldId: best.fieldId } : {}) }
+          : null;
+    });
+
+    return bindings;
+  }
+
+  /**
+   * Copy of a tag with bound references renamed to the data model's names
+   * and the object/field IDs stored on each condition
+   */
+  applyBindings(tag: Tag, dataModel: DataModel, bindings: RuleBindings): Tag {
+    const objects = dataModel.objects || [];
+    const resolve = (binding: RuleBinding | null | undefined) => {
+      const object = binding ? objects.find((o) => o.id === binding.objectId) : undefined;
+      const field = object && binding?.fieldId
+        ? (object.fields || []).find((f) => f.id === binding.fieldId)
+        : undefined;
+      return { object, field };
+    };
+
+    const bindProperty = (condition: PropertyRuleCondition, key: string): PropertyRuleCondition => {
+      const { object, field } = resolve(bindings[key]);
+      if (!object || !field) return condition;
+      return { ...condition, object: object.name, field: field.name, objectId: object.id, fieldId: field.id };
+    };
+
+    const conditions = this._mapConditions(tag.qualificationRules.conditions, (condition, path) => {
+      const key = path.join('.');
+
+      if (isScoreCondition(condition)) {
+        const { object, field } = resolve(bindings[key]);
+        return object && field
+          ? { ...condition, scoreField: field.name, objectId: object.id, fieldId: field.id }
+          : condition;
+      }
+
+      if (isAssociationCondition(condition)) {
+        const { object } = resolve(bindings[key]);
+        const bound = object
+          ? { ...condition, relatedObject: object.name, relatedObjectId: object.id }
+          : condition;
+        return condition.nestedFilters
+          ? {
+              ...bound,
+              nestedFilters: condition.nestedFilters.map((filter, filterIndex) =>
+                bindProperty(filter, `${key}/filter:${filterIndex}`)
+              ),
+            }
+          : bound;
+      }
+
+      if (isPropertyCondition(condition)) {
+        return bindProperty(condition, key);
+      }
+
+      return condition;
+    });
+
+    return { ...tag, qualificationRules: { ...tag.qualificationRules, conditions } };
+  }
+
+  /**
+   * Rewrite bound references after objects or fields are renamed. Returns
+   * null when no tag changed. References whose object or field was deleted
+   * keep their last name so the rule linter can flag them.
+   */
+  syncBoundTags(tags: TagCollection, dataModel: DataModel): TagCollection | null {
+    const objectsById = new Map((dataModel.objects || []).map((object) => [object.id, object]));
+    const objectName = (objectId: string | undefined, current: string): string =>
+      (objectId && objectsById.get(objectId)?.name) || current;
+    const fieldName = (objectId: string | undefined, fieldId: string | undefined, current: string): string =>
+      (objectId &&
+        fieldId &&
+        (objectsById.get(objectId)?.fields || []).find((f) => f.id === fieldId)?.name) ||
+      current;
+
+    const syncProperty = (condition: PropertyRuleCondition): PropertyRuleCondition => {
+      const object = objectName(condition.objectId, condition.object);
+      const field = fieldName(condition.objectId, condition.fieldId, condition.field);
+      return object === condition.object && field === condition.field
+        ? condition
+        : { ...condition, object, field };
+    };
+
+    const syncCondition = (condition: RuleCondition): RuleCondition => {
+      if (isScoreCondition(condition)) {
+        const scoreField = fieldName(condition.objectId, condition.fieldId, condition.scoreField);
+        return scoreField === condition.scoreField ? condition : { ...condition, scoreField };
+      }
+      if (isAssociationCondition(condition)) {
+        const relatedObject = objectName(condition.relatedObjectId, condition.relatedObject);
+        const nestedFilters = condition.nestedFilters?.map(syncProperty);
+        const filtersChanged = nestedFilters?.some((filter, i) => filter !== condition.nestedFilters?.[i]);
+        return relatedObject === condition.relatedObject && !filtersChanged
+          ? condition
+          : { ...condition, relatedObject, ...(nestedFilters ? { nestedFilters } : {}) };
+      }
+      return isPropertyCondition(condition) ? syncProperty(condition) : condition;
+    };
+
+    let changed = false;
+    const syncTag = (tag: Tag): Tag => {
+      if (!tag.qualificationRules) return tag;
+      let tagChanged = false;
+      const conditions = this._mapConditions(tag.qualificationRules.conditions, (condition) => {
+        const synced = syncCondition(condition);
+        if (synced !== condition) tagChanged = true;
+        return synced;
+      });
+      if (!tagChanged) return tag;
+      changed = true;
+      return { ...tag, qualificationRules: { ...tag.qualificationRules, conditions } };
+    };
+
+    const library = (tags.library || []).map(syncTag);
+    const custom = (tags.custom || []).map(syncTag);
+    return changed ? { ...tags, library, custom } : null;
+  }
+
+  // ========== Helpers ==========
+
+  /**
+   * @private
+   */
+  _fieldReference(
+    condition: PropertyRuleCondition,
+    key: string,
+    path: number[],
+    extra: Partial<RuleReference> = {}
+  ): RuleReference {
+    const values =
+      condition.value === undefined ? [] : Array.isArray(condition.value) ? condition.value : [condition.value];
+    return {
+      key,
+      kind: 'field',
+      path,
+      objectName: condition.object,
+      fieldName: condition.field,
+      operator: condition.operator,
+      values,
+      description: describeCondition(condition),
+      ...extra,
+    };
+  }
+
+  /**
+   * Map every condition in a rule tree, keeping groups
+   * @private
+   */
+  _mapConditions(
+    nodes: RuleNode[],
+    map: (condition: RuleCondition, path: number[]) => RuleCondition,
+    parentPath: number[] = []
+  ): RuleNode[] {
+    return nodes.map((node, index) => {
+      const path = [...parentPath, index];
+      return isRuleGroup(node)
+        ? { ...node, conditions: this._mapConditions(node.conditions, map, path) }
+        : map(node, path);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _fieldCandidate(
+    reference: RuleReference,
+    object: CustomObject,
+    field: ModelField
+  ): BindingCandidate {
+    const dataType = field.dataType || field.type;
+    const nameScore = Math.max(
+      this._similarity(reference.fieldName || '', field.name),
+      this._similarity(reference.fieldName || '', field.label || '')
+    );
+
+    let score: number;
+    if (reference.kind === 'score') {
+      const isNumeric = ['number', 'currency'].includes(dataType) || field.fieldType === 'calculated';
+      score = 0.7 * nameScore + 0.3 * (isNumeric ? 1 : 0);
+    } else {
+      score =
+        0.6 * nameScore +
+        0.25 * this._typeFit(reference, field) +
+        0.15 * this._objectSimilarity(reference.objectName || '', object);
+    }
+
+    return {
+      objectId: object.id,
+      objectLabel: object.label || object.name,
+      fieldId: field.id,
+      fieldLabel: field.label || field.name,
+      dataType,
+      score: Math.round(score * 100) / 100,
+    };
+  }
+
+  /**
+   * How well a field's type suits a condition: 0 when the operator does not
+   * apply, 1 when the compared values also look right
+   * @private
+   */
+  _typeFit(reference: RuleReference, field: ModelField): number {
+    const group = getOperatorGroup(field.dataType || field.type);
+    const operator = reference.operator as PropertyRuleCondition['operator'];
+    if (!OPERATORS_BY_TYPE[group].includes(operator)) return 0;
+    if (reference.values.length === 0) return 1;
+
+    const valuesFit = reference.values.every((value) => {
+      switch (group) {
+        case 'number':
+          return typeof value === 'number';
+        case 'boolean':
+          return typeof value === 'boolean';
+        case 'enum': {
+          const text = String(value).toLowerCase();
+          return (field.options || []).some(
+            (option) => option.value.toLowerCase() === text || option.label.toLowerCase() === text
+          );
+        }
+        case 'date':
+          return !Number.isNaN(Date.parse(String(value)));
+        default:
+          return typeof value === 'string';
+      }
+    });
+
+    return valuesFit ? 1 : 0.6;
+  }
+
+  /**
+   * @private
+   */
+  _objectSimilarity(name: string, object: CustomObject): number {
+    return Math.max(this._similarity(name, object.name), this._similarity(name, object.label || ''));
+  }
+
+  /**
+   * Name similarity from 0 to 1: shared words, then shared letter pairs
+   * @private
+   */
+  _similarity(a: string, b: string): number {
+    const tokensA = this._tokens(a);
+    const tokensB = this._tokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+    if (tokensA.join('') === tokensB.join('')) return 1;
+
+    const shared = tokensA.filter((token) => tokensB.includes(token)).length;
+    const tokenScore = (2 * shared) / (tokensA.length + tokensB.length);
+
+    const pairs = (tokens: string[]): string[] => {
+      const text = tokens.join('');
+      return Array.from({ length: Math.max(0, text.length - 1) }, (_, i) => text.slice(i, i + 2));
+    };
+    const pairsA = pairs(tokensA);
+    const pairsB = [...pairs(tokensB)];
+    let sharedPairs = 0;
+    pairsA.forEach((pair) => {
+      const index = pairsB.indexOf(pair);
+      if (index >= 0) {
+        sharedPairs++;
+        pairsB.splice(index, 1);
+      }
+    });
+    const pairScore =
+      pairsA.length + pairs(tokensB).length > 0
+        ? (2 * sharedPairs) / (pairsA.length + pairs(tokensB).length)
+        : 0;
+
+    return Math.max(tokenScore, 0.9 * pairScore);
+  }
+
+  /**
+   * @private
+   */
+  _tokens(text: string): string[] {
+    return text
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token && !NOISE_TOKENS.includes(token));
+  }
+}
+
+// Create and export a singleton instance
+const tagRemapService = new TagRemapService();
+
+export { tagRemapService, TagRemapService };
+export default tagRemapService;
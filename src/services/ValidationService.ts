@@ -9,9 +9,13 @@ import {
   validateTagName,
   validateTagColor,
   validateQualificationRules,
-  validateTagDependencies,
   analyzeRuleComplexity,
 } from '../schemas/tagSchema';
+import tagDependencyService from './TagDependencyService';
+import { scenarioSchema } from '../schemas/scenarioSchema';
+import { customEventSchema } from '../schemas/customEventSchema';
+import { fieldMappingSchema } from '../schemas/fieldMappingSchema';
+import { projectExportSchema } from '../schemas/projectExportSchema';
 import { ValidationResult, ValidationError, TagValidationContext } from '../types/validation';
 import { z } from 'zod';
 
@@ -295,6 +299,21 @@ class ValidationService {
     );
   }
 
+  /**
+   * Check that no other association links the same two objects (in either
+   * direction) under the same label
+   */
+  isAssociationUnique(association: any, existingAssociations: any[] = []): boolean {
+    const pair = [association.fromObjectId, association.toObjectId].sort().join('|');
+    const normalizedLabel = association.label.trim().toLowerCase();
+    return !existingAssociations.some(
+      (assoc) =>
+        assoc.id !== association.id &&
+        [assoc.fromObjectId, assoc.toObjectId].sort().join('|') === pair &&
+        String(assoc.label || '').trim().toLowerCase() === normalizedLabel
+    );
+  }
+
   // ========== Tag Validation Methods ==========
 
   /**
@@ -333,11 +352,10 @@ class ValidationService {
         }
       }
 
-      // Validate tag dependencies
-      if (validated.dependencies && context.existingTags) {
-        const depErrors = validateTagDependencies(
-          validated.id,
-          validated.dependencies,
+      // Validate tag dependencies (missing tags and circular dependencies)
+      if (validated.dependencies?.length && context.existingTags) {
+        const depErrors = tagDependencyService.validateTag(
+          validated,
           context.existingTags
         );
         if (depErrors.length > 0) {
@@ -461,6 +479,203 @@ class ValidationService {
       errors: errors.map((msg) => ({ field: 'color', message: msg })),
     };
   }
+
+  // ========== Scenario Validation Methods ==========
+
+  /**
+   * Validate a Journey Simulator scenario
+   */
+  validateScenario(scenarioData: any): ValidationResult {
+    try {
+      const validated = scenarioSchema.parse(scenarioData);
+      return {
+        valid: true,
+        data: validated,
+        errors: [],
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return {
+          valid: false,
+          data: null,
+          errors: this._formatZodErrors(error),
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate all scenarios in a project
+   */
+  validateScenarios(scenarios: any[]): ValidationResult {
+    const errors: any[] = [];
+    const validatedScenarios: any[] = [];
+
+    scenarios.forEach((scenario: any, index: number) => {
+      const result = this.validateScenario(scenario);
+      if (!result.valid) {
+        errors.push({
+          path: `scenarios[${index}]`,
+          scenarioName: scenario?.name || 'Unknown',
+          errors: result.errors,
+        });
+      } else {
+        validatedScenarios.push(result.data);
+      }
+    });
+
+    if (errors.length > 0) {
+      return {
+        valid: false,
+        data: null,
+        errors,
+      };
+    }
+
+    return {
+      valid: true,
+      data: validatedScenarios,
+      errors: [],
+    };
+  }
+
+  // ========== Custom Event Validation Methods ==========
+
+  /**
+   * Validate a custom behavioral event definition
+   */
+  validateCustomEvent(eventData: any): ValidationResult {
+    try {
+      const validated = customEventSchema.parse(eventData);
+      return {
+        valid: true,
+        data: validated,
+        errors: [],
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return {
+          valid: false,
+          data: null,
+          errors: this._formatZodErrors(error),
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a project's custom event registry. Internal names must be
+   * unique since activity rules refer to events by them.
+   */
+  validateCustomEvents(events: any[]): ValidationResult {
+    const errors: any[] = [];
+    const validatedEvents: any[] = [];
+    const seenNames = new Set<string>();
+
+    events.forEach((event: any, index: number) => {
+      const result = this.validateCustomEvent(event);
+      if (!result.valid) {
+        errors.push({
+          path: `customEvents[${index}]`,
+          eventName: event?.label || event?.name || 'Unknown',
+          errors: result.errors,
+        });
+        return;
+      }
+
+      if (seenNames.has(result.data.name)) {
+        errors.push({
+          path: `customEvents[${index}]`,
+          eventName: result.data.label,
+          errors: [{ field: 'name', message: `Another event already uses the name "${result.data.name}"` }],
+        });
+        return;
+      }
+
+      seenNames.add(result.data.name);
+      validatedEvents.push(result.data);
+    });
+
+    if (errors.length > 0) {
+      return {
+        valid: false,
+        data: null,
+        errors,
+      };
+    }
+
+    return {
+      valid: true,
+      data: validatedEvents,
+      errors: [],
+    };
+  }
+
+  // ========== Field Mapping Validation Methods ==========
+
+  /**
+   * Validate a core export file mapping
+   */
+  validateFieldMapping(mappingData: any): ValidationResult {
+    try {
+      const validated = fieldMappingSchema.parse(mappingData);
+      return {
+        valid: true,
+        data: validated,
+        errors: [],
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return {
+          valid: false,
+          data: null,
+          errors: this._formatZodErrors(error),
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check if an export file name is unique within a project
+   */
+  isExportFileNameUnique(fileName: string, mappingId: string, existingMappings: any[] = []): boolean {
+    const normalizedName = fileName.trim().toLowerCase();
+    return !existingMappings.some(
+      (mapping) =>
+        mapping.id !== mappingId &&
+        String(mapping.exportFileName || '').trim().toLowerCase() === normalizedName
+    );
+  }
+
+  // ========== Project Export Validation Methods ==========
+
+  /**
+   * Validate a parsed project export file.
+   * On success, data is the export with defaults applied and stored date
+   * strings revived to Date objects, ready for projectRepository.createProject.
+   */
+  validateProjectExport(exportData: any): ValidationResult {
+    try {
+      const validated = projectExportSchema.parse(exportData);
+      return {
+        valid: true,
+        data: validated,
+        errors: [],
+      };
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return {
+          valid: false,
+          data: null,
+          errors: this._formatZodErrors(error),
+        };
+      }
+      throw error;
+    }
+  }
 }
 
 // Create and export a singleton instance
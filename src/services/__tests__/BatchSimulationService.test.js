@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import batchSimulationService, { MAX_BATCH_ROWS } from '../BatchSimulationService';
+import { parseCsv } from '../../utils/csv';
+
+const memberObject = {
+  id: 'obj-member',
+  name: 'member_object',
+  label: 'Member',
+  fields: [
+    { id: 'f-age', name: 'age', label: 'Age', dataType: 'number' },
+    { id: 'f-email', name: 'email', label: 'Email Address', dataType: 'text' },
+  ],
+};
+const loanObject = {
+  id: 'obj-loan',
+  name: 'loan_object',
+  label: 'Loan',
+  fields: [{ id: 'f-balance', name: 'balance', label: 'Balance', dataType: 'currency' }],
+};
+const dataModel = { objects: [memberObject, loanObject], associations: [] };
+
+const tag = (id, conditions, logic = 'AND') => ({
+  id,
+  name: id,
+  category: 'behavior',
+  behavior: 'dynamic',
+  qualificationRules: { logic, conditions },
+});
+
+const youngTag = tag('young', [
+  { object: 'member_object', field: 'age', operator: 'less_than', value: 30 },
+]);
+const borrowerTag = tag('borrower', [
+  { object: 'loan_object', field: 'balance', operator: 'greater_than', value: 0 },
+]);
+const appUserTag = tag('app_user', [
+  {
+    eventType: 'mobile_app_login',
+    occurrence: 'count',
+    operator: 'greater_than',
+    value: 2,
+    timeframe: 30,
+  },
+]);
+const typoTag = tag('typo', [
+  { object: 'member_object', field: 'agee', operator: 'greater_than', value: 0 },
+]);
+
+const csv = [
+  'member_id,Age,Loan.Balance,event:mobile_app_login,notes',
+  'M1,25,"$1,200",5,"said ""hi"""',
+  'M2,45,,1,',
+  ',62,0,,',
+].join('\r\n');
+
+describe('BatchSimulationService', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted fields, escaped quotes and CRLF', () => {
+      const { headers, rows } = parseCsv(`\uFEFF${csv}\r\n\r\n`);
+
+      expect(headers).toEqual(['member_id', 'Age', 'Loan.Balance', 'event:mobile_app_login', 'notes']);
+      expect(rows).toHaveLength(3);
+      expect(rows[0]).toEqual(['M1', '25', '$1,200', '5', 'said "hi"']);
+    });
+  });
+
+  describe('parseMembersCsv', () => {
+    it('should reject files over the row limit', () => {
+      const text = ['age', ...Array.from({ length: MAX_BATCH_ROWS + 1 }, () => '1')].join('\n');
+
+      const result = batchSimulationService.parseMembersCsv(text);
+
+      expect(result.rows).toEqual([]);
+      expect(result.error).toContain(String(MAX_BATCH_ROWS));
+    });
+  });
+
+  describe('suggestColumnMappings', () => {
+    it('should map headers to member fields, records and event counts', () => {
+      const { headers } = parseCsv(csv);
+
+      const mappings = batchSimulationService.suggestColumnMappings(headers, dataModel);
+
+      expect(mappings.map((m) => m.target)).toEqual([
+        { kind: 'member', field: 'member_id' },
+        { kind: 'member', field: 'age' },
+        { kind: 'record', objectId: 'obj-loan', field: 'balance' },
+        { kind: 'event', eventType: 'mobile_app_login' },
+        { kind: 'member', field: 'notes' },
+      ]);
+    });
+
+    it('should match member fields by label and by member object prefix', () => {
+      const mappings = batchSimulationService.suggestColumnMappings(
+        ['Email Address', 'member.age'],
+        dataModel
+      );
+
+      expect(mappings.map((m) => m.target)).toEqual([
+        { kind: 'member', field: 'email' },
+        { kind: 'member', field: 'age' },
+      ]);
+    });
+  });
+
+  describe('buildScenarios', () => {
+    it('should coerce values by data type and expand event counts', () => {
+      const { headers, rows } = parseCsv(csv);
+      const mappings = batchSimulationService.suggestColumnMappings(headers, dataModel);
+      const asOf = '2026-06-01T00:00:00.000Z';
+
+      const [first, second, third] = batchSimulationService.buildScenarios(
+        headers,
+        rows,
+        mappings,
+        dataModel,
+        asOf
+      );
+
+      expect(first.name).toBe('M1');
+      expect(first.member.age).toBe(25);
+      expect(first.records).toEqual([
+        { id: 'row-1-obj-loan', objectId: 'obj-loan', properties: { balance: 1200 } },
+      ]);
+      expect(first.events).toHaveLength(5);
+      expect(first.events.every((event) => event.occurredAt < asOf)).toBe(true);
+      expect(second.records).toEqual([]);
+      expect(third.name).toBe('Row 3');
+    });
+  });
+
+  describe('runBatch', () => {
+    it('should report tag coverage, uncovered tags and members without tags', () => {
+      const { headers, rows } = parseCsv(csv);
+      const mappings = batchSimulationService.suggestColumnMappings(headers, dataModel);
+      const scenarios = batchSimulationService.buildScenarios(
+        headers,
+        rows,
+        mappings,
+        dataModel,
+        '2026-06-01T00:00:00.000Z'
+      );
+
+      const report = batchSimulationService.runBatch(
+        scenarios,
+        [youngTag, borrowerTag, appUserTag, typoTag],
+        dataModel
+      );
+
+      expect(report.memberCount).toBe(3);
+      expect(report.tags.map((t) => [t.tagId, t.memberCount])).toEqual([
+        ['young', 1],
+        ['borrower', 1],
+        ['app_user', 1],
+        ['typo', 0],
+      ]);
+      expect(report.tags[0].percentage).toBe(33.3);
+      expect(report.tags[0].conditions[0].passedCount).toBe(1);
+      expect(report.uncoveredTags.map((t) => t.tagId)).toEqual(['typo']);
+      expect(report.members[0].tagIds).toEqual(['young', 'borrower', 'app_user']);
+      expect(report.membersWithoutTags.map((m) => m.label)).toEqual(['M2', 'Row 3']);
+    });
+  });
+
+  describe('generateMembersCsv', () => {
+    it('should generate a row per member with rule-referenced columns', () => {
+      const text = batchSimulationService.generateMembersCsv(dataModel, [typoTag], 20, () => 0.1);
+      const { headers, rows } = parseCsv(text);
+
+      expect(headers).toEqual(['member_id', 'age', 'email', 'agee']);
+      expect(rows).toHaveLength(20);
+      expect(rows[0][0]).toBe('M00001');
+    });
+  });
+});
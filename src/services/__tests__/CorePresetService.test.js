@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import corePresetService from '../CorePresetService';
+import fieldMappingService from '../FieldMappingService';
+import validationService from '../ValidationService';
+import { CORE_MAPPING_PRESETS } from '../../data/coreMappingPresets';
+import { CORE_BANKING_SYSTEMS } from '../../data/clientProfileOptions';
+import { getTemplateById } from '../../data/objectTemplates';
+
+const objectFromTemplate = (templateId, id = templateId) => ({
+  ...corePresetService.buildObject(getTemplateById(templateId), 'test'),
+  id,
+});
+
+describe('CorePresetService', () => {
+  describe('presets', () => {
+    it('should ship a preset for every named core banking system', () => {
+      const cores = CORE_BANKING_SYSTEMS.map((option) => option.value).filter((v) => v !== 'other');
+
+      expect(CORE_MAPPING_PRESETS.map((preset) => preset.coreSystem).sort()).toEqual(cores.sort());
+      expect(corePresetService.getPreset('other')).toBeUndefined();
+    });
+
+    it('should build template objects that pass validation', () => {
+      const object = corePresetService.buildObject(getTemplateById('template_account'), 'test');
+
+      expect(validationService.validateCustomObject(object).valid).toBe(true);
+      expect(new Set(object.fields.map((field) => field.id)).size).toBe(object.fields.length);
+    });
+
+    it.each(CORE_MAPPING_PRESETS.map((preset) => [preset.label, preset]))(
+      '%s files should build valid mappings onto template objects',
+      (_, preset) => {
+        preset.files.forEach((file) => {
+          const object = objectFromTemplate(file.templateId);
+          const mapping = corePresetService.buildMapping(file, object, preset.label);
+
+          expect(validationService.validateFieldMapping(mapping).valid).toBe(true);
+          expect(mapping.mappings.filter((column) => column.targetFieldId)).toHaveLength(
+            file.columns.filter((column) => column.targetField).length
+          );
+
+          // Only unmapped columns may be flagged; transforms and value maps fit their fields
+          const columnIssues = fieldMappingService
+            .findIssues(mapping, object)
+            .filter((issue) => issue.columnId);
+          expect(columnIssues.every((issue) => issue.message.endsWith('is not mapped to a field'))).toBe(
+            true
+          );
+        });
+      }
+    );
+  });
+
+  describe('planPreset', () => {
+    const preset = corePresetService.getPreset('symitar');
+
+    it('should create template objects that do not exist yet', () => {
+      const plan = corePresetService.planPreset(preset, { objects: [], associations: [] });
+
+      expect(plan.map((entry) => [entry.file.exportFileName, entry.template.id, entry.object])).toEqual([
+        ['symitar_members.csv', 'template_member', undefined],
+        ['symitar_shares.csv', 'template_account', undefined],
+        ['symitar_loans.csv', 'template_account', undefined],
+      ]);
+      expect(plan[0].mappedColumns).toBe(5);
+    });
+
+    it('should reuse existing objects and skip files that already have a mapping', () => {
+      const member = objectFromTemplate('template_member', 'member-1');
+      // An account object trimmed down to two of the template fields
+      const account = {
+        ...objectFromTemplate('template_account', 'account-1'),
+        fields: objectFromTemplate('template_account').fields.filter((field) =>
+          ['account_number', 'current_balance'].includes(field.name)
+        ),
+      };
+      const dataModel = {
+        objects: [member, account],
+        associations: [],
+        mappings: [{ id: 'm1', exportFileName: 'SYMITAR_MEMBERS.csv', mappings: [] }],
+      };
+
+      const plan = corePresetService.planPreset(preset, dataModel);
+
+      expect(plan.map((entry) => [entry.object?.id, entry.alreadyMapped, entry.mappedColumns])).toEqual([
+        ['member-1', true, 5],
+        ['account-1', false, 2],
+        ['account-1', false, 1],
+      ]);
+      expect(corePresetService.isApplied(preset, dataModel)).toBe(false);
+    });
+
+    it('should leave columns unmapped when the object lacks their field', () => {
+      const [, shares] = preset.files;
+      const account = { id: 'account-1', name: 'account_object', fields: [] };
+
+      const mapping = corePresetService.buildMapping(shares, account, 'Symitar');
+
+      expect(mapping.mappings.every((column) => !column.targetFieldId)).toBe(true);
+      expect(mapping.mappings[0]).toMatchObject({
+        sourceColumn: 'ACCOUNT_NUMBER',
+        transform: { type: 'hash' },
+        piiType: 'account_number',
+      });
+      expect(mapping.description).toContain('Symitar preset');
+    });
+  });
+});
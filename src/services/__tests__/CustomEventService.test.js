@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import customEventService from '../CustomEventService';
+
+const loginEvent = {
+  id: 'event-1',
+  label: 'Account Login',
+  name: 'pe1234567_account_login',
+  description: '',
+  properties: [],
+};
+
+const makeTag = (id, ...conditions) => ({
+  id,
+  name: id.toUpperCase(),
+  qualificationRules: { ruleType: 'activity', logic: 'AND', conditions },
+});
+
+describe('CustomEventService', () => {
+  describe('internal names', () => {
+    it('should build event names from labels', () => {
+      expect(customEventService.toEventName(' Loan Application – Started! ')).toBe(
+        'loan_application_started'
+      );
+    });
+
+    it('should build and parse internal names', () => {
+      expect(customEventService.buildInternalName('1234567', 'account_login')).toBe(
+        'pe1234567_account_login'
+      );
+      expect(customEventService.parseInternalName('pe1234567_account_login')).toEqual({
+        portalId: '1234567',
+        eventName: 'account_login',
+      });
+      expect(customEventService.parseInternalName('email_open')).toEqual({
+        portalId: '',
+        eventName: 'email_open',
+      });
+    });
+
+    it('should take the portal ID from the first registered event', () => {
+      expect(customEventService.getPortalId([loginEvent])).toBe('1234567');
+      expect(customEventService.getPortalId([])).toBe('');
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should count activity conditions per tag, including inside groups', () => {
+      const tags = [
+        makeTag(
+          'digital',
+          { eventType: 'pe1234567_account_login', occurrence: 'has_occurred' },
+          {
+            type: 'group',
+            logic: 'OR',
+            conditions: [{ eventType: 'pe1234567_account_login', occurrence: 'count', operator: 'greater_than', value: 3 }],
+          }
+        ),
+        makeTag('email', { eventType: 'email_open', occurrence: 'has_occurred' }),
+      ];
+
+      expect(customEventService.getUsage(loginEvent.name, tags)).toEqual([
+        { tagId: 'digital', tagName: 'DIGITAL', conditionCount: 2 },
+      ]);
+    });
+  });
+
+  describe('renameEventInTags', () => {
+    it('should point activity rules at the new internal name', () => {
+      const tags = {
+        library: [makeTag('email', { eventType: 'email_open', occurrence: 'has_occurred' })],
+        custom: [
+          makeTag('digital', {
+            type: 'group',
+            logic: 'AND',
+            conditions: [{ eventType: 'pe1234567_account_login', occurrence: 'has_occurred' }],
+          }),
+        ],
+      };
+
+      const renamed = customEventService.renameEventInTags(
+        tags,
+        'pe1234567_account_login',
+        'pe1234567_online_login'
+      );
+
+      expect(renamed.custom[0].qualificationRules.conditions[0].conditions[0].eventType).toBe(
+        'pe1234567_online_login'
+      );
+      expect(renamed.library[0]).toBe(tags.library[0]);
+      expect(tags.custom[0].qualificationRules.conditions[0].conditions[0].eventType).toBe(
+        'pe1234567_account_login'
+      );
+    });
+
+    it('should return null when no rule uses the event', () => {
+      const tags = { library: [], custom: [makeTag('email', { eventType: 'email_open', occurrence: 'has_occurred' })] };
+
+      expect(
+        customEventService.renameEventInTags(tags, 'pe1234567_account_login', 'pe1234567_online_login')
+      ).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { unzipSync, strFromU8 } from 'fflate';
+import dataDictionaryService from '../DataDictionaryService';
+import { uniqueSheetNames, columnLetter } from '../../utils/xlsx';
+
+const memberObject = {
+  id: 'obj-member',
+  name: 'member_object',
+  label: 'Member',
+  apiName: 'p_client_member_object',
+  hubspotObject: 'contacts',
+  fields: [
+    { id: 'f-age', name: 'age', label: 'Age', dataType: 'number', required: true },
+    {
+      id: 'f-status',
+      name: 'status',
+      label: 'Status & Code',
+      dataType: 'enumeration',
+      options: [
+        { label: 'Active', value: 'active', isDefault: true },
+        { label: 'Closed', value: 'closed' },
+      ],
+    },
+  ],
+};
+const loanObject = { id: 'obj-loan', name: 'loan_object', label: 'Loan', fields: [] };
+
+const project = {
+  name: 'First Community CU',
+  dataModel: {
+    objects: [memberObject, loanObject],
+    associations: [
+      {
+        id: 'assoc-1',
+        fromObjectId: 'obj-member',
+        toObjectId: 'obj-loan',
+        type: 'one_to_many',
+        label: 'Member loans',
+      },
+    ],
+    mappings: [
+      {
+        id: 'map-1',
+        exportFileName: 'members_daily.csv',
+        targetObjectId: 'obj-member',
+        mappings: [
+          { sourceColumn: 'MBR_AGE', targetFieldId: 'f-age' },
+          { sourceColumn: 'MBR_STAT', targetFieldId: 'f-status', transform: { type: 'enum_map' } },
+          {
+            sourceColumn: 'MBR_SSN',
+            targetFieldId: 'f-ssn',
+            transform: { type: 'mask', visibleCharacters: 4 },
+          },
+        ],
+      },
+    ],
+  },
+  tags: {
+    library: [
+      {
+        id: 'young_member',
+        name: 'Young Member',
+        category: 'origin',
+        behavior: 'set_once',
+        isPermanent: true,
+        qualificationRules: {
+          ruleType: 'property',
+          logic: 'AND',
+          conditions: [
+            { object: 'member_object', field: 'age', operator: 'between', value: [18, 29] },
+          ],
+        },
+      },
+    ],
+    custom: [{ id: 'vip', name: 'VIP', category: 'opportunity', behavior: 'dynamic', isCustom: true }],
+  },
+};
+
+describe('DataDictionaryService', () => {
+  describe('buildSheets', () => {
+    const sheets = dataDictionaryService.buildSheets(project);
+    const sheet = (name) => sheets.find((s) => s.name === name);
+
+    it('should add an overview, one sheet per object, then associations, mappings and tags', () => {
+      expect(sheets.map((s) => s.name)).toEqual([
+        'Objects',
+        'Member',
+        'Loan',
+        'Associations',
+        'Field Mappings',
+        'Tags & Rules',
+      ]);
+      expect(sheet('Objects').rows[1]).toEqual([
+        'Member',
+        'member_object',
+        'p_client_member_object',
+        'Contacts',
+        2,
+        undefined,
+      ]);
+    });
+
+    it('should list fields with flags and one option per line', () => {
+      expect(sheet('Member').rows[1].slice(0, 5)).toEqual(['age', 'Age', 'number', 'standard', 'Yes']);
+      expect(sheet('Member').rows[2][7]).toBe('Active (active) — default\nClosed (closed)');
+      expect(sheet('Associations').rows[1]).toEqual(['Member', 'Loan', 'One to many', 'Member loans']);
+    });
+
+    it('should resolve mapped fields by ID', () => {
+      expect(sheet('Field Mappings').rows.slice(1)).toEqual([
+        ['members_daily.csv', 'Member', 'MBR_AGE', 'age', undefined],
+        ['members_daily.csv', 'Member', 'MBR_STAT', 'status', 'enum_map'],
+        ['members_daily.csv', 'Member', 'MBR_SSN', 'f-ssn', 'Mask all but last 4'],
+      ]);
+    });
+
+    it('should write one row per condition and a placeholder for tags without rules', () => {
+      const rows = sheet('Tags & Rules').rows.slice(1);
+
+      expect(rows[0].slice(0, 4)).toEqual(['Young Member', 'Origin', 'Set once (permanent)', 'Library']);
+      expect(rows[0][6]).toBe(1);
+      expect(rows[0][7]).toBe('Member › Age is between 18 and 29');
+      expect(rows[1]).toEqual(['VIP', 'Opportunity', 'Dynamic', 'Custom', '', '', null, 'No qualification rules defined']);
+    });
+  });
+
+  describe('generateWorkbook', () => {
+    it('should produce an xlsx package with escaped inline strings', () => {
+      const files = unzipSync(dataDictionaryService.generateWorkbook(project));
+
+      expect(Object.keys(files)).toEqual(
+        expect.arrayContaining([
+          '[Content_Types].xml',
+          'xl/workbook.xml',
+          'xl/styles.xml',
+          'xl/worksheets/sheet6.xml',
+        ])
+      );
+      expect(strFromU8(files['xl/workbook.xml'])).toContain('<sheet name="Tags &amp; Rules" sheetId="6"');
+
+      const memberSheet = strFromU8(files['xl/worksheets/sheet2.xml']);
+      expect(memberSheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t>Field Name</t></is></c>');
+      expect(memberSheet).toContain('<t>Status &amp; Code</t>');
+    });
+  });
+
+  describe('xlsx helpers', () => {
+    it('should build column letters and legal, unique sheet names', () => {
+      expect([0, 25, 26, 701].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'ZZ']);
+      expect(uniqueSheetNames(['Loans/Leases', 'loans leases', 'A'.repeat(40)])).toEqual([
+        'Loans Leases',
+        'loans leases (2)',
+        'A'.repeat(31),
+      ]);
+    });
+  });
+});
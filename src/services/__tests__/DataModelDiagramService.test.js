@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import dataModelDiagramService from '../DataModelDiagramService';
+
+const object = (id, fields = [], extra = {}) => ({ id, name: id, label: id, fields, ...extra });
+const association = (id, fromObjectId, toObjectId, type = 'one_to_many') => ({
+  id,
+  fromObjectId,
+  toObjectId,
+  type,
+  label: id,
+});
+
+// household → member → account, member ↔ loan, and a branch with no associations
+const dataModel = {
+  objects: [
+    object('account'),
+    object('member'),
+    object('household'),
+    object('loan_application'),
+    object('branch'),
+  ],
+  associations: [
+    association('household_members', 'household', 'member'),
+    association('member_accounts', 'member', 'account'),
+    association('member_loans', 'member', 'loan_application', 'many_to_many'),
+  ],
+};
+
+const columnOf = (diagram) =>
+  Object.fromEntries(diagram.nodes.map((node) => [node.object.id, node.x]));
+
+describe('DataModelDiagramService', () => {
+  describe('buildDiagram', () => {
+    it('should place each object in a column after the objects associated to it', () => {
+      const diagram = dataModelDiagramService.buildDiagram(dataModel);
+      const x = columnOf(diagram);
+
+      expect(x.household).toBe(x.branch);
+      expect(x.member).toBeGreaterThan(x.household);
+      expect(x.account).toBeGreaterThan(x.member);
+      expect(x.loan_application).toBe(x.account);
+      expect(diagram.width).toBeGreaterThan(x.account);
+      expect(diagram.height).toBeGreaterThan(0);
+    });
+
+    it('should not overlap nodes in the same column', () => {
+      const diagram = dataModelDiagramService.buildDiagram(dataModel);
+      const account = diagram.nodes.find((node) => node.object.id === 'account');
+      const loan = diagram.nodes.find((node) => node.object.id === 'loan_application');
+      const [upper, lower] = account.y < loan.y ? [account, loan] : [loan, account];
+
+      expect(upper.y + upper.height).toBeLessThan(lower.y);
+    });
+
+    it('should lay out associations that form a loop', () => {
+      const diagram = dataModelDiagramService.buildDiagram({
+        objects: [object('a'), object('b'), object('c')],
+        associations: [
+          association('ab', 'a', 'b'),
+          association('bc', 'b', 'c'),
+          association('ca', 'c', 'a'),
+        ],
+      });
+
+      expect(diagram.nodes).toHaveLength(3);
+      expect(new Set(Object.values(columnOf(diagram))).size).toBe(3);
+      expect(diagram.edges).toHaveLength(3);
+    });
+
+    it('should mark each edge with its cardinality and skip associations to missing objects', () => {
+      const diagram = dataModelDiagramService.buildDiagram({
+        objects: dataModel.objects,
+        associations: [
+          ...dataModel.associations,
+          association('orphan', 'member', 'deleted_object'),
+        ],
+      });
+      const marks = Object.fromEntries(
+        diagram.edges.map((edge) => [
+          edge.association.id,
+          [edge.fromCardinality, edge.toCardinality],
+        ])
+      );
+
+      expect(marks).toEqual({
+        household_members: ['1', 'N'],
+        member_accounts: ['1', 'N'],
+        member_loans: ['M', 'N'],
+      });
+    });
+
+    it('should separate associations between the same two objects', () => {
+      const diagram = dataModelDiagramService.buildDiagram({
+        objects: [object('member'), object('account')],
+        associations: [
+          association('owner', 'member', 'account'),
+          association('joint_owner', 'member', 'account', 'many_to_many'),
+          association('household', 'member', 'member', 'many_to_many'),
+        ],
+      });
+      const [owner, joint, self] = diagram.edges;
+
+      expect(owner.path).not.toBe(joint.path);
+      expect(owner.path.startsWith('M ')).toBe(true);
+      expect(self.labelPosition.x).toBeGreaterThan(diagram.nodes[0].x + diagram.nodes[0].width);
+    });
+
+    it('should only mark objects mapped to a HubSpot standard object as standard', () => {
+      const diagram = dataModelDiagramService.buildDiagram({
+        objects: [
+          object('contact', [], { hubspotObject: 'contacts' }),
+          object('member', [], { hubspotObject: 'custom' }),
+          object('branch'),
+        ],
+        associations: [],
+      });
+
+      expect(
+        Object.fromEntries(diagram.nodes.map((node) => [node.object.id, node.isStandard]))
+      ).toEqual({ contact: true, member: false, branch: false });
+    });
+
+    it('should return an empty diagram for an empty data model', () => {
+      const diagram = dataModelDiagramService.buildDiagram(undefined);
+
+      expect(diagram.nodes).toEqual([]);
+      expect(diagram.edges).toEqual([]);
+    });
+  });
+
+  describe('getKeyFields', () => {
+    it('should list unique, then required, then indexed fields first', () => {
+      const member = object('member', [
+        { name: 'nickname' },
+        { name: 'branch_code', indexed: true },
+        { name: 'email', required: true },
+        { name: 'member_number', unique: true, required: true },
+        { name: 'notes' },
+        { name: 'status' },
+      ]);
+
+      const fields = dataModelDiagramService.getKeyFields(member);
+
+      expect(fields.map((field) => field.name)).toEqual([
+        'member_number',
+        'email',
+        'branch_code',
+        'nickname',
+        'notes',
+      ]);
+      const [node] = dataModelDiagramService.buildDiagram({ objects: [member] }).nodes;
+      expect(node.hiddenFieldCount).toBe(1);
+    });
+  });
+
+  describe('findNodeAt', () => {
+    it('should find the node under a point', () => {
+      const diagram = dataModelDiagramService.buildDiagram(dataModel);
+      const member = diagram.nodes.find((node) => node.object.id === 'member');
+
+      const found = dataModelDiagramService.findNodeAt(diagram, { x: member.x + 10, y: member.y + 10 });
+      expect(found.object.id).toBe('member');
+      expect(dataModelDiagramService.findNodeAt(diagram, { x: 0, y: 0 })).toBeNull();
+    });
+  });
+});
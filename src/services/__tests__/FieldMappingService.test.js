@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import fieldMappingService from '../FieldMappingService';
+
+const field = (id, dataType = 'text', extra = {}) => ({ id, name: id, label: id, dataType, ...extra });
+
+const member = {
+  id: 'member',
+  name: 'member',
+  label: 'Member',
+  fields: [
+    field('member_number', 'text', { label: 'Member Number', required: true }),
+    field('date_of_birth', 'date'),
+    field('balance', 'currency'),
+    field('status', 'enumeration', {
+      options: [
+        { label: 'Active', value: 'active' },
+        { label: 'Closed', value: 'closed' },
+      ],
+    }),
+  ],
+};
+
+const mapping = (mappings) => ({
+  id: 'm1',
+  exportFileName: 'members.csv',
+  format: 'csv',
+  targetObjectId: 'member',
+  description: '',
+  mappings,
+});
+
+describe('FieldMappingService', () => {
+  describe('suggestTargetField', () => {
+    it('should match field names and labels ignoring case and punctuation', () => {
+      expect(fieldMappingService.suggestTargetField('MEMBER_NUMBER', member)).toBe('member_number');
+      expect(fieldMappingService.suggestTargetField('Member Number', member)).toBe('member_number');
+      expect(fieldMappingService.suggestTargetField('DateOfBirth', member)).toBe('date_of_birth');
+      expect(fieldMappingService.suggestTargetField('MBR_SSN', member)).toBeUndefined();
+      expect(fieldMappingService.suggestTargetField('status', undefined)).toBeUndefined();
+    });
+  });
+
+  describe('transforms', () => {
+    it('should describe each transform type', () => {
+      expect(fieldMappingService.describeTransform({ type: 'hash', algorithm: 'sha256' })).toBe(
+        'SHA-256 hash'
+      );
+      expect(fieldMappingService.describeTransform({ type: 'mask', visibleCharacters: 0 })).toBe(
+        'Mask entire value'
+      );
+      expect(
+        fieldMappingService.describeTransform({ type: 'date_format', sourceFormat: 'YYYYMMDD' })
+      ).toBe('Date from YYYYMMDD');
+      expect(
+        fieldMappingService.describeTransform({
+          type: 'value_map',
+          values: [{ source: 'A', target: 'active' }],
+        })
+      ).toBe('Value map (1 value)');
+      expect(fieldMappingService.describeTransform(undefined)).toBe('');
+    });
+
+    it('should preview masks and value maps', () => {
+      expect(
+        fieldMappingService.previewTransform('123456789', { type: 'mask', visibleCharacters: 4 })
+      ).toBe('*****6789');
+
+      const valueMap = { type: 'value_map', values: [{ source: 'A', target: 'active' }] };
+      expect(fieldMappingService.previewTransform('A', valueMap)).toBe('active');
+      expect(fieldMappingService.previewTransform('Z', valueMap)).toBeNull();
+    });
+
+    it('should read dates in each source layout as ISO dates', () => {
+      expect(fieldMappingService.parseDate('03/15/1985', 'MM/DD/YYYY')).toBe('1985-03-15');
+      expect(fieldMappingService.parseDate('15/03/1985', 'DD/MM/YYYY')).toBe('1985-03-15');
+      expect(fieldMappingService.parseDate('19850315', 'YYYYMMDD')).toBe('1985-03-15');
+      expect(fieldMappingService.parseDate('3/5/24', 'M/D/YY')).toBe('2024-03-05');
+      expect(fieldMappingService.parseDate('3/5/85', 'M/D/YY')).toBe('1985-03-05');
+    });
+
+    it('should reject values that are not real dates in the layout', () => {
+      expect(fieldMappingService.parseDate('02/30/2024', 'MM/DD/YYYY')).toBeNull();
+      expect(fieldMappingService.parseDate('2024-03-15', 'MM/DD/YYYY')).toBeNull();
+      expect(fieldMappingService.parseDate('N/A', 'YYYY-MM-DD')).toBeNull();
+    });
+  });
+
+  describe('findIssues', () => {
+    it('should report a missing target object', () => {
+      expect(fieldMappingService.findIssues(mapping([]), undefined)).toEqual([
+        expect.objectContaining({ severity: 'error' }),
+      ]);
+    });
+
+    it('should flag unmapped columns, shared fields and unloaded required fields', () => {
+      const issues = fieldMappingService.findIssues(
+        mapping([
+          { id: 'c1', sourceColumn: 'DOB', targetFieldId: 'date_of_birth' },
+          { id: 'c2', sourceColumn: 'BIRTH_DT', targetFieldId: 'date_of_birth' },
+          { id: 'c3', sourceColumn: 'BRANCH' },
+        ]),
+        member
+      );
+
+      expect(issues).toEqual([
+        { severity: 'error', columnId: 'c2', message: 'DOB and BIRTH_DT both load into date_of_birth' },
+        { severity: 'warning', columnId: 'c3', message: 'BRANCH is not mapped to a field' },
+        { severity: 'warning', message: 'Required field Member Number is not loaded from this file' },
+      ]);
+    });
+
+    it('should warn when a transform does not suit the target field', () => {
+      const issues = fieldMappingService.findIssues(
+        mapping([
+          { id: 'c1', sourceColumn: 'MBR_NBR', targetFieldId: 'member_number' },
+          {
+            id: 'c2',
+            sourceColumn: 'OPEN_DT',
+            targetFieldId: 'status',
+            transform: { type: 'date_format', sourceFormat: 'YYYYMMDD' },
+          },
+          {
+            id: 'c3',
+            sourceColumn: 'BAL',
+            targetFieldId: 'balance',
+            transform: { type: 'mask', visibleCharacters: 2 },
+          },
+        ]),
+        member
+      );
+
+      expect(issues.map((issue) => [issue.columnId, issue.severity])).toEqual([
+        ['c2', 'warning'],
+        ['c3', 'warning'],
+      ]);
+    });
+
+    it('should warn about value map targets the enumeration does not offer', () => {
+      const issues = fieldMappingService.findIssues(
+        mapping([
+          { id: 'c1', sourceColumn: 'MBR_NBR', targetFieldId: 'member_number' },
+          {
+            id: 'c2',
+            sourceColumn: 'STAT',
+            targetFieldId: 'status',
+            transform: {
+              type: 'value_map',
+              values: [
+                { source: 'A', target: 'active' },
+                { source: 'D', target: 'dormant' },
+              ],
+            },
+          },
+        ]),
+        member
+      );
+
+      expect(issues).toEqual([
+        { severity: 'warning', columnId: 'c2', message: 'status has no option "dormant"' },
+      ]);
+    });
+
+    it('should warn when a column flagged as PII loads without a hash or mask', () => {
+      const issues = fieldMappingService.findIssues(
+        mapping([
+          {
+            id: 'c1',
+            sourceColumn: 'MBR_NBR',
+            targetFieldId: 'member_number',
+            piiType: 'account_number',
+          },
+          {
+            id: 'c2',
+            sourceColumn: 'ACCT',
+            targetFieldId: 'status',
+            piiType: 'account_number',
+            transform: { type: 'hash', algorithm: 'sha256' },
+          },
+        ]),
+        member
+      );
+
+      expect(issues).toEqual([expect.objectContaining({ columnId: 'c1', severity: 'warning' })]);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, expect } from 'vitest';
+import hubSpotListService from '../HubSpotListService';
+import tagLibraryData from '../../data/tagLibrary.json';
+
+const libraryTag = (id) => tagLibraryData.tags.find((tag) => tag.id === id);
+
+const dataModel = {
+  objects: [
+    {
+      id: 'obj-member',
+      name: 'Member',
+      hubspotObject: 'contacts',
+      fields: [
+        { id: 'f-channel', name: 'acquisition_channel', dataType: 'enum' },
+        { id: 'f-card', name: 'has_credit_card', dataType: 'boolean' },
+        { id: 'f-opened', name: 'opened_date', dataType: 'date' },
+      ],
+    },
+    {
+      id: 'obj-certificate',
+      name: 'Certificate',
+      fields: [{ id: 'f-days', name: 'days_until_maturity', dataType: 'number' }],
+    },
+  ],
+};
+
+// The AND branches under the list's root OR branch
+const andBranches = (result) => result.list.filterBranch.filterBranches;
+
+describe('HubSpotListService', () => {
+  it('should turn member property conditions into contact property filters', () => {
+    const result = hubSpotListService.buildList(libraryTag('origin_student_youth'), dataModel);
+
+    expect(result.list).toMatchObject({ objectTypeId: '0-1', processingType: 'DYNAMIC' });
+    expect(andBranches(result)).toHaveLength(2);
+    expect(andBranches(result)[1].filters).toEqual([
+      {
+        filterType: 'PROPERTY',
+        property: 'account_type_at_opening',
+        operation: {
+          operationType: 'STRING',
+          operator: 'IS_EQUAL_TO',
+          value: 'Youth',
+          includeObjectsWithNoValueSet: false,
+        },
+      },
+    ]);
+  });
+
+  it('should report set-once tags as needing a membership workflow', () => {
+    const result = hubSpotListService.buildList(libraryTag('origin_branch_direct'), dataModel);
+
+    expect(andBranches(result)[0].filters[0].operation).toMatchObject({
+      operationType: 'ENUMERATION',
+      operator: 'IS_ANY_OF',
+      values: ['Branch'],
+    });
+    expect(result.issues).toEqual([expect.objectContaining({ kind: 'membership' })]);
+  });
+
+  it('should filter hysteresis scores on a workflow-maintained property', () => {
+    const result = hubSpotListService.buildList(libraryTag('opportunity_credit_card_prime'), dataModel);
+
+    expect(andBranches(result)[0].filters).toEqual([
+      expect.objectContaining({
+        property: 'tag_credit_card_prime_credit_score_qualified',
+        operation: expect.objectContaining({ operationType: 'BOOL', value: true }),
+      }),
+      expect.objectContaining({
+        property: 'has_credit_card',
+        operation: expect.objectContaining({ operationType: 'BOOL', operator: 'IS_EQUAL_TO', value: false }),
+      }),
+    ]);
+    expect(result.issues).toHaveLength(1);
+    expect(result.issues[0].kind).toBe('workflow_property');
+    expect(result.issues[0].workflow).toContain('reaches 700');
+    expect(result.issues[0].workflow).toContain('falls below 680');
+  });
+
+  it('should turn activity counts into event branches with occurrence and window refinements', () => {
+    const result = hubSpotListService.buildList(libraryTag('behavior_digital_native'), dataModel);
+
+    const [logins, visits] = andBranches(result)[0].filterBranches;
+    expect(logins).toMatchObject({
+      filterBranchType: 'UNIFIED_EVENTS',
+      eventTypeId: '{{eventTypeId:mobile_app_login}}',
+      operator: 'HAS_COMPLETED',
+      coalescingRefineBy: { type: 'NUM_OCCURRENCES', minOccurrences: 11 },
+      pruningRefineBy: { timeUnit: 'DAY', lowerBoundOffset: 30, upperBoundOffset: 0 },
+    });
+    expect(visits).toMatchObject({ operator: 'HAS_NOT_COMPLETED', pruningRefineBy: { lowerBoundOffset: 90 } });
+    expect(visits.coalescingRefineBy).toBeUndefined();
+    expect(result.placeholders).toEqual(['{{eventTypeId:mobile_app_login}}', '{{eventTypeId:branch_visit}}']);
+  });
+
+  it('should split counts that allow zero occurrences into alternatives', () => {
+    const tag = {
+      id: 'light_login',
+      name: 'Light Login',
+      behavior: 'dynamic',
+      qualificationRules: {
+        ruleType: 'activity',
+        logic: 'AND',
+        conditions: [{ eventType: 'mobile_app_login', occurrence: 'count', operator: 'less_than', value: 3 }],
+      },
+    };
+
+    const branches = andBranches(hubSpotListService.buildList(tag, dataModel));
+    expect(branches.map((branch) => branch.filterBranches[0].operator)).toEqual([
+      'HAS_NOT_COMPLETED',
+      'HAS_COMPLETED',
+    ]);
+    expect(branches[1].filterBranches[0].coalescingRefineBy).toEqual({
+      type: 'NUM_OCCURRENCES',
+      minOccurrences: 1,
+      maxOccurrences: 2,
+    });
+  });
+
+  it('should reach properties of other objects through association branches', () => {
+    const result = hubSpotListService.buildList(libraryTag('opportunity_certificate_maturity'), dataModel);
+
+    expect(andBranches(result)[0].filterBranches[0]).toMatchObject({
+      filterBranchType: 'ASSOCIATION',
+      objectTypeId: '{{objectTypeId:certificate}}',
+      associationTypeId: '{{associationTypeId:contact_to_certificate}}',
+      associationCategory: 'USER_DEFINED',
+      operator: 'IN_LIST',
+      filters: [
+        {
+          filterType: 'PROPERTY',
+          property: 'days_until_maturity',
+          operation: expect.objectContaining({ operator: 'IS_BETWEEN', lowerBound: 30, upperBound: 60 }),
+        },
+      ],
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  it('should report filtered association counts and unsupported comparisons', () => {
+    const tag = {
+      id: 'multi_certificate',
+      name: 'Multi Certificate',
+      behavior: 'dynamic',
+      qualificationRules: {
+        ruleType: 'association',
+        logic: 'AND',
+        conditions: [
+          {
+            relatedObject: 'Certificate',
+            conditionType: 'count',
+            operator: 'greater_than_or_equal',
+            value: 2,
+            nestedFilters: [
+              { object: 'Certificate', field: 'days_until_maturity', operator: 'less_than', value: 90 },
+            ],
+          },
+          { object: 'Member', field: 'nickname', operator: 'greater_than', value: 'M' },
+        ],
+      },
+    };
+
+    const result = hubSpotListService.buildList(tag, dataModel);
+    expect(andBranches(result)).toHaveLength(1);
+    expect(andBranches(result)[0].filters).toEqual([
+      expect.objectContaining({
+        property: 'tag_multi_certificate_certificate_count',
+        operation: expect.objectContaining({ operator: 'IS_GREATER_THAN_OR_EQUAL_TO', value: 2 }),
+      }),
+    ]);
+    expect(result.issues.map((issue) => issue.kind)).toEqual(['workflow_property', 'omitted']);
+  });
+
+  it('should drop a nested group whose conditions were all omitted from its OR', () => {
+    const unsupported = { object: 'Member', field: 'nickname', operator: 'greater_than', value: 'M' };
+    const tag = {
+      id: 'branch_card_holder',
+      name: 'Branch Card Holder',
+      behavior: 'dynamic',
+      qualificationRules: {
+        ruleType: 'property',
+        logic: 'AND',
+        conditions: [
+          { object: 'Member', field: 'has_credit_card', operator: 'equals', value: true },
+          {
+            type: 'group',
+            logic: 'OR',
+            conditions: [
+              { object: 'Member', field: 'acquisition_channel', operator: 'equals', value: 'Branch' },
+              { type: 'group', logic: 'AND', conditions: [unsupported, unsupported] },
+            ],
+          },
+        ],
+      },
+    };
+
+    const result = hubSpotListService.buildList(tag, dataModel);
+    expect(andBranches(result)).toHaveLength(1);
+    expect(andBranches(result)[0].filters.map((filter) => filter.property)).toEqual([
+      'has_credit_card',
+      'acquisition_channel',
+    ]);
+    expect(result.issues.map((issue) => issue.kind)).toEqual(['omitted', 'omitted']);
+  });
+
+  it('should use calendar-day bounds for date comparisons', () => {
+    const tag = {
+      id: 'new_member',
+      name: 'New Member',
+      behavior: 'dynamic',
+      qualificationRules: {
+        ruleType: 'property',
+        logic: 'AND',
+        conditions: [{ object: 'Member', field: 'opened_date', operator: 'greater_than_or_equal', value: '2025-03-01' }],
+      },
+    };
+
+    const [filter] = andBranches(hubSpotListService.buildList(tag, dataModel))[0].filters;
+    expect(filter.operation).toMatchObject({
+      operationType: 'TIME_POINT',
+      operator: 'IS_AFTER',
+      timePoint: { year: 2025, month: 2, day: 28 },
+    });
+  });
+});
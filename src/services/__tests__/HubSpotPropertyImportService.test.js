@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import hubSpotPropertyImportService from '../HubSpotPropertyImportService';
+import { parseCsv } from '../../utils/csv';
+import { OBJECT_TEMPLATES } from '../../data/objectTemplates';
+
+const template = (name) => OBJECT_TEMPLATES.find((t) => t.name === name);
+
+const memberObject = {
+  ...template('member_object'),
+  id: 'obj-member',
+  apiName: 'p_fccu_member_object',
+  hubspotObject: 'contacts',
+};
+const accountObject = { ...template('account_object'), id: 'obj-account' };
+
+describe('HubSpotPropertyImportService', () => {
+  describe('buildPropertyImport', () => {
+    it('should export only objects mapped to a standard object, grouped by apiName', () => {
+      const { rows } = hubSpotPropertyImportService.buildPropertyImport({
+        objects: [memberObject, accountObject],
+      });
+
+      expect(rows.map((row) => row.name)).toEqual([
+        'member_id_hash',
+        'ssn_hash',
+        'first_name',
+        'last_name',
+      ]);
+      expect(rows[0]).toMatchObject({
+        objectType: 'contacts',
+        groupName: 'p_fccu_member_object',
+        groupLabel: 'Member',
+        label: 'Member ID (Hashed)',
+        type: 'string',
+        fieldType: 'text',
+        sourceObject: 'member_object',
+        sourceField: 'member_id_hash',
+      });
+    });
+
+    it('should skip default properties and flag near matches', () => {
+      const { warnings } = hubSpotPropertyImportService.buildPropertyImport({
+        objects: [memberObject],
+      });
+
+      const forField = (field) => warnings.filter((w) => w.field === field).map((w) => w.message);
+      expect(forField('email')[0]).toContain('"email" is a default HubSpot contacts property');
+      expect(forField('first_name')[0]).toContain('default contacts property "firstname"');
+    });
+
+    it('should prefer a field apiName and skip duplicates on the same standard object', () => {
+      const field = (name, extra = {}) => ({ name, label: name, dataType: 'text', ...extra });
+      const { rows, warnings } = hubSpotPropertyImportService.buildPropertyImport({
+        objects: [
+          {
+            id: 'a',
+            name: 'household',
+            hubspotObject: 'companies',
+            fields: [field('household_size', { apiName: 'fi_household_size' })],
+          },
+          {
+            id: 'b',
+            name: 'business',
+            hubspotObject: 'companies',
+            fields: [field('fi_household_size'), field('domain')],
+          },
+        ],
+      });
+
+      expect(rows.map((row) => `${row.sourceObject}:${row.name}`)).toEqual([
+        'household:fi_household_size',
+      ]);
+      expect(warnings.map((w) => w.field)).toEqual(['fi_household_size', 'domain']);
+      expect(warnings[0].message).toContain('from household.household_size');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write one property per row with option lists', () => {
+      const csv = hubSpotPropertyImportService.toCsv(
+        hubSpotPropertyImportService.buildPropertyImport({
+          objects: [
+            {
+              ...template('account_object'),
+              id: 'obj-account',
+              apiName: 'p_fccu_account_object',
+              hubspotObject: 'deals',
+            },
+          ],
+        })
+      );
+      const { headers, rows } = parseCsv(csv);
+      const accountType = rows.find((row) => row[4] === 'account_type');
+
+      expect(headers).toEqual([
+        'Object type',
+        'Group name',
+        'Group label',
+        'Label',
+        'Internal name',
+        'Type',
+        'Field type',
+        'Description',
+        'Option labels',
+        'Option values',
+        'Source',
+      ]);
+      expect(accountType.slice(0, 2)).toEqual(['deals', 'p_fccu_account_object']);
+      expect(accountType[5]).toBe('enumeration');
+      expect(accountType[9].split(';').length).toBeGreaterThan(1);
+      expect(accountType[10]).toBe('account_object.account_type');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import hubSpotSchemaService from '../HubSpotSchemaService';
+import { OBJECT_TEMPLATES } from '../../data/objectTemplates';
+
+const template = (name) => OBJECT_TEMPLATES.find((t) => t.name === name);
+const withId = (obj, id) => ({ ...obj, id });
+
+const memberObject = withId(template('member_object'), 'obj-member');
+const accountObject = withId(template('account_object'), 'obj-account');
+const dataModel = {
+  objects: [memberObject, accountObject],
+  associations: [
+    {
+      id: 'assoc-1',
+      fromObjectId: 'obj-member',
+      toObjectId: 'obj-account',
+      type: 'one_to_many',
+      label: 'Member accounts',
+    },
+    {
+      id: 'assoc-2',
+      fromObjectId: 'obj-member',
+      toObjectId: 'obj-deleted',
+      type: 'one_to_one',
+      label: 'Orphan',
+    },
+  ],
+};
+
+describe('HubSpotSchemaService', () => {
+  describe('translateField', () => {
+    it('should translate data types to HubSpot types and field types', () => {
+      const translate = (dataType, extra = {}) =>
+        hubSpotSchemaService.translateField({ name: 'f', label: 'F', dataType, ...extra });
+
+      expect(translate('text')).toMatchObject({ type: 'string', fieldType: 'text' });
+      expect(translate('multiline_text')).toMatchObject({ type: 'string', fieldType: 'textarea' });
+      expect(translate('currency')).toMatchObject({
+        type: 'number',
+        fieldType: 'number',
+        showCurrencySymbol: true,
+      });
+      expect(translate('datetime')).toMatchObject({ type: 'datetime', fieldType: 'date' });
+      expect(translate('phone')).toMatchObject({ type: 'string', fieldType: 'phonenumber' });
+      expect(translate('boolean').options.map((o) => o.value)).toEqual(['true', 'false']);
+    });
+
+    it('should carry enumeration options with display order', () => {
+      const property = hubSpotSchemaService.translateField({
+        name: 'status',
+        label: 'Status',
+        dataType: 'enumeration',
+        options: [
+          { label: 'Active', value: 'active' },
+          { label: 'Closed', value: 'closed' },
+        ],
+      });
+
+      expect(property).toMatchObject({ type: 'enumeration', fieldType: 'select' });
+      expect(property.options).toEqual([
+        { label: 'Active', value: 'active', displayOrder: 0, hidden: false },
+        { label: 'Closed', value: 'closed', displayOrder: 1, hidden: false },
+      ]);
+    });
+
+    it('should warn about unique values HubSpot cannot enforce', () => {
+      const warnings = [];
+      const property = hubSpotSchemaService.translateField(
+        { name: 'opened_on', label: 'Opened', dataType: 'date', unique: true },
+        (message) => warnings.push(message)
+      );
+
+      expect(property.hasUniqueValue).toBeUndefined();
+      expect(warnings).toEqual([
+        'HubSpot only supports unique values on text and number properties',
+      ]);
+    });
+  });
+
+  describe('buildSchemas', () => {
+    const { schemas, associations, warnings } = hubSpotSchemaService.buildSchemas(dataModel);
+    const member = schemas[0];
+
+    it('should build one schema per object with labels and display properties', () => {
+      expect(schemas.map((s) => s.name)).toEqual(['member_object', 'account_object']);
+      expect(member.labels).toEqual({ singular: 'Member', plural: 'Members' });
+      expect(member.primaryDisplayProperty).toBe('member_id_hash');
+      expect(member.requiredProperties).toEqual(
+        memberObject.fields.filter((f) => f.required).map((f) => f.name)
+      );
+      expect(member.searchableProperties).toContain('email');
+      expect(member.properties).toHaveLength(memberObject.fields.length);
+      expect(member.associatedObjects).toEqual(['CONTACT']);
+    });
+
+    it('should return custom associations separately and skip orphans', () => {
+      expect(associations).toEqual([
+        {
+          name: 'member_object_to_account_object',
+          fromObject: 'member_object',
+          toObject: 'account_object',
+          label: 'Member accounts',
+        },
+      ]);
+      expect(warnings.some((w) => w.message.includes('"Orphan"'))).toBe(true);
+    });
+
+    it('should leave standard-object mappings to the property import', () => {
+      const mapped = hubSpotSchemaService.buildSchemas({
+        ...dataModel,
+        objects: [{ ...memberObject, hubspotObject: 'contacts' }, accountObject],
+      });
+
+      expect(mapped.schemas.map((s) => s.name)).toEqual(['account_object']);
+      expect(mapped.schemas[0].associatedObjects).toEqual(['CONTACT']);
+      expect(mapped.associations).toEqual([]);
+    });
+  });
+
+  describe('buildCreateScript', () => {
+    it('should create schemas before associations using returned type IDs', () => {
+      const script = hubSpotSchemaService.buildCreateScript(
+        hubSpotSchemaService.buildSchemas(dataModel),
+        'First Community CU'
+      );
+
+      expect(script.startsWith('#!/usr/bin/env bash')).toBe(true);
+      expect(script).toContain('member_object_type_id=$(create_schema <<\'JSON\'');
+      expect(script.indexOf('account_object_type_id=')).toBeLessThan(
+        script.indexOf('"$API/$member_object_type_id/associations"')
+      );
+    });
+  });
+
+  describe('toHubSpotName', () => {
+    it('should lowercase and replace invalid characters', () => {
+      expect(hubSpotSchemaService.toHubSpotName('Loan Application')).toBe('loan_application');
+      expect(hubSpotSchemaService.toHubSpotName('2nd_owner')).toBe('p_2nd_owner');
+    });
+  });
+});
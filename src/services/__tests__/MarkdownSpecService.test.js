@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import markdownSpecService from '../MarkdownSpecService';
+import { describeCondition } from '../../utils/ruleFormatting';
+import { validUUID, validUUID2, validUUID3 } from './fixtures';
+
+const memberObject = {
+  id: validUUID,
+  name: 'member_object',
+  label: 'Member',
+  description: 'Core member record',
+  apiName: 'p_client_member_object',
+  fields: [
+    {
+      id: validUUID3,
+      name: 'age',
+      label: 'Age',
+      dataType: 'number',
+      fieldType: 'standard',
+      required: true,
+      unique: false,
+      indexed: true,
+    },
+    {
+      id: 'f-status',
+      name: 'status',
+      label: 'Status | Code',
+      dataType: 'enumeration',
+      options: [
+        { label: 'Active', value: 'active', isDefault: true },
+        { label: 'Closed', value: 'closed' },
+      ],
+    },
+  ],
+};
+const loanObject = { id: validUUID2, name: 'loan_object', label: 'Loan', fields: [] };
+
+const youngTag = {
+  id: 'young_member',
+  name: 'Young Member',
+  category: 'origin',
+  description: 'Members under thirty at account opening',
+  behavior: 'set_once',
+  isPermanent: true,
+  isCustom: true,
+  dependencies: ['digital_native'],
+  qualificationRules: {
+    ruleType: 'property',
+    logic: 'AND',
+    conditions: [{ object: 'member_object', field: 'age', operator: 'between', value: [18, 29] }],
+  },
+};
+const digitalTag = {
+  id: 'digital_native',
+  name: 'Digital Native',
+  category: 'behavior',
+  description: 'Members who bank through the app',
+  behavior: 'dynamic',
+  isPermanent: false,
+  qualificationRules: {
+    ruleType: 'activity',
+    logic: 'OR',
+    conditions: [
+      {
+        eventType: 'email_open',
+        occurrence: 'count',
+        operator: 'greater_than',
+        value: 10,
+        timeframe: 30,
+      },
+    ],
+  },
+};
+
+const project = {
+  name: 'First Community CU',
+  clientProfile: {
+    basicInfo: {
+      institutionName: 'First Community CU',
+      fiType: 'credit_union',
+      productOfferings: ['checking', 'auto_loans'],
+    },
+    integrationSpecs: { pciCompliance: true },
+  },
+  dataModel: {
+    objects: [memberObject, loanObject],
+    associations: [
+      {
+        id: 'assoc-1',
+        fromObjectId: validUUID,
+        toObjectId: validUUID2,
+        type: 'one_to_many',
+        label: 'Member loans',
+      },
+    ],
+  },
+  tags: { library: [digitalTag], custom: [youngTag] },
+  customEvents: [
+    {
+      id: 'event-1',
+      label: 'Account Login',
+      name: 'pe1234567_account_login',
+      description: 'Member signed in to online banking',
+      properties: [
+        {
+          id: 'prop-1',
+          name: 'channel',
+          label: 'Channel',
+          type: 'enumeration',
+          description: 'Where the login happened',
+          options: [
+            { label: 'Web', value: 'web' },
+            { label: 'Mobile', value: 'mobile' },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe('MarkdownSpecService', () => {
+  const markdown = markdownSpecService.generateSpecification(project, new Date('2026-03-01'));
+
+  it('should render the title and client profile with option labels', () => {
+    expect(markdown).toContain('# First Community CU — Implementation Specification');
+    expect(markdown).toContain('_Generated 2026-03-01_');
+    expect(markdown).toContain('| FI Type | Credit Union |');
+    expect(markdown).toContain('| Products Offered | Checking Accounts, Auto Loans |');
+    expect(markdown).toContain('| PCI Compliance Required | Yes |');
+    expect(markdown).toContain('### Member Demographics\n\n_Not provided_');
+  });
+
+  it('should render a field table per object with escaped cells and options', () => {
+    expect(markdown).toContain('- **API name:** `p_client_member_object`');
+    expect(markdown).toContain('| `age` | Age | number | standard | Yes | No | Yes |  |');
+    expect(markdown).toContain(
+      '| `status` | Status \\| Code | enumeration | standard | No | No | No | Active (`active`) — default<br>Closed (`closed`) |'
+    );
+    expect(markdown).toContain('### Loan\n\n- **Internal name:** `loan_object`');
+  });
+
+  it('should render associations with object labels', () => {
+    expect(markdown).toContain('| Member | Loan | One to many | Member loans |');
+  });
+
+  it('should render the custom event registry with property tables', () => {
+    expect(markdown).toContain('3. [Custom Events](#custom-events)');
+    expect(markdown).toContain('### Account Login\n\nMember signed in to online banking');
+    expect(markdown).toContain('- **Internal name:** `pe1234567_account_login`');
+    expect(markdown).toContain(
+      '| `channel` | Channel | enumeration | Where the login happened | Web (`web`)<br>Mobile (`mobile`) |'
+    );
+    expect(markdown.indexOf('## Custom Events')).toBeLessThan(markdown.indexOf('## Tags'));
+  });
+
+  it('should render tags grouped by category with readable rules', () => {
+    expect(markdown.indexOf('### Origin Tags')).toBeLessThan(markdown.indexOf('### Behavior Tags'));
+    expect(markdown).toContain('- **Behavior:** Set once (permanent)');
+    expect(markdown).toContain('- **Depends on:** Digital Native');
+    expect(markdown).toContain('1. Member › Age is between 18 and 29');
+    expect(markdown).toContain('any of the following must match');
+    expect(markdown).toContain('1. Email Open occurred more than 10 times in the last 30 days');
+  });
+
+  describe('describeCondition', () => {
+    it('should describe association and score conditions', () => {
+      expect(
+        describeCondition(
+          { associationType: 'member_to_loan', relatedObject: 'loan_object', conditionType: 'has_none' },
+          [memberObject, loanObject]
+        )
+      ).toBe('Has no associated Loan (member_to_loan)');
+
+      expect(
+        describeCondition({
+          scoreField: 'engagement_score',
+          operator: 'greater_than_or_equal',
+          value: 70,
+          hysteresis: { addThreshold: 70, removeThreshold: 60 },
+        })
+      ).toBe('engagement_score is at least 70 (added at 70, removed below 60)');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import projectExportService from '../ProjectExportService';
+import { ProjectRepository } from '../ProjectRepository';
+import validationService from '../ValidationService';
+import { MockStorageAdapter } from './mocks';
+import { validCustomObject, validField, validUUID } from './fixtures';
+import { PROJECT_EXPORT_VERSION } from '../../schemas/projectExportSchema';
+import tagLibraryData from '../../data/tagLibrary.json';
+
+const project = {
+  id: validUUID,
+  name: 'First Community CU',
+  status: 'active',
+  clientProfile: { basicInfo: { institutionName: 'First Community CU' }, integrationSpecs: {} },
+  dataModel: {
+    objects: [{ ...validCustomObject, fields: [validField] }],
+    fields: [],
+    mappings: [],
+    associations: [],
+  },
+  tags: { library: [tagLibraryData.tags[0]], custom: [] },
+  journeys: [],
+  scenarios: [
+    {
+      id: 'scenario-1',
+      name: 'Young member',
+      member: { age: 22 },
+      records: [],
+      events: [],
+      propertyChanges: [],
+    },
+  ],
+  customEvents: [
+    {
+      id: 'event-1',
+      label: 'Account Login',
+      name: 'pe1234567_account_login',
+      description: '',
+      properties: [{ id: 'prop-1', name: 'channel', label: 'Channel', type: 'string', description: '' }],
+    },
+  ],
+  createdAt: '2025-01-01T00:00:00.000Z',
+};
+
+describe('ProjectExportService', () => {
+  describe('serializeProject', () => {
+    it('should wrap the project in a versioned document', () => {
+      const document = JSON.parse(projectExportService.serializeProject(project));
+
+      expect(document.format).toBe('banking-strategist-project');
+      expect(document.version).toBe(PROJECT_EXPORT_VERSION);
+      expect(document.project.name).toBe('First Community CU');
+      expect(document.project.dataModel.objects[0].createdAt).toBe('2025-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('parseProjectExport', () => {
+    it('should reject invalid JSON and foreign files', () => {
+      expect(projectExportService.parseProjectExport('{nope').error).toBe(
+        'The file is not valid JSON'
+      );
+      expect(projectExportService.parseProjectExport('{"tags": []}').error).toBe(
+        'This file is not a project export'
+      );
+    });
+
+    it('should reject files from a newer format version', () => {
+      const document = projectExportService.buildExport(project);
+      const text = JSON.stringify({ ...document, version: PROJECT_EXPORT_VERSION + 1 });
+
+      const { data, error } = projectExportService.parseProjectExport(text);
+
+      expect(data).toBeNull();
+      expect(error).toContain('newer than this app supports');
+    });
+
+    it('should report schema errors with their paths', () => {
+      const document = JSON.parse(projectExportService.serializeProject(project));
+      document.project.dataModel.objects[0].fields[0].dataType = 'rich_text';
+
+      const { data, error, validationErrors } = projectExportService.parseProjectExport(
+        JSON.stringify(document)
+      );
+
+      expect(data).toBeNull();
+      expect(error).toBe('Project file validation failed');
+      expect(validationErrors[0].field).toBe('project.dataModel.objects.0.fields.0.dataType');
+    });
+
+    it('should revive stored dates so the data model passes validation', () => {
+      const { data, error } = projectExportService.parseProjectExport(
+        projectExportService.serializeProject(project)
+      );
+
+      expect(error).toBeNull();
+      expect(data.dataModel.objects[0].createdAt).toBeInstanceOf(Date);
+      expect(data.dataModel.objects[0].fields[0].createdAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('round trip', () => {
+    let repository;
+    let mockAdapter;
+
+    beforeEach(() => {
+      mockAdapter = new MockStorageAdapter();
+      repository = new ProjectRepository(mockAdapter, validationService);
+    });
+
+    it('should import an export as a new project through the repository', async () => {
+      const { data: imported } = projectExportService.parseProjectExport(
+        projectExportService.serializeProject(project)
+      );
+
+      const { data, error } = await repository.createProject(
+        projectExportService.toNewProject(imported, 'First Community CU (staging)')
+      );
+
+      expect(error).toBeNull();
+      expect(data.id).not.toBe(validUUID);
+      expect(data.name).toBe('First Community CU (staging)');
+      expect(data.dataModel.objects[0].fields[0].name).toBe('member_id');
+      expect(data.tags.library[0].id).toBe(tagLibraryData.tags[0].id);
+      expect(data.scenarios[0].member).toEqual({ age: 22 });
+      expect(data.customEvents).toEqual(project.customEvents);
+    });
+  });
+
+  describe('getExportFilename', () => {
+    it('should slugify the project name', () => {
+      expect(projectExportService.getExportFilename('First Community C.U.')).toMatch(
+        /^first-community-c-u-\d{4}-\d{2}-\d{2}\.json$/
+      );
+    });
+  });
+});
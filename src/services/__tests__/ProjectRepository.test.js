@@ -8,8 +8,11 @@ import {
   validField,
   invalidCustomObject,
   invalidField,
+  validAssociation,
+  validFieldMapping,
   validUUID,
   validUUID2,
+  validUUID3,
 } from './fixtures';
 
 describe('ProjectRepository', () => {
@@ -42,6 +45,66 @@ describe('ProjectRepository', () => {
     });
   });
 
+  describe('Rule Migration', () => {
+    const storedProject = (tags) => ({ ...validProject, tags });
+
+    it('should mark stored rules that combine condition kinds as mixed', async () => {
+      mockAdapter.projects = [
+        storedProject({
+          library: [
+            {
+              id: 'prime_card',
+              qualificationRules: {
+                ruleType: 'score',
+                logic: 'and',
+                conditions: [
+                  { scoreField: 'credit_score', operator: 'greater_than_or_equal', threshold: 700 },
+                  { object: 'Member', field: 'has_credit_card', operator: 'equals', value: false },
+                ],
+              },
+            },
+          ],
+          custom: [],
+        }),
+      ];
+
+      const { data } = await repository.getProject(validProject.id);
+      const rules = data.tags.library[0].qualificationRules;
+
+      expect(rules.ruleType).toBe('mixed');
+      expect(rules.logic).toBe('AND');
+      expect(rules.conditions).toHaveLength(2);
+    });
+
+    it('should drop empty condition groups from stored rules', async () => {
+      mockAdapter.projects = [
+        storedProject({
+          library: [],
+          custom: [
+            {
+              id: 'custom_tag',
+              qualificationRules: {
+                ruleType: 'property',
+                logic: 'OR',
+                conditions: [
+                  { object: 'Member', field: 'age', operator: 'less_than', value: 30 },
+                  { type: 'group', logic: 'AND', conditions: [] },
+                ],
+              },
+            },
+          ],
+        }),
+      ];
+
+      const { data } = await repository.getAllProjects();
+
+      expect(data[0].tags.custom[0].qualificationRules.conditions).toEqual([
+        { object: 'Member', field: 'age', operator: 'less_than', value: 30 },
+      ]);
+      expect(data[0].tags.custom[0].qualificationRules.ruleType).toBe('property');
+    });
+  });
+
   describe('Project Operations', () => {
     describe('createProject', () => {
       it('should create project with valid data model', async () => {
@@ -141,6 +204,73 @@ describe('ProjectRepository', () => {
         expect(error).toBeDefined();
         expect(validationErrors).toBeDefined();
       });
+
+      it('should update project with valid scenarios', async () => {
+        const updates = {
+          scenarios: [
+            {
+              id: 'scenario-1',
+              name: 'Young Auto Member',
+              member: { age: 24 },
+              events: [
+                { id: 'event-1', eventType: 'page_view', occurredAt: '2025-06-01T10:00:00.000Z' },
+              ],
+            },
+          ],
+        };
+
+        const { data, error } = await repository.updateProject(validUUID, updates);
+
+        expect(error).toBeNull();
+        expect(data).toBeDefined();
+      });
+
+      it('should reject update with invalid scenarios', async () => {
+        const updates = {
+          scenarios: [{ id: 'scenario-1', name: 'X', events: [{ id: 'e', eventType: '', occurredAt: 'yesterday' }] }],
+        };
+
+        const { data, error, validationErrors } = await repository.updateProject(
+          validUUID,
+          updates
+        );
+
+        expect(data).toBeNull();
+        expect(error.message).toBe('Scenario validation failed');
+        expect(validationErrors[0].path).toBe('scenarios[0]');
+      });
+
+      it('should update project with valid custom events', async () => {
+        const updates = {
+          customEvents: [
+            {
+              id: 'event-1',
+              label: 'Account Login',
+              name: 'pe1234567_account_login',
+              properties: [{ id: 'prop-1', name: 'channel', label: 'Channel', type: 'string' }],
+            },
+          ],
+        };
+
+        const { data, error } = await repository.updateProject(validUUID, updates);
+
+        expect(error).toBeNull();
+        expect(data.customEvents).toHaveLength(1);
+      });
+
+      it('should reject custom events that share an internal name', async () => {
+        const event = { id: 'event-1', label: 'Account Login', name: 'pe1234567_account_login' };
+        const updates = { customEvents: [event, { ...event, id: 'event-2', label: 'Login' }] };
+
+        const { data, error, validationErrors } = await repository.updateProject(
+          validUUID,
+          updates
+        );
+
+        expect(data).toBeNull();
+        expect(error.message).toBe('Custom event validation failed');
+        expect(validationErrors[0].path).toBe('customEvents[1]');
+      });
     });
   });
 
@@ -368,6 +498,149 @@ describe('ProjectRepository', () => {
     });
   });
 
+  describe('Association Operations', () => {
+    const accountObject = {
+      ...validCustomObject,
+      id: validUUID2,
+      name: 'account_object',
+      label: 'Account Object',
+    };
+
+    beforeEach(() => {
+      mockAdapter.projects = [
+        {
+          ...validProject,
+          dataModel: {
+            objects: [validCustomObject, accountObject],
+            associations: [],
+          },
+        },
+      ];
+    });
+
+    it('should add an association between existing objects', async () => {
+      const { data, error } = await repository.addAssociation(validUUID, validAssociation);
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({ fromObjectId: validUUID, toObjectId: validUUID2 });
+      expect(typeof data.createdAt).toBe('string');
+    });
+
+    it('should reject associations to objects that do not exist', async () => {
+      const { data, validationErrors } = await repository.addAssociation(validUUID, {
+        ...validAssociation,
+        toObjectId: validUUID3,
+      });
+
+      expect(data).toBeNull();
+      expect(validationErrors).toEqual([
+        expect.objectContaining({ field: 'toObjectId', message: expect.stringContaining(validUUID3) }),
+      ]);
+    });
+
+    it('should reject a second association with the same label between the same objects', async () => {
+      await repository.addAssociation(validUUID, validAssociation);
+
+      // Reversed direction, different letter case
+      const { data, validationErrors } = await repository.addAssociation(validUUID, {
+        ...validAssociation,
+        id: validUUID3,
+        fromObjectId: validUUID2,
+        toObjectId: validUUID,
+        label: 'member to accounts',
+      });
+
+      expect(data).toBeNull();
+      expect(validationErrors[0].field).toBe('label');
+    });
+
+    it('should update and delete an association', async () => {
+      await repository.addAssociation(validUUID, validAssociation);
+
+      const updated = await repository.updateAssociation(validUUID, validAssociation.id, {
+        type: 'many_to_many',
+        label: 'Joint Owners',
+      });
+      expect(updated.error).toBeNull();
+      expect(updated.data).toMatchObject({ type: 'many_to_many', label: 'Joint Owners' });
+
+      const invalid = await repository.updateAssociation(validUUID, validAssociation.id, {
+        type: 'one_to_few',
+      });
+      expect(invalid.error.message).toContain('validation failed');
+
+      const deleted = await repository.deleteAssociation(validUUID, validAssociation.id);
+      expect(deleted.error).toBeNull();
+      expect(mockAdapter.projects[0].dataModel.associations).toEqual([]);
+    });
+  });
+
+  describe('Field Mapping Operations', () => {
+    beforeEach(() => {
+      mockAdapter.projects = [
+        {
+          ...validProject,
+          dataModel: {
+            objects: [{ ...validCustomObject, fields: [validField] }],
+            associations: [],
+          },
+        },
+      ];
+    });
+
+    it('should add a mapping whose columns load into existing fields', async () => {
+      const { data, error } = await repository.addFieldMapping(validUUID, validFieldMapping);
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({ exportFileName: 'members_daily.csv', targetObjectId: validUUID });
+      expect(mockAdapter.projects[0].dataModel.mappings).toHaveLength(1);
+    });
+
+    it('should reject columns mapped to fields the object does not have', async () => {
+      const { data, validationErrors } = await repository.addFieldMapping(validUUID, {
+        ...validFieldMapping,
+        mappings: [{ id: 'col-1', sourceColumn: 'MBR_ID', targetFieldId: validUUID3 }],
+      });
+
+      expect(data).toBeNull();
+      expect(validationErrors).toEqual([
+        expect.objectContaining({ field: 'mappings.0.targetFieldId' }),
+      ]);
+    });
+
+    it('should reject a second mapping for the same export file', async () => {
+      await repository.addFieldMapping(validUUID, validFieldMapping);
+
+      const { data, validationErrors } = await repository.addFieldMapping(validUUID, {
+        ...validFieldMapping,
+        id: validUUID2,
+        exportFileName: 'MEMBERS_DAILY.csv',
+      });
+
+      expect(data).toBeNull();
+      expect(validationErrors[0].field).toBe('exportFileName');
+    });
+
+    it('should update and delete a mapping', async () => {
+      await repository.addFieldMapping(validUUID, validFieldMapping);
+
+      const updated = await repository.updateFieldMapping(validUUID, validFieldMapping.id, {
+        format: 'fixed_width',
+      });
+      expect(updated.error).toBeNull();
+      expect(updated.data).toMatchObject({ format: 'fixed_width', exportFileName: 'members_daily.csv' });
+
+      const invalid = await repository.updateFieldMapping(validUUID, validFieldMapping.id, {
+        format: 'parquet',
+      });
+      expect(invalid.error.message).toContain('validation failed');
+
+      const deleted = await repository.deleteFieldMapping(validUUID, validFieldMapping.id);
+      expect(deleted.error).toBeNull();
+      expect(mockAdapter.projects[0].dataModel.mappings).toEqual([]);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle adapter errors gracefully', async () => {
       mockAdapter.simulateError('Database connection failed');
@@ -0,0 +1,418 @@
+import { describe, it, expect } from 'vitest';
+import qualificationEngine from '../QualificationEngine';
+import { normalizeObjectName } from '../../utils/ruleTree';
+import tagLibraryData from '../../data/tagLibrary.json';
+
+const libraryTag = (id) => tagLibraryData.tags.find((tag) => tag.id === id);
+
+const AS_OF = '2025-06-30T12:00:00.000Z';
+
+// Build `count` events of a type spread over the days before AS_OF
+const eventsOf = (eventType, count, daysAgo = 1) =>
+  Array.from({ length: count }, (_, i) => ({
+    eventType,
+    occurredAt: new Date(
+      new Date(AS_OF).getTime() - (daysAgo + i * 0.1) * 24 * 60 * 60 * 1000
+    ).toISOString(),
+  }));
+
+describe('QualificationEngine', () => {
+  describe('normalizeObjectName', () => {
+    it('should treat display names and object names as the same object', () => {
+      expect(normalizeObjectName('Member')).toBe('member');
+      expect(normalizeObjectName('member_object')).toBe('member');
+      expect(normalizeObjectName('Loan Application Object')).toBe('loanapplication');
+    });
+  });
+
+  describe('property conditions', () => {
+    it('should qualify Indirect_Auto when both AND conditions match', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('origin_indirect_auto'), {
+        member: { first_product_type: 'Auto Loan', acquisition_channel: 'Indirect Dealer' },
+      });
+
+      expect(result.qualified).toBe(true);
+      expect(result.trace).toHaveLength(2);
+      expect(result.trace.every((t) => t.passed)).toBe(true);
+    });
+
+    it('should not qualify Indirect_Auto when one AND condition fails', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('origin_indirect_auto'), {
+        member: { first_product_type: 'Auto Loan', acquisition_channel: 'Branch' },
+      });
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[1].passed).toBe(false);
+      expect(result.trace[1].actual).toBe('Branch');
+    });
+
+    it('should qualify Student_Youth_Account when any OR condition matches', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('origin_student_youth'), {
+        member: { account_type_at_opening: 'Youth' },
+      });
+
+      expect(result.logic).toBe('OR');
+      expect(result.qualified).toBe(true);
+      expect(result.trace.map((t) => t.passed)).toEqual([false, true]);
+    });
+
+    it('should evaluate "in" against a list of values', () => {
+      const tag = libraryTag('origin_deposit_first');
+
+      expect(
+        qualificationEngine.evaluateTag(tag, { member: { first_product_type: 'Savings' } }).qualified
+      ).toBe(true);
+      expect(
+        qualificationEngine.evaluateTag(tag, { member: { first_product_type: 'Auto Loan' } })
+          .qualified
+      ).toBe(false);
+    });
+
+    it('should coerce string booleans and numbers from form input', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('behavior_always_on_time'), {
+        member: { delinquency_count: '0', has_active_loan: 'true' },
+      });
+
+      expect(result.qualified).toBe(true);
+    });
+
+    it('should evaluate "between" inclusively', () => {
+      const tag = libraryTag('opportunity_youth_to_adult_transition');
+
+      expect(
+        qualificationEngine.evaluateTag(tag, { member: { age: 23, account_type: 'Student' } })
+          .qualified
+      ).toBe(true);
+      expect(
+        qualificationEngine.evaluateTag(tag, { member: { age: 27, account_type: 'Student' } })
+          .qualified
+      ).toBe(false);
+    });
+
+    it('should report missing values in the trace', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('origin_branch_direct'), {
+        member: {},
+      });
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[0].reason).toBe('Property has no value');
+    });
+
+    it('should evaluate conditions on other objects against associated records', () => {
+      const tag = libraryTag('opportunity_certificate_maturity');
+
+      const matching = qualificationEngine.evaluateTag(tag, {
+        member: {},
+        associations: [
+          { object: 'certificate_object', properties: { days_until_maturity: 400 } },
+          { object: 'certificate_object', properties: { days_until_maturity: 45 } },
+        ],
+      });
+      const missing = qualificationEngine.evaluateTag(tag, { member: {} });
+
+      expect(matching.qualified).toBe(true);
+      expect(missing.qualified).toBe(false);
+      expect(missing.trace[0].reason).toContain('No associated');
+    });
+
+    it('should support is_known and is_unknown operators', () => {
+      expect(qualificationEngine.matchesOperator('x', 'is_known')).toBe(true);
+      expect(qualificationEngine.matchesOperator('', 'is_known')).toBe(false);
+      expect(qualificationEngine.matchesOperator(undefined, 'is_unknown')).toBe(true);
+    });
+
+    it('should compare ISO dates', () => {
+      expect(
+        qualificationEngine.matchesOperator('2025-03-01', 'greater_than', '2025-01-15')
+      ).toBe(true);
+    });
+  });
+
+  describe('activity conditions', () => {
+    it('should qualify Digital_Native with frequent logins and no branch visits', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('behavior_digital_native'), {
+        member: {},
+        events: eventsOf('mobile_app_login', 11),
+        asOf: AS_OF,
+      });
+
+      expect(result.qualified).toBe(true);
+      expect(result.trace[0].actual).toBe(11);
+      expect(result.trace[1].actual).toBe(0);
+    });
+
+    it('should ignore events outside the timeframe', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('behavior_digital_native'), {
+        member: {},
+        events: eventsOf('mobile_app_login', 11, 45),
+        asOf: AS_OF,
+      });
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[0].actual).toBe(0);
+    });
+
+    it('should fail Digital_Native when a recent branch visit exists', () => {
+      const result = qualificationEngine.evaluateTag(libraryTag('behavior_digital_native'), {
+        member: {},
+        events: [...eventsOf('mobile_app_login', 12), ...eventsOf('branch_visit', 1, 60)],
+        asOf: AS_OF,
+      });
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[1].passed).toBe(false);
+    });
+
+    it('should support has_occurred and has_not_occurred', () => {
+      const rules = {
+        ruleType: 'activity',
+        logic: 'AND',
+        conditions: [
+          { eventType: 'form_submission', occurrence: 'has_occurred' },
+          { eventType: 'email_unsubscribe', occurrence: 'has_not_occurred' },
+        ],
+      };
+
+      const result = qualificationEngine.evaluateRules(rules, {
+        member: {},
+        events: eventsOf('form_submission', 1),
+        asOf: AS_OF,
+      });
+
+      expect(result.qualified).toBe(true);
+    });
+
+    it('should apply event property filters', () => {
+      const rules = {
+        ruleType: 'activity',
+        logic: 'AND',
+        conditions: [
+          {
+            eventType: 'page_view',
+            occurrence: 'has_occurred',
+            filters: [{ object: 'Event', field: 'url', operator: 'contains', value: '/mortgage' }],
+          },
+        ],
+      };
+      const event = (url) => ({ eventType: 'page_view', occurredAt: AS_OF, properties: { url } });
+
+      expect(
+        qualificationEngine.evaluateRules(rules, { member: {}, events: [event('/home')], asOf: AS_OF })
+          .qualified
+      ).toBe(false);
+      expect(
+        qualificationEngine.evaluateRules(rules, {
+          member: {},
+          events: [event('/rates/mortgage')],
+          asOf: AS_OF,
+        }).qualified
+      ).toBe(true);
+    });
+  });
+
+  describe('association conditions', () => {
+    const rules = {
+      ruleType: 'association',
+      logic: 'AND',
+      conditions: [
+        {
+          associationType: 'member_to_account',
+          relatedObject: 'Account',
+          conditionType: 'count',
+          operator: 'greater_than_or_equal',
+          value: 2,
+          nestedFilters: [
+            { object: 'Account', field: 'account_type', operator: 'equals', value: 'Checking' },
+          ],
+        },
+      ],
+    };
+
+    it('should count associated records that pass nested filters', () => {
+      const result = qualificationEngine.evaluateRules(rules, {
+        member: {},
+        associations: [
+          { object: 'account_object', properties: { account_type: 'checking' } },
+          { object: 'account_object', properties: { account_type: 'Checking' } },
+          { object: 'account_object', properties: { account_type: 'Savings' } },
+        ],
+      });
+
+      expect(result.qualified).toBe(true);
+      expect(result.trace[0].actual).toBe(2);
+    });
+
+    it('should support has_none', () => {
+      const hasNone = {
+        ...rules,
+        conditions: [{ associationType: 'member_to_loan', relatedObject: 'Loan', conditionType: 'has_none' }],
+      };
+
+      expect(qualificationEngine.evaluateRules(hasNone, { member: {} }).qualified).toBe(true);
+    });
+  });
+
+  describe('score conditions', () => {
+    const tag = libraryTag('opportunity_credit_card_prime');
+
+    it('should add the tag at the add threshold', () => {
+      const result = qualificationEngine.evaluateTag(tag, {
+        member: { credit_score: 700, has_credit_card: false },
+      });
+
+      expect(result.qualified).toBe(true);
+    });
+
+    it('should not add the tag between remove and add thresholds', () => {
+      const result = qualificationEngine.evaluateTag(tag, {
+        member: { credit_score: 690, has_credit_card: false },
+      });
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[0].reason).toContain('add threshold');
+    });
+
+    it('should retain the tag between thresholds when already held', () => {
+      const result = qualificationEngine.evaluateTag(tag, {
+        member: { credit_score: 690, has_credit_card: false },
+        currentTagIds: [tag.id],
+      });
+
+      expect(result.qualified).toBe(true);
+    });
+
+    it('should remove the tag below the remove threshold', () => {
+      const result = qualificationEngine.evaluateTag(tag, {
+        member: { credit_score: 675, has_credit_card: false },
+        currentTagIds: [tag.id],
+      });
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[0].reason).toContain('remove threshold');
+    });
+
+    it('should flip comparisons for downward hysteresis', () => {
+      const rules = {
+        ruleType: 'score',
+        logic: 'AND',
+        conditions: [
+          {
+            scoreField: 'risk_score',
+            operator: 'less_than_or_equal',
+            hysteresis: { addThreshold: 20, removeThreshold: 40 },
+          },
+        ],
+      };
+
+      expect(qualificationEngine.evaluateRules(rules, { member: { risk_score: 30 } }).qualified).toBe(false);
+      expect(
+        qualificationEngine.evaluateRules(rules, { member: { risk_score: 30 } }, { wasQualified: true })
+          .qualified
+      ).toBe(true);
+    });
+
+    it('should carry membership through a score series', () => {
+      const condition = {
+        scoreField: 'engagement_score',
+        operator: 'greater_than_or_equal',
+        hysteresis: { addThreshold: 70, removeThreshold: 50 },
+      };
+
+      expect(
+        qualificationEngine.evaluateScoreSeries(condition, [40, 60, 75, 60, 55, 45, 60, 72])
+      ).toEqual([false, false, true, true, true, false, false, true]);
+    });
+
+    it('should evaluate a score series without hysteresis point by point', () => {
+      const condition = { scoreField: 'engagement_score', operator: 'between', value: [40, 60] };
+
+      expect(qualificationEngine.evaluateScoreSeries(condition, [30, 50, 70])).toEqual([
+        false,
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe('rule sets', () => {
+    it('should never qualify a rule set without conditions', () => {
+      const result = qualificationEngine.evaluateRules(
+        { ruleType: 'property', logic: 'AND', conditions: [] },
+        { member: {} }
+      );
+
+      expect(result.qualified).toBe(false);
+    });
+
+    it('should evaluate nested condition groups', () => {
+      const rules = {
+        ruleType: 'property',
+        logic: 'OR',
+        conditions: [
+          {
+            type: 'group',
+            logic: 'AND',
+            conditions: [
+              { object: 'Member', field: 'first_product_type', operator: 'equals', value: 'Auto Loan' },
+              { object: 'Member', field: 'acquisition_channel', operator: 'equals', value: 'Indirect Dealer' },
+            ],
+          },
+          {
+            type: 'group',
+            logic: 'AND',
+            conditions: [
+              { object: 'Member', field: 'referral_source', operator: 'equals', value: 'Member Referral' },
+              { object: 'Member', field: 'age', operator: 'less_than', value: 30 },
+            ],
+          },
+        ],
+      };
+
+      const referred = qualificationEngine.evaluateRules(rules, {
+        member: { referral_source: 'Member Referral', age: 24 },
+      });
+      const olderReferral = qualificationEngine.evaluateRules(rules, {
+        member: { referral_source: 'Member Referral', age: 45 },
+      });
+
+      expect(referred.qualified).toBe(true);
+      expect(referred.trace.map((t) => t.passed)).toEqual([false, true]);
+      expect(olderReferral.qualified).toBe(false);
+    });
+
+    it('should trace group members as children', () => {
+      const result = qualificationEngine.evaluateRules(
+        {
+          ruleType: 'mixed',
+          logic: 'AND',
+          conditions: [
+            {
+              type: 'group',
+              logic: 'OR',
+              conditions: [
+                { object: 'Member', field: 'has_credit_card', operator: 'equals', value: false },
+                { scoreField: 'credit_score', operator: 'greater_than_or_equal', threshold: 720 },
+              ],
+            },
+          ],
+        },
+        { member: { has_credit_card: true, credit_score: 650 } }
+      );
+
+      expect(result.qualified).toBe(false);
+      expect(result.trace[0].kind).toBe('group');
+      expect(result.trace[0].children.map((t) => t.kind)).toEqual(['property', 'score']);
+      expect(result.trace[0].reason).toBe('No grouped condition matched');
+    });
+
+    it('should evaluate every library tag without throwing', () => {
+      const results = qualificationEngine.evaluateTags(tagLibraryData.tags, { member: {} });
+
+      expect(results).toHaveLength(tagLibraryData.tags.length);
+      results.forEach((result) => {
+        expect(result.trace.length).toBeGreaterThan(0);
+        expect(result.trace.every((t) => t.kind !== 'unknown')).toBe(true);
+      });
+    });
+  });
+});
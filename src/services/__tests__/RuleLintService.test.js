@@ -0,0 +1,235 @@
+import { describe, it, expect } from 'vitest';
+import ruleLintService from '../RuleLintService';
+import tagLibraryData from '../../data/tagLibrary.json';
+
+const libraryTag = (id) => tagLibraryData.tags.find((tag) => tag.id === id);
+
+const dataModel = {
+  objects: [
+    {
+      id: 'obj-member',
+      name: 'member_object',
+      label: 'Member Object',
+      fields: [
+        {
+          id: 'f1',
+          name: 'first_product_type',
+          dataType: 'enumeration',
+          options: [
+            { label: 'Auto Loan', value: 'auto_loan' },
+            { label: 'Checking', value: 'checking' },
+          ],
+        },
+        { id: 'f2', name: 'age', dataType: 'number' },
+        { id: 'f3', name: 'credit_score', dataType: 'text' },
+      ],
+    },
+    {
+      id: 'obj-account',
+      name: 'account_object',
+      label: 'Account Object',
+      fields: [{ id: 'f4', name: 'current_balance', dataType: 'currency' }],
+    },
+  ],
+  associations: [],
+};
+
+const rules = (...conditions) => ({ ruleType: 'property', logic: 'AND', conditions });
+
+describe('RuleLintService', () => {
+  it('should accept conditions that match the data model', () => {
+    const issues = ruleLintService.lintRules(
+      rules(
+        { object: 'Member', field: 'first_product_type', operator: 'in', value: ['Auto Loan', 'checking'] },
+        { object: 'Member', field: 'age', operator: 'between', value: [18, 25] }
+      ),
+      dataModel
+    );
+
+    expect(issues).toEqual([]);
+  });
+
+  it('should flag unknown objects and name the template that defines them', () => {
+    const [issue] = ruleLintService.lintRules(
+      rules({ object: 'Household', field: 'household_name', operator: 'is_known' }),
+      dataModel
+    );
+
+    expect(issue.code).toBe('unknown_object');
+    expect(issue.severity).toBe('error');
+    expect(issue.message).toContain('Household Object template');
+  });
+
+  it('should offer to create a missing field from its template', () => {
+    const [issue] = ruleLintService.lintRules(
+      rules({ object: 'Account', field: 'available_balance', operator: 'greater_than', value: 100 }),
+      dataModel
+    );
+
+    expect(issue.code).toBe('unknown_field');
+    expect(issue.fix).toMatchObject({
+      objectId: 'obj-account',
+      templateLabel: 'Account Object',
+      field: { name: 'available_balance', dataType: 'currency' },
+    });
+  });
+
+  it('should not offer a fix when no template defines the field', () => {
+    const [issue] = ruleLintService.lintRules(
+      rules({ object: 'Member', field: 'acquisition_channel', operator: 'equals', value: 'Branch' }),
+      dataModel
+    );
+
+    expect(issue.code).toBe('unknown_field');
+    expect(issue.fix).toBeUndefined();
+  });
+
+  it('should flag operators that do not apply to the field type', () => {
+    const [issue] = ruleLintService.lintRules(
+      rules({ object: 'Member', field: 'age', operator: 'contains', value: '2' }),
+      dataModel
+    );
+
+    expect(issue.code).toBe('incompatible_operator');
+    expect(issue.message).toBe('"contains" does not apply to Member Object.age (number)');
+  });
+
+  it('should flag enumeration values that are not options', () => {
+    const issues = ruleLintService.lintRules(
+      rules({ object: 'Member', field: 'first_product_type', operator: 'in', value: ['Savings', 'Checking'] }),
+      dataModel
+    );
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'unknown_option', severity: 'warning' });
+    expect(issues[0].message).toContain('"Savings"');
+  });
+
+  it('should flag unknown event types but accept standard and custom events', () => {
+    const issues = ruleLintService.lintRules(
+      {
+        ruleType: 'activity',
+        logic: 'AND',
+        conditions: [
+          { eventType: 'email_open', occurrence: 'has_occurred' },
+          { eventType: 'pe1234567_account_login', occurrence: 'has_occurred' },
+          { eventType: 'branch_visit', occurrence: 'has_occurred' },
+        ],
+      },
+      dataModel
+    );
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'unknown_event', severity: 'warning' });
+    expect(issues[0].message).toContain('branch_visit');
+  });
+
+  describe('with a custom event registry', () => {
+    const customEvents = [
+      {
+        id: 'event-1',
+        label: 'Account Login',
+        name: 'pe1234567_account_login',
+        description: '',
+        properties: [
+          {
+            id: 'prop-1',
+            name: 'channel',
+            label: 'Channel',
+            type: 'enumeration',
+            description: '',
+            options: [{ label: 'Mobile', value: 'mobile' }],
+          },
+          { id: 'prop-2', name: 'duration', label: 'Duration', type: 'number', description: '' },
+        ],
+      },
+    ];
+
+    const activity = (...conditions) => ({ ruleType: 'activity', logic: 'AND', conditions });
+
+    it('should warn about custom events missing from the registry', () => {
+      const issues = ruleLintService.lintRules(
+        activity(
+          { eventType: 'pe1234567_account_login', occurrence: 'has_occurred' },
+          { eventType: 'pe1234567_card_swipe', occurrence: 'has_occurred' }
+        ),
+        dataModel,
+        customEvents
+      );
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({ code: 'unregistered_event', severity: 'warning' });
+      expect(issues[0].message).toContain('pe1234567_card_swipe');
+    });
+
+    it('should check event property filters against the registered properties', () => {
+      const issues = ruleLintService.lintRules(
+        activity({
+          eventType: 'pe1234567_account_login',
+          occurrence: 'has_occurred',
+          filters: [
+            { object: 'pe1234567_account_login', field: 'channel', operator: 'equals', value: 'Desktop' },
+            { object: 'pe1234567_account_login', field: 'duration', operator: 'contains', value: '5' },
+            { object: 'pe1234567_account_login', field: 'device', operator: 'is_known' },
+          ],
+        }),
+        dataModel,
+        customEvents
+      );
+
+      expect(issues.map((issue) => issue.code)).toEqual([
+        'unknown_option',
+        'incompatible_operator',
+        'unknown_field',
+      ]);
+      expect(issues[2].message).toBe('Field "device" does not exist on Account Login');
+      expect(issues[2].fix).toBeUndefined();
+    });
+  });
+
+  it('should require score fields to be numeric', () => {
+    const [issue] = ruleLintService.lintTag(libraryTag('opportunity_credit_card_prime'), dataModel)
+      .issues;
+
+    expect(issue.code).toBe('incompatible_operator');
+    expect(issue.message).toContain('credit_score is text');
+  });
+
+  it('should lint nested filters and conditions inside groups', () => {
+    const issues = ruleLintService.lintRules(
+      rules({
+        type: 'group',
+        logic: 'OR',
+        conditions: [
+          {
+            associationType: 'member_object_to_account_object',
+            relatedObject: 'Account',
+            conditionType: 'has_any',
+            nestedFilters: [{ object: 'Account', field: 'current_balance', operator: 'starts_with', value: '1' }],
+          },
+        ],
+      }),
+      dataModel
+    );
+
+    expect(issues.map((issue) => issue.code)).toEqual(['incompatible_operator']);
+  });
+
+  it('should only return tags with issues from lintTags', () => {
+    const results = ruleLintService.lintTags(tagLibraryData.tags, { objects: [] });
+
+    expect(results).toHaveLength(tagLibraryData.tags.length);
+    expect(ruleLintService.lintTags([], dataModel)).toEqual([]);
+  });
+
+  it('should build field data for a fix', () => {
+    const [issue] = ruleLintService.lintRules(
+      rules({ object: 'Account', field: 'is_active', operator: 'equals', value: true }),
+      dataModel
+    );
+    const field = ruleLintService.buildFieldFromFix(issue.fix);
+
+    expect(field.id).toBeTruthy();
+    expect(field).toMatchObject({ name: 'is_active', dataType: 'boolean' });
+  });
+});
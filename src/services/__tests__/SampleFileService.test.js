@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import sampleFileService, { MAX_SAMPLE_ROWS } from '../SampleFileService';
+
+const member = {
+  id: 'member',
+  name: 'member',
+  label: 'Member',
+  fields: [
+    { id: 'f-number', name: 'member_number', label: 'Member Number', dataType: 'text' },
+    { id: 'f-dob', name: 'date_of_birth', label: 'Date of Birth', dataType: 'date' },
+    { id: 'f-email', name: 'primary_email', label: 'Primary Email', dataType: 'email' },
+    { id: 'f-ssn', name: 'ssn_last_four', label: 'SSN (last 4)', dataType: 'text' },
+  ],
+};
+
+describe('SampleFileService', () => {
+  describe('parse', () => {
+    it('should read CSV headers and rows, keeping only the first rows', () => {
+      const rows = Array.from({ length: MAX_SAMPLE_ROWS + 5 }, (_, i) => `${i},A`);
+      const parsed = sampleFileService.parse(['MBR_NBR,STATUS', ...rows].join('\n'), 'csv');
+
+      expect(parsed.error).toBeNull();
+      expect(parsed.columns).toEqual(['MBR_NBR', 'STATUS']);
+      expect(parsed.rows).toHaveLength(MAX_SAMPLE_ROWS);
+    });
+
+    it('should read JSON arrays, wrapped arrays and one record per line', () => {
+      const expected = { columns: ['id', 'address.city'], rows: [['1', 'Omaha']], error: null };
+
+      expect(sampleFileService.parse('[{"id":1,"address":{"city":"Omaha"}}]', 'json')).toEqual(
+        expected
+      );
+      expect(
+        sampleFileService.parse('{"members":[{"id":1,"address":{"city":"Omaha"}}]}', 'json')
+      ).toEqual(expected);
+      expect(
+        sampleFileService.parse('{"id":"1","address":{"city":"Omaha"}}\n', 'json')
+      ).toEqual(expected);
+      expect(sampleFileService.parse('{"id":', 'json').error).toBe('The file is not valid JSON');
+    });
+
+    it('should read repeated XML elements with attributes as columns', () => {
+      const xml = `<?xml version="1.0"?>
+        <Export><Members>
+          <Member id="1"><Name>Ada</Name><OpenDate>01/02/2020</OpenDate></Member>
+          <Member id="2"><Name>Grace</Name></Member>
+        </Members></Export>`;
+
+      expect(sampleFileService.parse(xml, 'xml')).toEqual({
+        columns: ['id', 'Name', 'OpenDate'],
+        rows: [
+          ['1', 'Ada', '01/02/2020'],
+          ['2', 'Grace', ''],
+        ],
+        error: null,
+      });
+    });
+
+    it('should slice fixed-width lines using the layout', () => {
+      const text = ['0000012345ADA       19850315', '0000067890GRACE     19901201'].join('\n');
+      const layout = '# member extract\nMBR_NBR 1 10\nFIRST_NAME 10\nBIRTH_DT 8';
+
+      expect(sampleFileService.parse(text, 'fixed_width', layout)).toEqual({
+        columns: ['MBR_NBR', 'FIRST_NAME', 'BIRTH_DT'],
+        rows: [
+          ['0000012345', 'ADA', '19850315'],
+          ['0000067890', 'GRACE', '19901201'],
+        ],
+        error: null,
+      });
+      expect(sampleFileService.parse(text, 'fixed_width', 'MBR_NBR ten').error).toContain('Line 1');
+      expect(sampleFileService.parse(text, 'fixed_width', '').error).toBeTruthy();
+    });
+
+    it('should reject formats it cannot read', () => {
+      expect(sampleFileService.parse('data', 'other').error).toBeTruthy();
+    });
+  });
+
+  describe('inferType', () => {
+    it('should infer dates with their source layout', () => {
+      expect(sampleFileService.inferType(['03/15/1985', '12/01/1990'])).toEqual({
+        dataType: 'date',
+        dateFormat: 'MM/DD/YYYY',
+      });
+      expect(sampleFileService.inferType(['15/03/1985'])).toEqual({
+        dataType: 'date',
+        dateFormat: 'DD/MM/YYYY',
+      });
+      expect(sampleFileService.inferType(['19850315'])).toEqual({
+        dataType: 'date',
+        dateFormat: 'YYYYMMDD',
+      });
+    });
+
+    it('should tell currency, numbers and zero-padded identifiers apart', () => {
+      expect(sampleFileService.inferType(['1,250.00', '(35.10)']).dataType).toBe('currency');
+      expect(sampleFileService.inferType(['$12', '40']).dataType).toBe('currency');
+      expect(sampleFileService.inferType(['12', '4.5']).dataType).toBe('number');
+      expect(sampleFileService.inferType(['00012', '00013']).dataType).toBe('text');
+    });
+
+    it('should infer emails, phones and booleans', () => {
+      expect(sampleFileService.inferType(['ada@example.com']).dataType).toBe('email');
+      expect(sampleFileService.inferType(['(402) 555-0100', '402-555-0199']).dataType).toBe('phone');
+      expect(sampleFileService.inferType(['4025550100'], 'HOME_PHONE').dataType).toBe('phone');
+      expect(sampleFileService.inferType(['4025550100'], 'BRANCH_CODE').dataType).toBe('number');
+      expect(sampleFileService.inferType(['Y', 'N', '']).dataType).toBe('boolean');
+      expect(sampleFileService.inferType([]).dataType).toBe('text');
+    });
+  });
+
+  describe('detectPii', () => {
+    it('should flag SSNs, card numbers and account numbers', () => {
+      expect(sampleFileService.detectPii('MBR_SSN')).toBe('ssn');
+      expect(sampleFileService.detectPii('TaxId')).toBe('ssn');
+      expect(sampleFileService.detectPii('ID', ['123-45-6789'])).toBe('ssn');
+      expect(sampleFileService.detectPii('CARD_NBR')).toBe('card_number');
+      expect(sampleFileService.detectPii('REF', ['4111111111111111'])).toBe('card_number');
+      expect(sampleFileService.detectPii('AcctNbr')).toBe('account_number');
+      expect(sampleFileService.detectPii('SHARE_ACCT')).toBe('account_number');
+    });
+
+    it('should not flag ordinary columns', () => {
+      expect(sampleFileService.detectPii('ACCOUNT_TYPE')).toBeUndefined();
+      expect(sampleFileService.detectPii('CLASS_NAME')).toBeUndefined();
+      expect(sampleFileService.detectPii('REF', ['4111111111111112'])).toBeUndefined();
+    });
+  });
+
+  describe('inferColumns and proposeMappings', () => {
+    const parsed = sampleFileService.parse(
+      [
+        'MEMBER_NUMBER,BIRTH_DT,EMAIL_ADDR,MBR_SSN,BRANCH',
+        '00123,03/15/1985,ada@example.com,123-45-6789,Main',
+        '00124,12/01/1990,,987-65-4321,',
+      ].join('\n'),
+      'csv'
+    );
+    const inferred = sampleFileService.inferColumns(parsed);
+
+    it('should keep previews and counts alongside inferred metadata', () => {
+      expect(inferred.map(({ name, dataType, piiType }) => [name, dataType, piiType])).toEqual([
+        ['MEMBER_NUMBER', 'text', undefined],
+        ['BIRTH_DT', 'date', undefined],
+        ['EMAIL_ADDR', 'email', undefined],
+        ['MBR_SSN', 'text', 'ssn'],
+        ['BRANCH', 'text', undefined],
+      ]);
+      expect(inferred[2]).toMatchObject({ samples: ['ada@example.com'], filledCount: 1 });
+    });
+
+    it('should propose fields, transforms and metadata but no sample values', () => {
+      const proposed = sampleFileService.proposeMappings(inferred, member);
+
+      expect(proposed).toEqual([
+        {
+          id: expect.any(String),
+          sourceColumn: 'MEMBER_NUMBER',
+          targetFieldId: 'f-number',
+          inferredType: 'text',
+        },
+        {
+          id: expect.any(String),
+          sourceColumn: 'BIRTH_DT',
+          transform: { type: 'date_format', sourceFormat: 'MM/DD/YYYY' },
+          inferredType: 'date',
+        },
+        {
+          id: expect.any(String),
+          sourceColumn: 'EMAIL_ADDR',
+          targetFieldId: 'f-email',
+          inferredType: 'email',
+        },
+        {
+          id: expect.any(String),
+          sourceColumn: 'MBR_SSN',
+          transform: { type: 'mask', visibleCharacters: 4 },
+          inferredType: 'text',
+          piiType: 'ssn',
+        },
+        { id: expect.any(String), sourceColumn: 'BRANCH', inferredType: 'text' },
+      ]);
+      expect(JSON.stringify(proposed)).not.toContain('123-45-6789');
+    });
+  });
+});
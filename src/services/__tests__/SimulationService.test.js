@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import simulationService from '../SimulationService';
+import tagLibraryData from '../../data/tagLibrary.json';
+
+const libraryTag = (id) => tagLibraryData.tags.find((tag) => tag.id === id);
+
+const memberObject = {
+  id: 'obj-member',
+  name: 'member_object',
+  label: 'Member',
+  fields: [{ id: 'f-age', name: 'age', label: 'Age', dataType: 'number' }],
+};
+const certificateObject = {
+  id: 'obj-certificate',
+  name: 'certificate_object',
+  label: 'Certificate',
+  fields: [],
+};
+const dataModel = { objects: [certificateObject, memberObject], associations: [] };
+
+describe('SimulationService', () => {
+  describe('resolveMemberObject', () => {
+    it('should prefer the selected object', () => {
+      expect(simulationService.resolveMemberObject(dataModel.objects, 'obj-certificate')).toBe(
+        certificateObject
+      );
+    });
+
+    it('should fall back to an object named like a member', () => {
+      expect(simulationService.resolveMemberObject(dataModel.objects)).toBe(memberObject);
+      expect(simulationService.resolveMemberObject(dataModel.objects, 'missing')).toBe(
+        memberObject
+      );
+    });
+  });
+
+  describe('createScenario', () => {
+    it('should create an empty scenario bound to the member object', () => {
+      const scenario = simulationService.createScenario(dataModel, 'Test Member');
+
+      expect(scenario.name).toBe('Test Member');
+      expect(scenario.memberObjectId).toBe('obj-member');
+      expect(scenario.records).toEqual([]);
+      expect(scenario.events).toEqual([]);
+      expect(scenario.asOf).toBeDefined();
+    });
+  });
+
+  describe('buildContext', () => {
+    it('should resolve record object IDs to object names and drop orphans', () => {
+      const scenario = {
+        ...simulationService.createScenario(dataModel),
+        records: [
+          { id: 'r1', objectId: 'obj-certificate', properties: { days_until_maturity: 45 } },
+          { id: 'r2', objectId: 'obj-deleted', properties: {} },
+        ],
+      };
+
+      const context = simulationService.buildContext(scenario, dataModel);
+
+      expect(context.memberObject).toBe('member_object');
+      expect(context.associations).toEqual([
+        {
+          object: 'certificate_object',
+          associationType: undefined,
+          properties: { days_until_maturity: 45 },
+        },
+      ]);
+    });
+  });
+
+  describe('evaluateScenario', () => {
+    it('should apply tags that the scenario satisfies', () => {
+      const tags = [
+        libraryTag('opportunity_certificate_maturity'),
+        libraryTag('behavior_digital_native'),
+      ];
+      const scenario = {
+        ...simulationService.createScenario(dataModel),
+        records: [
+          { id: 'r1', objectId: 'obj-certificate', properties: { days_until_maturity: 45 } },
+        ],
+      };
+
+      const results = simulationService.evaluateScenario(scenario, tags, dataModel);
+
+      expect(results.map((r) => [r.tagId, r.qualified])).toEqual([
+        ['opportunity_certificate_maturity', true],
+        ['behavior_digital_native', false],
+      ]);
+    });
+  });
+
+  describe('simulateTimeline', () => {
+    const START = '2025-01-01T12:00:00.000Z';
+    const day = (n) => new Date(new Date(START).getTime() + n * 24 * 60 * 60 * 1000).toISOString();
+    const scenarioWith = (overrides) => ({
+      ...simulationService.createScenario(dataModel),
+      timelineStart: START,
+      asOf: day(60),
+      ...overrides,
+    });
+
+    it('should step one day at a time from timelineStart to asOf', () => {
+      const result = simulationService.simulateTimeline(scenarioWith({}), [], dataModel);
+
+      expect(result.dates).toHaveLength(61);
+      expect(result.start).toBe(START);
+      expect(result.end).toBe(day(60));
+    });
+
+    it('should retain a set_once tag after its conditions stop matching', () => {
+      const scenario = scenarioWith({
+        member: { acquisition_channel: 'Branch' },
+        propertyChanges: [
+          { id: 'c1', field: 'acquisition_channel', value: 'Online', effectiveAt: day(10) },
+        ],
+      });
+
+      const result = simulationService.simulateTimeline(
+        scenario,
+        [libraryTag('origin_branch_direct')],
+        dataModel
+      );
+      const timeline = result.tags[0];
+
+      expect(timeline.sticky).toBe(true);
+      expect(timeline.held.every(Boolean)).toBe(true);
+      expect(timeline.transitions.map((t) => [t.type, t.stepIndex])).toEqual([
+        ['added', 0],
+        ['retained', 10],
+      ]);
+      expect(timeline.transitions[1].reason).toContain('acquisition_channel');
+      expect(timeline.finalStatus).toBe('held');
+    });
+
+    it('should remove a dynamic activity tag once events leave the timeframe', () => {
+      const events = [1, 2, 3, 4].map((n) => ({
+        id: `e${n}`,
+        eventType: 'bill_payment',
+        occurredAt: day(5 + n * 0.1),
+      }));
+
+      const result = simulationService.simulateTimeline(
+        scenarioWith({ events }),
+        [libraryTag('behavior_bill_pay_user')],
+        dataModel
+      );
+      const timeline = result.tags[0];
+
+      expect(timeline.transitions.map((t) => [t.type, t.stepIndex])).toEqual([
+        ['added', 6],
+        ['removed', 36],
+      ]);
+      expect(timeline.transitions[1].reason).toContain('bill_payment');
+      expect(timeline.finalStatus).toBe('removed');
+    });
+
+    it('should apply score hysteresis between steps', () => {
+      const scenario = scenarioWith({
+        member: { credit_score: 710, has_credit_card: false },
+        propertyChanges: [
+          { id: 'c1', field: 'credit_score', value: 690, effectiveAt: day(10) },
+          { id: 'c2', field: 'credit_score', value: 675, effectiveAt: day(20) },
+          { id: 'c3', field: 'credit_score', value: 695, effectiveAt: day(30) },
+        ],
+      });
+
+      const result = simulationService.simulateTimeline(
+        scenario,
+        [libraryTag('opportunity_credit_card_prime')],
+        dataModel
+      );
+      const timeline = result.tags[0];
+
+      // Added at 710, retained at 690, removed at 675, not re-added at 695
+      expect(timeline.transitions.map((t) => [t.type, t.stepIndex])).toEqual([
+        ['added', 0],
+        ['removed', 20],
+      ]);
+      expect(timeline.held[15]).toBe(true);
+      expect(timeline.held[45]).toBe(false);
+    });
+  });
+});
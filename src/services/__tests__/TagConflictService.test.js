@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import tagConflictService from '../TagConflictService';
+import tagLibraryData from '../../data/tagLibrary.json';
+
+const libraryTag = (id) => tagLibraryData.tags.find((tag) => tag.id === id);
+
+const makeTag = (id, category, conditions, extra = {}) => ({
+  id,
+  name: id,
+  category,
+  behavior: 'dynamic',
+  qualificationRules: { ruleType: 'property', logic: 'AND', conditions },
+  ...extra,
+});
+
+const memberField = (field, operator, value) => ({ object: 'Member', field, operator, value });
+
+describe('TagConflictService', () => {
+  describe('origin tags', () => {
+    it('should flag origin tags that could match the same member', () => {
+      const conflicts = tagConflictService.analyzeTags([
+        libraryTag('origin_digital_direct'),
+        libraryTag('origin_deposit_first'),
+      ]);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        kind: 'origin_overlap',
+        severity: 'warning',
+        tagIds: ['origin_digital_direct', 'origin_deposit_first'],
+      });
+      expect(conflicts[0].explanation[0]).toContain('acquisition_channel');
+      expect(conflicts[0].explanation[0]).toContain('first_product_type');
+    });
+
+    it('should not flag origin tags with disjoint values', () => {
+      expect(
+        tagConflictService.analyzeTags([
+          libraryTag('origin_indirect_auto'),
+          libraryTag('origin_deposit_first'),
+          libraryTag('origin_branch_direct'),
+          libraryTag('origin_digital_direct'),
+        ]).filter((conflict) => conflict.tagIds.includes('origin_deposit_first') && conflict.tagIds.includes('origin_indirect_auto'))
+      ).toEqual([]);
+    });
+
+    it('should note when one origin tag contains another', () => {
+      const [conflict] = tagConflictService.analyzeTags([
+        makeTag('digital', 'origin', [memberField('acquisition_channel', 'equals', 'Digital')]),
+        makeTag('any_online', 'origin', [memberField('acquisition_channel', 'in', ['digital', 'Mobile'])]),
+      ]);
+
+      expect(conflict.kind).toBe('origin_overlap');
+      expect(conflict.explanation).toContain('Every member matching digital also matches any_online.');
+    });
+  });
+
+  describe('mutually exclusive tags', () => {
+    it('should accept the library exclusive pairs, whose rules are disjoint', () => {
+      const conflicts = tagConflictService.analyzeTags([
+        libraryTag('behavior_digital_native'),
+        libraryTag('behavior_branch_preferred'),
+        libraryTag('behavior_bill_pay_user'),
+        libraryTag('behavior_bill_pay_inactive'),
+      ]);
+
+      expect(conflicts.filter((conflict) => conflict.kind === 'exclusive_overlap')).toEqual([]);
+    });
+
+    it('should report an error when exclusive tags could both apply', () => {
+      const digitalNative = {
+        ...libraryTag('behavior_digital_native'),
+        qualificationRules: {
+          ruleType: 'activity',
+          logic: 'AND',
+          conditions: [
+            { eventType: 'mobile_app_login', occurrence: 'count', operator: 'greater_than', value: 10, timeframe: 30 },
+            { eventType: 'branch_visit', occurrence: 'count', operator: 'less_than', value: 5, timeframe: 90 },
+          ],
+        },
+      };
+
+      const conflicts = tagConflictService.analyzeTags([
+        digitalNative,
+        { ...libraryTag('behavior_branch_preferred'), exclusiveWith: [] },
+      ]);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ kind: 'exclusive_overlap', severity: 'error' });
+    });
+
+    it('should treat a known value and an unknown value as exclusive', () => {
+      const conflicts = tagConflictService.analyzeTags([
+        makeTag('has_email', 'behavior', [memberField('email', 'is_known')], { exclusiveWith: ['no_email'] }),
+        makeTag('no_email', 'behavior', [memberField('email', 'is_unknown')]),
+      ]);
+
+      expect(conflicts).toEqual([]);
+    });
+  });
+
+  describe('redundant tags', () => {
+    it('should flag equivalent rules and recommend the simpler tag', () => {
+      const conflicts = tagConflictService.analyzeTags([
+        makeTag('deposit', 'origin', [memberField('first_product_type', 'in', ['Checking', 'Savings'])]),
+        makeTag('deposit_grouped', 'behavior', [
+          {
+            type: 'group',
+            logic: 'OR',
+            conditions: [
+              memberField('first_product_type', 'equals', 'savings'),
+              memberField('first_product_type', 'equals', 'Checking'),
+            ],
+          },
+        ]),
+      ]);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].kind).toBe('equivalent');
+      expect(conflicts[0].explanation[1]).toMatch(/^Keep deposit:/);
+    });
+
+    it('should flag a tag subsumed by another in its category', () => {
+      const conflicts = tagConflictService.analyzeTags([
+        makeTag('high_balance', 'opportunity', [memberField('average_monthly_balance', 'greater_than', 10000)]),
+        makeTag('balance', 'opportunity', [memberField('average_monthly_balance', 'greater_than_or_equal', 5000)]),
+      ]);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        kind: 'subsumed',
+        severity: 'info',
+        tagIds: ['high_balance', 'balance'],
+      });
+    });
+
+    it('should not treat a hysteresis score as covering its remove threshold', () => {
+      const creditScore = (extra) => ({
+        scoreField: 'credit_score',
+        operator: 'greater_than_or_equal',
+        ...extra,
+      });
+      const banded = makeTag('prime_banded', 'opportunity', [
+        creditScore({ threshold: 700, hysteresis: { addThreshold: 700, removeThreshold: 650 } }),
+      ]);
+      const plain = makeTag('prime_650', 'opportunity', [creditScore({ threshold: 650 })]);
+
+      // A member at 660 who never qualified holds only the plain tag
+      const conflicts = tagConflictService.analyzeTags([banded, plain]);
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ kind: 'subsumed', tagIds: ['prime_banded', 'prime_650'] });
+
+      const strict = makeTag('prime_700', 'opportunity', [creditScore({ threshold: 700 })]);
+      const [strictBranches, bandedBranches] = [strict, banded].map((tag) =>
+        tagConflictService.expandRules(tag.qualificationRules)
+      );
+      expect(tagConflictService.isSubsumed(strictBranches, bandedBranches)).toBe(true);
+    });
+
+    it('should not flag subsumption across categories or between dependent tags', () => {
+      const narrow = makeTag('high_balance', 'opportunity', [
+        memberField('average_monthly_balance', 'greater_than', 10000),
+      ]);
+      const broad = makeTag('balance', 'behavior', [
+        memberField('average_monthly_balance', 'greater_than_or_equal', 5000),
+      ]);
+
+      expect(tagConflictService.analyzeTags([narrow, broad])).toEqual([]);
+      expect(
+        tagConflictService.analyzeTags([
+          { ...narrow, dependencies: ['balance'] },
+          { ...broad, category: 'opportunity' },
+        ])
+      ).toEqual([]);
+    });
+  });
+
+  describe('expandRules', () => {
+    it('should drop branches that can never match', () => {
+      const branches = tagConflictService.expandRules({
+        ruleType: 'property',
+        logic: 'AND',
+        conditions: [
+          memberField('age', 'greater_than', 30),
+          {
+            type: 'group',
+            logic: 'OR',
+            conditions: [memberField('age', 'less_than', 18), memberField('age', 'equals', 40)],
+          },
+        ],
+      });
+
+      expect(branches).toHaveLength(1);
+    });
+
+    it('should skip rules that expand too far', () => {
+      const group = {
+        type: 'group',
+        logic: 'OR',
+        conditions: [memberField('a', 'equals', 1), memberField('a', 'equals', 2), memberField('a', 'equals', 3)],
+      };
+
+      expect(
+        tagConflictService.expandRules({ ruleType: 'property', logic: 'AND', conditions: [group, group, group, group] })
+      ).toBeNull();
+    });
+  });
+});
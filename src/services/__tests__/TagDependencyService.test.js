@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import tagDependencyService from '../TagDependencyService';
+
+const tag = (id, dependencies = []) => ({ id, name: id.toUpperCase(), dependencies });
+
+// has_mortgage ← refi_candidate ← refi_campaign, and has_checking on its own
+const tags = [
+  tag('refi_campaign', ['refi_candidate']),
+  tag('refi_candidate', ['has_mortgage']),
+  tag('has_mortgage'),
+  tag('has_checking'),
+];
+
+describe('TagDependencyService', () => {
+  describe('getEvaluationOrder', () => {
+    it('should order every tag after the tags it requires', () => {
+      const { levels, order, unresolved } = tagDependencyService.getEvaluationOrder(tags);
+
+      expect(levels.map((level) => level.map((t) => t.id))).toEqual([
+        ['has_mortgage', 'has_checking'],
+        ['refi_candidate'],
+        ['refi_campaign'],
+      ]);
+      expect(order).toHaveLength(4);
+      expect(unresolved).toEqual([]);
+    });
+
+    it('should leave tags on or behind a cycle unresolved', () => {
+      const cyclic = [tag('a', ['b']), tag('b', ['a']), tag('c', ['a']), tag('d')];
+      const { order, unresolved, cycles } = tagDependencyService.getEvaluationOrder(cyclic);
+
+      expect(order.map((t) => t.id)).toEqual(['d']);
+      expect(unresolved.map((t) => t.id)).toEqual(['a', 'b', 'c']);
+      expect(cycles).toEqual([['a', 'b', 'a']]);
+    });
+
+    it('should ignore dependencies on missing tags when ordering', () => {
+      const { order } = tagDependencyService.getEvaluationOrder([tag('a', ['gone'])]);
+
+      expect(order.map((t) => t.id)).toEqual(['a']);
+    });
+  });
+
+  describe('findCycles', () => {
+    it('should report each cycle once and include self-dependencies', () => {
+      const cycles = tagDependencyService.findCycles([
+        tag('a', ['b']),
+        tag('b', ['c']),
+        tag('c', ['a']),
+        tag('d', ['d']),
+      ]);
+
+      expect(cycles).toEqual([
+        ['a', 'b', 'c', 'a'],
+        ['d', 'd'],
+      ]);
+    });
+
+    it('should find cycles only reachable through an already visited tag', () => {
+      // b ↔ c is first reached from a, which is on no cycle itself
+      const graph = [tag('a', ['b']), tag('c', ['b']), tag('b', ['c'])];
+      const cycles = tagDependencyService.findCycles(graph);
+
+      expect(cycles).toEqual([['c', 'b', 'c']]);
+
+      const { order, unresolved, cycles: orderCycles } = tagDependencyService.getEvaluationOrder(graph);
+      expect(order).toEqual([]);
+      expect(unresolved.map((t) => t.id)).toEqual(['a', 'c', 'b']);
+      expect(orderCycles).toEqual(cycles);
+
+      const withoutEdge = [tag('a', ['b']), tag('c', ['b']), tag('b')];
+      expect(tagDependencyService.wouldCreateCycle('b', 'c', withoutEdge)).toBe(true);
+      expect(tagDependencyService.wouldCreateCycle('b', 'a', withoutEdge)).toBe(true);
+      expect(tagDependencyService.wouldCreateCycle('a', 'c', graph)).toBe(false);
+    });
+
+    it('should report a cycle through every tag in a group with several loops', () => {
+      // a → b → c → a, plus a → d → b: the second loop runs through b after it is explored
+      const graph = [tag('a', ['b', 'd']), tag('b', ['c']), tag('c', ['a']), tag('d', ['b'])];
+
+      expect(tagDependencyService.findCycles(graph)).toEqual([['a', 'b', 'c', 'a']]);
+      expect(tagDependencyService.getEvaluationOrder(graph).unresolved).toHaveLength(4);
+      expect(tagDependencyService.wouldCreateCycle('d', 'b', [...graph.slice(0, 3), tag('d')])).toBe(true);
+      expect(tagDependencyService.validateTag(tag('d', ['b']), graph)).toEqual([
+        'Circular dependency: D → B → C → A → D',
+      ]);
+    });
+  });
+
+  describe('validateTag', () => {
+    it('should accept a tag whose dependencies exist and are acyclic', () => {
+      expect(tagDependencyService.validateTag(tag('new', ['refi_campaign']), tags)).toEqual([]);
+    });
+
+    it('should report missing dependency IDs', () => {
+      expect(tagDependencyService.validateTag(tag('new', ['gone']), tags)).toEqual([
+        'Dependency tag "gone" does not exist',
+      ]);
+    });
+
+    it('should report a cycle an update would create, using tag names', () => {
+      const errors = tagDependencyService.validateTag(tag('has_mortgage', ['refi_campaign']), tags);
+
+      expect(errors).toEqual([
+        'Circular dependency: HAS_MORTGAGE → REFI_CAMPAIGN → REFI_CANDIDATE → HAS_MORTGAGE',
+      ]);
+    });
+
+    it('should reject a tag that depends on itself', () => {
+      expect(tagDependencyService.validateTag(tag('has_checking', ['has_checking']), tags)).toEqual([
+        'A tag cannot depend on itself',
+      ]);
+    });
+  });
+
+  describe('dependents and requirements', () => {
+    it('should find direct and indirect dependents for cascading deletes', () => {
+      expect(tagDependencyService.getDependents('has_mortgage', tags).map((t) => t.id)).toEqual([
+        'refi_campaign',
+        'refi_candidate',
+      ]);
+      expect(tagDependencyService.getDependents('has_checking', tags)).toEqual([]);
+    });
+
+    it('should find direct and indirect requirements', () => {
+      expect(tagDependencyService.getRequirements('refi_campaign', tags).map((t) => t.id)).toEqual([
+        'refi_candidate',
+        'has_mortgage',
+      ]);
+    });
+
+    it('should block deleting a tag other tags require', () => {
+      const dependencies = tagDependencyService.getDependencies('has_mortgage', tags);
+
+      expect(dependencies.hasBlockers).toBe(true);
+      expect(dependencies.requiredBy.map((t) => t.id)).toEqual(['refi_candidate']);
+      expect(dependencies.dependentCount).toBe(2);
+      expect(tagDependencyService.getDependencies('refi_campaign', tags).hasBlockers).toBe(false);
+    });
+
+    it('should detect when a new dependency would close a cycle', () => {
+      expect(tagDependencyService.wouldCreateCycle('has_mortgage', 'refi_campaign', tags)).toBe(true);
+      expect(tagDependencyService.wouldCreateCycle('refi_campaign', 'has_checking', tags)).toBe(false);
+      expect(tagDependencyService.wouldCreateCycle('a', 'a', tags)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import tagLibraryUpdateService from '../TagLibraryUpdateService';
+import tagLibraryData from '../../data/tagLibrary.json';
+import { migrateQualificationRules } from '../../utils/ruleTree';
+
+const original = tagLibraryData.tags.find((tag) => tag.id === 'opportunity_auto_loan_ready');
+
+// The library tag as a later release might ship it
+const release = (version, changeTag) => ({
+  tags: tagLibraryData.tags.map((tag) => (tag.id === original.id ? changeTag(structuredClone(tag)) : tag)),
+  metadata: { ...tagLibraryData.metadata, version },
+});
+
+// A project copy adopted from v1.0.0 with its credit score field bound to the data model
+const adopt = () => {
+  const copy = structuredClone(original);
+  copy.qualificationRules.conditions[1] = {
+    ...copy.qualificationRules.conditions[1],
+    field: 'fico_score',
+    objectId: 'obj-member',
+    fieldId: 'f-fico',
+  };
+  return tagLibraryUpdateService.stampSource(copy, original, '1.0.0');
+};
+
+describe('TagLibraryUpdateService', () => {
+  it('should report nothing while the library definition is unchanged', () => {
+    expect(tagLibraryUpdateService.findUpdates([adopt()], tagLibraryData)).toEqual([]);
+  });
+
+  it('should merge a library change with a project change to the same condition', () => {
+    const library = release('1.1.0', (tag) => {
+      tag.qualificationRules.conditions[1].value = 620;
+      return tag;
+    });
+    const projectTag = adopt();
+
+    const update = tagLibraryUpdateService.getUpdate(projectTag, library);
+    expect(update).toMatchObject({ fromVersion: '1.0.0', toVersion: '1.1.0' });
+    expect(update.changes).toEqual([
+      expect.objectContaining({
+        key: 'qualificationRules.conditions.1.value',
+        label: 'Rules › Condition 2 › value',
+        base: 600,
+        local: 600,
+        upstream: 620,
+        conflict: false,
+      }),
+    ]);
+
+    const merged = tagLibraryUpdateService.applyUpdate(
+      projectTag,
+      update,
+      tagLibraryUpdateService.getDefaultAccepted(update),
+      library
+    );
+    expect(merged.qualificationRules.conditions[1]).toMatchObject({
+      field: 'fico_score',
+      fieldId: 'f-fico',
+      value: 620,
+    });
+    expect(merged.librarySource.version).toBe('1.1.0');
+    expect(tagLibraryUpdateService.getUpdate(merged, library)).toBeNull();
+  });
+
+  it('should mark values both sides changed as conflicts and keep the project value by default', () => {
+    const library = release('1.1.0', (tag) => {
+      tag.description = 'Members with a fair credit score and no auto loan yet';
+      tag.qualificationRules.conditions[1].field = 'credit_score_band';
+      return tag;
+    });
+    const projectTag = adopt();
+
+    const update = tagLibraryUpdateService.getUpdate(projectTag, library);
+    const fieldChange = update.changes.find((change) => change.key === 'qualificationRules.conditions.1.field');
+    expect(fieldChange).toMatchObject({ local: 'fico_score', upstream: 'credit_score_band', conflict: true });
+    expect(tagLibraryUpdateService.getDefaultAccepted(update)).toEqual(['description']);
+
+    // Rejecting everything keeps the copy but records the new release as seen
+    const merged = tagLibraryUpdateService.applyUpdate(projectTag, update, [], library);
+    expect(merged.description).toBe(original.description);
+    expect(merged.qualificationRules.conditions[1].field).toBe('fico_score');
+    expect(tagLibraryUpdateService.getUpdate(merged, library)).toBeNull();
+  });
+
+  it('should treat a reshaped condition list as one change', () => {
+    const library = release('1.1.0', (tag) => {
+      tag.qualificationRules.conditions.push({
+        object: 'Member',
+        field: 'age',
+        operator: 'greater_than_or_equal',
+        value: 18,
+      });
+      return tag;
+    });
+
+    const update = tagLibraryUpdateService.getUpdate(adopt(), library);
+    expect(update.changes).toHaveLength(1);
+    expect(update.changes[0]).toMatchObject({ key: 'qualificationRules.conditions', conflict: true });
+    expect(tagLibraryUpdateService.formatValue(update.changes[0].upstream)).toContain('age');
+  });
+
+  it('should offer no updates for untracked copies once their stored rules are migrated', () => {
+    const migrated = tagLibraryData.tags.map((tag) => ({
+      ...structuredClone(tag),
+      qualificationRules: migrateQualificationRules(structuredClone(tag.qualificationRules)),
+    }));
+
+    expect(tagLibraryUpdateService.findUpdates(migrated, tagLibraryData)).toEqual([]);
+  });
+
+  it('should treat every difference as a conflict for copies adopted before tracking', () => {
+    const untracked = adopt();
+    delete untracked.librarySource;
+    const library = release('1.1.0', (tag) => {
+      tag.exclusiveWith = ['opportunity_personal_loan_qualified'];
+      return tag;
+    });
+
+    const update = tagLibraryUpdateService.getUpdate(untracked, library);
+    expect(update.fromVersion).toBeNull();
+    expect(update.changes.map((change) => [change.key, change.conflict])).toEqual([
+      ['qualificationRules.conditions.1.field', true],
+      ['exclusiveWith', true],
+    ]);
+
+    const merged = tagLibraryUpdateService.applyUpdate(untracked, update, ['exclusiveWith'], library);
+    expect(merged.exclusiveWith).toEqual(['opportunity_personal_loan_qualified']);
+    expect(merged.librarySource).toMatchObject({ version: '1.1.0', tagId: original.id });
+  });
+});
@@ -0,0 +1,249 @@
+import { describe, it, expect } from 'vitest';
+import tagRemapService from '../TagRemapService';
+
+const dataModel = {
+  objects: [
+    {
+      id: 'obj-member',
+      name: 'contact',
+      label: 'Member',
+      fields: [
+        {
+          id: 'f-product',
+          name: 'primary_product',
+          label: 'First Product Type',
+          dataType: 'enumeration',
+          options: [
+            { label: 'Auto Loan', value: 'auto_loan' },
+            { label: 'Checking', value: 'checking' },
+          ],
+        },
+        { id: 'f-age', name: 'member_age', label: 'Age', dataType: 'number' },
+        { id: 'f-age-band', name: 'age_band', label: 'Age Band', dataType: 'text' },
+        { id: 'f-engagement', name: 'engagement', label: 'Engagement Score', dataType: 'number' },
+      ],
+    },
+    {
+      id: 'obj-loan',
+      name: 'p_loans',
+      label: 'Loan',
+      fields: [{ id: 'f-balance', name: 'balance', label: 'Current Balance', dataType: 'currency' }],
+    },
+    {
+      id: 'obj-account',
+      name: 'p_accounts',
+      label: 'Account',
+      fields: [{ id: 'f-account-balance', name: 'balance', label: 'Balance', dataType: 'currency' }],
+    },
+  ],
+  associations: [],
+};
+
+const makeTag = (...conditions) => ({
+  id: 'tag-1',
+  name: 'Test_Tag',
+  qualificationRules: { ruleType: 'property', logic: 'AND', conditions },
+});
+
+describe('TagRemapService', () => {
+  describe('collectReferences', () => {
+    it('should list field, object and score references in rule order', () => {
+      const tag = makeTag(
+        { object: 'Member', field: 'age', operator: 'greater_than', value: 18 },
+        {
+          type: 'group',
+          logic: 'OR',
+          conditions: [
+            {
+              associationType: 'member_to_loan',
+              relatedObject: 'Loan',
+              conditionType: 'has_any',
+              nestedFilters: [{ object: 'Loan', field: 'current_balance', operator: 'greater_than', value: 0 }],
+            },
+            { scoreField: 'engagement_score', operator: 'greater_than', value: 50 },
+            { eventType: 'email_open', operator: 'has_occurred' },
+          ],
+        }
+      );
+
+      const references = tagRemapService.collectReferences(tag.qualificationRules);
+
+      expect(references.map((ref) => [ref.key, ref.kind])).toEqual([
+        ['0', 'field'],
+        ['1.0', 'object'],
+        ['1.0/filter:0', 'field'],
+        ['1.1', 'score'],
+      ]);
+      expect(references[2].parentKey).toBe('1.0');
+      expect(references[0].values).toEqual([18]);
+    });
+  });
+
+  describe('proposeBindings', () => {
+    it('should match fields by label when the name differs', () => {
+      const rules = makeTag({
+        object: 'Member',
+        field: 'first_product_type',
+        operator: 'equals',
+        value: 'Auto Loan',
+      }).qualificationRules;
+
+      expect(tagRemapService.proposeBindings(rules, dataModel)).toEqual({
+        0: { objectId: 'obj-member', fieldId: 'f-product' },
+      });
+    });
+
+    it('should prefer the field whose type suits the operator and values', () => {
+      const [reference] = tagRemapService.collectReferences(
+        makeTag({ object: 'Member', field: 'age', operator: 'between', value: [18, 25] })
+          .qualificationRules
+      );
+
+      const [best, second] = tagRemapService.getCandidates(reference, dataModel);
+
+      expect(best.fieldId).toBe('f-age');
+      expect(second.fieldId).not.toBe('f-age');
+      expect(best.score).toBeGreaterThan(second.score);
+    });
+
+    it('should bind nested filters within the chosen related object', () => {
+      const rules = makeTag({
+        associationType: 'member_to_loan',
+        relatedObject: 'Loans',
+        conditionType: 'has_any',
+        nestedFilters: [{ object: 'Loan', field: 'balance', operator: 'greater_than', value: 0 }],
+      }).qualificationRules;
+
+      const bindings = tagRemapService.proposeBindings(rules, dataModel);
+
+      expect(bindings['0']).toEqual({ objectId: 'obj-loan' });
+      expect(bindings['0/filter:0']).toEqual({ objectId: 'obj-loan', fieldId: 'f-balance' });
+    });
+
+    it('should bind score conditions to numeric fields', () => {
+      const rules = makeTag({
+        scoreField: 'engagement_score',
+        operator: 'greater_than',
+        value: 50,
+      }).qualificationRules;
+
+      expect(tagRemapService.proposeBindings(rules, dataModel)['0']).toEqual({
+        objectId: 'obj-member',
+        fieldId: 'f-engagement',
+      });
+    });
+
+    it('should leave references unbound when nothing is close', () => {
+      const rules = makeTag({
+        object: 'Household',
+        field: 'mailing_address',
+        operator: 'is_known',
+      }).qualificationRules;
+
+      expect(tagRemapService.proposeBindings(rules, dataModel)).toEqual({ 0: null });
+    });
+  });
+
+  describe('applyBindings', () => {
+    it('should rename bound references and store their IDs', () => {
+      const tag = makeTag(
+        { object: 'Member', field: 'first_product_type', operator: 'equals', value: 'Auto Loan' },
+        { object: 'Household', field: 'size', operator: 'is_known' }
+      );
+
+      const adopted = tagRemapService.applyBindings(tag, dataModel, {
+        0: { objectId: 'obj-member', fieldId: 'f-product' },
+        1: null,
+      });
+
+      expect(adopted.qualificationRules.conditions[0]).toMatchObject({
+        object: 'contact',
+        field: 'primary_product',
+        objectId: 'obj-member',
+        fieldId: 'f-product',
+      });
+      expect(adopted.qualificationRules.conditions[1]).toEqual(tag.qualificationRules.conditions[1]);
+      expect(tag.qualificationRules.conditions[0].object).toBe('Member');
+    });
+  });
+
+  describe('syncBoundTags', () => {
+    const boundTag = () =>
+      tagRemapService.applyBindings(
+        makeTag(
+          { object: 'Member', field: 'age', operator: 'greater_than', value: 18 },
+          {
+            type: 'group',
+            logic: 'OR',
+            conditions: [{ scoreField: 'engagement_score', operator: 'greater_than', value: 50 }],
+          }
+        ),
+        dataModel,
+        {
+          0: { objectId: 'obj-member', fieldId: 'f-age' },
+          '1.0': { objectId: 'obj-member', fieldId: 'f-engagement' },
+        }
+      );
+
+    it('should return null when bound names are current', () => {
+      expect(tagRemapService.syncBoundTags({ library: [boundTag()], custom: [] }, dataModel)).toBeNull();
+    });
+
+    it('should follow object and field renames', () => {
+      const renamed = {
+        ...dataModel,
+        objects: dataModel.objects.map((object) =>
+          object.id === 'obj-member'
+            ? {
+                ...object,
+                name: 'members',
+                fields: object.fields.map((field) => {
+                  if (field.id === 'f-age') return { ...field, name: 'age_years' };
+                  if (field.id === 'f-engagement') return { ...field, name: 'engagement_index' };
+                  return field;
+                }),
+              }
+            : object
+        ),
+      };
+
+      const synced = tagRemapService.syncBoundTags({ library: [boundTag()], custom: [] }, renamed);
+      const [property, group] = synced.library[0].qualificationRules.conditions;
+
+      expect(property).toMatchObject({ object: 'members', field: 'age_years' });
+      expect(group.conditions[0].scoreField).toBe('engagement_index');
+    });
+
+    it('should keep the last name when the bound field was deleted', () => {
+      const withoutAge = {
+        ...dataModel,
+        objects: dataModel.objects.map((object) =>
+          object.id === 'obj-member'
+            ? { ...object, fields: object.fields.filter((field) => field.id !== 'f-age') }
+            : object
+        ),
+      };
+
+      expect(tagRemapService.syncBoundTags({ library: [boundTag()], custom: [] }, withoutAge)).toBeNull();
+    });
+
+    it('should treat an object stored without fields like one with no fields', () => {
+      const fieldless = {
+        ...dataModel,
+        objects: dataModel.objects.map((object) => {
+          if (object.id !== 'obj-member') return object;
+          const { fields: _fields, ...rest } = object;
+          return rest;
+        }),
+      };
+
+      const tag = makeTag({ object: 'Member', field: 'age', operator: 'is_known' });
+      const adopted = tagRemapService.applyBindings(tag, fieldless, {
+        0: { objectId: 'obj-member', fieldId: 'f-age' },
+      });
+
+      expect(adopted.qualificationRules.conditions).toEqual(tag.qualificationRules.conditions);
+      expect(tagRemapService.syncBoundTags({ library: [boundTag()], custom: [] }, fieldless)).toBeNull();
+    });
+  });
+});
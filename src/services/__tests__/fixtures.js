@@ -63,6 +63,18 @@ export const validAssociation = {
   createdAt: new Date('2025-01-01'),
 };
 
+export const validFieldMapping = {
+  id: validUUID,
+  exportFileName: 'members_daily.csv',
+  format: 'csv',
+  targetObjectId: validUUID,
+  description: 'Nightly member extract',
+  mappings: [
+    { id: 'col-1', sourceColumn: 'MBR_ID', targetFieldId: validUUID2 },
+    { id: 'col-2', sourceColumn: 'MBR_STATUS' },
+  ],
+};
+
 export const validProject = {
   id: validUUID,
   name: 'Test Project',
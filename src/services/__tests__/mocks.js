@@ -243,6 +243,98 @@ export class MockStorageAdapter {
     return { data: duplicate, error: null };
   }
 
+  async addAssociation(projectId, associationData) {
+    if (this.shouldFail) {
+      return { data: null, error: new Error(this.errorMessage) };
+    }
+    const project = this.projects.find((p) => p.id === projectId);
+    if (!project) {
+      return { data: null, error: new Error(`Project not found: ${projectId}`) };
+    }
+    project.dataModel.associations = [...(project.dataModel.associations || []), associationData];
+    return { data: associationData, error: null };
+  }
+
+  async updateAssociation(projectId, associationId, updates) {
+    if (this.shouldFail) {
+      return { data: null, error: new Error(this.errorMessage) };
+    }
+    const project = this.projects.find((p) => p.id === projectId);
+    if (!project) {
+      return { data: null, error: new Error(`Project not found: ${projectId}`) };
+    }
+    const associations = project.dataModel.associations || [];
+    const index = associations.findIndex((a) => a.id === associationId);
+    if (index === -1) {
+      return { data: null, error: new Error(`Association not found: ${associationId}`) };
+    }
+    associations[index] = { ...associations[index], ...updates };
+    return { data: associations[index], error: null };
+  }
+
+  async deleteAssociation(projectId, associationId) {
+    if (this.shouldFail) {
+      return { data: null, error: new Error(this.errorMessage) };
+    }
+    const project = this.projects.find((p) => p.id === projectId);
+    if (!project) {
+      return { data: null, error: new Error(`Project not found: ${projectId}`) };
+    }
+    const associations = project.dataModel.associations || [];
+    const index = associations.findIndex((a) => a.id === associationId);
+    if (index === -1) {
+      return { data: null, error: new Error(`Association not found: ${associationId}`) };
+    }
+    const deleted = associations.splice(index, 1)[0];
+    return { data: deleted, error: null };
+  }
+
+  async addFieldMapping(projectId, mappingData) {
+    if (this.shouldFail) {
+      return { data: null, error: new Error(this.errorMessage) };
+    }
+    const project = this.projects.find((p) => p.id === projectId);
+    if (!project) {
+      return { data: null, error: new Error(`Project not found: ${projectId}`) };
+    }
+    project.dataModel.mappings = [...(project.dataModel.mappings || []), mappingData];
+    return { data: mappingData, error: null };
+  }
+
+  async updateFieldMapping(projectId, mappingId, updates) {
+    if (this.shouldFail) {
+      return { data: null, error: new Error(this.errorMessage) };
+    }
+    const project = this.projects.find((p) => p.id === projectId);
+    if (!project) {
+      return { data: null, error: new Error(`Project not found: ${projectId}`) };
+    }
+    const mappings = project.dataModel.mappings || [];
+    const index = mappings.findIndex((m) => m.id === mappingId);
+    if (index === -1) {
+      return { data: null, error: new Error(`Field mapping not found: ${mappingId}`) };
+    }
+    mappings[index] = { ...mappings[index], ...updates };
+    return { data: mappings[index], error: null };
+  }
+
+  async deleteFieldMapping(projectId, mappingId) {
+    if (this.shouldFail) {
+      return { data: null, error: new Error(this.errorMessage) };
+    }
+    const project = this.projects.find((p) => p.id === projectId);
+    if (!project) {
+      return { data: null, error: new Error(`Project not found: ${projectId}`) };
+    }
+    const mappings = project.dataModel.mappings || [];
+    const index = mappings.findIndex((m) => m.id === mappingId);
+    if (index === -1) {
+      return { data: null, error: new Error(`Field mapping not found: ${mappingId}`) };
+    }
+    const deleted = mappings.splice(index, 1)[0];
+    return { data: deleted, error: null };
+  }
+
   // Test helpers
   simulateError(message = 'Mock adapter error') {
     this.shouldFail = true;
@@ -14,6 +14,8 @@
  * @property {Object} dataModel - Data model with objects and fields
  * @property {Array} tags - Project tags
  * @property {Array} journeys - Journey definitions
+ * @property {Array} scenarios - Journey Simulator member scenarios
+ * @property {Array} customEvents - Custom behavioral event registry
  * @property {string} status - Project status (draft, active, archived)
  * @property {string} createdAt - ISO 8601 timestamp
  * @property {string} updatedAt - ISO 8601 timestamp
@@ -145,6 +147,68 @@ class IStorageAdapter {
   async duplicateCustomObject(projectId, objectId) {
     throw new Error('duplicateCustomObject() must be implemented by adapter');
   }
+
+  /**
+   * Add an association between two objects in a project's data model
+   * @param {string} projectId - Project UUID
+   * @param {Object} associationData - Association data
+   * @returns {Promise<StorageResult>}
+   */
+  async addAssociation(projectId, associationData) {
+    throw new Error('addAssociation() must be implemented by adapter');
+  }
+
+  /**
+   * Update an association
+   * @param {string} projectId - Project UUID
+   * @param {string} associationId - Association UUID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<StorageResult>}
+   */
+  async updateAssociation(projectId, associationId, updates) {
+    throw new Error('updateAssociation() must be implemented by adapter');
+  }
+
+  /**
+   * Delete an association
+   * @param {string} projectId - Project UUID
+   * @param {string} associationId - Association UUID
+   * @returns {Promise<StorageResult>}
+   */
+  async deleteAssociation(projectId, associationId) {
+    throw new Error('deleteAssociation() must be implemented by adapter');
+  }
+
+  /**
+   * Add a core export file mapping to a project's data model
+   * @param {string} projectId - Project UUID
+   * @param {Object} mappingData - Field mapping data
+   * @returns {Promise<StorageResult>}
+   */
+  async addFieldMapping(projectId, mappingData) {
+    throw new Error('addFieldMapping() must be implemented by adapter');
+  }
+
+  /**
+   * Update a field mapping
+   * @param {string} projectId - Project UUID
+   * @param {string} mappingId - Field mapping ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<StorageResult>}
+   */
+  async updateFieldMapping(projectId, mappingId, updates) {
+    throw new Error('updateFieldMapping() must be implemented by adapter');
+  }
+
+  /**
+   * Delete a field mapping
+   * @param {string} projectId - Project UUID
+   * @param {string} mappingId - Field mapping ID
+   * @returns {Promise<StorageResult>}
+   */
+  async deleteFieldMapping(projectId, mappingId) {
+    throw new Error('deleteFieldMapping() must be implemented by adapter');
+  }
 }
 
 export default IStorageAdapter;
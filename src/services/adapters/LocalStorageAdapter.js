@@ -98,6 +98,8 @@ class LocalStorageAdapter extends IStorageAdapter {
         dataModel: projectData.dataModel || { objects: [], associations: [] },
         tags: projectData.tags || [],
         journeys: projectData.journeys || [],
+        scenarios: projectData.scenarios || [],
+        customEvents: projectData.customEvents || [],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
@@ -269,7 +271,7 @@ class LocalStorageAdapter extends IStorageAdapter {
       dataModel.objects.splice(objectIndex, 1);
 
       // Remove associations involving this object
-      dataModel.associations = dataModel.associations.filter(
+      dataModel.associations = (dataModel.associations || []).filter(
         (assoc) => assoc.fromObjectId !== objectId && assoc.toObjectId !== objectId
       );
 
@@ -452,6 +454,205 @@ class LocalStorageAdapter extends IStorageAdapter {
       return { data: null, error };
     }
   }
+
+  /**
+   * Add an association to a project's data model
+   */
+  async addAssociation(projectId, associationData) {
+    try {
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const newAssociation = {
+        id: associationData.id || generateId(),
+        ...associationData,
+        createdAt: new Date().toISOString(),
+      };
+
+      const dataModel = project.dataModel || { objects: [], associations: [] };
+      dataModel.associations = [...(dataModel.associations || []), newAssociation];
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: newAssociation, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Update an association
+   */
+  async updateAssociation(projectId, associationId, updates) {
+    try {
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], associations: [] };
+      const associations = dataModel.associations || [];
+      const associationIndex = associations.findIndex((a) => a.id === associationId);
+
+      if (associationIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Association not found: ${associationId}`),
+        };
+      }
+
+      associations[associationIndex] = {
+        ...associations[associationIndex],
+        ...updates,
+        id: associationId, // Prevent ID from being changed
+      };
+      dataModel.associations = associations;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: associations[associationIndex], error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Delete an association
+   */
+  async deleteAssociation(projectId, associationId) {
+    try {
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], associations: [] };
+      const associations = dataModel.associations || [];
+      const associationIndex = associations.findIndex((a) => a.id === associationId);
+
+      if (associationIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Association not found: ${associationId}`),
+        };
+      }
+
+      const [deletedAssociation] = associations.splice(associationIndex, 1);
+      dataModel.associations = associations;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: deletedAssociation, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Add a core export file mapping
+   */
+  async addFieldMapping(projectId, mappingData) {
+    try {
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const now = new Date().toISOString();
+      const newMapping = {
+        id: mappingData.id || generateId(),
+        ...mappingData,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      const dataModel = project.dataModel || { objects: [], mappings: [] };
+      dataModel.mappings = [...(dataModel.mappings || []), newMapping];
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: newMapping, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Update a field mapping
+   */
+  async updateFieldMapping(projectId, mappingId, updates) {
+    try {
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], mappings: [] };
+      const mappings = dataModel.mappings || [];
+      const mappingIndex = mappings.findIndex((m) => m.id === mappingId);
+
+      if (mappingIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Field mapping not found: ${mappingId}`),
+        };
+      }
+
+      mappings[mappingIndex] = {
+        ...mappings[mappingIndex],
+        ...updates,
+        id: mappingId, // Prevent ID from being changed
+        updatedAt: new Date().toISOString(),
+      };
+      dataModel.mappings = mappings;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: mappings[mappingIndex], error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Delete a field mapping
+   */
+  async deleteFieldMapping(projectId, mappingId) {
+    try {
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], mappings: [] };
+      const mappings = dataModel.mappings || [];
+      const mappingIndex = mappings.findIndex((m) => m.id === mappingId);
+
+      if (mappingIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Field mapping not found: ${mappingId}`),
+        };
+      }
+
+      const [deletedMapping] = mappings.splice(mappingIndex, 1);
+      dataModel.mappings = mappings;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: deletedMapping, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
 }
 
 export default LocalStorageAdapter;
@@ -1,32 +1,16 @@
 import IStorageAdapter from './IStorageAdapter';
 import { generateId } from '../../utils/idGenerator';
 import { supabase } from '../../lib/supabase';
-import { customObjectSchema, fieldSchema as customFieldSchema } from '../../schemas/objectSchema';
 import {
-  tagCategorySchema,
-  tagBehaviorSchema,
-  qualificationRulesSchema,
-} from '../../schemas/tagSchema';
+  customObjectSchema,
+  fieldSchema as customFieldSchema,
+  storageAssociationSchema,
+} from '../../schemas/objectSchema';
+import { storageTagSchema } from '../../schemas/tagSchema';
+import { migrateTagRules } from '../../utils/ruleTree';
+import { fieldMappingSchema } from '../../schemas/fieldMappingSchema';
 import { z } from 'zod';
 
-// Storage-compatible tag schema (dates as ISO strings)
-// Based on tagSchema but adapted for JSONB storage
-const storageTagSchema = z.object({
-  id: z.string().min(1, 'Tag ID is required'),
-  name: z.string().min(2).max(100),
-  category: tagCategorySchema,
-  description: z.string().min(10).max(500),
-  icon: z.string().min(1),
-  color: z.string().regex(/^#[0-9A-Fa-f]{6}$/),
-  behavior: tagBehaviorSchema,
-  isPermanent: z.boolean(),
-  qualificationRules: qualificationRulesSchema,
-  dependencies: z.array(z.string()).optional().default([]),
-  isCustom: z.boolean().default(false),
-  createdAt: z.union([z.date(), z.string().datetime()]).optional(), // Accept Date or ISO 8601 string
-  updatedAt: z.union([z.date(), z.string().datetime()]).optional(), // Accept Date or ISO 8601 string
-});
-
 // Project schema for validation
 // Must match TypeScript Project interface (src/types/project.ts)
 const projectSchema = z.object({
@@ -45,6 +29,8 @@ const projectSchema = z.object({
     custom: z.array(storageTagSchema),        // Validate using storage-compatible tag schema
   }).optional(),
   journeys: z.array(z.any()).optional(),
+  scenarios: z.array(z.any()).optional(),
+  customEvents: z.array(z.any()).optional(),
   createdAt: z.string().optional(),
   savedAt: z.string().optional(),
 });
@@ -61,7 +47,7 @@ const projectSchema = z.object({
  * - owner_id: UUID (foreign key to auth.users)
  * - name: TEXT
  * - status: TEXT
- * - data: JSONB (contains clientProfile, dataModel, tags, journeys)
+ * - data: JSONB (contains clientProfile, dataModel, tags, journeys, scenarios, customEvents)
  * - created_at: TIMESTAMPTZ
  * - updated_at: TIMESTAMPTZ
  *
@@ -141,6 +127,8 @@ class SupabaseAdapter extends IStorageAdapter {
    * Validate tag array and filter out invalid tags with warnings
    * Provides defensive validation when loading tags from database
    * Issue #29: Now collects corrupt tags and emits event for user notification
+   * Rules are migrated first, so legacy shapes the migration handles
+   * (lowercase logic, flat conditions) are not reported as corrupt
    * @private
    * @param {Array} tags - Tags to validate
    * @param {string} arrayName - 'library' or 'custom' for error context
@@ -154,13 +142,14 @@ class SupabaseAdapter extends IStorageAdapter {
     const validTags = [];
     const corruptTags = [];
 
-    tags.forEach((tag, index) => {
+    tags.forEach((storedTag, index) => {
+      const tag = migrateTagRules(storedTag);
       const validation = storageTagSchema.safeParse(tag);
 
       if (!validation.success) {
         // Collect corrupt tag for event emission (Issue #29)
         corruptTags.push({
-          tag,
+          tag: storedTag,
           errors: validation.error.format(),
         });
 
@@ -347,6 +336,8 @@ class SupabaseAdapter extends IStorageAdapter {
           custom: this._validateTagArray(row.data?.tags?.custom || [], 'custom'),
         },
         journeys: row.data?.journeys || [],
+        scenarios: row.data?.scenarios || [],
+        customEvents: row.data?.customEvents || [],
         createdAt: row.created_at,
         updatedAt: row.updated_at,
       }));
@@ -387,6 +378,8 @@ class SupabaseAdapter extends IStorageAdapter {
           custom: this._validateTagArray(data.data?.tags?.custom || [], 'custom'),
         },
         journeys: data.data?.journeys || [],
+        scenarios: data.data?.scenarios || [],
+        customEvents: data.data?.customEvents || [],
         createdAt: data.created_at,
         updatedAt: data.updated_at,
       };
@@ -428,6 +421,8 @@ class SupabaseAdapter extends IStorageAdapter {
           dataModel: projectData.dataModel || { objects: [], fields: [], mappings: [], associations: [] },
           tags: projectData.tags || { library: [], custom: [] },
           journeys: projectData.journeys || [],
+          scenarios: projectData.scenarios || [],
+          customEvents: projectData.customEvents || [],
         },
       };
 
@@ -450,6 +445,8 @@ class SupabaseAdapter extends IStorageAdapter {
         dataModel: data.data?.dataModel || { objects: [], fields: [], mappings: [], associations: [] },
         tags: data.data?.tags || { library: [], custom: [] },
         journeys: data.data?.journeys || [],
+        scenarios: data.data?.scenarios || [],
+        customEvents: data.data?.customEvents || [],
         createdAt: data.created_at,
         updatedAt: data.updated_at,
       };
@@ -496,6 +493,8 @@ class SupabaseAdapter extends IStorageAdapter {
         dataModel: updates.dataModel || existing.dataModel,
         tags: updates.tags || existing.tags,
         journeys: updates.journeys || existing.journeys,
+        scenarios: updates.scenarios || existing.scenarios,
+        customEvents: updates.customEvents || existing.customEvents,
       };
 
       const { data, error } = await this.supabase
@@ -522,6 +521,8 @@ class SupabaseAdapter extends IStorageAdapter {
         dataModel: data.data?.dataModel || { objects: [], fields: [], mappings: [], associations: [] },
         tags: data.data?.tags || { library: [], custom: [] },
         journeys: data.data?.journeys || [],
+        scenarios: data.data?.scenarios || [],
+        customEvents: data.data?.customEvents || [],
         createdAt: data.created_at,
         updatedAt: data.updated_at,
       };
@@ -701,7 +702,7 @@ class SupabaseAdapter extends IStorageAdapter {
       dataModel.objects.splice(objectIndex, 1);
 
       // Remove associations
-      dataModel.associations = dataModel.associations.filter(
+      dataModel.associations = (dataModel.associations || []).filter(
         (assoc) => assoc.fromObjectId !== objectId && assoc.toObjectId !== objectId
       );
 
@@ -939,6 +940,307 @@ class SupabaseAdapter extends IStorageAdapter {
       return { data: null, error };
     }
   }
+
+  /**
+   * Add an association to a project's data model
+   */
+  async addAssociation(projectId, associationData) {
+    try {
+      // Server-side validation
+      const validation = storageAssociationSchema.safeParse(associationData);
+      if (!validation.success) {
+        return {
+          data: null,
+          error: new Error(`Validation failed: ${validation.error.message}`),
+        };
+      }
+
+      // Authorization check
+      const { userId, error: authError } = await this._getCurrentUserId();
+      if (authError) return { data: null, error: authError };
+
+      const hasPermission = await this._checkProjectPermission(userId, projectId, 'editor');
+      if (!hasPermission) {
+        return {
+          data: null,
+          error: new Error('Unauthorized: You do not have permission to modify this project'),
+        };
+      }
+
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], fields: [], mappings: [], associations: [] };
+
+      const newAssociation = {
+        id: associationData.id || generateId(),
+        ...associationData,
+        createdAt: new Date().toISOString(),
+      };
+
+      dataModel.associations = [...(dataModel.associations || []), newAssociation];
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: newAssociation, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Update an association
+   */
+  async updateAssociation(projectId, associationId, updates) {
+    try {
+      // Authorization check
+      const { userId, error: authError } = await this._getCurrentUserId();
+      if (authError) return { data: null, error: authError };
+
+      const hasPermission = await this._checkProjectPermission(userId, projectId, 'editor');
+      if (!hasPermission) {
+        return {
+          data: null,
+          error: new Error('Unauthorized: You do not have permission to modify this project'),
+        };
+      }
+
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], fields: [], mappings: [], associations: [] };
+      const associations = dataModel.associations || [];
+      const associationIndex = associations.findIndex((a) => a.id === associationId);
+
+      if (associationIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Association not found: ${associationId}`),
+        };
+      }
+
+      associations[associationIndex] = {
+        ...associations[associationIndex],
+        ...updates,
+        id: associationId,
+      };
+      dataModel.associations = associations;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: associations[associationIndex], error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Delete an association
+   */
+  async deleteAssociation(projectId, associationId) {
+    try {
+      // Authorization check
+      const { userId, error: authError } = await this._getCurrentUserId();
+      if (authError) return { data: null, error: authError };
+
+      const hasPermission = await this._checkProjectPermission(userId, projectId, 'editor');
+      if (!hasPermission) {
+        return {
+          data: null,
+          error: new Error('Unauthorized: You do not have permission to modify this project'),
+        };
+      }
+
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], fields: [], mappings: [], associations: [] };
+      const associations = dataModel.associations || [];
+      const associationIndex = associations.findIndex((a) => a.id === associationId);
+
+      if (associationIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Association not found: ${associationId}`),
+        };
+      }
+
+      const [deletedAssociation] = associations.splice(associationIndex, 1);
+      dataModel.associations = associations;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: deletedAssociation, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Add a core export file mapping
+   */
+  async addFieldMapping(projectId, mappingData) {
+    try {
+      // Server-side validation
+      const validation = fieldMappingSchema.safeParse(mappingData);
+      if (!validation.success) {
+        return {
+          data: null,
+          error: new Error(`Validation failed: ${validation.error.message}`),
+        };
+      }
+
+      // Authorization check
+      const { userId, error: authError } = await this._getCurrentUserId();
+      if (authError) return { data: null, error: authError };
+
+      const hasPermission = await this._checkProjectPermission(userId, projectId, 'editor');
+      if (!hasPermission) {
+        return {
+          data: null,
+          error: new Error('Unauthorized: You do not have permission to modify this project'),
+        };
+      }
+
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], fields: [], mappings: [], associations: [] };
+
+      const now = new Date().toISOString();
+      const newMapping = {
+        id: mappingData.id || generateId(),
+        ...validation.data,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      dataModel.mappings = [...(dataModel.mappings || []), newMapping];
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: newMapping, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Update a field mapping
+   */
+  async updateFieldMapping(projectId, mappingId, updates) {
+    try {
+      // Authorization check
+      const { userId, error: authError } = await this._getCurrentUserId();
+      if (authError) return { data: null, error: authError };
+
+      const hasPermission = await this._checkProjectPermission(userId, projectId, 'editor');
+      if (!hasPermission) {
+        return {
+          data: null,
+          error: new Error('Unauthorized: You do not have permission to modify this project'),
+        };
+      }
+
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], fields: [], mappings: [], associations: [] };
+      const mappings = dataModel.mappings || [];
+      const mappingIndex = mappings.findIndex((m) => m.id === mappingId);
+
+      if (mappingIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Field mapping not found: ${mappingId}`),
+        };
+      }
+
+      const validation = fieldMappingSchema.safeParse({
+        ...mappings[mappingIndex],
+        ...updates,
+        id: mappingId,
+      });
+      if (!validation.success) {
+        return {
+          data: null,
+          error: new Error(`Validation failed: ${validation.error.message}`),
+        };
+      }
+
+      mappings[mappingIndex] = {
+        ...validation.data,
+        updatedAt: new Date().toISOString(),
+      };
+      dataModel.mappings = mappings;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: mappings[mappingIndex], error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Delete a field mapping
+   */
+  async deleteFieldMapping(projectId, mappingId) {
+    try {
+      // Authorization check
+      const { userId, error: authError } = await this._getCurrentUserId();
+      if (authError) return { data: null, error: authError };
+
+      const hasPermission = await this._checkProjectPermission(userId, projectId, 'editor');
+      if (!hasPermission) {
+        return {
+          data: null,
+          error: new Error('Unauthorized: You do not have permission to modify this project'),
+        };
+      }
+
+      const { data: project, error } = await this.getProject(projectId);
+      if (error) return { data: null, error };
+
+      const dataModel = project.dataModel || { objects: [], fields: [], mappings: [], associations: [] };
+      const mappings = dataModel.mappings || [];
+      const mappingIndex = mappings.findIndex((m) => m.id === mappingId);
+
+      if (mappingIndex === -1) {
+        return {
+          data: null,
+          error: new Error(`Field mapping not found: ${mappingId}`),
+        };
+      }
+
+      const [deletedMapping] = mappings.splice(mappingIndex, 1);
+      dataModel.mappings = mappings;
+
+      const updateResult = await this.updateProject(projectId, { dataModel });
+      if (updateResult.error) {
+        return updateResult;
+      }
+
+      return { data: deletedMapping, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
 }
 
 export default SupabaseAdapter;
@@ -1,7 +1,15 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import LocalStorageAdapter from '../LocalStorageAdapter';
 import { setupLocalStorageMock } from '../../__tests__/mocks';
-import { validProject, validCustomObject, validField, validUUID, validUUID2 } from '../../__tests__/fixtures';
+import {
+  validProject,
+  validCustomObject,
+  validField,
+  validAssociation,
+  validFieldMapping,
+  validUUID,
+  validUUID2,
+} from '../../__tests__/fixtures';
 
 describe('LocalStorageAdapter', () => {
   let adapter;
@@ -108,6 +116,7 @@ describe('LocalStorageAdapter', () => {
         expect(data.dataModel).toEqual({ objects: [], associations: [] });
         expect(data.tags).toEqual([]);
         expect(data.journeys).toEqual([]);
+        expect(data.scenarios).toEqual([]);
       });
 
       it('should handle localStorage quota exceeded error', async () => {
@@ -441,4 +450,91 @@ describe('LocalStorageAdapter', () => {
       });
     });
   });
+
+  describe('Association Operations', () => {
+    beforeEach(async () => {
+      await adapter.createProject(validProject);
+      await adapter.addAssociation(validUUID, validAssociation);
+    });
+
+    it('should store associations on the data model', async () => {
+      const { data: project } = await adapter.getProject(validUUID);
+
+      expect(project.dataModel.associations).toHaveLength(1);
+      expect(project.dataModel.associations[0]).toMatchObject({
+        id: validAssociation.id,
+        label: validAssociation.label,
+      });
+    });
+
+    it('should update an association without changing its ID', async () => {
+      const { data, error } = await adapter.updateAssociation(validUUID, validAssociation.id, {
+        id: validUUID2,
+        label: 'Primary Member',
+      });
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({ id: validAssociation.id, label: 'Primary Member' });
+    });
+
+    it('should delete an association', async () => {
+      const { data, error } = await adapter.deleteAssociation(validUUID, validAssociation.id);
+
+      expect(error).toBeNull();
+      expect(data.id).toBe(validAssociation.id);
+
+      const { data: project } = await adapter.getProject(validUUID);
+      expect(project.dataModel.associations).toHaveLength(0);
+    });
+
+    it('should return error when association not found', async () => {
+      const { data, error } = await adapter.deleteAssociation(validUUID, 'non-existent');
+
+      expect(data).toBeNull();
+      expect(error.message).toContain('Association not found');
+    });
+  });
+
+  describe('Field Mapping Operations', () => {
+    beforeEach(async () => {
+      await adapter.createProject(validProject);
+      await adapter.addFieldMapping(validUUID, validFieldMapping);
+    });
+
+    it('should store mappings on the data model with timestamps', async () => {
+      const { data: project } = await adapter.getProject(validUUID);
+
+      expect(project.dataModel.mappings).toHaveLength(1);
+      expect(project.dataModel.mappings[0]).toMatchObject({
+        id: validFieldMapping.id,
+        exportFileName: 'members_daily.csv',
+      });
+      expect(typeof project.dataModel.mappings[0].createdAt).toBe('string');
+    });
+
+    it('should update a mapping without changing its ID', async () => {
+      const { data, error } = await adapter.updateFieldMapping(validUUID, validFieldMapping.id, {
+        id: validUUID2,
+        exportFileName: 'members_weekly.csv',
+      });
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({ id: validFieldMapping.id, exportFileName: 'members_weekly.csv' });
+    });
+
+    it('should delete a mapping', async () => {
+      const { error } = await adapter.deleteFieldMapping(validUUID, validFieldMapping.id);
+      expect(error).toBeNull();
+
+      const { data: project } = await adapter.getProject(validUUID);
+      expect(project.dataModel.mappings).toHaveLength(0);
+    });
+
+    it('should return error when mapping not found', async () => {
+      const { data, error } = await adapter.updateFieldMapping(validUUID, 'non-existent', {});
+
+      expect(data).toBeNull();
+      expect(error.message).toContain('Field mapping not found');
+    });
+  });
 });
@@ -263,6 +263,28 @@ describe('SupabaseAdapter - Tag Validation (_validateTagArray)', () => {
       expect(result[0].qualificationRules.conditions).toHaveLength(2);
     });
 
+    it('should migrate legacy rules before validating them', () => {
+      const legacyTag = {
+        ...validTag,
+        id: 'legacy-tag',
+        qualificationRules: {
+          ruleType: 'score',
+          logic: 'or',
+          conditions: [
+            { scoreField: 'credit_score', operator: 'greater_than_or_equal', threshold: 700 },
+            { type: 'group', logic: 'and', conditions: [validTag.qualificationRules.conditions[0]] },
+          ],
+        },
+      };
+
+      const result = adapter._validateTagArray([legacyTag], 'library');
+
+      expect(result).toHaveLength(1);
+      expect(result[0].qualificationRules).toMatchObject({ ruleType: 'mixed', logic: 'OR' });
+      expect(result[0].qualificationRules.conditions[1].logic).toBe('AND');
+      expect(mockErrorTracker.captureException).not.toHaveBeenCalled();
+    });
+
     it('should handle multiple tag arrays independently', () => {
       const libraryTags = [validTag, validTagActivity];
       const customTags = [validTagAssociation, validTagWithComplexRules];
@@ -0,0 +1,24 @@
+/**
+ * Type definitions for the project's custom behavioral event registry
+ *
+ * Inferred from the Zod schemas so stored events and the editor agree.
+ */
+
+import { z } from 'zod';
+import {
+  customEventSchema,
+  customEventPropertySchema,
+  CUSTOM_EVENT_PROPERTY_TYPES,
+} from '../schemas/customEventSchema';
+
+// Named for HubSpot's event definitions; CustomEvent is the DOM event class
+export type CustomEventDefinition = z.infer<typeof customEventSchema>;
+export type CustomEventProperty = z.infer<typeof customEventPropertySchema>;
+export type CustomEventPropertyType = (typeof CUSTOM_EVENT_PROPERTY_TYPES)[number];
+
+// A tag whose activity rules refer to a registry event
+export interface CustomEventUsage {
+  tagId: string;
+  tagName: string;
+  conditionCount: number;
+}
@@ -11,6 +11,7 @@
  * @property {string} description - Object description
  * @property {string} apiName - HubSpot API name (auto-generated, editable)
  * @property {string} icon - Icon name from lucide-react
+ * @property {'custom'|'contacts'|'companies'|'deals'} [hubspotObject] - HubSpot object the fields land on (default custom)
  * @property {Field[]} fields - Array of fields in this object
  * @property {Association[]} associations - Array of associations to other objects
  * @property {Date} createdAt - Creation timestamp
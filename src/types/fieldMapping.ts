@@ -0,0 +1,50 @@
+/**
+ * Type definitions for core export file field mappings
+ *
+ * Inferred from the Zod schemas so stored mappings and the editor agree.
+ */
+
+import { z } from 'zod';
+import {
+  fieldMappingSchema,
+  fieldMappingColumnSchema,
+  fieldTransformSchema,
+  FIELD_TRANSFORM_TYPES,
+  SAMPLE_DATA_TYPES,
+  PII_TYPES,
+} from '../schemas/fieldMappingSchema';
+
+export type FieldMappingSet = z.infer<typeof fieldMappingSchema>;
+export type FieldMappingColumn = z.infer<typeof fieldMappingColumnSchema>;
+export type FieldTransform = z.infer<typeof fieldTransformSchema>;
+export type FieldTransformType = (typeof FIELD_TRANSFORM_TYPES)[number];
+export type SampleDataType = (typeof SAMPLE_DATA_TYPES)[number];
+export type PiiType = (typeof PII_TYPES)[number];
+
+// Something to fix or check before the file is loaded
+export interface FieldMappingIssue {
+  severity: 'error' | 'warning';
+  /** Column the issue is about; absent for file-level issues */
+  columnId?: string;
+  message: string;
+}
+
+// A sample file column with what was inferred from its values. Samples stay
+// in memory for the preview and are dropped with the rest of the file.
+export interface InferredColumn {
+  name: string;
+  dataType: SampleDataType;
+  /** Source layout when the column holds dates */
+  dateFormat?: string;
+  piiType?: PiiType;
+  /** A few distinct values for the preview */
+  samples: string[];
+  /** Rows with a value in this column */
+  filledCount: number;
+}
+
+export interface ParsedSampleFile {
+  columns: string[];
+  rows: string[][];
+  error: string | null;
+}
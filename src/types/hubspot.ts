@@ -0,0 +1,182 @@
+/**
+ * Type definitions for HubSpot exports
+ *
+ * Shapes follow the HubSpot CRM v3 custom object schema and lists APIs:
+ * https://developers.hubspot.com/docs/api/crm/crm-custom-objects
+ * https://developers.hubspot.com/docs/api/crm/lists
+ */
+
+import type { HubSpotStandardObjectType } from '../data/hubspotStandardObjects';
+
+export type HubSpotPropertyType = 'string' | 'number' | 'date' | 'datetime' | 'enumeration' | 'bool';
+
+export type HubSpotFieldType =
+  | 'text'
+  | 'textarea'
+  | 'number'
+  | 'date'
+  | 'booleancheckbox'
+  | 'select'
+  | 'phonenumber';
+
+export interface HubSpotPropertyOption {
+  label: string;
+  value: string;
+  displayOrder: number;
+  hidden: boolean;
+}
+
+// Property definition inside a schema payload
+export interface HubSpotPropertyDefinition {
+  name: string;
+  label: string;
+  type: HubSpotPropertyType;
+  fieldType: HubSpotFieldType;
+  description?: string;
+  options?: HubSpotPropertyOption[];
+  hasUniqueValue?: boolean;
+  showCurrencySymbol?: boolean;
+}
+
+// Body for POST /crm/v3/schemas
+export interface HubSpotObjectSchema {
+  name: string;
+  description?: string;
+  labels: { singular: string; plural: string };
+  primaryDisplayProperty: string;
+  secondaryDisplayProperties: string[];
+  requiredProperties: string[];
+  searchableProperties: string[];
+  properties: HubSpotPropertyDefinition[];
+  associatedObjects: string[];
+}
+
+// Association between two custom objects, created after both schemas exist
+// via POST /crm/v3/schemas/{fromObjectTypeId}/associations
+export interface HubSpotAssociationDefinition {
+  name: string;
+  fromObject: string;
+  toObject: string;
+  label: string;
+}
+
+export interface HubSpotSchemaWarning {
+  objectName: string;
+  field?: string;
+  message: string;
+}
+
+export interface HubSpotSchemaExport {
+  schemas: HubSpotObjectSchema[];
+  associations: HubSpotAssociationDefinition[];
+  warnings: HubSpotSchemaWarning[];
+}
+
+// One property to create on a standard object through HubSpot's property
+// import (Settings → Properties → Import)
+export interface HubSpotPropertyImportRow {
+  objectType: HubSpotStandardObjectType;
+  groupName: string;
+  groupLabel: string;
+  name: string;
+  label: string;
+  type: HubSpotPropertyType;
+  fieldType: HubSpotFieldType;
+  description: string;
+  options: HubSpotPropertyOption[];
+  sourceObject: string;
+  sourceField: string;
+}
+
+export interface HubSpotPropertyImport {
+  rows: HubSpotPropertyImportRow[];
+  warnings: HubSpotSchemaWarning[];
+}
+
+// Comparison inside a list filter (CRM v3 lists API)
+export interface HubSpotListOperation {
+  operationType:
+    | 'NUMBER'
+    | 'STRING'
+    | 'MULTISTRING'
+    | 'ENUMERATION'
+    | 'BOOL'
+    | 'ALL_PROPERTY'
+    | 'TIME_POINT'
+    | 'TIME_RANGED';
+  operator: string;
+  includeObjectsWithNoValueSet: boolean;
+  value?: string | number | boolean;
+  values?: string[];
+  lowerBound?: number;
+  upperBound?: number;
+  timePoint?: HubSpotListTimePoint;
+  lowerBoundTimePoint?: HubSpotListTimePoint;
+  upperBoundTimePoint?: HubSpotListTimePoint;
+}
+
+export interface HubSpotListTimePoint {
+  timeType: 'DATE';
+  timezoneSource: 'CUSTOM';
+  zoneId: string;
+  year: number;
+  month: number;
+  day: number;
+}
+
+export interface HubSpotListFilter {
+  filterType: 'PROPERTY' | 'NUM_ASSOCIATIONS';
+  property?: string;
+  associationTypeId?: string;
+  associationCategory?: 'HUBSPOT_DEFINED' | 'USER_DEFINED';
+  operation: HubSpotListOperation;
+}
+
+// AND/OR branches nest filters; ASSOCIATION and UNIFIED_EVENTS branches
+// apply their filters to associated records or event occurrences
+export interface HubSpotListFilterBranch {
+  filterBranchType: 'OR' | 'AND' | 'ASSOCIATION' | 'UNIFIED_EVENTS';
+  filterBranchOperator: 'OR' | 'AND';
+  filters: HubSpotListFilter[];
+  filterBranches: HubSpotListFilterBranch[];
+  objectTypeId?: string;
+  associationTypeId?: string;
+  associationCategory?: 'HUBSPOT_DEFINED' | 'USER_DEFINED';
+  eventTypeId?: string;
+  operator?: 'IN_LIST' | 'HAS_COMPLETED' | 'HAS_NOT_COMPLETED';
+  coalescingRefineBy?: { type: 'NUM_OCCURRENCES'; minOccurrences: number; maxOccurrences?: number };
+  pruningRefineBy?: {
+    type: 'RELATIVE_RANGED';
+    rangeType: 'BETWEEN';
+    timeUnit: 'DAY';
+    lowerBoundOffset: number;
+    upperBoundOffset: number;
+  };
+}
+
+// Body for POST /crm/v3/lists
+export interface HubSpotListDefinition {
+  name: string;
+  objectTypeId: string;
+  processingType: 'DYNAMIC';
+  filterBranch: HubSpotListFilterBranch;
+}
+
+// A tag condition or behavior a list cannot express on its own
+export interface HubSpotListIssue {
+  // workflow_property: the list filters on a property a workflow must maintain
+  // omitted: the condition is left out of the list
+  // membership: the tag's behavior needs a workflow beyond the list
+  kind: 'workflow_property' | 'omitted' | 'membership';
+  condition: string;
+  reason: string;
+  workflow: string;
+}
+
+export interface HubSpotTagList {
+  tagId: string;
+  tagName: string;
+  list: HubSpotListDefinition | null; // null when the rules cannot be expressed at all
+  issues: HubSpotListIssue[];
+  placeholders: string[]; // {{...}} IDs to replace once the objects and events exist
+}
@@ -3,9 +3,16 @@
  */
 
 import { Tag, TagCollection, ValidationError } from './tag';
+import { Scenario } from './scenario';
+import { CustomEventDefinition } from './customEvent';
+import { FieldMappingSet } from './fieldMapping';
+import type { HubSpotObjectTarget } from '../data/hubspotStandardObjects';
 
 // Re-export Tag for convenience
 export type { Tag };
+export type { Scenario };
+export type { CustomEventDefinition };
+export type { FieldMappingSet };
 export type { CorruptDataWarning };
 
 // Project Types
@@ -17,6 +24,8 @@ export interface Project {
   dataModel?: DataModel;
   tags?: TagCollection;
   journeys?: Journey[];
+  scenarios?: Scenario[];
+  customEvents?: CustomEventDefinition[];
   createdAt: string;
   updatedAt: string;
   userId?: string;
@@ -48,13 +57,28 @@ export interface CustomObject {
   fields: CustomField[];
   description?: string;
   label?: string; // Optional label for display
+  apiName?: string;
+  hubspotObject?: HubSpotObjectTarget;
+}
+
+export type AssociationType = 'one_to_one' | 'one_to_many' | 'many_to_many';
+
+// Relationship between two data model objects; objects mapped to a HubSpot
+// standard object (such as contacts) stand in for that object
+export interface Association {
+  id: string;
+  fromObjectId: string;
+  toObjectId: string;
+  type: AssociationType;
+  label: string;
+  createdAt?: Date | string;
 }
 
 export interface DataModel {
   objects?: CustomObject[];
   fields?: CustomField[];
-  mappings?: unknown[];
-  associations?: unknown[];
+  mappings?: FieldMappingSet[];
+  associations?: Association[];
   customObjects?: CustomObject[];
   customFields?: CustomField[];
 }
@@ -97,6 +121,8 @@ export interface ProjectState {
   dataModel: DataModel;
   tags: TagCollection;
   journeys: Journey[];
+  scenarios: Scenario[];
+  customEvents: CustomEventDefinition[];
   savedAt: string | null;
   loading: boolean;
   error: string | null;
@@ -123,12 +149,24 @@ export type ProjectAction =
   | { type: 'ADD_FIELD'; payload: { objectId: string; field: CustomField } }
   | { type: 'UPDATE_FIELD'; payload: { objectId: string; field: CustomField } }
   | { type: 'DELETE_FIELD'; payload: { objectId: string; fieldId: string } }
+  | { type: 'ADD_ASSOCIATION'; payload: Association }
+  | { type: 'UPDATE_ASSOCIATION'; payload: Association }
+  | { type: 'DELETE_ASSOCIATION'; payload: string }
+  | { type: 'ADD_FIELD_MAPPING'; payload: FieldMappingSet }
+  | { type: 'UPDATE_FIELD_MAPPING'; payload: FieldMappingSet }
+  | { type: 'DELETE_FIELD_MAPPING'; payload: string }
   | { type: 'UPDATE_TAGS'; payload: Partial<TagCollection> }
   | { type: 'ADD_TAG'; payload: Tag }
   | { type: 'UPDATE_TAG'; payload: Tag }
   | { type: 'DELETE_TAG'; payload: string }
   | { type: 'ADD_TAG_FROM_LIBRARY'; payload: Tag }
   | { type: 'UPDATE_JOURNEYS'; payload: Journey[] }
+  | { type: 'ADD_SCENARIO'; payload: Scenario }
+  | { type: 'UPDATE_SCENARIO'; payload: Scenario }
+  | { type: 'DELETE_SCENARIO'; payload: string }
+  | { type: 'ADD_CUSTOM_EVENT'; payload: CustomEventDefinition }
+  | { type: 'UPDATE_CUSTOM_EVENT'; payload: CustomEventDefinition }
+  | { type: 'DELETE_CUSTOM_EVENT'; payload: string }
   | { type: 'UPDATE_SAVED_AT'; payload: string }
   // Data corruption actions (Issue #29)
   | { type: 'SET_CORRUPT_DATA_WARNING'; payload: CorruptDataWarning }
@@ -0,0 +1,66 @@
+/**
+ * Type definitions for the Qualification Engine
+ *
+ * Describes the member data a tag's qualificationRules are evaluated against
+ * and the per-condition trace the engine produces.
+ */
+
+// A single timeline event (HubSpot standard or custom behavioral event)
+export interface MemberEvent {
+  eventType: string;
+  occurredAt: string; // ISO 8601 timestamp
+  properties?: Record<string, unknown>;
+}
+
+// A record associated with the member (account, loan, household, ...)
+export interface AssociatedRecord {
+  object: string; // Object name, e.g. "account_object" or "Account"
+  associationType?: string;
+  properties: Record<string, unknown>;
+}
+
+// Everything the engine needs to evaluate rules for one member
+export interface EvaluationContext {
+  member: Record<string, unknown>;
+  events?: MemberEvent[];
+  associations?: AssociatedRecord[];
+  // Evaluation date for activity timeframes (defaults to now)
+  asOf?: string | Date;
+  // Name of the object that represents the member in the data model
+  memberObject?: string;
+  // Tag IDs the member currently holds (drives score hysteresis)
+  currentTagIds?: string[];
+}
+
+export type ConditionKind = 'property' | 'activity' | 'association' | 'score' | 'group' | 'unknown';
+
+// Outcome of a single condition
+export interface ConditionTrace {
+  index: number;
+  kind: ConditionKind;
+  passed: boolean;
+  description: string;
+  actual?: unknown;
+  expected?: unknown;
+  reason?: string;
+  // Traces of a condition group's own conditions
+  children?: ConditionTrace[];
+}
+
+// Outcome of a full set of qualification rules
+export interface RulesEvaluation {
+  qualified: boolean;
+  logic: 'AND' | 'OR';
+  trace: ConditionTrace[];
+}
+
+// Outcome for a tag
+export interface TagEvaluation extends RulesEvaluation {
+  tagId: string;
+  tagName: string;
+}
+
+export interface RulesEvaluationOptions {
+  // Whether the member held the tag before this evaluation
+  wasQualified?: boolean;
+}
@@ -0,0 +1,37 @@
+/**
+ * Type definitions for the qualification rule linter
+ *
+ * Lint issues describe conditions that reference something the project's
+ * data model (or the event catalog) does not have.
+ */
+
+import type { ObjectTemplateField } from '../data/objectTemplates';
+
+export type RuleLintCode =
+  | 'unknown_object'
+  | 'unknown_field'
+  | 'incompatible_operator'
+  | 'unknown_option'
+  | 'unknown_event'
+  | 'unregistered_event';
+
+// Add a missing field to a project object, copied from the template that defines it
+export interface CreateFieldFix {
+  objectId: string;
+  objectLabel: string;
+  templateLabel: string;
+  field: ObjectTemplateField;
+}
+
+export interface RuleLintIssue {
+  code: RuleLintCode;
+  severity: 'error' | 'warning';
+  message: string;
+  fix?: CreateFieldFix;
+}
+
+export interface TagLintResult {
+  tagId: string;
+  tagName: string;
+  issues: RuleLintIssue[];
+}
@@ -0,0 +1,107 @@
+/**
+ * Type definitions for Journey Simulator scenarios
+ *
+ * Inferred from the Zod schemas so stored scenarios and the editor agree.
+ */
+
+import { z } from 'zod';
+import {
+  scenarioSchema,
+  scenarioRecordSchema,
+  scenarioEventSchema,
+  scenarioPropertyChangeSchema,
+} from '../schemas/scenarioSchema';
+import type { TagBehavior } from './tag';
+
+export type Scenario = z.infer<typeof scenarioSchema>;
+export type ScenarioRecord = z.infer<typeof scenarioRecordSchema>;
+export type ScenarioEvent = z.infer<typeof scenarioEventSchema>;
+export type ScenarioPropertyChange = z.infer<typeof scenarioPropertyChangeSchema>;
+
+// Timeline Simulation Types
+
+// 'retained' marks a sticky tag kept after its conditions stopped matching
+export type TimelineTransitionType = 'added' | 'removed' | 'retained';
+
+// A change in a tag's status on a given day
+export interface TimelineTransition {
+  tagId: string;
+  tagName: string;
+  date: string; // ISO 8601 timestamp of the simulation step
+  stepIndex: number;
+  type: TimelineTransitionType;
+  reason: string;
+}
+
+// Day-by-day membership of a single tag
+export interface TagTimeline {
+  tagId: string;
+  tagName: string;
+  color?: string;
+  behavior: TagBehavior;
+  isPermanent: boolean;
+  // set_once and permanent tags are never removed once added
+  sticky: boolean;
+  held: boolean[]; // One entry per simulation step
+  transitions: TimelineTransition[];
+  finalStatus: 'held' | 'removed' | 'never';
+}
+
+export interface TimelineSimulation {
+  start: string;
+  end: string;
+  dates: string[]; // ISO 8601 timestamp of each step
+  tags: TagTimeline[];
+  transitions: TimelineTransition[]; // Chronological
+}
+
+export interface TimelineOptions {
+  start?: string | Date;
+  end?: string | Date;
+  stepDays?: number;
+}
+
+// Batch Simulation Types
+
+// Where a CSV column's values go when building a member
+export type ColumnTarget =
+  | { kind: 'member'; field: string }
+  | { kind: 'record'; objectId: string; field: string }
+  | { kind: 'event'; eventType: string } // Column holds an occurrence count
+  | { kind: 'ignore' };
+
+export interface ColumnMapping {
+  column: string;
+  target: ColumnTarget;
+}
+
+// Outcome of one condition across the whole batch
+export interface ConditionCoverage {
+  index: number;
+  description: string;
+  passedCount: number;
+}
+
+export interface TagCoverage {
+  tagId: string;
+  tagName: string;
+  category: string;
+  memberCount: number;
+  percentage: number;
+  conditions: ConditionCoverage[];
+}
+
+export interface BatchMemberResult {
+  rowNumber: number; // 1-based data row number
+  label: string;
+  tagIds: string[];
+}
+
+export interface CoverageReport {
+  memberCount: number;
+  asOf: string;
+  tags: TagCoverage[];
+  uncoveredTags: TagCoverage[];
+  membersWithoutTags: BatchMemberResult[];
+  members: BatchMemberResult[];
+}
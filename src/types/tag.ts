@@ -10,6 +10,8 @@ import {
   tagSchema,
   tagCategorySchema,
   tagBehaviorSchema,
+  tagDefinitionSchema,
+  tagLibrarySourceSchema,
   qualificationRulesSchema,
   ruleConditionSchema,
   propertyRuleConditionSchema,
@@ -21,6 +23,7 @@ import {
   createTagFormSchema,
   editTagFormSchema,
 } from '../schemas/tagSchema';
+import type { RuleGroupShape } from '../schemas/tagSchema';
 
 // Re-export types from project for convenience
 export type { CustomObject, CustomField } from './project';
@@ -29,6 +32,8 @@ export type { CustomObject, CustomField } from './project';
 export type Tag = z.infer<typeof tagSchema>;
 export type TagCategory = z.infer<typeof tagCategorySchema>;
 export type TagBehavior = z.infer<typeof tagBehaviorSchema>;
+export type TagDefinition = z.infer<typeof tagDefinitionSchema>;
+export type TagLibrarySource = z.infer<typeof tagLibrarySourceSchema>;
 
 // Qualification Rules Types
 export type QualificationRules = z.infer<typeof qualificationRulesSchema>;
@@ -37,6 +42,8 @@ export type PropertyRuleCondition = z.infer<typeof propertyRuleConditionSchema>;
 export type ActivityRuleCondition = z.infer<typeof activityRuleConditionSchema>;
 export type AssociationRuleCondition = z.infer<typeof associationRuleConditionSchema>;
 export type ScoreRuleCondition = z.infer<typeof scoreRuleConditionSchema>;
+export type RuleGroup = RuleGroupShape;
+export type RuleNode = RuleCondition | RuleGroup;
 
 // Library Types
 export type TagLibrary = z.infer<typeof tagLibrarySchema>;
@@ -76,7 +83,21 @@ export interface TagDependencies {
   requiredBy: Tag[]; // Tags that depend on this tag
   requires: Tag[]; // Tags this tag depends on
   hasBlockers: boolean; // True if cannot be deleted due to dependencies
-  dependentCount: number;
+  dependentCount: number; // Direct and indirect dependents
+}
+
+// A dependency ID that does not match any tag in the collection
+export interface MissingTagDependency {
+  tagId: string;
+  dependencyId: string;
+}
+
+// Order tags can be evaluated in so every dependency is evaluated first
+export interface TagEvaluationOrder {
+  order: Tag[]; // Flattened levels
+  levels: Tag[][]; // Level 0 depends on nothing; each level only on earlier ones
+  unresolved: Tag[]; // Tags on or behind a cycle, which cannot be ordered
+  cycles: string[][]; // Tag IDs around each cycle, first ID repeated at the end
 }
 
 // Tag Operations
@@ -0,0 +1,14 @@
+/**
+ * Type definitions for tag conflict and overlap analysis
+ */
+
+export type TagConflictKind = 'exclusive_overlap' | 'origin_overlap' | 'equivalent' | 'subsumed';
+
+// A finding about a pair of tags
+export interface TagConflict {
+  kind: TagConflictKind;
+  severity: 'error' | 'warning' | 'info';
+  tagIds: [string, string];
+  message: string;
+  explanation: string[]; // Supporting detail, one sentence per line
+}
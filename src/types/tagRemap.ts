@@ -0,0 +1,35 @@
+/**
+ * Type definitions for remapping library tag rules onto a project's data model
+ */
+
+// Something a rule refers to by name: an object, or a field on an object
+export interface RuleReference {
+  key: string; // Stable within one rule set, e.g. "1.0" or "2/filter:0"
+  kind: 'field' | 'object' | 'score';
+  path: number[]; // Position of the condition in the rule tree
+  filterIndex?: number; // Position in an association's nestedFilters
+  parentKey?: string; // Association reference a nested filter belongs to
+  objectName?: string; // As written in the rule
+  fieldName?: string;
+  operator?: string;
+  values: unknown[]; // Values the condition compares against
+  description: string;
+}
+
+// A data model object (and field) a reference could be bound to
+export interface BindingCandidate {
+  objectId: string;
+  objectLabel: string;
+  fieldId?: string;
+  fieldLabel?: string;
+  dataType?: string;
+  score: number; // 0..1 similarity
+}
+
+export interface RuleBinding {
+  objectId: string;
+  fieldId?: string;
+}
+
+// Chosen binding per reference key; null leaves the reference as written
+export type RuleBindings = Record<string, RuleBinding | null>;
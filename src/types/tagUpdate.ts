@@ -0,0 +1,26 @@
+/**
+ * Type definitions for merging tag library updates into project tags
+ */
+
+// Keys and array indexes leading from a tag definition to a value
+export type TagChangePath = Array<string | number>;
+
+// A value the bundled library changed since the project copied the tag
+export interface TagChange {
+  key: string; // Path joined with dots, unique within a tag
+  path: TagChangePath;
+  label: string; // Readable location, e.g. "Rules › Condition 2 › value"
+  base: unknown; // Library value when adopted; undefined for untracked copies
+  local: unknown; // Project copy's current value
+  upstream: unknown; // Bundled library's value
+  conflict: boolean; // The project copy changed this value too (or may have)
+}
+
+// Pending library changes for one project tag
+export interface TagLibraryUpdate {
+  tagId: string;
+  tagName: string;
+  fromVersion: string | null; // null when the copy predates version tracking
+  toVersion: string;
+  changes: TagChange[];
+}
@@ -0,0 +1,48 @@
+/**
+ * Data model association helpers
+ *
+ * Associations can be stored on the data model itself and on each object's
+ * `associations` array; exporters need one de-duplicated list.
+ */
+
+import type { CustomObject, DataModel } from '../types/project';
+
+export interface DataModelAssociation {
+  id: string;
+  fromObjectId: string;
+  toObjectId: string;
+  type: string;
+  label: string;
+}
+
+export const ASSOCIATION_TYPE_LABELS: Record<string, string> = {
+  one_to_one: 'One to one',
+  one_to_many: 'One to many',
+  many_to_many: 'Many to many',
+};
+
+/**
+ * All associations in a data model, merged by ID
+ */
+export const collectAssociations = (dataModel: DataModel | undefined): DataModelAssociation[] => {
+  const byId = new Map<string, DataModelAssociation>();
+  const objects = (dataModel?.objects || []) as Array<
+    CustomObject & { associations?: DataModelAssociation[] }
+  >;
+
+  [
+    ...((dataModel?.associations || []) as DataModelAssociation[]),
+    ...objects.flatMap((obj) => obj.associations || []),
+  ].forEach((association) => {
+    if (association?.id && !byId.has(association.id)) byId.set(association.id, association);
+  });
+
+  return [...byId.values()];
+};
+
+/**
+ * Association type name used by rule conditions and scenario records,
+ * matching the HubSpot association definition ("member_to_account")
+ */
+export const getAssociationTypeName = (from: CustomObject, to: CustomObject): string =>
+  `${from.name}_to_${to.name}`;
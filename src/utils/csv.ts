@@ -0,0 +1,85 @@
+/**
+ * Minimal RFC 4180 CSV helpers
+ *
+ * Handles quoted fields, escaped quotes ("") and embedded newlines, which is
+ * enough for spreadsheet exports without pulling in a parsing library.
+ */
+
+export interface ParsedCsv {
+  headers: string[];
+  rows: string[][];
+}
+
+/**
+ * Parse CSV text into a header row and data rows.
+ * Blank lines are skipped and short rows are padded to the header width.
+ */
+export function parseCsv(text: string): ParsedCsv {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark added by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((value) => value.trim() !== ''));
+  const [headerRow = [], ...dataRows] = nonEmpty;
+  const headers = headerRow.map((h) => h.trim());
+
+  return {
+    headers,
+    rows: dataRows.map((row) => headers.map((_, index) => row[index] ?? '')),
+  };
+}
+
+/**
+ * Quote a single CSV value when needed
+ */
+export function escapeCsvValue(value: unknown): string {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a header row and data rows to CSV text
+ */
+export function toCsv(headers: string[], rows: unknown[][]): string {
+  return [headers, ...rows].map((row) => row.map(escapeCsvValue).join(',')).join('\r\n');
+}
@@ -0,0 +1,28 @@
+/**
+ * Helpers for binding ISO 8601 timestamps to <input type="datetime-local">,
+ * which works in local time without a timezone suffix.
+ */
+
+/**
+ * Convert an ISO timestamp to a datetime-local input value
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string} - "YYYY-MM-DDTHH:mm" in local time, or '' if invalid
+ */
+export const toDateTimeLocal = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+/**
+ * Convert a datetime-local input value to an ISO timestamp
+ * @param {string} value - "YYYY-MM-DDTHH:mm" in local time
+ * @returns {string|undefined} - ISO 8601 timestamp, or undefined if empty/invalid
+ */
+export const fromDateTimeLocal = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
@@ -0,0 +1,17 @@
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Uint8Array|Blob} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} [mimeType] - MIME type when content is not already a Blob
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
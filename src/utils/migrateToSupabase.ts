@@ -86,6 +86,8 @@ const localProjectSchema = z.object({
     custom: z.array(z.any()).optional(),
   }).optional(),
   journeys: z.array(z.any()).optional(),
+  scenarios: z.array(z.any()).optional(),
+  customEvents: z.array(z.any()).optional(),
 });
 
 // Type definitions
@@ -226,6 +228,8 @@ export async function migrateLocalStorageToSupabase(
               custom: project.tags?.custom || [],
             },
             journeys: project.journeys || [],
+            scenarios: project.scenarios || [],
+            customEvents: project.customEvents || [],
           });
 
           if (error) {
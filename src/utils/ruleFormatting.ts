@@ -0,0 +1,218 @@
+/**
+ * Human-readable rendering of tag qualification rules
+ *
+ * Turns rule conditions into sentences such as
+ * "Member › Age is less than 30" or
+ * "Mobile App Login occurred more than 10 times in the last 30 days",
+ * resolving object and field names to their data model labels when a data
+ * model is supplied.
+ */
+
+import {
+  normalizeObjectName,
+  isPropertyCondition,
+  isActivityCondition,
+  isAssociationCondition,
+  isScoreCondition,
+  isRuleGroup,
+} from './ruleTree';
+import { getEventDisplayName } from '../data/hubspotEventTypes';
+import type {
+  QualificationRules,
+  RuleNode,
+  PropertyRuleCondition,
+  ActivityRuleCondition,
+  AssociationRuleCondition,
+  ScoreRuleCondition,
+  TagBehavior,
+  TagCategory,
+} from '../types/tag';
+import type { CustomObject } from '../types/project';
+
+export const TAG_CATEGORY_TITLES: Record<TagCategory, string> = {
+  origin: 'Origin Tags',
+  behavior: 'Behavior Tags',
+  opportunity: 'Opportunity Tags',
+};
+
+export const TAG_BEHAVIOR_LABELS: Record<TagBehavior, string> = {
+  set_once: 'Set once',
+  dynamic: 'Dynamic',
+  evolving: 'Evolving',
+};
+
+const PROPERTY_OPERATOR_PHRASES: Record<PropertyRuleCondition['operator'], string> = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  greater_than: 'is greater than',
+  greater_than_or_equal: 'is at least',
+  less_than: 'is less than',
+  less_than_or_equal: 'is at most',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  in: 'is one of',
+  not_in: 'is not one of',
+  between: 'is between',
+  is_known: 'is known',
+  is_unknown: 'is unknown',
+};
+
+// Phrases for "<count phrase> N times", e.g. "more than 10 times"
+const COUNT_OPERATOR_PHRASES: Record<string, string> = {
+  equals: 'exactly',
+  not_equals: 'other than',
+  greater_than: 'more than',
+  greater_than_or_equal: 'at least',
+  less_than: 'fewer than',
+  less_than_or_equal: 'at most',
+};
+
+const SCORE_OPERATOR_PHRASES: Record<ScoreRuleCondition['operator'], string> = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  greater_than: 'is greater than',
+  greater_than_or_equal: 'is at least',
+  less_than: 'is less than',
+  less_than_or_equal: 'is at most',
+  between: 'is between',
+};
+
+/**
+ * Format a rule value for prose: lists are comma separated, strings quoted
+ */
+export const formatRuleValue = (value: unknown): string => {
+  if (Array.isArray(value)) return value.map(formatRuleValue).join(', ');
+  if (typeof value === 'string') return `"${value}"`;
+  if (value === undefined || value === null) return '(empty)';
+  return String(value);
+};
+
+const findObject = (objects: CustomObject[], name: string): CustomObject | undefined => {
+  const key = normalizeObjectName(name);
+  return objects.find(
+    (obj) => normalizeObjectName(obj.name) === key || normalizeObjectName(obj.label || '') === key
+  );
+};
+
+const objectLabel = (objects: CustomObject[], name: string): string => {
+  const object = findObject(objects, name);
+  return object ? object.label || object.name : name;
+};
+
+const fieldLabel = (object: CustomObject | undefined, field: string): string => {
+  const match = object?.fields?.find((f) => f.name === field);
+  return match?.label || field;
+};
+
+const timeframePhrase = (days: number | undefined): string =>
+  days ? ` in the last ${days} day${days === 1 ? '' : 's'}` : ' ever';
+
+const timesPhrase = (count: number | undefined): string =>
+  `${count ?? 0} time${count === 1 ? '' : 's'}`;
+
+/**
+ * Describe the comparison part of a property condition ("is between 1 and 5")
+ */
+const describeComparison = (operator: PropertyRuleCondition['operator'], value: unknown): string => {
+  const phrase = PROPERTY_OPERATOR_PHRASES[operator] || operator;
+  if (operator === 'is_known' || operator === 'is_unknown') return phrase;
+  if (operator === 'between' && Array.isArray(value)) {
+    return `${phrase} ${formatRuleValue(value[0])} and ${formatRuleValue(value[1])}`;
+  }
+  return `${phrase} ${formatRuleValue(value)}`;
+};
+
+const describeFilters = (
+  filters: PropertyRuleCondition[] | undefined,
+  object?: CustomObject
+): string =>
+  filters && filters.length > 0
+    ? ` where ${filters
+        .map((f) => `${fieldLabel(object, f.field)} ${describeComparison(f.operator, f.value)}`)
+        .join(' and ')}`
+    : '';
+
+const describeProperty = (condition: PropertyRuleCondition, objects: CustomObject[]): string => {
+  const object = findObject(objects, condition.object);
+  return `${objectLabel(objects, condition.object)} › ${fieldLabel(object, condition.field)} ${describeComparison(
+    condition.operator,
+    condition.value
+  )}`;
+};
+
+const describeActivity = (condition: ActivityRuleCondition): string => {
+  const event = getEventDisplayName(condition.eventType);
+  const window = timeframePhrase(condition.timeframe);
+  const filters = describeFilters(condition.filters);
+
+  if (condition.occurrence === 'has_not_occurred') {
+    return `${event} has not occurred${window}${filters}`;
+  }
+  if (condition.occurrence === 'count') {
+    const phrase = COUNT_OPERATOR_PHRASES[condition.operator || 'greater_than_or_equal'];
+    return `${event} occurred ${phrase} ${timesPhrase(condition.value)}${window}${filters}`;
+  }
+  return `${event} occurred at least once${window}${filters}`;
+};
+
+const describeAssociation = (
+  condition: AssociationRuleCondition,
+  objects: CustomObject[]
+): string => {
+  const object = findObject(objects, condition.relatedObject);
+  const related = objectLabel(objects, condition.relatedObject);
+  const via = condition.associationType ? ` (${condition.associationType})` : '';
+  const filters = describeFilters(condition.nestedFilters, object);
+
+  if (condition.conditionType === 'has_none') {
+    return `Has no associated ${related}${via}${filters}`;
+  }
+  if (condition.conditionType === 'count') {
+    const phrase = COUNT_OPERATOR_PHRASES[condition.operator || 'greater_than_or_equal'];
+    return `Has ${phrase} ${condition.value ?? 0} associated ${related}${via}${filters}`;
+  }
+  return `Has at least one associated ${related}${via}${filters}`;
+};
+
+const describeScore = (condition: ScoreRuleCondition): string => {
+  const value = condition.value ?? condition.threshold;
+  const phrase = SCORE_OPERATOR_PHRASES[condition.operator] || condition.operator;
+  const comparison =
+    condition.operator === 'between' && Array.isArray(value)
+      ? `${phrase} ${value[0]} and ${value[1]}`
+      : `${phrase} ${formatRuleValue(value)}`;
+  const hysteresis = condition.hysteresis
+    ? ` (added at ${condition.hysteresis.addThreshold}, removed below ${condition.hysteresis.removeThreshold})`
+    : '';
+  return `${condition.scoreField} ${comparison}${hysteresis}`;
+};
+
+/**
+ * Describe a single condition as a sentence fragment; condition groups are
+ * described inline, e.g. "(Member › Age is less than 30 or Referral occurred ...)"
+ */
+export const describeCondition = (
+  condition: RuleNode,
+  objects: CustomObject[] = []
+): string => {
+  if (isRuleGroup(condition)) {
+    const joiner = condition.logic === 'OR' ? ' or ' : ' and ';
+    return `(${condition.conditions.map((node) => describeCondition(node, objects)).join(joiner)})`;
+  }
+  if (isPropertyCondition(condition)) return describeProperty(condition, objects);
+  if (isActivityCondition(condition)) return describeActivity(condition);
+  if (isAssociationCondition(condition)) return describeAssociation(condition, objects);
+  if (isScoreCondition(condition)) return describeScore(condition);
+  return 'Unrecognized condition';
+};
+
+/**
+ * Describe how conditions combine, e.g. "All of the following must match"
+ * Accepts the rules themselves or a condition group.
+ */
+export const describeRuleLogic = (rules: Pick<QualificationRules, 'logic'>): string =>
+  rules.logic === 'OR'
+    ? 'Any of the following must match'
+    : 'All of the following must match';
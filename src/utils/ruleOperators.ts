@@ -0,0 +1,128 @@
+/**
+ * Operator choices shared by the rule forms and the rule linter
+ */
+
+import type {
+  PropertyRuleCondition,
+  ActivityRuleCondition,
+  ScoreRuleCondition,
+} from '../types/tag';
+
+export type OperatorGroup = 'text' | 'number' | 'boolean' | 'date' | 'enum';
+
+/**
+ * Maps field data types to applicable operators
+ */
+export const OPERATORS_BY_TYPE: Record<OperatorGroup, PropertyRuleCondition['operator'][]> = {
+  text: [
+    'equals',
+    'not_equals',
+    'contains',
+    'not_contains',
+    'starts_with',
+    'ends_with',
+    'is_known',
+    'is_unknown',
+  ],
+  number: [
+    'equals',
+    'not_equals',
+    'greater_than',
+    'greater_than_or_equal',
+    'less_than',
+    'less_than_or_equal',
+    'between',
+    'is_known',
+    'is_unknown',
+  ],
+  boolean: ['equals', 'not_equals', 'is_known', 'is_unknown'],
+  date: [
+    'equals',
+    'not_equals',
+    'greater_than',
+    'greater_than_or_equal',
+    'less_than',
+    'less_than_or_equal',
+    'between',
+    'is_known',
+    'is_unknown',
+  ],
+  enum: ['equals', 'not_equals', 'in', 'not_in', 'is_known', 'is_unknown'],
+};
+
+/**
+ * Operator labels for display
+ */
+export const OPERATOR_LABELS: Record<PropertyRuleCondition['operator'], string> = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  greater_than: 'is greater than',
+  greater_than_or_equal: 'is greater than or equal to',
+  less_than: 'is less than',
+  less_than_or_equal: 'is less than or equal to',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  in: 'is in list',
+  not_in: 'is not in list',
+  between: 'is between',
+  is_known: 'is known (has value)',
+  is_unknown: 'is unknown (no value)',
+};
+
+/**
+ * Count operators for activity and association counts
+ */
+export const COUNT_OPERATORS: Array<{
+  value: NonNullable<ActivityRuleCondition['operator']>;
+  label: string;
+}> = [
+  { value: 'equals', label: 'Exactly' },
+  { value: 'not_equals', label: 'Not equal to' },
+  { value: 'greater_than', label: 'More than' },
+  { value: 'greater_than_or_equal', label: 'At least' },
+  { value: 'less_than', label: 'Fewer than' },
+  { value: 'less_than_or_equal', label: 'At most' },
+];
+
+/**
+ * Operator group for a data model field type (dataType, or the legacy type)
+ */
+export function getOperatorGroup(dataType: string | undefined): OperatorGroup {
+  switch (dataType) {
+    case 'number':
+    case 'currency':
+      return 'number';
+    case 'date':
+    case 'datetime':
+      return 'date';
+    case 'boolean':
+      return 'boolean';
+    case 'enum':
+    case 'enumeration':
+      return 'enum';
+    default:
+      return 'text';
+  }
+}
+
+/**
+ * Whether an operator compares against a value
+ */
+export function operatorNeedsValue(operator: PropertyRuleCondition['operator']): boolean {
+  return operator !== 'is_known' && operator !== 'is_unknown';
+}
+
+/**
+ * Score comparison operators
+ */
+export const SCORE_OPERATORS: Array<{ value: ScoreRuleCondition['operator']; label: string }> = [
+  { value: 'greater_than_or_equal', label: 'is at least' },
+  { value: 'greater_than', label: 'is greater than' },
+  { value: 'less_than_or_equal', label: 'is at most' },
+  { value: 'less_than', label: 'is less than' },
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'between', label: 'is between' },
+];
@@ -0,0 +1,149 @@
+/**
+ * Qualification rule tree helpers
+ *
+ * qualificationRules.conditions may hold condition groups, each combining
+ * its own conditions with AND/OR, e.g.
+ * "(auto loan AND indirect dealer) OR (member referral AND age < 30)".
+ * These helpers tell conditions apart, walk that tree and bring stored
+ * rules up to date.
+ */
+
+import type {
+  QualificationRules,
+  RuleCondition,
+  RuleGroup,
+  RuleNode,
+  PropertyRuleCondition,
+  ActivityRuleCondition,
+  AssociationRuleCondition,
+  ScoreRuleCondition,
+} from '../types/tag';
+
+export type RuleKind = Exclude<QualificationRules['ruleType'], 'mixed'>;
+
+const RULE_KINDS: RuleKind[] = ['property', 'activity', 'association', 'score'];
+
+/**
+ * Normalize an object name for comparison
+ * "Member", "member_object" and "Member Object" all become "member"
+ */
+export const normalizeObjectName = (name: string = ''): string => {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/object$/, '');
+};
+
+// Condition shape guards
+
+export const isPropertyCondition = (c: RuleCondition): c is PropertyRuleCondition =>
+  'object' in c && 'field' in c;
+
+export const isActivityCondition = (c: RuleCondition): c is ActivityRuleCondition =>
+  'eventType' in c;
+
+export const isAssociationCondition = (c: RuleCondition): c is AssociationRuleCondition =>
+  'relatedObject' in c;
+
+export const isScoreCondition = (c: RuleCondition): c is ScoreRuleCondition =>
+  'scoreField' in c;
+
+export const isRuleGroup = (node: RuleNode): node is RuleGroup =>
+  'type' in node && node.type === 'group';
+
+/**
+ * Every condition in the tree, depth first
+ */
+export const flattenConditions = (nodes: RuleNode[] = []): RuleCondition[] =>
+  nodes.flatMap((node) => (isRuleGroup(node) ? flattenConditions(node.conditions) : [node]));
+
+/**
+ * Kind of a single condition
+ */
+export const getConditionKind = (condition: RuleCondition): RuleKind | null => {
+  if (isScoreCondition(condition)) return 'score';
+  if (isAssociationCondition(condition)) return 'association';
+  if (isActivityCondition(condition)) return 'activity';
+  if (isPropertyCondition(condition)) return 'property';
+  return null;
+};
+
+/**
+ * ruleType for a tree: its single condition kind, or 'mixed'
+ */
+export const inferRuleType = (
+  nodes: RuleNode[] = [],
+  fallback: QualificationRules['ruleType'] = 'property'
+): QualificationRules['ruleType'] => {
+  const kinds = new Set(flattenConditions(nodes).map(getConditionKind).filter(Boolean));
+  if (kinds.size === 0) return fallback;
+  if (kinds.size > 1) return 'mixed';
+  return [...kinds][0] as RuleKind;
+};
+
+/**
+ * Whether any group in the tree has no conditions (groups must not be empty)
+ */
+export const hasEmptyGroup = (nodes: RuleNode[] = []): boolean =>
+  nodes.some(
+    (node) => isRuleGroup(node) && (node.conditions.length === 0 || hasEmptyGroup(node.conditions))
+  );
+
+/**
+ * Depth of group nesting; flat rules have depth 0
+ */
+export const getGroupDepth = (nodes: RuleNode[] = []): number =>
+  Math.max(0, ...nodes.map((node) => (isRuleGroup(node) ? 1 + getGroupDepth(node.conditions) : 0)));
+
+const normalizeLogic = (logic: unknown): 'AND' | 'OR' =>
+  String(logic).toUpperCase() === 'OR' ? 'OR' : 'AND';
+
+/**
+ * Normalize a stored node; groups without conditions are dropped
+ * @private
+ */
+const migrateNode = (node: unknown): RuleNode | null => {
+  if (!node || typeof node !== 'object') return null;
+
+  const candidate = node as RuleNode;
+  if (!isRuleGroup(candidate)) return candidate;
+
+  const conditions = (Array.isArray(candidate.conditions) ? candidate.conditions : [])
+    .map(migrateNode)
+    .filter((child): child is RuleNode => child !== null);
+  if (conditions.length === 0) return null;
+
+  const group: RuleGroup = { type: 'group', logic: normalizeLogic(candidate.logic), conditions };
+  if (candidate.id) group.id = candidate.id;
+  return group;
+};
+
+/**
+ * Bring stored qualification rules to the current shape. Flat rules remain
+ * valid as a single top-level group; this normalizes logic, drops empty
+ * groups and corrects ruleType, which older rules left as one kind even
+ * when they combined kinds (e.g. a score condition plus a property check).
+ */
+export const migrateQualificationRules = (rules: QualificationRules): QualificationRules => {
+  if (!rules || typeof rules !== 'object') return rules;
+
+  const conditions = (Array.isArray(rules.conditions) ? rules.conditions : [])
+    .map(migrateNode)
+    .filter((node): node is RuleNode => node !== null);
+  const storedType = RULE_KINDS.includes(rules.ruleType as RuleKind) ? rules.ruleType : 'property';
+
+  return {
+    ...rules,
+    ruleType: inferRuleType(conditions, storedType),
+    logic: normalizeLogic(rules.logic),
+    conditions,
+  };
+};
+
+/**
+ * A stored tag with its qualification rules brought to the current shape
+ */
+export const migrateTagRules = <T extends { qualificationRules?: QualificationRules }>(tag: T): T =>
+  tag?.qualificationRules
+    ? { ...tag, qualificationRules: migrateQualificationRules(tag.qualificationRules) }
+    : tag;
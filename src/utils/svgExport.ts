@@ -0,0 +1,83 @@
+/**
+ * SVG export helpers
+ *
+ * Turn a rendered <svg> into a standalone file, or rasterize it to PNG in
+ * the browser for pasting into slides.
+ */
+
+export interface SvgExportOptions {
+  width: number;
+  height: number;
+  /** Fill behind the drawing; exported SVGs are otherwise transparent */
+  background?: string;
+}
+
+/**
+ * Serialize a copy of an SVG element at its full drawing size.
+ * Elements marked `data-export-ignore` (controls, drag previews) are left
+ * out, and transforms marked `data-export-reset` (pan and zoom) are cleared.
+ */
+export function serializeSvg(svg: SVGSVGElement, options: SvgExportOptions): string {
+  const { width, height, background } = options;
+  const copy = svg.cloneNode(true) as SVGSVGElement;
+
+  copy.querySelectorAll('[data-export-ignore]').forEach((el) => el.remove());
+  copy.querySelectorAll('[data-export-reset]').forEach((el) => el.removeAttribute('transform'));
+
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', String(width));
+  copy.setAttribute('height', String(height));
+  copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  copy.removeAttribute('class');
+  copy.removeAttribute('style');
+
+  if (background) {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('width', '100%');
+    rect.setAttribute('height', '100%');
+    rect.setAttribute('fill', background);
+    copy.insertBefore(rect, copy.firstChild);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}`;
+}
+
+/**
+ * Rasterize SVG markup to a PNG blob
+ * @param scale - Pixel density; 2 keeps text sharp on high-DPI screens and projectors
+ */
+export function svgToPng(
+  markup: string,
+  width: number,
+  height: number,
+  scale: number = 2
+): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(width * scale);
+      canvas.height = Math.ceil(height * scale);
+      const context = canvas.getContext('2d');
+      if (!context) {
+        URL.revokeObjectURL(url);
+        reject(new Error('Canvas is not supported in this browser'));
+        return;
+      }
+
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error('Could not create PNG image'))
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render diagram image'));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,173 @@
+import { zipSync, strToU8 } from 'fflate';
+
+/**
+ * Minimal XLSX (SpreadsheetML) writer
+ *
+ * Produces a workbook with inline strings, a bold frozen header row and
+ * wrapped multi-line cells. No formulas, shared strings or charts; enough for
+ * data dictionaries that open cleanly in Excel, Numbers and Google Sheets.
+ */
+
+export type XlsxCell = string | number | null | undefined;
+
+export interface XlsxSheet {
+  name: string;
+  rows: XlsxCell[][]; // First row is the header
+}
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Cell style indexes into cellXfs below
+const STYLE_HEADER = 1;
+const STYLE_WRAP = 2;
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Build an .xlsx file from sheets of rows
+ */
+export function buildWorkbook(sheets: XlsxSheet[]): Uint8Array {
+  const names = uniqueSheetNames(sheets.map((sheet) => sheet.name));
+  const files: Record<string, Uint8Array> = {
+    '[Content_Types].xml': strToU8(contentTypesXml(sheets.length)),
+    '_rels/.rels': strToU8(
+      `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    ),
+    'xl/workbook.xml': strToU8(workbookXml(names)),
+    'xl/_rels/workbook.xml.rels': strToU8(workbookRelsXml(sheets.length)),
+    'xl/styles.xml': strToU8(STYLES_XML),
+  };
+
+  sheets.forEach((sheet, index) => {
+    files[`xl/worksheets/sheet${index + 1}.xml`] = strToU8(worksheetXml(sheet.rows));
+  });
+
+  return zipSync(files);
+}
+
+/**
+ * Excel column letters for a zero-based index (0 → A, 26 → AA)
+ */
+export function columnLetter(index: number): string {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Excel forbids []:*?/\ in sheet names, limits them to 31 characters and
+ * requires them to be unique regardless of case
+ */
+export function uniqueSheetNames(names: string[]): string[] {
+  const used = new Set<string>();
+
+  return names.map((name) => {
+    const base = name.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet';
+    let candidate = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+// ========== XML parts ==========
+
+function contentTypesXml(sheetCount: number): string {
+  const sheetOverrides = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+
+  return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheetOverrides}</Types>`;
+}
+
+function workbookXml(names: string[]): string {
+  const sheets = names
+    .map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+    .join('');
+  return `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>${sheets}</sheets></workbook>`;
+}
+
+function workbookRelsXml(sheetCount: number): string {
+  const sheets = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  ).join('');
+  return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets}<Relationship Id="rId${sheetCount + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/></Relationships>`;
+}
+
+function worksheetXml(rows: XlsxCell[][]): string {
+  const columnCount = Math.max(0, ...rows.map((row) => row.length));
+  const widths = Array.from({ length: columnCount }, (_, col) =>
+    Math.min(
+      MAX_COLUMN_WIDTH,
+      Math.max(8, ...rows.map((row) => longestLine(row[col]) + 2))
+    )
+  );
+  const cols = widths
+    .map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`)
+    .join('');
+
+  const sheetRows = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => cellXml(`${columnLetter(c)}${r + 1}`, value, r === 0))
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join('');
+
+  return `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>${
+    cols ? `<cols>${cols}</cols>` : ''
+  }<sheetData>${sheetRows}</sheetData></worksheet>`;
+}
+
+function cellXml(ref: string, value: XlsxCell, isHeader: boolean): string {
+  if (value === null || value === undefined || value === '') return '';
+
+  const style = isHeader ? STYLE_HEADER : String(value).includes('\n') ? STYLE_WRAP : 0;
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+
+  const text = escapeXml(String(value));
+  const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t${space}>${text}</t></is></c>`;
+}
+
+function longestLine(value: XlsxCell): number {
+  if (value === null || value === undefined) return 0;
+  return Math.max(...String(value).split('\n').map((line) => line.length));
+}
+
+function escapeXml(text: string): string {
+  return (
+    text
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  );
+}